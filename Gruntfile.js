@@ -31,11 +31,15 @@ module.exports = function (grunt) {
                 "css/gameplay-settings.css": 'src/scss/screens/gameplay-settings.scss',
                 "css/general-settings.css": 'src/scss/screens/general-settings.scss',
                 "css/graphics.css": 'src/scss/screens/graphics.scss',
+                "css/hangar.css": 'src/scss/screens/hangar.scss',
                 "css/ingame-menu.css": 'src/scss/screens/ingame-menu.scss',
                 "css/missions.css": 'src/scss/screens/missions.scss',
                 "css/multi-games.css": 'src/scss/screens/multi-games.scss',
                 "css/multi-lobby.css": 'src/scss/screens/multi-lobby.scss',
                 "css/multi-score.css": 'src/scss/screens/multi-score.scss',
+                "css/profiles.css": 'src/scss/screens/profiles.scss',
+                "css/skirmish.css": 'src/scss/screens/skirmish.scss',
+                "css/survival.css": 'src/scss/screens/survival.scss',
                 "css/checkgroup.css": 'src/scss/components/checkgroup.scss',
                 "css/dialog.css": 'src/scss/components/dialog.scss',
                 "css/infobox.css": 'src/scss/components/infobox.scss',
@@ -191,6 +195,7 @@ module.exports = function (grunt) {
                 ["playerHitpointsFactor"],
                 ["friendlyHitpointsFactor"],
                 ["enemyReactionTimeFactor"],
+                ["enemyThreatAwareness"],
                 ["playerSelfDamage"],
                 ["playerFriendlyFireDamage"],
                 ["hitboxOffset"],
@@ -457,6 +462,8 @@ module.exports = function (grunt) {
                 ["scoreBonusForHullIntegrityTeam", "battle"],
                 ["missileHitRatioFactor", "battle"],
                 ["scoreBonusForTeamSurvival", "battle"],
+                ["powerMinimumFactor", "battle"],
+                ["powerMaximumFactor", "battle"],
                 ["particlePoolPrefillFactor", "battle"],
                 ["projectilePoolPrefillFactor", "battle"],
                 ["missilePoolPrefillFactor", "battle"],
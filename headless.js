@@ -0,0 +1,80 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file Common setup for running Interstellar Armada modules in headless mode using Node.js (see simulate.js and host.js)
+ * Sets up the minimal browser environment the game modules expect to be present when they are loaded, configures RequireJS to load
+ * the modules from the source folder and sets up the application module to run in headless mode, reading the game files from disk.
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/* global __dirname, global, module */
+
+const
+        fs = require('fs'),
+        path = require('path'),
+        requirejs = require('requirejs');
+
+/**
+ * Sets up the minimal browser environment the game modules expect to be present when they are loaded.
+ */
+function setUpGlobals() {
+    const noop = function () {};
+    const createElement = function () {
+        return {
+            style: {},
+            classList: {add: noop, remove: noop, toggle: noop},
+            getContext: function () {
+                return null;
+            },
+            appendChild: noop,
+            addEventListener: noop,
+            setAttribute: noop
+        };
+    };
+    global.window = global;
+    global.addEventListener = noop;
+    global.document = {
+        body: createElement(),
+        head: createElement(),
+        createElement: createElement,
+        getElementById: createElement,
+        addEventListener: noop
+    };
+    global.localStorage = {};
+    global.navigator = {userAgent: "node"};
+    global.alert = function (message) {
+        console.error(message);
+    };
+    // the log messages of the game go to the standard error, so that the standard output can be used for reports
+    console.log = console.error;
+}
+
+/**
+ * Sets up the headless environment and loads the passed game modules, then calls the callback with them.
+ * @param {String[]} moduleNames The RequireJS names of the modules to load (e.g. "armada/simulation")
+ * @param {Function} callback
+ */
+function load(moduleNames, callback) {
+    setUpGlobals();
+    requirejs.config({
+        baseUrl: path.join(__dirname, 'src/js'),
+        nodeRequire: require
+    });
+    requirejs(["modules/application"], function (application) {
+        application.setHeadless(true);
+        // files are read from the source folder (config, data), or if not found there, from the game root folder (assets)
+        application.requestFile = function (filetype, filename, onfinish) {
+            const relativePath = application.getFolder(filetype) + filename;
+            const sourcePath = path.join(__dirname, 'src', relativePath);
+            fs.readFile(fs.existsSync(sourcePath) ? sourcePath : path.join(__dirname, relativePath), 'utf8', function (error, data) {
+                onfinish(error ? undefined : {responseText: data, response: data});
+            });
+        };
+        application.setFolders({config: "config/"});
+        requirejs(moduleNames, callback);
+    });
+}
+
+module.exports = {
+    load: load
+};
@@ -0,0 +1,164 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file Node.js launch file for running a dedicated multiplayer host for Interstellar Armada.
+ * The dedicated host connects to the multiplayer server, hosts a game with the given parameters and runs the authoritative simulation of
+ * its matches headlessly, without a spacecraft of its own (see the armada/dedicated-host module).
+ * Requires WebSocket support in Node.js (run with --experimental-websocket on Node.js versions before 22).
+ * Usage: node --experimental-websocket host.js --game=<name> [--mode=ffa|coop|tdm|objective] [--max-players=<1-7>] [--name=<host name>]
+ * [--server=<url>] [--difficulty=<name>] [--environment=<name>] [--loadout=<name>] [--enemies-per-wave=<count>] [--friendly-fire]
+ * [--team-sizes=<count>,<count>] [--capital-ship=<class name>]
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/* global process */
+
+const headless = require('./headless');
+
+/**
+ * The length limits the multiplayer server enforces for game names (MIN_GAME_NAME_LENGTH and MAX_GAME_NAME_LENGTH in server.js)
+ * @type Number
+ */
+const MIN_GAME_NAME_LENGTH = 3, MAX_GAME_NAME_LENGTH = 18;
+/**
+ * The length limits the multiplayer server enforces for player names (MIN_PLAYER_NAME_LENGTH and MAX_PLAYER_NAME_LENGTH in server.js)
+ * @type Number
+ */
+const MIN_PLAYER_NAME_LENGTH = 2, MAX_PLAYER_NAME_LENGTH = 18;
+/**
+ * The maximum number of players the multiplayer server allows in one game (MAX_PLAYERS_PER_GAME in server.js)
+ * @type Number
+ */
+const SERVER_MAX_PLAYERS_PER_GAME = 8;
+/**
+ * The maximum value of the --max-players option, as the dedicated host itself takes up one of the player slots of its games
+ * @type Number
+ */
+const MAX_PLAYERS = SERVER_MAX_PLAYERS_PER_GAME - 1;
+
+const USAGE = "Usage: node --experimental-websocket host.js --game=<name> [--mode=ffa|coop|tdm|objective] [--max-players=<1-" + MAX_PLAYERS + ">] " +
+        "[--name=<host name>] [--server=<url>] [--difficulty=<name>] [--environment=<name>] [--loadout=<name>] [--enemies-per-wave=<count>] " +
+        "[--friendly-fire] [--team-sizes=<count>,<count>] [--capital-ship=<class name>]";
+
+/**
+ * Parses the command line arguments into the parameters for the dedicated host.
+ * @param {String[]} args
+ * @returns {Object}
+ */
+function parseArguments(args) {
+    const result = {hostName: "Dedicated host", gameMode: "ffa", maxPlayers: 4, settings: {}};
+    for (const arg of args) {
+        const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!match) {
+            return null;
+        }
+        switch (match[1]) {
+            case "game":
+                result.gameName = match[2];
+                break;
+            case "mode":
+                result.gameMode = match[2];
+                break;
+            case "max-players":
+                result.maxPlayers = parseInt(match[2], 10);
+                break;
+            case "name":
+                result.hostName = match[2];
+                break;
+            case "server":
+                result.serverUrl = match[2];
+                break;
+            case "difficulty":
+                result.settings.difficulty = match[2];
+                break;
+            case "environment":
+                result.settings.environment = match[2];
+                break;
+            case "loadout":
+                result.settings.loadout = match[2];
+                break;
+            case "enemies-per-wave":
+                result.settings.enemiesPerWave = parseInt(match[2], 10);
+                break;
+            case "friendly-fire":
+                result.settings.friendlyFire = true;
+                break;
+            case "team-sizes":
+                result.settings.teamSizes = (match[2] || "").split(",").map(size => parseInt(size, 10));
+                if ((result.settings.teamSizes.length !== 2) || result.settings.teamSizes.some(size => !(size > 0))) {
+                    return null;
+                }
+                break;
+            case "capital-ship":
+                result.settings.capitalShip = match[2];
+                break;
+            default:
+                return null;
+        }
+    }
+    return result.gameName ? result : null;
+}
+
+/**
+ * Prints the passed error message (if any) and the usage information, then exits with an error status.
+ * @param {String} [message]
+ */
+function exitWithUsageError(message) {
+    if (message) {
+        console.error(message);
+    }
+    console.error(USAGE);
+    process.exit(1);
+}
+
+const params = parseArguments(process.argv.slice(2));
+if (!params) {
+    exitWithUsageError();
+}
+// the server would reject these with an error code, so they are checked before connecting to it
+if ((params.gameName.length < MIN_GAME_NAME_LENGTH) || (params.gameName.length > MAX_GAME_NAME_LENGTH)) {
+    exitWithUsageError("The value of --game has to be between " + MIN_GAME_NAME_LENGTH + " and " + MAX_GAME_NAME_LENGTH + " characters long!");
+}
+if ((params.hostName.length < MIN_PLAYER_NAME_LENGTH) || (params.hostName.length > MAX_PLAYER_NAME_LENGTH)) {
+    exitWithUsageError("The value of --name has to be between " + MIN_PLAYER_NAME_LENGTH + " and " + MAX_PLAYER_NAME_LENGTH + " characters long!");
+}
+if (!Number.isInteger(params.maxPlayers) || (params.maxPlayers < 1) || (params.maxPlayers > MAX_PLAYERS)) {
+    exitWithUsageError("The value of --max-players has to be a whole number between 1 and " + MAX_PLAYERS + ", as the multiplayer server allows " +
+            SERVER_MAX_PLAYERS_PER_GAME + " players per game and the dedicated host itself takes up one of the slots!");
+}
+if (typeof WebSocket === "undefined") {
+    console.error("WebSocket is not available, run with --experimental-websocket (or use Node.js 22 or later)!");
+    process.exit(1);
+}
+// the WebSocket of Node.js 20 does not dispatch a close event if the connection cannot be established (as browsers do), which would
+// leave the host waiting forever instead of trying to reconnect
+const NodeWebSocket = WebSocket;
+global.WebSocket = function (url) {
+    const socket = new NodeWebSocket(url);
+    let opened = false, closed = false;
+    socket.addEventListener("open", function () {
+        opened = true;
+    });
+    socket.addEventListener("close", function () {
+        closed = true;
+    });
+    socket.addEventListener("error", function () {
+        setTimeout(function () {
+            if (!opened && !closed && socket.onclose) {
+                closed = true;
+                socket.onclose();
+            }
+        }, 0);
+    });
+    return socket;
+};
+headless.load(["armada/networking", "armada/dedicated-host"], function (networking, dedicatedHost) {
+    const gameModes = Object.values(networking.GameMode);
+    if (gameModes.indexOf(params.gameMode) < 0) {
+        exitWithUsageError("The value of --mode has to be one of: " + gameModes.join(", ") + "!");
+    }
+    dedicatedHost.start(params, function () {
+        // the host stops after an error it cannot recover from, which should not count as a successful run
+        process.exitCode = 1;
+    });
+});
@@ -0,0 +1,1001 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file A reference implementation of the multiplayer WebSocket server (backend) of Interstellar Armada for Node.js, implementing the
+ * same API (version 2.0) the game clients use through the armada/networking module. It can be used to play multiplayer games on a
+ * local network or to run multiplayer tests without access to the public server.
+ * The server has no game logic: it lists, creates and manages the games and their players and relays the messages (general game
+ * messages as stringified JSONs and game update messages as binary Float32Array data) between the players of the same game.
+ * Usage: node server.js [--port=<number>] [--region=<name>] [--max-clients=<count>] [--max-games=<count>] [--reconnect-grace=<seconds>]
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/* global process, Buffer */
+
+const
+        http = require('http'),
+        crypto = require('crypto'),
+        WebSocket = require('faye-websocket');
+
+const USAGE = "Usage: node server.js [--port=<number>] [--region=<name>] [--max-clients=<count>] [--max-games=<count>] [--reconnect-grace=<seconds>]";
+
+const
+        API_VERSION = "2.0",
+        // message types (same as in armada/networking)
+        MSG_TYPE_LIST = 0,
+        MSG_TYPE_HOST = 1,
+        MSG_TYPE_JOIN = 2,
+        MSG_TYPE_RTC_OFFER = 3,
+        MSG_TYPE_RTC_ANSWER = 4,
+        MSG_TYPE_TEXT = 5,
+        MSG_TYPE_PING = 6,
+        MSG_TYPE_PONG = 7,
+        MSG_TYPE_LEAVE = 8,
+        MSG_TYPE_ERROR = 9,
+        MSG_TYPE_KICK = 10,
+        MSG_TYPE_READY = 11,
+        MSG_TYPE_START = 12,
+        MSG_TYPE_LOADED = 13,
+        MSG_TYPE_PEER_CONNECTED = 14,
+        MSG_TYPE_PEER_DISCONNECTED = 15,
+        MSG_TYPE_HEARTBEAT = 16,
+        MSG_TYPE_GAME_SETTING = 17,
+        MSG_TYPE_PLAYER_SETTING = 18,
+        MSG_TYPE_PLAYER_STATS = 19,
+        MSG_TYPE_MATCH_CONCLUDED = 20,
+        MSG_TYPE_GUEST_TIMEOUT = 21,
+        MSG_TYPE_WELCOME = 22,
+        MSG_TYPE_SPECTATE = 23,
+        MSG_TYPE_PLAYER_DROPPED = 24,
+        MSG_TYPE_RECONNECT = 25,
+        MSG_TYPE_RESYNC = 26,
+        // error codes (same as in armada/networking)
+        ERROR_CODE_GAME_NOT_FOUND = 0,
+        ERROR_CODE_GAME_IS_FULL = 1,
+        ERROR_CODE_GAME_ALREADY_STARTED = 2,
+        ERROR_CODE_PLAYER_NAME_ALREADY_EXISTS = 3,
+        ERROR_CODE_GAME_NAME_ALREADY_EXISTS = 4,
+        ERROR_CODE_INVALID_GAME_SETTINGS = 5,
+        ERROR_CODE_INVALID_PLAYER_NAME = 6,
+        ERROR_CODE_INVALID_TEXT = 7,
+        ERROR_CODE_SERVER_IS_FULL = 8,
+        ERROR_CODE_GAME_NOT_STARTED = 9,
+        ERROR_CODE_CANNOT_RECONNECT = 10,
+        // limits (matching the ones enforced by the game client UI)
+        MIN_PLAYER_NAME_LENGTH = 2,
+        MAX_PLAYER_NAME_LENGTH = 18,
+        MIN_GAME_NAME_LENGTH = 3,
+        MAX_GAME_NAME_LENGTH = 18,
+        MAX_TEXT_LENGTH = 50,
+        MIN_PLAYERS_PER_GAME = 2,
+        MAX_PLAYERS_PER_GAME = 8,
+        MAX_SPECTATORS_PER_GAME = 8,
+        GAME_MODES = ["ffa", "coop", "tdm", "objective"],
+        /**
+         * The expected types of the general game settings (clients can only set these)
+         * @type Object.<String, String>
+         */
+        GAME_SETTING_TYPES = {
+            difficulty: "string",
+            friendlyFire: "boolean",
+            environment: "string",
+            loadout: "string",
+            enemiesPerWave: "number",
+            teamSizes: "object",
+            capitalShip: "string",
+            spacecrafts: "object",
+            dedicatedHost: "boolean"
+        },
+        /**
+         * The colors assigned to the players when they join a game (same as the ones they can choose from in the lobby)
+         * @type Number[][]
+         */
+        PLAYER_COLORS = [
+            [0.8, 0.2, 0.2],
+            [0.2, 0.2, 0.8],
+            [0.2, 0.8, 0.2],
+            [0.8, 0.8, 0.2],
+            [0.8, 0.2, 0.8],
+            [0.1, 0.1, 0.1],
+            [0.9, 0.9, 0.9]
+        ],
+        /**
+         * Clients are sent a WebSocket ping at this interval, in milliseconds
+         * @type Number
+         */
+        HEARTBEAT_INTERVAL = 15000,
+        /**
+         * Clients from which nothing (not even a pong) has been received for this long are disconnected, in milliseconds
+         * @type Number
+         */
+        CLIENT_TIMEOUT = 45000,
+        /**
+         * An empty game update message, which switches the clients receiving game updates through the server back to processing
+         * general game messages (for the next message)
+         * @type Buffer
+         */
+        SWITCH_TO_MESSAGE = Buffer.alloc(0);
+
+/**
+ * @typedef {Object} Client A connection to a game client
+ * @property {WebSocket} socket
+ * @property {String} name The player name the client uses in its current game
+ * @property {Game} game The game the client is currently in
+ * @property {Spectator} spectating Set if the client is watching a game as a spectator instead of playing in it
+ * @property {Number} lastActivity The timestamp of the last message received from the client
+ */
+/**
+ * @typedef {Object} Player
+ * @property {Client} client
+ * @property {String} name
+ * @property {Object} settings The player settings (color, spacecraft)
+ * @property {Object} stats The player stats (kills, deaths)
+ * @property {Boolean} ready
+ * @property {Boolean} loaded Whether the player has finished loading the battle of the started game
+ * @property {Boolean} peer Whether there is a WebRTC connection between the player and the host (so game updates do not need to be
+ * relayed by the server)
+ * @property {Boolean} left Whether the player has left the game after it started (players are kept in the list then, so that their
+ * indices stay the same for the clients)
+ * @property {String} reconnectToken The secret the player can use to reconnect to the game after losing its connection
+ * @property {Boolean} dropped Whether the connection of the player has been lost during the game and the server is waiting for it
+ * to reconnect (within the reconnect grace period, after which the player is considered to have left)
+ * @property {Timeout} dropTimeout The timeout ending the reconnect grace period of the dropped player
+ * @property {Boolean} reconnecting Whether the player has reconnected and is loading the battle again
+ */
+/**
+ * @typedef {Object} Spectator A client watching a started game without playing in it: it receives the game updates of the host
+ * (always through the server) and the player stats, but does not send any controls
+ * @property {Client} client
+ * @property {String} name
+ * @property {Game} game
+ * @property {Boolean} loaded Whether the spectator has finished loading the battle of the game
+ * @property {Boolean} playing Whether the spectator has been sent the start message and is receiving the game updates
+ */
+/**
+ * @typedef {Object} Game
+ * @property {String} name
+ * @property {String} mode
+ * @property {Number} maxPlayers
+ * @property {Object} settings
+ * @property {Player[]} players The first player is the host
+ * @property {Boolean} started Whether the game has been started by the host (players are loading or playing the battle)
+ * @property {Boolean} playing Whether all players have loaded the battle and are exchanging game update messages
+ * @property {Spectator[]} spectators The clients watching the started game (kept separately from the players, so that the
+ * indices of the players stay the same)
+ */
+
+/**
+ * The parameters the server has been started with
+ * @type Object
+ */
+let params;
+/**
+ * The currently connected clients
+ * @type Client[]
+ */
+const clients = [];
+/**
+ * The currently existing games, by name
+ * @type Object.<String, Game>
+ */
+const games = {};
+
+/**
+ * Parses the command line arguments into the server parameters.
+ * @param {String[]} args
+ * @returns {Object}
+ */
+function parseArguments(args) {
+    const result = {port: 8000, region: "local", maxClients: 100, maxGames: 20, reconnectGrace: 30};
+    for (const arg of args) {
+        const match = arg.match(/^--([a-z-]+)=(.*)$/);
+        if (!match) {
+            return null;
+        }
+        switch (match[1]) {
+            case "port":
+                result.port = parseInt(match[2], 10);
+                break;
+            case "region":
+                result.region = match[2];
+                break;
+            case "max-clients":
+                result.maxClients = parseInt(match[2], 10);
+                break;
+            case "max-games":
+                result.maxGames = parseInt(match[2], 10);
+                break;
+            case "reconnect-grace":
+                result.reconnectGrace = parseFloat(match[2]);
+                break;
+            default:
+                return null;
+        }
+    }
+    return ((result.port >= 0) && (result.maxClients > 0) && (result.maxGames > 0) && (result.reconnectGrace >= 0)) ? result : null;
+}
+
+/**
+ * Logs the passed message with a timestamp.
+ * @param {String} message
+ */
+function log(message) {
+    console.log("[" + new Date().toISOString() + "] " + message);
+}
+
+/**
+ * Sends the passed general game message to the passed client. If the client is receiving game update messages through the server,
+ * it is switched to processing general game messages first.
+ * @param {Client} client
+ * @param {Object} message
+ */
+function send(client, message) {
+    if ((client.game && client.game.playing) || (client.spectating && client.spectating.playing)) {
+        client.socket.send(SWITCH_TO_MESSAGE);
+    }
+    client.socket.send(JSON.stringify(message));
+}
+
+/**
+ * Sends an error message with the passed code to the passed client.
+ * @param {Client} client
+ * @param {Number} errorCode
+ */
+function sendError(client, errorCode) {
+    send(client, {type: MSG_TYPE_ERROR, errorCode: errorCode});
+}
+
+/**
+ * Sends the passed general game message to the players with the passed indices in the passed game.
+ * @param {Game} game
+ * @param {Object} message
+ * @param {Number[]} recipients
+ */
+function sendToPlayers(game, message, recipients) {
+    for (const index of recipients) {
+        const player = game.players[index];
+        if (player && !player.left && !player.dropped) {
+            send(player.client, message);
+        }
+    }
+}
+
+/**
+ * Sends the passed general game message to all the players of the passed game, except for the passed client.
+ * @param {Game} game
+ * @param {Object} message
+ * @param {Client} [except]
+ */
+function sendToGame(game, message, except) {
+    for (const player of game.players) {
+        if (!player.left && !player.dropped && (player.client !== except)) {
+            send(player.client, message);
+        }
+    }
+}
+
+/**
+ * Sends the passed general game message to all the spectators of the passed game.
+ * @param {Game} game
+ * @param {Object} message
+ */
+function sendToSpectators(game, message) {
+    for (const spectator of game.spectators) {
+        send(spectator.client, message);
+    }
+}
+
+/**
+ * Notifies the host of the passed game about the number of its spectators, so that it sends its game updates and stats through the
+ * server while there are any.
+ * @param {Game} game
+ */
+function sendSpectatorCount(game) {
+    send(game.players[0].client, {type: MSG_TYPE_SPECTATE, spectatorCount: game.spectators.length});
+}
+
+/**
+ * Sends the start message to the passed spectator, after which it processes the messages coming through the server as game updates.
+ * @param {Spectator} spectator
+ */
+function startSpectating(spectator) {
+    send(spectator.client, {type: MSG_TYPE_START});
+    spectator.playing = true;
+    log("Spectator '" + spectator.name + "' started watching game '" + spectator.game.name + "'.");
+}
+
+/**
+ * Removes the passed client from the spectators of the game it is watching, notifying the host.
+ * @param {Client} client
+ */
+function stopSpectating(client) {
+    const spectator = client.spectating;
+    const game = spectator.game;
+    game.spectators.splice(game.spectators.indexOf(spectator), 1);
+    client.spectating = null;
+    sendSpectatorCount(game);
+    log("Spectator '" + spectator.name + "' stopped watching game '" + game.name + "'.");
+}
+
+/**
+ * Returns the index of the player corresponding to the passed client within its game.
+ * @param {Client} client
+ * @returns {Number}
+ */
+function getPlayerIndex(client) {
+    return client.game ? client.game.players.findIndex(player => player.client === client) : -1;
+}
+
+/**
+ * Returns the player of the passed game with the passed name.
+ * @param {Game} game
+ * @param {String} name
+ * @returns {Player}
+ */
+function findPlayer(game, name) {
+    return game.players.find(player => player.name === name);
+}
+
+/**
+ * Returns the players of the passed game who have not left it.
+ * @param {Game} game
+ * @returns {Player[]}
+ */
+function getActivePlayers(game) {
+    return game.players.filter(player => !player.left);
+}
+
+/**
+ * Returns the player model to be sent to the clients.
+ * @param {Player} player
+ * @returns {Object}
+ */
+function getPlayerInfo(player) {
+    return {name: player.name, settings: player.settings, stats: player.stats, ready: player.ready, left: player.left};
+}
+
+/**
+ * Returns the game model to be sent to the passed client in the list of games.
+ * @param {Game} game
+ * @param {Client} client
+ * @returns {Object}
+ */
+function getGameListInfo(game, client) {
+    return {
+        name: game.name,
+        mode: game.mode,
+        host: game.players[0].name,
+        playerCount: getActivePlayers(game).length,
+        maxPlayers: game.maxPlayers,
+        started: game.started,
+        own: client.game === game
+    };
+}
+
+/**
+ * Whether the passed value is a valid player name.
+ * @param {String} name
+ * @returns {Boolean}
+ */
+function isValidPlayerName(name) {
+    return (typeof name === "string") && (name.trim() === name) &&
+            (name.length >= MIN_PLAYER_NAME_LENGTH) && (name.length <= MAX_PLAYER_NAME_LENGTH);
+}
+
+/**
+ * Whether the passed object only contains general game settings of the expected types.
+ * @param {Object} settings
+ * @returns {Boolean}
+ */
+function isValidGameSettings(settings) {
+    if (!settings || (typeof settings !== "object")) {
+        return false;
+    }
+    for (const key of Object.keys(settings)) {
+        if (typeof settings[key] !== GAME_SETTING_TYPES[key]) {
+            return false;
+        }
+    }
+    return (!settings.spacecrafts || (Array.isArray(settings.spacecrafts) && (settings.spacecrafts.length > 0) &&
+            settings.spacecrafts.every(spacecraft => typeof spacecraft === "string"))) &&
+            (!settings.teamSizes || (Array.isArray(settings.teamSizes) && (settings.teamSizes.length === 2) &&
+                    settings.teamSizes.every(size => Number.isInteger(size) && (size > 0))));
+}
+
+/**
+ * Creates the model for a new player of the passed game, with a color not used by the other players.
+ * @param {Game} game
+ * @param {Client} client
+ * @param {String} name
+ * @returns {Player}
+ */
+function createPlayer(game, client, name) {
+    const color = PLAYER_COLORS.find(color => !game.players.some(player => !player.left && (player.settings.color.join() === color.join())));
+    return {
+        client: client,
+        name: name,
+        settings: {
+            color: (color || PLAYER_COLORS[0]).slice(),
+            spacecraft: game.settings.spacecrafts[0]
+        },
+        stats: {kills: 0, deaths: 0},
+        ready: false,
+        loaded: false,
+        peer: false,
+        left: false,
+        reconnectToken: crypto.randomBytes(16).toString("hex"),
+        dropped: false,
+        dropTimeout: null,
+        reconnecting: false
+    };
+}
+
+/**
+ * Deletes the passed game, without notifying its players.
+ * @param {Game} game
+ */
+function deleteGame(game) {
+    for (const player of game.players) {
+        clearTimeout(player.dropTimeout);
+        if (player.client.game === game) {
+            player.client.game = null;
+        }
+    }
+    for (const spectator of game.spectators) {
+        spectator.client.spectating = null;
+    }
+    delete games[game.name];
+    log("Game '" + game.name + "' closed.");
+}
+
+/**
+ * Closes the passed started game if all of its guests have left it (only the host remained), as nobody can join it anymore.
+ * @param {Game} game
+ * @returns {Boolean} Whether the game has been closed
+ */
+function closeGameIfAbandoned(game) {
+    if (game.started && (getActivePlayers(game).length <= 1)) {
+        deleteGame(game);
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Starts the battle of the passed game if all the players have finished loading it.
+ * @param {Game} game
+ */
+function startBattleIfLoaded(game) {
+    if (game.started && !game.playing && getActivePlayers(game).every(player => player.loaded)) {
+        sendToGame(game, {type: MSG_TYPE_START});
+        // after the second start message, the clients process messages coming through the server as game updates
+        game.playing = true;
+        log("Battle started in game '" + game.name + "'.");
+        for (const spectator of game.spectators) {
+            if (spectator.loaded) {
+                startSpectating(spectator);
+            }
+        }
+    }
+}
+
+/**
+ * Removes the passed client from its game (if any), notifying the other players and the spectators. If the host leaves, the game is
+ * closed.
+ * @param {Client} client
+ */
+function leaveGame(client) {
+    if (client.spectating) {
+        stopSpectating(client);
+        return;
+    }
+    const game = client.game;
+    if (!game) {
+        return;
+    }
+    const index = getPlayerIndex(client);
+    const player = game.players[index];
+    sendToGame(game, {type: MSG_TYPE_LEAVE, playerName: player.name}, client);
+    sendToSpectators(game, {type: MSG_TYPE_LEAVE, playerName: player.name});
+    client.game = null;
+    if (index === 0) {
+        deleteGame(game);
+        return;
+    }
+    if (game.started) {
+        player.left = true;
+    } else {
+        game.players.splice(index, 1);
+    }
+    log("Player '" + player.name + "' left game '" + game.name + "'.");
+    if (game.started && !closeGameIfAbandoned(game)) {
+        startBattleIfLoaded(game);
+    }
+}
+
+/**
+ * Ends the reconnect grace period of the passed dropped player: it is considered to have left the game from now on.
+ * @param {Game} game
+ * @param {Player} player
+ */
+function expireDroppedPlayer(game, player) {
+    player.dropped = false;
+    player.dropTimeout = null;
+    player.left = true;
+    sendToGame(game, {type: MSG_TYPE_LEAVE, playerName: player.name});
+    sendToSpectators(game, {type: MSG_TYPE_LEAVE, playerName: player.name});
+    log("Player '" + player.name + "' did not reconnect to game '" + game.name + "' in time.");
+    if (!closeGameIfAbandoned(game)) {
+        startBattleIfLoaded(game);
+    }
+}
+
+/**
+ * Called when the connection of the passed client closes. Guests losing their connection during a started game are kept in the game
+ * for the reconnect grace period (notifying the other players and the spectators), so that they can reconnect and resume playing.
+ * Otherwise the client leaves its game.
+ * @param {Client} client
+ */
+function dropClient(client) {
+    const game = client.game;
+    const index = getPlayerIndex(client);
+    if (!game || !game.started || (index <= 0) || (params.reconnectGrace <= 0)) {
+        leaveGame(client);
+        return;
+    }
+    const player = game.players[index];
+    player.dropped = true;
+    player.reconnecting = false;
+    player.peer = false;
+    player.dropTimeout = setTimeout(expireDroppedPlayer, params.reconnectGrace * 1000, game, player);
+    client.game = null;
+    sendToGame(game, {type: MSG_TYPE_PLAYER_DROPPED, playerName: player.name});
+    sendToSpectators(game, {type: MSG_TYPE_PLAYER_DROPPED, playerName: player.name});
+    log("Player '" + player.name + "' lost connection to game '" + game.name + "'.");
+}
+
+/**
+ * Handlers for the general game messages received from the clients, by message type.
+ * @type Object.<Number, Function>
+ */
+const messageHandlers = {
+    [MSG_TYPE_LIST]: function (client) {
+        send(client, {
+            type: MSG_TYPE_LIST,
+            games: Object.values(games).map(game => getGameListInfo(game, client)),
+            players: clients.length
+        });
+    },
+    [MSG_TYPE_HOST]: function (client, data) {
+        if (!isValidPlayerName(data.playerName)) {
+            sendError(client, ERROR_CODE_INVALID_PLAYER_NAME);
+            return;
+        }
+        if ((typeof data.gameName !== "string") || (data.gameName.length < MIN_GAME_NAME_LENGTH) || (data.gameName.length > MAX_GAME_NAME_LENGTH) ||
+                (GAME_MODES.indexOf(data.gameMode) < 0) || !Number.isInteger(data.maxPlayers) ||
+                (data.maxPlayers < MIN_PLAYERS_PER_GAME) || (data.maxPlayers > MAX_PLAYERS_PER_GAME) ||
+                !isValidGameSettings(data.settings) || !data.settings.spacecrafts) {
+            sendError(client, ERROR_CODE_INVALID_GAME_SETTINGS);
+            return;
+        }
+        if (games[data.gameName]) {
+            sendError(client, ERROR_CODE_GAME_NAME_ALREADY_EXISTS);
+            return;
+        }
+        if (Object.keys(games).length >= params.maxGames) {
+            sendError(client, ERROR_CODE_SERVER_IS_FULL);
+            return;
+        }
+        leaveGame(client);
+        const game = {
+            name: data.gameName,
+            mode: data.gameMode,
+            maxPlayers: data.maxPlayers,
+            settings: data.settings,
+            players: [],
+            started: false,
+            playing: false,
+            spectators: []
+        };
+        game.players.push(createPlayer(game, client, data.playerName));
+        games[game.name] = game;
+        client.name = data.playerName;
+        client.game = game;
+        log("Player '" + client.name + "' created game '" + game.name + "' (" + game.mode + ", " + game.maxPlayers + " players).");
+        send(client, {
+            type: MSG_TYPE_HOST,
+            game: {
+                host: client.name,
+                name: game.name,
+                mode: game.mode,
+                maxPlayers: game.maxPlayers,
+                settings: game.settings,
+                players: game.players.map(getPlayerInfo)
+            }
+        });
+    },
+    [MSG_TYPE_JOIN]: function (client, data) {
+        const game = games[data.gameName];
+        if (!game) {
+            sendError(client, ERROR_CODE_GAME_NOT_FOUND);
+            return;
+        }
+        if (game.started) {
+            sendError(client, ERROR_CODE_GAME_ALREADY_STARTED);
+            return;
+        }
+        if (game.players.length >= game.maxPlayers) {
+            sendError(client, ERROR_CODE_GAME_IS_FULL);
+            return;
+        }
+        if (!isValidPlayerName(data.playerName)) {
+            sendError(client, ERROR_CODE_INVALID_PLAYER_NAME);
+            return;
+        }
+        if (findPlayer(game, data.playerName)) {
+            sendError(client, ERROR_CODE_PLAYER_NAME_ALREADY_EXISTS);
+            return;
+        }
+        leaveGame(client);
+        const player = createPlayer(game, client, data.playerName);
+        sendToGame(game, {type: MSG_TYPE_JOIN, player: getPlayerInfo(player)});
+        game.players.push(player);
+        client.name = data.playerName;
+        client.game = game;
+        log("Player '" + client.name + "' joined game '" + game.name + "'.");
+        send(client, {
+            type: MSG_TYPE_JOIN,
+            gameName: game.name,
+            gameMode: game.mode,
+            settings: game.settings,
+            players: game.players.map(getPlayerInfo),
+            reconnectToken: player.reconnectToken
+        });
+    },
+    [MSG_TYPE_RECONNECT]: function (client, data) {
+        const game = games[data.gameName];
+        if (!game) {
+            sendError(client, ERROR_CODE_GAME_NOT_FOUND);
+            return;
+        }
+        const player = findPlayer(game, data.playerName);
+        if (!player || (player === game.players[0]) || player.left || (player.reconnectToken !== data.reconnectToken)) {
+            sendError(client, ERROR_CODE_CANNOT_RECONNECT);
+            return;
+        }
+        leaveGame(client);
+        if (!player.dropped) {
+            // the server has not noticed yet that the old connection of the player has been lost
+            const oldClient = player.client;
+            oldClient.game = null;
+            oldClient.socket.close();
+            sendToGame(game, {type: MSG_TYPE_PLAYER_DROPPED, playerName: player.name});
+            sendToSpectators(game, {type: MSG_TYPE_PLAYER_DROPPED, playerName: player.name});
+        }
+        clearTimeout(player.dropTimeout);
+        player.dropTimeout = null;
+        player.dropped = false;
+        player.reconnecting = true;
+        player.loaded = false;
+        player.peer = false;
+        player.client = client;
+        client.name = player.name;
+        client.game = game;
+        log("Player '" + player.name + "' reconnected to game '" + game.name + "'.");
+        send(client, {
+            type: MSG_TYPE_RECONNECT,
+            gameName: game.name,
+            gameMode: game.mode,
+            settings: game.settings,
+            players: game.players.map(getPlayerInfo)
+        });
+    },
+    [MSG_TYPE_SPECTATE]: function (client, data) {
+        const game = games[data.gameName];
+        if (!game) {
+            sendError(client, ERROR_CODE_GAME_NOT_FOUND);
+            return;
+        }
+        if (!game.started) {
+            sendError(client, ERROR_CODE_GAME_NOT_STARTED);
+            return;
+        }
+        if (game.spectators.length >= MAX_SPECTATORS_PER_GAME) {
+            sendError(client, ERROR_CODE_GAME_IS_FULL);
+            return;
+        }
+        if (!isValidPlayerName(data.playerName)) {
+            sendError(client, ERROR_CODE_INVALID_PLAYER_NAME);
+            return;
+        }
+        if (findPlayer(game, data.playerName) || game.spectators.some(spectator => spectator.name === data.playerName)) {
+            sendError(client, ERROR_CODE_PLAYER_NAME_ALREADY_EXISTS);
+            return;
+        }
+        leaveGame(client);
+        const spectator = {client: client, name: data.playerName, game: game, loaded: false, playing: false};
+        game.spectators.push(spectator);
+        client.name = data.playerName;
+        client.spectating = spectator;
+        log("Spectator '" + client.name + "' joined game '" + game.name + "'.");
+        send(client, {
+            type: MSG_TYPE_SPECTATE,
+            gameName: game.name,
+            gameMode: game.mode,
+            settings: game.settings,
+            // the spectator needs to know who left, as the spacecrafts of all the players are part of the battle
+            players: game.players.map(getPlayerInfo)
+        });
+        sendSpectatorCount(game);
+    },
+    [MSG_TYPE_LEAVE]: function (client) {
+        leaveGame(client);
+    },
+    [MSG_TYPE_KICK]: function (client, data) {
+        const game = client.game;
+        if (!game || (getPlayerIndex(client) !== 0)) {
+            return;
+        }
+        const index = game.players.findIndex(player => player.name === data.playerName);
+        if (index > 0) {
+            const kicked = game.players[index];
+            // the host also removes the kicked player from its list when receiving this
+            sendToGame(game, {type: MSG_TYPE_KICK, playerName: kicked.name});
+            game.players.splice(index, 1);
+            kicked.client.game = null;
+            log("Player '" + kicked.name + "' was kicked from game '" + game.name + "'.");
+            startBattleIfLoaded(game);
+        }
+    },
+    [MSG_TYPE_TEXT]: function (client, data) {
+        if (!client.game) {
+            return;
+        }
+        if ((typeof data.text !== "string") || (data.text.length === 0) || (data.text.length > MAX_TEXT_LENGTH)) {
+            sendError(client, ERROR_CODE_INVALID_TEXT);
+            return;
+        }
+        sendToPlayers(client.game, {type: MSG_TYPE_TEXT, sender: client.name, text: data.text}, data.recipients || []);
+    },
+    [MSG_TYPE_PONG]: function (client, data) {
+        if (client.game) {
+            sendToPlayers(client.game, {type: MSG_TYPE_PONG, sender: getPlayerIndex(client)}, [data.recipient]);
+        }
+    },
+    [MSG_TYPE_RTC_OFFER]: function (client, data) {
+        const player = client.game && (getPlayerIndex(client) === 0) && findPlayer(client.game, data.playerName);
+        if (player && !player.left) {
+            send(player.client, {type: MSG_TYPE_RTC_OFFER, offer: data.offer});
+        }
+    },
+    [MSG_TYPE_RTC_ANSWER]: function (client, data) {
+        if (client.game && (getPlayerIndex(client) > 0)) {
+            send(client.game.players[0].client, {type: MSG_TYPE_RTC_ANSWER, answer: data.answer, playerName: client.name});
+        }
+    },
+    [MSG_TYPE_READY]: function (client) {
+        if (client.game && !client.game.started) {
+            client.game.players[getPlayerIndex(client)].ready = true;
+            sendToGame(client.game, {type: MSG_TYPE_READY, playerName: client.name}, client);
+        }
+    },
+    [MSG_TYPE_START]: function (client) {
+        const game = client.game;
+        if (game && !game.started && (getPlayerIndex(client) === 0) && (game.players.length >= MIN_PLAYERS_PER_GAME) &&
+                game.players.slice(1).every(player => player.ready)) {
+            game.started = true;
+            log("Game '" + game.name + "' started with " + game.players.length + " players.");
+            // the players load the battle after the first start message
+            sendToGame(game, {type: MSG_TYPE_START});
+        }
+    },
+    [MSG_TYPE_LOADED]: function (client) {
+        if (client.spectating) {
+            client.spectating.loaded = true;
+            // spectators joining a game in progress start watching right away, the others together with the players
+            if (client.spectating.game.playing && !client.spectating.playing) {
+                startSpectating(client.spectating);
+            }
+            return;
+        }
+        const game = client.game;
+        if (game && game.started) {
+            const player = game.players[getPlayerIndex(client)];
+            player.loaded = true;
+            if (player.reconnecting) {
+                player.reconnecting = false;
+                if (game.playing) {
+                    send(client, {type: MSG_TYPE_START});
+                }
+                // the host sends the current state of the battle to the reconnected player when receiving this
+                sendToGame(game, {type: MSG_TYPE_RECONNECT, playerName: player.name}, client);
+                sendToSpectators(game, {type: MSG_TYPE_RECONNECT, playerName: player.name});
+            }
+            startBattleIfLoaded(game);
+        }
+    },
+    [MSG_TYPE_PEER_CONNECTED]: function (client, data) {
+        const game = client.game;
+        if (game) {
+            // the host reports the guest, the guest reports the host
+            const player = (getPlayerIndex(client) === 0) ? findPlayer(game, data.playerName) : game.players[getPlayerIndex(client)];
+            if (player) {
+                player.peer = true;
+            }
+        }
+    },
+    [MSG_TYPE_PEER_DISCONNECTED]: function (client, data) {
+        const game = client.game;
+        if (game) {
+            const player = (getPlayerIndex(client) === 0) ? findPlayer(game, data.playerName) : game.players[getPlayerIndex(client)];
+            if (player) {
+                player.peer = false;
+            }
+        }
+    },
+    [MSG_TYPE_HEARTBEAT]: function () {
+        // only keeps the connection alive
+    },
+    [MSG_TYPE_GAME_SETTING]: function (client, data) {
+        const game = client.game;
+        if (game && !game.started && (getPlayerIndex(client) === 0)) {
+            if (!isValidGameSettings(data.settings)) {
+                sendError(client, ERROR_CODE_INVALID_GAME_SETTINGS);
+                return;
+            }
+            Object.assign(game.settings, data.settings);
+            sendToGame(game, {type: MSG_TYPE_GAME_SETTING, settings: data.settings}, client);
+        }
+    },
+    [MSG_TYPE_PLAYER_SETTING]: function (client, data) {
+        const game = client.game;
+        if (game && !game.started && data.settings && (typeof data.settings === "object")) {
+            Object.assign(game.players[getPlayerIndex(client)].settings, data.settings);
+            sendToGame(game, {type: MSG_TYPE_PLAYER_SETTING, playerName: client.name, settings: data.settings}, client);
+        }
+    },
+    [MSG_TYPE_MATCH_CONCLUDED]: function (client, data) {
+        const game = client.game;
+        if (!game) {
+            return;
+        }
+        if (getPlayerIndex(client) === 0) {
+            sendToPlayers(game, {type: MSG_TYPE_MATCH_CONCLUDED, players: data.players, winnerTeam: data.winnerTeam}, data.recipients || []);
+            sendToSpectators(game, {type: MSG_TYPE_MATCH_CONCLUDED, players: data.players, winnerTeam: data.winnerTeam});
+            log("Match concluded in game '" + game.name + "'.");
+            deleteGame(game);
+        } else {
+            client.game = null;
+        }
+    },
+    [MSG_TYPE_GUEST_TIMEOUT]: function (client, data) {
+        const game = client.game;
+        if (game && (getPlayerIndex(client) === 0)) {
+            const player = findPlayer(game, data.playerName);
+            sendToPlayers(game, {type: MSG_TYPE_GUEST_TIMEOUT, playerName: data.playerName}, data.recipients || []);
+            sendToSpectators(game, {type: MSG_TYPE_GUEST_TIMEOUT, playerName: data.playerName});
+            if (player && (player !== game.players[0]) && !player.left) {
+                player.left = true;
+                player.client.game = null;
+                log("Player '" + player.name + "' timed out from game '" + game.name + "'.");
+                closeGameIfAbandoned(game);
+            }
+        }
+    }
+};
+
+// messages to the players with the passed indices that are relayed without processing (other than adding the sender index)
+for (const type of [MSG_TYPE_PING, MSG_TYPE_PLAYER_STATS, MSG_TYPE_RESYNC]) {
+    messageHandlers[type] = function (client, data) {
+        if (client.game) {
+            const recipients = data.recipients || [];
+            delete data.recipients;
+            data.sender = getPlayerIndex(client);
+            sendToPlayers(client.game, data, recipients);
+            // the spectators follow the stats of the players as sent by the host
+            if ((data.type === MSG_TYPE_PLAYER_STATS) && (data.sender === 0)) {
+                sendToSpectators(client.game, data);
+            }
+        }
+    };
+}
+
+/**
+ * Relays the passed game update message (Float32Array data): from the host to all the guests not connected to it via WebRTC and
+ * to the spectators, and from a guest to the host.
+ * @param {Client} client
+ * @param {Buffer} data
+ */
+function relayGameUpdate(client, data) {
+    const game = client.game;
+    if (!game || !game.playing) {
+        return;
+    }
+    const index = getPlayerIndex(client);
+    if (index === 0) {
+        for (const player of game.players.slice(1)) {
+            if (!player.left && !player.dropped && !player.reconnecting && !player.peer) {
+                player.client.socket.send(data);
+            }
+        }
+        for (const spectator of game.spectators) {
+            if (spectator.playing) {
+                spectator.client.socket.send(data);
+            }
+        }
+    } else if (!game.players[index].peer) {
+        game.players[0].client.socket.send(data);
+    }
+}
+
+/**
+ * Sets up a client for the passed newly opened WebSocket connection.
+ * @param {WebSocket} socket
+ */
+function addClient(socket) {
+    const client = {socket: socket, name: null, game: null, spectating: null, lastActivity: Date.now()};
+    if (clients.length >= params.maxClients) {
+        sendError(client, ERROR_CODE_SERVER_IS_FULL);
+        socket.close();
+        return;
+    }
+    clients.push(client);
+    send(client, {type: MSG_TYPE_WELCOME, apiVersion: API_VERSION, region: params.region});
+    socket.on('message', function (event) {
+        client.lastActivity = Date.now();
+        if (typeof event.data !== "string") {
+            relayGameUpdate(client, event.data);
+            return;
+        }
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (error) {
+            log("Invalid message received: " + error.message);
+            return;
+        }
+        if (data && messageHandlers[data.type]) {
+            messageHandlers[data.type](client, data);
+        }
+    });
+    socket.on('close', function () {
+        dropClient(client);
+        clients.splice(clients.indexOf(client), 1);
+    });
+}
+
+/**
+ * Sends a WebSocket ping to all the clients and disconnects the ones from which nothing has been received for a while.
+ */
+function checkClients() {
+    const now = Date.now();
+    for (const client of clients.slice()) {
+        if (now - client.lastActivity > CLIENT_TIMEOUT) {
+            log("Client " + (client.name ? "'" + client.name + "' " : "") + "timed out.");
+            client.socket.close();
+        } else {
+            client.socket.ping("", function () {
+                client.lastActivity = Date.now();
+            });
+        }
+    }
+}
+
+params = parseArguments(process.argv.slice(2));
+if (!params) {
+    console.error(USAGE);
+    process.exit(1);
+}
+const server = http.createServer(function (request, response) {
+    response.writeHead(426, {'Content-Type': 'text/plain'});
+    response.end("Interstellar Armada multiplayer server, API version " + API_VERSION + "\n");
+});
+server.on('upgrade', function (request, socket, body) {
+    if (WebSocket.isWebSocket(request)) {
+        addClient(new WebSocket(request, socket, body));
+    }
+});
+server.listen(params.port, function () {
+    log("Multiplayer server (API version " + API_VERSION + ", region: " + params.region + ") listening on port " + server.address().port + ".");
+});
+setInterval(checkClients, HEARTBEAT_INTERVAL);
@@ -0,0 +1,82 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file Node.js launch file for running headless mission simulations of Interstellar Armada.
+ * The battles in the given missions are simulated without graphics and sound, with all spacecrafts controlled by the AI, and a JSON
+ * report is printed to the standard output for each run (see the armada/simulation module).
+ * Usage: node simulate.js [--difficulty=<name>] [--runs=<count>] [--seed=<number>] [--time-limit=<seconds>] [--demo] <mission>...
+ * where <mission> is the name of a mission file within data/missions, e.g. tests/fleetBattle.json
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/* global process */
+
+const headless = require('./headless');
+
+const USAGE = "Usage: node simulate.js [--difficulty=<name>] [--runs=<count>] [--seed=<number>] [--time-limit=<seconds>] [--demo] <mission>...";
+
+/**
+ * Parses the command line arguments into the mission names and the simulation parameters.
+ * @param {String[]} args
+ * @returns {Object}
+ */
+function parseArguments(args) {
+    const result = {missionNames: [], runs: 1, params: {}};
+    for (const arg of args) {
+        const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!match) {
+            result.missionNames.push(arg);
+            continue;
+        }
+        switch (match[1]) {
+            case "difficulty":
+                result.params.difficulty = match[2];
+                break;
+            case "runs":
+                result.runs = parseInt(match[2], 10);
+                break;
+            case "seed":
+                result.params.seed = parseFloat(match[2]);
+                break;
+            case "time-limit":
+                result.params.timeLimit = parseFloat(match[2]);
+                break;
+            case "demo":
+                result.params.demoMode = true;
+                break;
+            default:
+                return null;
+        }
+    }
+    return (result.missionNames.length > 0) && (result.runs > 0) ? result : null;
+}
+
+const options = parseArguments(process.argv.slice(2));
+if (!options) {
+    console.error(USAGE);
+    process.exit(1);
+}
+headless.load(["armada/simulation"], function (simulation) {
+    const reports = [];
+    const runs = [];
+    for (const missionName of options.missionNames) {
+        for (let i = 0; i < options.runs; i++) {
+            runs.push(missionName);
+        }
+    }
+    const runNext = function () {
+        if (runs.length === 0) {
+            process.stdout.write(JSON.stringify(reports, null, 4) + "\n");
+            return;
+        }
+        simulation.runMission(runs.shift(), options.params, function (report) {
+            if (report) {
+                reports.push(report);
+            } else {
+                process.exitCode = 1;
+            }
+            runNext();
+        });
+    };
+    simulation.requestLoad(runNext);
+});
@@ -17,6 +17,9 @@
  * @param config Used to load general game configuration and settings
  * @param environments Used to load the environments
  * @param missions Used to load the missions
+ * @param career Used to load the career configuration and the career of the player
+ * @param survival Used to load the survival high scores of the player
+ * @param profiles Used to load the list of pilot profiles
  * @param missionHub Used to initialize mission hub backend config
  * @param control Used to load the control configuration and setings of the game and access main functionality
  * @param strings Used to load the game translation strings
@@ -24,6 +27,10 @@
  * @param armadaScreens Used for screen constants
  * @param menus Used to create menu screens
  * @param missionsScreen Used to create the mission chooser screen
+ * @param hangar Used to create the hangar screen
+ * @param profilesScreen Used to create the pilot profiles screen
+ * @param skirmishScreen Used to create the skirmish screen
+ * @param survivalScreen Used to create the survival screen
  * @param multiGames Used to create the multiplayer game chooser screen
  * @param multiLobby Used to create the multiplayer game lobby screen
  * @param battle Used to create the battle screen
@@ -49,6 +56,9 @@ define([
     "armada/configuration",
     "armada/logic/environments",
     "armada/logic/missions",
+    "armada/logic/career",
+    "armada/logic/survival",
+    "armada/profiles",
     "armada/logic/mission-hub",
     "armada/control",
     "armada/strings",
@@ -56,6 +66,10 @@ define([
     "armada/screens/shared",
     "armada/screens/menus",
     "armada/screens/missions",
+    "armada/screens/hangar",
+    "armada/screens/profiles",
+    "armada/screens/skirmish",
+    "armada/screens/survival",
     "armada/screens/multi-games",
     "armada/screens/multi-lobby",
     "armada/screens/battle",
@@ -71,8 +85,8 @@ define([
     "armada/screens/dialog"
 ], function (
         game, components, analytics, lights,
-        constants, graphics, audio, config, environments, missions, missionHub, control, strings, networking,
-        armadaScreens, menus, missionsScreen, multiGames, multiLobby, battle, debriefing, multiScore, database, generalSettings, graphicsScreen, audioScreen, gameplaySettingsScreen, controlsScreen, aboutScreen, dialogScreen) {
+        constants, graphics, audio, config, environments, missions, career, survival, profiles, missionHub, control, strings, networking,
+        armadaScreens, menus, missionsScreen, hangar, profilesScreen, skirmishScreen, survivalScreen, multiGames, multiLobby, battle, debriefing, multiScore, database, generalSettings, graphicsScreen, audioScreen, gameplaySettingsScreen, controlsScreen, aboutScreen, dialogScreen) {
     "use strict";
     // -------------------------------------------------------------------------
     // local variables
@@ -89,6 +103,8 @@ define([
     // -------------------------------------------------------------------------
     // Overridden protected methods
     game._loadGameSettingsAndExecuteCallback = function (settingsJSON, callback) {
+        // the data of the active profile is kept under the regular local storage IDs, so the profile list only needs to be set up
+        profiles.loadFromLocalStorage();
         // load defaults from the JSON files and then overwrite with local preferences (of which only differences from defaults are stored)
         graphics.loadSettingsFromJSON(settingsJSON.graphics);
         graphics.loadSettingsFromLocalStorage();
@@ -98,6 +114,8 @@ define([
         control.loadSettingsFromJSON(settingsJSON.control);
         control.loadSettingsFromLocalStorage();
         missions.loadSettingsFromLocalStorage();
+        career.loadFromLocalStorage();
+        survival.loadFromLocalStorage();
         graphics.executeWhenReady(function () {
             lights.setupLiSPSM(graphics.getLispsmMinimumNear(), graphics.getLispsmNearFactor());
         });
@@ -119,6 +137,7 @@ define([
         graphics.loadConfigurationFromJSON(configJSON.graphics);
         audio.loadConfigurationFromJSON(configJSON.audio);
         missions.loadConfigurationFromJSON(configJSON.logic);
+        career.loadConfigurationFromJSON(configJSON.logic.career);
         control.loadConfigurationFromJSON(configJSON.control);
         _progressBar.value = 1;
         if (configJSON.analyticsEnabled) {
@@ -137,6 +156,10 @@ define([
         game.addScreen(menus.getMainMenuScreen());
         game.addScreen(menus.getSinglePlayerMenuScreen());
         game.addScreen(missionsScreen.getMissionsScreen());
+        game.addScreen(hangar.getHangarScreen());
+        game.addScreen(profilesScreen.getProfilesScreen());
+        game.addScreen(skirmishScreen.getSkirmishScreen());
+        game.addScreen(survivalScreen.getSurvivalScreen());
         game.addScreen(multiGames.getMultiGamesScreen());
         game.addScreen(multiLobby.getMultiLobbyScreen());
         game.addScreen(battle.getBattleScreen());
@@ -397,9 +397,12 @@ define([
      * @param {Number} x The X coordinate of the initial position of the sound source, in camera-space
      * @param {Number} y The Y coordinate of the initial position of the sound source, in camera-space
      * @param {Number} z The Z coordinate of the initial position of the sound source, in camera-space
-     * @returns {SoundSource}
+     * @returns {SoundSource} Null when running in headless mode (as there is no audio output)
      */
     AudioSettingsContext.prototype.createSoundSource = function (x, y, z) {
+        if (application.isHeadless()) {
+            return null;
+        }
         return new audio.SoundSource(x, y, z, this._panningModel, this._rolloffFactor);
     };
     // -------------------------------------------------------------------------
@@ -80,6 +80,16 @@ define([
              * @type String
              */
             LOCAL_STORAGE_HUD_PREFIX,
+            /**
+             * The full prefix to use for local storage IDs of the HUD layout profiles (followed by the index of the profile)
+             * @type String
+             */
+            LOCAL_STORAGE_HUD_LAYOUT_PREFIX,
+            /**
+             * The local storage ID under which the index of the active HUD layout profile is stored
+             * @type String
+             */
+            LOCAL_STORAGE_HUD_LAYOUT_PROFILE_ID,
             /**
              * The full prefix to use for local storage IDs of battle settings
              * @type String
@@ -269,6 +279,23 @@ define([
             elementType: types.VECTOR2 // relative position (within the wing layout) of the craft on the wingmen indicator panel
         }
     };
+    _customTypes.CAPITAL_SHIP_DESCRIPTOR = {
+        baseType: "object",
+        properties: {
+            CLASS: {
+                name: "class",
+                type: "string"
+            },
+            LOADOUT: {
+                name: "loadout",
+                type: "string"
+            },
+            AI: {
+                name: "ai",
+                type: "string"
+            }
+        }
+    };
     _customTypes.NUMBER_ARRAY = {
         baseType: "array",
         elementType: "number"
@@ -462,6 +489,17 @@ define([
             name: "loadouts",
             type: _customTypes.STRING_ARRAY
         },
+        /**
+         * Which capital ships (with which loadout and AI) can the host choose
+         * for the teams to attack / defend in objective games
+         */
+        CAPITAL_SHIPS: {
+            name: "capitalShips",
+            type: {
+                baseType: "array",
+                elementType: _customTypes.CAPITAL_SHIP_DESCRIPTOR
+            }
+        },
         /**
          * In multiplayer, the "slow connection" message is shown to the guest
          * player, if it doesn't get any updates from the host for this much
@@ -488,6 +526,78 @@ define([
         DISCONNECT_THRESHOLD: {
             name: "disconnectThreshold",
             type: "number"
+        },
+        /**
+         * When a multiplayer guest loses connection to the server during a
+         * game, it keeps trying to reconnect and rejoin the game for this
+         * much time, in milliseconds (the server keeps the player in the game
+         * for a grace period as well)
+         */
+        REJOIN_TIMEOUT: {
+            name: "rejoinTimeout",
+            type: "number"
+        },
+        /**
+         * The time to wait between the attempts to reconnect to the server
+         * when trying to rejoin a multiplayer game, in milliseconds
+         */
+        REJOIN_RETRY_INTERVAL: {
+            name: "rejoinRetryInterval",
+            type: "number"
+        },
+        /**
+         * Multiplayer guests display the other spacecrafts with at least this
+         * much delay, interpolating between the states received from the
+         * host, in milliseconds
+         */
+        INTERPOLATION_DELAY: {
+            name: "interpolationDelay",
+            type: "number"
+        },
+        /**
+         * The interpolation delay is increased by the ping to the host
+         * multiplied by this factor, to have enough received states to
+         * interpolate between over connections with larger latency (and
+         * jitter)
+         */
+        INTERPOLATION_PING_FACTOR: {
+            name: "interpolationPingFactor",
+            type: "number"
+        },
+        /**
+         * The interpolation delay is never increased above this value, in
+         * milliseconds
+         */
+        MAX_INTERPOLATION_DELAY: {
+            name: "maxInterpolationDelay",
+            type: "number"
+        },
+        /**
+         * When there is no newer state received from the host to interpolate
+         * towards, multiplayer guests extrapolate the movement of spacecrafts
+         * for at most this much time, in milliseconds
+         */
+        MAX_EXTRAPOLATION_TIME: {
+            name: "maxExtrapolationTime",
+            type: "number"
+        },
+        /**
+         * If the position of their piloted spacecraft predicted by a
+         * multiplayer guest differs from the one received from the host by
+         * more than this distance (in meters), it is reset instead of being
+         * corrected smoothly
+         */
+        PREDICTION_SNAP_DISTANCE: {
+            name: "predictionSnapDistance",
+            type: "number"
+        },
+        /**
+         * The ratio of the prediction error of their piloted spacecraft
+         * multiplayer guests correct per second
+         */
+        PREDICTION_CORRECTION_RATE: {
+            name: "predictionCorrectionRate",
+            type: "number"
         }
     };
     DATABASE_SETTINGS = {
@@ -1260,7 +1370,7 @@ define([
             },
             TARGET_INFO_TEXT: {
                 name: "targetInfoText",
-                type: _customTypes.getCustomDescriptor(_customTypes.TEXT_DESCRIPTOR, {COLOR: ["hostile", "friendly"], FONT_SIZE: ["name", "others"], POSITION: ["name", "class", "team", "firepower", "distance", "velocity"]})
+                type: _customTypes.getCustomDescriptor(_customTypes.TEXT_DESCRIPTOR, {COLOR: ["hostile", "friendly"], FONT_SIZE: ["name", "others"], POSITION: ["name", "class", "team", "firepower", "subsystems", "distance", "velocity"]})
             },
             WINGMEN_STATUS_BACKGROUND: {
                 name: "wingmenStatusBackground",
@@ -1298,6 +1408,141 @@ define([
                 name: "wingmenStatusSquadText",
                 type: _customTypes.TEXT_DESCRIPTOR
             },
+            /**
+             * Displays the order the wingmen of the player are currently executing on the wingmen status panel
+             */
+            WINGMEN_STATUS_ORDER_TEXT: {
+                name: "wingmenStatusOrderText",
+                type: _customTypes.TEXT_DESCRIPTOR
+            },
+            WINGMEN_ORDERS_BACKGROUND: {
+                name: "wingmenOrdersBackground",
+                type: _customTypes.UI_LAID_OUT_IMAGE_DESCRIPTOR
+            },
+            WINGMEN_ORDERS_HEADER_TEXT: {
+                name: "wingmenOrdersHeaderText",
+                type: _customTypes.TEXT_DESCRIPTOR
+            },
+            WINGMEN_ORDERS_TEXT: {
+                name: "wingmenOrdersText",
+                type: _customTypes.getCustomDescriptor(_customTypes.TEXT_DESCRIPTOR, {COLOR: ["default", "highlighted"]})
+            },
+            WINGMEN_ORDERS_TEXT_OFFSET: {
+                name: "wingmenOrdersTextOffset",
+                type: "number"
+            },
+            /**
+             * The wingmen order menu closes automatically if the player does not navigate in it or give an order for this long, in
+             * milliseconds
+             */
+            WINGMEN_ORDERS_MENU_TIMEOUT: {
+                name: "wingmenOrdersMenuTimeout",
+                type: "number"
+            },
+            POWER_BACKGROUND: {
+                name: "powerBackground",
+                type: _customTypes.UI_LAID_OUT_IMAGE_DESCRIPTOR
+            },
+            POWER_HEADER_TEXT: {
+                name: "powerHeaderText",
+                type: _customTypes.TEXT_DESCRIPTOR
+            },
+            /**
+             * The names of the systems on the power distribution gauge (in the order of the PowerSystem enum defined in classes.js)
+             */
+            POWER_TEXT: {
+                name: "powerText",
+                type: _customTypes.TEXT_DESCRIPTOR
+            },
+            POWER_TEXT_OFFSET: {
+                name: "powerTextOffset",
+                type: "number"
+            },
+            /**
+             * The bars showing the ratio of the reactor output allocated to each system. The layout is for the first bar, the others are
+             * offset the same way as the texts.
+             */
+            POWER_BARS: {
+                name: "powerBars",
+                type: _customTypes.getCustomDescriptor(_customTypes.UI_LAID_OUT_IMAGE_DESCRIPTOR, {COLOR: ["shields", "weapons", "engines", "empty"]})
+            },
+            BOOSTER_BACKGROUND: {
+                name: "boosterBackground",
+                type: _customTypes.UI_LAID_OUT_IMAGE_DESCRIPTOR
+            },
+            BOOSTER_HEADER_TEXT: {
+                name: "boosterHeaderText",
+                type: _customTypes.TEXT_DESCRIPTOR
+            },
+            /**
+             * The gauge showing the fuel left in the booster (with a different color while the booster is engaged)
+             */
+            BOOSTER_BAR: {
+                name: "boosterBar",
+                type: _customTypes.getCustomDescriptor(_customTypes.UI_LAID_OUT_IMAGE_DESCRIPTOR, {COLOR: ["filled", "engaged", "empty"]})
+            },
+            COUNTERMEASURES_TEXT: {
+                name: "countermeasuresText",
+                type: _customTypes.getCustomDescriptor(_customTypes.TEXT_DESCRIPTOR, {COLOR: ["default", "empty"]})
+            },
+            /**
+             * The ellipse representing the plane of the piloted spacecraft on the radar, with the spacecraft at its center
+             */
+            RADAR: {
+                name: "radar",
+                type: _customTypes.UI_LAID_OUT_IMAGE_DESCRIPTOR
+            },
+            /**
+             * The icons marking the sensed spacecrafts (objective targets and escorted ships with the respective status icons) and 
+             * missiles on the radar. The sizes are in the same (clip space) units as the layout of the radar, so the blips are scaled
+             * together with it. Blips get the color of the team of the spacecraft (or of the one that launched the missile) if it has
+             * one, otherwise the friendly / hostile color (the neutral color is for missiles without a known origin).
+             */
+            RADAR_BLIP: {
+                name: "radarBlip",
+                type: _customTypes.getCustomDescriptor(_customTypes.UI_IMAGE_DESCRIPTOR, {MAPPING: ["spacecraft", "missile", "destroy", "protect"], SIZE: ["spacecraft", "missile", "objective"], COLOR: ["friendly", "hostile", "neutral"]}, ["SCALE_MODE"])
+            },
+            /**
+             * The vertical lines connecting the blips to the plane of the radar, indicating how far above / below the piloted spacecraft
+             * the represented objects are
+             */
+            RADAR_STALK: {
+                name: "radarStalk",
+                type: _customTypes.getCustomDescriptor(_customTypes.UI_IMAGE_DESCRIPTOR, {}, ["SIZE", "SCALE_MODE", "COLOR"])
+            },
+            RADAR_STALK_WIDTH: {
+                name: "radarStalkWidth",
+                type: "number"
+            },
+            /**
+             * The alpha of the color of the stalks is multiplied by this factor compared to that of their blips
+             */
+            RADAR_STALK_ALPHA_FACTOR: {
+                name: "radarStalkAlphaFactor",
+                type: "number"
+            },
+            /**
+             * Objects at the edge of the radar range directly above the piloted spacecraft are displayed this much higher than the 
+             * center of the radar, relative to half of its width
+             */
+            RADAR_HEIGHT_FACTOR: {
+                name: "radarHeightFactor",
+                type: "number"
+            },
+            /**
+             * The range of the radar can be switched between these ratios of the current sensor range of the piloted spacecraft
+             */
+            RADAR_ZOOM_STEPS: {
+                name: "radarZoomSteps",
+                type: _customTypes.NUMBER_ARRAY
+            },
+            /**
+             * Displays the current range of the radar (positioned relative to the radar layout)
+             */
+            RADAR_RANGE_TEXT: {
+                name: "radarRangeText",
+                type: _customTypes.TEXT_DESCRIPTOR
+            },
             SPEED_BAR: {
                 name: "speedBar",
                 type: _customTypes.getCustomDescriptor(_customTypes.UI_LAID_OUT_IMAGE_DESCRIPTOR, {COLOR: ["combatFilled", "combatEmpty", "combatReverseFilled", "combatReverseEmpty", "cruiseFilled", "cruiseEmpty", "cruiseReverseFilled", "cruiseReverseEmpty", "freeFilled", "freeEmpty", "freeReverseFilled", "freeReverseEmpty"]})
@@ -1486,6 +1731,67 @@ define([
                 name: "maxEscortsDisplayed",
                 type: "number"
             },
+            /**
+             * The number of separate HUD layout profiles the player can arrange and switch between in the HUD layout editor
+             */
+            LAYOUT_PROFILE_COUNT: {
+                name: "layoutProfileCount",
+                type: "number"
+            },
+            /**
+             * The frame marking the HUD section selected in the layout editor (with a different color if the section is hidden)
+             */
+            LAYOUT_EDITOR_FRAME: {
+                name: "layoutEditorFrame",
+                type: _customTypes.getCustomDescriptor(_customTypes.UI_IMAGE_DESCRIPTOR, {COLOR: ["selected", "hidden"]}, ["SIZE", "SCALE_MODE"])
+            },
+            LAYOUT_EDITOR_TEXT_LAYER_LAYOUT: {
+                name: "layoutEditorTextLayerLayout",
+                type: _customTypes.LAYOUT_DESCRIPTOR
+            },
+            LAYOUT_EDITOR_HEADER_TEXT: {
+                name: "layoutEditorHeaderText",
+                type: _customTypes.TEXT_DESCRIPTOR
+            },
+            LAYOUT_EDITOR_HELP_TEXT: {
+                name: "layoutEditorHelpText",
+                type: _customTypes.TEXT_DESCRIPTOR
+            },
+            /**
+             * The tints the player can cycle through for each HUD section in the layout editor. The alpha component determines the 
+             * strength of the tint, so the first one should have 0 (keeping the original colors of the section)
+             */
+            LAYOUT_EDITOR_TINTS: {
+                name: "layoutEditorTints",
+                type: {
+                    baseType: "array",
+                    elementType: types.COLOR4
+                }
+            },
+            /**
+             * How much a HUD section is moved by one key press in the layout editor, in clip space (the fine step is used while holding
+             * shift)
+             */
+            LAYOUT_EDITOR_MOVE_STEP: {
+                name: "layoutEditorMoveStep",
+                type: "number"
+            },
+            LAYOUT_EDITOR_FINE_MOVE_STEP: {
+                name: "layoutEditorFineMoveStep",
+                type: "number"
+            },
+            LAYOUT_EDITOR_SCALE_STEP: {
+                name: "layoutEditorScaleStep",
+                type: "number"
+            },
+            LAYOUT_EDITOR_MIN_SCALE: {
+                name: "layoutEditorMinScale",
+                type: "number"
+            },
+            LAYOUT_EDITOR_MAX_SCALE: {
+                name: "layoutEditorMaxScale",
+                type: "number"
+            },
             TARGET_SWITCH_SOUND: {
                 name: "targetSwitchSound",
                 type: classes.SOUND_EFFECT
@@ -1658,6 +1964,13 @@ define([
             name: "demoDoubleViewSwitchChance",
             type: "number"
         },
+        /**
+         * When watching a replay, seeking forward / backward will jump this much in simulation time, in milliseconds
+         */
+        REPLAY_SEEK_STEP: {
+            name: "replaySeekStep",
+            type: "number"
+        },
         /**
          * When the ingame menu is opened (or another screen is opened from within it), the music volume will be changed by this factor
          */
@@ -1811,6 +2124,28 @@ define([
         MISSILE_AUTO_CHANGE_COOLDOWN: {
             name: "missileAutoChangeCooldown",
             type: "number"
+        },
+        /**
+         * The factor by which the shield recharge rate, weapon cooldown speed or engine thrust of a spacecraft with power management is
+         * multiplied when no power at all is allocated to that system (with a balanced distribution, the factor is 1)
+         */
+        POWER_MINIMUM_FACTOR: {
+            name: "powerMinimumFactor",
+            type: {
+                baseType: "number",
+                range: [0, 1]
+            }
+        },
+        /**
+         * The factor by which the shield recharge rate, weapon cooldown speed or engine thrust of a spacecraft with power management is
+         * multiplied when all the reactor output is allocated to that system
+         */
+        POWER_MAXIMUM_FACTOR: {
+            name: "powerMaximumFactor",
+            type: {
+                baseType: "number",
+                range: [1]
+            }
         }
     };
     CAMERA_SETTINGS = {
@@ -1834,6 +2169,8 @@ define([
         }
     };
     LOCAL_STORAGE_HUD_PREFIX = MODULE_LOCAL_STORAGE_PREFIX + BATTLE_SETTINGS.HUD.name + LOCAL_STORAGE_SEPARATOR;
+    LOCAL_STORAGE_HUD_LAYOUT_PREFIX = LOCAL_STORAGE_HUD_PREFIX + "layout" + LOCAL_STORAGE_SEPARATOR;
+    LOCAL_STORAGE_HUD_LAYOUT_PROFILE_ID = LOCAL_STORAGE_HUD_PREFIX + "activeLayoutProfile";
     LOCAL_STORAGE_BATTLE_PREFIX = MODULE_LOCAL_STORAGE_PREFIX + "battle" + LOCAL_STORAGE_SEPARATOR;
     Object.freeze(_customTypes);
     // #########################################################################
@@ -1948,6 +2285,44 @@ define([
         localStorage[LOCAL_STORAGE_HUD_PREFIX + settingDefinitionObject.name] = value;
         this._hudSettings[settingDefinitionObject.name] = value;
     };
+    /**
+     * Returns the index of the HUD layout profile currently selected by the player
+     * @returns {Number}
+     */
+    ConfigurationContext.prototype.getHUDLayoutProfile = function () {
+        var index = parseInt(localStorage[LOCAL_STORAGE_HUD_LAYOUT_PROFILE_ID], 10) || 0;
+        return Math.min(Math.max(0, index), this.getHUDSetting(BATTLE_SETTINGS.HUD.LAYOUT_PROFILE_COUNT) - 1);
+    };
+    /**
+     * Selects the HUD layout profile with the passed index to be used (storing the choice in local storage)
+     * @param {Number} index
+     */
+    ConfigurationContext.prototype.setHUDLayoutProfile = function (index) {
+        localStorage[LOCAL_STORAGE_HUD_LAYOUT_PROFILE_ID] = index.toString();
+    };
+    /**
+     * Returns the customizations stored for the HUD layout profile with the passed index, as an object containing the custom
+     * offset, scale, tint and visibility settings by the (camel cased) names of the HUD sections. Sections without customization
+     * are not included.
+     * @param {Number} index
+     * @returns {Object}
+     */
+    ConfigurationContext.prototype.getHUDLayout = function (index) {
+        return JSON.parse(localStorage[LOCAL_STORAGE_HUD_LAYOUT_PREFIX + index] || "{}");
+    };
+    /**
+     * Stores the passed customizations (in the same format as returned by getHUDLayout()) for the HUD layout profile with the passed
+     * index in local storage
+     * @param {Number} index
+     * @param {Object} layout
+     */
+    ConfigurationContext.prototype.setHUDLayout = function (index, layout) {
+        if (Object.keys(layout).length > 0) {
+            localStorage[LOCAL_STORAGE_HUD_LAYOUT_PREFIX + index] = JSON.stringify(layout);
+        } else {
+            localStorage.removeItem(LOCAL_STORAGE_HUD_LAYOUT_PREFIX + index);
+        }
+    };
     /**
      * Removes all local overrides for general settings, resetting them to their default values (coming from the settings JSON)
      */
@@ -2061,6 +2436,10 @@ define([
         setHUDSetting: _context.setHUDSetting.bind(_context),
         getBattleSetting: _context.getBattleSetting.bind(_context),
         setBattleSetting: _context.setBattleSetting.bind(_context),
+        getHUDLayoutProfile: _context.getHUDLayoutProfile.bind(_context),
+        setHUDLayoutProfile: _context.setHUDLayoutProfile.bind(_context),
+        getHUDLayout: _context.getHUDLayout.bind(_context),
+        setHUDLayout: _context.setHUDLayout.bind(_context),
         resetGeneralSettings: _context.resetGeneralSettings.bind(_context),
         resetHUDSettings: _context.resetHUDSettings.bind(_context),
         resetBattleSettings: _context.resetBattleSettings.bind(_context),
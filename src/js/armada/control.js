@@ -21,6 +21,8 @@
  * @param strings Used for translation support
  * @param config Used to access settings
  * @param equipment Used to access enums
+ * @param ai Used to give orders to wingmen
+ * @param classes Used to access the enum of power systems
  */
 define([
     "utils/utils",
@@ -37,8 +39,10 @@ define([
     "armada/screens/shared",
     "armada/strings",
     "armada/configuration",
-    "armada/logic/equipment"
-], function (utils, types, application, control, keyboard, mouse, gamepad, touch, cameraController, game, resources, armadaScreens, strings, config, equipment) {
+    "armada/logic/equipment",
+    "armada/logic/ai",
+    "armada/logic/classes"
+], function (utils, types, application, control, keyboard, mouse, gamepad, touch, cameraController, game, resources, armadaScreens, strings, config, equipment, ai, classes) {
     "use strict";
     var
             // ------------------------------------------------------------------------------
@@ -61,6 +65,16 @@ define([
              * @type Number
              */
             _strafeSpeedFactor,
+            /**
+             * Cached value of the configuration setting for how long the wingmen order menu stays open without input, in milliseconds.
+             * @type Number
+             */
+            _wingmenOrdersMenuTimeout,
+            /**
+             * The list of orders that can be given to wingmen, in the order they are listed in the wingmen order menu.
+             * @type String[]
+             */
+            _wingmenOrders = utils.getEnumValues(ai.WingmenOrder),
             /**
              * Sound clip for the target switch sound.
              * @type SoundClip
@@ -153,7 +167,9 @@ define([
             }.bind(this));
             // switching to pilot mode
             this.setActionFunction("switchToPilotMode", true, function () {
-                _context.switchToPilotMode(this._mission.getPilotedSpacecraft());
+                if (!this._battle.isPlayingReplay()) {
+                    _context.switchToPilotMode(this._mission.getPilotedSpacecraft());
+                }
             }.bind(this));
             // switching to spectator mode
             this.setActionFunction("switchToSpectatorMode", true, function () {
@@ -164,6 +180,17 @@ define([
                 this._mission.toggleHitboxVisibility();
             }.bind(this));
         }
+        // pausing / resuming the playback of replays
+        this.setActionFunction("toggleReplayPause", true, function () {
+            this._battle.toggleReplayPause();
+        }.bind(this));
+        // seeking forward / backward in replays
+        this.setActionFunction("replaySeekForward", true, function () {
+            this._battle.seekReplay(true);
+        }.bind(this));
+        this.setActionFunction("replaySeekBackward", true, function () {
+            this._battle.seekReplay(false);
+        }.bind(this));
         // toggling the visibility of development-related info (version, FPS count) on screen
         this.setActionFunction("toggleDevInfoVisibility", true, function () {
             game.getScreen().toggleDevInfoVisibility();
@@ -172,6 +199,10 @@ define([
         this.setActionFunction("toggleHUDVisibility", true, function () {
             this._battle.toggleHUDVisibility();
         }.bind(this));
+        // switching between the range steps of the radar
+        this.setActionFunction("cycleRadarZoom", true, function () {
+            this._battle.cycleRadarZoom();
+        }.bind(this));
         // toggling the mouse controls
         this.setActionFunction("toggleMouseControls", true, function () {
             _context.getInputInterpreter(MOUSE_NAME).toggleEnabled();
@@ -247,6 +278,21 @@ define([
          * @type Number
          */
         this._weaponAimThreshold = dataJSON.weaponAimThreshold;
+        /**
+         * If set, the actions processed by this controller are recorded into this replay.
+         * @type Replay
+         */
+        this._recordedReplay = null;
+        /**
+         * The index of the order highlighted in the wingmen order menu (within the list of wingmen orders), -1 if the menu is closed.
+         * @type Number
+         */
+        this._highlightedWingmenOrderIndex = -1;
+        /**
+         * The time left until the wingmen order menu closes automatically (unless the player navigates in it), in milliseconds.
+         * @type Number
+         */
+        this._wingmenOrdersMenuTimeLeft = 0;
         // The superclass constructor above loads the data from the JSON, so all action
         // properties should have been created
         // fire the primary weapons of the fighter
@@ -318,24 +364,30 @@ define([
         // switch to next hostile target
         this.setActionFunction("nextNearestHostileTarget", true, function () {
             if (this._controlledSpacecraft.targetNextNearestHostile()) {
-                _targetSwitchSound.play();
-            } else {
+                if (_targetSwitchSound) {
+                    _targetSwitchSound.play();
+                }
+            } else if (_targetSwitchDeniedSound) {
                 _targetSwitchDeniedSound.play();
             }
         }.bind(this));
         // switch to previous hostile target
         this.setActionFunction("previousNearestHostileTarget", true, function () {
             if (this._controlledSpacecraft.targetPreviousNearestHostile()) {
-                _targetSwitchSound.play();
-            } else {
+                if (_targetSwitchSound) {
+                    _targetSwitchSound.play();
+                }
+            } else if (_targetSwitchDeniedSound) {
                 _targetSwitchDeniedSound.play();
             }
         }.bind(this));
         // switch to next target (any)
         this.setActionFunction("nextNearestNonHostileTarget", true, function () {
             if (this._controlledSpacecraft.targetNextNearestNonHostile()) {
-                _targetSwitchSound.play();
-            } else {
+                if (_targetSwitchSound) {
+                    _targetSwitchSound.play();
+                }
+            } else if (_targetSwitchDeniedSound) {
                 _targetSwitchDeniedSound.play();
             }
         }.bind(this));
@@ -461,6 +513,61 @@ define([
         this.setActionFunction("toggleSpotlights", true, function () {
             this._controlledSpacecraft.toggleSpotLights();
         }.bind(this));
+        // open the wingmen order menu / highlight the next order in it
+        this.setActionFunction("nextWingmenOrder", true, function () {
+            this._highlightedWingmenOrderIndex = (this._highlightedWingmenOrderIndex + 1) % _wingmenOrders.length;
+            this._wingmenOrdersMenuTimeLeft = _wingmenOrdersMenuTimeout;
+            if (_targetSwitchSound) {
+                _targetSwitchSound.play();
+            }
+        }.bind(this));
+        // give the order highlighted in the wingmen order menu to the wingmen and close the menu
+        this.setActionFunction("issueWingmenOrder", true, function () {
+            if (this._highlightedWingmenOrderIndex >= 0) {
+                if (ai.issueWingmenOrder(this._controlledSpacecraft, _wingmenOrders[this._highlightedWingmenOrderIndex])) {
+                    if (_flightModeSwitchSound) {
+                        _flightModeSwitchSound.play();
+                    }
+                } else if (_targetSwitchDeniedSound) {
+                    _targetSwitchDeniedSound.play();
+                }
+                this._highlightedWingmenOrderIndex = -1;
+            }
+        }.bind(this));
+        // reallocate power from the other systems to the shields / weapons / engines
+        this.setActionFunction("transferPowerToShields", true, function () {
+            this._transferPower(classes.PowerSystem.SHIELDS);
+        }.bind(this));
+        this.setActionFunction("transferPowerToWeapons", true, function () {
+            this._transferPower(classes.PowerSystem.WEAPONS);
+        }.bind(this));
+        this.setActionFunction("transferPowerToEngines", true, function () {
+            this._transferPower(classes.PowerSystem.ENGINES);
+        }.bind(this));
+        // distribute power evenly among the systems
+        this.setActionFunction("balancePower", true, function () {
+            if (this._controlledSpacecraft.balancePower()) {
+                if (_flightModeSwitchSound) {
+                    _flightModeSwitchSound.play();
+                }
+            } else if (_targetSwitchDeniedSound) {
+                _targetSwitchDeniedSound.play();
+            }
+        }.bind(this));
+        // keep the booster (afterburner) engaged while the action is triggered
+        this.setActionFunctions("boost", function () {
+            this._controlledSpacecraft.engageBooster();
+        }.bind(this), function () {
+            this._controlledSpacecraft.disengageBooster();
+        }.bind(this));
+        // release countermeasures (flares / chaff)
+        this.setActionFunction("launchCountermeasure", true, function () {
+            if (!this._controlledSpacecraft.launchCountermeasure()) {
+                if (_missileChangeDeniedSound) {
+                    _missileChangeDeniedSound.play();
+                }
+            }
+        }.bind(this));
     }
     FighterController.prototype = new control.Controller();
     FighterController.prototype.constructor = FighterController;
@@ -493,19 +600,118 @@ define([
     FighterController.prototype.executeActions = function (triggeredActions, dt) {
         if (this._controlledSpacecraft) {
             if (this._controlledSpacecraft.isAlive()) {
+                if (this._recordedReplay) {
+                    this._recordedReplay.recordActions(this._getOwnActions(triggeredActions), _mouseInputInterpreter);
+                }
                 this._controlledSpacecraft.prepareForControl();
                 // executing user-triggered actions
                 control.Controller.prototype.executeActions.call(this, triggeredActions);
                 // executing automatic actions
                 if (this._autoTargeting && !this._controlledSpacecraft.getTarget()) {
-                    if (this._controlledSpacecraft.targetNextBestHostile()) {
+                    if (this._controlledSpacecraft.targetNextBestHostile() && _targetSwitchSound) {
                         _targetSwitchSound.play();
                     }
                 }
                 this._controlledSpacecraft.aimWeapons(this._weaponAimThreshold, 0, dt);
+                // closing the wingmen order menu if the player left it open
+                if (this._highlightedWingmenOrderIndex >= 0) {
+                    this._wingmenOrdersMenuTimeLeft -= dt;
+                    if (this._wingmenOrdersMenuTimeLeft <= 0) {
+                        this._highlightedWingmenOrderIndex = -1;
+                    }
+                }
             } else {
                 this._controlledSpacecraft = null;
+                this._highlightedWingmenOrderIndex = -1;
+            }
+        }
+    };
+    /**
+     * Returns the groups of the passed triggered actions filtered to only contain the actions that this controller can handle.
+     * @param {Object[][]} triggeredActions See Controller.executeActions
+     * @returns {Object[][]}
+     */
+    FighterController.prototype._getOwnActions = function (triggeredActions) {
+        var i, j, group, result = [];
+        for (i = 0; i < triggeredActions.length; i++) {
+            group = [];
+            for (j = 0; j < triggeredActions[i].length; j++) {
+                if (this._actions[triggeredActions[i][j].name] !== undefined) {
+                    group.push(triggeredActions[i][j]);
+                }
+            }
+            if (group.length > 0) {
+                result.push(group);
+            }
+        }
+        return result;
+    };
+    /**
+     * Sets a replay to record the actions processed by this controller into (or stops recording if null is passed)
+     * @param {Replay} replay
+     */
+    FighterController.prototype.setRecordedReplay = function (replay) {
+        this._recordedReplay = replay;
+    };
+    /**
+     * Executes the passed actions recorded in a replay on the passed spacecraft, without changing the spacecraft currently controlled
+     * by this controller (or the state of its auto targeting) and without recording them.
+     * @param {Spacecraft} spacecraft The spacecraft to execute the actions on
+     * @param {Object[][]} triggeredActions See Controller.executeActions
+     * @param {Boolean} autoTargeting The state of auto targeting to use when executing the actions
+     * @param {Number} dt The elapsed time since the last control step, in milliseconds
+     * @returns {Boolean} The state of auto targeting after executing the actions
+     */
+    FighterController.prototype.executeReplayedActions = function (spacecraft, triggeredActions, autoTargeting, dt) {
+        var
+                controlledSpacecraft = this._controlledSpacecraft,
+                ownAutoTargeting = this._autoTargeting,
+                recordedReplay = this._recordedReplay,
+                result;
+        this._recordedReplay = null;
+        this._autoTargeting = autoTargeting;
+        this.setControlledSpacecraft(spacecraft);
+        this.executeActions(triggeredActions, dt);
+        result = this._autoTargeting;
+        this.setControlledSpacecraft(controlledSpacecraft);
+        this._autoTargeting = ownAutoTargeting;
+        this._recordedReplay = recordedReplay;
+        return result;
+    };
+    /**
+     * Returns whether auto-targeting is currently turned on for this controller.
+     * @returns {Boolean}
+     */
+    FighterController.prototype.isAutoTargetingOn = function () {
+        return this._autoTargeting;
+    };
+    /**
+     * Returns the list of orders that can be given to wingmen (enum WingmenOrder defined in ai.js), in the order they are listed in the 
+     * wingmen order menu.
+     * @returns {String[]}
+     */
+    FighterController.prototype.getWingmenOrders = function () {
+        return _wingmenOrders;
+    };
+    /**
+     * Returns the index of the order currently highlighted in the wingmen order menu (within the list returned by getWingmenOrders()), 
+     * or -1 if the menu is closed.
+     * @returns {Number}
+     */
+    FighterController.prototype.getHighlightedWingmenOrderIndex = function () {
+        return this._highlightedWingmenOrderIndex;
+    };
+    /**
+     * Reallocates one unit of power of the controlled spacecraft to the passed system, playing the appropriate sound effect
+     * @param {String} system (enum classes.PowerSystem)
+     */
+    FighterController.prototype._transferPower = function (system) {
+        if (this._controlledSpacecraft.transferPower(system)) {
+            if (_flightModeSwitchSound) {
+                _flightModeSwitchSound.play();
             }
+        } else if (_targetSwitchDeniedSound) {
+            _targetSwitchDeniedSound.play();
         }
     };
     // -------------------------------------------------------------------------
@@ -714,6 +920,7 @@ define([
     // Caching configuration settings
     config.executeWhenReady(function () {
         _strafeSpeedFactor = config.getSetting(config.BATTLE_SETTINGS.STRAFE_SPEED_FACTOR);
+        _wingmenOrdersMenuTimeout = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_ORDERS_MENU_TIMEOUT);
     });
     // -------------------------------------------------------------------------
     // The public interface of the module
@@ -0,0 +1,369 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file Provides a dedicated host for multiplayer games, meant to be run in headless mode (e.g. from Node.js, see host.js)
+ * The dedicated host connects to the same multiplayer WebSocket server as the game clients and hosts a game using the same protocol as
+ * a player hosting from the game would. However, it does not have a spacecraft of its own: it starts the game when all the joined
+ * players are ready, runs the authoritative simulation of the battle, applying the control messages of the guests and sending game
+ * update messages with the state of all spacecrafts to them, so that no player gets host advantage. Once a match is concluded (or all
+ * the players left), it hosts a new game with the same parameters.
+ * As WebRTC is not available in headless mode, all the messages are relayed by the WebSocket server.
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/**
+ * @param application Used for logging
+ * @param resources Used to load the resources (models) needed for the simulation
+ * @param config Used to access the simulation and multiplayer settings
+ * @param networking Used to host the game and communicate with the guests
+ * @param missions Used to create the missions for the matches
+ * @param equipment Used to set friendly fire for the matches
+ * @param ai Used to control the AI spacecrafts during the simulation
+ * @param simulation Used to load the game data needed for simulating the battles
+ */
+define([
+    "modules/application",
+    "modules/media-resources",
+    "armada/configuration",
+    "armada/networking",
+    "armada/logic/missions",
+    "armada/logic/equipment",
+    "armada/logic/ai",
+    "armada/simulation"
+], function (application, resources, config, networking, missions, equipment, ai, simulation) {
+    "use strict";
+    var
+            // ------------------------------------------------------------------------------
+            // constants
+            /**
+             * The time to wait before trying to connect to the server again after the connection has been lost, in milliseconds
+             * @type Number
+             */
+            RECONNECT_DELAY = 10000,
+            /**
+             * The interval at which the pings of the players are measured while waiting in the lobby, in milliseconds
+             * @type Number
+             */
+            PING_INTERVAL = 3000,
+            /**
+             * The minimum number of players needed to start a free for all game
+             * @type Number
+             */
+            MIN_FFA_PLAYERS = 2,
+            /**
+             * The value of the simulation loop ID when there is no loop running
+             * @type Number
+             */
+            LOOP_CANCELED = -1,
+            // ------------------------------------------------------------------------------
+            // private variables
+            /**
+             * The parameters the dedicated host has been started with
+             * @type DedicatedHost~Params
+             */
+            _params = null,
+            /**
+             * The mission of the currently loaded (or running) match
+             * @type Mission
+             */
+            _mission = null,
+            /**
+             * The ID of the interval running the simulation steps
+             * @type Number
+             */
+            _simulationLoop = LOOP_CANCELED,
+            /**
+             * The ID of the interval running the ping measurements in the lobby
+             * @type Number
+             */
+            _pingInterval = -1,
+            /**
+             * The timestamp of the previous simulation step
+             * @type DOMHighResTimeStamp
+             */
+            _prevTime = 0,
+            /**
+             * The time elapsed since the last game update message was sent to the guests, in milliseconds
+             * @type Number
+             */
+            _timeSinceHostUpdate = 0,
+            /**
+             * The time elapsed since the last control message was received from each player (by player index), in milliseconds
+             * @type Number[]
+             */
+            _timeSinceGuestUpdates = null,
+            /**
+             * The time elapsed since there are no hostiles left in the battle, in milliseconds
+             * @type Number
+             */
+            _timeSinceMatchEnded = 0,
+            /**
+             * Creates a new game on the server with the parameters the dedicated host has been started with
+             * (declared here, as the functions managing the games and the one creating them refer to each other)
+             * @type Function
+             */
+            _hostGame;
+    // ------------------------------------------------------------------------------
+    // private functions
+    /**
+     * Stops the simulation loop (if running) and destroys the mission of the current match (if any)
+     */
+    function _endBattle() {
+        if (_simulationLoop !== LOOP_CANCELED) {
+            clearInterval(_simulationLoop);
+            _simulationLoop = LOOP_CANCELED;
+        }
+        if (_mission) {
+            ai.clearAIs();
+            _mission.destroy();
+            _mission = null;
+        }
+    }
+    /**
+     * Stops measuring the pings of the players in the lobby
+     */
+    function _stopPing() {
+        if (_pingInterval !== -1) {
+            clearInterval(_pingInterval);
+            _pingInterval = -1;
+        }
+    }
+    /**
+     * Executes one step of the authoritative battle simulation: controls the AI spacecrafts, simulates the mission, sends the game
+     * update to the guests, checks for timed out guests and concludes the match after it is over (e.g. there are no hostiles left).
+     */
+    function _simulate() {
+        var now = performance.now(), dt = now - _prevTime, players, i;
+        _prevTime = now;
+        _timeSinceHostUpdate += dt;
+        ai.control(dt);
+        _mission.tick(dt, null, true);
+        if (_timeSinceHostUpdate >= networking.HOST_UPDATE_INTERVAL) {
+            _timeSinceHostUpdate = 0;
+            networking.sendHostUpdate(_mission.getSpacecrafts());
+        }
+        players = networking.getPlayers();
+        for (i = 1; i < players.length; i++) {
+            // dropped players are waited for by the server until they rejoin or their grace period ends
+            if (!players[i].left && !players[i].dropped) {
+                _timeSinceGuestUpdates[i] += dt;
+                if (_timeSinceGuestUpdates[i] > config.getSetting(config.MULTI_SETTINGS.DISCONNECT_THRESHOLD)) {
+                    networking.guestTimeout(players[i].name);
+                    // the match might have ended as a result, if this was the last player
+                    if (!_mission) {
+                        return;
+                    }
+                }
+            }
+        }
+        if (networking.isMatchOver(_mission)) {
+            _timeSinceMatchEnded += dt;
+            if (_timeSinceMatchEnded >= config.getSetting(config.BATTLE_SETTINGS.MULTI_MATCH_QUIT_DELAY)) {
+                application.log("Match concluded in game '" + networking.getGameName() + "'.");
+                networking.concludeMatch(networking.determineWinnerTeam(_mission));
+                _endBattle();
+                _hostGame();
+            }
+        }
+    }
+    /**
+     * Starts the authoritative simulation of the loaded battle (to be called when all players have loaded the mission)
+     */
+    function _startBattle() {
+        var i, players = networking.getPlayers();
+        application.log("Starting battle in game '" + networking.getGameName() + "'...");
+        _timeSinceHostUpdate = 0;
+        _timeSinceMatchEnded = 0;
+        _timeSinceGuestUpdates = [];
+        for (i = 0; i < players.length; i++) {
+            _timeSinceGuestUpdates.push(0);
+        }
+        networking.onGameUpdate(function (data) {
+            var spacecraft = _mission && _mission.getSpacecrafts()[data[0]];
+            if (spacecraft) {
+                spacecraft.applyMultiGuestData(data);
+                // the dedicated host is the first player, but does not have a spacecraft
+                _timeSinceGuestUpdates[data[0] + 1] = 0;
+            }
+        });
+        _prevTime = performance.now();
+        _simulationLoop = setInterval(_simulate, 1000 / config.getSetting(config.BATTLE_SETTINGS.SIMULATION_STEPS_PER_SECOND));
+    }
+    /**
+     * Creates the mission for the started game and loads the resources needed to simulate it, then notifies the server that the host
+     * has finished loading
+     */
+    function _loadBattle() {
+        var settings = networking.getGameSettings();
+        _stopPing();
+        application.log("Loading battle for game '" + networking.getGameName() + "'...");
+        _mission = missions.createMission(networking.getMissionData(), settings.difficulty, false);
+        equipment.setFriendlyFire(settings.friendlyFire);
+        ai.resetRandomSeeds();
+        _mission.prepareForSimulation();
+        resources.requestResourceLoad();
+        resources.executeWhenReady(function () {
+            networking.markLoaded();
+        });
+    }
+    /**
+     * Starts the game if all the joined players are ready (and in teams, for team game modes) and there are enough of them for the
+     * game mode
+     */
+    function _startGameIfReady() {
+        if (networking.canStartGame() && ((networking.getGameMode() !== networking.GameMode.FFA) || (networking.getPilotingPlayers().length >= MIN_FFA_PLAYERS))) {
+            networking.startGame();
+        }
+    }
+    /**
+     * Leaves the current game (if any) and hosts a new one
+     */
+    function _restartGame() {
+        _endBattle();
+        networking.leaveGame();
+        _hostGame();
+    }
+    /**
+     * Sets up the callbacks to manage the lobby and the match of the created game
+     */
+    function _setupGameCallbacks() {
+        networking.onPlayerJoin(function (playerName) {
+            application.log("Player '" + playerName + "' joined the game.");
+        });
+        networking.onPlayerLeave(function (player) {
+            var spacecraft;
+            application.log("Player '" + player.name + "' left the game.");
+            if (_mission) {
+                spacecraft = _mission.getSpacecraft(player.name);
+                if (spacecraft && spacecraft.isAlive()) {
+                    spacecraft.setHullIntegrity(0);
+                }
+                // only the dedicated host itself remained
+                if (networking.getActivePlayers().length <= 1) {
+                    application.log("All players left, ending match.");
+                    _restartGame();
+                }
+            } else {
+                _startGameIfReady();
+            }
+        });
+        networking.onPlayerDrop(function (player) {
+            var spacecraft;
+            application.log("Player '" + player.name + "' lost connection.");
+            if (_mission) {
+                // the spacecraft of the dropped player stops until they rejoin
+                spacecraft = _mission.getSpacecraft(player.name);
+                if (spacecraft) {
+                    spacecraft.resetMultiGuestControls();
+                }
+            }
+        });
+        networking.onPlayerReconnect(function (player) {
+            application.log("Player '" + player.name + "' rejoined the game.");
+            if (_mission) {
+                if (_timeSinceGuestUpdates) {
+                    _timeSinceGuestUpdates[networking.getPlayers().indexOf(player)] = 0;
+                }
+                networking.sendResync(player.name, _mission.getSpacecrafts());
+            }
+        });
+        networking.onPlayerReady(function (player) {
+            application.log("Player '" + player.name + "' is ready.");
+            _startGameIfReady();
+        });
+        networking.onText(function (message) {
+            application.log("Message from " + message.sender + ": " + message.text, 1);
+        });
+        networking.onGameStart(function () {
+            // the start message arrives once when the game starts and once again when all players have loaded the battle
+            if (!_mission) {
+                _loadBattle();
+            } else {
+                _startBattle();
+            }
+        });
+    }
+    _hostGame = function () {
+        application.log("Hosting game '" + _params.gameName + "'...");
+        networking.createGame({
+            gameName: _params.gameName,
+            gameMode: _params.gameMode,
+            // the dedicated host itself counts as a player of the game
+            maxPlayers: _params.maxPlayers + 1,
+            settings: Object.assign({
+                spacecrafts: config.getSetting(config.MULTI_SETTINGS.SPACECRAFTS)
+            }, _params.settings, {
+                dedicatedHost: true
+            })
+        }, function () {
+            application.log("Game '" + networking.getGameName() + "' created, waiting for players.");
+            _setupGameCallbacks();
+            _pingInterval = setInterval(networking.ping, PING_INTERVAL);
+        });
+    };
+    // ------------------------------------------------------------------------------
+    // public functions
+    /**
+     * @typedef {Object} DedicatedHost~Params
+     * @property {String} [serverUrl] The URL of the multiplayer WebSocket server to connect to (default: the one in the game configuration)
+     * @property {String} hostName The player name of the dedicated host within the hosted games
+     * @property {String} gameName The name of the hosted games
+     * @property {String} gameMode (enum networking.GameMode)
+     * @property {Number} maxPlayers The maximum number of players who can join the hosted games (not counting the dedicated host, so it
+     * has to be less than the maximum number of players per game allowed by the server)
+     * @property {GameSettings} [settings] The settings for the hosted games (default: the default game settings)
+     */
+    /**
+     * Loads the game data, connects to the multiplayer server and starts hosting games with the passed parameters. Keeps hosting new
+     * games after each match and reconnects to the server if the connection is lost.
+     * @param {DedicatedHost~Params} params
+     * @param {Function} [onFatalError] Called (passing the error code) if the server reports an error that cannot be resolved by
+     * trying again, after which the host disconnects and stops
+     */
+    function start(params, onFatalError) {
+        _params = params;
+        simulation.requestLoad(function (configJSON) {
+            networking.init(params.serverUrl || configJSON.multiUrl);
+            networking.setPlayerName(params.hostName);
+            networking.onConnect(function () {
+                application.log("Connected to the multiplayer server (API version: " + networking.getServerApiVersion() + ").");
+                _hostGame();
+            });
+            networking.onDisconnect(function () {
+                application.log("Disconnected from the multiplayer server, reconnecting in " + (RECONNECT_DELAY / 1000) + " seconds...");
+                _stopPing();
+                _endBattle();
+                setTimeout(networking.connect, RECONNECT_DELAY);
+            });
+            networking.onError(function (errorCode) {
+                application.log("Error received from the multiplayer server: " + errorCode);
+                switch (errorCode) {
+                    case networking.ERROR_CODE_INCOMPATIBLE_API_VERSION:
+                    case networking.ERROR_CODE_INVALID_GAME_SETTINGS:
+                    case networking.ERROR_CODE_INVALID_PLAYER_NAME:
+                        // these cannot be resolved by trying again
+                        networking.onDisconnect(null);
+                        networking.disconnect();
+                        if (onFatalError) {
+                            onFatalError(errorCode);
+                        }
+                        break;
+                    case networking.ERROR_CODE_GAME_NAME_ALREADY_EXISTS:
+                    case networking.ERROR_CODE_SERVER_IS_FULL:
+                        // the game could not be created, but it might be possible later
+                        if (!networking.isInGame()) {
+                            setTimeout(_hostGame, RECONNECT_DELAY);
+                        }
+                        break;
+                }
+            });
+            application.log("Connecting to the multiplayer server...");
+            networking.connect();
+        });
+    }
+    // -------------------------------------------------------------------------
+    // The public interface of the module
+    return {
+        start: start
+    };
+});
@@ -18,6 +18,10 @@ define(function () {
      * @property {Number} hullDamage The amount of damage the hull suffered as a result of the hit (damage absorbed
      * by the shield and/or armor is not included)
      */
+    /**
+     * @typedef {Object} SpacecraftEvents~MissileLaunchedAtData
+     * @property {Missile} missile The missile that has been launched at the spacecraft
+     */
     /**
      * @typedef {Object} SpacecraftEvents~AnySpacecraftHitData
      * @property {Spacecraft} spacecraft The spacecraft that was hit.
@@ -66,6 +70,22 @@ define(function () {
      * @property {Number} [minDistance] We need to get at least this far from the target
      * @property {Number} [maxDistance] We need to get at least this close to the target
      */
+    /**
+     * @typedef {Object} SpacecraftEvents~FormUpCommandData
+     * @property {String} [leader] The ID of the spacecraft to fly in formation with. If not given, the lead spacecraft of the command
+     * (the first one receiving it) will be the leader
+     * @property {SpacecraftEvents~JumpFormationData} formation The formation to take up around the leader (which will be at index 0)
+     * @property {Spacecraft} [leaderSpacecraft] Set the first time the command is executed, so that further AIs executing the same command
+     * will not have to query the leader spacecraft
+     */
+    /**
+     * @typedef {Object} SpacecraftEvents~PatrolCommandData
+     * @property {Number[3][]} waypoints The list of world space positions to fly through, in order
+     * @property {Boolean} [loop] When true, the spacecraft will start over from the first waypoint after reaching the last one, otherwise
+     * the command is completed there
+     * @property {SpacecraftEvents~JumpFormationData} [formation] When given, only the lead spacecraft of the command flies through the
+     * waypoints and the others fly in this formation with it
+     */
     /**
      * @typedef {Object} SpacecraftEvents~CommandData
      * @property {String} command The type of command to execute
@@ -77,6 +97,10 @@ define(function () {
      * @property {SpacecraftEvents~JumpCommandData} [jump] Details of the command if it is a jump command
      * @property {SpacecraftEvents~TargetCommandData} [target] Details of the command if it is a target command
      * @property {SpacecraftEvents~ReachDistanceCommandData} [reachDistance] Details of the command if it is a reach distance command
+     * @property {SpacecraftEvents~FormUpCommandData} [formUp] Details of the command if it is a form up command
+     * @property {SpacecraftEvents~PatrolCommandData} [patrol] Details of the command if it is a patrol command
+     * @property {String} [order] (enum WingmenOrder defined in ai.js) Set if the command has been sent to carry out an order given by the
+     * squad leader of the spacecraft
      */
     /**
      * @typedef {Object} SpacecraftEvents~HUDData
@@ -93,6 +117,8 @@ define(function () {
         BEING_TARGETED: "beingTargeted",
         /** A projectile hits the spacecraft. */
         BEING_HIT: "beingHit",
+        /** Another spacecraft launches a missile targeting the spacecraft. */
+        MISSILE_LAUNCHED_AT: "missileLaunchedAt",
         /** A projectile fired by the spacecraft successfully hits its current target. */
         TARGET_HIT: "targetHit",
         /** A projectile fired by the spacecraft hits any spacecraft (including itself or its current target). */
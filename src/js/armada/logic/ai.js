@@ -49,6 +49,11 @@ define([
                 STAND_DOWN: "standDown",
                 /** A move command to approach or distance the spacecraft from another spacecraft */
                 REACH_DISTANCE: "reachDistance",
+                /** A move command to take up a position in a formation around a leader spacecraft and keep it while the leader travels
+                 * (until cancelled) */
+                FORM_UP: "formUp",
+                /** A move command to fly through a list of waypoints, optionally starting over after reaching the last one */
+                PATROL: "patrol",
                 /** A command to cancel the currently executed move command (and get back to engaging enemies) */
                 CANCEL_MOVE: "cancelMove"
             },
@@ -60,6 +65,23 @@ define([
                 IN: "in",
                 OUT: "out"
             },
+            /**
+             * The orders the player (or any squad leader) can give to their wingmen (the other members of their squad), each of which
+             * is carried out by sending one or more spacecraft commands to them
+             * @enum {String}
+             */
+            WingmenOrder = {
+                /** Attack the current target of the squad leader (with priority) */
+                ATTACK_TARGET: "attackTarget",
+                /** Engage the hostiles targeting the squad leader and stay close to them */
+                COVER: "cover",
+                /** Stand down and fly in formation with the squad leader */
+                FORM_UP: "formUp",
+                /** Stand down and stay in place */
+                HOLD_POSITION: "holdPosition",
+                /** Jump out of the battle */
+                JUMP_OUT: "jumpOut"
+            },
             /**
              * @enum {Number}
              * The possible phases of the charge action of fighters.
@@ -84,7 +106,33 @@ define([
              */
             MoveCommand = {
                 NONE: -1,
-                REACH_DISTANCE: 0
+                REACH_DISTANCE: 0,
+                FORM_UP: 1,
+                PATROL: 2
+            },
+            /**
+             * @enum {Number}
+             * The defensive maneuvers fighters can perform in reaction to threats (incoming missiles or hostiles tailing them)
+             */
+            DefensiveManeuver = {
+                /**
+                 * The fighter is not performing a defensive maneuver.
+                 */
+                NONE: -1,
+                /**
+                 * The fighter turns away from an incoming missile and speeds up to gain time (and possibly make the missile run out of 
+                 * fuel).
+                 */
+                BOOST_AWAY: 0,
+                /**
+                 * The fighter turns hard to fly perpendicular to the direction of the threat while strafing away from it.
+                 */
+                BREAK_TURN: 1,
+                /**
+                 * The fighter keeps attacking its target, but randomly changes its strafing direction to throw off the aim of the 
+                 * hostile tailing it.
+                 */
+                JINK: 2
             },
             // ------------------------------------------------------------------------------
             // constants
@@ -176,6 +224,43 @@ define([
              * @type Number
              */
             FAR_APPROACH_THRESHOLD = 1000,
+            /**
+             * When flying in formation, spacecrafts farther than this distance (in meters, added to their size) from their position in
+             * the formation will turn towards it and approach it, while the ones closer will align with the leader and match its velocity
+             * @type Number
+             */
+            FORMATION_KEEPING_DISTANCE = 50,
+            /**
+             * When flying in formation close to their position in it, spacecrafts will correct their position with a speed (relative to
+             * the leader, in m/s) equal to their distance from it (along each axis, in meters) multiplied by this factor
+             * @type Number
+             */
+            FORMATION_CORRECTION_FACTOR = 1,
+            /**
+             * When patrolling, a waypoint is considered reached (and the spacecraft heads towards the next one) once the spacecraft gets
+             * within this distance (in meters, added to its size) of it
+             * @type Number
+             */
+            WAYPOINT_REACH_DISTANCE = 100,
+            /**
+             * Wingmen ordered to form up will fly in this formation around their squad leader
+             * @type SpacecraftEvents~JumpFormationData
+             */
+            WINGMEN_FORMATION = {
+                type: formations.FormationType.WEDGE,
+                spacing: [50, -30, 0]
+            },
+            /**
+             * AI pilots retreating from the battle without being able to jump out will get at least this far from the spacecraft that
+             * hit them last, in meters
+             * @type Number
+             */
+            RETREAT_DISTANCE = 5000,
+            /**
+             * Wingmen ordered to cover their squad leader will stay within this distance from them, in meters
+             * @type Number
+             */
+            WINGMEN_COVER_DISTANCE = 1000,
             /**
              * During charge attacks, fighters will approach with a maximum speed equal to their acceleration multiplied by this 
              * factor.
@@ -277,12 +362,119 @@ define([
              * @type Number
              */
             EVASIVE_MANEUVER_DELAY = 200,
+            /**
+             * Fighters will turn away from incoming missiles and speed up once the missiles are expected to hit them within this time, 
+             * in milliseconds.
+             * @type Number
+             */
+            MISSILE_THREAT_TIME = 6000,
+            /**
+             * Fighters will perform a break turn to evade incoming missiles that are expected to hit them within this time, in
+             * milliseconds.
+             * @type Number
+             */
+            MISSILE_BREAK_TIME = 1500,
+            /**
+             * When turning away from incoming missiles, fighters will speed up to their acceleration multiplied by this factor.
+             * @type Number
+             */
+            MISSILE_EVASION_SPEED_FACTOR = 4,
+            /**
+             * When performing a break turn, fighters will fly with a speed equal to their acceleration multiplied by this factor.
+             * @type Number
+             */
+            BREAK_TURN_SPEED_FACTOR = 2,
+            /**
+             * Fighters check whether they are being tailed by a hostile spacecraft in this interval, in milliseconds.
+             * @type Number
+             */
+            THREAT_CHECK_INTERVAL = 500,
+            /**
+             * A hostile spacecraft targeting a fighter is considered to be tailing it if it is closer than the weapon range of the fighter
+             * multiplied by this factor, it is behind the fighter within TAILING_ANGLE and is facing the fighter within the same angle.
+             * @type Number
+             */
+            TAILING_DISTANCE_FACTOR = 1,
+            /**
+             * See TAILING_DISTANCE_FACTOR (in radians)
+             * @type Number
+             */
+            TAILING_ANGLE = Math.radians(45),
+            /**
+             * Fighters being tailed by a hostile closer than their weapon range multiplied by this factor will perform break turns, while 
+             * they will only jink if the hostile is farther.
+             * @type Number
+             */
+            BREAK_TURN_DISTANCE_FACTOR = 0.3,
+            /**
+             * Fighters being tailed will turn around to engage the tailing hostile (facing it with their shields while returning fire) if
+             * their shield integrity is at least this much (0 to 1), instead of trying to shake it off.
+             * @type Number
+             */
+            SHIELD_FACING_INTEGRITY_THRESHOLD = 0.5,
+            /**
+             * When jinking, fighters change their strafing direction in this interval, in milliseconds.
+             * @type Number
+             */
+            JINK_INTERVAL = 700,
+            /**
+             * When jinking, fighters will strafe with a maximum speed equal to their acceleration mutliplied by this factor.
+             * @type Number
+             */
+            JINK_SPEED_FACTOR = 1,
             /**
              * When attacking an enemy, ships will approach their targets to at least the distance that is their weapon range
              * multiplied by this factor.
              * @type Number
              */
             SHIP_MAX_DISTANCE_FACTOR = 0.9,
+            /**
+             * The fire control of ships and stations reassigns the targets of their turrets in this interval, in milliseconds.
+             * @type Number
+             */
+            TURRET_TARGET_UPDATE_INTERVAL = 500,
+            /**
+             * The threat value of a missile launched at the ship, when assigning targets to turrets.
+             * @type Number
+             */
+            TURRET_MISSILE_THREAT = 4,
+            /**
+             * The threat value of a hostile spacecraft targeting the ship, when assigning targets to turrets.
+             * @type Number
+             */
+            TURRET_ATTACKER_THREAT = 2,
+            /**
+             * The threat value of the current target of the ship, when assigning targets to turrets.
+             * @type Number
+             */
+            TURRET_MAIN_TARGET_THREAT = 1.5,
+            /**
+             * The threat value of other hostile spacecrafts, when assigning targets to turrets.
+             * @type Number
+             */
+            TURRET_HOSTILE_THREAT = 1,
+            /**
+             * When assigning targets to turrets, the score of a target is divided by one plus this factor multiplied by the number of
+             * turrets already assigned to it, to spread the fire among the threats.
+             * @type Number
+             */
+            TURRET_SHARED_TARGET_PENALTY = 1,
+            /**
+             * AI pilots reconsider the power distribution of their spacecraft (and transfer one unit of power, if needed) this often, in
+             * milliseconds
+             * @type Number
+             */
+            POWER_MANAGEMENT_INTERVAL = 1000,
+            /**
+             * AI pilots do not allocate more than this ratio of the reactor output to a single system
+             * @type Number
+             */
+            POWER_MAX_RATIO = 0.5,
+            /**
+             * AI pilots transfer power to the shields when the shield integrity of their spacecraft is below this ratio
+             * @type Number
+             */
+            POWER_SHIELD_INTEGRITY_THRESHOLD = 0.5,
             /**
              * When hit, AI pilots transmit a different radio message depending on whether they are considered (heavily) damaged or not. This
              * is the threshold for being considered damaged (relative hull integrity, 0 to 1)
@@ -451,6 +643,11 @@ define([
              * @type Function
              */
             _chargeSeed,
+            /**
+             * The random generator used when determining whether AIs notice threats and the directions of their jinking maneuvers.
+             * @type Function
+             */
+            _threatSeed,
             /**
              * An associative array storing the constructors for the various types of AI by the string identifiers of the types.
              * @type Object
@@ -475,6 +672,16 @@ define([
              * @type Number[3]
              */
             _vectorToTarget = [0, 0, 0],
+            /**
+             * Reusable vector to avoid creating more garbage per frame
+             * @type Number[3]
+             */
+            _leaderVelocityVector = [0, 0, 0],
+            /**
+             * Reusable vector to avoid creating more garbage per frame
+             * @type Number[3]
+             */
+            _threatVector = [0, 0, 0],
             /**
              * The default AI context (storing the actual AIs) the methods of which are exposed by this module.
              * @type AIContext
@@ -492,18 +699,26 @@ define([
      * Resets the seed used to generate random jump in positions to the default values.
      * After calling this, the same sequence of random jump in position can be consistently
      * reproduced.
+     * @param {Number} [seed] If not given, the default random seed from the configuration will be used
      */
-    function resetJumpInPositionSeed() {
-        _jumpInPositionSeed = Math.seed(config.getSetting(config.GENERAL_SETTINGS.DEFAULT_RANDOM_SEED));
+    function resetJumpInPositionSeed(seed) {
+        _jumpInPositionSeed = Math.seed((seed !== undefined) ? seed : config.getSetting(config.GENERAL_SETTINGS.DEFAULT_RANDOM_SEED));
     }
     /**
-     * Resets all the seeds that are used to generate random values in this module.
+     * Resets all the seeds that are used to generate random values in this module (and the seed of the countermeasure outcomes
+     * used by the equipment of the spacecrafts controlled by the AIs).
+     * @param {Number} [seed] If not given, the default random seed from the configuration will be used
      */
-    function resetRandomSeeds() {
-        resetJumpInPositionSeed();
-        _aimErrorSeed = Math.seed(config.getSetting(config.GENERAL_SETTINGS.DEFAULT_RANDOM_SEED));
-        _evasionSeed = Math.seed(config.getSetting(config.GENERAL_SETTINGS.DEFAULT_RANDOM_SEED));
-        _chargeSeed = Math.seed(config.getSetting(config.GENERAL_SETTINGS.DEFAULT_RANDOM_SEED));
+    function resetRandomSeeds(seed) {
+        if (seed === undefined) {
+            seed = config.getSetting(config.GENERAL_SETTINGS.DEFAULT_RANDOM_SEED);
+        }
+        resetJumpInPositionSeed(seed);
+        _aimErrorSeed = Math.seed(seed);
+        _evasionSeed = Math.seed(seed);
+        _chargeSeed = Math.seed(seed);
+        _threatSeed = Math.seed(seed);
+        equipment.resetCountermeasureSeed(seed);
     }
     /**
      * Sets the position of the passed spacecraft according to the passed jump in command data.
@@ -571,6 +786,116 @@ define([
         }
         return true;
     }
+    /**
+     * Sends the commands carrying out the passed order to the wingmen (other alive and present members of the squad) of the passed
+     * spacecraft.
+     * @param {Spacecraft} leader The spacecraft giving the order
+     * @param {String} order (enum WingmenOrder)
+     * @returns {Boolean} Whether the order could be given (there is a wingman to give it to and the conditions of the order are met,
+     * e.g. the leader has a hostile target to attack)
+     */
+    function issueWingmenOrder(leader, order) {
+        var i, j, squads, squad, wingmen, target, attackers, commands;
+        if (!leader.getSquad() || !leader.getTeam()) {
+            return false;
+        }
+        squads = leader.getTeam().getSquads();
+        for (i = 0; i < squads.length; i++) {
+            if (squads[i].name === leader.getSquad()) {
+                squad = squads[i];
+                break;
+            }
+        }
+        if (!squad) {
+            return false;
+        }
+        wingmen = squad.crafts.filter(function (craft) {
+            return (craft !== leader) && craft.isAlive() && !craft.isAway();
+        });
+        if (wingmen.length === 0) {
+            return false;
+        }
+        switch (order) {
+            case WingmenOrder.ATTACK_TARGET:
+                target = leader.getTarget();
+                if (!target || !leader.isHostile(target)) {
+                    return false;
+                }
+                commands = [{
+                        command: SpacecraftCommand.CANCEL_MOVE
+                    }, {
+                        command: SpacecraftCommand.TARGET,
+                        target: {
+                            single: target.getID(),
+                            priority: true
+                        }
+                    }];
+                break;
+            case WingmenOrder.COVER:
+                attackers = leader.getTargetingSpacecrafts().filter(function (craft) {
+                    return craft.isAlive() && leader.isHostile(craft);
+                });
+                commands = [{
+                        command: SpacecraftCommand.REACH_DISTANCE,
+                        reachDistance: {
+                            target: leader.getID(),
+                            maxDistance: WINGMEN_COVER_DISTANCE
+                        }
+                    }];
+                if (attackers.length > 0) {
+                    commands.unshift({
+                        command: SpacecraftCommand.TARGET,
+                        target: {
+                            list: attackers.map(function (craft) {
+                                return craft.getID();
+                            }),
+                            priority: true
+                        }
+                    });
+                }
+                break;
+            case WingmenOrder.FORM_UP:
+                // standing down cancels move commands, so it needs to come first
+                commands = [{
+                        command: SpacecraftCommand.STAND_DOWN
+                    }, {
+                        command: SpacecraftCommand.FORM_UP,
+                        formUp: {
+                            leader: leader.getID(),
+                            formation: WINGMEN_FORMATION
+                        }
+                    }];
+                break;
+            case WingmenOrder.HOLD_POSITION:
+                commands = [{
+                        command: SpacecraftCommand.STAND_DOWN
+                    }];
+                break;
+            case WingmenOrder.JUMP_OUT:
+                commands = [{
+                        command: SpacecraftCommand.JUMP,
+                        jump: {
+                            way: JumpCommandWay.OUT
+                        }
+                    }];
+                break;
+            default:
+                application.showError("Unknown wingmen order: '" + order + "'!");
+                return false;
+        }
+        for (i = 0; i < commands.length; i++) {
+            commands[i].order = order;
+            commands[i].lead = wingmen[0];
+            commands[i].clearCache = true;
+        }
+        for (i = 0; i < wingmen.length; i++) {
+            for (j = 0; j < commands.length; j++) {
+                commands[j].index = i;
+                wingmen[i].handleEvent(SpacecraftEvents.COMMAND_RECEIVED, commands[j]);
+            }
+        }
+        return true;
+    }
     /**
      * Returns an index (within the array settings.json/logic.battle.pilotVoices) corresponding to an AI pilot
      * voice that has not yet been randomly assigned to a pilot (and also marks it as assigned). Once all the
@@ -595,8 +920,9 @@ define([
      * An abstract AI class that provides some generally useful methods for controlling a spacecraft.
      * @param {Spacecraft} spacecraft The AI will control this spacecraft.
      * @param {Mission} mission The mission within which this AI will control the spacecraft
+     * @param {AIProfile} [profile] The profile determining the behaviour of the AI pilot. If not given, the defaults are used
      */
-    function SpacecraftAI(spacecraft, mission) {
+    function SpacecraftAI(spacecraft, mission, profile) {
         /**
          * The spacecraft this AI is controlling.
          * @type Spacecraft
@@ -643,6 +969,45 @@ define([
          * @type Number
          */
         this._weaponRange = (this._spacecraft && (this._spacecraft.getWeapons().length > 0)) ? this._spacecraft.getWeapons()[0].getRange(0) : 0;
+        /**
+         * Higher values make the pilot close in on its target and start charge attacks sooner (from the AI profile)
+         * @type Number
+         */
+        this._aggression = profile ? profile.getAggression() : 1;
+        /**
+         * The distance to approach the target to when attacking, relative to the weapon range, or zero to use the default of the AI type
+         * (from the AI profile)
+         * @type Number
+         */
+        this._engagementDistanceFactor = profile ? profile.getEngagementDistanceFactor() : 0;
+        /**
+         * (enum AIEvasionStyle) When to perform evasive maneuvers (from the AI profile)
+         * @type String
+         */
+        this._evasion = profile ? profile.getEvasion() : classes.AIEvasionStyle.ANTICIPATE;
+        /**
+         * (enum AIMissileUsage) How to launch missiles (from the AI profile)
+         * @type String
+         */
+        this._missileUsage = profile ? profile.getMissileUsage() : classes.AIMissileUsage.NORMAL;
+        /**
+         * The pilot retreats from the battle when the hull integrity of the spacecraft drops below this ratio (from the AI profile)
+         * @type Number
+         */
+        this._retreatHullIntegrity = profile ? profile.getRetreatHullIntegrity() : 0;
+        /**
+         * Whether the pilot has started retreating from the battle
+         * @type Boolean
+         */
+        this._retreating = false;
+        /**
+         * The time left until the pilot reconsiders the power distribution of the spacecraft, in milliseconds
+         * @type Number
+         */
+        this._powerManagementTimeLeft = POWER_MANAGEMENT_INTERVAL;
+        if (this._spacecraft && profile) {
+            this._spacecraft.setTargetPriorities(profile.getTargetPriorities());
+        }
         /**
          * Whether the controlled spacecraft is currently attacking its target
          * Needs to be updated by the overridden control() method!!
@@ -670,6 +1035,27 @@ define([
          * @type Number
          */
         this._moveCommandMaxDistance = 0;
+        /**
+         * The position to keep relative to the move command target (the leader) while executing a form up command, in the model space
+         * of the leader
+         * @type Number[3]
+         */
+        this._formationOffset = null;
+        /**
+         * The list of world space positions to fly through while executing a patrol command
+         * @type Number[3][]
+         */
+        this._waypoints = null;
+        /**
+         * The index of the waypoint the spacecraft is currently heading towards while executing a patrol command
+         * @type Number
+         */
+        this._waypointIndex = 0;
+        /**
+         * Whether to start over from the first waypoint after reaching the last one while executing a patrol command
+         * @type Boolean
+         */
+        this._loopPatrol = false;
         /**
          * The timestamp for when the last radio message was transmitted by this AI pilot
          * @type DOMHighResTimeStamp
@@ -1044,6 +1430,10 @@ define([
                 this._sendRadio((this._spacecraft.getHullIntegrity() < DAMAGED_HULL_INTEGRITY_THRESHOLD) ?
                         _radioMessageDamaged : _radioMessageHit,
                         RADIO_MESSAGE_HIT_DELAY, RADIO_MESSAGE_HIT_PRIORITY);
+                if (!this._retreating && (this._spacecraft.getHullIntegrity() < this._retreatHullIntegrity)) {
+                    this._retreat(spacecraft);
+                    return;
+                }
                 // if having different target
                 if (this._spacecraft.getTarget() && (this._spacecraft.getTarget() !== spacecraft)) {
                     // switch target in case the current target is not targeting us anyway or is out of range
@@ -1055,6 +1445,54 @@ define([
             }
         }
     };
+    /**
+     * Makes the pilot leave the battle: jump out if possible, otherwise stop engaging targets and get away from the passed spacecraft.
+     * @param {Spacecraft} attacker The spacecraft the pilot is retreating from
+     */
+    SpacecraftAI.prototype._retreat = function (attacker) {
+        this._retreating = true;
+        if (this._spacecraft.jumpOut(false)) {
+            this._sendRadio(_radioMessageLeaving, RADIO_MESSAGE_LEAVING_DELAY, RADIO_MESSAGE_LEAVING_PRIORITY);
+        } else {
+            this._standingDown = true;
+            this._moveCommand = MoveCommand.REACH_DISTANCE;
+            this._moveCommandTarget = attacker;
+            this._moveCommandMinDistance = RETREAT_DISTANCE;
+            this._moveCommandMaxDistance = 0;
+        }
+    };
+    /**
+     * Shifts the power of the controlled spacecraft (one unit at a time, periodically) towards the system most needed in the current
+     * situation: the engines when getting away or closing in, the shields when they are depleted and the weapons when attacking.
+     * @param {Number} dt The time elapsed since the last control step, in milliseconds.
+     */
+    SpacecraftAI.prototype._managePower = function (dt) {
+        var system, output = this._spacecraft.getReactorOutput();
+        if (output <= 0) {
+            return;
+        }
+        this._powerManagementTimeLeft -= dt;
+        if (this._powerManagementTimeLeft > 0) {
+            return;
+        }
+        this._powerManagementTimeLeft += POWER_MANAGEMENT_INTERVAL;
+        if (this._standingDown && !this._retreating) {
+            this._spacecraft.balancePower();
+            return;
+        }
+        if (this._retreating || (this._moveCommand !== MoveCommand.NONE) || !this._spacecraft.getTarget()) {
+            system = classes.PowerSystem.ENGINES;
+        } else if (this._spacecraft.hasShield() && (this._spacecraft.getShieldIntegrity() < POWER_SHIELD_INTEGRITY_THRESHOLD)) {
+            system = classes.PowerSystem.SHIELDS;
+        } else if (this._attackingTarget) {
+            system = classes.PowerSystem.WEAPONS;
+        } else {
+            system = classes.PowerSystem.ENGINES;
+        }
+        if (this._spacecraft.getPowerLevel(system) < Math.ceil(output * POWER_MAX_RATIO)) {
+            this._spacecraft.transferPower(system);
+        }
+    };
     /**
      * Executes the AI's reaction to it(s controlled spacecraft) destroying an enemy.
      */
@@ -1069,7 +1507,8 @@ define([
         var
                 /**@type Number*/ i,
                 /**@type String*/ way,
-                /**@type Spacecraft*/ target;
+                /**@type Spacecraft*/ target, leader;
+        this._spacecraft.setActiveOrder(data.order || null);
         switch (data.command) {
             case SpacecraftCommand.JUMP:
                 // handling jump command
@@ -1170,6 +1609,42 @@ define([
                     }
                 }
                 break;
+            case SpacecraftCommand.FORM_UP:
+                // handling form up command
+                if (data.formUp && data.formUp.formation) {
+                    // clear cached reference to the leader spacecraft for every new execution of the command
+                    if (data.clearCache) {
+                        data.formUp.leaderSpacecraft = null;
+                        data.clearCache = false;
+                    }
+                    leader = data.formUp.leaderSpacecraft || (data.formUp.leader ? this._mission.getSpacecraft(data.formUp.leader) : data.lead);
+                    if (leader) {
+                        data.formUp.leaderSpacecraft = leader;
+                        // the leader has the index 0 in the formation, so if it is not among the spacecrafts receiving the command, the
+                        // others need to be shifted
+                        this._formUp(leader, data.formUp.formation, (leader === data.lead) ? data.index : data.index + 1);
+                    } else {
+                        application.log_DEBUG("Warning: '" + this._spacecraft.getDisplayName() + "' has an invalid leader specified for form up command: '" + data.formUp.leader + "'. Might be because the ship is already destroyed.");
+                    }
+                }
+                break;
+            case SpacecraftCommand.PATROL:
+                // handling patrol command
+                if (data.patrol && data.patrol.waypoints && (data.patrol.waypoints.length > 0)) {
+                    if (data.patrol.formation && data.lead && (data.index > 0)) {
+                        // only the lead follows the waypoints, the rest fly in formation with it
+                        this._formUp(data.lead, data.patrol.formation, data.index);
+                    } else {
+                        this._moveCommand = MoveCommand.PATROL;
+                        this._moveCommandTarget = null;
+                        this._waypoints = data.patrol.waypoints.map(function (waypoint) {
+                            return waypoint.slice();
+                        });
+                        this._waypointIndex = 0;
+                        this._loopPatrol = !!data.patrol.loop;
+                    }
+                }
+                break;
             case SpacecraftCommand.CANCEL_MOVE:
                 // handling cancel move command
                 this._cancelMoveCommand();
@@ -1185,6 +1660,23 @@ define([
     SpacecraftAI.prototype._cancelMoveCommand = function () {
         this._moveCommand = MoveCommand.NONE;
         this._moveCommandTarget = null;
+        this._formationOffset = null;
+        this._waypoints = null;
+    };
+    /**
+     * Starts executing a form up move command, so that the spacecraft will take up and keep its position in the passed formation around
+     * the passed leader.
+     * @param {Spacecraft} leader The lead spacecraft of the formation (which has the index 0 in it)
+     * @param {SpacecraftEvents~JumpFormationData} formation
+     * @param {Number} index The index of the controlled spacecraft in the formation
+     */
+    SpacecraftAI.prototype._formUp = function (leader, formation, index) {
+        if ((leader !== this._spacecraft) && leader.isAlive() && !leader.isAway()) {
+            this._moveCommand = MoveCommand.FORM_UP;
+            this._moveCommandTarget = leader;
+            this._formationOffset = formations.getPositionInFormation(formation, index);
+            this._waypoints = null;
+        }
     };
     /**
      * Executes the current move command (if any) by turning/setting speed and cancels it if it has been conpleted
@@ -1193,14 +1685,16 @@ define([
      * @param {Float32Array} orientationMatrix The orientation matrix of the controlled spacecraft
      * @param {Number} acceleration The acceleration of the controlled spacecraft (m/s^2)
      * @param {Number} dt Time elapsed since last simulation step (milliseconds)
+     * @returns {Boolean} Whether the strafing of the spacecraft has been set while executing the move command
      */
     SpacecraftAI.prototype._executeMoveCommand = function (positionVector, orientationMatrix, acceleration, dt) {
-        var relativeTargetDirection, targetDistance, facingTarget, isFar, moveCommandCompleted;
+        var relativeTargetDirection, relativeLeaderVelocity, targetDistance, correctionSpeed, speed, facingTarget, isFar, moveCommandCompleted,
+                /** @type Spacecraft */ leader;
         switch (this._moveCommand) {
             case MoveCommand.REACH_DISTANCE:
                 if (!this._moveCommandTarget || !this._moveCommandTarget.isAlive() || this._moveCommandTarget.isAway()) {
                     this._cancelMoveCommand();
-                    return;
+                    return false;
                 }
                 relativeTargetDirection = vec.prodMat4Vec3Aux(
                         orientationMatrix,
@@ -1244,6 +1738,113 @@ define([
                     this._cancelMoveCommand();
                 }
                 break;
+            case MoveCommand.FORM_UP:
+                leader = this._moveCommandTarget;
+                if (!leader || !leader.isAlive() || leader.isAway()) {
+                    this._cancelMoveCommand();
+                    return false;
+                }
+                // the vector pointing from the spacecraft to its position in the formation
+                vec.setVector3(_vectorToTarget, this._formationOffset);
+                vec.mulVec3Mat4(_vectorToTarget, leader.getPhysicalOrientationMatrix());
+                vec.add3(_vectorToTarget, leader.getPhysicalPositionVector());
+                vec.sub3(_vectorToTarget, positionVector);
+                relativeTargetDirection = vec.prodMat4Vec3Aux(orientationMatrix, _vectorToTarget);
+                vec.setTranslationVector3(_leaderVelocityVector, leader.getPhysicalVelocityMatrix());
+                relativeLeaderVelocity = vec.prodMat4Vec3Aux(orientationMatrix, _leaderVelocityVector);
+                targetDistance = vec.length3(relativeTargetDirection);
+                if (targetDistance > FORMATION_KEEPING_DISTANCE + this._spacecraft.getSize()) {
+                    // catching up with the formation: turn towards our position in it and approach it fast enough to keep up with the
+                    // leader, but slowly enough to be able to match its speed when arriving
+                    speed = relativeLeaderVelocity[1];
+                    vec.normalize3(relativeTargetDirection);
+                    vec.getYawAndPitch(_angles, relativeTargetDirection);
+                    facingTarget = (Math.abs(_angles.yaw) < TARGET_FACING_ANGLE_THRESHOLD) && (Math.abs(_angles.pitch) < TARGET_FACING_ANGLE_THRESHOLD);
+                    this.turn(_angles.yaw, _angles.pitch, dt);
+                    isFar = targetDistance > FAR_APPROACH_THRESHOLD;
+                    this._spacecraft.changeFlightMode(isFar ? equipment.FlightMode.CRUISE : equipment.FlightMode.COMBAT);
+                    if (facingTarget) {
+                        this._spacecraft.setSpeedTarget(speed + Math.min(
+                                Math.sqrt(2 * acceleration * targetDistance),
+                                acceleration * (isFar ? FAR_APPROACH_SPEED_FACTOR : APPROACH_SPEED_FACTOR)));
+                    } else {
+                        this._spacecraft.resetSpeed();
+                    }
+                    return false;
+                }
+                // keeping the position in the formation: face the same way as the leader, match its velocity and correct the remaining
+                // offset along each axis
+                this._spacecraft.changeFlightMode(equipment.FlightMode.COMBAT);
+                vec.getYawAndPitch(_angles, vec.prodMat4Vec3Aux(orientationMatrix, vec.getRowB43Aux(leader.getPhysicalOrientationMatrix())));
+                this.turn(_angles.yaw, _angles.pitch, dt);
+                correctionSpeed = acceleration * APPROACH_SPEED_FACTOR;
+                this._spacecraft.setSpeedTarget(relativeLeaderVelocity[1] + Math.min(Math.max(
+                        relativeTargetDirection[1] * FORMATION_CORRECTION_FACTOR, -correctionSpeed), correctionSpeed));
+                speed = relativeLeaderVelocity[0] + Math.min(Math.max(relativeTargetDirection[0] * FORMATION_CORRECTION_FACTOR, -correctionSpeed), correctionSpeed);
+                if (speed > 0) {
+                    this._spacecraft.strafeRight(speed);
+                } else if (speed < 0) {
+                    this._spacecraft.strafeLeft(-speed);
+                } else {
+                    this._spacecraft.stopLeftStrafe();
+                    this._spacecraft.stopRightStrafe();
+                }
+                speed = relativeLeaderVelocity[2] + Math.min(Math.max(relativeTargetDirection[2] * FORMATION_CORRECTION_FACTOR, -correctionSpeed), correctionSpeed);
+                if (speed > 0) {
+                    this._spacecraft.raise(speed);
+                } else if (speed < 0) {
+                    this._spacecraft.lower(-speed);
+                } else {
+                    this._spacecraft.stopLower();
+                    this._spacecraft.stopRaise();
+                }
+                return true;
+            case MoveCommand.PATROL:
+                vec.setDiff3(_vectorToTarget, this._waypoints[this._waypointIndex], positionVector);
+                relativeTargetDirection = vec.prodMat4Vec3Aux(orientationMatrix, _vectorToTarget);
+                targetDistance = vec.extractLength3(relativeTargetDirection);
+                if (targetDistance <= WAYPOINT_REACH_DISTANCE + this._spacecraft.getSize()) {
+                    this._waypointIndex++;
+                    if (this._waypointIndex >= this._waypoints.length) {
+                        if (!this._loopPatrol) {
+                            this._cancelMoveCommand();
+                            return false;
+                        }
+                        this._waypointIndex = 0;
+                    }
+                    return false;
+                }
+                vec.getYawAndPitch(_angles, relativeTargetDirection);
+                facingTarget = (Math.abs(_angles.yaw) < TARGET_FACING_ANGLE_THRESHOLD) && (Math.abs(_angles.pitch) < TARGET_FACING_ANGLE_THRESHOLD);
+                this.turn(_angles.yaw, _angles.pitch, dt);
+                isFar = targetDistance > FAR_APPROACH_THRESHOLD;
+                this._spacecraft.changeFlightMode(isFar ? equipment.FlightMode.CRUISE : equipment.FlightMode.COMBAT);
+                speed = acceleration * (isFar ? FAR_APPROACH_SPEED_FACTOR : APPROACH_SPEED_FACTOR);
+                if (facingTarget) {
+                    // only slow down when approaching the final waypoint
+                    if ((this._waypointIndex < this._waypoints.length - 1) || this._loopPatrol) {
+                        this._spacecraft.setSpeedTarget(speed);
+                    } else {
+                        this.approach(targetDistance, 0, 0, speed);
+                    }
+                } else {
+                    this._spacecraft.resetSpeed();
+                }
+                break;
+        }
+        return false;
+    };
+    /**
+     * Updates the AI state for the case when the battle scene with all objects has been moved by a vector, updating stored world-space
+     * positions.
+     * @param {Number[3]} vector
+     */
+    SpacecraftAI.prototype.handleSceneMoved = function (vector) {
+        var i;
+        if (this._waypoints) {
+            for (i = 0; i < this._waypoints.length; i++) {
+                vec.add3(this._waypoints[i], vector);
+            }
         }
     };
     /**
@@ -1289,10 +1890,13 @@ define([
      * guns pointing forward, requiring it to face its target when firing.
      * @param {Spacecraft} fighter The fighter to control
      * @param {Mission} mission The mission within which this AI will control the fighter
+     * @param {AIProfile} [profile] The profile determining the behaviour of the AI pilot
      */
-    function FighterAI(fighter, mission) {
-        var reactionTimeFactor = ((mission.getPilotedSpacecraft() && mission.getPilotedSpacecraft().isHostile(fighter)) ? mission.getDifficultyLevel().getEnemyReactionTimeFactor() : 1);
-        SpacecraftAI.call(this, fighter, mission);
+    function FighterAI(fighter, mission, profile) {
+        var
+                hostile = !!mission.getPilotedSpacecraft() && mission.getPilotedSpacecraft().isHostile(fighter),
+                reactionTimeFactor = hostile ? mission.getDifficultyLevel().getEnemyReactionTimeFactor() : 1;
+        SpacecraftAI.call(this, fighter, mission, profile);
         /**
          * The time elapsed since finishing the last roll movement while firing (reset when not firing or when a new attack run starts), in 
          * milliseconds.
@@ -1348,13 +1952,46 @@ define([
          * @type Number
          */
         this._chargeDestination = [0, 0, 0];
+        /**
+         * The value the max distance factor starts out at for each attack run (the preferred engagement distance relative to the weapon
+         * range)
+         * @type Number
+         */
+        this._baseMaxDistanceFactor = this._engagementDistanceFactor || BASE_MAX_DISTANCE_FACTOR;
+        /**
+         * The value the max distance factor can be decreased to at most when closing in
+         * @type Number
+         */
+        this._closeMaxDistanceFactor = Math.min(CLOSE_MAX_DISTANCE_FACTOR, this._baseMaxDistanceFactor);
+        /**
+         * During normal (not charge) attacks, the fighter will keep a distance of at least its weapon range multiplied by this factor
+         * from the target.
+         * @type Number
+         */
+        this._minDistanceFactor = Math.min(MIN_DISTANCE_FACTOR, this._closeMaxDistanceFactor);
+        /**
+         * The fighter will close in on its target after missing it with this many shots (depends on the aggression of the pilot)
+         * @type Number
+         */
+        this._closeInTriggerMissCount = (this._aggression > 0) ? CLOSE_IN_TRIGGER_MISS_COUNT / this._aggression : Infinity;
+        /**
+         * The fighter will initiate a charge attack after missing its target with this many shots (depends on the aggression of the pilot)
+         * @type Number
+         */
+        this._chargeTriggerMissCount = (this._aggression > 0) ? CHARGE_TRIGGER_MISS_COUNT / this._aggression : Infinity;
+        /**
+         * The fighter will initiate a charge attack after being hit by spacecrafts other than its target this many times (depends on the
+         * aggression of the pilot)
+         * @type Number
+         */
+        this._chargeTriggerHitCount = (this._aggression > 0) ? CHARGE_TRIGGER_HIT_COUNT / this._aggression : Infinity;
         /**
          * When peforming a normal (not charge) attack, the fighter will approach its target to be at a maximum distance which equals the
          * range of its weapons multiplied by this factor. This starts out at a base value and is decreased gradually if the fighter 
          * cannot hit its target at the current distance.
          * @type Number
          */
-        this._maxDistanceFactor = BASE_MAX_DISTANCE_FACTOR;
+        this._maxDistanceFactor = this._baseMaxDistanceFactor;
         /**
          * If the firing path of the fighter is blocked by another spacecraft, a reference of that spacecraft is stored in this variable
          * so that a detailed check about whether the blocking still persists can be performed for this specific craft (but doesn't need
@@ -1408,10 +2045,52 @@ define([
          * @type Missile[]
          */
         this._missilesOnTarget = [];
+        /**
+         * The probability (0 to 1) with which the pilot notices threats (incoming missiles, hostiles tailing it)
+         * @type Number
+         */
+        this._threatAwareness = hostile ? mission.getDifficultyLevel().getEnemyThreatAwareness() : 1;
+        /**
+         * The list of (noticed) missiles launched at the fighter that might still hit it
+         * @type Missile[]
+         */
+        this._incomingMissiles = [];
+        /**
+         * The (noticed) hostile spacecraft that is currently tailing the fighter, if any
+         * @type Spacecraft
+         */
+        this._tailingSpacecraft = null;
+        /**
+         * The amount of time left before checking again whether the fighter is being tailed, in milliseconds.
+         * @type Number
+         */
+        this._threatCheckTimeLeft = 0;
+        /**
+         * The defensive maneuver the fighter is currently performing (enum DefensiveManeuver)
+         * @type Number
+         */
+        this._defensiveManeuver = DefensiveManeuver.NONE;
+        /**
+         * The unit vector pointing towards the threat the current defensive maneuver is performed against, in the model space of the 
+         * fighter
+         * @type Number[3]
+         */
+        this._threatDirection = [0, 0, 0];
+        /**
+         * The amount of time left before changing the strafing direction when jinking, in milliseconds.
+         * @type Number
+         */
+        this._jinkTimeLeft = 0;
+        /**
+         * The 2D vector describing the strafing velocity (horizontal and vertical) of the current jinking movement.
+         * @type Number[2]
+         */
+        this._jinkVelocityVector = [0, 0];
         // attaching handlers to the various spacecraft events
         this._spacecraft.addEventHandler(SpacecraftEvents.TARGET_HIT, this._handleTargetHit.bind(this));
         this._spacecraft.addEventHandler(SpacecraftEvents.ANY_SPACECRAFT_HIT, this._handleAnySpacecraftHit.bind(this));
         this._spacecraft.addEventHandler(SpacecraftEvents.TARGET_FIRED, this._handleTargetFired.bind(this));
+        this._spacecraft.addEventHandler(SpacecraftEvents.MISSILE_LAUNCHED_AT, this._handleMissileLaunchedAt.bind(this));
     }
     FighterAI.prototype = new SpacecraftAI();
     FighterAI.prototype.constructor = FighterAI;
@@ -1434,7 +2113,7 @@ define([
         this._timeSinceLastTargetHit = 0;
         this._timeSinceLastClosingIn = 0;
         this._timeSinceLastRoll = 0;
-        this._maxDistanceFactor = BASE_MAX_DISTANCE_FACTOR;
+        this._maxDistanceFactor = this._baseMaxDistanceFactor;
         this._isBlockedBy = null;
         this._rollTime = -1;
         this._targetOffset = [0, 0, 0];
@@ -1470,7 +2149,7 @@ define([
     FighterAI.prototype._handleBeingHit = function (data) {
         // initiating a new evasive maneuver in case one is not already in progress
         // if the attack path is blocked by a spacecraft, then we are already strafing, so no evasive maneuver is started
-        if (!this._isBlockedBy) {
+        if (!this._isBlockedBy && (this._evasion !== classes.AIEvasionStyle.NONE)) {
             if (this._triggerEvasiveManeuver()) {
                 // marking the direction opposite to the hit position so an appropriate evasive vector can be calculated
                 this._evasiveVelocityVector[0] = -data.hitPosition[0];
@@ -1511,7 +2190,7 @@ define([
     FighterAI.prototype._handleTargetFired = function () {
         var angle;
         // if we see the current target firing at us, start a random evasive maneuver
-        if (!this._isBlockedBy &&
+        if (!this._isBlockedBy && (this._evasion === classes.AIEvasionStyle.ANTICIPATE) &&
                 this._facingTarget && this._spacecraft && this._spacecraft.getTarget() && (this._spacecraft.getTarget().getTarget() === this._spacecraft) &&
                 (this._targetDistance > this._weaponRange * MIN_EVADE_DISTANCE_FACTOR)) {
             if (this._triggerEvasiveManeuver()) {
@@ -1523,12 +2202,191 @@ define([
             }
         }
     };
+    /**
+     * Updates the AI state for when a homing missile is launched at the controlled fighter (depending on the threat awareness of the
+     * pilot, the missile is noted so that it can be evaded).
+     * @param {SpacecraftEvents~MissileLaunchedAtData} data
+     */
+    FighterAI.prototype._handleMissileLaunchedAt = function (data) {
+        if ((this._evasion !== classes.AIEvasionStyle.NONE) && (_threatSeed() < this._threatAwareness)) {
+            this._incomingMissiles.push(data.missile);
+        }
+    };
+    /**
+     * Returns a hostile spacecraft that is currently tailing the controlled fighter (targeting it while being close behind it and facing
+     * it), if there is one.
+     * @param {Number[3]} positionVector The current world position of the fighter
+     * @param {Float32Array} orientationMatrix The current orientation matrix of the fighter
+     * @returns {Spacecraft|null}
+     */
+    FighterAI.prototype._getTailingSpacecraft = function (positionVector, orientationMatrix) {
+        var
+                i, distance, craftOrientationMatrix,
+                maxDistance = this._weaponRange * TAILING_DISTANCE_FACTOR,
+                minCosine = Math.cos(TAILING_ANGLE),
+                attackers = this._spacecraft.getTargetingSpacecrafts();
+        for (i = 0; i < attackers.length; i++) {
+            if (attackers[i].isAlive() && !attackers[i].isAway() && attackers[i].isHostile(this._spacecraft)) {
+                vec.setDiff3(_threatVector, attackers[i].getPhysicalPositionVector(), positionVector);
+                distance = vec.extractLength3(_threatVector);
+                if ((distance > 0) && (distance < maxDistance)) {
+                    craftOrientationMatrix = attackers[i].getPhysicalOrientationMatrix();
+                    // the attacker needs to be behind us (opposite to our forward, +Y direction) and its forward direction needs to
+                    // point towards us
+                    if (((_threatVector[0] * orientationMatrix[4] + _threatVector[1] * orientationMatrix[5] + _threatVector[2] * orientationMatrix[6]) < -minCosine) &&
+                            ((_threatVector[0] * craftOrientationMatrix[4] + _threatVector[1] * craftOrientationMatrix[5] + _threatVector[2] * craftOrientationMatrix[6]) < -minCosine)) {
+                        return attackers[i];
+                    }
+                }
+            }
+        }
+        return null;
+    };
+    /**
+     * Checks the threats to the controlled fighter (incoming missiles and hostiles tailing it) and updates which defensive maneuver it
+     * should perform (if any) and the direction of the threat it is performed against.
+     * @param {Number[3]} positionVector The current world position of the fighter
+     * @param {Float32Array} orientationMatrix The current orientation matrix of the fighter
+     * @param {Number} dt The time elapsed since the last control step, in milliseconds
+     */
+    FighterAI.prototype._updateThreats = function (positionVector, orientationMatrix, dt) {
+        var
+                i, missile, missilePosition, missileVelocity, ownVelocity, distance, closingSpeed, impactTime,
+                minImpactTime = Infinity,
+                maneuver = DefensiveManeuver.NONE;
+        ownVelocity = this._spacecraft.getPhysicalVelocityMatrix();
+        // finding the incoming missile expected to hit first (removing the ones that have exploded or lost their target)
+        for (i = 0; i < this._incomingMissiles.length; i++) {
+            missile = this._incomingMissiles[i];
+            if (missile.canBeReused() || (missile.getTarget() !== this._spacecraft)) {
+                this._incomingMissiles.splice(i, 1);
+                i--;
+                continue;
+            }
+            missilePosition = missile.getPhysicalModel().getPositionMatrix();
+            missileVelocity = missile.getPhysicalModel().getVelocityMatrix();
+            _threatVector[0] = missilePosition[12] - positionVector[0];
+            _threatVector[1] = missilePosition[13] - positionVector[1];
+            _threatVector[2] = missilePosition[14] - positionVector[2];
+            distance = vec.extractLength3(_threatVector);
+            closingSpeed = -((missileVelocity[12] - ownVelocity[12]) * _threatVector[0] +
+                    (missileVelocity[13] - ownVelocity[13]) * _threatVector[1] +
+                    (missileVelocity[14] - ownVelocity[14]) * _threatVector[2]);
+            if (closingSpeed > 0) {
+                impactTime = distance / closingSpeed * 1000;
+                if (impactTime < minImpactTime) {
+                    minImpactTime = impactTime;
+                    vec.setProdMat4Vec3(this._threatDirection, orientationMatrix, _threatVector);
+                }
+            }
+        }
+        if (minImpactTime < MISSILE_BREAK_TIME) {
+            maneuver = DefensiveManeuver.BREAK_TURN;
+            // the missile is close: trying to decoy it (the launcher cooldown limits how often this actually happens)
+            this._spacecraft.launchCountermeasure();
+        } else if (minImpactTime < MISSILE_THREAT_TIME) {
+            maneuver = DefensiveManeuver.BOOST_AWAY;
+        } else {
+            // checking whether we are being tailed (not in every step)
+            this._threatCheckTimeLeft -= dt;
+            if (this._threatCheckTimeLeft <= 0) {
+                this._threatCheckTimeLeft = THREAT_CHECK_INTERVAL;
+                if (!this._tailingSpacecraft && (this._evasion !== classes.AIEvasionStyle.NONE) && (_threatSeed() < this._threatAwareness)) {
+                    this._tailingSpacecraft = this._getTailingSpacecraft(positionVector, orientationMatrix);
+                }
+            }
+            if (this._tailingSpacecraft) {
+                if (!this._tailingSpacecraft.isAlive() || this._tailingSpacecraft.isAway() || (this._tailingSpacecraft.getTarget() !== this._spacecraft)) {
+                    this._tailingSpacecraft = null;
+                } else {
+                    // with healthy shields, we turn to face the tailing hostile and engage it, otherwise we try to shake it off
+                    if (this._spacecraft.getShieldIntegrity() >= SHIELD_FACING_INTEGRITY_THRESHOLD) {
+                        this._updateTarget(this._tailingSpacecraft);
+                    }
+                    if (this._spacecraft.getTarget() === this._tailingSpacecraft) {
+                        this._tailingSpacecraft = null;
+                    } else {
+                        vec.setDiff3(_threatVector, this._tailingSpacecraft.getPhysicalPositionVector(), positionVector);
+                        distance = vec.extractLength3(_threatVector);
+                        vec.setProdMat4Vec3(this._threatDirection, orientationMatrix, _threatVector);
+                        maneuver = (distance < this._weaponRange * BREAK_TURN_DISTANCE_FACTOR) ? DefensiveManeuver.BREAK_TURN : DefensiveManeuver.JINK;
+                    }
+                }
+            }
+        }
+        if (maneuver !== this._defensiveManeuver) {
+            if (this._defensiveManeuver === DefensiveManeuver.NONE) {
+                // defensive maneuvers interrupt charge attacks and evasive maneuvers
+                this._chargePhase = ChargePhase.NONE;
+                this._evasiveManeuverTime = -1;
+                this._sendRadio(_radioMessageEvading, RADIO_MESSAGE_EVADING_DELAY, RADIO_MESSAGE_EVADING_PRIORITY);
+            }
+            if (this._defensiveManeuver === DefensiveManeuver.BOOST_AWAY) {
+                this._spacecraft.disengageBooster();
+            }
+            if (maneuver === DefensiveManeuver.BOOST_AWAY) {
+                this._spacecraft.changeFlightMode(equipment.FlightMode.CRUISE);
+                this._spacecraft.engageBooster();
+            } else if ((this._defensiveManeuver === DefensiveManeuver.BOOST_AWAY) || (this._defensiveManeuver === DefensiveManeuver.BREAK_TURN)) {
+                // after turning away, we need to start the attack from the beginning (this also restores combat flight mode)
+                this._startNewAttackRun();
+            } else {
+                this._spacecraft.changeFlightMode(equipment.FlightMode.COMBAT);
+            }
+            this._defensiveManeuver = maneuver;
+        }
+    };
+    /**
+     * Performs the turning, speed and strafing control for the current defensive maneuver, if it is a boost away or break turn.
+     * @param {Number} acceleration The maximum acceleration of the fighter
+     * @param {Number} dt The time elapsed since the last control step, in milliseconds
+     */
+    FighterAI.prototype._performDefensiveManeuver = function (acceleration, dt) {
+        var strafeSpeed;
+        if (this._defensiveManeuver === DefensiveManeuver.BOOST_AWAY) {
+            // turning so that the threat is right behind us and speeding up
+            vec.getYawAndPitch(_angles, vec.scaled3Aux(this._threatDirection, -1));
+            this.turn(_angles.yaw, _angles.pitch, dt);
+            this._spacecraft.setSpeedTarget(acceleration * MISSILE_EVASION_SPEED_FACTOR);
+            this._spacecraft.stopLeftStrafe();
+            this._spacecraft.stopRightStrafe();
+            this._spacecraft.stopLower();
+            this._spacecraft.stopRaise();
+        } else {
+            // turning towards the direction closest to our current heading that is perpendicular to the direction of the threat
+            _threatVector[0] = -this._threatDirection[0] * this._threatDirection[1];
+            _threatVector[1] = 1 - this._threatDirection[1] * this._threatDirection[1];
+            _threatVector[2] = -this._threatDirection[2] * this._threatDirection[1];
+            if (vec.extractLength3(_threatVector) < TURN_THRESHOLD_ANGLE) {
+                // the threat is right ahead or behind: break to the right
+                _threatVector[0] = 1;
+                _threatVector[1] = 0;
+                _threatVector[2] = 0;
+            }
+            vec.getYawAndPitch(_angles, _threatVector);
+            this.turn(_angles.yaw, _angles.pitch, dt);
+            this._spacecraft.setSpeedTarget(acceleration * BREAK_TURN_SPEED_FACTOR);
+            // strafing away from the threat
+            strafeSpeed = acceleration * EVASIVE_MANEUVER_SPEED_FACTOR;
+            if (this._threatDirection[0] > 0) {
+                this._spacecraft.strafeLeft(strafeSpeed);
+            } else {
+                this._spacecraft.strafeRight(strafeSpeed);
+            }
+            if (this._threatDirection[2] > 0) {
+                this._spacecraft.lower(strafeSpeed);
+            } else {
+                this._spacecraft.raise(strafeSpeed);
+            }
+        }
+    };
     /**
      * Updates the AI state for the case when the battle scene with all objects has been moved by a vector, updating stored world-space
      * positions.
      * @param {Number[3]} vector
      */
     FighterAI.prototype.handleSceneMoved = function (vector) {
+        SpacecraftAI.prototype.handleSceneMoved.call(this, vector);
         vec.add3(this._chargeDestination, vector);
     };
     /**
@@ -1581,10 +2439,11 @@ define([
             // .................................................................................................
             // targeting
             this._updateTarget();
+            this._managePower(dt);
             // .................................................................................................
             // caching / referencing commonly needed variables
             acceleration = this._spacecraft.getMaxAcceleration();
-            ownSize = this._spacecraft.getVisualModel().getScaledSize();
+            ownSize = this._spacecraft.getSize();
             // caching / referencing needed variables
             positionVector = this._spacecraft.getPhysicalPositionVector();
             orientationMatrix = this._spacecraft.getPhysicalOrientationMatrix();
@@ -1598,11 +2457,18 @@ define([
                     i--;
                 }
             }
-            this._executeMoveCommand(positionVector, orientationMatrix, acceleration, dt);
+            strafingHandled = this._executeMoveCommand(positionVector, orientationMatrix, acceleration, dt);
             if (this._moveCommand === MoveCommand.NONE) {
+                this._updateThreats(positionVector, orientationMatrix, dt);
                 // .................................................................................................
-                // evade phase of charge maneuver
-                if (this._chargePhase === ChargePhase.EVADE) {
+                // defensive maneuvers against incoming missiles / hostiles tailing us
+                if ((this._defensiveManeuver === DefensiveManeuver.BOOST_AWAY) || (this._defensiveManeuver === DefensiveManeuver.BREAK_TURN)) {
+                    this._facingTarget = false;
+                    this._performDefensiveManeuver(acceleration, dt);
+                    strafingHandled = true;
+                    // .................................................................................................
+                    // evade phase of charge maneuver
+                } else if (this._chargePhase === ChargePhase.EVADE) {
                     this._attackingTarget = !!target;
                     vec.setDiff3(_vectorToTarget, this._chargeDestination, positionVector);
                     relativeTargetDirection = vec.prodMat4Vec3Aux(
@@ -1697,7 +2563,7 @@ define([
                     if (weapons && weapons.length > 0) {
                         // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
                         // firing
-                        targetSize = target.getVisualModel().getScaledSize();
+                        targetSize = target.getSize();
                         fireThresholdAngle = Math.atan(FIRE_THRESHOLD_ANGLE_FACTOR * targetSize / this._targetDistance);
                         worldProjectileVelocity = weapons[0].getProjectileVelocity() + speed;
                         targetHitTime = this._targetDistance / worldProjectileVelocity * 1000;
@@ -1769,15 +2635,17 @@ define([
                         }
                         // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
                         // launching missiles
-                        if (this._spacecraft.getActiveMissileLauncher()) {
+                        if (this._spacecraft.getActiveMissileLauncher() && (this._missileUsage !== classes.AIMissileUsage.NONE)) {
                             // do not launch anti-ship missiles against fighters or vice versa
                             if (this._spacecraft.getActiveMissileLauncher().getMissileClass().isAntiShip() === target.isFighter()) {
                                 this._spacecraft.changeMissile();
                             } else {
                                 // do not launch additional missiles if there are already enough of them on their way to destroy the target (launched by us)
                                 hitpoints = target.getHitpoints() + target.getShieldCapacity();
-                                for (i = 0; i < this._missilesOnTarget.length; i++) {
-                                    hitpoints -= this._missilesOnTarget[i].getClass().getDamage(0);
+                                if (this._missileUsage === classes.AIMissileUsage.NORMAL) {
+                                    for (i = 0; i < this._missilesOnTarget.length; i++) {
+                                        hitpoints -= this._missilesOnTarget[i].getClass().getDamage(0);
+                                    }
                                 }
                                 if (hitpoints > 0) {
                                     missile = this._spacecraft.launchMissile();
@@ -1790,7 +2658,7 @@ define([
                         }
                         // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
                         // initiating charge
-                        if ((this._chargePhase === ChargePhase.NONE) && ((this._hitCountByNonTarget >= CHARGE_TRIGGER_HIT_COUNT) || ((this._timeSinceLastTargetHit > targetHitTime + CHARGE_TRIGGER_MISS_COUNT * weaponCooldown)))) {
+                        if ((this._chargePhase === ChargePhase.NONE) && ((this._hitCountByNonTarget >= this._chargeTriggerHitCount) || ((this._timeSinceLastTargetHit > targetHitTime + this._chargeTriggerMissCount * weaponCooldown)))) {
                             this._chargePhase = ChargePhase.APPROACH_ATTACK;
                             this._spacecraft.changeFlightMode(equipment.FlightMode.CRUISE);
                         }
@@ -1799,14 +2667,14 @@ define([
                         // normal (non-charging behaviour)
                         if (this._chargePhase === ChargePhase.NONE) {
                             // closing in the distance if we are unable to hit the target at the current range
-                            closeInTriggerTime = targetHitTime + CLOSE_IN_TRIGGER_MISS_COUNT * weaponCooldown;
-                            if ((this._timeSinceLastClosingIn > closeInTriggerTime) && (this._timeSinceLastTargetHit > closeInTriggerTime) && (this._maxDistanceFactor > CLOSE_MAX_DISTANCE_FACTOR)) {
-                                this._maxDistanceFactor = Math.max(this._maxDistanceFactor - MAX_DISTANCE_FACTOR_DECREMENT, CLOSE_MAX_DISTANCE_FACTOR);
+                            closeInTriggerTime = targetHitTime + this._closeInTriggerMissCount * weaponCooldown;
+                            if ((this._timeSinceLastClosingIn > closeInTriggerTime) && (this._timeSinceLastTargetHit > closeInTriggerTime) && (this._maxDistanceFactor > this._closeMaxDistanceFactor)) {
+                                this._maxDistanceFactor = Math.max(this._maxDistanceFactor - MAX_DISTANCE_FACTOR_DECREMENT, this._closeMaxDistanceFactor);
                                 this._timeSinceLastClosingIn = 0;
                             }
                             baseDistance = 0.5 * (ownSize + targetSize);
                             maxDistance = baseDistance + this._maxDistanceFactor * this._weaponRange;
-                            minDistance = baseDistance + MIN_DISTANCE_FACTOR * this._weaponRange;
+                            minDistance = baseDistance + this._minDistanceFactor * this._weaponRange;
                             if (!this._facingTarget) {
                                 this._spacecraft.resetSpeed();
                             } else {
@@ -1850,11 +2718,44 @@ define([
                     // aiming turnable weapons towards default position
                     this._spacecraft.aimWeapons(TURN_THRESHOLD_ANGLE, 0, dt);
                 }
+            } else {
+                // move commands take precedence over defensive maneuvers
+                if (this._defensiveManeuver === DefensiveManeuver.BOOST_AWAY) {
+                    this._spacecraft.disengageBooster();
+                }
+                this._defensiveManeuver = DefensiveManeuver.NONE;
+                this._tailingSpacecraft = null;
             }
             if (!strafingHandled) {
                 // .................................................................................................
-                // performing evasive maneuver when hit
-                if ((this._evasiveManeuverTime >= 0) && (this._evasiveManeuverDelayLeft <= 0)) {
+                // jinking to throw off the aim of a hostile tailing us
+                if (this._defensiveManeuver === DefensiveManeuver.JINK) {
+                    this._jinkTimeLeft -= dt;
+                    if (this._jinkTimeLeft <= 0) {
+                        this._jinkTimeLeft = JINK_INTERVAL;
+                        this._jinkVelocityVector[0] = acceleration * JINK_SPEED_FACTOR;
+                        this._jinkVelocityVector[1] = 0;
+                        vec.rotate2(this._jinkVelocityVector, _threatSeed() * utils.DOUBLE_PI);
+                    }
+                    if (this._jinkVelocityVector[0] > 0) {
+                        this._spacecraft.strafeRight(this._jinkVelocityVector[0]);
+                    } else if (this._jinkVelocityVector[0] < 0) {
+                        this._spacecraft.strafeLeft(-this._jinkVelocityVector[0]);
+                    } else {
+                        this._spacecraft.stopLeftStrafe();
+                        this._spacecraft.stopRightStrafe();
+                    }
+                    if (this._jinkVelocityVector[1] > 0) {
+                        this._spacecraft.raise(this._jinkVelocityVector[1]);
+                    } else if (this._jinkVelocityVector[1] < 0) {
+                        this._spacecraft.lower(-this._jinkVelocityVector[1]);
+                    } else {
+                        this._spacecraft.stopLower();
+                        this._spacecraft.stopRaise();
+                    }
+                    // .................................................................................................
+                    // performing evasive maneuver when hit
+                } else if ((this._evasiveManeuverTime >= 0) && (this._evasiveManeuverDelayLeft <= 0)) {
                     // when initiating an evasive maneuver, the evasive velocity vector is a unit vector pointing in the opposite direction
                     // to where the spacecraft has been hit, so we scale it to the required speed and randomly rotate it -90 to +90 degrees
                     if (this._evasiveManeuverTime === 0) {
@@ -1897,6 +2798,199 @@ define([
         }
     };
     // ##############################################################################
+    /**
+     * @class
+     * The fire control subsystem of ships and stations, which assigns each of their rotatable weapons (turrets) its own target based on
+     * the firing arc and range of the turret and the threat posed by the hostile spacecrafts and incoming missiles around, so that the 
+     * turrets can defend the ship against multiple attackers at once (and shoot down missiles launched at it).
+     * @param {Spacecraft} spacecraft The spacecraft the turrets of which to control
+     * @param {Mission} mission The mission within which the spacecraft is
+     */
+    function TurretFireControl(spacecraft, mission) {
+        var hostile = !!mission.getPilotedSpacecraft() && mission.getPilotedSpacecraft().isHostile(spacecraft);
+        /**
+         * The spacecraft the turrets of which are controlled.
+         * @type Spacecraft
+         */
+        this._spacecraft = spacecraft;
+        /**
+         * The mission within which the spacecraft is.
+         * @type Mission
+         */
+        this._mission = mission;
+        /**
+         * The probability (0 to 1) with which the missiles launched at the spacecraft are noticed (and engaged by the turrets)
+         * @type Number
+         */
+        this._threatAwareness = hostile ? mission.getDifficultyLevel().getEnemyThreatAwareness() : 1;
+        /**
+         * The list of (noticed) missiles launched at the spacecraft that might still hit it
+         * @type Missile[]
+         */
+        this._incomingMissiles = [];
+        /**
+         * The time left until the next reassignment of the turret targets, in milliseconds.
+         * @type Number
+         */
+        this._updateTimeLeft = 0;
+        /**
+         * The list of spacecrafts and missiles that can be assigned to turrets at the current target assignment
+         * @type Array
+         */
+        this._candidates = [];
+        /**
+         * The threat values of the candidates (same indices as in the candidate list)
+         * @type Number[]
+         */
+        this._candidateThreats = [];
+        /**
+         * The number of turrets assigned to each of the candidates (same indices as in the candidate list)
+         * @type Number[]
+         */
+        this._candidateAssignments = [];
+        /**
+         * Whether any of the turrets currently has its own target assigned
+         * @type Boolean
+         */
+        this._engaging = false;
+        spacecraft.addEventHandler(SpacecraftEvents.MISSILE_LAUNCHED_AT, this._handleMissileLaunchedAt.bind(this));
+    }
+    /**
+     * Adds the missile launched at the spacecraft to the list of incoming missiles (if it is noticed).
+     * @param {SpacecraftEvents~MissileLaunchedAtData} data
+     */
+    TurretFireControl.prototype._handleMissileLaunchedAt = function (data) {
+        if (_threatSeed() < this._threatAwareness) {
+            this._incomingMissiles.push(data.missile);
+        }
+    };
+    /**
+     * Returns whether any of the turrets currently has its own target assigned (and so should fire at it if aimed).
+     * @returns {Boolean}
+     */
+    TurretFireControl.prototype.isEngaging = function () {
+        return this._engaging;
+    };
+    /**
+     * Adds a spacecraft or missile to the list of targets that can be assigned to the turrets.
+     * @param {Spacecraft|Missile} candidate
+     * @param {Number} threat The threat value of the candidate
+     */
+    TurretFireControl.prototype._addCandidate = function (candidate, threat) {
+        this._candidates.push(candidate);
+        this._candidateThreats.push(threat);
+        this._candidateAssignments.push(0);
+    };
+    /**
+     * Collects the spacecrafts and missiles within the passed range that can be assigned to the turrets, together with their threat values.
+     * @param {Number[3]} positionVector The current world position of the controlled spacecraft
+     * @param {Number} range Only targets closer than this (in meters) are collected
+     * @param {Boolean} onlyMissiles Whether to only collect the incoming missiles (and no spacecrafts)
+     */
+    TurretFireControl.prototype._collectCandidates = function (positionVector, range, onlyMissiles) {
+        var i, missile, spacecrafts, craft, target = this._spacecraft.getTarget(), rangeSquared = range * range;
+        this._candidates.length = 0;
+        this._candidateThreats.length = 0;
+        this._candidateAssignments.length = 0;
+        for (i = 0; i < this._incomingMissiles.length; i++) {
+            missile = this._incomingMissiles[i];
+            if (missile.canBeReused() || (missile.getTarget() !== this._spacecraft)) {
+                this._incomingMissiles.splice(i, 1);
+                i--;
+                continue;
+            }
+            if (vec.length3Squared(vec.diffMat4Vec3Aux(missile.getPhysicalModel().getPositionMatrix(), positionVector)) <= rangeSquared) {
+                this._addCandidate(missile, TURRET_MISSILE_THREAT);
+            }
+        }
+        if (onlyMissiles) {
+            return;
+        }
+        spacecrafts = this._mission.getSpacecrafts();
+        for (i = 0; i < spacecrafts.length; i++) {
+            craft = spacecrafts[i];
+            if (craft.isAlive() && !craft.isAway() && craft.isHostile(this._spacecraft) &&
+                    (vec.length3Squared(vec.diffMat4Vec3Aux(craft.getPhysicalPositionMatrix(), positionVector)) <= rangeSquared)) {
+                this._addCandidate(craft, (craft.getTarget() === this._spacecraft) ?
+                        TURRET_ATTACKER_THREAT :
+                        ((craft === target) ? TURRET_MAIN_TARGET_THREAT : TURRET_HOSTILE_THREAT));
+            }
+        }
+    };
+    /**
+     * Reassigns the targets of the turrets of the spacecraft: each turret gets the candidate with the highest score that is within its
+     * firing arc and range, based on the threat value and distance of the candidate and how many turrets have already been assigned to it.
+     * Turrets that cannot engage any of the candidates are left to follow the target of the spacecraft.
+     * @param {Number[3]} positionVector The current world position of the controlled spacecraft
+     * @param {Weapon[]} weapons The weapons of the spacecraft
+     * @param {Boolean} onlyMissiles Whether only incoming missiles should be assigned
+     */
+    TurretFireControl.prototype._assignTargets = function (positionVector, weapons, onlyMissiles) {
+        var i, j, range, maxRange, distance, score, bestScore, bestIndex, candidatePosition,
+                scaledOriMatrix = this._spacecraft.getScaledOriMatrix();
+        maxRange = 0;
+        for (i = 0; i < weapons.length; i++) {
+            if (!weapons[i].isFixed() && !weapons[i].isDisabled()) {
+                maxRange = Math.max(maxRange, weapons[i].getRange(0));
+            }
+        }
+        this._collectCandidates(positionVector, maxRange + 0.5 * this._spacecraft.getSize(), onlyMissiles);
+        for (i = 0; i < weapons.length; i++) {
+            // turrets put out of action by damage to their subsystem are not assigned targets
+            if (weapons[i].isFixed() || weapons[i].isDisabled()) {
+                continue;
+            }
+            range = weapons[i].getRange(0);
+            bestScore = 0;
+            bestIndex = -1;
+            for (j = 0; j < this._candidates.length; j++) {
+                candidatePosition = (this._candidates[j] instanceof equipment.Missile) ?
+                        mat.translationVector3(this._candidates[j].getPhysicalModel().getPositionMatrix()) :
+                        this._candidates[j].getPhysicalPositionVector();
+                distance = vec.length3(vec.diff3Aux(candidatePosition, weapons[i].getBasePointPosVector(scaledOriMatrix)));
+                if ((distance <= range) && weapons[i].isInArc(candidatePosition, scaledOriMatrix)) {
+                    score = this._candidateThreats[j] / (1 + distance / range) / (1 + TURRET_SHARED_TARGET_PENALTY * this._candidateAssignments[j]);
+                    if (score > bestScore) {
+                        bestScore = score;
+                        bestIndex = j;
+                    }
+                }
+            }
+            if (bestIndex >= 0) {
+                weapons[i].setOwnTarget(this._candidates[bestIndex]);
+                this._candidateAssignments[bestIndex]++;
+            } else {
+                weapons[i].setOwnTarget(null);
+            }
+        }
+        this._candidates.length = 0;
+    };
+    /**
+     * Updates the targets of the turrets: drops the targets that have been destroyed and periodically reassigns all of them.
+     * Should be called once in every battle simulation step, before aiming the weapons.
+     * @param {Number[3]} positionVector The current world position of the controlled spacecraft
+     * @param {Boolean} onlyMissiles Whether only incoming missiles should be engaged (e.g. when standing down)
+     * @param {Number} dt The time elapsed since the last control step, in milliseconds.
+     */
+    TurretFireControl.prototype.update = function (positionVector, onlyMissiles, dt) {
+        var i, weapons = this._spacecraft.getWeapons();
+        this._updateTimeLeft -= dt;
+        if (this._updateTimeLeft <= 0) {
+            this._updateTimeLeft = TURRET_TARGET_UPDATE_INTERVAL;
+            this._assignTargets(positionVector, weapons, onlyMissiles);
+        }
+        this._engaging = false;
+        for (i = 0; i < weapons.length; i++) {
+            if (weapons[i].getOwnTarget()) {
+                if (weapons[i].isOwnTargetValid()) {
+                    this._engaging = true;
+                } else {
+                    weapons[i].setOwnTarget(null);
+                }
+            }
+        }
+    };
+    // ##############################################################################
     /**
      * @class
      * @extends SpacecraftAI
@@ -1905,19 +2999,18 @@ define([
      * style defined which governs how to orient itself to the proper direction.
      * @param {Spacecraft} ship The ship to control
      * @param {Mission} mission The mission within which this AI will control the ship
+     * @param {AIProfile} [profile] The profile determining the behaviour of the AI pilot
      */
-    function ShipAI(ship, mission) {
-        SpacecraftAI.call(this, ship, mission);
+    function ShipAI(ship, mission, profile) {
+        SpacecraftAI.call(this, ship, mission, profile);
+        /**
+         * Assigns individual targets to the turrets of the ship
+         * @type TurretFireControl
+         */
+        this._turretFireControl = ship ? new TurretFireControl(ship, mission) : null;
     }
     ShipAI.prototype = new SpacecraftAI();
     ShipAI.prototype.constructor = ShipAI;
-    /**
-     * Updates the AI state for the case when the battle scene with all objects has been moved by a vector, updating stored world-space
-     * positions.
-     */
-    ShipAI.prototype.handleSceneMoved = function () {
-        return;
-    };
     /**
      * Performs all spacecraft controlling actions (turning, orienting, targeting, firing, setting speed etc) based on the current
      * state of the AI and updates the state accordingly. Should be called once in every battle simulation step.
@@ -1956,16 +3049,18 @@ define([
             // .................................................................................................
             // targeting
             this._updateTarget();
+            this._managePower(dt);
             // .................................................................................................
             // caching / referencing commonly needed variables
             acceleration = this._spacecraft.getMaxAcceleration();
-            ownSize = this._spacecraft.getVisualModel().getScaledSize();
+            ownSize = this._spacecraft.getSize();
             // caching / referencing needed variables
             positionVector = this._spacecraft.getPhysicalPositionVector();
             orientationMatrix = this._spacecraft.getPhysicalOrientationMatrix();
             target = this._spacecraft.getTarget();
             this._attackingTarget = false;
             this._executeMoveCommand(positionVector, orientationMatrix, acceleration, dt);
+            this._turretFireControl.update(positionVector, this._standingDown, dt);
             if (target) {
                 hostileTarget = target.isHostile(this._spacecraft);
                 relativeTargetDirection = vec.prodMat4Vec3(
@@ -1980,15 +3075,15 @@ define([
                 // actions based on weapons
                 weapons = this._spacecraft.getWeapons();
                 if (weapons && weapons.length > 0) {
-                    targetSize = target.getVisualModel().getScaledSize();
+                    targetSize = target.getSize();
                     fireThresholdAngle = Math.atan(FIRE_THRESHOLD_ANGLE_FACTOR * targetSize / targetDistance);
                     if (hostileTarget) {
                         baseDistance = 0.25 * ownSize;
-                        maxDistance = baseDistance + SHIP_MAX_DISTANCE_FACTOR * this._weaponRange;
+                        maxDistance = baseDistance + (this._engagementDistanceFactor || SHIP_MAX_DISTANCE_FACTOR) * this._weaponRange;
                     }
                     // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
                     // aiming turnable weapons towards target
-                    this._spacecraft.aimWeapons(TURN_THRESHOLD_ANGLE, fireThresholdAngle, dt);
+                    this._spacecraft.aimWeapons(TURN_THRESHOLD_ANGLE, fireThresholdAngle, dt, FIRE_THRESHOLD_ANGLE_FACTOR);
                     if (hostileTarget) {
                         if (this._moveCommand === MoveCommand.NONE) {
                             if (!facingTarget) {
@@ -2013,7 +3108,7 @@ define([
                             this._spacecraft.fire(true);
                             this._attackingTarget = true;
                         }
-                    } else {
+                    } else if (this._moveCommand === MoveCommand.NONE) {
                         // friendly target
                         this._spacecraft.resetSpeed();
                     }
@@ -2025,7 +3120,12 @@ define([
                 }
                 // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
                 // aiming turnable weapons towards default position
-                this._spacecraft.aimWeapons(TURN_THRESHOLD_ANGLE, 0, dt);
+                this._spacecraft.aimWeapons(TURN_THRESHOLD_ANGLE, 0, dt, FIRE_THRESHOLD_ANGLE_FACTOR);
+            }
+            // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+            // turrets with their own targets fire at them even if the target of the ship is not engaged
+            if (!this._attackingTarget && this._turretFireControl.isEngaging()) {
+                this._spacecraft.fire(true, true);
             }
         }
     };
@@ -2037,25 +3137,24 @@ define([
      * or move (unless specifically ordered via a move command), just aim its turrets at the most suitable enemy target and fire.
      * @param {Spacecraft} station The station to control
      * @param {Mission} mission The mission within which this AI will control the station
+     * @param {AIProfile} [profile] The profile determining the behaviour of the AI
      * @param {Boolean} [shouldTurn=false] If true, the station is supposed to turn into attack orientation, but not move
      */
-    function StationAI(station, mission, shouldTurn) {
-        SpacecraftAI.call(this, station, mission);
+    function StationAI(station, mission, profile, shouldTurn) {
+        SpacecraftAI.call(this, station, mission, profile);
         /**
          * Whether the station is supposed to turn into attack orientation
          * @type Boolean
          */
         this._shouldTurn = !!shouldTurn;
+        /**
+         * Assigns individual targets to the turrets of the station
+         * @type TurretFireControl
+         */
+        this._turretFireControl = station ? new TurretFireControl(station, mission) : null;
     }
     StationAI.prototype = new SpacecraftAI();
     StationAI.prototype.constructor = StationAI;
-    /**
-     * Updates the AI state for the case when the battle scene with all objects has been moved by a vector, updating stored world-space
-     * positions.
-     */
-    StationAI.prototype.handleSceneMoved = function () {
-        return;
-    };
     /**
      * Performs all spacecraft controlling actions (turning, orienting, targeting, firing, setting speed etc) based on the current
      * state of the AI and updates the state accordingly. Should be called once in every battle simulation step.
@@ -2094,16 +3193,18 @@ define([
             // .................................................................................................
             // targeting
             this._updateTarget();
+            this._managePower(dt);
             // .................................................................................................
             // caching / referencing commonly needed variables
             acceleration = this._spacecraft.getMaxAcceleration();
-            ownSize = this._spacecraft.getVisualModel().getScaledSize();
+            ownSize = this._spacecraft.getSize();
             // caching / referencing needed variables
             positionVector = this._spacecraft.getPhysicalPositionVector();
             orientationMatrix = this._spacecraft.getPhysicalOrientationMatrix();
             target = this._spacecraft.getTarget();
             this._attackingTarget = false;
             this._executeMoveCommand(positionVector, orientationMatrix, acceleration, dt);
+            this._turretFireControl.update(positionVector, this._standingDown, dt);
             if (target) {
                 hostileTarget = target.isHostile(this._spacecraft);
                 relativeTargetDirection = vec.prodMat4Vec3(
@@ -2117,14 +3218,14 @@ define([
                 // actions based on weapons
                 weapons = this._spacecraft.getWeapons();
                 if (weapons && weapons.length > 0) {
-                    targetSize = target.getVisualModel().getScaledSize();
+                    targetSize = target.getSize();
                     fireThresholdAngle = Math.atan(FIRE_THRESHOLD_ANGLE_FACTOR * targetSize / targetDistance);
                     if (hostileTarget) {
                         baseDistance = 0.25 * ownSize;
                     }
                     // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
                     // aiming turnable weapons towards target
-                    this._spacecraft.aimWeapons(TURN_THRESHOLD_ANGLE, fireThresholdAngle, dt);
+                    this._spacecraft.aimWeapons(TURN_THRESHOLD_ANGLE, fireThresholdAngle, dt, FIRE_THRESHOLD_ANGLE_FACTOR);
                     if (hostileTarget) {
                         // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
                         // firing
@@ -2139,7 +3240,12 @@ define([
                 // if there is no target...
                 // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
                 // aiming turnable weapons towards default position
-                this._spacecraft.aimWeapons(TURN_THRESHOLD_ANGLE, 0, dt);
+                this._spacecraft.aimWeapons(TURN_THRESHOLD_ANGLE, 0, dt, FIRE_THRESHOLD_ANGLE_FACTOR);
+            }
+            // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+            // turrets with their own targets fire at them even if the target of the ship is not engaged
+            if (!this._attackingTarget && this._turretFireControl.isEngaging()) {
+                this._spacecraft.fire(true, true);
             }
             if (this._moveCommand === MoveCommand.NONE) {
                 this._spacecraft.resetSpeed();
@@ -2154,9 +3260,10 @@ define([
      * not move (unless specifically ordered via a move command), aim its turrets at the most suitable enemy target and fire.
      * @param {Spacecraft} sentry The sentry to control
      * @param {Mission} mission The mission within which this AI will control the sentry
+     * @param {AIProfile} [profile] The profile determining the behaviour of the AI
      */
-    function SentryAI(sentry, mission) {
-        StationAI.call(this, sentry, mission, true);
+    function SentryAI(sentry, mission, profile) {
+        StationAI.call(this, sentry, mission, profile, true);
     }
     SentryAI.prototype = new StationAI();
     SentryAI.prototype.constructor = SentryAI;
@@ -2184,9 +3291,10 @@ define([
      * @param {String} aiTypeName
      * @param {Spacecraft} spacecraft
      * @param {Mission} mission 
+     * @param {AIProfile} [profile] If given, the behaviour of the AI (aggression, evasion etc) is customized according to this profile
      */
-    AIContext.prototype.addAI = function (aiTypeName, spacecraft, mission) {
-        this._ais.push(new _aiConstructors[aiTypeName](spacecraft, mission));
+    AIContext.prototype.addAI = function (aiTypeName, spacecraft, mission, profile) {
+        this._ais.push(new _aiConstructors[aiTypeName](spacecraft, mission, profile));
     };
     /**
      * Returns the index of the voice (within the array settings.json/logic.battle.pilotVoices) corresponding to the AI
@@ -2264,6 +3372,7 @@ define([
         _aimErrorSeed = Math.seed(Math.random());
         _evasionSeed = Math.seed(Math.random());
         _chargeSeed = Math.seed(Math.random());
+        _threatSeed = Math.seed(Math.random());
         _radioVoiceCount = config.getBattleSetting(config.BATTLE_SETTINGS.PILOT_VOICES).length;
         _radioMessageAttacking = voiceMessages.indexOf("attacking");
         _radioMessageApproaching = voiceMessages.indexOf("approaching");
@@ -2288,10 +3397,12 @@ define([
     return {
         SpacecraftCommand: SpacecraftCommand,
         JumpCommandWay: JumpCommandWay,
+        WingmenOrder: WingmenOrder,
         getAITypes: getAITypes,
         resetJumpInPositionSeed: resetJumpInPositionSeed,
         resetRandomSeeds: resetRandomSeeds,
         positionForInwardJump: positionForInwardJump,
+        issueWingmenOrder: issueWingmenOrder,
         clearAIs: _context.clearAIs.bind(_context),
         addAI: _context.addAI.bind(_context),
         getVoiceOfSpacecraft: _context.getVoiceOfSpacecraft.bind(_context),
@@ -0,0 +1,452 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file Implementation of the mercenary career of the player: the pilot profile, the credits earned by completing missions and the
+ * spacecrafts (and loadouts) bought with them, which the player can fly in the missions instead of the ones defined in the missions
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/**
+ * @param application Used for logging and error display
+ * @param constants Used for accessing the global localStorage prefix
+ * @param classes Used for accessing the spacecraft classes and loadouts that can be bought
+ * @param spacecraft Used to determine the prices of spacecrafts and loadouts based on their score values
+ * @param missions Used to access the mission performance level names
+ */
+define([
+    "modules/application",
+    "armada/constants",
+    "armada/logic/classes",
+    "armada/logic/spacecraft",
+    "armada/logic/missions"
+], function (application, constants, classes, spacecraft, missions) {
+    "use strict";
+    var
+            // ------------------------------------------------------------------------------
+            // constants
+            /**
+             * Career related local storage IDs start with this prefix
+             * @type String
+             */
+            MODULE_LOCAL_STORAGE_PREFIX = constants.LOCAL_STORAGE_PREFIX + "career_",
+            /**
+             * The key identifying the location where the career data of the player is stored in local storage.
+             * @type String
+             */
+            DATA_LOCAL_STORAGE_ID = MODULE_LOCAL_STORAGE_PREFIX + "data",
+            // ------------------------------------------------------------------------------
+            // private variables
+            /**
+             * The default career instance that is used by the public interface of the module
+             * @type Career
+             */
+            _career;
+    // #########################################################################
+    /**
+     * @typedef {Object} Career~CatalogueEntry
+     * @property {String} class The name of the spacecraft class that can be bought
+     * @property {String[]} loadouts The names of the loadouts of the class that can be bought (the first one comes with the spacecraft)
+     */
+    /**
+     * @typedef {Object} Career~OwnedSpacecraft
+     * @property {String} class The name of the spacecraft class
+     * @property {String[]} loadouts The names of the loadouts the player owns for this spacecraft
+     * @property {String} loadout The name of the loadout currently equipped on this spacecraft
+     */
+    /**
+     * @typedef {Object} Career~Data
+     * @property {String} pilotName
+     * @property {Number} credits
+     * @property {Number} missionsFlown
+     * @property {Number} missionsWon
+     * @property {Number} kills
+     * @property {Number} totalEarnings
+     * @property {Object.<String, Boolean>} completedMissions The names of the missions completed in the career as keys
+     * @property {Career~OwnedSpacecraft[]} spacecrafts
+     * @property {Number} activeSpacecraft The index of the spacecraft the player flies in missions
+     */
+    /**
+     * @typedef {Object} Career~MissionResult
+     * @property {Number} reward The amount of credits paid for the mission
+     * @property {Number} credits The amount of credits the player has after the payment
+     */
+    /**
+     * @class Stores and manages the career of the player (built on top of the mission context, using the performance statistics of the
+     * missions to determine the pay) and the related configuration (prices, rewards) defined in config.json
+     */
+    function Career() {
+        /**
+         * The amount of credits the player starts a new career with
+         * @type Number
+         */
+        this._startingCredits = 0;
+        /**
+         * The spacecraft the player owns when starting a new career
+         * @type Mission~PilotedSpacecraft
+         */
+        this._startingSpacecraft = null;
+        /**
+         * The amount of credits paid for each score point achieved in a mission
+         * @type Number
+         */
+        this._creditsPerScorePoint = 0;
+        /**
+         * The pay for missions is multiplied by these factors based on the achieved performance level (by performance level names)
+         * @type Object.<String, Number>
+         */
+        this._performanceRewardFactors = null;
+        /**
+         * The pay for missions that have already been completed before in the career is multiplied by this factor
+         * @type Number
+         */
+        this._repeatRewardFactor = 0;
+        /**
+         * The price of spacecrafts and loadouts is their score value multiplied by this factor
+         * @type Number
+         */
+        this._pricePerScoreValue = 0;
+        /**
+         * The spacecrafts and loadouts that can be bought
+         * @type Career~CatalogueEntry[]
+         */
+        this._catalogue = null;
+        /**
+         * The cached prices of the spacecrafts (with their first loadout) and loadouts, by class and loadout names
+         * @type Object.<String, Object.<String, Number>>
+         */
+        this._prices = {};
+        /**
+         * The data of the current career (saved to local storage), null if no career has been started yet
+         * @type Career~Data
+         */
+        this._data = null;
+    }
+    /**
+     * Loads the career configuration (prices, rewards, starting spacecraft) defined in the passed JSON object (from config.json)
+     * @param {Object} dataJSON
+     */
+    Career.prototype.loadConfigurationFromJSON = function (dataJSON) {
+        this._startingCredits = dataJSON.startingCredits || 0;
+        this._startingSpacecraft = dataJSON.startingSpacecraft;
+        this._creditsPerScorePoint = dataJSON.creditsPerScorePoint;
+        this._performanceRewardFactors = dataJSON.performanceRewardFactors || {};
+        this._repeatRewardFactor = (dataJSON.repeatRewardFactor !== undefined) ? dataJSON.repeatRewardFactor : 1;
+        this._pricePerScoreValue = dataJSON.pricePerScoreValue;
+        this._catalogue = dataJSON.spacecrafts;
+        this._prices = {};
+    };
+    /**
+     * Loads the data of the current career from local storage (if a career has been started)
+     */
+    Career.prototype.loadFromLocalStorage = function () {
+        this._data = null;
+        if (localStorage[DATA_LOCAL_STORAGE_ID] !== undefined) {
+            try {
+                this._data = JSON.parse(localStorage[DATA_LOCAL_STORAGE_ID]);
+            } catch (e) {
+                application.showError("Cannot load career data from local storage, as it is not valid JSON!", application.ErrorSeverity.MINOR);
+            }
+        }
+    };
+    /**
+     * Saves the data of the current career to local storage
+     */
+    Career.prototype._saveToLocalStorage = function () {
+        localStorage[DATA_LOCAL_STORAGE_ID] = JSON.stringify(this._data);
+    };
+    /**
+     * Returns whether the player has started a career (so that career data is available)
+     * @returns {Boolean}
+     */
+    Career.prototype.isStarted = function () {
+        return !!this._data;
+    };
+    /**
+     * Starts a new career (discarding the current one, if any) for a pilot with the passed name
+     * @param {String} pilotName
+     */
+    Career.prototype.start = function (pilotName) {
+        this._data = {
+            pilotName: pilotName,
+            credits: this._startingCredits,
+            missionsFlown: 0,
+            missionsWon: 0,
+            kills: 0,
+            totalEarnings: 0,
+            completedMissions: {},
+            spacecrafts: [{
+                    class: this._startingSpacecraft.class,
+                    loadouts: [this._startingSpacecraft.loadout],
+                    loadout: this._startingSpacecraft.loadout
+                }],
+            activeSpacecraft: 0
+        };
+        this._saveToLocalStorage();
+        application.log_DEBUG("Started new career for pilot '" + pilotName + "'.", 1);
+    };
+    /**
+     * @returns {String}
+     */
+    Career.prototype.getPilotName = function () {
+        return this._data.pilotName;
+    };
+    /**
+     * @param {String} value
+     */
+    Career.prototype.setPilotName = function (value) {
+        this._data.pilotName = value;
+        this._saveToLocalStorage();
+    };
+    /**
+     * Returns the amount of credits the player currently has
+     * @returns {Number}
+     */
+    Career.prototype.getCredits = function () {
+        return this._data.credits;
+    };
+    /**
+     * Returns the statistics of the pilot profile in the current career
+     * @returns {Object}
+     */
+    Career.prototype.getStatistics = function () {
+        return {
+            missionsFlown: this._data.missionsFlown,
+            missionsWon: this._data.missionsWon,
+            kills: this._data.kills,
+            totalEarnings: this._data.totalEarnings
+        };
+    };
+    /**
+     * Returns the list of spacecrafts and loadouts that can be bought
+     * @returns {Career~CatalogueEntry[]}
+     */
+    Career.prototype.getCatalogue = function () {
+        return this._catalogue;
+    };
+    /**
+     * Returns the score value of a spacecraft of the passed class equipped with the passed loadout
+     * @param {String} className
+     * @param {String} loadoutName
+     * @returns {Number}
+     */
+    Career.prototype._getScoreValue = function (className, loadoutName) {
+        var craft = new spacecraft.Spacecraft(), result;
+        craft.loadFromJSON({
+            class: className,
+            loadout: loadoutName
+        });
+        result = craft.getScoreValue();
+        craft.destroy();
+        return result;
+    };
+    /**
+     * Returns the price of buying the loadout with the passed name for a spacecraft of the passed class (the price of the equipment in
+     * the loadout)
+     * @param {String} className
+     * @param {String} loadoutName
+     * @returns {Number}
+     */
+    Career.prototype.getLoadoutPrice = function (className, loadoutName) {
+        this._prices[className] = this._prices[className] || {};
+        if (this._prices[className][loadoutName] === undefined) {
+            this._prices[className][loadoutName] = Math.round(this._pricePerScoreValue *
+                    (this._getScoreValue(className, loadoutName) - classes.getSpacecraftClass(className).getScoreValue()));
+        }
+        return this._prices[className][loadoutName];
+    };
+    /**
+     * Returns the catalogue entry for the spacecraft class with the passed name (null if it cannot be bought)
+     * @param {String} className
+     * @returns {Career~CatalogueEntry}
+     */
+    Career.prototype._getCatalogueEntry = function (className) {
+        var i;
+        for (i = 0; i < this._catalogue.length; i++) {
+            if (this._catalogue[i].class === className) {
+                return this._catalogue[i];
+            }
+        }
+        return null;
+    };
+    /**
+     * Returns the price of buying a spacecraft of the passed class (equipped with its first available loadout)
+     * @param {String} className
+     * @returns {Number}
+     */
+    Career.prototype.getSpacecraftPrice = function (className) {
+        return Math.round(this._pricePerScoreValue * classes.getSpacecraftClass(className).getScoreValue()) +
+                this.getLoadoutPrice(className, this._getCatalogueEntry(className).loadouts[0]);
+    };
+    /**
+     * Returns the index of the owned spacecraft of the passed class (-1 if the player does not own such a spacecraft)
+     * @param {String} className
+     * @returns {Number}
+     */
+    Career.prototype._getOwnedSpacecraftIndex = function (className) {
+        var i;
+        for (i = 0; i < this._data.spacecrafts.length; i++) {
+            if (this._data.spacecrafts[i].class === className) {
+                return i;
+            }
+        }
+        return -1;
+    };
+    /**
+     * @param {String} className
+     * @returns {Boolean}
+     */
+    Career.prototype.ownsSpacecraft = function (className) {
+        return this._getOwnedSpacecraftIndex(className) >= 0;
+    };
+    /**
+     * @param {String} className
+     * @param {String} loadoutName
+     * @returns {Boolean}
+     */
+    Career.prototype.ownsLoadout = function (className, loadoutName) {
+        var index = this._getOwnedSpacecraftIndex(className);
+        return (index >= 0) && (this._data.spacecrafts[index].loadouts.indexOf(loadoutName) >= 0);
+    };
+    /**
+     * Buys a spacecraft of the passed class (equipped with its first available loadout) if the player can afford it
+     * @param {String} className
+     * @returns {Boolean} Whether the spacecraft has been bought
+     */
+    Career.prototype.buySpacecraft = function (className) {
+        var price, entry = this._getCatalogueEntry(className);
+        if (!entry || this.ownsSpacecraft(className)) {
+            return false;
+        }
+        price = this.getSpacecraftPrice(className);
+        if (price > this._data.credits) {
+            return false;
+        }
+        this._data.credits -= price;
+        this._data.spacecrafts.push({
+            class: className,
+            loadouts: [entry.loadouts[0]],
+            loadout: entry.loadouts[0]
+        });
+        this._saveToLocalStorage();
+        return true;
+    };
+    /**
+     * Buys the passed loadout for the owned spacecraft of the passed class if the player can afford it, and equips the spacecraft with it
+     * @param {String} className
+     * @param {String} loadoutName
+     * @returns {Boolean} Whether the loadout has been bought
+     */
+    Career.prototype.buyLoadout = function (className, loadoutName) {
+        var price, index = this._getOwnedSpacecraftIndex(className), entry = this._getCatalogueEntry(className);
+        if ((index < 0) || !entry || (entry.loadouts.indexOf(loadoutName) < 0) || this.ownsLoadout(className, loadoutName)) {
+            return false;
+        }
+        price = this.getLoadoutPrice(className, loadoutName);
+        if (price > this._data.credits) {
+            return false;
+        }
+        this._data.credits -= price;
+        this._data.spacecrafts[index].loadouts.push(loadoutName);
+        this._data.spacecrafts[index].loadout = loadoutName;
+        this._saveToLocalStorage();
+        return true;
+    };
+    /**
+     * Returns the spacecraft the player currently flies in missions (with the equipped loadout)
+     * @returns {Mission~PilotedSpacecraft}
+     */
+    Career.prototype.getActiveSpacecraft = function () {
+        var craft = this._data.spacecrafts[this._data.activeSpacecraft];
+        return {
+            class: craft.class,
+            loadout: craft.loadout
+        };
+    };
+    /**
+     * Sets the owned spacecraft of the passed class as the one the player flies in missions, equipped with the passed (owned) loadout
+     * @param {String} className
+     * @param {String} [loadoutName] If not given, the currently equipped loadout of the spacecraft is kept
+     */
+    Career.prototype.setActiveSpacecraft = function (className, loadoutName) {
+        var index = this._getOwnedSpacecraftIndex(className);
+        if (index < 0) {
+            application.showError("Cannot fly a spacecraft of class '" + className + "' in career mode, as the player does not own one!");
+            return;
+        }
+        this._data.activeSpacecraft = index;
+        if (loadoutName) {
+            if (this.ownsLoadout(className, loadoutName)) {
+                this._data.spacecrafts[index].loadout = loadoutName;
+            } else {
+                application.showError("Cannot equip loadout '" + loadoutName + "' on spacecraft of class '" + className + "', as the player does not own it!");
+            }
+        }
+        this._saveToLocalStorage();
+    };
+    /**
+     * Returns the amount of credits the player gets paid for completing the mission with the passed name with the passed performance
+     * @param {String} missionName
+     * @param {Object} perfStats The performance statistics of the player in the mission, as returned by getPerformanceStatistics()
+     * @returns {Number}
+     */
+    Career.prototype.getMissionReward = function (missionName, perfStats) {
+        var factor = this._performanceRewardFactors[perfStats.performance];
+        if (factor === undefined) {
+            factor = (perfStats.performance === missions.FAILED_MISSION_PERFORMACE) ? 0 : 1;
+        }
+        if (this._data.completedMissions[missionName]) {
+            factor *= this._repeatRewardFactor;
+        }
+        return Math.round(perfStats.score * this._creditsPerScorePoint * factor);
+    };
+    /**
+     * Updates the career data (statistics, credits) based on the outcome of a mission flown in career mode
+     * @param {String} missionName
+     * @param {Boolean} victory
+     * @param {Object} perfStats The performance statistics of the player in the mission, as returned by getPerformanceStatistics()
+     * @param {Number} kills The number of kills the player achieved in the mission
+     * @returns {Career~MissionResult}
+     */
+    Career.prototype.handleMissionEnd = function (missionName, victory, perfStats, kills) {
+        var reward = victory ? this.getMissionReward(missionName, perfStats) : 0;
+        this._data.missionsFlown++;
+        this._data.kills += kills;
+        if (victory) {
+            this._data.missionsWon++;
+            this._data.completedMissions[missionName] = true;
+        }
+        this._data.credits += reward;
+        this._data.totalEarnings += reward;
+        this._saveToLocalStorage();
+        return {
+            reward: reward,
+            credits: this._data.credits
+        };
+    };
+    // initialization
+    // creating the default career
+    _career = new Career();
+    // -------------------------------------------------------------------------
+    // The public interface of the module
+    return {
+        loadConfigurationFromJSON: _career.loadConfigurationFromJSON.bind(_career),
+        loadFromLocalStorage: _career.loadFromLocalStorage.bind(_career),
+        isStarted: _career.isStarted.bind(_career),
+        start: _career.start.bind(_career),
+        getPilotName: _career.getPilotName.bind(_career),
+        setPilotName: _career.setPilotName.bind(_career),
+        getCredits: _career.getCredits.bind(_career),
+        getStatistics: _career.getStatistics.bind(_career),
+        getCatalogue: _career.getCatalogue.bind(_career),
+        getSpacecraftPrice: _career.getSpacecraftPrice.bind(_career),
+        getLoadoutPrice: _career.getLoadoutPrice.bind(_career),
+        ownsSpacecraft: _career.ownsSpacecraft.bind(_career),
+        ownsLoadout: _career.ownsLoadout.bind(_career),
+        buySpacecraft: _career.buySpacecraft.bind(_career),
+        buyLoadout: _career.buyLoadout.bind(_career),
+        getActiveSpacecraft: _career.getActiveSpacecraft.bind(_career),
+        setActiveSpacecraft: _career.setActiveSpacecraft.bind(_career),
+        getMissionReward: _career.getMissionReward.bind(_career),
+        handleMissionEnd: _career.handleMissionEnd.bind(_career)
+    };
+});
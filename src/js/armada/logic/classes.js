@@ -131,6 +131,90 @@ define([
                  */
                 ROLL_PITCH: "rollPitch"
             },
+            /**
+             * @enum {String}
+             * Determines when AI pilots using a given AI profile perform evasive maneuvers.
+             * @type Object
+             */
+            AIEvasionStyle = {
+                /**
+                 * No evasive maneuvers are performed.
+                 */
+                NONE: "none",
+                /**
+                 * Evasive maneuvers are performed after being hit.
+                 */
+                WHEN_HIT: "whenHit",
+                /**
+                 * Evasive maneuvers are performed after being hit as well as when the target is seen firing at the spacecraft.
+                 */
+                ANTICIPATE: "anticipate"
+            },
+            /**
+             * @enum {String}
+             * Determines how AI pilots using a given AI profile launch their missiles.
+             * @type Object
+             */
+            AIMissileUsage = {
+                /**
+                 * No missiles are launched.
+                 */
+                NONE: "none",
+                /**
+                 * Missiles are launched as long as the ones already on their way are not enough to destroy the target.
+                 */
+                NORMAL: "normal",
+                /**
+                 * Missiles are launched whenever possible.
+                 */
+                UNRESTRICTED: "unrestricted"
+            },
+            /**
+             * @enum {String}
+             * The types of subsystems a spacecraft can have, each of which degrades a different capability of the spacecraft when damaged.
+             * @type Object
+             */
+            SubsystemType = {
+                /**
+                 * Engines: damage reduces the thrust and angular thrust of the propulsion (slower acceleration and turning).
+                 */
+                PROPULSION: "propulsion",
+                /**
+                 * Weapon mounts: when destroyed, the weapons on the associated weapon slots cannot aim or fire.
+                 */
+                WEAPONS: "weapons",
+                /**
+                 * Shield generator: damage reduces the recharge rate of the shield, when destroyed, the shield collapses.
+                 */
+                SHIELD: "shield",
+                /**
+                 * Jump drive: when destroyed, the spacecraft cannot jump out.
+                 */
+                JUMP_ENGINE: "jumpEngine",
+                /**
+                 * Sensor array: damage reduces the targeting range of the spacecraft.
+                 */
+                SENSORS: "sensors"
+            },
+            /**
+             * @enum {String}
+             * The systems of a spacecraft among which the output of its reactor can be distributed.
+             * @type Object
+             */
+            PowerSystem = {
+                /**
+                 * More power increases the recharge rate of the shield.
+                 */
+                SHIELDS: "shields",
+                /**
+                 * More power makes the weapons cool down faster between shots (higher rate of fire).
+                 */
+                WEAPONS: "weapons",
+                /**
+                 * More power increases the thrust and angular thrust of the propulsion.
+                 */
+                ENGINES: "engines"
+            },
             // ------------------------------------------------------------------------------
             // constants
             /**
@@ -188,6 +272,16 @@ define([
              * @type String
              */
             SHIELD_CLASS_ARRAY_NAME = "shieldClasses",
+            /**
+             * In the class description file, booster classes will be initialized from the array with this name
+             * @type String
+             */
+            BOOSTER_CLASS_ARRAY_NAME = "boosterClasses",
+            /**
+             * In the class description file, countermeasure classes will be initialized from the array with this name
+             * @type String
+             */
+            COUNTERMEASURE_CLASS_ARRAY_NAME = "countermeasureClasses",
             /**
              * In the class description file, spacecraft types will be initialized from the array with this name
              * @type String
@@ -198,6 +292,11 @@ define([
              * @type String
              */
             SPACECRAFT_CLASS_ARRAY_NAME = "spacecraftClasses",
+            /**
+             * In the class description file, AI profiles will be initialized from the array with this name
+             * @type String
+             */
+            AI_PROFILE_ARRAY_NAME = "aiProfiles",
             /**
              * Used in names of generated models when separating array elements
              * @type String
@@ -310,6 +409,8 @@ define([
     Object.freeze(MissileHomingMode);
     Object.freeze(WeaponRotationStyle);
     Object.freeze(SpacecraftTurnStyle);
+    Object.freeze(SubsystemType);
+    Object.freeze(PowerSystem);
     // ------------------------------------------------------------------------------
     // public functions to access the classes
     /**
@@ -400,6 +501,22 @@ define([
     function getShieldClass(name) {
         return _classManager.getResource(SHIELD_CLASS_ARRAY_NAME, name);
     }
+    /**
+     * Return the booster class with the given name if it exists, otherwise null.
+     * @param {String} name
+     * @returns {BoosterClass}
+     */
+    function getBoosterClass(name) {
+        return _classManager.getResource(BOOSTER_CLASS_ARRAY_NAME, name);
+    }
+    /**
+     * Return the countermeasure class with the given name if it exists, otherwise null.
+     * @param {String} name
+     * @returns {CountermeasureClass}
+     */
+    function getCountermeasureClass(name) {
+        return _classManager.getResource(COUNTERMEASURE_CLASS_ARRAY_NAME, name);
+    }
     /**
      * Return the spacecraft type with the given name if it exists, otherwise null.
      * @param {String} name
@@ -417,6 +534,14 @@ define([
     function getSpacecraftClass(name, allowNullResult) {
         return _classManager.getResource(SPACECRAFT_CLASS_ARRAY_NAME, name, {allowNullResult: allowNullResult});
     }
+    /**
+     * Return the AI profile with the given name if it exists, otherwise null.
+     * @param {String} name
+     * @returns {AIProfile}
+     */
+    function getAIProfile(name) {
+        return _classManager.getResource(AI_PROFILE_ARRAY_NAME, name);
+    }
     /**
      * Returns all the available spacecraft classes in an array.
      * @param {Boolean} forDatabase Whether to return only those classes that should show up in the database
@@ -915,13 +1040,17 @@ define([
         this._overrideData(null, dataJSON);
         return true;
     };
+    /**
+     * @typedef {ShadedModelClass~ResourceParams} TexturedModelClass~ResourceParams
+     * @property {Boolean} [omitTexture=false]
+     */
     /**
      * @override
-     * @param {ShadedModelClass~ResourceParams} params
+     * @param {TexturedModelClass~ResourceParams} params
      */
     TexturedModelClass.prototype.acquireResources = function (params) {
         ShadedModelClass.prototype.acquireResources.call(this, params);
-        if (this._texture === null) {
+        if ((this._texture === null) && !(params && params.omitTexture)) {
             this._texture = graphics.getTexture(this._textureName);
         }
     };
@@ -1995,6 +2124,12 @@ define([
          * @type Number
          */
         this._lockingAngle = (this._lockingTime > 0) ? (dataJSON ? (Math.radians(dataJSON.lockingAngle || 0)) : 0) : 0;
+        /**
+         * The chance of countermeasures (flares / chaff) failing to break the lock of a launcher or to decoy a launched missile of 
+         * this class (0: countermeasures always work, 1: the missile is immune to them)
+         * @type Number
+         */
+        this._countermeasureResistance = (this._homingMode !== MissileHomingMode.NONE) ? (dataJSON ? (dataJSON.countermeasureResistance || 0) : 0) : 1;
         /**
          * The amount of waiting time needed between launching two missiles, in ms.
          * @type Number
@@ -2169,6 +2304,12 @@ define([
     MissileClass.prototype.getLockingAngle = function () {
         return this._lockingAngle;
     };
+    /**
+     * @returns {Number}
+     */
+    MissileClass.prototype.getCountermeasureResistance = function () {
+        return this._countermeasureResistance;
+    };
     /**
      * @returns {Number}
      */
@@ -3341,6 +3482,225 @@ define([
         return this._scoreValue;
     };
     // ##############################################################################
+    /**
+     * @class Each spacecraft can be equipped with a booster (afterburner), which allows it to temporarily exceed its maximum combat 
+     * speed using a limited amount of fuel. This class represents one of the classes to which such a booster can belong.
+     * @augments GenericClass
+     * @param {Object} [dataJSON]
+     */
+    function BoosterClass(dataJSON) {
+        GenericClass.call(this, dataJSON);
+    }
+    BoosterClass.prototype = new GenericClass();
+    BoosterClass.prototype.constructor = BoosterClass;
+    /**
+     * @override
+     * @param {Object} dataJSON
+     * @returns {Boolean}
+     */
+    BoosterClass.prototype._loadData = function (dataJSON) {
+        GenericClass.prototype._loadData.call(this, dataJSON);
+        /**
+         * The full name of this class as displayed in the game.
+         * @type String
+         */
+        this._fullName = dataJSON ? (dataJSON.fullName || this.getName()) : null;
+        /**
+         * The amount of fuel the booster has when full, in seconds of boosting.
+         * @type Number
+         */
+        this._fuel = dataJSON ? (dataJSON.fuel || _missingNumber(this, "fuel")) : 0;
+        /**
+         * While not boosting, the booster regains this much fuel (in seconds of boosting) over one second.
+         * @type Number
+         */
+        this._rechargeRate = dataJSON ? (dataJSON.rechargeRate || 0) : 0;
+        /**
+         * While boosting, the maximum forward speed of the spacecraft is its maximum combat speed multiplied by this factor.
+         * @type Number
+         */
+        this._speedFactor = dataJSON ? (dataJSON.speedFactor || _missingNumber(this, "speedFactor")) : 0;
+        /**
+         * While boosting, additional forward thrust is applied to the spacecraft, equal to the thrust of its propulsion multiplied by
+         * this factor.
+         * @type Number
+         */
+        this._thrustFactor = dataJSON ? (dataJSON.thrustFactor || _missingNumber(this, "thrustFactor")) : 0;
+        /**
+         * The descriptor of the sound effect to be played when a booster of this class is engaged.
+         * @type Object
+         */
+        this._startSound = (dataJSON && dataJSON.startSound) ? types.getVerifiedObject("BoosterClasses['" + this._name + "'].startSound", dataJSON.startSound, SOUND_EFFECT_3D) : null;
+        /**
+         * The amount of score points to be added to the total score value of spacecrafts that have a booster of this class equipped
+         * @type Number
+         */
+        this._scoreValue = dataJSON ? (dataJSON.scoreValue || 0) : 0;
+        return true;
+    };
+    /**
+     * @typedef {Object} BoosterClass~ResourceParams
+     * @property {Boolean} [sound=false] Whether to load resources for sound effects
+     */
+    /**
+     * Call before resource loading to ensure all resources required for boosters of this class will be loaded
+     * @param {BoosterClass~ResourceParams} params
+     */
+    BoosterClass.prototype.acquireResources = function (params) {
+        if (params.sound && this._startSound) {
+            _loadSoundEffect(this._startSound);
+        }
+    };
+    /**
+     * @returns {String}
+     */
+    BoosterClass.prototype.getDisplayName = function () {
+        return strings.get(
+                strings.BOOSTER_CLASS.PREFIX, this.getName() + strings.BOOSTER_CLASS.NAME_SUFFIX.name,
+                this._fullName);
+    };
+    /**
+     * @returns {Number}
+     */
+    BoosterClass.prototype.getFuel = function () {
+        return this._fuel;
+    };
+    /**
+     * @returns {Number}
+     */
+    BoosterClass.prototype.getRechargeRate = function () {
+        return this._rechargeRate;
+    };
+    /**
+     * @returns {Number}
+     */
+    BoosterClass.prototype.getSpeedFactor = function () {
+        return this._speedFactor;
+    };
+    /**
+     * @returns {Number}
+     */
+    BoosterClass.prototype.getThrustFactor = function () {
+        return this._thrustFactor;
+    };
+    /**
+     * Creates a sound clip for the start sound effect and returns a reference to it.
+     * @param {SoundSource} soundSource The sound source to be used for 3D spatial positioning of the clip
+     * @returns {SoundClip}
+     */
+    BoosterClass.prototype.createStartSoundClip = function (soundSource) {
+        return this._startSound ? _createSoundClip(this._startSound, false, soundSource) : null;
+    };
+    /**
+     * Returns the amount of score points to be added to the total score value of spacecrafts that have a booster of this class equipped
+     * @returns {Number}
+     */
+    BoosterClass.prototype.getScoreValue = function () {
+        return this._scoreValue;
+    };
+    // ##############################################################################
+    /**
+     * @class Each spacecraft can be equipped with a countermeasure launcher, which releases flares / chaff that can break the missile
+     * locks of spacecrafts targeting it and decoy the homing missiles launched at it. This class represents one of the classes to which 
+     * such countermeasures can belong.
+     * @augments GenericClass
+     * @param {Object} [dataJSON]
+     */
+    function CountermeasureClass(dataJSON) {
+        GenericClass.call(this, dataJSON);
+    }
+    CountermeasureClass.prototype = new GenericClass();
+    CountermeasureClass.prototype.constructor = CountermeasureClass;
+    /**
+     * @override
+     * @param {Object} dataJSON
+     * @returns {Boolean}
+     */
+    CountermeasureClass.prototype._loadData = function (dataJSON) {
+        GenericClass.prototype._loadData.call(this, dataJSON);
+        /**
+         * The full name of this class as displayed in the game.
+         * @type String
+         */
+        this._fullName = dataJSON ? (dataJSON.fullName || this.getName()) : null;
+        /**
+         * The number of countermeasures a launcher is loaded with, unless the loadout specifies a different amount.
+         * @type Number
+         */
+        this._capacity = dataJSON ? (dataJSON.capacity || _missingNumber(this, "capacity")) : 0;
+        /**
+         * The amount of waiting time needed between releasing two countermeasures, in milliseconds.
+         * @type Number
+         */
+        this._cooldown = dataJSON ? (dataJSON.cooldown || _missingNumber(this, "cooldown")) : 0;
+        /**
+         * The chance of breaking a missile lock / decoying a missile with no countermeasure resistance (0-1)
+         * @type Number
+         */
+        this._effectiveness = dataJSON ? ((dataJSON.effectiveness !== undefined) ? dataJSON.effectiveness : 1) : 0;
+        /**
+         * The class of the explosion that is created (visual and sound effect) when a countermeasure is released.
+         * @type ExplosionClass
+         */
+        this._explosionClass = dataJSON ? (getExplosionClass(dataJSON.explosion || _missingString(this, "explosion")) || application.crash()) : null;
+        /**
+         * The amount of score points to be added to the total score value of spacecrafts that have countermeasures of this class equipped
+         * @type Number
+         */
+        this._scoreValue = dataJSON ? (dataJSON.scoreValue || 0) : 0;
+        return true;
+    };
+    /**
+     * @typedef {Object} CountermeasureClass~ResourceParams
+     * @property {Boolean} [sound=false] Whether to load resources for sound effects
+     */
+    /**
+     * Call before resource loading to ensure all resources required for countermeasures of this class will be loaded
+     * @param {CountermeasureClass~ResourceParams} params
+     */
+    CountermeasureClass.prototype.acquireResources = function (params) {
+        this._explosionClass.acquireResources({sound: params.sound});
+    };
+    /**
+     * @returns {String}
+     */
+    CountermeasureClass.prototype.getDisplayName = function () {
+        return strings.get(
+                strings.COUNTERMEASURE_CLASS.PREFIX, this.getName() + strings.COUNTERMEASURE_CLASS.NAME_SUFFIX.name,
+                this._fullName);
+    };
+    /**
+     * @returns {Number}
+     */
+    CountermeasureClass.prototype.getCapacity = function () {
+        return this._capacity;
+    };
+    /**
+     * @returns {Number}
+     */
+    CountermeasureClass.prototype.getCooldown = function () {
+        return this._cooldown;
+    };
+    /**
+     * @returns {Number}
+     */
+    CountermeasureClass.prototype.getEffectiveness = function () {
+        return this._effectiveness;
+    };
+    /**
+     * @returns {ExplosionClass}
+     */
+    CountermeasureClass.prototype.getExplosionClass = function () {
+        return this._explosionClass;
+    };
+    /**
+     * Returns the amount of score points to be added to the total score value of spacecrafts that have countermeasures of this class equipped
+     * @returns {Number}
+     */
+    CountermeasureClass.prototype.getScoreValue = function () {
+        return this._scoreValue;
+    };
+    // ##############################################################################
     /**
      * @class A type of spacecraft. This a more general classification of 
      * spacecraft than a class. An example would be shuttle, interceptor, cruiser, 
@@ -3659,6 +4019,37 @@ define([
         this.className = dataJSON ? (dataJSON.class || _missingString(this, "class")) : null;
     }
     // ##############################################################################
+    /**
+     * @struct A booster descriptor can be used to equip a booster on a 
+     * spacecraft, by describing the parameters of the equipment. 
+     * @param {Object} [dataJSON]
+     */
+    function BoosterDescriptor(dataJSON) {
+        /**
+         * The name of the class of the booster to be equipped.
+         * @type String
+         */
+        this.className = dataJSON ? (dataJSON.class || _missingString(this, "class")) : null;
+    }
+    // ##############################################################################
+    /**
+     * @struct A countermeasure descriptor can be used to equip a countermeasure
+     * launcher on a spacecraft, by describing the parameters of the equipment. 
+     * @param {Object} [dataJSON]
+     */
+    function CountermeasureDescriptor(dataJSON) {
+        /**
+         * The name of the class of the countermeasures to be equipped.
+         * @type String
+         */
+        this.className = dataJSON ? (dataJSON.class || _missingString(this, "class")) : null;
+        /**
+         * The number of countermeasures to be loaded (if not given, the capacity of the class is used)
+         * @type Number
+         */
+        this.amount = dataJSON ? (dataJSON.amount || 0) : 0;
+    }
+    // ##############################################################################
     /**
      * @class Every ship (class) can have several predefined loadouts, each defining a
      * specific set of equipment. These can then be used to more easily equip the
@@ -3671,7 +4062,7 @@ define([
      */
     function Loadout(dataJSON, loadouts, baseLoadout) {
         var i, baseData = [], basedOn, circular, found,
-                weapons, missiles, propulsion, sensors, jumpEngine, shield;
+                weapons, missiles, propulsion, sensors, jumpEngine, shield, booster, countermeasures;
         if (loadouts) {
             circular = false;
             basedOn = dataJSON.basedOn;
@@ -3752,6 +4143,18 @@ define([
          * @type ShieldDescriptor
          */
         this._shieldDescriptor = shield ? new ShieldDescriptor(shield) : baseLoadout ? baseLoadout.getShieldDescriptor() : null;
+        booster = _getLoadoutProperty(dataJSON, baseData, "booster");
+        /**
+         * The descriptor of the booster for this loadout to be equipped.
+         * @type BoosterDescriptor
+         */
+        this._boosterDescriptor = booster ? new BoosterDescriptor(booster) : baseLoadout ? baseLoadout.getBoosterDescriptor() : null;
+        countermeasures = _getLoadoutProperty(dataJSON, baseData, "countermeasures");
+        /**
+         * The descriptor of the countermeasure launcher for this loadout to be equipped.
+         * @type CountermeasureDescriptor
+         */
+        this._countermeasureDescriptor = countermeasures ? new CountermeasureDescriptor(countermeasures) : baseLoadout ? baseLoadout.getCountermeasureDescriptor() : null;
     }
     /**
      * Returns the name of this loadout.
@@ -3804,6 +4207,20 @@ define([
     Loadout.prototype.getShieldDescriptor = function () {
         return this._shieldDescriptor;
     };
+    /**
+     * Returns the booster descriptor of this loadout.
+     * @returns {BoosterDescriptor}
+     */
+    Loadout.prototype.getBoosterDescriptor = function () {
+        return this._boosterDescriptor;
+    };
+    /**
+     * Returns the countermeasure launcher descriptor of this loadout.
+     * @returns {CountermeasureDescriptor}
+     */
+    Loadout.prototype.getCountermeasureDescriptor = function () {
+        return this._countermeasureDescriptor;
+    };
     // ##############################################################################
     /**
      * @class A common superclass for views, that store information to create camera configurations for scenes / objects.
@@ -4360,6 +4777,48 @@ define([
          */
         this.explosionClass = dataJSON ? (getExplosionClass(dataJSON.class || _missingString(this, "class")) || application.crash()) : null;
     }
+    /**
+     * @struct Describes a subsystem of a spacecraft (e.g. engines, shield generator) that can be damaged separately, degrading a capability
+     * of the spacecraft. Hits landing inside any of the hit boxes of the subsystem damage it alongside the hull.
+     * Each spacecraft class can have a list of these.
+     * @param {Object} dataJSON The JSON object that hold the data of this subsystem to be loaded.
+     */
+    function SubsystemDescriptor(dataJSON) {
+        var i;
+        /**
+         * Determines which capability of the spacecraft degrades when this subsystem is damaged
+         * @type String
+         */
+        this.type = dataJSON ? (utils.getSafeEnumValue(SubsystemType, dataJSON.type, null) || _missingString(this, "type")) : null;
+        /**
+         * The amount of damage the subsystem can take before being destroyed
+         * @type Number
+         */
+        this.hitpoints = dataJSON ? (dataJSON.hitpoints || _missingNumber(this, "hitpoints")) : 0;
+        /**
+         * The hit boxes of the subsystem, in the same (model) space as the bodies of the spacecraft
+         * @type Body[]
+         */
+        this.bodies = [];
+        if (dataJSON) {
+            if (dataJSON.bodies) {
+                for (i = 0; i < dataJSON.bodies.length; i++) {
+                    this.bodies.push(new physics.Body(
+                            mat.translation4v(dataJSON.bodies[i].position || _missingVector3(this, "bodies[i].position")),
+                            mat.rotation4FromJSON(dataJSON.bodies[i].rotations),
+                            dataJSON.bodies[i].size));
+                }
+            } else {
+                _missingArray(this, "bodies");
+            }
+        }
+        /**
+         * For weapons subsystems: the indices of the weapon slots whose weapons are disabled when the subsystem is destroyed
+         * (all weapons, if not given)
+         * @type Number[]
+         */
+        this.weaponSlots = (dataJSON && dataJSON.weaponSlots) || null;
+    }
     /**
      * @struct Describes the properties of a light source based on which an actual light source object can be added to a scene.
      * (simple of spot point-like light source)
@@ -4822,6 +5281,24 @@ define([
                 this._damageIndicators.push(new DamageIndicator(dataJSON.damageIndicators[i]));
             }
         }
+        /**
+         * The subsystems (engines, shield generator...) that can be damaged separately
+         * @type SubsystemDescriptor[]
+         */
+        this._subsystems = (otherSpacecraftClass && !dataJSON.subsystems) ? otherSpacecraftClass._subsystems : [];
+        if (dataJSON.subsystems) {
+            for (i = 0; i < dataJSON.subsystems.length; i++) {
+                this._subsystems.push(new SubsystemDescriptor(dataJSON.subsystems[i]));
+            }
+        }
+        /**
+         * The amount of power units the reactor of this spacecraft produces, which can be distributed among its shields, weapons and
+         * engines. Zero means the spacecraft has no power management (all systems always work at their nominal level).
+         * @type Number
+         */
+        this._reactorOutput = (dataJSON.reactorOutput !== undefined) ?
+                dataJSON.reactorOutput :
+                (otherSpacecraftClass ? otherSpacecraftClass._reactorOutput : 0);
         /**
          * The light sources that can be added to a scene along with this spacecraft.
          * @type LightSourceDescriptor[]
@@ -5058,6 +5535,18 @@ define([
     SpacecraftClass.prototype.getDamageIndicators = function () {
         return this._damageIndicators;
     };
+    /**
+     * @returns {SubsystemDescriptor[]}
+     */
+    SpacecraftClass.prototype.getSubsystems = function () {
+        return this._subsystems;
+    };
+    /**
+     * @returns {Number}
+     */
+    SpacecraftClass.prototype.getReactorOutput = function () {
+        return this._reactorOutput;
+    };
     /**
      * @returns {LightSourceDescriptor[]}
      */
@@ -5077,7 +5566,7 @@ define([
         return this._lockingTimeFactor;
     };
     /**
-     * @typedef {ShadedModelClass~ResourceParams} SpacecraftClass~ResourceParams
+     * @typedef {TexturedModelClass~ResourceParams} SpacecraftClass~ResourceParams
      * @property {Boolean} [explosion=false]
      * @property {Boolean} [damageIndicators=false]
      * @property {Boolean} [blinkers=false]
@@ -5161,6 +5650,104 @@ define([
     SpacecraftClass.prototype.getScoreValue = function () {
         return this._scoreValue;
     };
+    // ##############################################################################
+    /**
+     * @class An AI profile describes the behaviour of AI pilots (e.g. how aggressively they attack, how they evade, when they retreat),
+     * so that spacecrafts in missions can be controlled by pilots with different personalities using the same AI type.
+     * @augments GenericClass
+     * @param {Object} [dataJSON]
+     */
+    function AIProfile(dataJSON) {
+        GenericClass.call(this, dataJSON);
+    }
+    AIProfile.prototype = new GenericClass();
+    AIProfile.prototype.constructor = AIProfile;
+    /**
+     * @override
+     * @param {Object} dataJSON
+     * @returns {Boolean}
+     */
+    AIProfile.prototype._loadData = function (dataJSON) {
+        GenericClass.prototype._loadData.call(this, dataJSON);
+        /**
+         * Higher values make the pilot close in on its target and start charge attacks sooner when having difficulties hitting it. At
+         * zero, the pilot never charges.
+         * @type Number
+         */
+        this._aggression = dataJSON ? ((dataJSON.aggression !== undefined) ? dataJSON.aggression : 1) : 0;
+        /**
+         * The distance the pilot approaches its target to when attacking, relative to its weapon range. If zero, the default of the
+         * AI type is used.
+         * @type Number
+         */
+        this._engagementDistanceFactor = dataJSON ? (dataJSON.engagementDistanceFactor || 0) : 0;
+        /**
+         * (enum AIEvasionStyle)
+         * @type String
+         */
+        this._evasion = dataJSON ? utils.getSafeEnumValue(AIEvasionStyle, dataJSON.evasion, AIEvasionStyle.ANTICIPATE) : null;
+        /**
+         * (enum AIMissileUsage)
+         * @type String
+         */
+        this._missileUsage = dataJSON ? utils.getSafeEnumValue(AIMissileUsage, dataJSON.missileUsage, AIMissileUsage.NORMAL) : null;
+        /**
+         * The weights by which the preference of hostile spacecrafts as targets is multiplied, by the names of their spacecraft types.
+         * (types not listed have a weight of 1)
+         * @type Object.<String, Number>
+         */
+        this._targetPriorities = dataJSON ? (dataJSON.targetPriorities || {}) : null;
+        /**
+         * When the hull integrity of the spacecraft drops below this ratio, the pilot retreats from the battle. (0: never retreats)
+         * @type Number
+         */
+        this._retreatHullIntegrity = dataJSON ? (dataJSON.retreatHullIntegrity || 0) : 0;
+        return true;
+    };
+    /**
+     * @returns {Boolean}
+     */
+    AIProfile.prototype.acquireResources = function () {
+        return true;
+    };
+    /**
+     * @returns {Number}
+     */
+    AIProfile.prototype.getAggression = function () {
+        return this._aggression;
+    };
+    /**
+     * Returns the distance the pilot approaches its target to when attacking, relative to its weapon range, or zero if the default of
+     * the AI type should be used.
+     * @returns {Number}
+     */
+    AIProfile.prototype.getEngagementDistanceFactor = function () {
+        return this._engagementDistanceFactor;
+    };
+    /**
+     * @returns {String} (enum AIEvasionStyle)
+     */
+    AIProfile.prototype.getEvasion = function () {
+        return this._evasion;
+    };
+    /**
+     * @returns {String} (enum AIMissileUsage)
+     */
+    AIProfile.prototype.getMissileUsage = function () {
+        return this._missileUsage;
+    };
+    /**
+     * @returns {Object.<String, Number>}
+     */
+    AIProfile.prototype.getTargetPriorities = function () {
+        return this._targetPriorities;
+    };
+    /**
+     * @returns {Number}
+     */
+    AIProfile.prototype.getRetreatHullIntegrity = function () {
+        return this._retreatHullIntegrity;
+    };
     /**
      * Sends an asynchronous request to grab the file containing the in-game
      * class descriptions and sets a callback to load those descriptions and
@@ -5181,8 +5768,11 @@ define([
         classAssignment[MISSILE_CLASS_ARRAY_NAME] = MissileClass;
         classAssignment[JUMP_ENGINE_CLASS_ARRAY_NAME] = JumpEngineClass;
         classAssignment[SHIELD_CLASS_ARRAY_NAME] = ShieldClass;
+        classAssignment[BOOSTER_CLASS_ARRAY_NAME] = BoosterClass;
+        classAssignment[COUNTERMEASURE_CLASS_ARRAY_NAME] = CountermeasureClass;
         classAssignment[SPACECRAFT_TYPE_ARRAY_NAME] = SpacecraftType;
         classAssignment[SPACECRAFT_CLASS_ARRAY_NAME] = SpacecraftClass;
+        classAssignment[AI_PROFILE_ARRAY_NAME] = AIProfile;
         _classManager.requestConfigLoad(
                 classSourceFileDescriptor.filename,
                 classSourceFileDescriptor.folder,
@@ -5215,6 +5805,10 @@ define([
         MissileHomingMode: MissileHomingMode,
         WeaponRotationStyle: WeaponRotationStyle,
         SpacecraftTurnStyle: SpacecraftTurnStyle,
+        AIEvasionStyle: AIEvasionStyle,
+        AIMissileUsage: AIMissileUsage,
+        SubsystemType: SubsystemType,
+        PowerSystem: PowerSystem,
         TexturedModelClass: TexturedModelClass,
         getSkyboxClass: getSkyboxClass,
         getBackgroundObjectClass: getBackgroundObjectClass,
@@ -5226,9 +5820,12 @@ define([
         getSensorsClass: getSensorsClass,
         getJumpEngineClass: getJumpEngineClass,
         getShieldClass: getShieldClass,
+        getBoosterClass: getBoosterClass,
+        getCountermeasureClass: getCountermeasureClass,
         getSpacecraftType: getSpacecraftType,
         getSpacecraftClass: getSpacecraftClass,
         getSpacecraftClassesInArray: getSpacecraftClassesInArray,
+        getAIProfile: getAIProfile,
         getClassCategories: getClassCategories,
         getClassNames: getClassNames,
         getClass: getClass,
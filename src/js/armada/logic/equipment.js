@@ -183,6 +183,12 @@ define([
              * @type Number
              */
             ANGULAR_VELOCITY_MATRIX_ERROR_THRESHOLD = 0.00001,
+            /**
+             * A booster can only be (re-)engaged if it has at least this ratio of its fuel available (so that a depleted, recharging 
+             * booster is not switched on and off continuously)
+             * @type Number
+             */
+            BOOSTER_MIN_ENGAGE_FUEL_RATIO = 0.1,
             // ------------------------------------------------------------------------------
             // enum constants
             /**
@@ -318,6 +324,11 @@ define([
              * @type Pool
              */
             _trailSegmentPool,
+            /**
+             * The random generator used when determining whether released countermeasures decoy missiles or break missile locks.
+             * @type Function
+             */
+            _countermeasureSeed,
             /**
              * A reusable object to store the result of angle calculations
              * @type Object
@@ -389,6 +400,14 @@ define([
         }
         _dynamicLights = graphics.areDynamicLightsAvailable() && (graphics.getMaxPointLights() > 0);
     }
+    /**
+     * Resets the seed used to determine the outcome of released countermeasures. After calling this, the same sequence of
+     * countermeasure outcomes can be consistently reproduced.
+     * @param {Number} [seed] If not given, the default random seed from the configuration will be used
+     */
+    function resetCountermeasureSeed(seed) {
+        _countermeasureSeed = Math.seed((seed !== undefined) ? seed : config.getSetting(config.GENERAL_SETTINGS.DEFAULT_RANDOM_SEED));
+    }
     /**
      * Needs to be called when the difficulty level is set / changed (i.e. when a mission is started)
      * @param {DifficultyLevel} difficulty
@@ -455,8 +474,8 @@ define([
             if (hitPositionVectorInObjectSpace) {
                 vec.setDiffTranslation3(_relativeVelocityDirectionInWorldSpace, _velocityMatrix, physicalHitObject.getVelocityMatrix());
                 relativeVelocity = vec.extractLength3(_relativeVelocityDirectionInWorldSpace);
-                relativeVelocityDirectionInObjectSpace = vec.prodMat4Vec3Aux(hitObject.getVisualModel().getOrientationMatrix(), _relativeVelocityDirectionInWorldSpace);
-                hitPositionVectorInWorldSpace = vec.prodVec4Mat4Aux(hitPositionVectorInObjectSpace, hitObject.getVisualModel().getModelMatrix());
+                relativeVelocityDirectionInObjectSpace = vec.prodMat4Vec3Aux(physicalHitObject.getOrientationMatrix(), _relativeVelocityDirectionInWorldSpace);
+                hitPositionVectorInWorldSpace = vec.prodVec4Mat4Aux(hitPositionVectorInObjectSpace, physicalHitObject.getModelMatrix());
                 relativeHitPositionVectorInWorldSpace = vec.diffVec3Mat4Aux(hitPositionVectorInWorldSpace, physicalHitObject.getPositionMatrix());
                 _hitCallback(hitObject, physicalHitObject, hitPositionVectorInObjectSpace, hitPositionVectorInWorldSpace, relativeHitPositionVectorInWorldSpace, relativeVelocityDirectionInObjectSpace, _relativeVelocityDirectionInWorldSpace, relativeVelocity, offset);
                 return true;
@@ -507,6 +526,40 @@ define([
                 Math.max(positionMatrix[14], positionMatrix[14] - velocityMatrix[14] * hitCheckDT * 0.001),
                 _checkHitForObject);
     }
+    /**
+     * Calculates the estimated position towards which a projectile needs to be fired to hit a target in case both the firing object and
+     * the target retain their current velocity.
+     * @param {Number[3]} result The calculated position will be stored in this vector
+     * @param {Float32Array} positionMatrix The position matrix of the firing object
+     * @param {Float32Array} velocityMatrix The velocity matrix of the firing object
+     * @param {Float32Array} targetPositionMatrix The position matrix of the target
+     * @param {Float32Array} targetVelocityMatrix The velocity matrix of the target
+     * @param {Number} projectileSpeed The speed of the fired projectile relative to the firing object, in m/s
+     */
+    function _calculateHitPosition(result, positionMatrix, velocityMatrix, targetPositionMatrix, targetVelocityMatrix, projectileSpeed) {
+        var relativeTargetVelocity, a, b, c, hitTime;
+        relativeTargetVelocity = vec.diffTranslation3Aux(targetVelocityMatrix, velocityMatrix);
+        a = projectileSpeed * projectileSpeed - (relativeTargetVelocity[0] * relativeTargetVelocity[0] + relativeTargetVelocity[1] * relativeTargetVelocity[1] + relativeTargetVelocity[2] * relativeTargetVelocity[2]);
+        b = 2 * (relativeTargetVelocity[0] * (positionMatrix[12] - targetPositionMatrix[12]) +
+                relativeTargetVelocity[1] * (positionMatrix[13] - targetPositionMatrix[13]) +
+                relativeTargetVelocity[2] * (positionMatrix[14] - targetPositionMatrix[14]));
+        c = -targetPositionMatrix[12] * targetPositionMatrix[12] - positionMatrix[12] * positionMatrix[12] + 2 * targetPositionMatrix[12] * positionMatrix[12] -
+                targetPositionMatrix[13] * targetPositionMatrix[13] - positionMatrix[13] * positionMatrix[13] + 2 * targetPositionMatrix[13] * positionMatrix[13] -
+                targetPositionMatrix[14] * targetPositionMatrix[14] - positionMatrix[14] * positionMatrix[14] + 2 * targetPositionMatrix[14] * positionMatrix[14];
+        hitTime = utils.getGreaterSolutionOfQuadraticEquation(a, b, c);
+        result[0] = targetPositionMatrix[12] + hitTime * relativeTargetVelocity[0];
+        result[1] = targetPositionMatrix[13] + hitTime * relativeTargetVelocity[1];
+        result[2] = targetPositionMatrix[14] + hitTime * relativeTargetVelocity[2];
+    }
+    /**
+     * Returns whether the passed weapon rotator can be rotated to the passed angle.
+     * @param {WeaponRotator} rotator
+     * @param {Number} angle In radians
+     * @returns {Boolean}
+     */
+    function _isAngleInRotatorRange(rotator, angle) {
+        return !rotator.restricted || ((angle >= rotator.range[0]) && (angle <= rotator.range[1]));
+    }
     // ##############################################################################
     /**
      * @class Represents a projectile fired from a weapon.
@@ -529,6 +582,12 @@ define([
          * @type Float32Array
          */
         this._velocityMatrix = mat.identity4();
+        /**
+         * The position of the projectile in case it is simulated without being added to a scene (otherwise the position of the visual
+         * model is used)
+         * @type Float32Array
+         */
+        this._positionMatrix = null;
         /**
          * The amount of time this projectile has left to "live", in milliseconds.
          * @type Number
@@ -541,6 +600,11 @@ define([
          * @type Spacecraft
          */
         this._origin = null;
+        /**
+         * The missile this projectile was fired at by a point-defence turret (which it can shoot down), if any.
+         * @type Missile
+         */
+        this._missileTarget = null;
         /**
          * A reference to the light source associated with this projectile.
          * @type PointLightSource
@@ -558,11 +622,13 @@ define([
     /**
      * @param {ProjectileClass} projectileClass The class of the projectile defining its general properties.
      * @param {Spacecraft} [spacecraft] The spacecraft which fired the projectile.
+     * @param {Missile} [missileTarget] The missile the projectile was fired at, if any.
      */
-    Projectile.prototype.init = function (projectileClass, spacecraft) {
+    Projectile.prototype.init = function (projectileClass, spacecraft, missileTarget) {
         this._class = projectileClass;
         this._timeLeft = projectileClass.getDuration();
         this._origin = spacecraft;
+        this._missileTarget = missileTarget || null;
     };
     /**
      * Returns whether this projectile object can be reused to represent a new
@@ -580,16 +646,11 @@ define([
         this._visualModel = new renderableObjects.Billboard();
     };
     /**
-     * Sets up the renderable object that can be used to represent this projectile in a visual scene.
-     * @param {Boolean} [wireframe=false] Whether to set up the model in wireframe mode
-     * @param {Float32Array} [positionMatrix] The transformation matrix describing the initial position of the projectile.
+     * Sets the starting velocity of the projectile based on the velocity of the spacecraft that fired it and the muzzle velocity.
      * @param {Float32Array} [orientationMatrix] The transformation matrix describing the initial oriantation of the projectile.
      * @param {Number} [muzzleVelocity] The starting velocity of the projectile, in its +Y direction, in m/s
      */
-    Projectile.prototype._initVisualModel = function (wireframe, positionMatrix, orientationMatrix, muzzleVelocity) {
-        if (!this._visualModel) {
-            this.createVisualModel();
-        }
+    Projectile.prototype._initVelocity = function (orientationMatrix, muzzleVelocity) {
         mat.setIdentity4(this._velocityMatrix);
         if (this._origin) {
             mat.copyTranslation4(this._velocityMatrix, this._origin.getPhysicalVelocityMatrix());
@@ -599,6 +660,19 @@ define([
             this._velocityMatrix[13] += orientationMatrix[5] * muzzleVelocity;
             this._velocityMatrix[14] += orientationMatrix[6] * muzzleVelocity;
         }
+    };
+    /**
+     * Sets up the renderable object that can be used to represent this projectile in a visual scene.
+     * @param {Boolean} [wireframe=false] Whether to set up the model in wireframe mode
+     * @param {Float32Array} [positionMatrix] The transformation matrix describing the initial position of the projectile.
+     * @param {Float32Array} [orientationMatrix] The transformation matrix describing the initial oriantation of the projectile.
+     * @param {Number} [muzzleVelocity] The starting velocity of the projectile, in its +Y direction, in m/s
+     */
+    Projectile.prototype._initVisualModel = function (wireframe, positionMatrix, orientationMatrix, muzzleVelocity) {
+        if (!this._visualModel) {
+            this.createVisualModel();
+        }
+        this._initVelocity(orientationMatrix, muzzleVelocity);
         this._visualModel.init(
                 this._class.getModel(),
                 this._class.getShader(),
@@ -640,6 +714,17 @@ define([
             callback(this._visualModel);
         }
     };
+    /**
+     * Sets up the projectile to be simulated without adding it to a scene (when running headless)
+     * @param {Float32Array} positionMatrix The transformation matrix describing the initial position of the projectile.
+     * @param {Float32Array} orientationMatrix The transformation matrix describing the initial oriantation of the projectile.
+     * @param {Number} [muzzleVelocity] The starting velocity of the projectile, in its +Y direction, in m/s
+     */
+    Projectile.prototype.initWithoutScene = function (positionMatrix, orientationMatrix, muzzleVelocity) {
+        this._initVelocity(orientationMatrix, muzzleVelocity);
+        this._positionMatrix = this._positionMatrix || mat.identity4();
+        mat.setMatrix4(this._positionMatrix, positionMatrix);
+    };
     /**
      * Adds a renderable node representing this projectile to the passed scene.
      * @param {Scene} scene The scene to which to add the renderable object presenting the projectile.
@@ -690,12 +775,48 @@ define([
         var exp, power;
         power = Math.min(this._timeLeft / this._class.getDissipationDuration(), 1);
         physicalHitObject.applyForceAndTorque(relativeHitPositionVectorInWorldSpace, relativeVelocityDirectionInWorldSpace, power * relativeVelocity * this._class.getMass() * 1000, 1, 1);
-        exp = explosion.getExplosion();
-        exp.init(((hitObject.getShieldIntegrity() > 0) ? this._class.getShieldExplosionClass() : this._class.getExplosionClass()), mat.translation4vAux(hitPositionVectorInWorldSpace), mat.IDENTITY4, vec.scaled3Aux(relativeVelocityDirectionInWorldSpace, -1), true, true, physicalHitObject.getVelocityMatrix());
-        exp.addToSceneNow(this._visualModel.getNode().getScene().getRootNode(), hitObject.getSoundSource(), true);
         hitObject.damage(power * this._class.getDamage(), hitPositionVectorInObjectSpace, vec.scaled3(relativeVelocityDirectionInObjectSpace, -1), this._origin, false, offset);
         this._timeLeft = 0;
-        this._visualModel.markAsReusable(true);
+        if (this._visualModel) {
+            exp = explosion.getExplosion();
+            exp.init(((hitObject.getShieldIntegrity() > 0) ? this._class.getShieldExplosionClass() : this._class.getExplosionClass()), mat.translation4vAux(hitPositionVectorInWorldSpace), mat.IDENTITY4, vec.scaled3Aux(relativeVelocityDirectionInWorldSpace, -1), true, true, physicalHitObject.getVelocityMatrix());
+            exp.addToSceneNow(this._visualModel.getNode().getScene().getRootNode(), hitObject.getSoundSource(), true);
+            this._visualModel.markAsReusable(true);
+        }
+    };
+    /**
+     * Checks whether the projectile has passed close enough to the missile it was fired at during the last simulation step to hit it, and
+     * shoots the missile down if so.
+     * @param {Float32Array} positionMatrix The current position matrix of the projectile
+     * @param {Number} hitCheckDT The time elapsed during the last simulation step, in milliseconds
+     * @returns {Boolean} Whether the missile has been hit
+     */
+    Projectile.prototype._checkMissileHit = function (positionMatrix, hitCheckDT) {
+        var missileModel, missilePosition, missileVelocity, relativePosition, relativeVelocity, relativeSpeedSquared, t, hitRange;
+        if (this._missileTarget.canBeReused()) {
+            this._missileTarget = null;
+            return false;
+        }
+        missileModel = this._missileTarget.getPhysicalModel();
+        missilePosition = missileModel.getPositionMatrix();
+        missileVelocity = missileModel.getVelocityMatrix();
+        relativePosition = vec.diffTranslation3Aux(positionMatrix, missilePosition);
+        relativeVelocity = vec.diffTranslation3Aux(this._velocityMatrix, missileVelocity);
+        // finding the time during the last step (between -hitCheckDT and 0) when the projectile was the closest to the missile
+        relativeSpeedSquared = vec.length3Squared(relativeVelocity);
+        t = (relativeSpeedSquared > 0) ? Math.min(Math.max(-vec.dot3(relativePosition, relativeVelocity) / relativeSpeedSquared, -hitCheckDT * 0.001), 0) : 0;
+        vec.add3(relativePosition, vec.scale3(relativeVelocity, t));
+        hitRange = 0.5 * (this._missileTarget.getClass().getLength() + this._class.getSize());
+        if (vec.length3Squared(relativePosition) <= hitRange * hitRange) {
+            this._missileTarget.shootDown();
+            this._missileTarget = null;
+            this._timeLeft = 0;
+            if (this._visualModel) {
+                this._visualModel.markAsReusable(true);
+            }
+            return true;
+        }
+        return false;
     };
     /**
      * Simulates the movement of the projectile and checks if it hit any objects.
@@ -712,17 +833,28 @@ define([
         if ((physics.getDrag() > 0) && (this._class.getDragFactor() > 0)) {
             physics.applyDrag(this._velocityMatrix, hitCheckDT, this._class.getDragFactor());
         }
-        this._visualModel.translateByMatrixMul(this._velocityMatrix, hitCheckDT * 0.001);
-        if (this._timeLeft < this._class.getDissipationDuration()) {
-            power = this._timeLeft / this._class.getDissipationDuration();
-            this._visualModel.setDirectionW(power);
-            if (this._lightSource) {
-                this._lightSource.setObjectIntensity(power * this._class.getLightIntensity());
+        if (this._visualModel) {
+            this._visualModel.translateByMatrixMul(this._velocityMatrix, hitCheckDT * 0.001);
+            if (this._timeLeft < this._class.getDissipationDuration()) {
+                power = this._timeLeft / this._class.getDissipationDuration();
+                this._visualModel.setDirectionW(power);
+                if (this._lightSource) {
+                    this._lightSource.setObjectIntensity(power * this._class.getLightIntensity());
+                }
+            }
+            if (!this._missileTarget || !this._checkMissileHit(this._visualModel.getPositionMatrix(), hitCheckDT)) {
+                _checkHit(this._visualModel.getPositionMatrix(), this._velocityMatrix, hitObjectOctree, hitCheckDT, this._origin, _getDefaultOffset, this._hitCallback);
+            }
+        } else {
+            this._positionMatrix[12] += this._velocityMatrix[12] * hitCheckDT * 0.001;
+            this._positionMatrix[13] += this._velocityMatrix[13] * hitCheckDT * 0.001;
+            this._positionMatrix[14] += this._velocityMatrix[14] * hitCheckDT * 0.001;
+            if (!this._missileTarget || !this._checkMissileHit(this._positionMatrix, hitCheckDT)) {
+                _checkHit(this._positionMatrix, this._velocityMatrix, hitObjectOctree, hitCheckDT, this._origin, _getDefaultOffset, this._hitCallback);
             }
         }
-        _checkHit(this._visualModel.getPositionMatrix(), this._velocityMatrix, hitObjectOctree, hitCheckDT, this._origin, _getDefaultOffset, this._hitCallback);
         this._timeLeft -= dt;
-        if (this._timeLeft <= 0) {
+        if ((this._timeLeft <= 0) && this._visualModel) {
             this._visualModel.markAsReusable(true);
         }
     };
@@ -734,6 +866,7 @@ define([
         this._timeLeft = 0;
         this._class = null;
         this._origin = null;
+        this._missileTarget = null;
         if (this._visualModel && this._visualModel.getNode()) {
             this._visualModel.getNode().markAsReusable(true);
         }
@@ -1041,6 +1174,11 @@ define([
          * @type Boolean
          */
         this._stopHoming = false;
+        /**
+         * Whether the missile has been decoyed by countermeasures (it stopped homing and is not considered to be targeting anything)
+         * @type Boolean
+         */
+        this._decoyed = false;
         /**
          * The target the missile is aiming for (for homing)
          * @type Spacecraft
@@ -1142,6 +1280,7 @@ define([
         this._mainBurn = false;
         this._started = false;
         this._stopHoming = false;
+        this._decoyed = false;
         this._startSound = null;
     };
     /**
@@ -1215,7 +1354,31 @@ define([
      * @returns {Spacecraft}
      */
     Missile.prototype.getTarget = function () {
-        return this._target;
+        return this._decoyed ? null : this._target;
+    };
+    /**
+     * Returns the spacecraft which launched the missile
+     * @returns {Spacecraft}
+     */
+    Missile.prototype.getOrigin = function () {
+        return this._origin;
+    };
+    /**
+     * Call when countermeasures are released by the target of this missile: with a chance based on the passed effectiveness and
+     * the countermeasure resistance of the missile class, the missile stops homing in on its target and continues in a straight line.
+     * @param {Number} effectiveness The chance of decoying a missile with no countermeasure resistance (0-1)
+     * @returns {Boolean} Whether the missile has been decoyed
+     */
+    Missile.prototype.decoy = function (effectiveness) {
+        if (this.canBeReused() || !this._homing || this._stopHoming || this._decoyed) {
+            return false;
+        }
+        if (_countermeasureSeed() < effectiveness * (1 - this._class.getCountermeasureResistance())) {
+            this._stopHoming = true;
+            this._decoyed = true;
+            return true;
+        }
+        return false;
     };
     /**
      * Returns the class of the missile
@@ -1535,6 +1698,9 @@ define([
     Missile.prototype._destruct = function (explosionClass, positionMatrix, direction, velocityMatrix, soundSource, isHit) {
         var exp;
         this._target = null;
+        if (!this._visualModel) {
+            return;
+        }
         exp = explosion.getExplosion();
         exp.init(explosionClass, positionMatrix, mat.IDENTITY4, direction, true, true, velocityMatrix);
         exp.addToSceneNow(this._visualModel.getNode().getScene().getRootNode(), soundSource, isHit);
@@ -1634,12 +1800,14 @@ define([
                         if (this._class.getHomingMode() === classes.MissileHomingMode.INITIAL) {
                             this._stopHoming = true;
                         }
-                        matrix = this._visualModel.getPositionMatrixInCameraSpace(this._visualModel.getNode().getScene().getCamera());
-                        this._soundSource.setPositionImmediate(
-                                Math.round(matrix[12] * 10) * 0.1,
-                                Math.round(matrix[13] * 10) * 0.1,
-                                Math.round(matrix[14] * 10) * 0.1);
-                        this._startSound = this._class.playStartSound(this._soundSource);
+                        if (this._visualModel) {
+                            matrix = this._visualModel.getPositionMatrixInCameraSpace(this._visualModel.getNode().getScene().getCamera());
+                            this._soundSource.setPositionImmediate(
+                                    Math.round(matrix[12] * 10) * 0.1,
+                                    Math.round(matrix[13] * 10) * 0.1,
+                                    Math.round(matrix[14] * 10) * 0.1);
+                            this._startSound = this._class.playStartSound(this._soundSource);
+                        }
                     }
                 }
                 // use maneuvering thrusters for homing
@@ -1658,7 +1826,7 @@ define([
                 }
             }
             // update sound position
-            if (this._started) {
+            if (this._started && this._visualModel) {
                 matrix = this._visualModel.getPositionMatrixInCameraSpace(this._visualModel.getNode().getScene().getCamera());
                 this._soundSource.updatePosition(
                         Math.round(matrix[12] * 10) * 0.1,
@@ -1672,21 +1840,24 @@ define([
             this._physicalModel.simulate(hitCheckDT);
             this._turningMatrixValid = false;
             this._targetHitPositionValid = false;
-            this._visualModel.setPositionMatrix(this._physicalModel.getPositionMatrix());
-            this._visualModel.setOrientationMatrix(this._physicalModel.getOrientationMatrix());
-            // update the trail that the missile leaves behind
-            if (this._trailEmitter) {
-                if (this._mainBurn) {
-                    enginePosition = this._visualModel.getPositionVector();
-                    vec.add3(enginePosition, vec.prodVec3Mat3Aux(this._class.getEnginePosition(), mat.prodScalingRotation3Aux(this._visualModel.getScalingMatrix(), this._visualModel.getOrientationMatrix())));
-                    if (!this._trailEmitter.isEmitting()) {
-                        this._trailEmitter.startNew(this._visualModel.getNode().getScene(), enginePosition);
+            // the visuals are only present if the missile has been added to a scene
+            if (this._visualModel) {
+                this._visualModel.setPositionMatrix(this._physicalModel.getPositionMatrix());
+                this._visualModel.setOrientationMatrix(this._physicalModel.getOrientationMatrix());
+                // update the trail that the missile leaves behind
+                if (this._trailEmitter) {
+                    if (this._mainBurn) {
+                        enginePosition = this._visualModel.getPositionVector();
+                        vec.add3(enginePosition, vec.prodVec3Mat3Aux(this._class.getEnginePosition(), mat.prodScalingRotation3Aux(this._visualModel.getScalingMatrix(), this._visualModel.getOrientationMatrix())));
+                        if (!this._trailEmitter.isEmitting()) {
+                            this._trailEmitter.startNew(this._visualModel.getNode().getScene(), enginePosition);
+                        } else {
+                            this._trailEmitter.addPoint(enginePosition, hitCheckDT);
+                        }
                     } else {
-                        this._trailEmitter.addPoint(enginePosition, hitCheckDT);
-                    }
-                } else {
-                    if (this._trailEmitter.isEmitting()) {
-                        this._trailEmitter.detach();
+                        if (this._trailEmitter.isEmitting()) {
+                            this._trailEmitter.detach();
+                        }
                     }
                 }
             }
@@ -1698,17 +1869,33 @@ define([
         this._timeLeftForIgnition -= dt;
         if (this._timeLeft <= 0) {
             // self-destruct if the time has run out
-            this._timeLeft = 0;
-            if (!this._visualModel.canBeReused()) {
-                matrix = this._visualModel.getPositionMatrixInCameraSpace(this._visualModel.getNode().getScene().getCamera());
-                this._destruct(
-                        this._class.getExplosionClass(),
-                        this._physicalModel.getPositionMatrix(),
-                        vec.scaled3Aux(vec.normalize3(mat.translationVector3(this._physicalModel.getVelocityMatrix())), -1),
-                        this._physicalModel.getVelocityMatrix(),
-                        audio.createSoundSource(matrix[12], matrix[13], matrix[14]),
-                        false);
-            }
+            this._selfDestruct();
+        }
+    };
+    /**
+     * Ends the life of the missile with an explosion at its current position, without damaging any spacecraft.
+     */
+    Missile.prototype._selfDestruct = function () {
+        var matrix;
+        this._timeLeft = 0;
+        if (this._visualModel && !this._visualModel.canBeReused()) {
+            matrix = this._visualModel.getPositionMatrixInCameraSpace(this._visualModel.getNode().getScene().getCamera());
+            this._destruct(
+                    this._class.getExplosionClass(),
+                    this._physicalModel.getPositionMatrix(),
+                    vec.scaled3Aux(vec.normalize3(mat.translationVector3(this._physicalModel.getVelocityMatrix())), -1),
+                    this._physicalModel.getVelocityMatrix(),
+                    audio.createSoundSource(matrix[12], matrix[13], matrix[14]),
+                    false);
+        }
+    };
+    /**
+     * Destroys the missile before it could reach its target (when it is hit by point-defence fire)
+     */
+    Missile.prototype.shootDown = function () {
+        if (!this.canBeReused()) {
+            this._target = null;
+            this._selfDestruct();
         }
     };
     /**
@@ -1865,6 +2052,28 @@ define([
          * @type RenderableNode
          */
         this._barrelMarkers = null;
+        /**
+         * The target assigned to this (rotatable) weapon by the fire control of the spacecraft, which it should track instead of the
+         * target of the spacecraft (can be a missile, for point-defence)
+         * @type Spacecraft|Missile
+         */
+        this._ownTarget = null;
+        /**
+         * The estimated position towards which the weapon needs to fire to hit its own target (cached for the current simulation step)
+         * @type Number[3]
+         */
+        this._ownTargetHitPosition = [0, 0, 0];
+        /**
+         * Whether the weapon has been put out of action (by the destruction of the subsystem it belongs to) and cannot aim or fire
+         * @type Boolean
+         */
+        this._disabled = false;
+        /**
+         * The cooldown time of the weapon passes this many times faster than the simulation time (depends on the power allocated to the
+         * weapons of the spacecraft)
+         * @type Number
+         */
+        this._cooldownFactor = 1;
     }
     /**
      * Returns the name of the weapon in a way that can be displayed to the user (translated)
@@ -1940,6 +2149,38 @@ define([
     Weapon.prototype.isFixed = function () {
         return this._fixed;
     };
+    /**
+     * Returns the weapon slot this weapon is equipped to.
+     * @returns {WeaponSlot}
+     */
+    Weapon.prototype.getSlot = function () {
+        return this._slot;
+    };
+    /**
+     * Returns whether this weapon has been put out of action and cannot aim or fire.
+     * @returns {Boolean}
+     */
+    Weapon.prototype.isDisabled = function () {
+        return this._disabled;
+    };
+    /**
+     * Puts the weapon out of action (or back into action)
+     * @param {Boolean} value
+     */
+    Weapon.prototype.setDisabled = function (value) {
+        this._disabled = value;
+        if (value) {
+            this._ownTarget = null;
+        }
+    };
+    /**
+     * Sets a new factor for how many times faster than the simulation time should the cooldown of the weapon pass (e.g. when the 
+     * power allocated to the weapons changes)
+     * @param {Number} value
+     */
+    Weapon.prototype.setCooldownFactor = function (value) {
+        this._cooldownFactor = value;
+    };
     /**
      * Returns a 3D vector indicating the position of the base point of this weapon in world space.
      * @param {Float32Array} shipScaledOriMatrix A 4x4 matrix describing the scaling and rotation of the spacecraft that has this weapon.
@@ -2128,7 +2369,7 @@ define([
      */
     Weapon.prototype.simulate = function (dt) {
         var i, rotators;
-        this._cooldown = Math.max(this._cooldown - dt, 0);
+        this._cooldown = Math.max(this._cooldown - dt * this._cooldownFactor, 0);
         // updating the group transform matrices of the visual model if needed as well as recalculating the final transform matrix
         if (this._rotationChanged) {
             mat.setIdentity4(this._transformMatrix);
@@ -2139,10 +2380,12 @@ define([
                         vec.prodVec3Mat4Aux(rotators[i].center, this._transformMatrix),
                         vec.prodVec3Mat4Aux(rotators[i].axis, this._transformMatrix),
                         this._rotationAngles[i]);
-                this._visualModel.setMat4Parameter(
-                        _groupTransformsArrayName,
-                        rotators[i].transformGroupIndex,
-                        this._transformMatrix);
+                if (this._visualModel) {
+                    this._visualModel.setMat4Parameter(
+                            _groupTransformsArrayName,
+                            rotators[i].transformGroupIndex,
+                            this._transformMatrix);
+                }
             }
             this._rotationChanged = false;
         }
@@ -2170,9 +2413,9 @@ define([
                 projectileOriMatrix,
                 projectileClass, muzzleFlash, barrels,
                 soundPosition, lighSource,
-                scene = this._visualModel.getNode().getScene();
+                scene = this._visualModel && this._visualModel.getNode().getScene();
         // check cooldown and aim status
-        if ((this._cooldown <= 0) && (!onlyIfAimedOrFixed || (this._lastAimStatus === AIM_STATUS_FIXED) || (this._lastAimStatus === AIM_STATUS_AIMED_IN_RANGE))) {
+        if (!this._disabled && (this._cooldown <= 0) && (!onlyIfAimedOrFixed || (this._lastAimStatus === AIM_STATUS_FIXED) || (this._lastAimStatus === AIM_STATUS_AIMED_IN_RANGE))) {
             // cache the matrices valid for the whole weapon
             weaponSlotPosVector = vec.prodTranslationRotation3Aux(this.getOrigoPositionMatrix(), shipScaledOriMatrix);
             mat.setTranslatedByVector(Weapon._weaponSlotPosMatrix, this._spacecraft.getPhysicalPositionMatrix(), weaponSlotPosVector);
@@ -2204,22 +2447,26 @@ define([
                 if (this._aimBlocked[i]) {
                     continue;
                 }
-                // add the muzzle flash of this barrel
-                muzzleFlash = this._getMuzzleFlashForBarrel(Weapon._muzzleFlashPosVector);
-                this._visualModel.getNode().addSubnode(muzzleFlash.getNode() || new sceneGraph.RenderableNode(muzzleFlash, false, false, true));
-                // add the projectile of this barrel
                 p = _projectilePool.getObject();
-                p.init(projectileClass, this._spacecraft);
-                p.addToSceneNow(scene, false, Weapon._projectilePosMatrix, projectileOriMatrix, this.getProjectileVelocity());
-                if (_dynamicLights && projectileClass.getLightColor()) {
-                    // creating the light source / adding the projectile to the emitting objects if a light source has already
-                    // been created, so that projectiles from the same weapon only use one light source object
-                    if (!lighSource) {
-                        lighSource = new lights.PointLightSource(projectileClass.getLightColor(), projectileClass.getLightIntensity(), vec.NULL3, [p.getVisualModel()]);
-                        p.setLightSource(lighSource);
-                    } else {
-                        lighSource.addEmittingObject(p.getVisualModel());
+                p.init(projectileClass, this._spacecraft, (this._ownTarget instanceof Missile) ? this._ownTarget : null);
+                if (scene) {
+                    // add the muzzle flash of this barrel
+                    muzzleFlash = this._getMuzzleFlashForBarrel(Weapon._muzzleFlashPosVector);
+                    this._visualModel.getNode().addSubnode(muzzleFlash.getNode() || new sceneGraph.RenderableNode(muzzleFlash, false, false, true));
+                    // add the projectile of this barrel
+                    p.addToSceneNow(scene, false, Weapon._projectilePosMatrix, projectileOriMatrix, this.getProjectileVelocity());
+                    if (_dynamicLights && projectileClass.getLightColor()) {
+                        // creating the light source / adding the projectile to the emitting objects if a light source has already
+                        // been created, so that projectiles from the same weapon only use one light source object
+                        if (!lighSource) {
+                            lighSource = new lights.PointLightSource(projectileClass.getLightColor(), projectileClass.getLightIntensity(), vec.NULL3, [p.getVisualModel()]);
+                            p.setLightSource(lighSource);
+                        } else {
+                            lighSource.addEmittingObject(p.getVisualModel());
+                        }
                     }
+                } else {
+                    p.initWithoutScene(Weapon._projectilePosMatrix, projectileOriMatrix, this.getProjectileVelocity());
                 }
                 // create the counter-force affecting the firing ship
                 this._spacecraft.getPhysicalModel().applyForceAndTorque(
@@ -2236,18 +2483,76 @@ define([
             this._aimBlockCalculated = true;
             if (result > 0) {
                 this._cooldown = this._class.getCooldown();
-                if (lighSource) {
-                    scene.addPointLightSource(lighSource, constants.PROJECTILE_LIGHT_PRIORITY);
-                }
-                if (!shipSoundSource) {
-                    soundPosition = mat.translationVector3(p.getVisualModel().getPositionMatrixInCameraSpace(scene.getCamera()));
+                if (scene) {
+                    if (lighSource) {
+                        scene.addPointLightSource(lighSource, constants.PROJECTILE_LIGHT_PRIORITY);
+                    }
+                    if (!shipSoundSource) {
+                        soundPosition = mat.translationVector3(p.getVisualModel().getPositionMatrixInCameraSpace(scene.getCamera()));
+                    }
+                    this._class.playFireSound(soundPosition, shipSoundSource, _fireSoundStackingTimeThreshold, _fireSoundStackingVolumeFactor);
                 }
-                this._class.playFireSound(soundPosition, shipSoundSource, _fireSoundStackingTimeThreshold, _fireSoundStackingVolumeFactor);
             }
             return result;
         }
         return 0;
     };
+    /**
+     * Returns the target assigned to this weapon by the fire control of its spacecraft, if any.
+     * @returns {Spacecraft|Missile|null}
+     */
+    Weapon.prototype.getOwnTarget = function () {
+        return this._ownTarget;
+    };
+    /**
+     * Assigns a target to this weapon which it should track instead of the target of its spacecraft.
+     * @param {Spacecraft|Missile|null} value
+     */
+    Weapon.prototype.setOwnTarget = function (value) {
+        this._ownTarget = value;
+    };
+    /**
+     * Returns whether the target assigned to this weapon can still be engaged (has not been destroyed / left the battlefield)
+     * @returns {Boolean}
+     */
+    Weapon.prototype.isOwnTargetValid = function () {
+        if (this._ownTarget instanceof Missile) {
+            return !this._ownTarget.canBeReused();
+        }
+        return !!this._ownTarget && this._ownTarget.isAlive() && !this._ownTarget.isAway();
+    };
+    /**
+     * Returns the size of the target assigned to this weapon, in meters.
+     * @returns {Number}
+     */
+    Weapon.prototype.getOwnTargetSize = function () {
+        return (this._ownTarget instanceof Missile) ? this._ownTarget.getClass().getLength() : this._ownTarget.getSize();
+    };
+    /**
+     * Returns the estimated position towards which the weapon needs to fire to hit its own target in case both the spacecraft and the
+     * target retain their current velocity.
+     * @returns {Number[3]}
+     */
+    Weapon.prototype.getOwnTargetHitPosition = function () {
+        if (this._ownTarget instanceof Missile) {
+            _calculateHitPosition(
+                    this._ownTargetHitPosition,
+                    this._spacecraft.getPhysicalPositionMatrix(),
+                    this._spacecraft.getPhysicalVelocityMatrix(),
+                    this._ownTarget.getPhysicalModel().getPositionMatrix(),
+                    this._ownTarget.getPhysicalModel().getVelocityMatrix(),
+                    this.getProjectileVelocity());
+        } else {
+            _calculateHitPosition(
+                    this._ownTargetHitPosition,
+                    this._spacecraft.getPhysicalPositionMatrix(),
+                    this._spacecraft.getPhysicalVelocityMatrix(),
+                    this._ownTarget.getPhysicalPositionMatrix(),
+                    this._ownTarget.getPhysicalVelocityMatrix(),
+                    this.getProjectileVelocity());
+        }
+        return this._ownTargetHitPosition;
+    };
     /**
      * Sets new rotation angles (instantly) for this weapon (if it can be rotated)
      * @param {Number} angleOne The angle to be set for the first rotator, in degrees
@@ -2344,6 +2649,43 @@ define([
             }
         }
     };
+    // static auxiliary array to store the results of aim angle calculations
+    Weapon._aimAngles = [0, 0];
+    /**
+     * Calculates the angles the rotators of the weapon need to be rotated to in order to point the weapon towards the passed position, 
+     * and stores them in Weapon._aimAngles (in radians).
+     * @param {Number[3]} targetPositionVector The position towards which the weapon should aim, in world-space coordinates.
+     * @param {Float32Array} shipScaledOriMatrix A 4x4 transformation matrix describing the scalin and rotation of the spacecraft that has
+     * this weapon.
+     * @returns {Number} The distance of the passed position from the base point of the weapon, in meters
+     */
+    Weapon.prototype._calculateAimAngles = function (targetPositionVector, shipScaledOriMatrix) {
+        var basePointPosVector, vectorToTarget, vectorToTargetObjSpace, distance;
+        // as a basis for calculating the direction pointing towards the target, the base point of the weapon is considered (in world 
+        // space, transformed according to the current rotation angles of the weapon)
+        basePointPosVector = this.getBasePointPosVector(shipScaledOriMatrix);
+        // calculate the vector pointing towards the target in world coordinates
+        vectorToTarget = vec.diff3Aux(targetPositionVector, basePointPosVector);
+        // transform to object space - relative to the weapon
+        vectorToTargetObjSpace = vec.prodMat4Vec3Aux(this._spacecraft.getPhysicalOrientationMatrix(), vectorToTarget);
+        vectorToTargetObjSpace = vec.prodMat4Vec3Aux(this._slot.orientationMatrix, vectorToTargetObjSpace);
+        distance = vec.extractLength3(vectorToTargetObjSpace);
+        switch (this._class.getRotationStyle()) {
+            case classes.WeaponRotationStyle.YAW_PITCH:
+                vec.getYawAndPitch(_angles, vectorToTargetObjSpace);
+                Weapon._aimAngles[0] = -_angles.yaw;
+                Weapon._aimAngles[1] = -_angles.pitch;
+                break;
+            case classes.WeaponRotationStyle.ROLL_YAW:
+                vec.getRollAndYaw(_angles, vectorToTargetObjSpace, false);
+                Weapon._aimAngles[0] = _angles.roll;
+                Weapon._aimAngles[1] = _angles.yaw;
+                break;
+            default:
+                application.crash();
+        }
+        return distance;
+    };
     /**
      * Rotates the weapon towards the angles necessary to make it point towards the passed position. (based on the weapon's rotation speed
      * and the elapsed time)
@@ -2357,35 +2699,37 @@ define([
      * @param {Number} dt The elapsed time, in milliseconds.
      */
     Weapon.prototype.aimTowards = function (targetPositionVector, turnThreshold, fireThreshold, shipScaledOriMatrix, dt) {
-        var basePointPosVector, vectorToTarget, vectorToTargetObjSpace, inRange;
-        if (!this._fixed) {
-            // as a basis for calculating the direction pointing towards the target, the base point of the weapon is considered (in world 
-            // space, transformed according to the current rotation angles of the weapon)
-            basePointPosVector = this.getBasePointPosVector(shipScaledOriMatrix);
-            // calculate the vector pointing towards the target in world coordinates
-            vectorToTarget = vec.diff3Aux(targetPositionVector, basePointPosVector);
-            // transform to object space - relative to the weapon
-            vectorToTargetObjSpace = vec.prodMat4Vec3Aux(this._spacecraft.getPhysicalOrientationMatrix(), vectorToTarget);
-            vectorToTargetObjSpace = vec.prodMat4Vec3Aux(this._slot.orientationMatrix, vectorToTargetObjSpace);
-            this._targetDistance = vec.extractLength3(vectorToTargetObjSpace);
-            inRange = this._targetDistance <= this.getRange(0);
-            switch (this._class.getRotationStyle()) {
-                case classes.WeaponRotationStyle.YAW_PITCH:
-                    vec.getYawAndPitch(_angles, vectorToTargetObjSpace);
-                    this.rotateTo(-_angles.yaw, -_angles.pitch, turnThreshold, fireThreshold, dt);
-                    break;
-                case classes.WeaponRotationStyle.ROLL_YAW:
-                    vec.getRollAndYaw(_angles, vectorToTargetObjSpace, false);
-                    this.rotateTo(_angles.roll, _angles.yaw, turnThreshold, fireThreshold, dt);
-                    break;
-                default:
-                    application.crash();
-            }
-            if (!inRange && (this._lastAimStatus === AIM_STATUS_AIMED_IN_RANGE)) {
+        if (!this._fixed && !this._disabled) {
+            this._targetDistance = this._calculateAimAngles(targetPositionVector, shipScaledOriMatrix);
+            this.rotateTo(Weapon._aimAngles[0], Weapon._aimAngles[1], turnThreshold, fireThreshold, dt);
+            if ((this._targetDistance > this.getRange(0)) && (this._lastAimStatus === AIM_STATUS_AIMED_IN_RANGE)) {
                 this._lastAimStatus = AIM_STATUS_AIMED_OUT_OF_RANGE;
             }
         }
     };
+    /**
+     * Returns whether the (rotatable) weapon can be turned to point towards the passed position, considering the restrictions of its 
+     * rotators.
+     * @param {Number[3]} targetPositionVector The position to check, in world-space coordinates.
+     * @param {Float32Array} shipScaledOriMatrix A 4x4 transformation matrix describing the scalin and rotation of the spacecraft that has
+     * this weapon.
+     * @returns {Boolean}
+     */
+    Weapon.prototype.isInArc = function (targetPositionVector, shipScaledOriMatrix) {
+        var rotators;
+        if (this._fixed) {
+            return false;
+        }
+        this._calculateAimAngles(targetPositionVector, shipScaledOriMatrix);
+        rotators = this._class.getRotators();
+        if (_isAngleInRotatorRange(rotators[0], Weapon._aimAngles[0]) && _isAngleInRotatorRange(rotators[1], Weapon._aimAngles[1])) {
+            return true;
+        }
+        // roll-yaw type weapons can also point in the same direction by rolling to the opposite side and yawing in the opposite direction
+        return (this._class.getRotationStyle() === classes.WeaponRotationStyle.ROLL_YAW) &&
+                _isAngleInRotatorRange(rotators[0], Weapon._aimAngles[0] + ((Weapon._aimAngles[0] > 0) ? -Math.PI : Math.PI)) &&
+                _isAngleInRotatorRange(rotators[1], -Weapon._aimAngles[1]);
+    };
     /**
      * Rotates the weapon towards its default rotation angles according to its rotation speed and the passed elapsed time.
      * @param {Number} threshold The weapon will not be rotated if it is closer to the desired angle than this value (in radians)
@@ -2393,7 +2737,7 @@ define([
      */
     Weapon.prototype.rotateToDefaultPosition = function (threshold, dt) {
         var rotators;
-        if (!this._fixed) {
+        if (!this._fixed && !this._disabled) {
             rotators = this._class.getRotators();
             this.rotateTo(rotators[0].defaultAngle, rotators[1].defaultAngle, threshold, 0, dt);
             this._lastAimStatus = AIM_STATUS_NO_TARGET;
@@ -2785,11 +3129,11 @@ define([
      * @returns {Missile} The missile that has been launched, if any
      */
     MissileLauncher.prototype.launch = function (shipScaledOriMatrix, shipSoundSource, salvo) {
-        var m,
+        var m, target,
                 tubePosVector,
                 missileOriMatrix,
                 soundPosition,
-                scene = this._spacecraft.getVisualModel().getNode().getScene();
+                scene = this._spacecraft.getVisualModel() && this._spacecraft.getVisualModel().getNode().getScene();
         // check missile count and cooldown
         if ((this._missileCount > 0) && (this._cooldown <= 0) && (salvo || (this._salvoLeft <= 0))) {
             if (!salvo) {
@@ -2809,6 +3153,7 @@ define([
             mat.setTranslatedByVector(MissileLauncher._tubePosMatrix, this._spacecraft.getPhysicalPositionMatrix(), tubePosVector);
             missileOriMatrix = this.getMissileOrientationMatrix();
             // generate the missile
+            target = salvo ? this._salvoTarget : this._spacecraft.getTarget();
             m = _missilePool.getObject();
             m.init(
                     this._class,
@@ -2816,8 +3161,13 @@ define([
                     missileOriMatrix,
                     this._spacecraft,
                     this._class.getLaunchVelocity(),
-                    salvo ? this._salvoTarget : this._spacecraft.getTarget());
-            m.addToSceneNow(scene, false, undefined, undefined, true);
+                    target);
+            if (target && (this._class.getHomingMode() !== classes.MissileHomingMode.NONE)) {
+                target.handleEvent(SpacecraftEvents.MISSILE_LAUNCHED_AT, {missile: m});
+            }
+            if (scene) {
+                m.addToSceneNow(scene, false, undefined, undefined, true);
+            }
             // create the counter-force affecting the firing ship
             this._spacecraft.getPhysicalModel().applyForceAndTorque(
                     tubePosVector,
@@ -2826,10 +3176,12 @@ define([
                     1,
                     1
                     );
-            if (!shipSoundSource) {
-                soundPosition = mat.translationVector3(m.getVisualModel().getPositionMatrixInCameraSpace(scene.getCamera()));
+            if (scene) {
+                if (!shipSoundSource) {
+                    soundPosition = mat.translationVector3(m.getVisualModel().getPositionMatrixInCameraSpace(scene.getCamera()));
+                }
+                this._class.playLaunchSound(soundPosition, shipSoundSource, _fireSoundStackingTimeThreshold, _fireSoundStackingVolumeFactor);
             }
-            this._class.playLaunchSound(soundPosition, shipSoundSource, _fireSoundStackingTimeThreshold, _fireSoundStackingVolumeFactor);
             this._activeTubeIndex = (this._activeTubeIndex + 1) % this._descriptor.tubePositions.length;
             return m;
         }
@@ -2904,6 +3256,13 @@ define([
     MissileLauncher.prototype.getMissileCount = function () {
         return this._missileCount;
     };
+    /**
+     * Sets the amount of missiles currently loaded into this launcher (e.g. to synchronize it with the host in multiplayer games)
+     * @param {Number} value
+     */
+    MissileLauncher.prototype.setMissileCount = function (value) {
+        this._missileCount = Math.max(0, value);
+    };
     /**
      * Returns whether this missile launcher still has missiles loaded in it which are not yet queued for launch
      * @returns {Number}
@@ -3030,19 +3389,67 @@ define([
          * @type Number
          */
         this._rangeFactor = environment ? environment.getSensorRangeFactor() : 1;
+        /**
+         * The range of the equipped sensors, in meters
+         * @type Number
+         */
+        this._sensorsRange = 0;
+        /**
+         * Range is multiplied by this factor (reduced when the sensor array is damaged)
+         * @type Number
+         */
+        this._sensorsEfficiency = 1;
         /**
          * Missile locking time is multiplied by this factor
          * @type Number
          */
         this._lockingTimeFactor = environment ? environment.getLockingTimeFactor() : 1;
+        /**
+         * When ordering hostiles for the AI, the preference of spacecrafts of the types with these names as targets is multiplied by 
+         * the associated weights
+         * @type Object.<String, Number>
+         */
+        this._targetPriorities = null;
     }
+    /**
+     * Sets the weights by which the preference of hostiles as targets is multiplied when ordering them for the AI, by the names of their
+     * spacecraft types (types not listed have a weight of 1)
+     * @param {Object.<String, Number>} value
+     */
+    TargetingComputer.prototype.setTargetPriorities = function (value) {
+        this._targetPriorities = value;
+        this._timeUntilHostileOrderReset = 0;
+    };
     /**
      * Updates the targeting computer's properties with the passed sensor class being equipped on the spacecaft
      * @param {SensorsClass} [sensorsClass]
      */
     TargetingComputer.prototype.updateSensors = function (sensorsClass) {
-        var range = sensorsClass ? sensorsClass.getRange() : 0;
-        this._rangeSquared = range * range * this._rangeFactor * this._rangeFactor;
+        this._sensorsRange = sensorsClass ? sensorsClass.getRange() : 0;
+        this._updateRange();
+    };
+    /**
+     * Sets a new factor to multiply the range of the sensors by (e.g. when the sensor array is damaged)
+     * @param {Number} value
+     */
+    TargetingComputer.prototype.setSensorsEfficiency = function (value) {
+        this._sensorsEfficiency = value;
+        this._updateRange();
+    };
+    /**
+     * Updates the cached targeting range based on the equipped sensors, the environment and the state of the sensor array
+     */
+    TargetingComputer.prototype._updateRange = function () {
+        var range = this._sensorsRange * this._sensorsEfficiency * this._rangeFactor;
+        this._rangeSquared = range * range;
+    };
+    /**
+     * Returns the current range within which spacecrafts can be sensed and targeted, considering the environment and the state of the
+     * sensor array, in meters
+     * @returns {Number}
+     */
+    TargetingComputer.prototype.getRange = function () {
+        return Math.sqrt(this._rangeSquared);
     };
     /**
      * Whether the passed spacecraft is in targeting range
@@ -3073,6 +3480,22 @@ define([
     TargetingComputer.prototype.getMissileLockRatio = function () {
         return 1 - (this._lockTimeLeft / this._lockTime);
     };
+    /**
+     * Call when the current target releases countermeasures: with a chance based on the passed effectiveness and the countermeasure
+     * resistance of the missiles of the active launcher, the missile lock (or locking process) is reset.
+     * @param {Number} effectiveness The chance of breaking the lock for missiles with no countermeasure resistance (0-1)
+     * @returns {Boolean} Whether the missile lock has been broken
+     */
+    TargetingComputer.prototype.breakMissileLock = function (effectiveness) {
+        if (!this._target || !this._missileLauncher || (this._lockTimeLeft >= this._lockTime)) {
+            return false;
+        }
+        if (_countermeasureSeed() < effectiveness * (1 - this._missileLauncher.getMissileClass().getCountermeasureResistance())) {
+            this._resetMissileLock();
+            return true;
+        }
+        return false;
+    };
     /**
      * Set a new missile launcher to use for locking on to the target with missiles
      * @param {MissileLauncher} missileLauncher 
@@ -3173,16 +3596,22 @@ define([
     TargetingComputer.prototype._mapTargetToCombinedValue = function (craft, index) {
         var
                 vector = vec.diffTranslation3Aux(craft.getPhysicalPositionMatrix(), this._spacecraft.getPhysicalPositionMatrix()),
-                distance = vec.extractLength3(vector);
+                distance = vec.extractLength3(vector),
+                value = (distance +
+                        TARGET_MAPPING_ANGLE_FACTOR * vec.angle3u(
+                                vec.getRowB43Aux(this._spacecraft.getPhysicalOrientationMatrix()),
+                                vector)
+                        ) *
+                (this._spacecraft.isGoodAgainst(craft) ? TARGET_MAPPING_GOOD_AGAINST_FACTOR : (
+                        this._spacecraft.isBadAgainst(craft) ? TARGET_MAPPING_BAD_AGAINST_FACTOR : 1)),
+                weight = this._targetPriorities ? this._targetPriorities[craft.getClass().getSpacecraftType().getName()] : undefined;
+        if (weight !== undefined) {
+            // lower values are preferred
+            value = (weight > 0) ? value / weight : Number.MAX_VALUE;
+        }
         return {
             index: index,
-            value: (distance +
-                    TARGET_MAPPING_ANGLE_FACTOR * vec.angle3u(
-                            vec.getRowB43Aux(this._spacecraft.getPhysicalOrientationMatrix()),
-                            vector)
-                    ) *
-                    (this._spacecraft.isGoodAgainst(craft) ? TARGET_MAPPING_GOOD_AGAINST_FACTOR : (
-                            this._spacecraft.isBadAgainst(craft) ? TARGET_MAPPING_BAD_AGAINST_FACTOR : 1))
+            value: value
         };
     };
     /**
@@ -3381,12 +3810,7 @@ define([
      * @returns {Number[3]}
      */
     TargetingComputer.prototype.getTargetHitPosition = function () {
-        var
-                position, targetPosition,
-                relativeTargetVelocity,
-                weapons,
-                projectileSpeed,
-                a, b, c, hitTime;
+        var targetPosition, weapons;
         if (!this._targetHitPositionValid) {
             this._targetHitPositionValid = true;
             targetPosition = this._target.getPhysicalPositionMatrix();
@@ -3397,20 +3821,13 @@ define([
                 this._targetHitPosition[2] = targetPosition[14];
                 return targetPosition;
             }
-            position = this._spacecraft.getPhysicalPositionMatrix();
-            relativeTargetVelocity = vec.diffTranslation3Aux(this._target.getPhysicalVelocityMatrix(), this._spacecraft.getPhysicalVelocityMatrix());
-            projectileSpeed = weapons[0].getProjectileVelocity();
-            a = projectileSpeed * projectileSpeed - (relativeTargetVelocity[0] * relativeTargetVelocity[0] + relativeTargetVelocity[1] * relativeTargetVelocity[1] + relativeTargetVelocity[2] * relativeTargetVelocity[2]);
-            b = 2 * (relativeTargetVelocity[0] * (position[12] - targetPosition[12]) +
-                    relativeTargetVelocity[1] * (position[13] - targetPosition[13]) +
-                    relativeTargetVelocity[2] * (position[14] - targetPosition[14]));
-            c = -targetPosition[12] * targetPosition[12] - position[12] * position[12] + 2 * targetPosition[12] * position[12] -
-                    targetPosition[13] * targetPosition[13] - position[13] * position[13] + 2 * targetPosition[13] * position[13] -
-                    targetPosition[14] * targetPosition[14] - position[14] * position[14] + 2 * targetPosition[14] * position[14];
-            hitTime = utils.getGreaterSolutionOfQuadraticEquation(a, b, c);
-            this._targetHitPosition[0] = targetPosition[12] + hitTime * relativeTargetVelocity[0];
-            this._targetHitPosition[1] = targetPosition[13] + hitTime * relativeTargetVelocity[1];
-            this._targetHitPosition[2] = targetPosition[14] + hitTime * relativeTargetVelocity[2];
+            _calculateHitPosition(
+                    this._targetHitPosition,
+                    this._spacecraft.getPhysicalPositionMatrix(),
+                    this._spacecraft.getPhysicalVelocityMatrix(),
+                    targetPosition,
+                    this._target.getPhysicalVelocityMatrix(),
+                    weapons[0].getProjectileVelocity());
         }
         return this._targetHitPosition;
     };
@@ -3529,6 +3946,9 @@ define([
      * Updates the visual representation of this thruster to represent the current burn level.
      */
     Thruster.prototype.updateVisuals = function () {
+        if (!this._visualModel) {
+            return;
+        }
         // set the size of the particle that shows the burn
         this._visualModel.setRelativeSize(this._burnLevel);
         // set the strength of which the luminosity texture is lighted
@@ -3610,6 +4030,11 @@ define([
          * @type SoundClip
          */
         this._thrusterSoundClip = null;
+        /**
+         * The thrust and angular thrust of the propulsion is multiplied by this factor (reduced when the engines are damaged)
+         * @type Number
+         */
+        this._efficiency = 1;
         // cache variables
         /**
          * Cached value to calculate thrust forces faster
@@ -3640,7 +4065,7 @@ define([
      * @returns {Number}
      */
     Propulsion.prototype.getThrust = function () {
-        return this._class.getThrust();
+        return this._class.getThrust() * this._efficiency;
     };
     /**
      * Returns the angular thrust power of this propulsion system, measured in
@@ -3648,7 +4073,23 @@ define([
      * @returns {Number}
      */
     Propulsion.prototype.getAngularThrust = function () {
-        return this._class.getAngularThrust();
+        return this._class.getAngularThrust() * this._efficiency;
+    };
+    /**
+     * Returns the factor the thrust and angular thrust of this propulsion is currently multiplied by
+     * @returns {Number}
+     */
+    Propulsion.prototype.getEfficiency = function () {
+        return this._efficiency;
+    };
+    /**
+     * Sets a new factor to multiply the thrust and angular thrust of this propulsion by (e.g. when its engines are damaged)
+     * @param {Number} value
+     */
+    Propulsion.prototype.setEfficiency = function (value) {
+        this._efficiency = value;
+        this._thrustFactor = this.getThrust() / this._class.getMaxMoveBurnLevel();
+        this._angularThrustFactor = this.getAngularThrust() / this._class.getMaxTurnBurnLevel();
     };
     /**
      * Returns the maximum move burn level of the class of this propulsion
@@ -4040,6 +4481,12 @@ define([
          * @type Number
          */
         this._maxCruiseReverseSpeed = 0;
+        /**
+         * While a booster is engaged, the forward speed target is raised to (at least) this value, regardless of the flight mode.
+         * (in m/s, zero if no booster is engaged)
+         * @type Number
+         */
+        this._boostSpeed = 0;
         /**
          * The maximum angle between vectors of the relative angular acceleration 
          * matrix and the identity axes on each 2D plane (yaw, pitch, roll)
@@ -4503,6 +4950,20 @@ define([
     ManeuveringComputer.prototype.getMaxSpeed = function () {
         return this._assisted ? (this._restricted ? this._maxCruiseForwardSpeed : this._maxCombatForwardSpeed) : undefined;
     };
+    /**
+     * Sets the speed the spacecraft should accelerate to while its booster is engaged (pass zero when the booster is disengaged)
+     * @param {Number} value In m/s
+     */
+    ManeuveringComputer.prototype.setBoostSpeed = function (value) {
+        this._boostSpeed = value;
+    };
+    /**
+     * Returns the speed the spacecraft is accelerating to with its booster engaged (zero if the booster is not engaged), in m/s
+     * @returns {Number}
+     */
+    ManeuveringComputer.prototype.getBoostSpeed = function () {
+        return this._boostSpeed;
+    };
     /**
      * Returns the value of yaw target (target spin around the Z axis) that has been last used in controlThrusters()
      * @returns {Number}
@@ -4676,6 +5137,8 @@ define([
                 yawTarget = this._yawTarget,
                 pitchTarget = this._pitchTarget,
                 yawAngle, pitchAngle, rollAngle,
+                // an engaged booster overrides the speed limits of the flight mode
+                speedTarget = Math.max(this._speedTarget, this._boostSpeed),
                 propulsion = this._spacecraft.getPropulsion();
         // we will add the needed burn levels together, so start from zero
         propulsion.resetThrusterBurn();
@@ -4709,10 +5172,10 @@ define([
             propulsion.addThrusterBurnRollLeft(Math.min(this._maxTurnBurnLevel, this._spacecraft.getNeededBurnForAngularVelocityChange(rollAngle - this._rollTarget, dt)));
         }
         // controlling forward/reverse
-        if ((this._speedTarget - speed) > speedThreshold) {
-            propulsion.addThrusterBurnForward(Math.min(this._maxMoveBurnLevel, this._spacecraft.getNeededBurnForSpeedChange(this._speedTarget - speed, dt)));
-        } else if ((this._speedTarget - speed) < -speedThreshold) {
-            propulsion.addThrusterBurnReverse(Math.min(this._maxMoveBurnLevel, this._spacecraft.getNeededBurnForSpeedChange(speed - this._speedTarget, dt)));
+        if ((speedTarget - speed) > speedThreshold) {
+            propulsion.addThrusterBurnForward(Math.min(this._maxMoveBurnLevel, this._spacecraft.getNeededBurnForSpeedChange(speedTarget - speed, dt)));
+        } else if ((speedTarget - speed) < -speedThreshold) {
+            propulsion.addThrusterBurnReverse(Math.min(this._maxMoveBurnLevel, this._spacecraft.getNeededBurnForSpeedChange(speed - speedTarget, dt)));
         }
         // controlling horizontal drift
         if (this._assisted || (this._strafeTarget !== 0)) {
@@ -4907,30 +5370,32 @@ define([
             this._spacecraft.setSpeedTarget(0);
             this._spacecraft.lockManeuvering();
             this._spacecraft.setJumping(true);
-            exp = explosion.getExplosion();
-            exp.init(
-                    this._class.getJumpInExplosionClass(),
-                    this._spacecraft.getPhysicalPositionMatrix(),
-                    this._spacecraft.getPhysicalOrientationMatrix(),
-                    vec.getRowC43Aux(this._spacecraft.getPhysicalPositionMatrix()),
-                    true,
-                    true,
-                    mat.IDENTITY4);
-            exp.addToSceneNow(this._spacecraft.getVisualModel().getNode().getScene().getRootNode(), this._spacecraft.getSoundSource());
-            this._originalScalingMatrix = mat.copy(this._spacecraft.getVisualModel().getScalingMatrix());
             physicalModel = this._spacecraft.getPhysicalModel();
             // calculate and set the starting velocity based on the set final velocity and total deceleration during the jump in sequence
             physicalModel.setVelocityv(vec.getRowB43ScaledAux(physicalModel.getOrientationMatrix(), this._class.getJumpInVelocity() + this._class.getJumpInDeceleration() * this._class.getJumpInDuration() * 0.001));
             physicalModel.setDragFactor(0);
-            this._spacecraft.getVisualModel().setPositionM4(physicalModel.getPositionMatrix());
-            matrix = this._spacecraft.getPositionMatrixInCameraSpace();
-            this._spacecraft.getSoundSource().setPositionImmediate(
-                    Math.round(matrix[12] * 10) * 0.1,
-                    Math.round(matrix[13] * 10) * 0.1,
-                    Math.round(matrix[14] * 10) * 0.1);
-            this._soundClip = this._class.createJumpInSoundClip(this._spacecraft.getSoundSource());
-            if (this._soundClip) {
-                this._soundClip.play();
+            if (this._spacecraft.getVisualModel()) {
+                exp = explosion.getExplosion();
+                exp.init(
+                        this._class.getJumpInExplosionClass(),
+                        this._spacecraft.getPhysicalPositionMatrix(),
+                        this._spacecraft.getPhysicalOrientationMatrix(),
+                        vec.getRowC43Aux(this._spacecraft.getPhysicalPositionMatrix()),
+                        true,
+                        true,
+                        mat.IDENTITY4);
+                exp.addToSceneNow(this._spacecraft.getVisualModel().getNode().getScene().getRootNode(), this._spacecraft.getSoundSource());
+                this._originalScalingMatrix = mat.copy(this._spacecraft.getVisualModel().getScalingMatrix());
+                this._spacecraft.getVisualModel().setPositionM4(physicalModel.getPositionMatrix());
+                matrix = this._spacecraft.getPositionMatrixInCameraSpace();
+                this._spacecraft.getSoundSource().setPositionImmediate(
+                        Math.round(matrix[12] * 10) * 0.1,
+                        Math.round(matrix[13] * 10) * 0.1,
+                        Math.round(matrix[14] * 10) * 0.1);
+                this._soundClip = this._class.createJumpInSoundClip(this._spacecraft.getSoundSource());
+                if (this._soundClip) {
+                    this._soundClip.play();
+                }
             }
             this._spacecraft.setAway(false);
             this._spacecraft.handleEvent(SpacecraftEvents.JUMPED_IN);
@@ -4952,7 +5417,7 @@ define([
                     // switching to next state if the alignment is reached
                     this._state = JumpEngine.JumpState.PREPARING;
                     this._timeLeft = this._class.getPrepareDuration();
-                    this._soundClip = this._class.createPrepareSoundClip(this._spacecraft.getSoundSource());
+                    this._soundClip = this._spacecraft.getSoundSource() && this._class.createPrepareSoundClip(this._spacecraft.getSoundSource());
                     if (this._soundClip) {
                         this._soundClip.play();
                     }
@@ -4968,7 +5433,7 @@ define([
                 if (this._timeLeft <= 0) {
                     this._state = JumpEngine.JumpState.JUMPING_OUT;
                     this._timeLeft = this._class.getJumpOutDuration();
-                    this._soundClip = this._class.createJumpOutSoundClip(this._spacecraft.getSoundSource());
+                    this._soundClip = this._spacecraft.getSoundSource() && this._class.createJumpOutSoundClip(this._spacecraft.getSoundSource());
                     if (this._soundClip) {
                         this._soundClip.play();
                     }
@@ -4977,31 +5442,37 @@ define([
                     this._spacecraft.unlockManeuvering();
                     this._spacecraft.setSpeedTarget(Number.MAX_VALUE);
                     this._spacecraft.lockManeuvering();
-                    this._originalScalingMatrix = mat.copy(this._spacecraft.getVisualModel().getScalingMatrix());
+                    if (this._spacecraft.getVisualModel()) {
+                        this._originalScalingMatrix = mat.copy(this._spacecraft.getVisualModel().getScalingMatrix());
+                    }
                     this._spacecraft.handleEvent(SpacecraftEvents.JUMP_OUT_STARTED);
                 }
                 this._timeLeft -= dt;
                 break;
             case JumpEngine.JumpState.JUMPING_OUT:
                 // stretching the spacecraft along the Y axis (by a linearly incrasing factor)
-                this._spacecraft.getVisualModel().setScaling(
-                        this._originalScalingMatrix[0],
-                        this._originalScalingMatrix[5] * (1 + (1 - this._timeLeft / this._class.getJumpOutDuration()) * (this._class.getJumpOutScaling() - 1)),
-                        this._originalScalingMatrix[10]);
+                if (this._spacecraft.getVisualModel()) {
+                    this._spacecraft.getVisualModel().setScaling(
+                            this._originalScalingMatrix[0],
+                            this._originalScalingMatrix[5] * (1 + (1 - this._timeLeft / this._class.getJumpOutDuration()) * (this._class.getJumpOutScaling() - 1)),
+                            this._originalScalingMatrix[10]);
+                }
                 // finishing up the particle effect when the time is up
                 if (this._timeLeft <= 0) {
                     this._state = JumpEngine.JumpState.NONE;
-                    exp = explosion.getExplosion();
-                    exp.init(
-                            this._class.getJumpOutExplosionClass(),
-                            this._spacecraft.getPhysicalPositionMatrix(),
-                            this._spacecraft.getPhysicalOrientationMatrix(),
-                            vec.getRowC43Aux(this._spacecraft.getPhysicalPositionMatrix()),
-                            true,
-                            true,
-                            mat.IDENTITY4);
-                    exp.addToSceneNow(this._spacecraft.getVisualModel().getNode().getScene().getRootNode(), this._spacecraft.getSoundSource());
-                    this._spacecraft.getVisualModel().setScale(this._originalScalingMatrix[0]);
+                    if (this._spacecraft.getVisualModel()) {
+                        exp = explosion.getExplosion();
+                        exp.init(
+                                this._class.getJumpOutExplosionClass(),
+                                this._spacecraft.getPhysicalPositionMatrix(),
+                                this._spacecraft.getPhysicalOrientationMatrix(),
+                                vec.getRowC43Aux(this._spacecraft.getPhysicalPositionMatrix()),
+                                true,
+                                true,
+                                mat.IDENTITY4);
+                        exp.addToSceneNow(this._spacecraft.getVisualModel().getNode().getScene().getRootNode(), this._spacecraft.getSoundSource());
+                        this._spacecraft.getVisualModel().setScale(this._originalScalingMatrix[0]);
+                    }
                     this._spacecraft.setAway(true);
                     this._spacecraft.handleEvent(SpacecraftEvents.JUMPED_OUT);
                 } else {
@@ -5021,10 +5492,12 @@ define([
                     physicalModel.applyForce(physicalModel.getMass() * this._class.getJumpInDeceleration(), -matrix[4], -matrix[5], -matrix[6], Math.min(dt, this._timeLeft));
                 }
                 // stretching the spacecraft along the Y axis (by a linearly decreasing factor)
-                this._spacecraft.getVisualModel().setScaling(
-                        this._originalScalingMatrix[0],
-                        this._originalScalingMatrix[5] * (1 + (this._timeLeft / this._class.getJumpInDuration()) * (this._class.getJumpInScaling() - 1)),
-                        this._originalScalingMatrix[10]);
+                if (this._spacecraft.getVisualModel()) {
+                    this._spacecraft.getVisualModel().setScaling(
+                            this._originalScalingMatrix[0],
+                            this._originalScalingMatrix[5] * (1 + (this._timeLeft / this._class.getJumpInDuration()) * (this._class.getJumpInScaling() - 1)),
+                            this._originalScalingMatrix[10]);
+                }
                 // finishing the sequence if the time is up
                 if (this._timeLeft <= 0) {
                     this._state = JumpEngine.JumpState.NONE;
@@ -5099,6 +5572,12 @@ define([
          * @type SoundClip
          */
         this._soundClip = null;
+        /**
+         * The recharge rate of the shield is multiplied by this factor (reduced when the shield generator is damaged, zero if it is
+         * destroyed)
+         * @type Number
+         */
+        this._efficiency = 1;
     }
     /**
      * Call to make sure all needed resources are going to be loaded
@@ -5127,7 +5606,7 @@ define([
      * @param {Number} ratio
      */
     Shield.prototype.setIntegrity = function (ratio) {
-        var value = ratio * this._class.getCapacity();
+        var value = (this._efficiency > 0) ? ratio * this._class.getCapacity() : 0;
         if (value < this._capacity) {
             this._timeSinceHit = 0;
         }
@@ -5145,7 +5624,18 @@ define([
      * @returns {Number}
      */
     Shield.prototype.getRechargeRate = function () {
-        return this._class.getRechargeRate();
+        return this._class.getRechargeRate() * this._efficiency;
+    };
+    /**
+     * Sets a new factor to multiply the recharge rate of the shield by (e.g. when its generator is damaged). Setting zero
+     * collapses the shield.
+     * @param {Number} value
+     */
+    Shield.prototype.setEfficiency = function (value) {
+        this._efficiency = value;
+        if (value <= 0) {
+            this._capacity = 0;
+        }
     };
     /**
      * Returns the state of the shield to be used for visuals (color and animation progress)
@@ -5187,7 +5677,8 @@ define([
      */
     Shield.prototype.simulate = function (dt, isMultiGuest) {
         var duration = this._class.getRechargeAnimationDuration();
-        if (this._capacity < this._class.getCapacity()) {
+        // a collapsed shield (with destroyed generator) does not start recharging
+        if ((this._efficiency > 0) && (this._capacity < this._class.getCapacity())) {
             if (this._timeSinceHit < this._class.getRechargeDelay()) {
                 this._timeSinceHit += dt;
                 if (this._timeSinceHit >= this._class.getRechargeDelay()) {
@@ -5196,7 +5687,7 @@ define([
             } else {
                 // recharging
                 if (!isMultiGuest) {
-                    this._capacity = Math.min(this._class.getCapacity(), this._capacity + this._class.getRechargeRate() * dt * 0.001); // sec -> ms
+                    this._capacity = Math.min(this._class.getCapacity(), this._capacity + this.getRechargeRate() * dt * 0.001); // sec -> ms
                 }
             }
         }
@@ -5221,6 +5712,268 @@ define([
             this._soundClip = null;
         }
     };
+    // #########################################################################
+    /**
+     * @class A booster (afterburner) that can be equipped on spacecrafts, which allows them to temporarily exceed their maximum combat
+     * speed while it has fuel left.
+     * @param {BoosterClass} boosterClass
+     * @param {Spacecraft} spacecraft The spacecraft to equip this booster on
+     */
+    function Booster(boosterClass, spacecraft) {
+        /**
+         * The class specifying the characteristics of the booster
+         * @type BoosterClass
+         */
+        this._class = boosterClass;
+        /**
+         * The spacecraft this booster is equipped on
+         * @type Spacecraft
+         */
+        this._spacecraft = spacecraft;
+        /**
+         * The amount of fuel left, in seconds of boosting
+         * @type Number
+         */
+        this._fuel = boosterClass.getFuel();
+        /**
+         * Whether the booster is currently engaged
+         * @type Boolean
+         */
+        this._engaged = false;
+        /**
+         * A reference to the currently played sound clip, if any
+         * @type SoundClip
+         */
+        this._soundClip = null;
+    }
+    /**
+     * Call to make sure all needed resources are going to be loaded
+     * @param {BoosterClass~ResourceParams} params 
+     */
+    Booster.prototype.acquireResources = function (params) {
+        this._class.acquireResources(params);
+    };
+    /**
+     * Returns the name of the booster in a way that can be displayed to the user (translated)
+     * @returns {String}
+     */
+    Booster.prototype.getDisplayName = function () {
+        return this._class.getDisplayName();
+    };
+    /**
+     * Returns the ratio of the fuel left (current / maximum fuel)
+     * @returns {Number}
+     */
+    Booster.prototype.getFuelRatio = function () {
+        return this._fuel / this._class.getFuel();
+    };
+    /**
+     * Whether the booster is currently engaged
+     * @returns {Boolean}
+     */
+    Booster.prototype.isEngaged = function () {
+        return this._engaged;
+    };
+    /**
+     * Engages the booster, if it has enough fuel left and the spacecraft can be maneuvered
+     * @returns {Boolean} Whether the booster has been engaged
+     */
+    Booster.prototype.engage = function () {
+        if (this._engaged || (this.getFuelRatio() < BOOSTER_MIN_ENGAGE_FUEL_RATIO) || !this._spacecraft.getPropulsion() || this._spacecraft.isManeuveringLocked()) {
+            return false;
+        }
+        this._engaged = true;
+        this._spacecraft.setBoostSpeed(this._class.getSpeedFactor() * this._spacecraft.getMaxCombatSpeed());
+        this._soundClip = this._class.createStartSoundClip(this._spacecraft.getSoundSource());
+        if (this._soundClip) {
+            this._soundClip.play();
+        }
+        return true;
+    };
+    /**
+     * Disengages the booster (the spacecraft returns to the speed limits of its flight mode)
+     * @returns {Boolean} Whether the booster has been disengaged (false if it was not engaged)
+     */
+    Booster.prototype.disengage = function () {
+        if (!this._engaged) {
+            return false;
+        }
+        this._engaged = false;
+        this._spacecraft.setBoostSpeed(0);
+        if (this._soundClip) {
+            this._soundClip.stopPlaying(audio.SOUND_RAMP_DURATION);
+            this._soundClip = null;
+        }
+        return true;
+    };
+    /**
+     * Call in every simulation step to consume / recharge fuel and apply the additional thrust while engaged
+     * @param {Number} dt The amount of time passed since the last simulation step, in milliseonds
+     * @param {Boolean} [applyForces=true] If false, the additional thrust is not applied to the spacecraft (only the fuel is updated)
+     */
+    Booster.prototype.simulate = function (dt, applyForces) {
+        var propulsion, matrix;
+        if (this._engaged) {
+            this._fuel = Math.max(0, this._fuel - dt * 0.001); // ms -> sec
+            if ((this._fuel <= 0) || this._spacecraft.isManeuveringLocked()) {
+                this.disengage();
+                return;
+            }
+            propulsion = this._spacecraft.getPropulsion();
+            if ((applyForces !== false) && propulsion && (this._spacecraft.getRelativeVelocityMatrix()[13] < this._spacecraft.getBoostSpeed())) {
+                matrix = this._spacecraft.getPhysicalOrientationMatrix();
+                this._spacecraft.getPhysicalModel().applyForce(this._class.getThrustFactor() * propulsion.getThrust(), matrix[4], matrix[5], matrix[6], dt);
+            }
+        } else if (this._fuel < this._class.getFuel()) {
+            this._fuel = Math.min(this._class.getFuel(), this._fuel + this._class.getRechargeRate() * dt * 0.001); // ms -> sec
+        }
+    };
+    /**
+     * Returns the amount of score points to be added to the total score value of spacecrafts that have this booster equipped
+     * @returns {Number}
+     */
+    Booster.prototype.getScoreValue = function () {
+        return this._class.getScoreValue();
+    };
+    /**
+     * Deletes stored references. Call when the spacecraft is destroyed.
+     */
+    Booster.prototype.destroy = function () {
+        this._class = null;
+        this._spacecraft = null;
+        if (this._soundClip) {
+            this._soundClip.destroy();
+            this._soundClip = null;
+        }
+    };
+    // #########################################################################
+    /**
+     * @class A countermeasure launcher that can be equipped on spacecrafts, releasing flares / chaff that can break the missile locks
+     * of spacecrafts targeting the carrier and decoy homing missiles launched at it.
+     * @param {CountermeasureClass} countermeasureClass
+     * @param {Spacecraft} spacecraft The spacecraft to equip this launcher on
+     * @param {Number} [amount] The number of countermeasures to load (default: the capacity of the class)
+     */
+    function CountermeasureLauncher(countermeasureClass, spacecraft, amount) {
+        /**
+         * The class specifying the characteristics of the countermeasures
+         * @type CountermeasureClass
+         */
+        this._class = countermeasureClass;
+        /**
+         * The spacecraft this launcher is equipped on
+         * @type Spacecraft
+         */
+        this._spacecraft = spacecraft;
+        /**
+         * The number of countermeasures the launcher has been loaded with
+         * @type Number
+         */
+        this._maxCount = amount || countermeasureClass.getCapacity();
+        /**
+         * The number of countermeasures left to release
+         * @type Number
+         */
+        this._count = this._maxCount;
+        /**
+         * The time left until the next countermeasure can be released, in milliseconds
+         * @type Number
+         */
+        this._cooldown = 0;
+    }
+    /**
+     * Call to make sure all needed resources are going to be loaded
+     * @param {CountermeasureClass~ResourceParams} params 
+     */
+    CountermeasureLauncher.prototype.acquireResources = function (params) {
+        this._class.acquireResources(params);
+    };
+    /**
+     * Returns the name of the countermeasures in a way that can be displayed to the user (translated)
+     * @returns {String}
+     */
+    CountermeasureLauncher.prototype.getDisplayName = function () {
+        return this._class.getDisplayName();
+    };
+    /**
+     * Returns the number of countermeasures left to release
+     * @returns {Number}
+     */
+    CountermeasureLauncher.prototype.getCount = function () {
+        return this._count;
+    };
+    /**
+     * Returns the number of countermeasures the launcher has been loaded with
+     * @returns {Number}
+     */
+    CountermeasureLauncher.prototype.getMaxCount = function () {
+        return this._maxCount;
+    };
+    /**
+     * Whether a countermeasure can be released right now
+     * @returns {Boolean}
+     */
+    CountermeasureLauncher.prototype.isReady = function () {
+        return (this._count > 0) && (this._cooldown <= 0);
+    };
+    /**
+     * Releases a countermeasure (if ready), which has a chance to break the missile lock of each spacecraft targeting the carrier, 
+     * and to decoy each homing missile launched at it.
+     * @returns {Boolean} Whether a countermeasure has been released
+     */
+    CountermeasureLauncher.prototype.launch = function () {
+        var i, targetedBy, exp, effectiveness = this._class.getEffectiveness(), spacecraft = this._spacecraft;
+        if (!this.isReady()) {
+            return false;
+        }
+        this._count--;
+        this._cooldown = this._class.getCooldown();
+        targetedBy = spacecraft.getTargetingSpacecrafts();
+        for (i = 0; i < targetedBy.length; i++) {
+            if (targetedBy[i].isAlive() && !targetedBy[i].isAway()) {
+                targetedBy[i].breakMissileLock(effectiveness);
+            }
+        }
+        _missilePool.executeForLockedObjects(function (missile) {
+            if (missile.getTarget() === spacecraft) {
+                missile.decoy(effectiveness);
+            }
+        });
+        if (spacecraft.getVisualModel()) {
+            exp = explosion.getExplosion();
+            exp.init(
+                    this._class.getExplosionClass(),
+                    spacecraft.getPhysicalPositionMatrix(),
+                    mat.IDENTITY4,
+                    vec.scaled3Aux(vec.getRowB43Aux(spacecraft.getPhysicalOrientationMatrix()), -1),
+                    false,
+                    false,
+                    mat.IDENTITY4);
+            exp.addToSceneNow(spacecraft.getVisualModel().getNode().getScene().getRootNode(), spacecraft.getSoundSource());
+        }
+        return true;
+    };
+    /**
+     * Call in every simulation step to update the internal state of the launcher
+     * @param {Number} dt The amount of time passed since the last simulation step, in milliseonds
+     */
+    CountermeasureLauncher.prototype.simulate = function (dt) {
+        this._cooldown = Math.max(this._cooldown - dt, 0);
+    };
+    /**
+     * Returns the amount of score points to be added to the total score value of spacecrafts that have this launcher equipped
+     * @returns {Number}
+     */
+    CountermeasureLauncher.prototype.getScoreValue = function () {
+        return this._class.getScoreValue();
+    };
+    /**
+     * Deletes stored references. Call when the spacecraft is destroyed.
+     */
+    CountermeasureLauncher.prototype.destroy = function () {
+        this._class = null;
+        this._spacecraft = null;
+    };
     // ##############################################################################
     // initialization
     // obtaining pool references
@@ -5241,6 +5994,7 @@ define([
         _groupTransformsArrayName = config.getSetting(config.GENERAL_SETTINGS.UNIFORM_GROUP_TRANSFORMS_ARRAY_NAME);
         _fireSoundStackingTimeThreshold = config.getSetting(config.BATTLE_SETTINGS.FIRE_SOUND_STACKING_TIME_THRESHOLD);
         _fireSoundStackingVolumeFactor = config.getSetting(config.BATTLE_SETTINGS.FIRE_SOUND_STACKING_VOLUME_FACTOR);
+        _countermeasureSeed = Math.seed(Math.random());
         graphics.executeWhenReady(handleGraphicsSettingsChanged);
         graphics.onSettingsChange(handleGraphicsSettingsChanged);
     });
@@ -5249,6 +6003,7 @@ define([
     return {
         FlightMode: FlightMode,
         ThrusterUse: ThrusterUse,
+        resetCountermeasureSeed: resetCountermeasureSeed,
         handleDifficultySet: handleDifficultySet,
         setFriendlyFire: setFriendlyFire,
         Projectile: Projectile,
@@ -5259,6 +6014,8 @@ define([
         Propulsion: Propulsion,
         JumpEngine: JumpEngine,
         Shield: Shield,
+        Booster: Booster,
+        CountermeasureLauncher: CountermeasureLauncher,
         ManeuveringComputer: ManeuveringComputer
     };
 });
\ No newline at end of file
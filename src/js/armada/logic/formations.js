@@ -41,8 +41,12 @@ define([
              */
             _random;
     // #########################################################################
-    function resetRandomSeed() {
-        _random = Math.seed(config.getSetting(config.GENERAL_SETTINGS.DEFAULT_RANDOM_SEED));
+    /**
+     * Resets the seed used to generate random positions in formations.
+     * @param {Number} [seed] If not given, the default random seed from the configuration will be used
+     */
+    function resetRandomSeed(seed) {
+        _random = Math.seed((seed !== undefined) ? seed : config.getSetting(config.GENERAL_SETTINGS.DEFAULT_RANDOM_SEED));
     }
     /**
      * Returns the relative position for a spacecraft in a formation
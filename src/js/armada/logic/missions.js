@@ -85,6 +85,34 @@ define([
             MissionState = missionEvents.MissionState,
             ObjectiveState = missionEvents.ObjectiveState,
             // ------------------------------------------------------------------------------
+            // enums
+            /**
+             * The possible mission outcomes that prerequisites of campaign chapters and missions can require
+             * @enum {String}
+             */
+            CampaignOutcome = {
+                /** The prerequisite mission needs to have been won */
+                VICTORY: "victory",
+                /** The prerequisite mission needs to have been lost (failed or abandoned) */
+                DEFEAT: "defeat",
+                /** The prerequisite mission needs to have been played, with any outcome */
+                ANY: "any"
+            },
+            /**
+             * The possible progression states of campaign chapters and missions
+             * @enum {String}
+             */
+            CampaignState = {
+                /** The prerequisites have not been met yet */
+                LOCKED: "locked",
+                /** The prerequisites have been met, the chapter / mission can be played */
+                UNLOCKED: "unlocked",
+                /** All missions of the chapter / the mission itself has been won */
+                COMPLETED: "completed",
+                /** The chapter / mission belongs to the branch of a faction the player has not chosen */
+                UNAVAILABLE: "unavailable"
+            },
+            // ------------------------------------------------------------------------------
             // constants
             /**
              * The ID for mission performance indicating that the mission failed. Performance level IDs for successful missions are defined
@@ -102,11 +130,22 @@ define([
              * @type String
              */
             DIFFICULTY_LOCAL_STORAGE_ID = MODULE_LOCAL_STORAGE_PREFIX + "difficulty",
+            /**
+             * The key identifying the location where the list of missions which stay playable regardless of the campaign progression
+             * (for players who already played before the campaign was introduced) is stored in local storage.
+             * @type String
+             */
+            LEGACY_CAMPAIGN_MISSIONS_LOCAL_STORAGE_ID = MODULE_LOCAL_STORAGE_PREFIX + "legacyCampaignMissions",
             /**
              * Used to choose the array of mission descriptors when loading the configuration of the mission resource manager
              * @type String
              */
             MISSION_ARRAY_NAME = "missions",
+            /**
+             * The name of the property in the mission configuration file (missions.json) containing the campaign definition
+             * @type String
+             */
+            CAMPAIGN_PROPERTY_NAME = "campaign",
             /**
              * When adding ships without a team to a mission in demo mode, they will be automatically put into a team with
              * this faction, with an index that equals the index of the spacecraft added + 1 (converted to string).
@@ -122,6 +161,13 @@ define([
              * @type Number
              */
             COLLISION_DAMAGE_FACTOR = 0.00025,
+            /**
+             * The supplements to add to the target view scene along with the spacecrafts of the mission
+             * @type Spacecraft~Supplements
+             */
+            TARGET_SCENE_SUPPLEMENTS = {
+                weapons: true
+            },
             // ------------------------------------------------------------------------------
             // private variables
             /**
@@ -176,6 +222,8 @@ define([
              * @type String
              */
             _debugInfo = "";
+    Object.freeze(CampaignOutcome);
+    Object.freeze(CampaignState);
     // -------------------------------------------------------------------------
     // Private functions
     /**
@@ -187,6 +235,40 @@ define([
     function _compareSpacecrafts(a, b) {
         return a.getIndexInSquad() - b.getIndexInSquad();
     }
+    /**
+     * Returns the supplements to add to the battle scene along with the spacecrafts of the mission
+     * @param {Boolean} preview Whether the mission is added to a preview (e.g. in the editor) instead of a battle
+     * @returns {Spacecraft~Supplements}
+     */
+    function _getBattleSceneSupplements(preview) {
+        return {
+            hitboxes: application.isDebugVersion(),
+            weapons: true,
+            missilesInLaunchers: graphics.areMissilesInLaunchersVisible(),
+            thrusterParticles: !preview,
+            projectileResources: !preview,
+            missileResources: !preview,
+            explosion: !preview,
+            damageIndicators: !preview,
+            cameraConfigurations: !preview,
+            lightSources: !preview,
+            blinkers: !preview,
+            jumpEngine: !preview,
+            shield: !preview,
+            booster: !preview,
+            countermeasures: !preview,
+            sound: !preview
+        };
+    }
+    /**
+     * Returns the parameters for adding the spacecrafts of the mission to the target view scene
+     * @returns {Spacecraft~AddToSceneParams}
+     */
+    function _getTargetSceneParams() {
+        return {
+            shaderName: config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_VIEW_TARGET_ITEM_SHADER)
+        };
+    }
     /**
      * Takes in a list of spacecraft descriptors as defined in a mission descriptor JSON file, and
      * extracts the ones that define multiple spacecrafts (through the count property) into individual
@@ -273,6 +355,24 @@ define([
         }
         return result;
     }
+    /**
+     * Returns whether the passed campaign prerequisite is met based on the mission records of the player
+     * @param {CampaignPrerequisite} prerequisite
+     * @returns {Boolean}
+     */
+    function _isCampaignPrerequisiteMet(prerequisite) {
+        var missionDescriptor = _context.getMissionDescriptor(prerequisite.mission, true);
+        return !!missionDescriptor && missionDescriptor.hasOutcome(prerequisite.outcome);
+    }
+    /**
+     * Returns whether the two passed campaign prerequisites refer to the same mission
+     * @param {CampaignPrerequisite} a
+     * @param {CampaignPrerequisite} b
+     * @returns {Boolean}
+     */
+    function _isSamePrerequisiteMission(a, b) {
+        return a.mission === b.mission;
+    }
     // -------------------------------------------------------------------------
     // Public functions
     /**
@@ -421,6 +521,25 @@ define([
         }
         this._initialCount--;
     };
+    /**
+     * Removes the references to the already destroyed spacecrafts from the passed squad of this team (so that newly spawned spacecrafts
+     * can take their places in the squad)
+     * @param {String} squad
+     */
+    Team.prototype.removeDestroyedSquadMembers = function (squad) {
+        var i;
+        for (i = 0; i < this._squads.length; i++) {
+            if (squad === this._squads[i].name) {
+                this._squads[i].crafts = this._squads[i].crafts.filter(function (craft) {
+                    return craft.isAlive();
+                });
+                if (this._squads[i].crafts.length === 0) {
+                    this._squads.splice(i, 1);
+                }
+                break;
+            }
+        }
+    };
     /**
      * Returns the names and craft references for all squads that are part of this team (i.e. for the wingmen status indicator)
      * (includes references to already destroyed spacecrafts)
@@ -747,6 +866,11 @@ define([
          * @type MissionEvent[]
          */
         this._events = null;
+        /**
+         * The current values of the mission variables (declared in the mission data and modified by mission actions), by name
+         * @type Object.<String, Number|Boolean>
+         */
+        this._variables = null;
         /**
          * An array of all the actions that are scheduled to be executed and the corresponding time left before the execution (in milliseconds)
          * @type {action: Action, delay: Number}[]
@@ -779,6 +903,28 @@ define([
          * @type PhysicalObject[]
          */
         this._hitObjects = null;
+        /**
+         * The scene the spacecrafts of this mission have been added to for the battle (spacecrafts spawned later during the mission are
+         * added to it as well)
+         * @type Scene
+         */
+        this._battleScene = null;
+        /**
+         * The scene of the target view the spacecrafts of this mission have been added to for the battle
+         * @type Scene
+         */
+        this._targetScene = null;
+        /**
+         * Whether the mission has been prepared to be simulated without being added to a scene (in which case spacecrafts spawned
+         * later during the mission need to be prepared the same way)
+         * @type Boolean
+         */
+        this._preparedForSimulation = false;
+        /**
+         * The number of times new spacecrafts have been spawned during this mission (so that cached lists of spacecrafts can be updated)
+         * @type Number
+         */
+        this._spawnCount = 0;
         /**
          * Tracks the state of mission objective completion.
          * @type Number
@@ -903,6 +1049,13 @@ define([
     Mission.prototype.getSpacecrafts = function () {
         return this._spacecrafts;
     };
+    /**
+     * Executes the passed function on all the missiles that are currently in flight in this mission, passing the missile as the argument
+     * @param {Function} callback
+     */
+    Mission.prototype.executeForMissiles = function (callback) {
+        _missilePool.executeForLockedObjects(callback);
+    };
     /**
      * Returns the list of spacecrafts (that are alive) that are members of the passed squad
      * @param {String} squad The string ID of the squad
@@ -1148,6 +1301,60 @@ define([
         application.showError("No mission event exists with name '" + name + "'!");
         return null;
     };
+    /**
+     * Returns the current value of the mission variable with the passed name
+     * @param {String} name
+     * @returns {Number|Boolean}
+     */
+    Mission.prototype.getVariable = function (name) {
+        // references to undeclared variables are reported when the mission is loaded
+        return this._variables.hasOwnProperty(name) ? this._variables[name] : null;
+    };
+    /**
+     * Returns the current values of all the mission variables, by name (do not modify the returned object)
+     * @returns {Object.<String, Number|Boolean>}
+     */
+    Mission.prototype.getVariables = function () {
+        return this._variables;
+    };
+    /**
+     * Sets a new value for the mission variable with the passed name (the type of the value has to match the declared type of the variable,
+     * otherwise the value is not changed - invalid references are reported when the mission is loaded)
+     * @param {String} name
+     * @param {Number|Boolean} value
+     */
+    Mission.prototype.setVariable = function (name, value) {
+        if (this._variables.hasOwnProperty(name) && (typeof value === typeof this._variables[name])) {
+            this._variables[name] = value;
+        }
+    };
+    /**
+     * Initializes the mission variables based on the passed declarations (as defined in the mission JSON), showing an error for each
+     * invalid declaration (these are skipped)
+     * @param {Object[]} [variablesJSON]
+     */
+    Mission.prototype._loadVariables = function (variablesJSON) {
+        var i, variable;
+        this._variables = {};
+        if (variablesJSON) {
+            for (i = 0; i < variablesJSON.length; i++) {
+                variable = variablesJSON[i];
+                if ((typeof variable.name !== "string") || (variable.name.length === 0)) {
+                    application.showError("Mission variable #" + (i + 1) + " has no name!");
+                } else if (this._variables.hasOwnProperty(variable.name)) {
+                    application.showError("Mission variable '" + variable.name + "' is declared more than once!");
+                } else if ((variable.flag !== undefined) && (variable.value !== undefined)) {
+                    application.showError("Mission variable '" + variable.name + "' has both a flag and a number value!");
+                } else if ((variable.flag !== undefined) && (typeof variable.flag !== "boolean")) {
+                    application.showError("The flag of mission variable '" + variable.name + "' has to be a boolean!");
+                } else if ((variable.value !== undefined) && (typeof variable.value !== "number")) {
+                    application.showError("The value of mission variable '" + variable.name + "' has to be a number!");
+                } else {
+                    this._variables[variable.name] = (variable.flag !== undefined) ? variable.flag : (variable.value || 0);
+                }
+            }
+        }
+    };
     /**
      * Returns a list of translated HTML strings that can be used to dislay the objectives of this mission to the player.
      * @returns {String[]}
@@ -1252,10 +1459,13 @@ define([
                 }
             }
         }
+        this._loadVariables(dataJSON.variables);
         this._events = [];
         if (dataJSON.events) {
             for (i = 0; i < dataJSON.events.length; i++) {
                 this._events.push(new missionEvents.MissionEvent(dataJSON.events[i], this));
+                // checking the variable references here, so that the triggers and actions do not need to report them at every step
+                this._events[i].checkVariables(this._variables);
             }
         }
         this._actionQueue = [];
@@ -1321,14 +1531,21 @@ define([
     Mission.prototype.hasShadows = function () {
         return this._environment.hasShadows();
     };
+    /**
+     * @typedef {Object} Mission~PilotedSpacecraft
+     * @property {String} class The name of the spacecraft class to use for the piloted spacecraft
+     * @property {String} loadout The name of the loadout (of the above class) to equip the piloted spacecraft with
+     */
     /**
      * Loads all the data describing this mission from the passed JSON object.
      * @param {Object} dataJSON
      * @param {String} difficulty The string ID of the difficulty level to use
      * @param {Boolean} demoMode If true, the data from the JSON object will be loaded in demo mode, so that the piloted craft is not set
      * and a suitable AI is added to all spacecrafts if possible.
+     * @param {Mission~PilotedSpacecraft} [pilotedSpacecraft] If given, the piloted spacecraft will be created with this class and loadout
+     * instead of the ones defined in the mission data (e.g. to fly with the spacecraft owned by the player in career mode)
      */
-    Mission.prototype.loadFromJSON = function (dataJSON, difficulty, demoMode) {
+    Mission.prototype.loadFromJSON = function (dataJSON, difficulty, demoMode, pilotedSpacecraft) {
         var i, j, craft, teamID, team, aiType, actions, count, factor, spacecrafts, vibrateCallback;
         application.log_DEBUG("Loading mission from JSON file...", 2);
         this._difficultyLevel = _context.getDifficultyLevel(difficulty);
@@ -1360,16 +1577,25 @@ define([
         spacecrafts = getIndividualSpacecraftDescriptors(dataJSON.spacecrafts);
         // loading spacecrafts from expanded array
         for (i = 0; i < spacecrafts.length; i++) {
+            if (!demoMode && pilotedSpacecraft && spacecrafts[i].piloted) {
+                spacecrafts[i] = utils.deepCopy(spacecrafts[i]);
+                spacecrafts[i].class = pilotedSpacecraft.class;
+                spacecrafts[i].loadout = pilotedSpacecraft.loadout;
+                delete spacecrafts[i].equipment;
+            }
             craft = new spacecraft.Spacecraft();
             craft.loadFromJSON(spacecrafts[i], this._hitObjects, this._environment);
             if (!demoMode && spacecrafts[i].piloted) {
                 this._pilotedCraft = craft;
                 craft.multiplyMaxHitpoints(this._difficultyLevel.getPlayerHitpointsFactor());
-                vibrateCallback = function (pilotedCraft, hitData) {
-                    control.getInputInterpreter(control.GAMEPAD_NAME).vibrate((pilotedCraft.getHullIntegrity() <= 0) ? "destroyed" : (hitData.hullDamage > 0) ? "hull-hit" : "shield-hit");
-                }.bind(this, craft);
-                craft.addEventHandler(SpacecraftEvents.BEING_HIT, vibrateCallback);
-                craft.addEventHandler(SpacecraftEvents.COLLIDED, vibrateCallback);
+                // there are no input devices to give feedback on when running headless
+                if (!application.isHeadless()) {
+                    vibrateCallback = function (pilotedCraft, hitData) {
+                        control.getInputInterpreter(control.GAMEPAD_NAME).vibrate((pilotedCraft.getHullIntegrity() <= 0) ? "destroyed" : (hitData.hullDamage > 0) ? "hull-hit" : "shield-hit");
+                    }.bind(this, craft);
+                    craft.addEventHandler(SpacecraftEvents.BEING_HIT, vibrateCallback);
+                    craft.addEventHandler(SpacecraftEvents.COLLIDED, vibrateCallback);
+                }
             }
             if (spacecrafts[i].multi) {
                 craft.setAsMultiControlled(spacecrafts[i].piloted, i);
@@ -1435,7 +1661,7 @@ define([
                 }
             }
             if (aiType) {
-                ai.addAI(aiType, craft, this);
+                ai.addAI(aiType, craft, this, spacecrafts[i].aiProfile ? classes.getAIProfile(spacecrafts[i].aiProfile) : undefined);
             }
         }
         if (count > 1) {
@@ -1660,6 +1886,132 @@ define([
      * @property {Number} awayAlphaFactor
      * @property {Function} [callback]
      */
+    /**
+     * Makes the passed spacecraft hittable by the other objects of the mission - right away if it is present, or when it jumps in, if
+     * it starts away
+     * @param {Spacecraft} spacecraft
+     */
+    Mission.prototype._addSpacecraftToHitObjects = function (spacecraft) {
+        if (!spacecraft.isAway()) {
+            this._hitObjects.push(spacecraft);
+        } else {
+            spacecraft.addEventHandler(SpacecraftEvents.JUMPED_IN, this._handleSpacecraftJumpIn.bind(this, spacecraft));
+        }
+    };
+    /**
+     * Prepares the mission to be simulated without adding it to any scene (when running headless): requests the loading of the models
+     * of the spacecrafts (which determine their physical size) and sets up the spacecrafts to be able to hit each other.
+     * The resources need to be loaded (requestResourceLoad()) before starting the simulation.
+     */
+    Mission.prototype.prepareForSimulation = function () {
+        var i;
+        this._preparedForSimulation = true;
+        for (i = 0; i < this._spacecrafts.length; i++) {
+            this._spacecrafts[i].acquireResources(false, {omitShader: true, omitTexture: true});
+            this._addSpacecraftToHitObjects(this._spacecrafts[i]);
+        }
+        this._acquireSpawnableSpacecraftResources(function (craft) {
+            craft.acquireResources(false, {omitShader: true, omitTexture: true});
+        });
+    };
+    /**
+     * Returns the number of times new spacecrafts have been spawned during this mission
+     * @returns {Number}
+     */
+    Mission.prototype.getSpawnCount = function () {
+        return this._spawnCount;
+    };
+    /**
+     * Adds new spacecrafts to the mission while it is running, setting them up the same way as the ones present from the start (team,
+     * AI, difficulty hitpoint factor) and adding them to the scenes of the battle (or preparing them for simulation when running headless)
+     * @param {Object[]} spacecraftsJSON The descriptors of the spacecrafts to add, in the same format as in the mission data
+     */
+    Mission.prototype.spawnSpacecrafts = function (spacecraftsJSON) {
+        var i, craft, team, spacecrafts = getIndividualSpacecraftDescriptors(spacecraftsJSON);
+        for (i = 0; i < spacecrafts.length; i++) {
+            craft = new spacecraft.Spacecraft();
+            craft.loadFromJSON(spacecrafts[i], this._hitObjects, this._environment);
+            if (spacecrafts[i].team) {
+                team = this.getTeam(spacecrafts[i].team);
+                if (team) {
+                    team.removeDestroyedSquadMembers(craft.getSquad());
+                    team.addSpacecraft(craft);
+                } else {
+                    application.showError("Invalid team ID '" + spacecrafts[i].team + "' specified for " + craft.getClassName() + "!");
+                }
+            }
+            if (this._pilotedCraft && this._pilotedCraft.isFriendly(craft)) {
+                craft.multiplyMaxHitpoints(this._difficultyLevel.getFriendlyHitpointsFactor());
+            }
+            this._spacecrafts.push(craft);
+            if (spacecrafts[i].ai) {
+                ai.addAI(spacecrafts[i].ai, craft, this, spacecrafts[i].aiProfile ? classes.getAIProfile(spacecrafts[i].aiProfile) : undefined);
+            }
+            if (this._battleScene) {
+                this._addSpacecraftToScene(craft, this._battleScene, this._targetScene);
+            } else if (this._preparedForSimulation) {
+                craft.acquireResources(false, {omitShader: true, omitTexture: true});
+            }
+            this._addSpacecraftToHitObjects(craft);
+        }
+        this._spawnCount++;
+        // the resources of the spawnable spacecrafts are loaded in advance, and requesting a load with everything loaded would execute
+        // the whole ready queue again
+        if (!resources.allResourcesAreLoaded()) {
+            resources.requestResourceLoad();
+        }
+        this.handleTeamsChanged();
+    };
+    /**
+     * Adds the renderable objects representing the passed spacecraft to the passed scenes
+     * @param {Spacecraft} craft
+     * @param {Scene} battleScene
+     * @param {Scene} [targetScene]
+     * @param {Boolean} [preview=false]
+     * @param {PreviewParams} [previewParams]
+     * @param {Function} [callback]
+     */
+    Mission.prototype._addSpacecraftToScene = function (craft, battleScene, targetScene, preview, previewParams, callback) {
+        craft.addToScene(battleScene, undefined, preview, _getBattleSceneSupplements(preview), {
+            replaceVisualModel: preview,
+            randomAnimationTime: true,
+            smallestSizeWhenDrawn: preview ? previewParams.smallestSizeWhenDrawn : undefined,
+            shaderName: preview ? previewParams.spacecraftShaderName : null
+        }, callback);
+        if (targetScene) {
+            craft.addToScene(targetScene, graphics.getMaxLoadedLOD(), true, TARGET_SCENE_SUPPLEMENTS, _getTargetSceneParams());
+        }
+    };
+    /**
+     * Requests the loading of the resources of all the spacecrafts that can be spawned during the mission, so that they are loaded
+     * together with the resources of the rest of the mission (and are available by the time the spacecrafts are spawned)
+     * @param {Function} acquireResources Called for each spawnable spacecraft (passing a temporary Spacecraft instance created from
+     * its descriptor) to request the loading of its resources
+     */
+    Mission.prototype._acquireSpawnableSpacecraftResources = function (acquireResources) {
+        var i, j, actions, descriptors = [], crafts;
+        for (i = 0; i < this._events.length; i++) {
+            actions = this._events[i].getActions();
+            for (j = 0; j < actions.length; j++) {
+                if (actions[j].getType() === missionActions.ActionType.SPAWN) {
+                    descriptors = descriptors.concat(actions[j].getSpacecraftDescriptors());
+                }
+            }
+        }
+        if (descriptors.length > 0) {
+            crafts = descriptors.map(function (descriptor) {
+                var craft = new spacecraft.Spacecraft();
+                craft.loadFromJSON(descriptor);
+                acquireResources(craft);
+                return craft;
+            });
+            resources.executeWhenReady(function () {
+                crafts.forEach(function (craft) {
+                    craft.destroy();
+                });
+            });
+        }
+    };
     /**
      * Adds renderable objects representing all visual elements of the mission to
      * the passed scene.
@@ -1783,41 +2135,18 @@ define([
                     }
                 }
             }
-            this._spacecrafts[i].addToScene(battleScene, undefined, preview, {
-                hitboxes: application.isDebugVersion(),
-                weapons: true,
-                missilesInLaunchers: graphics.areMissilesInLaunchersVisible(),
-                thrusterParticles: !preview,
-                projectileResources: !preview,
-                missileResources: !preview,
-                explosion: !preview,
-                damageIndicators: !preview,
-                cameraConfigurations: !preview,
-                lightSources: !preview,
-                blinkers: !preview,
-                jumpEngine: !preview,
-                shield: !preview,
-                sound: !preview
-            }, {
-                replaceVisualModel: preview,
-                randomAnimationTime: true,
-                smallestSizeWhenDrawn: preview ? previewParams.smallestSizeWhenDrawn : undefined,
-                shaderName: preview ? previewParams.spacecraftShaderName : null
-            }, preview ? callback.bind(this, this._spacecrafts[i], friendly ? friendlyColor : hostileColor) : null);
-            if (targetScene) {
-                this._spacecrafts[i].addToScene(targetScene, graphics.getMaxLoadedLOD(), true, {
-                    weapons: true
-                }, {
-                    shaderName: config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_VIEW_TARGET_ITEM_SHADER)
-                });
-            }
-            if (!this._spacecrafts[i].isAway()) {
-                this._hitObjects.push(this._spacecrafts[i]);
-            } else {
-                this._spacecrafts[i].addEventHandler(SpacecraftEvents.JUMPED_IN, this._handleSpacecraftJumpIn.bind(this, this._spacecrafts[i]));
-            }
+            this._addSpacecraftToScene(this._spacecrafts[i], battleScene, targetScene, preview, previewParams, preview ? callback.bind(this, this._spacecrafts[i], friendly ? friendlyColor : hostileColor) : null);
+            this._addSpacecraftToHitObjects(this._spacecrafts[i]);
         }
         if (!preview) {
+            this._battleScene = battleScene;
+            this._targetScene = targetScene || null;
+            this._acquireSpawnableSpacecraftResources(function (craft) {
+                craft.acquireSceneResources(_getBattleSceneSupplements(false), {});
+                if (targetScene) {
+                    craft.acquireSceneResources(TARGET_SCENE_SUPPLEMENTS, _getTargetSceneParams());
+                }
+            });
             resources.executeWhenReady(function () {
                 if (this._views.length > 0) {
                     for (i = 0; i < this._views.length; i++) {
@@ -2009,8 +2338,10 @@ define([
                             collisionPosition = vec.prodVec4Mat4Aux(collision.position, collA.getPhysicalModel().getModelMatrix());
                             collA.damage(collisionDamage, collision.position, vec.scaled3(collision.direction, -1), collB, false, 0, true);
                             collB.damage(collisionDamage, vec.prodVec4Mat4Aux(collisionPosition, collB.getPhysicalModel().getModelMatrixInverse()), vec.normal3(vec.prodMat4Vec3Aux(collB.getPhysicalOrientationMatrix(), vec.prodVec3Mat4Aux(collision.direction, collA.getPhysicalOrientationMatrix()))), collA, false, 0, true);
-                            vec.mulVec3ModelMat4(collisionPosition, mainScene.getCamera().getViewMatrix());
-                            ((collA.getClass().getMass() <= collB.getClass().getMass()) ? collA : collB).playCollisionSound(collisionPosition);
+                            if (mainScene) {
+                                vec.mulVec3ModelMat4(collisionPosition, mainScene.getCamera().getViewMatrix());
+                                ((collA.getClass().getMass() <= collB.getClass().getMass()) ? collA : collB).playCollisionSound(collisionPosition);
+                            }
                         }
                     }
                 }
@@ -2087,6 +2418,8 @@ define([
         }
         this._pilotedCraft = null;
         this._hitObjects = null;
+        this._battleScene = null;
+        this._targetScene = null;
         _particlePool.clear();
         _projectilePool.clear();
         _missilePool.clear();
@@ -2270,13 +2603,14 @@ define([
      * was given when constructing this object, or it was requested and has been loaded
      * @param {String} difficulty The string ID of the difficulty level to use
      * @param {Boolean} demoMode Whether to load the created mission in demo mode
+     * @param {Mission~PilotedSpacecraft} [pilotedSpacecraft] If given, overrides the class and loadout of the piloted spacecraft
      * @returns {Mission}
      */
-    MissionDescriptor.prototype.createMission = function (difficulty, demoMode) {
+    MissionDescriptor.prototype.createMission = function (difficulty, demoMode, pilotedSpacecraft) {
         var result = null;
         if (this.isReadyToUse()) {
             result = new Mission(this.getName());
-            result.loadFromJSON(this._dataJSON, difficulty, demoMode);
+            result.loadFromJSON(this._dataJSON, difficulty, demoMode, pilotedSpacecraft);
         } else {
             application.showError("Cannot create mission from descriptor that has not yet been initialized!");
         }
@@ -2342,6 +2676,22 @@ define([
         difficulty = difficulty || _context.getDifficulty();
         return this._localData[difficulty].winCount;
     };
+    /**
+     * Returns whether this mission has been played by the player with the passed outcome on any difficulty level
+     * @param {String} outcome (enum CampaignOutcome)
+     * @returns {Boolean}
+     */
+    MissionDescriptor.prototype.hasOutcome = function (outcome) {
+        var i, data, difficulties = _context.getDifficultyNames();
+        for (i = 0; i < difficulties.length; i++) {
+            data = this._localData[difficulties[i]];
+            if (((outcome !== CampaignOutcome.DEFEAT) && (data.winCount > 0)) ||
+                    ((outcome !== CampaignOutcome.VICTORY) && (data.loseCount > 0))) {
+                return true;
+            }
+        }
+        return false;
+    };
     // #########################################################################
     /**
      * @class Represents a game difficulty level the player can set which is then used to adjust the values of some
@@ -2374,6 +2724,13 @@ define([
          * @type Number
          */
         this._enemyReactionTimeFactor = dataJSON.enemyReactionTimeFactor;
+        /**
+         * The probability (0 to 1) with which hostile AI notices threats (incoming missiles, spacecrafts tailing it) and reacts with
+         * defensive maneuvers
+         * (when playing on the corresponding difficulty level)
+         * @type Number
+         */
+        this._enemyThreatAwareness = (dataJSON.enemyThreatAwareness !== undefined) ? dataJSON.enemyThreatAwareness : 1;
         /**
          * Whether the player ship can damage itself (e.g. by flying into its own launched missile)
          * (when playing on the corresponding difficulty level)
@@ -2421,6 +2778,13 @@ define([
     DifficultyLevel.prototype.getEnemyReactionTimeFactor = function () {
         return this._enemyReactionTimeFactor;
     };
+    /**
+     * Returns the probability (0 to 1) with which enemy AIs notice threats and react to them with defensive maneuvers.
+     * @returns {Number}
+     */
+    DifficultyLevel.prototype.getEnemyThreatAwareness = function () {
+        return this._enemyThreatAwareness;
+    };
     /**
      * Whether the player ship can damage itself (e.g. by flying into its own launched missile)
      * @returns {Boolean}
@@ -2497,6 +2861,343 @@ define([
                 this._referenceTeamSurvival).score : 0;
     };
     // #########################################################################
+    /**
+     * @typedef {Object} CampaignPrerequisite
+     * @property {String} mission The name of the mission (same as the file name)
+     * @property {String} outcome (enum CampaignOutcome) The outcome with which the mission needs to have been played
+     */
+    /**
+     * @class The common base of campaign chapters and missions: elements of the campaign which become available once their prerequisites
+     * are met (certain missions have been played with certain outcomes)
+     * @param {Object} [dataJSON] The prerequisites can be given as a list of conditions that all need to be met (requires) and / or 
+     * a list of conditions at least one of which needs to be met (requiresAny). Conditions can be given as a mission name (meaning the
+     * mission needs to be won) or an object with a mission and an outcome property.
+     */
+    function CampaignElement(dataJSON) {
+        /**
+         * The string ID of this campaign element
+         * @type String
+         */
+        this._name = dataJSON ? dataJSON.name : null;
+        /**
+         * All of these need to be met for this element to become unlocked
+         * @type CampaignPrerequisite[]
+         */
+        this._requires = (dataJSON && dataJSON.requires) ? dataJSON.requires.map(this._createPrerequisite) : [];
+        /**
+         * At least one of these needs to be met for this element to become unlocked (if any are given)
+         * @type CampaignPrerequisite[]
+         */
+        this._requiresAny = (dataJSON && dataJSON.requiresAny) ? dataJSON.requiresAny.map(this._createPrerequisite) : [];
+    }
+    /**
+     * Creates a prerequisite object based on its definition in the campaign data
+     * @param {String|Object} dataJSON
+     * @returns {CampaignPrerequisite}
+     */
+    CampaignElement.prototype._createPrerequisite = function (dataJSON) {
+        return (typeof dataJSON === "string") ? {
+            mission: dataJSON,
+            outcome: CampaignOutcome.VICTORY
+        } : {
+            mission: dataJSON.mission,
+            outcome: utils.getSafeEnumValue(CampaignOutcome, dataJSON.outcome, CampaignOutcome.VICTORY)
+        };
+    };
+    /**
+     * Returns the string ID of this campaign element
+     * @returns {String}
+     */
+    CampaignElement.prototype.getName = function () {
+        return this._name;
+    };
+    /**
+     * Returns all the prerequisites of this element (both the ones that all need to be met and the ones any of which needs to be met)
+     * @returns {CampaignPrerequisite[]}
+     */
+    CampaignElement.prototype.getPrerequisites = function () {
+        return this._requires.concat(this._requiresAny);
+    };
+    /**
+     * Returns whether the prerequisites of this element are met based on the mission records of the player
+     * @returns {Boolean}
+     */
+    CampaignElement.prototype.arePrerequisitesMet = function () {
+        return this._requires.every(_isCampaignPrerequisiteMet) &&
+                ((this._requiresAny.length === 0) || this._requiresAny.some(_isCampaignPrerequisiteMet));
+    };
+    // #########################################################################
+    /**
+     * @class A mission within a campaign chapter
+     * @extends CampaignElement
+     * @param {String|Object} dataJSON Either just the name of the mission (same as the file name) or an object with a name and
+     * prerequisites
+     */
+    function CampaignMission(dataJSON) {
+        CampaignElement.call(this, (typeof dataJSON === "string") ? {name: dataJSON} : dataJSON);
+        /**
+         * Whether this mission is on a branch of the campaign (only reachable with certain outcomes or is an alternative to other missions)
+         * @type Boolean
+         */
+        this._branch = false;
+    }
+    CampaignMission.prototype = new CampaignElement();
+    CampaignMission.prototype.constructor = CampaignMission;
+    /**
+     * Returns whether this mission is on a branch of the campaign (only reachable with certain outcomes or is an alternative to other 
+     * missions)
+     * @returns {Boolean}
+     */
+    CampaignMission.prototype.isBranch = function () {
+        return this._branch;
+    };
+    /**
+     * Marks this mission as being on a branch of the campaign
+     */
+    CampaignMission.prototype.setBranch = function () {
+        this._branch = true;
+    };
+    /**
+     * Returns whether the player has won this mission
+     * @returns {Boolean}
+     */
+    CampaignMission.prototype.isCompleted = function () {
+        return _isCampaignPrerequisiteMet({mission: this._name, outcome: CampaignOutcome.VICTORY});
+    };
+    // #########################################################################
+    /**
+     * @class A chapter of the campaign, containing a sequence of missions (possibly with branches)
+     * @extends CampaignElement
+     * @param {Object} dataJSON
+     */
+    function CampaignChapter(dataJSON) {
+        var i, j, k, prerequisites, otherPrerequisites;
+        CampaignElement.call(this, dataJSON);
+        /**
+         * If set, this chapter belongs to the branch of the campaign where the player fights for this faction, and winning any of its
+         * missions makes the chapters belonging to other factions unavailable
+         * @type String
+         */
+        this._faction = dataJSON.faction || null;
+        /**
+         * @type CampaignMission[]
+         */
+        this._missions = dataJSON.missions ? dataJSON.missions.map(function (missionJSON) {
+            return new CampaignMission(missionJSON);
+        }) : [];
+        // marking the missions which are only reachable with non-victory outcomes or are alternatives (share a prerequisite) as branches
+        for (i = 0; i < this._missions.length; i++) {
+            prerequisites = this._missions[i].getPrerequisites();
+            for (j = 0; j < prerequisites.length; j++) {
+                if (prerequisites[j].outcome !== CampaignOutcome.VICTORY) {
+                    this._missions[i].setBranch();
+                }
+                for (k = 0; k < this._missions.length; k++) {
+                    if (k !== i) {
+                        otherPrerequisites = this._missions[k].getPrerequisites();
+                        if (otherPrerequisites.some(_isSamePrerequisiteMission.bind(this, prerequisites[j]))) {
+                            this._missions[i].setBranch();
+                        }
+                    }
+                }
+            }
+        }
+    }
+    CampaignChapter.prototype = new CampaignElement();
+    CampaignChapter.prototype.constructor = CampaignChapter;
+    /**
+     * Returns the faction for which the player fights in this chapter (null if the chapter is not part of a faction branch)
+     * @returns {String}
+     */
+    CampaignChapter.prototype.getFaction = function () {
+        return this._faction;
+    };
+    /**
+     * Returns the missions of this chapter in the order they should be listed
+     * @returns {CampaignMission[]}
+     */
+    CampaignChapter.prototype.getMissions = function () {
+        return this._missions;
+    };
+    /**
+     * Returns the mission with the passed name within this chapter (null if it is not part of this chapter)
+     * @param {String} name
+     * @returns {CampaignMission}
+     */
+    CampaignChapter.prototype.getMission = function (name) {
+        var i;
+        for (i = 0; i < this._missions.length; i++) {
+            if (this._missions[i].getName() === name) {
+                return this._missions[i];
+            }
+        }
+        return null;
+    };
+    /**
+     * Returns whether the player has won any of the missions of this chapter
+     * @returns {Boolean}
+     */
+    CampaignChapter.prototype.isStarted = function () {
+        return this._missions.some(function (mission) {
+            return mission.isCompleted();
+        });
+    };
+    /**
+     * Returns whether the player has won all the missions of this chapter which were available (not on the branches
+     * they did not take)
+     * @returns {Boolean}
+     */
+    CampaignChapter.prototype.isCompleted = function () {
+        return this._missions.every(function (mission) {
+            return mission.isCompleted() || (mission.isBranch() && !mission.arePrerequisitesMet());
+        });
+    };
+    // #########################################################################
+    /**
+     * @class The campaign defines in which order the (non-custom) missions can be played: they are organized into chapters, and chapters
+     * as well as missions can have prerequisites (other missions that need to be played with certain outcomes) which need to be met
+     * before they become unlocked. Chapters can belong to factions, creating branches from which the player can choose one.
+     * The progression state is not stored separately, it is derived from the mission records of the player.
+     * @param {Object} [dataJSON] The campaign definition from missions.json
+     */
+    function Campaign(dataJSON) {
+        /**
+         * @type CampaignChapter[]
+         */
+        this._chapters = (dataJSON && dataJSON.chapters) ? dataJSON.chapters.map(function (chapterJSON) {
+            return new CampaignChapter(chapterJSON);
+        }) : [];
+        /**
+         * The names of the missions which stay playable regardless of their prerequisites, as the player could already play them
+         * freely before the campaign was introduced
+         * @type String[]
+         */
+        this._legacyMissions = [];
+    }
+    /**
+     * Returns the chapters of the campaign in the order they should be listed
+     * @returns {CampaignChapter[]}
+     */
+    Campaign.prototype.getChapters = function () {
+        return this._chapters;
+    };
+    /**
+     * Returns the chapter containing the mission with the passed name (null if the mission is not part of the campaign)
+     * @param {String} missionName
+     * @returns {CampaignChapter}
+     */
+    Campaign.prototype.getChapterOfMission = function (missionName) {
+        var i;
+        for (i = 0; i < this._chapters.length; i++) {
+            if (this._chapters[i].getMission(missionName)) {
+                return this._chapters[i];
+            }
+        }
+        return null;
+    };
+    /**
+     * Returns the names of all the missions that are part of the campaign
+     * @returns {String[]}
+     */
+    Campaign.prototype.getMissionNames = function () {
+        var result = [];
+        this._chapters.forEach(function (chapter) {
+            chapter.getMissions().forEach(function (mission) {
+                result.push(mission.getName());
+            });
+        });
+        return result;
+    };
+    /**
+     * Sets the missions which stay playable regardless of their prerequisites (but still become unavailable if they belong to the branch
+     * of a faction the player has not chosen)
+     * @param {String[]} missionNames
+     */
+    Campaign.prototype.setLegacyMissions = function (missionNames) {
+        this._legacyMissions = missionNames;
+    };
+    /**
+     * Returns whether the mission with the passed name stays playable regardless of its prerequisites
+     * @param {String} missionName
+     * @returns {Boolean}
+     */
+    Campaign.prototype._isLegacyMission = function (missionName) {
+        return this._legacyMissions.indexOf(missionName) >= 0;
+    };
+    /**
+     * Returns the faction the player has chosen to fight for (by winning a mission in a chapter belonging to it), or null if
+     * they have not chosen yet
+     * @returns {String}
+     */
+    Campaign.prototype.getFaction = function () {
+        var i;
+        for (i = 0; i < this._chapters.length; i++) {
+            if (this._chapters[i].getFaction() && this._chapters[i].isStarted()) {
+                return this._chapters[i].getFaction();
+            }
+        }
+        return null;
+    };
+    /**
+     * Returns the current progression state of the passed chapter
+     * @param {CampaignChapter} chapter
+     * @returns {String} (enum CampaignState)
+     */
+    Campaign.prototype.getChapterState = function (chapter) {
+        var faction = this.getFaction();
+        if (chapter.getFaction() && faction && (chapter.getFaction() !== faction)) {
+            return CampaignState.UNAVAILABLE;
+        }
+        if (!chapter.arePrerequisitesMet() && !chapter.getMissions().some(function (mission) {
+            return this._isLegacyMission(mission.getName());
+        }, this)) {
+            return CampaignState.LOCKED;
+        }
+        return chapter.isCompleted() ? CampaignState.COMPLETED : CampaignState.UNLOCKED;
+    };
+    /**
+     * Returns the current progression state of the mission with the passed name. Missions that are not part of the campaign are
+     * considered unlocked.
+     * @param {String} missionName
+     * @returns {String} (enum CampaignState)
+     */
+    Campaign.prototype.getMissionState = function (missionName) {
+        var chapter = this.getChapterOfMission(missionName), chapterState, mission;
+        if (!chapter) {
+            return CampaignState.UNLOCKED;
+        }
+        chapterState = this.getChapterState(chapter);
+        if ((chapterState === CampaignState.UNAVAILABLE) || (chapterState === CampaignState.LOCKED)) {
+            return chapterState;
+        }
+        mission = chapter.getMission(missionName);
+        if (!this._isLegacyMission(missionName) && (!chapter.arePrerequisitesMet() || !mission.arePrerequisitesMet())) {
+            return CampaignState.LOCKED;
+        }
+        return mission.isCompleted() ? CampaignState.COMPLETED : CampaignState.UNLOCKED;
+    };
+    /**
+     * Reports an error for all the missions referenced in the campaign which do not exist
+     */
+    Campaign.prototype.validate = function () {
+        var reportMissing = function (missionName) {
+            if (!_context.getMissionDescriptor(missionName, true)) {
+                application.showError("The campaign references a mission named '" + missionName + "', which does not exist!", application.ErrorSeverity.MINOR);
+            }
+        };
+        this._chapters.forEach(function (chapter) {
+            chapter.getPrerequisites().forEach(function (prerequisite) {
+                reportMissing(prerequisite.mission);
+            });
+            chapter.getMissions().forEach(function (mission) {
+                reportMissing(mission.getName());
+                mission.getPrerequisites().forEach(function (prerequisite) {
+                    reportMissing(prerequisite.mission);
+                });
+            });
+        });
+    };
+    // #########################################################################
     /**
      * @class A class responsible for loading and storing game logic related 
      * settings and data as well and provide an interface to access them.
@@ -2530,6 +3231,11 @@ define([
          * @type ResourceManager
          */
         this._missionManager = new resourceManager.ResourceManager();
+        /**
+         * The campaign defining the progression through the (non-custom) missions, loaded from the mission configuration file
+         * @type Campaign
+         */
+        this._campaign = new Campaign();
     }
     MissionContext.prototype = new asyncResource.AsyncResource();
     MissionContext.prototype.constructor = MissionContext;
@@ -2605,6 +3311,33 @@ define([
             }
         }
     };
+    /**
+     * Before the campaign was introduced, all the official missions could be played freely. So that existing players do not find
+     * missions locked they could play before, the first time the campaign is loaded for a player who already has mission records,
+     * all the missions of the campaign are saved as legacy missions, which stay playable regardless of the campaign progression.
+     * New players start with an empty list.
+     */
+    MissionContext.prototype._loadLegacyCampaignMissions = function () {
+        var missionNames = [];
+        if (localStorage[LEGACY_CAMPAIGN_MISSIONS_LOCAL_STORAGE_ID] !== undefined) {
+            try {
+                missionNames = JSON.parse(localStorage[LEGACY_CAMPAIGN_MISSIONS_LOCAL_STORAGE_ID]);
+            } catch (e) {
+                application.showError("Cannot load the list of legacy campaign missions from local storage, as it is not valid JSON!", application.ErrorSeverity.MINOR);
+            }
+            if (!Array.isArray(missionNames)) {
+                missionNames = [];
+            }
+        } else {
+            if (this.getMissionDescriptors(false).some(function (missionDescriptor) {
+                return missionDescriptor.hasOutcome(CampaignOutcome.ANY);
+            })) {
+                missionNames = this._campaign.getMissionNames();
+            }
+            localStorage[LEGACY_CAMPAIGN_MISSIONS_LOCAL_STORAGE_ID] = JSON.stringify(missionNames);
+        }
+        this._campaign.setLegacyMissions(missionNames);
+    };
     // methods
     /**
      * Sends an asynchronous request to grab the file containing the mission
@@ -2622,12 +3355,18 @@ define([
                 config.getConfigurationSetting(config.CONFIGURATION.MISSION_FILES).filename,
                 config.getConfigurationSetting(config.CONFIGURATION.MISSION_FILES).folder,
                 missionAssignment,
-                (loadDescriptors ? function () {
-                    this._missionManager.requestAllResources();
-                    this._missionManager.executeWhenReady(setToReady);
-                    this._missionManager.requestResourceLoad();
-                }.bind(this) :
-                        setToReady));
+                function (configJSON) {
+                    this._campaign = new Campaign(configJSON[CAMPAIGN_PROPERTY_NAME]);
+                    this._campaign.validate();
+                    this._loadLegacyCampaignMissions();
+                    if (loadDescriptors) {
+                        this._missionManager.requestAllResources();
+                        this._missionManager.executeWhenReady(setToReady);
+                        this._missionManager.requestResourceLoad();
+                    } else {
+                        setToReady();
+                    }
+                }.bind(this));
     };
     /**
      * Returns the string ID of the currently chosen (default) difficulty level.
@@ -2719,10 +3458,43 @@ define([
     /**
      * Returns the mission descriptor identified by the passed name (typically the filename e.g. someMission.json)
      * @param {String} name
+     * @param {Boolean} [doNotLoad=false] If true, the loading of the data of the descriptor is not requested, and null is returned
+     * without an error if there is no such mission
      * @returns {MissionDescriptor}
      */
-    MissionContext.prototype.getMissionDescriptor = function (name) {
-        return this._missionManager.getResource(MISSION_ARRAY_NAME, name);
+    MissionContext.prototype.getMissionDescriptor = function (name, doNotLoad) {
+        return this._missionManager.getResource(MISSION_ARRAY_NAME, name, doNotLoad ? {doNotLoad: true, allowNullResult: true} : undefined);
+    };
+    /**
+     * Returns the chapters of the campaign (empty if there is no campaign defined)
+     * @returns {CampaignChapter[]}
+     */
+    MissionContext.prototype.getCampaignChapters = function () {
+        return this._campaign.getChapters();
+    };
+    /**
+     * Returns the current progression state of the passed campaign chapter
+     * @param {CampaignChapter} chapter
+     * @returns {String} (enum CampaignState)
+     */
+    MissionContext.prototype.getCampaignChapterState = function (chapter) {
+        return this._campaign.getChapterState(chapter);
+    };
+    /**
+     * Returns the current progression state of the mission with the passed name within the campaign (missions not in the campaign
+     * are always unlocked)
+     * @param {String} name
+     * @returns {String} (enum CampaignState)
+     */
+    MissionContext.prototype.getCampaignMissionState = function (name) {
+        return this._campaign.getMissionState(name);
+    };
+    /**
+     * Returns the faction the player has chosen to fight for in the campaign (null if not chosen yet)
+     * @returns {String}
+     */
+    MissionContext.prototype.getCampaignFaction = function () {
+        return this._campaign.getFaction();
     };
     /**
      * Requests the data (descriptor) for the mission with the passed name to be loaded (if it is not loaded already) and calls the passed 
@@ -2749,13 +3521,14 @@ define([
      * @param {String} difficulty The string ID of the difficulty level to use
      * @param {Boolean} demoMode Whether to load the created mission in demo mode
      * @param {Function} callback
+     * @param {Mission~PilotedSpacecraft} [pilotedSpacecraft] If given, overrides the class and loadout of the piloted spacecraft
      */
-    MissionContext.prototype.requestMission = function (name, difficulty, demoMode, callback) {
+    MissionContext.prototype.requestMission = function (name, difficulty, demoMode, callback, pilotedSpacecraft) {
         var missionDescriptor = this._missionManager.getResource(MISSION_ARRAY_NAME, name);
         if (missionDescriptor) {
             this._missionManager.requestResourceLoad();
             this._missionManager.executeWhenReady(function () {
-                callback(missionDescriptor.createMission(difficulty, demoMode));
+                callback(missionDescriptor.createMission(difficulty, demoMode, pilotedSpacecraft));
             });
         } else {
             callback(null);
@@ -2772,10 +3545,11 @@ define([
      * @param {Object} data The JSON object data describing the mission
      * @param {String} difficulty The string ID of the difficulty level to use
      * @param {Boolean} demoMode Whether to load the created mission in demo mode
+     * @param {Mission~PilotedSpacecraft} [pilotedSpacecraft] If given, overrides the class and loadout of the piloted spacecraft
      * @returns {Mission} 
      */
-    MissionContext.prototype.createMission = function (data, difficulty, demoMode) {
-        return new MissionDescriptor(data).createMission(difficulty, demoMode);
+    MissionContext.prototype.createMission = function (data, difficulty, demoMode, pilotedSpacecraft) {
+        return new MissionDescriptor(data).createMission(difficulty, demoMode, pilotedSpacecraft);
     };
     // initialization
     // obtaining pool references
@@ -2795,6 +3569,8 @@ define([
     // -------------------------------------------------------------------------
     // The public interface of the module
     return {
+        CampaignOutcome: CampaignOutcome,
+        CampaignState: CampaignState,
         FAILED_MISSION_PERFORMACE: FAILED_MISSION_PERFORMACE,
         MissionDescriptor: MissionDescriptor,
         loadConfigurationFromJSON: _context.loadConfigurationFromJSON.bind(_context),
@@ -2810,6 +3586,10 @@ define([
         getMissionNames: _context.getMissionNames.bind(_context),
         getMissionDescriptor: _context.getMissionDescriptor.bind(_context),
         getMissionDescriptors: _context.getMissionDescriptors.bind(_context),
+        getCampaignChapters: _context.getCampaignChapters.bind(_context),
+        getCampaignChapterState: _context.getCampaignChapterState.bind(_context),
+        getCampaignMissionState: _context.getCampaignMissionState.bind(_context),
+        getCampaignFaction: _context.getCampaignFaction.bind(_context),
         requestMissionDescriptor: _context.requestMissionDescriptor.bind(_context),
         requestMission: _context.requestMission.bind(_context),
         createMissionDescriptor: _context.createMissionDescriptor.bind(_context),
@@ -46,6 +46,12 @@ define([
                 DAMAGE: "damage",
                 /** Executing this action changes the state of the HUD on the piloted spacecraft (e.g. hide / show / highlight an element) */
                 HUD: "hud",
+                /** Executing this action sets the value of a mission variable */
+                SET_VARIABLE: "setVariable",
+                /** Executing this action increases (or decreases) the value of a number mission variable */
+                INCREMENT: "increment",
+                /** Executing this action adds new spacecrafts to the mission */
+                SPAWN: "spawn",
                 /** Executing this action marks the mission as complete */
                 WIN: "win",
                 /** Executing this action marks the mission as failed */
@@ -111,6 +117,32 @@ define([
     Action.prototype._handleWrongParams = function () {
         application.showError("Wrong parameters specified for action of type: '" + this._type + "'!");
     };
+    /**
+     * Checks whether the mission variables this action refers to are declared with the right type, showing an error for each problem
+     * found (called once, when the mission is loaded, passing the declared mission variables with their initial values, by name)
+     * @returns {Boolean} Whether all the references are valid
+     */
+    Action.prototype.checkVariables = function () {
+        return true;
+    };
+    /**
+     * Checks whether the mission variable with the passed name is declared with the passed type, showing an error if not
+     * @param {Object.<String, Number|Boolean>} variables The declared mission variables with their initial values, by name
+     * @param {String} name
+     * @param {String} type The expected type of the variable ("number" or "boolean")
+     * @returns {Boolean}
+     */
+    Action.prototype._checkVariable = function (variables, name, type) {
+        if (!variables.hasOwnProperty(name)) {
+            application.showError("Action of type '" + this._type + "' refers to undeclared mission variable '" + name + "'!");
+            return false;
+        }
+        if (typeof variables[name] !== type) {
+            application.showError("Action of type '" + this._type + "' uses mission variable '" + name + "' as a " + type + ", but it is a " + (typeof variables[name]) + "!");
+            return false;
+        }
+        return true;
+    };
     /**
      * If the action has a delay set, it is added to the execution queue of the passed mission with the set delay, otherwise
      * it is executed right away
@@ -246,7 +278,8 @@ define([
      * @typedef MessageAction~Params
      * @property {String|Object} [text] The text of the message (formatted, can contain '\n'-s). Used when no
      * translation (or no translation ID) is available. Alternatively, an object can be given with multiple language
-     * versions of the text, with the language IDs as the keys.
+     * versions of the text, with the language IDs as the keys. References to mission variables in the form {variableName}
+     * are replaced by their current values (in the translated text as well).
      * @property {String} [textID] The translation ID to use for the text to be displayed. The full translation
      * ID will be mission.<missionName>.messages.<textID>
      * If a translation is found, it overrides the value of the text property.
@@ -303,11 +336,15 @@ define([
                 return;
             }
         }
+        // there is no HUD to display the message on when running headless
+        if (application.isHeadless()) {
+            return;
+        }
         game.getScreen().queueHUDMessage({
-            text: strings.get(
+            text: utils.formatString(strings.get(
                     strings.MISSION.PREFIX,
                     utils.getFilenameWithoutExtension(mission.getName()) + strings.MISSION.MESSAGES_SUFFIX.name + this._params.textID,
-                    (typeof this._params.text === "object") ? this._params.text[strings.getLanguage()] : this._params.text),
+                    (typeof this._params.text === "object") ? this._params.text[strings.getLanguage()] : this._params.text), mission.getVariables()),
             duration: this._params.duration,
             appearAnimation: this._params.typewriter !== false,
             permanent: this._params.permanent,
@@ -348,6 +385,9 @@ define([
      * @override
      */
     ClearMessagesAction.prototype.execute = function () {
+        if (application.isHeadless()) {
+            return;
+        }
         game.getScreen().clearHUDMessages();
     };
     // #########################################################################
@@ -622,10 +662,170 @@ define([
             spacecraft.handleEvent(SpacecraftEvents.HUD, this._params);
         }
     };
+    // #########################################################################
+    /**
+     * @class 
+     * @extends Action
+     * @param {Object} dataJSON
+     * @param {Trigger} trigger
+     */
+    function SetVariableAction(dataJSON, trigger) {
+        Action.call(this, dataJSON, trigger);
+    }
+    SetVariableAction.prototype = new Action();
+    SetVariableAction.prototype.constructor = SetVariableAction;
+    /**
+     * @typedef SetVariableAction~Params
+     * @property {String} variable The name of the mission variable to set
+     * @property {Number} [value] The value to set a number variable to
+     * @property {Boolean} [flag] The value to set a boolean variable to
+     */
+    /**
+     * @override
+     * @param {SetVariableAction~Params} params 
+     * @returns {Boolean}
+     */
+    SetVariableAction.prototype._checkParams = function (params) {
+        /**
+         * @type SetVariableAction~Params
+         */
+        this._params = params;
+        if (!this._params || (typeof this._params.variable !== "string") ||
+                ((this._params.value === undefined) === (this._params.flag === undefined)) ||
+                ((this._params.value !== undefined) && (typeof this._params.value !== "number")) ||
+                ((this._params.flag !== undefined) && (typeof this._params.flag !== "boolean"))) {
+            this._handleWrongParams();
+            return false;
+        }
+        return true;
+    };
+    /**
+     * @override
+     * @param {Object.<String, Number|Boolean>} variables
+     * @returns {Boolean}
+     */
+    SetVariableAction.prototype.checkVariables = function (variables) {
+        return this._checkVariable(variables, this._params.variable, (this._params.flag !== undefined) ? "boolean" : "number");
+    };
+    /**
+     * @override
+     * @param {Mission} mission 
+     */
+    SetVariableAction.prototype.execute = function (mission) {
+        mission.setVariable(this._params.variable, (this._params.flag !== undefined) ? this._params.flag : this._params.value);
+    };
+    // #########################################################################
+    /**
+     * @class 
+     * @extends Action
+     * @param {Object} dataJSON
+     * @param {Trigger} trigger
+     */
+    function IncrementAction(dataJSON, trigger) {
+        Action.call(this, dataJSON, trigger);
+    }
+    IncrementAction.prototype = new Action();
+    IncrementAction.prototype.constructor = IncrementAction;
+    /**
+     * @typedef IncrementAction~Params
+     * @property {String} variable The name of the (number) mission variable to increase
+     * @property {Number} [amount=1] The amount to increase the variable by (can be negative to decrease it)
+     */
+    /**
+     * @override
+     * @param {IncrementAction~Params} params 
+     * @returns {Boolean}
+     */
+    IncrementAction.prototype._checkParams = function (params) {
+        /**
+         * @type IncrementAction~Params
+         */
+        this._params = params;
+        if (!this._params || (typeof this._params.variable !== "string") ||
+                ((this._params.amount !== undefined) && (typeof this._params.amount !== "number"))) {
+            this._handleWrongParams();
+            return false;
+        }
+        return true;
+    };
+    /**
+     * @override
+     * @param {Object.<String, Number|Boolean>} variables
+     * @returns {Boolean}
+     */
+    IncrementAction.prototype.checkVariables = function (variables) {
+        return this._checkVariable(variables, this._params.variable, "number");
+    };
+    /**
+     * @override
+     * @param {Mission} mission 
+     */
+    IncrementAction.prototype.execute = function (mission) {
+        var value = mission.getVariable(this._params.variable);
+        // invalid references are reported when the mission is loaded
+        if (typeof value !== "number") {
+            return;
+        }
+        mission.setVariable(this._params.variable, value + ((this._params.amount !== undefined) ? this._params.amount : 1));
+    };
+    // #########################################################################
+    /**
+     * @class 
+     * @extends Action
+     * @param {Object} dataJSON
+     * @param {Trigger} trigger
+     */
+    function SpawnAction(dataJSON, trigger) {
+        Action.call(this, dataJSON, trigger);
+        /**
+         * How many times this action has been executed during the current mission
+         * @type Number
+         */
+        this._executionCount = 0;
+    }
+    SpawnAction.prototype = new Action();
+    SpawnAction.prototype.constructor = SpawnAction;
+    /**
+     * @typedef SpawnAction~Params
+     * @property {Object[]} spacecrafts The descriptors of the spacecrafts (or squads) that can be spawned, in the same format as in the
+     * spacecrafts array of the mission. Each execution of the action spawns the next one from the list, and after the end of the list is
+     * reached, the last one is spawned again every time.
+     */
+    /**
+     * @override
+     * @param {SpawnAction~Params} params 
+     * @returns {Boolean}
+     */
+    SpawnAction.prototype._checkParams = function (params) {
+        /**
+         * @type SpawnAction~Params
+         */
+        this._params = params;
+        if (!this._params || !Array.isArray(this._params.spacecrafts) || (this._params.spacecrafts.length === 0)) {
+            this._handleWrongParams();
+            return false;
+        }
+        return true;
+    };
+    /**
+     * Returns the descriptors of all the spacecrafts (or squads) this action can spawn
+     * @returns {Object[]}
+     */
+    SpawnAction.prototype.getSpacecraftDescriptors = function () {
+        return this._params.spacecrafts;
+    };
+    /**
+     * @override
+     * @param {Mission} mission 
+     */
+    SpawnAction.prototype.execute = function (mission) {
+        mission.spawnSpacecrafts([this._params.spacecrafts[Math.min(this._executionCount, this._params.spacecrafts.length - 1)]]);
+        this._executionCount++;
+    };
     /**
      * @param {Object} dataJSON
      * @param {Trigger} trigger 
-     * @returns {WinAction|LoseAction|MessageAction|ClearMessagesAction|CommandAction|HUDAction|Action}
+     * @returns {WinAction|LoseAction|MessageAction|ClearMessagesAction|CommandAction|HUDAction|SetVariableAction|IncrementAction|SpawnAction|Action}
      */
     function createAction(dataJSON, trigger) {
         return new (_actionConstructors[dataJSON.type] || Action)(dataJSON, trigger);
@@ -642,6 +842,9 @@ define([
     _actionConstructors[ActionType.REPAIR] = RepairAction;
     _actionConstructors[ActionType.DAMAGE] = DamageAction;
     _actionConstructors[ActionType.HUD] = HUDAction;
+    _actionConstructors[ActionType.SET_VARIABLE] = SetVariableAction;
+    _actionConstructors[ActionType.INCREMENT] = IncrementAction;
+    _actionConstructors[ActionType.SPAWN] = SpawnAction;
     // -------------------------------------------------------------------------
     // The public interface of the module
     return {
@@ -11,6 +11,8 @@
  * @param application Used for file loading and logging functionality
  * @param strings Used for translation support
  * @param SpacecraftEvents Used for handling hit events
+ * @param equipment Used to access the FlightMode enum
+ * @param classes Used to access the SubsystemType enum
  */
 define([
     "utils/utils",
@@ -18,8 +20,10 @@ define([
     "modules/application",
     "armada/strings",
     "armada/logic/SpacecraftEvents",
+    "armada/logic/equipment",
+    "armada/logic/classes",
     "utils/polyfill"
-], function (utils, mat, application, strings, SpacecraftEvents) {
+], function (utils, mat, application, strings, SpacecraftEvents, equipment, classes) {
     "use strict";
     var
             // ------------------------------------------------------------------------------
@@ -35,6 +39,8 @@ define([
                 HULL_INTEGRITY: "hullIntegrity",
                 /** The condition is evaluated true when any/all of its subjects' shield integrity falls into a specified range */
                 SHIELD_INTEGRITY: "shieldIntegrity",
+                /** The condition is evaluated true when the integrity of a specified subsystem of any/all of its subjects falls into a specified range */
+                SUBSYSTEM_INTEGRITY: "subsystemIntegrity",
                 /** The condition is evaluated true when any/all of its subjects' distance from a speficied spacecraft falls into a specified range */
                 DISTANCE: "distance",
                 /** This condition is evaluated true whenever its subjects are getting hit */
@@ -50,7 +56,17 @@ define([
                 /** This condition is evaluated true whenever the subjects get targeted */
                 GETS_TARGETED: "getsTargeted",
                 /** This condition is evaluated true while any/all of its subjects are being targeted */
-                IS_TARGETED: "isTargeted"
+                IS_TARGETED: "isTargeted",
+                /** The condition is evaluated true when any/all of its subjects' speed (or velocity toward a specified spacecraft) falls into a specified range */
+                SPEED: "speed",
+                /** The condition is evaluated true when any/all of its subjects are in one of the specified flight modes */
+                FLIGHT_MODE: "flightMode",
+                /** The condition is evaluated true when any/all of its subjects' remaining missile count falls into a specified range */
+                MISSILE_COUNT: "missileCount",
+                /** The condition is evaluated true while any/all of its subjects are inside the view cone of the piloted (or a specified) spacecraft */
+                IN_VIEW: "inView",
+                /** The condition is evaluated true when the specified mission variable has a value in the specified range / the specified value */
+                VARIABLE: "variable"
             },
             ConditionSubjectsWhich = {
                 /** All the subjects need to be destroyed for the condition to be fulfilled */
@@ -133,6 +149,11 @@ define([
          * @type Spacecraft[]
          */
         this._spacecrafts = null;
+        /**
+         * The spawn count of the mission at the time the spacecrafts were cached (to detect when newly spawned spacecrafts need to be added)
+         * @type Number
+         */
+        this._spawnCount = 0;
         /**
          * The cached string that can be used to display the subjects to the user in a short way, to be used on the HUD
          * @type String
@@ -162,6 +183,22 @@ define([
                 this._spacecrafts.push(spacecrafts[i]);
             }
         }
+        this._spawnCount = mission.getSpawnCount();
+    };
+    /**
+     * Adds the spacecrafts in this subject group which have been spawned in the passed mission since the spacecrafts were cached
+     * (keeping the references to the already destroyed ones)
+     * @param {Mission} mission
+     */
+    SubjectGroup.prototype._cacheSpawnedSpacecrafts = function (mission) {
+        var i, spacecrafts;
+        spacecrafts = mission.getSpacecrafts();
+        for (i = 0; i < spacecrafts.length; i++) {
+            if (this.has(spacecrafts[i]) && (this._spacecrafts.indexOf(spacecrafts[i]) < 0)) {
+                this._spacecrafts.push(spacecrafts[i]);
+            }
+        }
+        this._spawnCount = mission.getSpawnCount();
     };
     /**
      * Returns an array with the spacecrafts that are in this subject group (based on the passed mission)
@@ -173,6 +210,8 @@ define([
     SubjectGroup.prototype.getSpacecrafts = function (mission, reload) {
         if (mission && (!this._spacecrafts || reload)) {
             this._cacheSpacecrafts(mission);
+        } else if (mission && (this._spawnCount !== mission.getSpawnCount())) {
+            this._cacheSpawnedSpacecrafts(mission);
         }
         return this._spacecrafts;
     };
@@ -426,6 +465,14 @@ define([
     Condition.prototype.canChangeMultipleTimes = function () {
         return false;
     };
+    /**
+     * Checks whether the mission variables this condition refers to are declared with the right type, showing an error for each problem
+     * found (called once, when the mission is loaded, passing the declared mission variables with their initial values, by name)
+     * @returns {Boolean} Whether all the references are valid
+     */
+    Condition.prototype.checkVariables = function () {
+        return true;
+    };
     // ##############################################################################
     /**
      * @class A condition that is satisfied when any/all of its subjects have been destroyed
@@ -1061,6 +1108,85 @@ define([
         return true;
     };
     // ##############################################################################
+    /**
+     * @class A condition that is satisfied based on the integrity of a specified
+     * subsystem of the subjects
+     * @extends Condition
+     * @param {Object} dataJSON
+     */
+    function SubsystemIntegrityCondition(dataJSON) {
+        Condition.call(this, dataJSON);
+    }
+    SubsystemIntegrityCondition.prototype = new Condition();
+    SubsystemIntegrityCondition.prototype.constructor = SubsystemIntegrityCondition;
+    /**
+     * @typedef SubsystemIntegrityCondition~Params
+     * @property {String} [which] (enum ConditionSubjectsWhich)
+     * @property {String} subsystem (enum classes.SubsystemType) The type of the subsystem to check (if the subjects have more than one
+     * subsystem of this type, the most damaged one counts)
+     * @property {Number} [minIntegrity] The condition is satisfied if the integrity of the subsystem of the subjects is not below this value (in %)
+     * @property {Number} [maxIntegrity] The condition is satisfied if the integrity of the subsystem of the subjects is not above this value (in %)
+     */
+    /**
+     * @param {SubsystemIntegrityCondition~Params} params 
+     * @returns {Boolean}
+     */
+    SubsystemIntegrityCondition.prototype._checkParams = function (params) {
+        /**
+         * @type SubsystemIntegrityCondition~Params
+         */
+        this._params = params;
+        if (!this._params ||
+                (this._params.which && !utils.getSafeEnumValue(ConditionSubjectsWhich, this._params.which)) ||
+                !utils.getSafeEnumValue(classes.SubsystemType, this._params.subsystem) ||
+                (this._params.minIntegrity !== undefined && (this._params.minIntegrity < 0 || this._params.minIntegrity > 100)) ||
+                (this._params.maxIntegrity !== undefined && (this._params.maxIntegrity < 0 || this._params.maxIntegrity > 100))) {
+            this._handleWrongParams();
+            return false;
+        }
+        /**
+         * @type Boolean
+         */
+        this._all = !this._params.which || (this._params.which === ConditionSubjectsWhich.ALL);
+        return true;
+    };
+    /**
+     * @param {Mission} mission
+     * @returns {Boolean}
+     */
+    SubsystemIntegrityCondition.prototype.isSatisfied = function (mission) {
+        var i, integrity, spacecrafts = this._subjects.getSpacecrafts(mission);
+        for (i = 0; i < spacecrafts.length; i++) {
+            integrity = spacecrafts[i].getSubsystemIntegrity(this._params.subsystem) * 100;
+            if ((((this._params.minIntegrity !== undefined) && (integrity < this._params.minIntegrity)) ||
+                    ((this._params.maxIntegrity !== undefined) && (integrity > this._params.maxIntegrity))) === this._all) {
+                return !this._all;
+            }
+        }
+        return this._all;
+    };
+    /**
+     * @returns {String}
+     */
+    SubsystemIntegrityCondition.prototype.getObjectiveString = function () {
+        application.showError("Subsystem integrity conditions cannot be used as win/lose conditions!");
+        return null;
+    };
+    /**
+     * @returns {String}
+     */
+    SubsystemIntegrityCondition.prototype.getObjectiveStateString = function () {
+        application.showError("Subsystem integrity conditions cannot be used as win/lose conditions!");
+        return null;
+    };
+    /**
+     * @override
+     * @returns {Boolean}
+     */
+    SubsystemIntegrityCondition.prototype.canChangeMultipleTimes = function () {
+        return true;
+    };
+    // ##############################################################################
     /**
      * @class A condition that is satisfied based on the distance of the subjects
      * from a specified spacecraft
@@ -1911,6 +2037,555 @@ define([
     IsTargetedCondition.prototype.canChangeMultipleTimes = function () {
         return true;
     };
+    // ##############################################################################
+    /**
+     * @class A condition that is satisfied based on the speed of the subjects, or, if a target spacecraft is specified, based on their
+     * velocity toward the target (the rate at which their distance from it is decreasing)
+     * @extends Condition
+     * @param {Object} dataJSON
+     */
+    function SpeedCondition(dataJSON) {
+        Condition.call(this, dataJSON);
+    }
+    SpeedCondition.prototype = new Condition();
+    SpeedCondition.prototype.constructor = SpeedCondition;
+    /**
+     * @typedef SpeedCondition~Params
+     * @property {String} [which] (enum ConditionSubjectsWhich)
+     * @property {Number} [minSpeed] The condition is satisfied if the speed of the subjects is not below this value (in m/s)
+     * @property {Number} [maxSpeed] The condition is satisfied if the speed of the subjects is not above this value (in m/s)
+     * @property {String} [target] The ID of the spacecraft the velocity of the subjects toward which is to be checked instead of their
+     * speed (negative when the subjects are moving away from it)
+     */
+    /**
+     * @param {SpeedCondition~Params} params 
+     * @returns {Boolean}
+     */
+    SpeedCondition.prototype._checkParams = function (params) {
+        /**
+         * @type SpeedCondition~Params
+         */
+        this._params = params;
+        if (!this._params ||
+                ((this._params.minSpeed === undefined) && (this._params.maxSpeed === undefined)) ||
+                (this._params.which && !utils.getSafeEnumValue(ConditionSubjectsWhich, this._params.which)) ||
+                (!this._params.target && (this._params.minSpeed !== undefined) && (this._params.minSpeed < 0)) ||
+                (!this._params.target && (this._params.maxSpeed !== undefined) && (this._params.maxSpeed < 0)) ||
+                ((this._params.minSpeed !== undefined) && (this._params.maxSpeed !== undefined) && (this._params.minSpeed > this._params.maxSpeed))) {
+            this._handleWrongParams();
+            return false;
+        }
+        /**
+         * @type Boolean
+         */
+        this._all = !this._params.which || (this._params.which === ConditionSubjectsWhich.ALL);
+        return true;
+    };
+    /**
+     * Returns the velocity of the passed spacecraft toward the passed target spacecraft (relative to the velocity of the target), in m/s
+     * @param {Spacecraft} spacecraft
+     * @param {Spacecraft} target
+     * @returns {Number}
+     */
+    SpeedCondition.prototype._getVelocityToward = function (spacecraft, target) {
+        var
+                position = spacecraft.getPhysicalPositionMatrix(),
+                targetPosition = target.getPhysicalPositionMatrix(),
+                velocity = spacecraft.getPhysicalVelocityMatrix(),
+                targetVelocity = target.getPhysicalVelocityMatrix(),
+                x = targetPosition[12] - position[12],
+                y = targetPosition[13] - position[13],
+                z = targetPosition[14] - position[14],
+                distance = Math.sqrt(x * x + y * y + z * z);
+        if (distance <= 0) {
+            return 0;
+        }
+        return ((velocity[12] - targetVelocity[12]) * x + (velocity[13] - targetVelocity[13]) * y + (velocity[14] - targetVelocity[14]) * z) / distance;
+    };
+    /**
+     * @param {Mission} mission
+     * @returns {Boolean}
+     */
+    SpeedCondition.prototype.isSatisfied = function (mission) {
+        var i, speed, spacecrafts = this._subjects.getSpacecrafts(mission), target = null;
+        if (this._params.target) {
+            target = mission.getSpacecraft(this._params.target);
+            if (!target || !target.isAlive() || target.isAway()) {
+                return false;
+            }
+        }
+        for (i = 0; i < spacecrafts.length; i++) {
+            if (!spacecrafts[i].isAlive() || spacecrafts[i].isAway() || (spacecrafts[i] === target)) {
+                if (this._all) {
+                    return false;
+                }
+            } else {
+                speed = target ? this._getVelocityToward(spacecrafts[i], target) : mat.translationLength(spacecrafts[i].getPhysicalVelocityMatrix());
+                if ((((this._params.minSpeed !== undefined) && (speed < this._params.minSpeed)) ||
+                        ((this._params.maxSpeed !== undefined) && (speed > this._params.maxSpeed))) === this._all) {
+                    return !this._all;
+                }
+            }
+        }
+        return this._all;
+    };
+    /**
+     * @returns {String}
+     */
+    SpeedCondition.prototype.getObjectiveString = function () {
+        application.showError("Speed conditions cannot be used as win/lose conditions!");
+        return null;
+    };
+    /**
+     * @returns {String}
+     */
+    SpeedCondition.prototype.getObjectiveStateString = function () {
+        application.showError("Speed conditions cannot be used as win/lose conditions!");
+        return null;
+    };
+    /**
+     * @returns {Spacecraft[]}
+     */
+    SpeedCondition.prototype.getTargetSpacecrafts = function () {
+        return utils.EMPTY_ARRAY;
+    };
+    /**
+     * @returns {Spacecraft[]}
+     */
+    SpeedCondition.prototype.getEscortedSpacecrafts = function () {
+        return utils.EMPTY_ARRAY;
+    };
+    /**
+     * @override
+     * @returns {Boolean}
+     */
+    SpeedCondition.prototype.canChangeMultipleTimes = function () {
+        return true;
+    };
+    // ##############################################################################
+    /**
+     * @class A condition that is satisfied when any/all of its subjects are flying in one of the specified flight modes
+     * @extends Condition
+     * @param {Object} dataJSON
+     */
+    function FlightModeCondition(dataJSON) {
+        Condition.call(this, dataJSON);
+    }
+    FlightModeCondition.prototype = new Condition();
+    FlightModeCondition.prototype.constructor = FlightModeCondition;
+    /**
+     * @typedef FlightModeCondition~Params
+     * @property {String} [which] (enum ConditionSubjectsWhich)
+     * @property {String[]} flightModes (enum FlightMode) The condition is satisfied if the subjects are in one of these flight modes
+     */
+    /**
+     * @param {FlightModeCondition~Params} params 
+     * @returns {Boolean}
+     */
+    FlightModeCondition.prototype._checkParams = function (params) {
+        var i;
+        /**
+         * @type FlightModeCondition~Params
+         */
+        this._params = params;
+        if (!this._params ||
+                (this._params.which && !utils.getSafeEnumValue(ConditionSubjectsWhich, this._params.which)) ||
+                !Array.isArray(this._params.flightModes) || (this._params.flightModes.length === 0)) {
+            this._handleWrongParams();
+            return false;
+        }
+        for (i = 0; i < this._params.flightModes.length; i++) {
+            if (!utils.getSafeEnumValue(equipment.FlightMode, this._params.flightModes[i])) {
+                this._handleWrongParams();
+                return false;
+            }
+        }
+        /**
+         * @type Boolean
+         */
+        this._all = !this._params.which || (this._params.which === ConditionSubjectsWhich.ALL);
+        return true;
+    };
+    /**
+     * @param {Mission} mission
+     * @returns {Boolean}
+     */
+    FlightModeCondition.prototype.isSatisfied = function (mission) {
+        var i, spacecrafts = this._subjects.getSpacecrafts(mission);
+        for (i = 0; i < spacecrafts.length; i++) {
+            if ((spacecrafts[i].isAlive() && !spacecrafts[i].isAway() && (this._params.flightModes.indexOf(spacecrafts[i].getFlightMode()) >= 0)) !== this._all) {
+                return !this._all;
+            }
+        }
+        return this._all;
+    };
+    /**
+     * @returns {String}
+     */
+    FlightModeCondition.prototype.getObjectiveString = function () {
+        application.showError("Flight mode conditions cannot be used as win/lose conditions!");
+        return null;
+    };
+    /**
+     * @returns {String}
+     */
+    FlightModeCondition.prototype.getObjectiveStateString = function () {
+        application.showError("Flight mode conditions cannot be used as win/lose conditions!");
+        return null;
+    };
+    /**
+     * @returns {Spacecraft[]}
+     */
+    FlightModeCondition.prototype.getTargetSpacecrafts = function () {
+        return utils.EMPTY_ARRAY;
+    };
+    /**
+     * @returns {Spacecraft[]}
+     */
+    FlightModeCondition.prototype.getEscortedSpacecrafts = function () {
+        return utils.EMPTY_ARRAY;
+    };
+    /**
+     * @override
+     * @returns {Boolean}
+     */
+    FlightModeCondition.prototype.canChangeMultipleTimes = function () {
+        return true;
+    };
+    // ##############################################################################
+    /**
+     * @class A condition that is satisfied based on the number of missiles the subjects have remaining
+     * @extends Condition
+     * @param {Object} dataJSON
+     */
+    function MissileCountCondition(dataJSON) {
+        Condition.call(this, dataJSON);
+    }
+    MissileCountCondition.prototype = new Condition();
+    MissileCountCondition.prototype.constructor = MissileCountCondition;
+    /**
+     * @typedef MissileCountCondition~Params
+     * @property {String} [which] (enum ConditionSubjectsWhich)
+     * @property {Number} [minMissiles] The condition is satisfied if the subjects have at least this many missiles remaining
+     * @property {Number} [maxMissiles] The condition is satisfied if the subjects have at most this many missiles remaining
+     * @property {String} [missileClass] The name of the missile class to count the missiles of (if not given, all missiles are counted)
+     */
+    /**
+     * @param {MissileCountCondition~Params} params 
+     * @returns {Boolean}
+     */
+    MissileCountCondition.prototype._checkParams = function (params) {
+        /**
+         * @type MissileCountCondition~Params
+         */
+        this._params = params;
+        if (!this._params ||
+                ((this._params.minMissiles === undefined) && (this._params.maxMissiles === undefined)) ||
+                (this._params.which && !utils.getSafeEnumValue(ConditionSubjectsWhich, this._params.which)) ||
+                ((this._params.minMissiles !== undefined) && (this._params.minMissiles < 0)) ||
+                ((this._params.maxMissiles !== undefined) && (this._params.maxMissiles < 0)) ||
+                ((this._params.minMissiles !== undefined) && (this._params.maxMissiles !== undefined) && (this._params.minMissiles > this._params.maxMissiles))) {
+            this._handleWrongParams();
+            return false;
+        }
+        /**
+         * @type Boolean
+         */
+        this._all = !this._params.which || (this._params.which === ConditionSubjectsWhich.ALL);
+        return true;
+    };
+    /**
+     * Returns the number of missiles (of the class specified in the parameters, if any) the passed spacecraft has remaining
+     * @param {Spacecraft} spacecraft
+     * @returns {Number}
+     */
+    MissileCountCondition.prototype._getMissileCount = function (spacecraft) {
+        var i, result = 0, missileClasses = spacecraft.getMissileClasses();
+        for (i = 0; i < missileClasses.length; i++) {
+            if (!this._params.missileClass || (missileClasses[i].getName() === this._params.missileClass)) {
+                result += spacecraft.getMissileCount(missileClasses[i]);
+            }
+        }
+        return result;
+    };
+    /**
+     * @param {Mission} mission
+     * @returns {Boolean}
+     */
+    MissileCountCondition.prototype.isSatisfied = function (mission) {
+        var i, count, spacecrafts = this._subjects.getSpacecrafts(mission);
+        for (i = 0; i < spacecrafts.length; i++) {
+            if (!spacecrafts[i].isAlive() || spacecrafts[i].isAway()) {
+                if (this._all) {
+                    return false;
+                }
+            } else {
+                count = this._getMissileCount(spacecrafts[i]);
+                if ((((this._params.minMissiles !== undefined) && (count < this._params.minMissiles)) ||
+                        ((this._params.maxMissiles !== undefined) && (count > this._params.maxMissiles))) === this._all) {
+                    return !this._all;
+                }
+            }
+        }
+        return this._all;
+    };
+    /**
+     * @returns {String}
+     */
+    MissileCountCondition.prototype.getObjectiveString = function () {
+        application.showError("Missile count conditions cannot be used as win/lose conditions!");
+        return null;
+    };
+    /**
+     * @returns {String}
+     */
+    MissileCountCondition.prototype.getObjectiveStateString = function () {
+        application.showError("Missile count conditions cannot be used as win/lose conditions!");
+        return null;
+    };
+    /**
+     * @returns {Spacecraft[]}
+     */
+    MissileCountCondition.prototype.getTargetSpacecrafts = function () {
+        return utils.EMPTY_ARRAY;
+    };
+    /**
+     * @returns {Spacecraft[]}
+     */
+    MissileCountCondition.prototype.getEscortedSpacecrafts = function () {
+        return utils.EMPTY_ARRAY;
+    };
+    /**
+     * @override
+     * @returns {Boolean}
+     */
+    MissileCountCondition.prototype.canChangeMultipleTimes = function () {
+        return true;
+    };
+    // ##############################################################################
+    /**
+     * @class A condition that is satisfied while any/all of its subjects are inside the view cone of a spacecraft (by default, the
+     * piloted spacecraft), which is centered around the direction the viewing spacecraft is facing
+     * @extends Condition
+     * @param {Object} dataJSON
+     */
+    function InViewCondition(dataJSON) {
+        Condition.call(this, dataJSON);
+    }
+    InViewCondition.prototype = new Condition();
+    InViewCondition.prototype.constructor = InViewCondition;
+    /**
+     * @typedef InViewCondition~Params
+     * @property {String} [which] (enum ConditionSubjectsWhich)
+     * @property {Number} angle The half angle of the view cone (the maximum angle between the facing direction of the viewing
+     * spacecraft and the direction of the subjects from it), in degrees
+     * @property {Number} [maxDistance] If given, subjects farther than this from the viewing spacecraft are not considered in view (in m)
+     * @property {String} [viewer] The ID of the viewing spacecraft (if not given, the piloted spacecraft is used)
+     */
+    /**
+     * @param {InViewCondition~Params} params 
+     * @returns {Boolean}
+     */
+    InViewCondition.prototype._checkParams = function (params) {
+        /**
+         * @type InViewCondition~Params
+         */
+        this._params = params;
+        if (!this._params ||
+                (this._params.which && !utils.getSafeEnumValue(ConditionSubjectsWhich, this._params.which)) ||
+                !(this._params.angle > 0) || (this._params.angle > 180) ||
+                ((this._params.maxDistance !== undefined) && (this._params.maxDistance <= 0))) {
+            this._handleWrongParams();
+            return false;
+        }
+        /**
+         * @type Boolean
+         */
+        this._all = !this._params.which || (this._params.which === ConditionSubjectsWhich.ALL);
+        /**
+         * The cosine of the half angle of the view cone
+         * @type Number
+         */
+        this._cosAngle = Math.cos(this._params.angle * utils.RAD);
+        return true;
+    };
+    /**
+     * Returns whether the passed spacecraft is inside the view cone of the passed viewing spacecraft
+     * @param {Spacecraft} spacecraft
+     * @param {Spacecraft} viewer
+     * @returns {Boolean}
+     */
+    InViewCondition.prototype._isInView = function (spacecraft, viewer) {
+        var
+                position = spacecraft.getPhysicalPositionMatrix(),
+                viewerPosition = viewer.getPhysicalPositionMatrix(),
+                orientation = viewer.getPhysicalOrientationMatrix(),
+                x = position[12] - viewerPosition[12],
+                y = position[13] - viewerPosition[13],
+                z = position[14] - viewerPosition[14],
+                distance = Math.sqrt(x * x + y * y + z * z);
+        if ((distance <= 0) || ((this._params.maxDistance !== undefined) && (distance > this._params.maxDistance))) {
+            return false;
+        }
+        // the spacecraft is facing the direction of its Y axis
+        return (orientation[4] * x + orientation[5] * y + orientation[6] * z) >= this._cosAngle * distance;
+    };
+    /**
+     * @param {Mission} mission
+     * @returns {Boolean}
+     */
+    InViewCondition.prototype.isSatisfied = function (mission) {
+        var i, spacecrafts = this._subjects.getSpacecrafts(mission),
+                viewer = this._params.viewer ? mission.getSpacecraft(this._params.viewer) : mission.getPilotedSpacecraft();
+        if (!viewer || !viewer.isAlive() || viewer.isAway()) {
+            return false;
+        }
+        for (i = 0; i < spacecrafts.length; i++) {
+            if ((spacecrafts[i].isAlive() && !spacecrafts[i].isAway() && (spacecrafts[i] !== viewer) && this._isInView(spacecrafts[i], viewer)) !== this._all) {
+                return !this._all;
+            }
+        }
+        return this._all;
+    };
+    /**
+     * @returns {String}
+     */
+    InViewCondition.prototype.getObjectiveString = function () {
+        application.showError("In view conditions cannot be used as win/lose conditions!");
+        return null;
+    };
+    /**
+     * @returns {String}
+     */
+    InViewCondition.prototype.getObjectiveStateString = function () {
+        application.showError("In view conditions cannot be used as win/lose conditions!");
+        return null;
+    };
+    /**
+     * @returns {Spacecraft[]}
+     */
+    InViewCondition.prototype.getTargetSpacecrafts = function () {
+        return utils.EMPTY_ARRAY;
+    };
+    /**
+     * @returns {Spacecraft[]}
+     */
+    InViewCondition.prototype.getEscortedSpacecrafts = function () {
+        return utils.EMPTY_ARRAY;
+    };
+    /**
+     * @override
+     * @returns {Boolean}
+     */
+    InViewCondition.prototype.canChangeMultipleTimes = function () {
+        return true;
+    };
+    // ##############################################################################
+    /**
+     * @class A condition that is satisfied based on the current value of a mission variable
+     * @extends Condition
+     * @param {Object} dataJSON
+     */
+    function VariableCondition(dataJSON) {
+        Condition.call(this, dataJSON);
+    }
+    VariableCondition.prototype = new Condition();
+    VariableCondition.prototype.constructor = VariableCondition;
+    /**
+     * @typedef VariableCondition~Params
+     * @property {String} variable The name of the mission variable to check
+     * @property {Number} [value] For number variables: the condition is satisfied if the variable has exactly this value
+     * @property {Number} [minValue] For number variables: the condition is satisfied if the variable is not below this value
+     * @property {Number} [maxValue] For number variables: the condition is satisfied if the variable is not above this value
+     * @property {Boolean} [flag=true] For boolean variables: the condition is satisfied if the variable has this value
+     */
+    /**
+     * @param {VariableCondition~Params} params 
+     * @returns {Boolean}
+     */
+    VariableCondition.prototype._checkParams = function (params) {
+        /**
+         * @type VariableCondition~Params
+         */
+        this._params = params;
+        if (!this._params || (typeof this._params.variable !== "string") ||
+                ((this._params.value !== undefined) && (typeof this._params.value !== "number")) ||
+                ((this._params.minValue !== undefined) && (typeof this._params.minValue !== "number")) ||
+                ((this._params.maxValue !== undefined) && (typeof this._params.maxValue !== "number")) ||
+                ((this._params.flag !== undefined) && (typeof this._params.flag !== "boolean")) ||
+                ((this._params.flag !== undefined) && ((this._params.value !== undefined) || (this._params.minValue !== undefined) || (this._params.maxValue !== undefined)))) {
+            this._handleWrongParams();
+            return false;
+        }
+        return true;
+    };
+    /**
+     * @override
+     * @param {Object.<String, Number|Boolean>} variables
+     * @returns {Boolean}
+     */
+    VariableCondition.prototype.checkVariables = function (variables) {
+        var type = (this._params.flag !== undefined) ? "boolean" : "number";
+        if (!variables.hasOwnProperty(this._params.variable)) {
+            application.showError("Variable condition refers to undeclared mission variable '" + this._params.variable + "'!");
+            return false;
+        }
+        if ((typeof variables[this._params.variable] !== type) &&
+                ((this._params.flag !== undefined) || (this._params.value !== undefined) || (this._params.minValue !== undefined) || (this._params.maxValue !== undefined))) {
+            application.showError("Variable condition checks mission variable '" + this._params.variable + "' as a " + type + ", but it is a " + (typeof variables[this._params.variable]) + "!");
+            return false;
+        }
+        return true;
+    };
+    /**
+     * @param {Mission} mission
+     * @returns {Boolean}
+     */
+    VariableCondition.prototype.isSatisfied = function (mission) {
+        var value = mission.getVariable(this._params.variable);
+        if (typeof value === "boolean") {
+            return value === (this._params.flag !== false);
+        }
+        if (typeof value === "number") {
+            return ((this._params.value === undefined) || (value === this._params.value)) &&
+                    ((this._params.minValue === undefined) || (value >= this._params.minValue)) &&
+                    ((this._params.maxValue === undefined) || (value <= this._params.maxValue));
+        }
+        return false;
+    };
+    /**
+     * @returns {String}
+     */
+    VariableCondition.prototype.getObjectiveString = function () {
+        application.showError("Variable conditions cannot be used as win/lose conditions!");
+        return null;
+    };
+    /**
+     * @returns {String}
+     */
+    VariableCondition.prototype.getObjectiveStateString = function () {
+        application.showError("Variable conditions cannot be used as win/lose conditions!");
+        return null;
+    };
+    /**
+     * @returns {Spacecraft[]}
+     */
+    VariableCondition.prototype.getTargetSpacecrafts = function () {
+        return utils.EMPTY_ARRAY;
+    };
+    /**
+     * @returns {Spacecraft[]}
+     */
+    VariableCondition.prototype.getEscortedSpacecrafts = function () {
+        return utils.EMPTY_ARRAY;
+    };
+    /**
+     * @override
+     * @returns {Boolean}
+     */
+    VariableCondition.prototype.canChangeMultipleTimes = function () {
+        return true;
+    };
     // -------------------------------------------------------------------------
     /**
      * @param {Object} dataJSON
@@ -1928,6 +2603,7 @@ define([
     _conditionConstructors[ConditionType.TIME] = TimeCondition;
     _conditionConstructors[ConditionType.HULL_INTEGRITY] = HullIntegrityCondition;
     _conditionConstructors[ConditionType.SHIELD_INTEGRITY] = ShieldIntegrityCondition;
+    _conditionConstructors[ConditionType.SUBSYSTEM_INTEGRITY] = SubsystemIntegrityCondition;
     _conditionConstructors[ConditionType.DISTANCE] = DistanceCondition;
     _conditionConstructors[ConditionType.HIT] = HitCondition;
     _conditionConstructors[ConditionType.COLLISION] = CollisionCondition;
@@ -1936,6 +2612,11 @@ define([
     _conditionConstructors[ConditionType.MISSION_STATE] = MissionStateCondition;
     _conditionConstructors[ConditionType.GETS_TARGETED] = GetsTargetedCondition;
     _conditionConstructors[ConditionType.IS_TARGETED] = IsTargetedCondition;
+    _conditionConstructors[ConditionType.SPEED] = SpeedCondition;
+    _conditionConstructors[ConditionType.FLIGHT_MODE] = FlightModeCondition;
+    _conditionConstructors[ConditionType.MISSILE_COUNT] = MissileCountCondition;
+    _conditionConstructors[ConditionType.IN_VIEW] = InViewCondition;
+    _conditionConstructors[ConditionType.VARIABLE] = VariableCondition;
     // -------------------------------------------------------------------------
     // The public interface of the module
     return {
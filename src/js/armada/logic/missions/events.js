@@ -393,6 +393,21 @@ define([
     Trigger.prototype.canBeImpossible = function () {
         return this._canBeImpossible;
     };
+    /**
+     * Checks whether the mission variables referenced by the conditions of this trigger are declared with the right type, showing an
+     * error for each problem found
+     * @param {Object.<String, Number|Boolean>} variables The declared mission variables with their initial values, by name
+     * @returns {Boolean} Whether all the references are valid
+     */
+    Trigger.prototype.checkVariables = function (variables) {
+        var i, result = true;
+        if (this._conditions) {
+            for (i = 0; i < this._conditions.length; i++) {
+                result = this._conditions[i].checkVariables(variables) && result;
+            }
+        }
+        return result;
+    };
     // #########################################################################
     /**
      * @class A game event is a set of actions that are executed whenever an associated trigger (a set of conditions and parameters) fires 
@@ -459,6 +474,19 @@ define([
         }
         return result;
     };
+    /**
+     * Checks whether the mission variables referenced by the trigger and the actions of this event are declared with the right type,
+     * showing an error for each problem found
+     * @param {Object.<String, Number|Boolean>} variables The declared mission variables with their initial values, by name
+     * @returns {Boolean} Whether all the references are valid
+     */
+    MissionEvent.prototype.checkVariables = function (variables) {
+        var i, result = this._trigger.checkVariables(variables);
+        for (i = 0; i < this._actions.length; i++) {
+            result = this._actions[i].checkVariables(variables) && result;
+        }
+        return result;
+    };
     /**
      * Checks the triggers and executes the actions if needed for the current mission simulation step.
      * @param {Mission} mission The mission we are simulating.
@@ -0,0 +1,366 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file Generates skirmish missions: mission descriptor JSON data for a battle between a friendly and an enemy fleet composed from
+ * the passed spacecraft classes, in the passed environment, with enemy waves jumping in and win / lose events depending on the chosen
+ * objective. The generated data can be played directly or saved as a mission file (e.g. to be edited further in the editor).
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/**
+ * @param classes Used to determine which spacecraft classes can take part in a skirmish
+ * @param formations Used for the formation type constants
+ */
+define([
+    "armada/logic/classes",
+    "armada/logic/formations"
+], function (classes, formations) {
+    "use strict";
+    var
+            // ------------------------------------------------------------------------------
+            // enums
+            /**
+             * The possible objectives of a skirmish mission
+             * @enum {String}
+             */
+            ObjectiveType = {
+                /** All enemies (the waves and the enemy ship) need to be destroyed */
+                DESTROY: "destroy",
+                /** The friendly ship needs to be protected until all the enemy waves are destroyed */
+                DEFEND: "defend",
+                /** The enemy waves keep jumping in at regular intervals (even if the previous ones are not yet destroyed), and all of them
+                 * need to be destroyed */
+                SURVIVE: "survive"
+            },
+            // ------------------------------------------------------------------------------
+            // constants
+            /**
+             * The name of the team of the player
+             * @type String
+             */
+            FRIENDLY_TEAM = "empire",
+            /**
+             * The name of the enemy team
+             * @type String
+             */
+            ENEMY_TEAM = "pirates",
+            /**
+             * The name of the squad of the player and their wingmen
+             * @type String
+             */
+            PLAYER_SQUAD = "alpha",
+            /**
+             * The name of the squad consisting of the friendly ship
+             * @type String
+             */
+            FRIENDLY_SHIP_SQUAD = "omega",
+            /**
+             * The name of the squad consisting of the enemy ship
+             * @type String
+             */
+            ENEMY_SHIP_SQUAD = "hydra",
+            /**
+             * The names of the squads of the subsequent enemy waves (also limiting the number of waves)
+             * @type String[]
+             */
+            WAVE_SQUADS = ["raider", "marauder", "bandit", "brigand", "wraith", "phantom", "serpent", "reaper"],
+            /**
+             * The maximum number of wingmen the player can have
+             * @type Number
+             */
+            MAX_WINGMEN = 5,
+            /**
+             * The maximum number of enemy fighters in one wave
+             * @type Number
+             */
+            MAX_ENEMIES_PER_WAVE = 8,
+            /**
+             * The distance from the player (or the defended ship) where the enemy waves appear, in meters
+             * @type Number
+             */
+            WAVE_DISTANCE = 3000,
+            /**
+             * The distance from the player where the enemy ship is placed at the start, in meters
+             * @type Number
+             */
+            ENEMY_SHIP_DISTANCE = 5000,
+            /**
+             * The delay after which the first wave jumps in (when it is not present at the start), in milliseconds
+             * @type Number
+             */
+            FIRST_WAVE_DELAY = 5000,
+            /**
+             * The delay between the destruction of a wave and the jump in of the next one, in milliseconds
+             * @type Number
+             */
+            WAVE_DELAY = 2000,
+            /**
+             * In survival skirmishes, the next wave jumps in at the latest this long after the previous one, in milliseconds
+             * @type Number
+             */
+            SURVIVE_WAVE_INTERVAL = 45000,
+            /**
+             * The formation the player and the wingmen start in
+             * @type Object
+             */
+            PLAYER_FORMATION = {
+                type: formations.FormationType.WEDGE,
+                spacing: [40, -10, 0]
+            },
+            /**
+             * The formation the enemy waves appear in
+             * @type Object
+             */
+            WAVE_FORMATION = {
+                type: formations.FormationType.WEDGE,
+                spacing: [50, -50, 0]
+            },
+            /**
+             * The rotations turning spacecrafts placed in front of the player to face it
+             * @type Object[]
+             */
+            FACING_PLAYER_ROTATIONS = [{axis: "Z", degrees: 180}];
+    Object.freeze(ObjectiveType);
+    // ------------------------------------------------------------------------------
+    // private functions
+    /**
+     * Returns whether the passed spacecraft class can take part in skirmishes: it needs to have a default loadout with a jump engine,
+     * so that it can jump in as part of a wave
+     * @param {SpacecraftClass} spacecraftClass
+     * @returns {Boolean}
+     */
+    function _isSkirmishClass(spacecraftClass) {
+        var loadout = spacecraftClass.getDefaultLoadout() && spacecraftClass.getLoadout(spacecraftClass.getDefaultLoadout());
+        return !!loadout && !!loadout.getJumpEngineDescriptor();
+    }
+    /**
+     * Returns the names of the spacecraft classes that can take part in skirmishes and are / are not fighter classes
+     * @param {Boolean} fighter
+     * @returns {String[]}
+     */
+    function _getClassNames(fighter) {
+        return classes.getSpacecraftClassesInArray(true).filter(function (spacecraftClass) {
+            return (spacecraftClass.isFighterClass() === fighter) && _isSkirmishClass(spacecraftClass);
+        }).map(function (spacecraftClass) {
+            return spacecraftClass.getName();
+        });
+    }
+    /**
+     * Returns the name of the spacecraft with the passed index within the passed squad (as used by mission events)
+     * @param {String} squad
+     * @param {Number} index
+     * @returns {String}
+     */
+    function _getSquadMemberName(squad, index) {
+        return squad + " " + index;
+    }
+    /**
+     * Returns a command action data making the passed squad jump in around the spacecraft with the passed name
+     * @param {String} squad
+     * @param {String} anchor
+     * @returns {Object}
+     */
+    function _getJumpInAction(squad, anchor) {
+        return {
+            type: "command",
+            subjects: {
+                squads: [squad]
+            },
+            params: {
+                command: "jump",
+                jump: {
+                    way: "in",
+                    anchor: anchor,
+                    distance: WAVE_DISTANCE,
+                    formation: WAVE_FORMATION,
+                    fallbackPosition: [0, WAVE_DISTANCE, 0]
+                }
+            }
+        };
+    }
+    // ------------------------------------------------------------------------------
+    // public functions
+    /**
+     * Returns the names of the fighter classes that can be chosen for the player, the wingmen and the enemy waves
+     * @returns {String[]}
+     */
+    function getFighterClassNames() {
+        return _getClassNames(true);
+    }
+    /**
+     * Returns the names of the ship (non-fighter) classes that can be chosen as the friendly or enemy ship
+     * @returns {String[]}
+     */
+    function getShipClassNames() {
+        return _getClassNames(false);
+    }
+    /**
+     * @typedef {Object} Skirmish~Params
+     * @property {String} [title] The title of the generated mission
+     * @property {String} environment The name of the environment the battle takes place in
+     * @property {String} pilotedClass The name of the spacecraft class the player flies (the wingmen fly the same class)
+     * @property {Number} wingmen The number of wingmen flying with the player
+     * @property {String} [friendlyShip] The name of the spacecraft class of the friendly ship. Needed for defend skirmishes, if not
+     * given, the first available ship class is used for them.
+     * @property {String} enemyClass The name of the spacecraft class of the enemy fighters
+     * @property {Number} enemiesPerWave The number of enemy fighters in each wave
+     * @property {Number} waves The number of enemy waves
+     * @property {String} [enemyShip] The name of the spacecraft class of the enemy ship, which is present from the start
+     * @property {String} objective (enum ObjectiveType)
+     */
+    /**
+     * Generates the mission descriptor JSON data for a skirmish with the passed parameters
+     * @param {Skirmish~Params} params
+     * @returns {Object}
+     */
+    function generateMissionData(params) {
+        var
+                wingmen = Math.min(Math.max(0, Math.round(params.wingmen)), MAX_WINGMEN),
+                enemiesPerWave = Math.min(Math.max(1, Math.round(params.enemiesPerWave)), MAX_ENEMIES_PER_WAVE),
+                waveSquads = WAVE_SQUADS.slice(0, Math.min(Math.max(1, Math.round(params.waves)), WAVE_SQUADS.length)),
+                friendlyShip = params.friendlyShip || ((params.objective === ObjectiveType.DEFEND) ? getShipClassNames()[0] : null),
+                defendedShipName = _getSquadMemberName(FRIENDLY_SHIP_SQUAD, 1),
+                // the enemies jump in around the defended ship in defend skirmishes, and around the player otherwise
+                anchor = (params.objective === ObjectiveType.DEFEND) ? defendedShipName : _getSquadMemberName(PLAYER_SQUAD, 1),
+                spacecrafts = [], events = [], i, trigger;
+        spacecrafts.push({
+            squad: PLAYER_SQUAD,
+            team: FRIENDLY_TEAM,
+            class: params.pilotedClass,
+            count: wingmen + 1,
+            pilotedIndex: 1,
+            ai: "fighter",
+            position: [0, 0, 0],
+            formation: PLAYER_FORMATION
+        });
+        if (friendlyShip) {
+            spacecrafts.push({
+                squad: FRIENDLY_SHIP_SQUAD,
+                team: FRIENDLY_TEAM,
+                class: friendlyShip,
+                ai: "ship",
+                position: [0, -500, -50],
+                excludeFromReferenceScore: true
+            });
+        }
+        if (params.enemyShip) {
+            spacecrafts.push({
+                squad: ENEMY_SHIP_SQUAD,
+                team: ENEMY_TEAM,
+                class: params.enemyShip,
+                ai: "ship",
+                position: [0, ENEMY_SHIP_DISTANCE, 0],
+                rotations: FACING_PLAYER_ROTATIONS,
+                excludeFromReferenceScore: true
+            });
+        }
+        for (i = 0; i < waveSquads.length; i++) {
+            // in destroy skirmishes, the first wave is already present at the start
+            if ((i === 0) && (params.objective === ObjectiveType.DESTROY)) {
+                spacecrafts.push({
+                    squad: waveSquads[i],
+                    team: ENEMY_TEAM,
+                    class: params.enemyClass,
+                    count: enemiesPerWave,
+                    ai: "fighter",
+                    position: [0, WAVE_DISTANCE, 0],
+                    rotations: FACING_PLAYER_ROTATIONS,
+                    formation: WAVE_FORMATION
+                });
+                continue;
+            }
+            spacecrafts.push({
+                squad: waveSquads[i],
+                team: ENEMY_TEAM,
+                class: params.enemyClass,
+                count: enemiesPerWave,
+                ai: "fighter",
+                away: true
+            });
+            if (i === 0) {
+                trigger = {
+                    delay: FIRST_WAVE_DELAY
+                };
+            } else {
+                trigger = {
+                    conditions: [{
+                            type: "destroyed",
+                            subjects: {
+                                squads: [waveSquads[i - 1]]
+                            }
+                        }],
+                    delay: WAVE_DELAY
+                };
+                if (params.objective === ObjectiveType.SURVIVE) {
+                    trigger.conditions.push({
+                        type: "time",
+                        params: {
+                            time: SURVIVE_WAVE_INTERVAL,
+                            when: "once",
+                            start: waveSquads[i - 1]
+                        }
+                    });
+                    trigger.which = "any";
+                }
+            }
+            events.push({
+                name: waveSquads[i],
+                trigger: trigger,
+                actions: [_getJumpInAction(waveSquads[i], anchor)]
+            });
+        }
+        // destroy skirmishes use the default objective of destroying all enemies (including the ones that have not yet jumped in)
+        if (params.objective !== ObjectiveType.DESTROY) {
+            events.push({
+                trigger: {
+                    conditions: [{
+                            type: "destroyed",
+                            subjects: {
+                                squads: params.enemyShip ? waveSquads.concat(ENEMY_SHIP_SQUAD) : waveSquads
+                            }
+                        }]
+                },
+                actions: [{
+                        type: "win"
+                    }]
+            });
+        }
+        if (params.objective === ObjectiveType.DEFEND) {
+            events.push({
+                trigger: {
+                    conditions: [{
+                            type: "destroyed",
+                            subjects: {
+                                spacecrafts: [defendedShipName]
+                            }
+                        }]
+                },
+                actions: [{
+                        type: "lose"
+                    }]
+            });
+        }
+        return {
+            title: params.title,
+            environment: params.environment,
+            teams: [{
+                    faction: FRIENDLY_TEAM
+                }, {
+                    faction: ENEMY_TEAM
+                }],
+            spacecrafts: spacecrafts,
+            events: events
+        };
+    }
+    // -------------------------------------------------------------------------
+    // The public interface of the module
+    return {
+        ObjectiveType: ObjectiveType,
+        MAX_WINGMEN: MAX_WINGMEN,
+        MAX_ENEMIES_PER_WAVE: MAX_ENEMIES_PER_WAVE,
+        MAX_WAVES: WAVE_SQUADS.length,
+        getFighterClassNames: getFighterClassNames,
+        getShipClassNames: getShipClassNames,
+        generateMissionData: generateMissionData
+    };
+});
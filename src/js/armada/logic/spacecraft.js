@@ -131,6 +131,30 @@ define([
              * @type Number
              */
             MINIMUM_COLLISION_SOUND_INTERVAL = 250,
+            /**
+             * The number of game update snapshots received from the host that are kept for each spacecraft by multiplayer guests for
+             * interpolating their state
+             * @type Number
+             */
+            MULTI_SNAPSHOT_COUNT = 20,
+            /**
+             * The number of locally predicted states of the piloted spacecraft that are kept by multiplayer guests to compare with the
+             * state received from the host
+             * @type Number
+             */
+            MULTI_PREDICTION_COUNT = 120,
+            /**
+             * The thrust and angular thrust of spacecrafts is multiplied by this factor when their propulsion subsystem is destroyed
+             * (scaling linearly up to 1 for intact propulsion)
+             * @type Number
+             */
+            DESTROYED_PROPULSION_EFFICIENCY = 0.25,
+            /**
+             * The sensor range of spacecrafts is multiplied by this factor when their sensors subsystem is destroyed (scaling linearly up
+             * to 1 for intact sensors)
+             * @type Number
+             */
+            DESTROYED_SENSORS_EFFICIENCY = 0.25,
             // ------------------------------------------------------------------------------
             // private variables
             /**
@@ -169,6 +193,40 @@ define([
              * @type Number
              */
             _scoreFactorForKill,
+            /**
+             * Cached value of the configuration setting of the maximum time for which the state of spacecrafts is extrapolated by
+             * multiplayer guests when no newer host snapshot is available, in milliseconds
+             * @type Number
+             */
+            _maxMultiExtrapolationTime,
+            /**
+             * Cached value of the configuration setting of the distance above which the predicted position of the piloted spacecraft is
+             * reset to the one received from the host instead of being corrected smoothly, in meters
+             * @type Number
+             */
+            _multiPredictionSnapDistance,
+            /**
+             * Cached value of the configuration setting of the ratio of the prediction error of the piloted spacecraft that is corrected
+             * per second
+             * @type Number
+             */
+            _multiPredictionCorrectionRate,
+            /**
+             * Cached value of the configuration setting of the factor for the capability of a system that receives no power
+             * @type Number
+             */
+            _powerMinimumFactor,
+            /**
+             * Cached value of the configuration setting of the factor for the capability of a system that receives all the power
+             * @type Number
+             */
+            _powerMaximumFactor,
+            /**
+             * The list of systems among which the reactor output is distributed, in the order they receive the remainder of a balanced
+             * distribution
+             * @type String[]
+             */
+            _powerSystems = utils.getEnumValues(classes.PowerSystem),
             /**
              * Whether we are playing multiplayer as a guest (not host)
              * @type Boolean
@@ -303,6 +361,89 @@ define([
         return time;
     };
     // #########################################################################
+    /**
+     * @class
+     * A part of a spacecraft (engines, shield generator...) that can be damaged separately by hits landing inside its hit boxes, degrading
+     * the corresponding capability of the spacecraft
+     * @param {SubsystemDescriptor} descriptor The descriptor object holding the type, hitpoints and hit boxes of the subsystem
+     */
+    function Subsystem(descriptor) {
+        /**
+         * Holds the type, hitpoints and hit boxes of the subsystem
+         * @type SubsystemDescriptor
+         */
+        this._descriptor = descriptor;
+        /**
+         * The current amount of hitpoints of the subsystem
+         * @type Number
+         */
+        this._hitpoints = descriptor.hitpoints;
+    }
+    /**
+     * Returns the type of the subsystem (see classes.SubsystemType)
+     * @returns {String}
+     */
+    Subsystem.prototype.getType = function () {
+        return this._descriptor.type;
+    };
+    /**
+     * Returns the indices of the weapon slots whose weapons are disabled when this subsystem is destroyed (null means all of them)
+     * @returns {Number[]|null}
+     */
+    Subsystem.prototype.getWeaponSlots = function () {
+        return this._descriptor.weaponSlots;
+    };
+    /**
+     * Returns the name of the subsystem in a way that can be displayed to the user (translated)
+     * @returns {String}
+     */
+    Subsystem.prototype.getDisplayName = function () {
+        return strings.get(strings.SUBSYSTEM.PREFIX, this._descriptor.type);
+    };
+    /**
+     * Returns the current integrity ratio of the subsystem - a number between 0.0 (destroyed) and 1.0 (intact)
+     * @returns {Number}
+     */
+    Subsystem.prototype.getIntegrity = function () {
+        return this._hitpoints / this._descriptor.hitpoints;
+    };
+    /**
+     * Directly sets the integrity ratio of the subsystem
+     * @param {Number} ratio
+     */
+    Subsystem.prototype.setIntegrity = function (ratio) {
+        this._hitpoints = Math.min(Math.max(0, ratio), 1) * this._descriptor.hitpoints;
+    };
+    /**
+     * Returns whether the subsystem has been destroyed
+     * @returns {Boolean}
+     */
+    Subsystem.prototype.isDestroyed = function () {
+        return this._hitpoints <= 0;
+    };
+    /**
+     * Returns whether the passed position is inside any of the hit boxes of the subsystem
+     * @param {Number[4]} relativePositionVector The position in model space
+     * @param {Number} offset The hit boxes are extended by this much in all directions
+     * @returns {Boolean}
+     */
+    Subsystem.prototype.containsPoint = function (relativePositionVector, offset) {
+        var i;
+        for (i = 0; i < this._descriptor.bodies.length; i++) {
+            if (this._descriptor.bodies[i].containsPoint(relativePositionVector, offset)) {
+                return true;
+            }
+        }
+        return false;
+    };
+    /**
+     * Deals the passed amount of damage to the subsystem
+     * @param {Number} damage
+     */
+    Subsystem.prototype.damage = function (damage) {
+        this._hitpoints = Math.max(0, this._hitpoints - damage);
+    };
+    // #########################################################################
     /**
      * @class Represents a specific spacecraft (fighter, warship, freighter, space
      * station etc.) in the game.
@@ -486,6 +627,16 @@ define([
          * @type Shield
          */
         this._shield = null;
+        /**
+         * The booster (afterburner) this spacecraft is equipped with.
+         * @type Booster
+         */
+        this._booster = null;
+        /**
+         * The countermeasure launcher this spacecraft is equipped with.
+         * @type CountermeasureLauncher
+         */
+        this._countermeasureLauncher = null;
         /**
          * The maneuvering computer of this spacecraft that translates high
          * level maneuvering commands issued to this craft into thruster control.
@@ -497,6 +648,16 @@ define([
          * @type Boolean
          */
         this._firingDisabled = false;
+        /**
+         * The subsystems of the spacecraft that can be damaged separately, degrading its capabilities
+         * @type Subsystem[]
+         */
+        this._subsystems = null;
+        /**
+         * The amount of power units of the reactor output allocated to each system (the keys are from enum classes.PowerSystem)
+         * @type Object.<String, Number>
+         */
+        this._powerLevels = null;
         /**
          * Set to true by the jump engine while the jump sequence is underway - the
          * spacecraft is not allowed to fire during this time
@@ -528,6 +689,12 @@ define([
          * @type Spacecraft[]
          */
         this._targetedBy = null;
+        /**
+         * The order (enum WingmenOrder defined in ai.js) the spacecraft has been given by its squad leader with the last command it
+         * received (null if the last command did not come from the squad leader)
+         * @type String
+         */
+        this._activeOrder = null;
         /**
          * The data passed to the event handlers for the "being hit" event (to avoid creating a new object on each hit)
          * @type SpacecraftEvents~BeingHitData
@@ -705,6 +872,24 @@ define([
          * @type Float32Array
          */
         this._multiGuestData = new Float32Array(MULTI_GUEST_DATA_LENGTH);
+        /**
+         * The last game update snapshots received from the host about this spacecraft (oldest first), used by multiplayer guests to
+         * interpolate its state (created when the first snapshot is added)
+         * @type Spacecraft~MultiSnapshot[]
+         */
+        this._multiSnapshots = null;
+        /**
+         * The states of this spacecraft predicted locally in the last simulation steps (oldest first), used by multiplayer guests to
+         * determine the prediction error of their piloted spacecraft when an update arrives from the host (created when the first
+         * state is recorded)
+         * @type Spacecraft~MultiPrediction[]
+         */
+        this._multiPredictions = null;
+        /**
+         * The prediction error of the position of this (piloted) spacecraft that is yet to be corrected, in world coordinates
+         * @type Number[3]
+         */
+        this._multiCorrection = [0, 0, 0];
         // initializing the properties based on the parameters
         if (spacecraftClass) {
             this._init(spacecraftClass, name, positionMatrix, orientationMatrix, loadoutName, spacecraftArray, environment);
@@ -724,7 +909,7 @@ define([
      * @see Spacecraft
      */
     Spacecraft.prototype._init = function (spacecraftClass, name, positionMatrix, orientationMatrix, loadoutName, spacecraftArray, environment) {
-        var i, blinkerDescriptors;
+        var i, blinkerDescriptors, subsystemDescriptors;
         this._class = spacecraftClass;
         this._name = name || "";
         this._alive = true;
@@ -752,12 +937,20 @@ define([
         for (i = 0; i < blinkerDescriptors.length; i++) {
             this._blinkers.push(new Blinker(blinkerDescriptors[i]));
         }
+        this._subsystems = [];
+        subsystemDescriptors = this._class.getSubsystems();
+        for (i = 0; i < subsystemDescriptors.length; i++) {
+            this._subsystems.push(new Subsystem(subsystemDescriptors[i]));
+        }
+        this._powerLevels = {};
+        this._setBalancedPowerLevels();
         this._spotLights = [];
         // equipping the craft if a loadout name was given
         if (loadoutName) {
             this.equipLoadout(this._class.getLoadout(loadoutName));
         }
         this._targetedBy = [];
+        this._activeOrder = null;
         this._eventHandlers = {};
         this._team = null;
         this._kills = 0;
@@ -1006,6 +1199,291 @@ define([
             this._shield.setIntegrity(Math.min(Math.max(0, ratio), 1));
         }
     };
+    /**
+     * Returns whether the spacecraft has a booster (afterburner) equipped.
+     * @returns {Boolean}
+     */
+    Spacecraft.prototype.hasBooster = function () {
+        return !!this._booster;
+    };
+    /**
+     * Returns the ratio of the fuel left in the booster of the spacecraft (0.0: empty or no booster, 1.0: full)
+     * @returns {Number}
+     */
+    Spacecraft.prototype.getBoosterFuelRatio = function () {
+        return this._booster ? this._booster.getFuelRatio() : 0;
+    };
+    /**
+     * Returns whether the booster of the spacecraft is currently engaged.
+     * @returns {Boolean}
+     */
+    Spacecraft.prototype.isBoosting = function () {
+        return !!this._booster && this._booster.isEngaged();
+    };
+    /**
+     * Engages the booster of the spacecraft, if it has one with fuel left.
+     * @returns {Boolean} Whether the booster has been engaged
+     */
+    Spacecraft.prototype.engageBooster = function () {
+        return !!this._booster && this._booster.engage();
+    };
+    /**
+     * Disengages the booster of the spacecraft, if it is engaged.
+     * @returns {Boolean} Whether the booster has been disengaged
+     */
+    Spacecraft.prototype.disengageBooster = function () {
+        return !!this._booster && this._booster.disengage();
+    };
+    /**
+     * Returns whether the spacecraft has a countermeasure launcher equipped.
+     * @returns {Boolean}
+     */
+    Spacecraft.prototype.hasCountermeasures = function () {
+        return !!this._countermeasureLauncher;
+    };
+    /**
+     * Returns the name of the countermeasures equipped on this spacecraft in a way that can be presented to the user (translated)
+     * @returns {String}
+     */
+    Spacecraft.prototype.getCountermeasureDisplayName = function () {
+        return this._countermeasureLauncher.getDisplayName();
+    };
+    /**
+     * Returns the number of countermeasures the spacecraft has left to release.
+     * @returns {Number}
+     */
+    Spacecraft.prototype.getCountermeasureCount = function () {
+        return this._countermeasureLauncher ? this._countermeasureLauncher.getCount() : 0;
+    };
+    /**
+     * Releases a countermeasure, if the spacecraft has a launcher that is ready.
+     * @returns {Boolean} Whether a countermeasure has been released
+     */
+    Spacecraft.prototype.launchCountermeasure = function () {
+        return !!this._countermeasureLauncher && this._alive && !this._away && this._countermeasureLauncher.launch();
+    };
+    /**
+     * Returns the subsystems of the spacecraft that can be damaged separately
+     * @returns {Subsystem[]}
+     */
+    Spacecraft.prototype.getSubsystems = function () {
+        return this._subsystems;
+    };
+    /**
+     * Returns the current integrity ratio of the subsystems of the passed type - that of the most damaged one, if the spacecraft has 
+     * more than one of them. Returns 1 if the spacecraft has no subsystems of the passed type, and 0 if it has been destroyed.
+     * @param {String} type (enum classes.SubsystemType)
+     * @returns {Number}
+     */
+    Spacecraft.prototype.getSubsystemIntegrity = function (type) {
+        var i, result = 1;
+        if (!this._subsystems) {
+            return 0;
+        }
+        for (i = 0; i < this._subsystems.length; i++) {
+            if (this._subsystems[i].getType() === type) {
+                result = Math.min(result, this._subsystems[i].getIntegrity());
+            }
+        }
+        return result;
+    };
+    /**
+     * Directly sets the integrity ratio of all the subsystems of the passed type, updating the capabilities of the spacecraft accordingly
+     * @param {String} type (enum classes.SubsystemType)
+     * @param {Number} ratio
+     */
+    Spacecraft.prototype.setSubsystemIntegrity = function (type, ratio) {
+        var i;
+        for (i = 0; i < this._subsystems.length; i++) {
+            if (this._subsystems[i].getType() === type) {
+                this._subsystems[i].setIntegrity(ratio);
+            }
+        }
+        this._updateSubsystemEffects(type);
+    };
+    /**
+     * Updates the capability of the spacecraft that depends on the subsystems of the passed type to reflect their current integrity
+     * @param {String} type (enum classes.SubsystemType)
+     */
+    Spacecraft.prototype._updateSubsystemEffects = function (type) {
+        var i, j, integrity = this.getSubsystemIntegrity(type), weaponSlots, slotIndex;
+        switch (type) {
+            case classes.SubsystemType.PROPULSION:
+                this._updatePropulsionEfficiency();
+                break;
+            case classes.SubsystemType.WEAPONS:
+                // a weapon is disabled if any of the destroyed weapons subsystems covers its slot
+                for (i = 0; i < this._weapons.length; i++) {
+                    this._weapons[i].setDisabled(false);
+                }
+                for (i = 0; i < this._subsystems.length; i++) {
+                    if ((this._subsystems[i].getType() === type) && this._subsystems[i].isDestroyed()) {
+                        weaponSlots = this._subsystems[i].getWeaponSlots();
+                        for (j = 0; j < this._weapons.length; j++) {
+                            slotIndex = this._class.getWeaponSlots().indexOf(this._weapons[j].getSlot());
+                            if (!weaponSlots || (weaponSlots.indexOf(slotIndex) >= 0)) {
+                                this._weapons[j].setDisabled(true);
+                            }
+                        }
+                    }
+                }
+                break;
+            case classes.SubsystemType.SHIELD:
+                this._updateShieldEfficiency();
+                break;
+            case classes.SubsystemType.JUMP_ENGINE:
+                // a destroyed jump drive cancels the jump out sequence, if it is still being prepared
+                if ((integrity <= 0) && this._isJumping && this._jumpEngine) {
+                    this._jumpEngine.jumpOut(true);
+                }
+                break;
+            case classes.SubsystemType.SENSORS:
+                this._targetingComputer.setSensorsEfficiency(DESTROYED_SENSORS_EFFICIENCY + (1 - DESTROYED_SENSORS_EFFICIENCY) * integrity);
+                break;
+            default:
+                application.showError("Unknown subsystem type: '" + type + "'!");
+        }
+    };
+    /**
+     * Updates the efficiency of the propulsion based on the integrity of the propulsion subsystems and the power allocated to the engines
+     */
+    Spacecraft.prototype._updatePropulsionEfficiency = function () {
+        var integrity;
+        if (this._propulsion) {
+            integrity = this.getSubsystemIntegrity(classes.SubsystemType.PROPULSION);
+            this._propulsion.setEfficiency(
+                    (DESTROYED_PROPULSION_EFFICIENCY + (1 - DESTROYED_PROPULSION_EFFICIENCY) * integrity) *
+                    this.getPowerFactor(classes.PowerSystem.ENGINES));
+            this._updateForPropulsion();
+        }
+    };
+    /**
+     * Updates the efficiency of the shield based on the integrity of the shield subsystems and the power allocated to the shields
+     */
+    Spacecraft.prototype._updateShieldEfficiency = function () {
+        if (this._shield) {
+            this._shield.setEfficiency(this.getSubsystemIntegrity(classes.SubsystemType.SHIELD) * this.getPowerFactor(classes.PowerSystem.SHIELDS));
+        }
+    };
+    /**
+     * Updates the cooldown factor of all weapons based on the power allocated to the weapons
+     */
+    Spacecraft.prototype._updateWeaponCooldownFactors = function () {
+        var i, factor = this.getPowerFactor(classes.PowerSystem.WEAPONS);
+        for (i = 0; i < this._weapons.length; i++) {
+            this._weapons[i].setCooldownFactor(factor);
+        }
+    };
+    /**
+     * Returns the amount of power units the reactor of this spacecraft produces (zero if the spacecraft has no power management)
+     * @returns {Number}
+     */
+    Spacecraft.prototype.getReactorOutput = function () {
+        return this._class.getReactorOutput();
+    };
+    /**
+     * Returns the amount of power units currently allocated to the passed system
+     * @param {String} system (enum classes.PowerSystem)
+     * @returns {Number}
+     */
+    Spacecraft.prototype.getPowerLevel = function (system) {
+        return this._powerLevels ? this._powerLevels[system] : 0;
+    };
+    /**
+     * Returns the factor by which the capability (shield recharge rate, weapon cooldown speed or engine thrust) of the passed system is
+     * multiplied based on the power currently allocated to it. It is 1 for a balanced distribution or if the spacecraft has no power
+     * management, changing linearly down to the minimum factor for no power and up to the maximum factor for all the power.
+     * @param {String} system (enum classes.PowerSystem)
+     * @returns {Number}
+     */
+    Spacecraft.prototype.getPowerFactor = function (system) {
+        var output = this.getReactorOutput(), level, balanced;
+        if ((output <= 0) || !this._powerLevels) {
+            return 1;
+        }
+        level = this._powerLevels[system];
+        balanced = output / _powerSystems.length;
+        return (level <= balanced) ?
+                _powerMinimumFactor + (1 - _powerMinimumFactor) * level / balanced :
+                1 + (_powerMaximumFactor - 1) * (level - balanced) / (output - balanced);
+    };
+    /**
+     * Distributes the reactor output evenly among the systems (the remainder going to the systems in the order of the enum)
+     */
+    Spacecraft.prototype._setBalancedPowerLevels = function () {
+        var i, output = this.getReactorOutput();
+        for (i = 0; i < _powerSystems.length; i++) {
+            this._powerLevels[_powerSystems[i]] = Math.floor(output / _powerSystems.length) + ((i < output % _powerSystems.length) ? 1 : 0);
+        }
+    };
+    /**
+     * Updates the capabilities of all the systems of the spacecraft to reflect the current power distribution
+     */
+    Spacecraft.prototype._updatePowerEffects = function () {
+        this._updateShieldEfficiency();
+        this._updateWeaponCooldownFactors();
+        this._updatePropulsionEfficiency();
+    };
+    /**
+     * Reallocates one unit of power to the passed system, taking it from the other system which currently has the most power.
+     * @param {String} system (enum classes.PowerSystem)
+     * @returns {Boolean} Whether the power distribution changed
+     */
+    Spacecraft.prototype.transferPower = function (system) {
+        var i, source = null;
+        if (!this._powerLevels || (this.getReactorOutput() <= 0)) {
+            return false;
+        }
+        for (i = 0; i < _powerSystems.length; i++) {
+            if ((_powerSystems[i] !== system) && (this._powerLevels[_powerSystems[i]] > 0) &&
+                    (!source || (this._powerLevels[_powerSystems[i]] > this._powerLevels[source]))) {
+                source = _powerSystems[i];
+            }
+        }
+        if (!source) {
+            return false;
+        }
+        this._powerLevels[source]--;
+        this._powerLevels[system]++;
+        this._updatePowerEffects();
+        return true;
+    };
+    /**
+     * Distributes the reactor output evenly among the systems
+     * @returns {Boolean} Whether the power distribution changed
+     */
+    Spacecraft.prototype.balancePower = function () {
+        var i, levels;
+        if (!this._powerLevels || (this.getReactorOutput() <= 0)) {
+            return false;
+        }
+        levels = _powerSystems.map(function (system) {
+            return this._powerLevels[system];
+        }, this);
+        this._setBalancedPowerLevels();
+        for (i = 0; i < _powerSystems.length; i++) {
+            if (this._powerLevels[_powerSystems[i]] !== levels[i]) {
+                this._updatePowerEffects();
+                return true;
+            }
+        }
+        return false;
+    };
+    /**
+     * Deals the passed amount of damage to all the subsystems of the spacecraft that are located at the passed position
+     * @param {Number} damage
+     * @param {Number[4]} damagePosition The position of the hit in model space
+     * @param {Number} offset The offset value that was used during the hitcheck
+     */
+    Spacecraft.prototype._damageSubsystems = function (damage, damagePosition, offset) {
+        var i;
+        for (i = 0; i < this._subsystems.length; i++) {
+            if (!this._subsystems[i].isDestroyed() && this._subsystems[i].containsPoint(damagePosition, offset)) {
+                this._subsystems[i].damage(damage);
+                this._updateSubsystemEffects(this._subsystems[i].getType());
+            }
+        }
+    };
     /**
      * Returns the current capacity of the equipped shield (if any)
      * @returns {Number}
@@ -1048,6 +1526,14 @@ define([
     Spacecraft.prototype.getVisualModel = function () {
         return this._visualModel;
     };
+    /**
+     * Returns the size of the spacecraft in world space (taken from the visual model if the spacecraft has been added to a scene,
+     * otherwise calculated from the model of its class)
+     * @returns {Number}
+     */
+    Spacecraft.prototype.getSize = function () {
+        return this._visualModel ? this._visualModel.getScaledSize() : this._class.getModel().getSize() * this._physicalModel.getScalingMatrix()[0];
+    };
     /**
      * Returns the object used for the physics simulation of this spacecraft.
      * @returns {PhysicalObject}
@@ -1610,6 +2096,21 @@ define([
     Spacecraft.prototype.unlockManeuvering = function () {
         this._maneuveringComputer.setLocked(false);
     };
+    /**
+     * Sets the speed the spacecraft should accelerate to regardless of its flight mode (used while the booster is engaged, zero 
+     * cancels it)
+     * @param {Number} value In m/s
+     */
+    Spacecraft.prototype.setBoostSpeed = function (value) {
+        this._maneuveringComputer.setBoostSpeed(value);
+    };
+    /**
+     * Returns the speed the spacecraft is accelerating to with its booster engaged (zero if the booster is not engaged), in m/s
+     * @returns {Number}
+     */
+    Spacecraft.prototype.getBoostSpeed = function () {
+        return this._maneuveringComputer.getBoostSpeed();
+    };
     /**
      * Returns a string representation of the current flight mode set for this
      * craft. (free / combat / cruise)
@@ -1897,6 +2398,8 @@ define([
      * @property {Boolean} blinkers
      * @property {Boolean} jumpEngine
      * @property {Boolean} shield
+     * @property {Boolean} booster
+     * @property {Boolean} countermeasures
      * @property {Boolean} sound
      * @property {Boolean} [self=true]
      */
@@ -2081,6 +2584,78 @@ define([
             callback(visualModel);
         }
     };
+    /**
+     * Requests the loading of all the resources needed to add this spacecraft
+     * to a scene with the passed supplements.
+     * @param {Spacecraft~Supplements} addSupplements
+     * @param {Spacecraft~AddToSceneParams} params
+     */
+    Spacecraft.prototype.acquireSceneResources = function (addSupplements, params) {
+        var i, blinkerDescriptors, weaponParams, missileParams;
+        this.acquireResources((addSupplements.hitboxes === true), {
+            omitShader: !!params.shaderName,
+            explosion: addSupplements.explosion,
+            damageIndicators: addSupplements.damageIndicators,
+            blinkers: addSupplements.blinkers,
+            sound: addSupplements.sound
+        });
+        if (params.shaderName) {
+            graphics.getShader(params.shaderName);
+        }
+        if (addSupplements.weapons === true) {
+            weaponParams = {omitShader: !!params.shaderName, projectileResources: addSupplements.projectileResources, sound: addSupplements.sound};
+            for (i = 0; i < this._weapons.length; i++) {
+                this._weapons[i].acquireResources(weaponParams);
+            }
+        }
+        if (addSupplements.missileResources === true) {
+            missileParams = {omitShader: !!params.shaderName, missileOnly: false, sound: addSupplements.sound, trail: true};
+            for (i = 0; i < this._missileLaunchers.length; i++) {
+                this._missileLaunchers[i].acquireResources(missileParams);
+            }
+        } else if (addSupplements.missilesInLaunchers === true) {
+            missileParams = {omitShader: !!params.shaderName, missileOnly: true, sound: addSupplements.sound};
+            for (i = 0; i < this._missileLaunchers.length; i++) {
+                this._missileLaunchers[i].acquireResources(missileParams);
+            }
+        }
+        // add the thruster particles
+        if (addSupplements.thrusterParticles === true) {
+            if (this._propulsion) {
+                this._propulsion.addThrusters(this._class.getThrusterSlots());
+                this._propulsion.acquireResources({sound: addSupplements.sound});
+            }
+        }
+        if (addSupplements.jumpEngine === true) {
+            if (this._jumpEngine) {
+                this._jumpEngine.acquireResources({sound: addSupplements.sound});
+            }
+        }
+        if (addSupplements.shield === true) {
+            if (this._shield) {
+                this._shield.acquireResources({sound: addSupplements.sound});
+            }
+        }
+        if (addSupplements.booster === true) {
+            if (this._booster) {
+                this._booster.acquireResources({sound: addSupplements.sound});
+            }
+        }
+        if (addSupplements.countermeasures === true) {
+            if (this._countermeasureLauncher) {
+                this._countermeasureLauncher.acquireResources({sound: addSupplements.sound});
+            }
+        }
+        if (addSupplements.explosion === true) {
+            this._class.getExplosionClass().acquireResources({sound: addSupplements.sound});
+        }
+        if (addSupplements.blinkers === true) {
+            blinkerDescriptors = this._class.getBlinkerDescriptors();
+            for (i = 0; i < blinkerDescriptors.length; i++) {
+                blinkerDescriptors[i].acquireResources();
+            }
+        }
+    };
     /**
      * Creates and adds the renderable objects to represent this spacecraft to
      * the passed scene.
@@ -2100,62 +2675,8 @@ define([
      * @param {logic~addToSceneCallback} [missileCallback]
      */
     Spacecraft.prototype.addToScene = function (scene, lod, wireframe, addSupplements, params, callback, weaponCallback, missileCallback) {
-        var i, blinkerDescriptors, weaponParams, missileParams;
-        // getting resources
         if (!params.skipResources) {
-            this.acquireResources((addSupplements.hitboxes === true), {
-                omitShader: !!params.shaderName,
-                explosion: addSupplements.explosion,
-                damageIndicators: addSupplements.damageIndicators,
-                blinkers: addSupplements.blinkers,
-                sound: addSupplements.sound
-            });
-            if (params.shaderName) {
-                graphics.getShader(params.shaderName);
-            }
-            if (addSupplements.weapons === true) {
-                weaponParams = {omitShader: !!params.shaderName, projectileResources: addSupplements.projectileResources, sound: addSupplements.sound};
-                for (i = 0; i < this._weapons.length; i++) {
-                    this._weapons[i].acquireResources(weaponParams);
-                }
-            }
-            if (addSupplements.missileResources === true) {
-                missileParams = {omitShader: !!params.shaderName, missileOnly: false, sound: addSupplements.sound, trail: true};
-                for (i = 0; i < this._missileLaunchers.length; i++) {
-                    this._missileLaunchers[i].acquireResources(missileParams);
-                }
-            } else if (addSupplements.missilesInLaunchers === true) {
-                missileParams = {omitShader: !!params.shaderName, missileOnly: true, sound: addSupplements.sound};
-                for (i = 0; i < this._missileLaunchers.length; i++) {
-                    this._missileLaunchers[i].acquireResources(missileParams);
-                }
-            }
-            // add the thruster particles
-            if (addSupplements.thrusterParticles === true) {
-                if (this._propulsion) {
-                    this._propulsion.addThrusters(this._class.getThrusterSlots());
-                    this._propulsion.acquireResources({sound: addSupplements.sound});
-                }
-            }
-            if (addSupplements.jumpEngine === true) {
-                if (this._jumpEngine) {
-                    this._jumpEngine.acquireResources({sound: addSupplements.sound});
-                }
-            }
-            if (addSupplements.shield === true) {
-                if (this._shield) {
-                    this._shield.acquireResources({sound: addSupplements.sound});
-                }
-            }
-            if (addSupplements.explosion === true) {
-                this._class.getExplosionClass().acquireResources({sound: addSupplements.sound});
-            }
-            if (addSupplements.blinkers === true) {
-                blinkerDescriptors = this._class.getBlinkerDescriptors();
-                for (i = 0; i < blinkerDescriptors.length; i++) {
-                    blinkerDescriptors[i].acquireResources();
-                }
-            }
+            this.acquireSceneResources(addSupplements, params);
         }
         resources.executeWhenReady(this.addToSceneNow.bind(this, scene, lod, wireframe, addSupplements, params, callback, weaponCallback, missileCallback));
     };
@@ -2200,6 +2721,12 @@ define([
         if (this._shield) {
             this._scoreValue += this._shield.getScoreValue();
         }
+        if (this._booster) {
+            this._scoreValue += this._booster.getScoreValue();
+        }
+        if (this._countermeasureLauncher) {
+            this._scoreValue += this._countermeasureLauncher.getScoreValue();
+        }
     };
     /**
      * Equips a weapon of the given class on the ship.
@@ -2256,6 +2783,13 @@ define([
      */
     Spacecraft.prototype._addPropulsion = function (propulsionClass) {
         this._propulsion = new equipment.Propulsion(propulsionClass, this._physicalModel);
+        this._updateForPropulsion();
+    };
+    /**
+     * Updates the cached values that depend on the thrust of the equipped propulsion system (after it has been equipped or its 
+     * efficiency has changed)
+     */
+    Spacecraft.prototype._updateForPropulsion = function () {
         this._maneuveringComputer.updateForNewPropulsion();
         this._maneuveringComputer.updateTurningLimit();
         this._topSpeed = (physics.getDrag() && this._class.getDragFactor()) ? Math.sqrt(this.getMaxAcceleration() / (physics.getDrag() * this._class.getDragFactor())) : 0;
@@ -2286,6 +2820,30 @@ define([
     Spacecraft.prototype._addShield = function (shieldClass) {
         this._shield = new equipment.Shield(shieldClass, this);
     };
+    /**
+     * Equips a booster of the given class to the ship, replacing the
+     * previous booster, if one was equipped.
+     * @param {BoosterClass} boosterClass
+     */
+    Spacecraft.prototype._addBooster = function (boosterClass) {
+        if (this._booster) {
+            this._booster.disengage();
+            this._booster.destroy();
+        }
+        this._booster = new equipment.Booster(boosterClass, this);
+    };
+    /**
+     * Equips a countermeasure launcher loaded with countermeasures of the given class to the ship, replacing the previous launcher, 
+     * if one was equipped.
+     * @param {CountermeasureClass} countermeasureClass
+     * @param {Number} [amount] The number of countermeasures to load (default: the capacity of the class)
+     */
+    Spacecraft.prototype._addCountermeasureLauncher = function (countermeasureClass, amount) {
+        if (this._countermeasureLauncher) {
+            this._countermeasureLauncher.destroy();
+        }
+        this._countermeasureLauncher = new equipment.CountermeasureLauncher(countermeasureClass, this, amount);
+    };
     /**
      * Removes all equipment from the spacecraft.
      */
@@ -2305,6 +2863,15 @@ define([
             this._propulsion.destroy();
         }
         this._propulsion = null;
+        if (this._booster) {
+            this._booster.disengage();
+            this._booster.destroy();
+        }
+        this._booster = null;
+        if (this._countermeasureLauncher) {
+            this._countermeasureLauncher.destroy();
+        }
+        this._countermeasureLauncher = null;
         this._maneuveringComputer.updateForNewPropulsion();
         this._maneuveringComputer.updateTurningLimit();
         this._targetingComputer.updateSensors();
@@ -2338,9 +2905,16 @@ define([
             if (loadout.getShieldDescriptor() !== null) {
                 this._addShield(classes.getShieldClass(loadout.getShieldDescriptor().className));
             }
+            if (loadout.getBoosterDescriptor() !== null) {
+                this._addBooster(classes.getBoosterClass(loadout.getBoosterDescriptor().className));
+            }
+            if (loadout.getCountermeasureDescriptor() !== null) {
+                this._addCountermeasureLauncher(classes.getCountermeasureClass(loadout.getCountermeasureDescriptor().className), loadout.getCountermeasureDescriptor().amount);
+            }
         } else {
             application.log_DEBUG("WARNING: equipping empty loadout on " + this._class.getName() + "!");
         }
+        this._updatePowerEffects();
         this._updateScoreValue();
     };
     /**
@@ -2357,6 +2931,9 @@ define([
      */
     Spacecraft.prototype.getSoundSourceForFireSound = function () {
         var posInCameraSpace;
+        if (!this._soundSource) {
+            return null;
+        }
         posInCameraSpace = this.getPositionMatrixInCameraSpace();
         if ((Math.abs(posInCameraSpace[12]) <= _weaponFireSoundStackMinimumDistance) &&
                 (Math.abs(posInCameraSpace[13]) <= _weaponFireSoundStackMinimumDistance) &&
@@ -2369,13 +2946,17 @@ define([
      * Fires all of the ship's weapons.
      * @param {Boolean} onlyIfAimedOrFixed Only those weapons are fired which are fixed (cannot be rotated) and those that can be rotated
      * and are currently aimed at their target.
+     * @param {Boolean} [onlyWithOwnTarget=false] Only those weapons are fired which have their own target assigned by the fire control
      */
-    Spacecraft.prototype.fire = function (onlyIfAimedOrFixed) {
+    Spacecraft.prototype.fire = function (onlyIfAimedOrFixed, onlyWithOwnTarget) {
         var i, scaledOriMatrix, fired = false, projectileCount, soundSource;
         if (!this._firingDisabled && !this._isJumping) {
             scaledOriMatrix = this.getScaledOriMatrix();
             soundSource = this.getSoundSourceForFireSound();
             for (i = 0; i < this._weapons.length; i++) {
+                if (onlyWithOwnTarget && !this._weapons[i].getOwnTarget()) {
+                    continue;
+                }
                 projectileCount = this._weapons[i].fire(scaledOriMatrix, onlyIfAimedOrFixed, soundSource);
                 fired = (projectileCount > 0) || fired;
                 this._shotsFired += projectileCount;
@@ -2579,6 +3160,21 @@ define([
     Spacecraft.prototype.getTargetingSpacecrafts = function () {
         return this._targetedBy;
     };
+    /**
+     * Returns the order (enum WingmenOrder defined in ai.js) the spacecraft has been given by its squad leader with the last command
+     * it received (null if the last command did not come from the squad leader)
+     * @returns {String}
+     */
+    Spacecraft.prototype.getActiveOrder = function () {
+        return this._activeOrder;
+    };
+    /**
+     * Sets the order the spacecraft has been given by its squad leader (null to clear it)
+     * @param {String} value (enum WingmenOrder defined in ai.js)
+     */
+    Spacecraft.prototype.setActiveOrder = function (value) {
+        this._activeOrder = value;
+    };
     /**
      * Targets the given spacecraft and executes related operations, such as changing target views. 
      * @param {Spacecraft|null} target If null is given, the current target will be canceled.
@@ -2610,6 +3206,14 @@ define([
     Spacecraft.prototype.targetNextBestHostile = function () {
         return this._targetingComputer.targetNextBestHostile();
     };
+    /**
+     * Sets the weights by which the preference of hostiles as targets is multiplied when using targetNextBestHostile(), by the names of
+     * their spacecraft types (types not listed have a weight of 1)
+     * @param {Object.<String, Number>} value
+     */
+    Spacecraft.prototype.setTargetPriorities = function (value) {
+        this._targetingComputer.setTargetPriorities(value);
+    };
     /**
      * Targets the next non-hostile (friendly or neutral) spacecraft, ordering the hostiles based on the angle between the spacecraft's 
      * direction and the vector pointing to the hostile spacecraft
@@ -2640,6 +3244,14 @@ define([
     Spacecraft.prototype.getMissileLockRatio = function () {
         return this._targetingComputer.getMissileLockRatio();
     };
+    /**
+     * Call when the current target releases countermeasures, to possibly break the missile lock on it
+     * @param {Number} effectiveness The chance of breaking the lock for missiles with no countermeasure resistance (0-1)
+     * @returns {Boolean} Whether the missile lock has been broken
+     */
+    Spacecraft.prototype.breakMissileLock = function (effectiveness) {
+        return this._targetingComputer.breakMissileLock(effectiveness);
+    };
     /**
      * 
      * @returns {Propulsion}
@@ -2683,6 +3295,13 @@ define([
     Spacecraft.prototype.isInSensorRange = function (craft) {
         return this._targetingComputer.isInRange(craft);
     };
+    /**
+     * Returns the current range of the sensors of this spacecraft (considering the environment and sensor damage), in meters
+     * @returns {Number}
+     */
+    Spacecraft.prototype.getSensorRange = function () {
+        return this._targetingComputer.getRange();
+    };
     /**
      * Show the models representing the hitboxes of this spacecraft.
      */
@@ -2733,6 +3352,10 @@ define([
         // armor rating decreases damage
         damage = Math.max(0, damage - this._class.getArmor());
         liveHit = this._hitpoints > 0;
+        // subsystems at the hit position are damaged alongside the hull
+        if (!_isMultiGuest && liveHit && (damage > 0)) {
+            this._damageSubsystems(damage, damagePosition, offset);
+        }
         // logic simulation: modify hitpoints
         this._hitpoints -= damage;
         if (this._hitpoints <= 0) {
@@ -2755,47 +3378,49 @@ define([
             }
             this._hitpoints = 0;
         } else {
-            // visual simulation: add damage indicators if needed
-            for (i = this._activeDamageIndicators.length; i < this._class.getDamageIndicators().length; i++) {
-                damageIndicator = this._class.getDamageIndicators()[i];
-                hitpointThreshold = damageIndicator.hullIntegrity / 100 * this._maxHitpoints;
-                if ((this._hitpoints <= hitpointThreshold) && (this._hitpoints + damage > hitpointThreshold)) {
-                    // the original hitcheck might have had a large offset and so the hit position could be away from the ship
-                    // putting the damage indicator there would look weird, so let's try to find a point that is on the ship (hitbox) surface
-                    if (offset > 0) {
-                        // first, try to elongate the path of the projectile that hit
-                        damageIndicatorPosition = [0, 0, 0, 1];
-                        distToCenter = this._physicalModel.getBodySize();
-                        vec.setSum3(damageIndicatorPosition, damagePosition, vec.scaled3Aux(damageDir, -distToCenter));
-                        damageIndicatorPosition = this._physicalModel.checkHitRelative(damageIndicatorPosition, vec.scaled3(damageDir, -1), distToCenter, 0);
-                        if (!damageIndicatorPosition) {
-                            // if that doesn't work, do a second hitcheck towards the ship center with 0 offset and compare this new point on the ship surface, if far away enough, 
-                            // use it for damage indicator position instead of the original hit position
-                            dirToCenter = vec.scaled3(damagePosition, -1);
-                            distToCenter = vec.extractLength3(dirToCenter);
-                            damageIndicatorPosition = this._physicalModel.checkHitRelative(vec.NULL4W1, dirToCenter, distToCenter, 0);
-                        }
-                        if (!damageIndicatorPosition || (vec.length3Squared(damageIndicatorPosition, damagePosition) < MINIMUM_DISTANCE_FOR_DAMAGE_INDICATOR_HITCHECK_SQUARED)) {
-                            // the new position is close to the original one, just use the original one for the damage indicator
-                            damageIndicatorPosition = damagePosition;
-                        } else {
-                            // if we got the new indicator position from the second hitcheck towards the center, change damage direction accordingly
-                            if (dirToCenter) {
-                                damageDir = vec.scaled3(dirToCenter, -1);
+            // visual simulation: add damage indicators if needed (and if there are visuals)
+            if (this._visualModel) {
+                for (i = this._activeDamageIndicators.length; i < this._class.getDamageIndicators().length; i++) {
+                    damageIndicator = this._class.getDamageIndicators()[i];
+                    hitpointThreshold = damageIndicator.hullIntegrity / 100 * this._maxHitpoints;
+                    if ((this._hitpoints <= hitpointThreshold) && (this._hitpoints + damage > hitpointThreshold)) {
+                        // the original hitcheck might have had a large offset and so the hit position could be away from the ship
+                        // putting the damage indicator there would look weird, so let's try to find a point that is on the ship (hitbox) surface
+                        if (offset > 0) {
+                            // first, try to elongate the path of the projectile that hit
+                            damageIndicatorPosition = [0, 0, 0, 1];
+                            distToCenter = this._physicalModel.getBodySize();
+                            vec.setSum3(damageIndicatorPosition, damagePosition, vec.scaled3Aux(damageDir, -distToCenter));
+                            damageIndicatorPosition = this._physicalModel.checkHitRelative(damageIndicatorPosition, vec.scaled3(damageDir, -1), distToCenter, 0);
+                            if (!damageIndicatorPosition) {
+                                // if that doesn't work, do a second hitcheck towards the ship center with 0 offset and compare this new point on the ship surface, if far away enough, 
+                                // use it for damage indicator position instead of the original hit position
+                                dirToCenter = vec.scaled3(damagePosition, -1);
+                                distToCenter = vec.extractLength3(dirToCenter);
+                                damageIndicatorPosition = this._physicalModel.checkHitRelative(vec.NULL4W1, dirToCenter, distToCenter, 0);
+                            }
+                            if (!damageIndicatorPosition || (vec.length3Squared(damageIndicatorPosition, damagePosition) < MINIMUM_DISTANCE_FOR_DAMAGE_INDICATOR_HITCHECK_SQUARED)) {
+                                // the new position is close to the original one, just use the original one for the damage indicator
+                                damageIndicatorPosition = damagePosition;
+                            } else {
+                                // if we got the new indicator position from the second hitcheck towards the center, change damage direction accordingly
+                                if (dirToCenter) {
+                                    damageDir = vec.scaled3(dirToCenter, -1);
+                                }
                             }
+                        } else {
+                            damageIndicatorPosition = damagePosition;
                         }
-                    } else {
-                        damageIndicatorPosition = damagePosition;
+                        exp = explosion.getExplosion();
+                        exp.init(
+                                damageIndicator.explosionClass,
+                                mat.translation4vAux(damageIndicatorPosition),
+                                mat.IDENTITY4,
+                                damageDir,
+                                true);
+                        exp.addToSceneNow(this._visualModel.getNode(), this.getSoundSource());
+                        this._activeDamageIndicators.push(exp);
                     }
-                    exp = explosion.getExplosion();
-                    exp.init(
-                            damageIndicator.explosionClass,
-                            mat.translation4vAux(damageIndicatorPosition),
-                            mat.IDENTITY4,
-                            damageDir,
-                            true);
-                    exp.addToSceneNow(this._visualModel.getNode(), this.getSoundSource());
-                    this._activeDamageIndicators.push(exp);
                 }
             }
             if (!_isMultiGuest) {
@@ -2836,17 +3461,25 @@ define([
      * @param {Number} fireThreshold Weapons will only report an aimed status if the angle between their current and the target direction is 
      * less than this value, in radians.
      * @param {Number} dt the elapsed time since the last simulation step, based on which the amount of rotation will be calculated.
+     * @param {Number} [ownTargetFireThresholdFactor] If given, weapons that have their own target assigned by the fire control will aim
+     * at that target instead, and will report an aimed status if they are aimed within the angle under which an object of the size of 
+     * their target multiplied by this factor is visible at the distance of the target.
      */
-    Spacecraft.prototype.aimWeapons = function (turnThreshold, fireThreshold, dt) {
-        var futureTargetPosition, i, target = this.getTarget();
+    Spacecraft.prototype.aimWeapons = function (turnThreshold, fireThreshold, dt, ownTargetFireThresholdFactor) {
+        var futureTargetPosition, i, target = this.getTarget(), weapon, ownTargetPosition, ownTargetDistance;
         if (target && (this._weapons.length > 0)) {
             futureTargetPosition = this.getTargetHitPosition();
         }
         for (i = 0; i < this._weapons.length; i++) {
-            if (target && !this._firingDisabled && !this._isJumping) {
-                this._weapons[i].aimTowards(futureTargetPosition, turnThreshold, fireThreshold, this.getScaledOriMatrix(), dt);
+            weapon = this._weapons[i];
+            if (ownTargetFireThresholdFactor && weapon.getOwnTarget() && !this._firingDisabled && !this._isJumping) {
+                ownTargetPosition = weapon.getOwnTargetHitPosition();
+                ownTargetDistance = vec.length3(vec.diffVec3Mat4Aux(ownTargetPosition, this.getPhysicalPositionMatrix()));
+                weapon.aimTowards(ownTargetPosition, turnThreshold, Math.atan(ownTargetFireThresholdFactor * weapon.getOwnTargetSize() / ownTargetDistance), this.getScaledOriMatrix(), dt);
+            } else if (target && !this._firingDisabled && !this._isJumping) {
+                weapon.aimTowards(futureTargetPosition, turnThreshold, fireThreshold, this.getScaledOriMatrix(), dt);
             } else {
-                this._weapons[i].rotateToDefaultPosition(turnThreshold, dt);
+                weapon.rotateToDefaultPosition(turnThreshold, dt);
             }
         }
     };
@@ -2864,6 +3497,11 @@ define([
      */
     Spacecraft.prototype.jumpOut = function (toggle) {
         if (!this._away && this._jumpEngine) {
+            // with a destroyed jump drive, a new jump sequence cannot be initiated
+            if (!this._isJumping && (this.getSubsystemIntegrity(classes.SubsystemType.JUMP_ENGINE) <= 0)) {
+                application.log_DEBUG("Spacecraft '" + this.getDisplayName() + "' cannot jump out because its jump drive is destroyed!");
+                return false;
+            }
             return this._jumpEngine.jumpOut(toggle);
         } else {
             application.log_DEBUG("Warning! Spacecraft '" + this.getDisplayName() + "' cannot jump out because it is already away or has no jump engines!");
@@ -2915,6 +3553,11 @@ define([
         var i;
         this._alive = true;
         this._hitpoints = this._maxHitpoints;
+        for (i = 0; i < this._subsystems.length; i++) {
+            this._subsystems[i].setIntegrity(1);
+            this._updateSubsystemEffects(this._subsystems[i].getType());
+        }
+        this.balancePower();
         this._timeElapsedSinceDestruction = -1;
         if (this._humSoundClip) {
             this._startHumSound();
@@ -2984,11 +3627,13 @@ define([
         params = params || Spacecraft.DEFAULT_SIMULATE_PARAMS;
         this._targetingComputer.simulate(dt);
         // update the sound source position - will be used either way (for the explosion or for hum / thrusters / weapons... )
-        matrix = this.getPositionMatrixInCameraSpace();
-        this._soundSource.updatePosition(
-                Math.round(matrix[12] * 10) * 0.1,
-                Math.round(matrix[13] * 10) * 0.1,
-                Math.round(matrix[14] * 10) * 0.1);
+        if (this._soundSource) {
+            matrix = this.getPositionMatrixInCameraSpace();
+            this._soundSource.updatePosition(
+                    Math.round(matrix[12] * 10) * 0.1,
+                    Math.round(matrix[13] * 10) * 0.1,
+                    Math.round(matrix[14] * 10) * 0.1);
+        }
         // destruction of the spacecraft
         if (this._hitpoints <= 0) {
             if (this._timeElapsedSinceDestruction < 0) {
@@ -3009,7 +3654,9 @@ define([
                         true,
                         true,
                         this._physicalModel.getVelocityMatrix());
-                this._explosion.addToScene(this._visualModel.getNode().getScene().getRootNode(), this.getSoundSource());
+                if (this._visualModel) {
+                    this._explosion.addToScene(this._visualModel.getNode().getScene().getRootNode(), this.getSoundSource());
+                }
                 for (i = 0; i < this._activeDamageIndicators.length; i++) {
                     this._activeDamageIndicators[i].finish();
                 }
@@ -3050,7 +3697,13 @@ define([
             if (this._shield) {
                 this._shield.simulate(dt, _isMultiGuest);
             }
-            if (this._class.hasHumSound()) {
+            if (this._booster) {
+                this._booster.simulate(dt, params.applyThrusterForces);
+            }
+            if (this._countermeasureLauncher) {
+                this._countermeasureLauncher.simulate(dt);
+            }
+            if (this._soundSource && this._class.hasHumSound()) {
                 if (!this._humSoundClip) {
                     this._humSoundClip = this._class.createHumSoundClip(this._soundSource);
                     this._humSoundVolume = this._humSoundClip.getVolume();
@@ -3067,8 +3720,10 @@ define([
         this._relativeVelocityMatrixValid = false;
         this._turningMatrixValid = false;
         this.updateScaledOriMatrix();
-        this._visualModel.setPositionMatrix(this._physicalModel.getPositionMatrix());
-        this._visualModel.setOrientationMatrix(this._physicalModel.getOrientationMatrix());
+        if (this._visualModel) {
+            this._visualModel.setPositionMatrix(this._physicalModel.getPositionMatrix());
+            this._visualModel.setOrientationMatrix(this._physicalModel.getOrientationMatrix());
+        }
         if (this._propulsion) {
             this._maneuveringComputer.updateSpeedIncrement(dt);
         }
@@ -3243,16 +3898,29 @@ define([
         this._physicalModel.setOrientation(
                 data[offset + 3], data[offset + 4], data[offset + 5],
                 data[offset + 6], data[offset + 7], data[offset + 8]);
-        this.setHullIntegrity(data[offset + 9]);
-        this.setShieldIntegrity(data[offset + 10]);
-        if (data[offset + 11]) {
-            this.fire(false);
-        }
         this._physicalModel.setVelocity(data[offset + 12], data[offset + 13], data[offset + 14]);
         this._physicalModel.setAngularVelocity(
                 data[offset + 15], data[offset + 16], data[offset + 17],
                 data[offset + 18], data[offset + 19], data[offset + 20],
                 data[offset + 21], data[offset + 22], data[offset + 23]);
+        this._applyMultiHostStatus(data, offset);
+    };
+    /**
+     * Synchronize the state of this spacecraft to the host based on the data received from it in a game update message in a
+     * multiplayer game, except for its position, orientation and velocity (integrities, firing and maneuvering targets)
+     * @param {Float32Array} data
+     * @param {Number} offset
+     */
+    Spacecraft.prototype._applyMultiHostStatus = function (data, offset) {
+        this.setHullIntegrity(data[offset + 9]);
+        this.setShieldIntegrity(data[offset + 10]);
+        // the spacecraft might have been destroyed by the hull integrity update
+        if (!this._alive) {
+            return;
+        }
+        if (data[offset + 11]) {
+            this.fire(false);
+        }
         if (this._multiControlled) {
             this._maneuveringComputer.setSpeedTarget(data[offset + 24]);
             this._maneuveringComputer.setStrafeTarget(data[offset + 25]);
@@ -3262,6 +3930,171 @@ define([
             this._maneuveringComputer.setPitchTarget(data[offset + 28]);
         }
     };
+    /**
+     * @typedef {Object} Spacecraft~MultiSnapshot
+     * @property {DOMHighResTimeStamp} time The time when the snapshot has been received
+     * @property {Float32Array} data The host data about the spacecraft in the snapshot
+     */
+    /**
+     * Adds the data received from the host in a game update message to the snapshots used for interpolating the position, orientation
+     * and velocity of this spacecraft (see interpolateMultiSnapshots()) and applies the rest of the data right away (to be used by
+     * multiplayer guests for the spacecrafts not piloted by them)
+     * @param {Float32Array} data The game update message received from the host
+     * @param {Number} offset The index where the data segment about this spacecraft starts within the message
+     * @param {DOMHighResTimeStamp} time The time when the message has been received
+     */
+    Spacecraft.prototype.addMultiSnapshot = function (data, offset, time) {
+        var snapshot;
+        if (!this._alive) {
+            return;
+        }
+        this._multiSnapshots = this._multiSnapshots || [];
+        snapshot = (this._multiSnapshots.length >= MULTI_SNAPSHOT_COUNT) ?
+                this._multiSnapshots.shift() :
+                {time: 0, data: new Float32Array(MULTI_HOST_DATA_LENGTH)};
+        snapshot.time = time;
+        snapshot.data.set(data.subarray(offset, offset + MULTI_HOST_DATA_LENGTH));
+        this._multiSnapshots.push(snapshot);
+        this._applyMultiHostStatus(data, offset);
+    };
+    /**
+     * Sets the position, orientation and velocity of this spacecraft by interpolating between the two snapshots received from the
+     * host around the passed time, or by extrapolating from the last snapshot (for a limited time) if there is no newer snapshot yet
+     * @param {DOMHighResTimeStamp} renderTime The (past) time for which to set the state of the spacecraft
+     */
+    Spacecraft.prototype.interpolateMultiSnapshots = function (renderTime) {
+        var snapshots = this._multiSnapshots, i, a, b, t, dt, forward, up, length, dot;
+        if (!this._alive || !snapshots) {
+            return;
+        }
+        i = snapshots.length - 1;
+        while ((i > 0) && (snapshots[i].time > renderTime)) {
+            i--;
+        }
+        a = snapshots[i].data;
+        if ((i === snapshots.length - 1) || (snapshots[i].time > renderTime)) {
+            // no newer snapshot (or the passed time is before the oldest one): dead reckoning based on the closest snapshot
+            dt = Math.max(0, Math.min(renderTime - snapshots[i].time, _maxMultiExtrapolationTime)) * 0.001;
+            this._physicalModel.setPosition(a[0] + a[12] * dt, a[1] + a[13] * dt, a[2] + a[14] * dt);
+            this._physicalModel.setOrientation(a[3], a[4], a[5], a[6], a[7], a[8]);
+            this._physicalModel.setVelocity(a[12], a[13], a[14]);
+            return;
+        }
+        b = snapshots[i + 1].data;
+        t = (renderTime - snapshots[i].time) / (snapshots[i + 1].time - snapshots[i].time);
+        this._physicalModel.setPosition(
+                a[0] + (b[0] - a[0]) * t,
+                a[1] + (b[1] - a[1]) * t,
+                a[2] + (b[2] - a[2]) * t);
+        // interpolating the forward and up vectors and restoring them to be orthonormal
+        forward = vec.normalize3([a[3] + (b[3] - a[3]) * t, a[4] + (b[4] - a[4]) * t, a[5] + (b[5] - a[5]) * t]);
+        up = [a[6] + (b[6] - a[6]) * t, a[7] + (b[7] - a[7]) * t, a[8] + (b[8] - a[8]) * t];
+        dot = vec.dot3(forward, up);
+        up = [up[0] - forward[0] * dot, up[1] - forward[1] * dot, up[2] - forward[2] * dot];
+        length = vec.length3(up);
+        if (length > 0) {
+            this._physicalModel.setOrientation(forward[0], forward[1], forward[2], up[0] / length, up[1] / length, up[2] / length);
+        }
+        this._physicalModel.setVelocity(
+                a[12] + (b[12] - a[12]) * t,
+                a[13] + (b[13] - a[13]) * t,
+                a[14] + (b[14] - a[14]) * t);
+    };
+    /**
+     * @typedef {Object} Spacecraft~MultiPrediction
+     * @property {DOMHighResTimeStamp} time The time of the simulation step the state has been recorded in
+     * @property {Number[3]} position
+     * @property {Number[3]} velocity
+     */
+    /**
+     * Records the current (locally predicted) state of this spacecraft, to be compared with the state received from the host later
+     * (see reconcileMultiHostData()), and applies part of the remaining prediction error correction (to be used by multiplayer guests
+     * for their piloted spacecraft in each simulation step)
+     * @param {DOMHighResTimeStamp} time The time of the current simulation step
+     * @param {Number} dt The time elapsed since the last simulation step, in milliseconds
+     */
+    Spacecraft.prototype.updateMultiPrediction = function (time, dt) {
+        var prediction, position, velocity, ratio, step, i, j;
+        if (!this._alive) {
+            return;
+        }
+        this._multiPredictions = this._multiPredictions || [];
+        if ((this._multiCorrection[0] !== 0) || (this._multiCorrection[1] !== 0) || (this._multiCorrection[2] !== 0)) {
+            ratio = Math.min(1, _multiPredictionCorrectionRate * dt * 0.001);
+            step = [this._multiCorrection[0] * ratio, this._multiCorrection[1] * ratio, this._multiCorrection[2] * ratio];
+            position = this._physicalModel.getPositionMatrix();
+            this._physicalModel.setPosition(position[12] + step[0], position[13] + step[1], position[14] + step[2]);
+            // the recorded states are corrected as well, so that the next error is measured against the corrected trajectory
+            for (i = 0; i < this._multiPredictions.length; i++) {
+                for (j = 0; j < 3; j++) {
+                    this._multiPredictions[i].position[j] += step[j];
+                }
+            }
+            for (j = 0; j < 3; j++) {
+                this._multiCorrection[j] -= step[j];
+            }
+        }
+        prediction = (this._multiPredictions.length >= MULTI_PREDICTION_COUNT) ?
+                this._multiPredictions.shift() :
+                {time: 0, position: [0, 0, 0], velocity: [0, 0, 0]};
+        position = this._physicalModel.getPositionMatrix();
+        velocity = this._physicalModel.getVelocityMatrix();
+        prediction.time = time;
+        prediction.position[0] = position[12];
+        prediction.position[1] = position[13];
+        prediction.position[2] = position[14];
+        prediction.velocity[0] = velocity[12];
+        prediction.velocity[1] = velocity[13];
+        prediction.velocity[2] = velocity[14];
+        this._multiPredictions.push(prediction);
+    };
+    /**
+     * Compares the state received from the host in a game update message with the one predicted locally at the time the host has
+     * been simulating it (based on the passed latency) and starts correcting the difference smoothly, or resets the state to the one
+     * received from the host if the difference is too large (to be used by multiplayer guests for their piloted spacecraft)
+     * @param {Float32Array} data The game update message received from the host
+     * @param {Number} offset The index where the data segment about this spacecraft starts within the message
+     * @param {DOMHighResTimeStamp} time The time when the message has been received
+     * @param {Number} latency The round trip time of messages to the host, in milliseconds
+     */
+    Spacecraft.prototype.reconcileMultiHostData = function (data, offset, time, latency) {
+        var predictions = this._multiPredictions, i, prediction, error, velocity;
+        if (!this._alive) {
+            return;
+        }
+        if (!predictions || (predictions.length === 0)) {
+            this.applyMultiHostData(data, offset);
+            return;
+        }
+        i = predictions.length - 1;
+        while ((i > 0) && (predictions[i].time > time - latency)) {
+            i--;
+        }
+        prediction = predictions[i];
+        error = [
+            data[offset] - prediction.position[0],
+            data[offset + 1] - prediction.position[1],
+            data[offset + 2] - prediction.position[2]];
+        if (vec.length3(error) > _multiPredictionSnapDistance) {
+            this.applyMultiHostData(data, offset);
+            this._multiCorrection[0] = 0;
+            this._multiCorrection[1] = 0;
+            this._multiCorrection[2] = 0;
+            this._multiPredictions.length = 0;
+            return;
+        }
+        this._multiCorrection[0] = error[0];
+        this._multiCorrection[1] = error[1];
+        this._multiCorrection[2] = error[2];
+        // the velocity difference is applied right away, as it would only grow the position error over time
+        velocity = this._physicalModel.getVelocityMatrix();
+        this._physicalModel.setVelocity(
+                velocity[12] + data[offset + 12] - prediction.velocity[0],
+                velocity[13] + data[offset + 13] - prediction.velocity[1],
+                velocity[14] + data[offset + 14] - prediction.velocity[2]);
+        // the orientation is not reconciled, as it would be set to an outdated one, turning the view of the player back and forth
+        this._applyMultiHostStatus(data, offset);
+    };
     /**
      * Return the data to be sent to the host by the guest in the next game control message to synchronize the 
      * control state of this spacecraft in a multiplayer game
@@ -3300,6 +4133,70 @@ define([
             this.fire(false);
         }
     };
+    /**
+     * Resets the control state received from the guest controlling this spacecraft in a multiplayer game, stopping it (to be used by
+     * the host when the guest loses connection)
+     */
+    Spacecraft.prototype.resetMultiGuestControls = function () {
+        if (!this._alive) {
+            return;
+        }
+        this._maneuveringComputer.setSpeedTarget(0);
+        this._maneuveringComputer.setStrafeTarget(0);
+        this._maneuveringComputer.setLiftTarget(0);
+        this._maneuveringComputer.setYawTarget(0);
+        this._maneuveringComputer.setPitchTarget(0);
+        this._maneuveringComputer.setRollTarget(0);
+    };
+    /**
+     * @typedef {Object} Spacecraft~MultiResyncData
+     * @property {Boolean} alive
+     * @property {Boolean} [away]
+     * @property {Number} [hull] The hull integrity ratio
+     * @property {Number} [shield] The shield integrity ratio
+     * @property {Number[]} [missiles] The amount of missiles loaded into each of the missile launchers
+     */
+    /**
+     * Return the full state of this spacecraft not included in the game update messages (sent by the host to a guest rejoining a
+     * multiplayer game after losing connection, the position, orientation and velocity is synchronized by the game updates)
+     * @returns {Spacecraft~MultiResyncData}
+     */
+    Spacecraft.prototype.getMultiResyncData = function () {
+        if (!this._alive) {
+            return {alive: false};
+        }
+        return {
+            alive: true,
+            away: this._away,
+            hull: this.getHullIntegrity(),
+            shield: this.getShieldIntegrity(),
+            missiles: this._missileLaunchers.map(function (launcher) {
+                return launcher.getMissileCount();
+            })
+        };
+    };
+    /**
+     * Synchronize the full state of this spacecraft to the host based on the data received from it when rejoining a multiplayer
+     * game after losing connection (see getMultiResyncData())
+     * @param {Spacecraft~MultiResyncData} data
+     */
+    Spacecraft.prototype.applyMultiResyncData = function (data) {
+        var i;
+        if (!this._alive) {
+            return;
+        }
+        if (!data.alive) {
+            // spacecrafts destroyed while the guest was away are removed without an explosion
+            this.setAway(true);
+            return;
+        }
+        this.setAway(data.away);
+        this.setHullIntegrity(data.hull);
+        this.setShieldIntegrity(data.shield);
+        for (i = 0; (i < this._missileLaunchers.length) && (i < data.missiles.length); i++) {
+            this._missileLaunchers[i].setMissileCount(data.missiles[i]);
+        }
+    };
     /**
      * Cancels the held references and marks the renderable object, its node and its subtree as reusable.
      * @param {Boolean} [preserveClass=false] If true, the reference to the spacecraft's class is preserved (spacecraft classes objects are 
@@ -3342,6 +4239,14 @@ define([
             this._shield.destroy();
             this._shield = null;
         }
+        if (this._booster) {
+            this._booster.destroy();
+            this._booster = null;
+        }
+        if (this._countermeasureLauncher) {
+            this._countermeasureLauncher.destroy();
+            this._countermeasureLauncher = null;
+        }
         if (this._maneuveringComputer) {
             this._maneuveringComputer.destroy();
             this._maneuveringComputer = null;
@@ -3350,6 +4255,8 @@ define([
             this._targetingComputer.destroy();
             this._targetingComputer = null;
         }
+        this._subsystems = null;
+        this._powerLevels = null;
         this._targetedBy = null;
         this._eventHandlers = null;
         this._explosion = null; // do not destroy the explosion - it might still be animating!
@@ -3386,6 +4293,11 @@ define([
         _hitZoneColor = config.getSetting(config.BATTLE_SETTINGS.HITBOX_COLOR);
         _weaponFireSoundStackMinimumDistance = config.getSetting(config.BATTLE_SETTINGS.WEAPON_FIRE_SOUND_STACK_MINIMUM_DISTANCE);
         _scoreFactorForKill = config.getSetting(config.BATTLE_SETTINGS.SCORE_FRACTION_FOR_KILL);
+        _maxMultiExtrapolationTime = config.getSetting(config.MULTI_SETTINGS.MAX_EXTRAPOLATION_TIME);
+        _multiPredictionSnapDistance = config.getSetting(config.MULTI_SETTINGS.PREDICTION_SNAP_DISTANCE);
+        _multiPredictionCorrectionRate = config.getSetting(config.MULTI_SETTINGS.PREDICTION_CORRECTION_RATE);
+        _powerMinimumFactor = config.getSetting(config.BATTLE_SETTINGS.POWER_MINIMUM_FACTOR);
+        _powerMaximumFactor = config.getSetting(config.BATTLE_SETTINGS.POWER_MAXIMUM_FACTOR);
         graphics.executeWhenReady(handleGraphicsSettingsChanged);
         graphics.onSettingsChange(handleGraphicsSettingsChanged);
     });
@@ -0,0 +1,369 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file Implementation of the single player survival mode: generates the mission data for an endless battle in which the player has to
+ * fight off escalating waves of enemy fighters jumping in one after the other (getting repaired between the waves) until they are
+ * destroyed, and keeps a local table of the best results (the wave reached and the score) for each environment and piloted spacecraft class.
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/**
+ * @typedef {Object} Survival~HighScore
+ * @property {Number} wave The number of the wave the player reached
+ * @property {Number} score The score the player achieved
+ * @property {Number} date The timestamp of when the result has been achieved
+ */
+
+/**
+ * @param application Used for displaying errors
+ * @param constants Used for accessing the global localStorage prefix
+ * @param spacecraft Used to rank the enemy fighter classes by their score values
+ * @param formations Used for the formation type constants
+ * @param skirmish Used to access the fighter classes that can jump in as part of a wave
+ */
+define([
+    "modules/application",
+    "armada/constants",
+    "armada/logic/spacecraft",
+    "armada/logic/formations",
+    "armada/logic/skirmish"
+], function (application, constants, spacecraft, formations, skirmish) {
+    "use strict";
+    var
+            // ------------------------------------------------------------------------------
+            // constants
+            /**
+             * Survival related local storage IDs start with this prefix
+             * @type String
+             */
+            MODULE_LOCAL_STORAGE_PREFIX = constants.LOCAL_STORAGE_PREFIX + "survival_",
+            /**
+             * The key identifying the location where the high score tables are stored in local storage.
+             * @type String
+             */
+            HIGH_SCORES_LOCAL_STORAGE_ID = MODULE_LOCAL_STORAGE_PREFIX + "highScores",
+            /**
+             * The number of results kept in each high score table
+             * @type Number
+             */
+            HIGH_SCORE_COUNT = 10,
+            /**
+             * The name of the team of the player
+             * @type String
+             */
+            FRIENDLY_TEAM = "empire",
+            /**
+             * The name of the enemy team
+             * @type String
+             */
+            ENEMY_TEAM = "pirates",
+            /**
+             * The name of the squad of the player
+             * @type String
+             */
+            PLAYER_SQUAD = "alpha",
+            /**
+             * The name of the spacecraft of the player (as used by mission events)
+             * @type String
+             */
+            PLAYER_NAME = PLAYER_SQUAD + " 1",
+            /**
+             * The names of the squads of the subsequent enemy waves (reused from the start when there are more waves than names)
+             * @type String[]
+             */
+            WAVE_SQUADS = ["raider", "marauder", "bandit", "brigand", "wraith", "phantom", "serpent", "reaper", "hydra", "sentry", "corsair", "outlaw"],
+            /**
+             * The number of enemy fighters in the first wave
+             * @type Number
+             */
+            BASE_ENEMIES_PER_WAVE = 2,
+            /**
+             * The number of enemy fighters is increased by one after this many waves
+             * @type Number
+             */
+            ENEMY_INCREASE_INTERVAL = 2,
+            /**
+             * The maximum number of enemy fighters in one wave (the most that fit in one squad on the wingmen status panel)
+             * @type Number
+             */
+            MAX_ENEMIES_PER_WAVE = 9,
+            /**
+             * The number of waves over which the number and the strength of the enemy fighters increase, after which all the waves consist
+             * of the maximum number of the strongest fighters
+             * @type Number
+             */
+            ESCALATING_WAVE_COUNT = (MAX_ENEMIES_PER_WAVE - BASE_ENEMIES_PER_WAVE) * ENEMY_INCREASE_INTERVAL + 1,
+            /**
+             * The distance from the player where the enemy waves appear, in meters
+             * @type Number
+             */
+            WAVE_DISTANCE = 3000,
+            /**
+             * The delay between the destruction of a wave (or the start of the battle) and the jump in of the next one, in milliseconds
+             * @type Number
+             */
+            WAVE_DELAY = 8000,
+            /**
+             * The percentage of the hull integrity of the player restored after each destroyed wave
+             * @type Number
+             */
+            REPAIR_HULL = 30,
+            /**
+             * The percentage of the shield integrity of the player restored after each destroyed wave
+             * @type Number
+             */
+            REPAIR_SHIELD = 100,
+            /**
+             * The name of the mission variable holding the number of the last wave that jumped in
+             * @type String
+             */
+            WAVE_VARIABLE = "wave",
+            /**
+             * The formation the enemy waves appear in
+             * @type Object
+             */
+            WAVE_FORMATION = {
+                type: formations.FormationType.WEDGE,
+                spacing: [50, -50, 0]
+            },
+            // ------------------------------------------------------------------------------
+            // private variables
+            /**
+             * The stored high score tables, by the keys returned by _getTableKey()
+             * @type Object.<String, Survival~HighScore[]>
+             */
+            _highScores = {};
+    // ------------------------------------------------------------------------------
+    // private functions
+    /**
+     * Returns the key identifying the high score table for the passed environment and spacecraft class
+     * @param {String} environment
+     * @param {String} pilotedClass
+     * @returns {String}
+     */
+    function _getTableKey(environment, pilotedClass) {
+        return environment + "/" + pilotedClass;
+    }
+    /**
+     * Returns the score value of a spacecraft of the passed class with its default loadout
+     * @param {String} className
+     * @returns {Number}
+     */
+    function _getScoreValue(className) {
+        var craft = new spacecraft.Spacecraft(), result;
+        craft.loadFromJSON({
+            class: className
+        });
+        result = craft.getScoreValue();
+        craft.destroy();
+        return result;
+    }
+    /**
+     * Returns the names of the fighter classes that can appear in the waves, starting with the weakest one
+     * @returns {String[]}
+     */
+    function _getEnemyClassNames() {
+        var scoreValues = {};
+        return skirmish.getFighterClassNames().map(function (className) {
+            scoreValues[className] = _getScoreValue(className);
+            return className;
+        }).sort(function (a, b) {
+            return scoreValues[a] - scoreValues[b];
+        });
+    }
+    /**
+     * Compares two high score entries for sorting: the one with the more waves reached (and then the higher score) comes first
+     * @param {Survival~HighScore} a
+     * @param {Survival~HighScore} b
+     * @returns {Number}
+     */
+    function _compareHighScores(a, b) {
+        return (b.wave - a.wave) || (b.score - a.score);
+    }
+    // ------------------------------------------------------------------------------
+    // public functions
+    /**
+     * @typedef {Object} Survival~Params
+     * @property {String} [title] The title of the generated mission
+     * @property {String} environment The name of the environment the battle takes place in
+     * @property {String} pilotedClass The name of the spacecraft class the player flies
+     * @property {String} [waveMessage] If given, this message is displayed when a wave jumps in, with the {wave} placeholder replaced by
+     * the number of the wave (as it references the mission variable holding it)
+     */
+    /**
+     * Generates the mission descriptor JSON data for a survival battle with the passed parameters
+     * @param {Survival~Params} params
+     * @returns {Object}
+     */
+    function generateMissionData(params) {
+        var
+                enemyClasses = _getEnemyClassNames(),
+                waves = [], i, actions;
+        // both the number and the strength of the enemy fighters increase with the waves, and the spawn action keeps spawning the last
+        // (strongest) wave once all of these have been spawned
+        for (i = 0; i < ESCALATING_WAVE_COUNT; i++) {
+            waves.push({
+                squad: WAVE_SQUADS[i % WAVE_SQUADS.length],
+                team: ENEMY_TEAM,
+                class: enemyClasses[Math.floor(i * enemyClasses.length / ESCALATING_WAVE_COUNT)],
+                count: Math.min(BASE_ENEMIES_PER_WAVE + Math.floor(i / ENEMY_INCREASE_INTERVAL), MAX_ENEMIES_PER_WAVE),
+                ai: "fighter",
+                away: true
+            });
+        }
+        // the player is repaired right after clearing a wave, so that they can prepare for the next one
+        actions = [{
+                type: "repair",
+                subjects: {
+                    spacecrafts: [PLAYER_NAME]
+                },
+                params: {
+                    hull: REPAIR_HULL,
+                    shield: REPAIR_SHIELD
+                }
+            }, {
+                type: "increment",
+                delay: WAVE_DELAY,
+                params: {
+                    variable: WAVE_VARIABLE
+                }
+            }, {
+                type: "spawn",
+                delay: WAVE_DELAY,
+                params: {
+                    spacecrafts: waves
+                }
+            }, {
+                type: "command",
+                delay: WAVE_DELAY,
+                subjects: {
+                    teams: [ENEMY_TEAM]
+                },
+                params: {
+                    command: "jump",
+                    jump: {
+                        way: "in",
+                        anchor: PLAYER_NAME,
+                        distance: WAVE_DISTANCE,
+                        formation: WAVE_FORMATION,
+                        fallbackPosition: [0, WAVE_DISTANCE, 0]
+                    }
+                }
+            }];
+        if (params.waveMessage) {
+            actions.push({
+                type: "message",
+                delay: WAVE_DELAY,
+                params: {
+                    text: params.waveMessage,
+                    urgent: true
+                }
+            });
+        }
+        return {
+            title: params.title,
+            environment: params.environment,
+            teams: [{
+                    faction: FRIENDLY_TEAM
+                }, {
+                    faction: ENEMY_TEAM
+                }],
+            variables: [{
+                    name: WAVE_VARIABLE,
+                    value: 0
+                }],
+            spacecrafts: [{
+                    squad: PLAYER_SQUAD,
+                    team: FRIENDLY_TEAM,
+                    class: params.pilotedClass,
+                    count: 1,
+                    pilotedIndex: 1,
+                    position: [0, 0, 0]
+                }],
+            // a new wave is sent every time there are no enemies left, so the battle only ends when the player is destroyed
+            events: [{
+                    trigger: {
+                        conditions: [{
+                                type: "count",
+                                subjects: {
+                                    teams: [ENEMY_TEAM]
+                                },
+                                params: {
+                                    count: 1,
+                                    relation: "below"
+                                }
+                            }],
+                        once: false
+                    },
+                    actions: actions
+                }]
+        };
+    }
+    /**
+     * Returns the number of the last wave that jumped in the passed mission (created from generateMissionData())
+     * @param {Mission} mission
+     * @returns {Number}
+     */
+    function getWaveReached(mission) {
+        return mission.getVariable(WAVE_VARIABLE);
+    }
+    /**
+     * Loads the high score tables from local storage
+     */
+    function loadFromLocalStorage() {
+        _highScores = {};
+        if (localStorage[HIGH_SCORES_LOCAL_STORAGE_ID] !== undefined) {
+            try {
+                _highScores = JSON.parse(localStorage[HIGH_SCORES_LOCAL_STORAGE_ID]);
+            } catch (e) {
+                application.showError("Cannot load survival high scores from local storage, as they are not valid JSON!", application.ErrorSeverity.MINOR);
+            }
+        }
+    }
+    /**
+     * Returns the best results achieved in the passed environment with the passed spacecraft class, starting with the best one
+     * @param {String} environment
+     * @param {String} pilotedClass
+     * @returns {Survival~HighScore[]}
+     */
+    function getHighScores(environment, pilotedClass) {
+        return (_highScores[_getTableKey(environment, pilotedClass)] || []).slice();
+    }
+    /**
+     * Adds the passed result to the high score table of the passed environment and spacecraft class (if it is good enough)
+     * @param {String} environment
+     * @param {String} pilotedClass
+     * @param {Number} wave The number of the wave the player reached
+     * @param {Number} score The score the player achieved
+     * @returns {Number} The index of the result within the high score table, -1 if it did not make it into the table
+     */
+    function submitResult(environment, pilotedClass, wave, score) {
+        var
+                key = _getTableKey(environment, pilotedClass),
+                table = _highScores[key] || [],
+                entry = {
+                    wave: wave,
+                    score: score,
+                    date: Date.now()
+                }, index;
+        table.push(entry);
+        table.sort(_compareHighScores);
+        table.splice(HIGH_SCORE_COUNT);
+        index = table.indexOf(entry);
+        if (index >= 0) {
+            _highScores[key] = table;
+            localStorage[HIGH_SCORES_LOCAL_STORAGE_ID] = JSON.stringify(_highScores);
+        }
+        return index;
+    }
+    // -------------------------------------------------------------------------
+    // The public interface of the module
+    return {
+        getPilotedClassNames: skirmish.getFighterClassNames,
+        generateMissionData: generateMissionData,
+        getWaveReached: getWaveReached,
+        loadFromLocalStorage: loadFromLocalStorage,
+        getHighScores: getHighScores,
+        submitResult: submitResult
+    };
+});
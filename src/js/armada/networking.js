@@ -40,6 +40,8 @@
  * color
  * @property {String} spacecraft The name of the spacecraft class the player is
  * flying
+ * @property {Number} [team] The index of the team the player has chosen to
+ * play in (for team game modes)
  */
 /**
  * @typedef {Object} PlayerStats
@@ -63,6 +65,8 @@
  * @property {RTCDataChannel} updateChannel To send and receive game update
  * messages as Float32Array
  * @property {Boolean} left Set to true when the player leaves the game
+ * @property {Boolean} [dropped] Set to true while the player has lost
+ * connection to the server during the game and can still reconnect to it
  * @property {PlayerStats} stats 
  */
 /**
@@ -77,11 +81,18 @@
  * spacecrafts
  * @property {Number} enemiesPerWave The number of enemies to generate per wave
  * for cooperative games.
+ * @property {Boolean} [dedicatedHost=false] Whether the game is hosted by a
+ * dedicated (headless) host, which only runs the authoritative simulation and
+ * does not have a spacecraft of its own
+ * @property {Number[2]} teamSizes The maximum number of players in each of the
+ * two teams (for team game modes)
+ * @property {String} capitalShip The name of the spacecraft class of the
+ * capital ship the second team has to defend (for objective games)
  */
 /**
  * @typedef {Object} Game The model of the game state as kept on this client
  * @property {String} name The name of the game (unique within all games)
- * @property {String} mode (enum GameMode) The game mode (ffa/coop)
+ * @property {String} mode (enum GameMode) The game mode (ffa/coop/tdm/objective)
  * @property {String} host The name of the hosting player
  * @property {Player[]} players
  * @property {Number} maxPlayers Number of maximum allowed players, with the
@@ -92,18 +103,25 @@
  * has already started (cannot join past this point)
  * @property {Boolean} own Marks the game the current client is in within the
  * list of games received from the server
+ * @property {Number} winnerTeam The index of the team that won the concluded
+ * match (-1 if no team won or the game mode has no teams)
+ * @property {Number} [spectatorCount] The number of clients watching the
+ * started game as spectators (only kept by the host)
  */
 
 /**
  * @param application For logging
+ * @param config To get the capital ship options for objective games and the
+ * interpolation delay settings
  * @param constants To get spacecraft update message data lengths
  * @param formations To set up formations when creating game data
  */
 define([
     "modules/application",
+    "armada/configuration",
     "armada/logic/constants",
     "armada/logic/formations"
-], function (application, constants, formations) {
+], function (application, config, constants, formations) {
     "use strict";
     var
             // ------------------------------------------------------------------------------
@@ -137,6 +155,10 @@ define([
             MSG_TYPE_MATCH_CONCLUDED = 20,
             MSG_TYPE_GUEST_TIMEOUT = 21,
             MSG_TYPE_WELCOME = 22,
+            MSG_TYPE_SPECTATE = 23,
+            MSG_TYPE_PLAYER_DROPPED = 24,
+            MSG_TYPE_RECONNECT = 25,
+            MSG_TYPE_RESYNC = 26,
             // --------------------------------
             // error codes
             ERROR_CODE_GAME_NOT_FOUND = 0,
@@ -148,6 +170,8 @@ define([
             ERROR_CODE_INVALID_PLAYER_NAME = 6,
             ERROR_CODE_INVALID_TEXT = 7,
             ERROR_CODE_SERVER_IS_FULL = 8,
+            ERROR_CODE_GAME_NOT_STARTED = 9,
+            ERROR_CODE_CANNOT_RECONNECT = 10,
             ERROR_CODE_INCOMPATIBLE_API_VERSION = 1000,
             ERROR_CODE_NO_WELCOME = 1001,
             // --------------------------------
@@ -155,6 +179,7 @@ define([
             SPACECRAFT_HOST_DATA_LENGTH = constants.MULTI_HOST_DATA_LENGTH,
             GUEST_DATA_LENGTH = constants.MULTI_GUEST_DATA_LENGTH,
             GUEST_REPEAT_INTERVAL = 100,
+            HOST_UPDATE_INTERVAL = 50,
             GUEST_DEAD_REPEAT_INTERVAL = 1000,
             /** @type GameSettings */
             DEFAULT_GAME_SETTINGS = {
@@ -162,7 +187,9 @@ define([
                 friendlyFire: false,
                 environment: "reddim",
                 loadout: "multi-tier1",
-                enemiesPerWave: 3
+                enemiesPerWave: 3,
+                teamSizes: [2, 2],
+                capitalShip: "taurus"
             },
             PING_MESSAGE = {
                 type: MSG_TYPE_PING
@@ -172,8 +199,28 @@ define([
              */
             GameMode = {
                 FFA: "ffa",
-                COOP: "coop"
+                COOP: "coop",
+                TDM: "tdm",
+                OBJECTIVE: "objective"
             },
+            /**
+             * The faction colors of the two teams in team game modes
+             * @type Number[][]
+             */
+            TEAM_COLORS = [
+                [0.8, 0.2, 0.2],
+                [0.2, 0.2, 0.8]
+            ],
+            /**
+             * The names of the two teams in the mission data in team game modes
+             * @type String[]
+             */
+            TEAM_NAMES = ["Team 1", "Team 2"],
+            /**
+             * The name of the capital ship in the mission data of objective games
+             * @type String
+             */
+            CAPITAL_SHIP_NAME = "Bastion",
             // ------------------------------------------------------------------------------
             // private variables
             /** @type Number */
@@ -204,8 +251,22 @@ define([
             _isHost,
             /** @type Boolean */
             _hostIsPeer,
+            /** @type Boolean */
+            _isSpectator,
             /** @type Game */
             _game,
+            /**
+             * The name of the started game the local player can rejoin after
+             * losing connection to the server
+             * @type String
+             */
+            _rejoinGameName,
+            /**
+             * The secret received from the server when joining the game, to be
+             * sent when rejoining it
+             * @type String
+             */
+            _reconnectToken,
             /** @type Boolean */
             _useArrayBuffer,
             /** @type Function */
@@ -240,6 +301,14 @@ define([
             _onMatchConcluded,
             /** @type Function */
             _onGuestTimeout,
+            /** @type Function */
+            _onPlayerStats,
+            /** @type Function */
+            _onPlayerDrop,
+            /** @type Function */
+            _onPlayerReconnect,
+            /** @type Function */
+            _onResync,
             /** @type DOMHighResTimeStamp */
             _serverPingTime,
             /** @type DOMHighResTimeStamp */
@@ -322,17 +391,6 @@ define([
         }
         return null;
     }
-    /**
-     * Returns the index of the local player within the players array of the
-     * game
-     * @returns {Number}
-     */
-    function _getPlayerIndex() {
-        if (_game) {
-            return _game.players.findIndex(_playerIsMe);
-        }
-        return -1;
-    }
     /**
      * Returns the player model corresponding to the player with the passed name
      * within the current game
@@ -421,6 +479,9 @@ define([
                     application.log_DEBUG("Could not find player '" + data.players[i].name + "'!", 1);
                 }
             }
+            if (_onPlayerStats) {
+                _onPlayerStats();
+            }
         }
     }
     /**
@@ -452,8 +513,10 @@ define([
     /**
      * Delete the current game state model and event callbacks and close peer 
      * connections to all other players.
+     * @param {Boolean} [keepRejoinInfo=false] Whether to keep the information
+     * needed to rejoin the game (when the connection has been lost)
      */
-    function _destroyGame() {
+    function _destroyGame(keepRejoinInfo) {
         if (_game) {
             _game.players.forEach(function (player) {
                 if (!_playerIsMe(player)) {
@@ -463,6 +526,7 @@ define([
         }
         _game = null;
         _isHost = false;
+        _isSpectator = false;
         _useArrayBuffer = false;
         _onPlayerJoin = null;
         _onPlayerLeave = null;
@@ -477,6 +541,14 @@ define([
         _onGameUpdate = null;
         _onMatchConcluded = null;
         _onGuestTimeout = null;
+        _onPlayerStats = null;
+        _onPlayerDrop = null;
+        _onPlayerReconnect = null;
+        _onResync = null;
+        if (!keepRejoinInfo) {
+            _rejoinGameName = null;
+            _reconnectToken = null;
+        }
         _cancelHeartbeat();
     }
     /**
@@ -485,6 +557,9 @@ define([
      */
     function _processMatchConcluded(data) {
         _processPlayerStats(data);
+        if (_game) {
+            _game.winnerTeam = (data.winnerTeam !== undefined) ? data.winnerTeam : -1;
+        }
         if (_onMatchConcluded) {
             _onMatchConcluded();
         }
@@ -692,7 +767,8 @@ define([
      * @param {Object} message
      * @param {Boolean} [force=false] Send a message though the WebSocket (with
      * empty recipient list) even if all guests can be reached by RTC (to keep
-     * the socket connection alive)
+     * the socket connection alive). The message is always sent through the
+     * WebSocket if there are spectators, as the server relays it to them.
      */
     function _hostSend(message, force) {
         var recipients = [];
@@ -706,7 +782,7 @@ define([
                 }
             }
         });
-        if ((recipients.length > 0) || force) {
+        if ((recipients.length > 0) || force || (_game.spectatorCount > 0)) {
             application.log_DEBUG("Sending to all other players via WebSocket", 3);
             message.recipients = recipients;
             _socket.send(JSON.stringify(message));
@@ -837,7 +913,9 @@ define([
                     if (_onPlayerJoin) {
                         _onPlayerJoin(data.player.name);
                     }
-                    if (_isHost) {
+                    // WebRTC is not available in headless mode (e.g. in Node.js),
+                    // the guests are reached through the WebSocket server then
+                    if (_isHost && !application.isHeadless()) {
                         _createPeerConnection(player);
                     }
                 }
@@ -870,6 +948,10 @@ define([
                 }
                 break;
             case MSG_TYPE_ERROR:
+                if (!_game && (data.errorCode === ERROR_CODE_CANNOT_RECONNECT)) {
+                    _rejoinGameName = null;
+                    _reconnectToken = null;
+                }
                 if (_onError) {
                     _onError(data.errorCode);
                 }
@@ -966,7 +1048,8 @@ define([
                                 }
                             }
                         } else {
-                            serverNeeded = !_hostIsPeer;
+                            // spectators always receive the updates of the host through the server
+                            serverNeeded = _isSpectator || !_hostIsPeer;
                         }
                         if (serverNeeded) {
                             _useArrayBuffer = true;
@@ -1009,6 +1092,42 @@ define([
             case MSG_TYPE_GUEST_TIMEOUT:
                 _processGuestTimeout(data);
                 break;
+            case MSG_TYPE_SPECTATE:
+                // the host is notified whenever a spectator starts or stops watching the game
+                if (_game && _isHost) {
+                    _game.spectatorCount = data.spectatorCount;
+                }
+                break;
+            case MSG_TYPE_PLAYER_DROPPED:
+                player = _findPlayer(data.playerName);
+                if (player && !player.left) {
+                    player.dropped = true;
+                    _closePeerConnection(player);
+                    player.peer = false;
+                    if (_onPlayerDrop) {
+                        _onPlayerDrop(player);
+                    }
+                }
+                break;
+            case MSG_TYPE_RECONNECT:
+                // the answer to our own rejoin request has no player name, it
+                // is processed by the handler set in rejoinGame()
+                if (data.playerName) {
+                    player = _findPlayer(data.playerName);
+                    if (player && !player.left) {
+                        player.dropped = false;
+                        if (_onPlayerReconnect) {
+                            _onPlayerReconnect(player);
+                        }
+                    }
+                }
+                break;
+            case MSG_TYPE_RESYNC:
+                _processPlayerStats(data);
+                if (_onResync) {
+                    _onResync(data.spacecrafts);
+                }
+                break;
         }
         if (_messageHandlers[data.type]) {
             for (i = 0; i < _messageHandlers[data.type].length; i++) {
@@ -1070,6 +1189,24 @@ define([
     function isConnected() {
         return _socket && _socketOpen;
     }
+    /**
+     * Whether the local player can (try to) rejoin their current or last
+     * game: they are a guest (not the host or a spectator) of a started game,
+     * which they have not left, only lost connection to the server (the
+     * server keeps the player in the game for a grace period then)
+     * @returns {Boolean}
+     */
+    function canRejoinGame() {
+        return !!_reconnectToken && (!_game || (_game.started && !_isSpectator && (_game.name === _rejoinGameName)));
+    }
+    /**
+     * Returns the name of the game the local player can rejoin (see
+     * canRejoinGame())
+     * @returns {String}
+     */
+    function getRejoinGameName() {
+        return canRejoinGame() ? _rejoinGameName : "";
+    }
     /**
      * Establish a connection to the WebSocket server
      */
@@ -1102,11 +1239,14 @@ define([
                 }, WELCOME_TIMEOUT);
             };
             _socket.onclose = function () {
+                var canRejoin = canRejoinGame();
                 application.log_DEBUG("Disconnected from the multiplayer server!", 1);
+                // the queued messages were meant for this connection
+                _onOpen.length = 0;
                 if (_onDisconnect) {
                     _onDisconnect(_socketOpen);
                 }
-                _destroyGame();
+                _destroyGame(canRejoin);
                 _socketOpen = false;
                 _socket = null;
             };
@@ -1187,6 +1327,14 @@ define([
     function isHost() {
         return _isHost;
     }
+    /**
+     * Whether the local client is watching the current game as a spectator
+     * (does not pilot a spacecraft, only receives the updates of the host)
+     * @returns {Boolean}
+     */
+    function isSpectator() {
+        return _isSpectator;
+    }
     /**
      * Returns the name of the current (hosted or joined) game
      * @returns {String}
@@ -1216,6 +1364,81 @@ define([
     function getHostName() {
         return _game ? _game.players[0].name : "";
     }
+    /**
+     * Whether the current (hosted or joined) game is hosted by a dedicated
+     * (headless) host, which does not have a spacecraft of its own
+     * @returns {Boolean}
+     */
+    function isDedicatedHost() {
+        return !!_game && !!_game.settings.dedicatedHost;
+    }
+    /**
+     * Returns the models of the players who fly a spacecraft in the current
+     * game (all players, except for a dedicated host). The spacecrafts of
+     * these players come first in the mission data in the same order.
+     * @returns {Player[]}
+     */
+    function getPilotingPlayers() {
+        if (!_game) {
+            return [];
+        }
+        return _game.settings.dedicatedHost ? _game.players.slice(1) : _game.players;
+    }
+    /**
+     * Whether the players of the current game play in two teams against each
+     * other (team deathmatch or objective game)
+     * @returns {Boolean}
+     */
+    function isTeamMode() {
+        return !!_game && ((_game.mode === GameMode.TDM) || (_game.mode === GameMode.OBJECTIVE));
+    }
+    /**
+     * Returns the models of the piloting players who have chosen the team with
+     * the passed index in the current game
+     * @param {Number} teamIndex
+     * @returns {Player[]}
+     */
+    function getTeamPlayers(teamIndex) {
+        return getPilotingPlayers().filter(function (player) {
+            return player.settings.team === teamIndex;
+        });
+    }
+    /**
+     * Returns the RGB faction color of the team with the passed index (for team
+     * game modes)
+     * @param {Number} teamIndex
+     * @returns {Number[3]}
+     */
+    function getTeamColor(teamIndex) {
+        return TEAM_COLORS[teamIndex];
+    }
+    /**
+     * Returns the index of the team that won the last concluded match of the
+     * current game (-1 if no team won or the game mode has no teams)
+     * @returns {Number}
+     */
+    function getWinnerTeam() {
+        return (_game && (_game.winnerTeam !== undefined)) ? _game.winnerTeam : -1;
+    }
+    /**
+     * Returns the last measured round trip time of messages to the host of the
+     * current game, in milliseconds (0 for the host itself)
+     * @returns {Number}
+     */
+    function getHostPing() {
+        return (_game && !_isHost) ? (_game.players[0].ping || 0) : 0;
+    }
+    /**
+     * Returns how much time behind the last received game update the guests
+     * should display the spacecrafts they do not pilot (interpolating between
+     * the received updates), based on the ping to the host, in milliseconds
+     * @returns {Number}
+     */
+    function getInterpolationDelay() {
+        return Math.min(
+                config.getSetting(config.MULTI_SETTINGS.INTERPOLATION_DELAY) + getHostPing() * config.getSetting(config.MULTI_SETTINGS.INTERPOLATION_PING_FACTOR),
+                config.getSetting(config.MULTI_SETTINGS.MAX_INTERPOLATION_DELAY));
+    }
     /**
      * Ask the server to return the list of currently active games, and call the
      * passed callback function when the list is returned
@@ -1426,6 +1649,42 @@ define([
     function onGuestTimeout(callback) {
         _onGuestTimeout = callback;
     }
+    /**
+     * Set the callback to be executed whenever the stats (kills / deaths) of
+     * the players of the current game are updated by the host
+     * @param {Function} callback
+     */
+    function onPlayerStats(callback) {
+        _onPlayerStats = callback;
+    }
+    /**
+     * Set the callback to be executed when a guest of the current game loses
+     * connection to the server (they can still rejoin the game for a while,
+     * otherwise the callback set by onPlayerLeave() is called afterwards)
+     * @param {Function} callback The model of the player is passed as an
+     * argument
+     */
+    function onPlayerDrop(callback) {
+        _onPlayerDrop = callback;
+    }
+    /**
+     * Set the callback to be executed when a guest who lost connection has
+     * rejoined the current game and loaded the battle
+     * @param {Function} callback The model of the player is passed as an
+     * argument
+     */
+    function onPlayerReconnect(callback) {
+        _onPlayerReconnect = callback;
+    }
+    /**
+     * Set the callback to be executed when the current state of the battle is
+     * received from the host after rejoining the game (see sendResync())
+     * @param {Function} callback The list of resync data of the spacecrafts
+     * (see Spacecraft.getMultiResyncData()) is passed as an argument
+     */
+    function onResync(callback) {
+        _onResync = callback;
+    }
     /**
      * @typedef {Object} JoinGameParams
      * @property {String} gameName 
@@ -1456,6 +1715,73 @@ define([
                 _game.players[i].me = _playerIsMe(_game.players[i]);
             }
             _isHost = false;
+            _rejoinGameName = data.gameName;
+            _reconnectToken = data.reconnectToken;
+            callback();
+        }, true);
+    }
+    /**
+     * Asks the server to add the local player back to the started game they
+     * lost connection to (see canRejoinGame()), to resume control of their
+     * spacecraft. Calls the callback function if and when the player has
+     * successfully rejoined the game, after which the battle needs to be
+     * loaded again (the host sends the current state of the battle once it
+     * has been loaded, see onResync()). If the server refuses the request,
+     * the callback set by onError() will be called instead, and the game
+     * cannot be rejoined anymore
+     * @param {Function} callback
+     */
+    function rejoinGame(callback) {
+        _sendJSONtoSocket({
+            type: MSG_TYPE_RECONNECT,
+            playerName: _playerName,
+            gameName: _rejoinGameName,
+            reconnectToken: _reconnectToken
+        }, function (data) {
+            var i;
+            _game = {
+                name: data.gameName,
+                mode: data.gameMode,
+                players: data.players,
+                settings: data.settings,
+                started: true
+            };
+            for (i = 0; i < _game.players.length; i++) {
+                _game.players[i].me = _playerIsMe(_game.players[i]);
+            }
+            _isHost = false;
+            callback();
+        }, true);
+    }
+    /**
+     * Asks the server to add the local client to the already started game
+     * identified by the params as a spectator, who receives the game updates
+     * from the host, but does not pilot a spacecraft and sends no controls.
+     * Calls the callback function if and when the client has successfully
+     * joined the game. If there is an error on the server side during joining,
+     * the callback set by onError() will be called instead
+     * @param {JoinGameParams} params
+     * @param {Function} callback
+     */
+    function spectateGame(params, callback) {
+        _sendJSONtoSocket({
+            type: MSG_TYPE_SPECTATE,
+            playerName: _playerName,
+            gameName: params.gameName
+        }, function (data) {
+            var i;
+            _game = {
+                name: data.gameName,
+                mode: data.gameMode,
+                players: data.players,
+                settings: data.settings,
+                started: true
+            };
+            for (i = 0; i < _game.players.length; i++) {
+                _game.players[i].me = false;
+            }
+            _isHost = false;
+            _isSpectator = true;
             callback();
         }, true);
     }
@@ -1568,13 +1894,36 @@ define([
         }
         return true;
     }
+    /**
+     * Whether the current game can be started: all players are ready, and in
+     * team game modes, all piloting players have chosen a team and both teams
+     * have players, within the set team sizes
+     * @returns {Boolean}
+     */
+    function canStartGame() {
+        var i, count;
+        if (!allPlayersReady()) {
+            return false;
+        }
+        if (isTeamMode()) {
+            count = 0;
+            for (i = 0; i < TEAM_COLORS.length; i++) {
+                if ((getTeamPlayers(i).length < 1) || (getTeamPlayers(i).length > _game.settings.teamSizes[i])) {
+                    return false;
+                }
+                count += getTeamPlayers(i).length;
+            }
+            return count === getPilotingPlayers().length;
+        }
+        return true;
+    }
     /**
      * Sends a start message to the WebSocket server. Only has an effect if the
-     * local player is the host of the current game and all other players have
-     * marked ready.
+     * local player is the host of the current game and the game can be started
+     * (see canStartGame())
      */
     function startGame() {
-        if (_isHost && allPlayersReady()) {
+        if (_isHost && canStartGame()) {
             _sendJSONtoSocket({
                 type: MSG_TYPE_START
             });
@@ -1622,9 +1971,14 @@ define([
     }
     /**
      * Concludes the current multiplayer game, sending the results to all players
+     * (the callback set by onMatchConcluded() is called for the host as well,
+     * while the results are still accessible)
+     * @param {Number} [winnerTeam=-1] The index of the team that won the match
+     * (see determineWinnerTeam())
      */
-    function concludeMatch() {
+    function concludeMatch(winnerTeam) {
         if (_isHost) {
+            _game.winnerTeam = (winnerTeam !== undefined) ? winnerTeam : -1;
             _hostSend({
                 type: MSG_TYPE_MATCH_CONCLUDED,
                 players: _game.players.map(function (player) {
@@ -1632,8 +1986,12 @@ define([
                         name: player.name,
                         stats: player.stats
                     };
-                })
+                }),
+                winnerTeam: _game.winnerTeam
             }, true);
+            if (_onMatchConcluded) {
+                _onMatchConcluded();
+            }
             _destroyGame();
         }
     }
@@ -1659,6 +2017,37 @@ define([
             }
         }
     }
+    /**
+     * As host, send the current state of the battle which is not included in
+     * the game update messages (player stats, integrities, missiles) to the
+     * guest with the passed name, who has just rejoined the game
+     * @param {String} playerName
+     * @param {Spacecraft[]} spacecrafts All the spacecrafts of the mission
+     */
+    function sendResync(playerName, spacecrafts) {
+        var index;
+        if (_isHost) {
+            index = _game.players.findIndex(function (player) {
+                return player.name === playerName;
+            });
+            if (index > 0) {
+                // the rejoined player is never connected via WebRTC
+                _sendJSONtoSocket({
+                    type: MSG_TYPE_RESYNC,
+                    recipients: [index],
+                    players: _game.players.map(function (player) {
+                        return {
+                            name: player.name,
+                            stats: player.stats
+                        };
+                    }),
+                    spacecrafts: spacecrafts.map(function (spacecraft) {
+                        return spacecraft.getMultiResyncData();
+                    })
+                });
+            }
+        }
+    }
     /**
      * Returns the MissionDescriptor JSON data to be used to load the battle for
      * the currently set up multiplayer game.
@@ -1667,28 +2056,32 @@ define([
     function getMissionData() {
         var
                 radius = 500,
-                playerCount = _game.players.length,
+                players = getPilotingPlayers(),
+                playerCount = players.length,
                 getAngle = function (index) {
                     return index / playerCount * Math.PI * 2;
                 },
-                playerIndex = _getPlayerIndex(),
-                teams, spacecrafts, events, formation;
+                // a dedicated host controls all player spacecrafts through the messages of the guests
+                hostIndex = _game.settings.dedicatedHost ? -1 : 0,
+                // spectators are not among the players, so they do not pilot any of the spacecrafts
+                playerIndex = players.indexOf(_findMe()),
+                teams, spacecrafts, events, formation, teamPositions, teamPlayerCounts, capitalShip;
         switch (_game.mode) {
             case GameMode.FFA:
-                teams = _game.players.map(function (player, index) {
+                teams = players.map(function (player, index) {
                     return {
                         name: "Team " + (index + 1),
                         color: player.settings.color.concat(1)
                     };
                 });
-                spacecrafts = _game.players.map(function (player, index) {
+                spacecrafts = players.map(function (player, index) {
                     var angle = getAngle(index);
                     return {
                         name: player.name,
                         team: "Team " + (index + 1),
                         class: player.settings.spacecraft,
                         piloted: index === playerIndex,
-                        multi: !(_isHost && (index === 0)),
+                        multi: !(_isHost && (index === hostIndex)),
                         multiPiloted: true,
                         position: [radius * Math.sin(angle), radius * -Math.cos(angle), 0],
                         rotations: ["z-" + Math.round(Math.degrees(angle))],
@@ -1707,14 +2100,14 @@ define([
                     type: formations.FormationType.WEDGE,
                     spacing: [40, -10, 0]
                 };
-                spacecrafts = _game.players.map(function (player, index) {
+                spacecrafts = players.map(function (player, index) {
                     return {
                         name: player.name,
                         squad: "alpha " + (index + 1),
                         team: "empire",
                         class: player.settings.spacecraft,
                         piloted: index === playerIndex,
-                        multi: !(_isHost && (index === 0)),
+                        multi: !(_isHost && (index === hostIndex)),
                         multiPiloted: true,
                         position: formations.getPositionInFormation(formation, index),
                         loadout: _game.settings.loadout
@@ -1834,6 +2227,57 @@ define([
                             }]
                     }];
                 break;
+            case GameMode.TDM:
+            case GameMode.OBJECTIVE:
+                teams = TEAM_NAMES.map(function (name, index) {
+                    return {
+                        name: name,
+                        color: TEAM_COLORS[index].concat(1)
+                    };
+                });
+                formation = {
+                    type: formations.FormationType.WEDGE,
+                    spacing: [40, -10, 0]
+                };
+                // in objective games, the defending (second) team starts near the capital ship
+                teamPositions = (_game.mode === GameMode.OBJECTIVE) ? [-2000, 500] : [-1000, 1000];
+                teamPlayerCounts = [0, 0];
+                spacecrafts = players.map(function (player, index) {
+                    var
+                            team = player.settings.team,
+                            position = formations.getPositionInFormation(formation, teamPlayerCounts[team]);
+                    teamPlayerCounts[team]++;
+                    return {
+                        name: player.name,
+                        team: TEAM_NAMES[team],
+                        class: player.settings.spacecraft,
+                        piloted: index === playerIndex,
+                        multi: !(_isHost && (index === hostIndex)),
+                        multiPiloted: true,
+                        // the first team faces the positive Y direction, the second one is turned around to face the first
+                        position: (team === 0) ?
+                                [position[0], teamPositions[0] + position[1], position[2]] :
+                                [-position[0], teamPositions[1] - position[1], position[2]],
+                        rotations: (team === 0) ? [] : [{axis: "Z", degrees: 180}],
+                        loadout: _game.settings.loadout
+                    };
+                });
+                if (_game.mode === GameMode.OBJECTIVE) {
+                    capitalShip = config.getSetting(config.MULTI_SETTINGS.CAPITAL_SHIPS).find(function (descriptor) {
+                        return descriptor.class === _game.settings.capitalShip;
+                    }) || config.getSetting(config.MULTI_SETTINGS.CAPITAL_SHIPS)[0];
+                    spacecrafts.push({
+                        name: CAPITAL_SHIP_NAME,
+                        team: TEAM_NAMES[1],
+                        class: capitalShip.class,
+                        loadout: capitalShip.loadout,
+                        ai: capitalShip.ai,
+                        multi: !_isHost,
+                        position: [0, 1500, 0],
+                        rotations: [{axis: "Z", degrees: 180}]
+                    });
+                }
+                break;
             default:
                 application.showError("Cannot create game! Unsupported game mode: " + _game.mode + "!");
                 return null;
@@ -1847,6 +2291,53 @@ define([
         };
 
     }
+    /**
+     * Whether the match of the current game is over in the passed mission
+     * (created from getMissionData()): there are no hostiles left, or in
+     * objective games, the capital ship has been destroyed
+     * @param {Mission} mission
+     * @returns {Boolean}
+     */
+    function isMatchOver(mission) {
+        var capitalShip;
+        if (mission.noHostilesPresent()) {
+            return true;
+        }
+        if (_game && (_game.mode === GameMode.OBJECTIVE)) {
+            capitalShip = mission.getSpacecraft(CAPITAL_SHIP_NAME);
+            return !capitalShip || !capitalShip.isAlive();
+        }
+        return false;
+    }
+    /**
+     * Returns the index of the team that won the match of the current game in
+     * the passed (finished) mission: in team game modes, the attacking team if
+     * the capital ship has been destroyed, or the team that has spacecrafts
+     * left without hostiles, -1 otherwise (or if the game mode has no teams)
+     * @param {Mission} mission
+     * @returns {Number}
+     */
+    function determineWinnerTeam(mission) {
+        var i, spacecrafts, capitalShip;
+        if (!isTeamMode()) {
+            return -1;
+        }
+        if (_game.mode === GameMode.OBJECTIVE) {
+            capitalShip = mission.getSpacecraft(CAPITAL_SHIP_NAME);
+            if (!capitalShip || !capitalShip.isAlive()) {
+                return 0;
+            }
+        }
+        if (mission.noHostilesPresent()) {
+            spacecrafts = mission.getSpacecrafts();
+            for (i = 0; i < spacecrafts.length; i++) {
+                if (spacecrafts[i].isAlive() && !spacecrafts[i].isAway() && spacecrafts[i].getTeam()) {
+                    return TEAM_NAMES.indexOf(spacecrafts[i].getTeam().getName());
+                }
+            }
+        }
+        return -1;
+    }
     /**
      * Send a game update message to all the guests of the current game. (to be
      * used by the host of the game)
@@ -1854,7 +2345,7 @@ define([
      * from
      */
     function sendHostUpdate(spacecrafts) {
-        var i, data = new Float32Array(spacecrafts.length * SPACECRAFT_HOST_DATA_LENGTH), socketNeeded = false;
+        var i, data = new Float32Array(spacecrafts.length * SPACECRAFT_HOST_DATA_LENGTH), socketNeeded = (_game.spectatorCount > 0);
         for (i = 0; i < spacecrafts.length; i++) {
             data.set(spacecrafts[i].getMultiHostData(), i * SPACECRAFT_HOST_DATA_LENGTH);
         }
@@ -1911,8 +2402,11 @@ define([
         ERROR_CODE_INVALID_PLAYER_NAME: ERROR_CODE_INVALID_PLAYER_NAME,
         ERROR_CODE_INVALID_TEXT: ERROR_CODE_INVALID_TEXT,
         ERROR_CODE_SERVER_IS_FULL: ERROR_CODE_SERVER_IS_FULL,
+        ERROR_CODE_GAME_NOT_STARTED: ERROR_CODE_GAME_NOT_STARTED,
+        ERROR_CODE_CANNOT_RECONNECT: ERROR_CODE_CANNOT_RECONNECT,
         ERROR_CODE_INCOMPATIBLE_API_VERSION: ERROR_CODE_INCOMPATIBLE_API_VERSION,
         ERROR_CODE_NO_WELCOME: ERROR_CODE_NO_WELCOME,
+        HOST_UPDATE_INTERVAL: HOST_UPDATE_INTERVAL,
         GameMode: GameMode,
         init: init,
         getClientApiVersion: getClientApiVersion,
@@ -1928,14 +2422,27 @@ define([
         updatePlayerSettings: updatePlayerSettings,
         isInGame: isInGame,
         isHost: isHost,
+        isSpectator: isSpectator,
         getGameName: getGameName,
         getGameMode: getGameMode,
         getGameSettings: getGameSettings,
         getHostName: getHostName,
+        isDedicatedHost: isDedicatedHost,
+        getPilotingPlayers: getPilotingPlayers,
+        isTeamMode: isTeamMode,
+        getTeamPlayers: getTeamPlayers,
+        getTeamColor: getTeamColor,
+        getWinnerTeam: getWinnerTeam,
+        getHostPing: getHostPing,
+        getInterpolationDelay: getInterpolationDelay,
         listGames: listGames,
         createGame: createGame,
         updateGameSettings: updateGameSettings,
         joinGame: joinGame,
+        spectateGame: spectateGame,
+        canRejoinGame: canRejoinGame,
+        getRejoinGameName: getRejoinGameName,
+        rejoinGame: rejoinGame,
         onConnect: onConnect,
         onDisconnect: onDisconnect,
         onError: onError,
@@ -1957,16 +2464,24 @@ define([
         sendText: sendText,
         markReady: markReady,
         allPlayersReady: allPlayersReady,
+        canStartGame: canStartGame,
         startGame: startGame,
         markLoaded: markLoaded,
         registerPlayerKill: registerPlayerKill,
         concludeMatch: concludeMatch,
         guestTimeout: guestTimeout,
         getMissionData: getMissionData,
+        isMatchOver: isMatchOver,
+        determineWinnerTeam: determineWinnerTeam,
         sendHostUpdate: sendHostUpdate,
         sendGuestUpdate: sendGuestUpdate,
         onGameUpdate: onGameUpdate,
         onMatchConcluded: onMatchConcluded,
-        onGuestTimeout: onGuestTimeout
+        onGuestTimeout: onGuestTimeout,
+        onPlayerStats: onPlayerStats,
+        onPlayerDrop: onPlayerDrop,
+        onPlayerReconnect: onPlayerReconnect,
+        onResync: onResync,
+        sendResync: sendResync
     };
 });
\ No newline at end of file
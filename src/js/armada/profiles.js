@@ -0,0 +1,333 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file Manages the local pilot profiles of the game. Each profile has its own isolated set of mission records, settings and control
+ * bindings. The data of the active profile is kept under the regular local storage keys (so that all the modules can read and write
+ * it the usual way), while the data of the inactive profiles is stored in one JSON string per profile. Switching profiles swaps
+ * these sets, after which the game needs to be reloaded for the modules to pick up the settings of the newly activated profile.
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/**
+ * @typedef {Object} Profiles~Profile
+ * @property {Number} id The unique identifier of the profile
+ * @property {String} name The name of the profile as displayed to the user
+ */
+/**
+ * @typedef {Object} Profiles~ExportedProfile
+ * The format of the exported profile files
+ * @property {String} name The name of the profile
+ * @property {String} version The version of the game the profile was exported from
+ * @property {Object.<String, String>} data The local storage values belonging to the profile
+ */
+
+/**
+ * @param application Used for displaying errors and getting the version of the game
+ * @param constants Used for the local storage prefix and the IDs of the global local storage settings
+ */
+define([
+    "modules/application",
+    "armada/constants"
+], function (application, constants) {
+    "use strict";
+    var
+            // ------------------------------------------------------------------------------
+            // constants
+            /**
+             * The local storage ID of the list of profiles and the ID of the active profile
+             * @type String
+             */
+            PROFILES_LOCAL_STORAGE_ID = constants.LOCAL_STORAGE_PREFIX + "profiles",
+            /**
+             * The data of inactive profiles is stored under this local storage ID prefix followed by the ID of the profile
+             * @type String
+             */
+            PROFILE_DATA_LOCAL_STORAGE_PREFIX = constants.LOCAL_STORAGE_PREFIX + "profileData_",
+            /**
+             * The local storage IDs that are shared by all profiles
+             * @type String[]
+             */
+            GLOBAL_LOCAL_STORAGE_IDS = [
+                PROFILES_LOCAL_STORAGE_ID,
+                constants.LANGUAGE_LOCAL_STORAGE_ID,
+                constants.VERSION_LOCAL_STORAGE_ID,
+                constants.LOCAL_STORAGE_PREFIX + "firstRunNoteShown",
+                constants.LOCAL_STORAGE_PREFIX + "firstMultiRunNoteShown"
+            ],
+            /**
+             * Local storage IDs starting with these prefixes are shared by all profiles
+             * @type String[]
+             */
+            GLOBAL_LOCAL_STORAGE_PREFIXES = [
+                PROFILE_DATA_LOCAL_STORAGE_PREFIX,
+                constants.LOCAL_STORAGE_PREFIX + "missionHub_"
+            ],
+            /**
+             * The name of the profile which is created to hold the already existing data when the game is first run with profile support
+             * @type String
+             */
+            DEFAULT_PROFILE_NAME = "Pilot",
+            /**
+             * The extension of the exported profile files
+             * @type String
+             */
+            FILE_EXTENSION = ".profile.json",
+            // ------------------------------------------------------------------------------
+            // private variables
+            /**
+             * The list of existing profiles
+             * @type Profiles~Profile[]
+             */
+            _profiles = [],
+            /**
+             * The ID of the profile the data of which is currently stored under the regular local storage IDs
+             * @type Number
+             */
+            _activeProfileID = 0;
+    // ------------------------------------------------------------------------------
+    // private functions
+    /**
+     * Returns whether the value stored under the passed local storage ID belongs to the active profile (as opposed to being shared
+     * by all profiles or not belonging to the game)
+     * @param {String} key
+     * @returns {Boolean}
+     */
+    function _isProfileKey(key) {
+        var i;
+        if ((key.indexOf(constants.LOCAL_STORAGE_PREFIX) !== 0) || (GLOBAL_LOCAL_STORAGE_IDS.indexOf(key) >= 0)) {
+            return false;
+        }
+        for (i = 0; i < GLOBAL_LOCAL_STORAGE_PREFIXES.length; i++) {
+            if (key.indexOf(GLOBAL_LOCAL_STORAGE_PREFIXES[i]) === 0) {
+                return false;
+            }
+        }
+        return true;
+    }
+    /**
+     * Returns the local storage ID under which the data of the (inactive) profile with the passed ID is stored
+     * @param {Number} id
+     * @returns {String}
+     */
+    function _getDataID(id) {
+        return PROFILE_DATA_LOCAL_STORAGE_PREFIX + id;
+    }
+    /**
+     * Returns the profile with the passed ID
+     * @param {Number} id
+     * @returns {Profiles~Profile}
+     */
+    function _getProfile(id) {
+        var i;
+        for (i = 0; i < _profiles.length; i++) {
+            if (_profiles[i].id === id) {
+                return _profiles[i];
+            }
+        }
+        return null;
+    }
+    /**
+     * Saves the list of profiles and the ID of the active profile to local storage
+     */
+    function _saveProfiles() {
+        localStorage[PROFILES_LOCAL_STORAGE_ID] = JSON.stringify({
+            active: _activeProfileID,
+            profiles: _profiles
+        });
+    }
+    /**
+     * Collects the local storage values belonging to the active profile
+     * @returns {Object.<String, String>}
+     */
+    function _collectActiveData() {
+        var result = {};
+        Object.keys(localStorage).forEach(function (key) {
+            if (_isProfileKey(key)) {
+                result[key] = localStorage[key];
+            }
+        });
+        return result;
+    }
+    /**
+     * Returns the stored local storage values belonging to the profile with the passed ID
+     * @param {Number} id
+     * @returns {Object.<String, String>}
+     */
+    function _getProfileData(id) {
+        var data;
+        if (id === _activeProfileID) {
+            return _collectActiveData();
+        }
+        data = localStorage[_getDataID(id)];
+        return data ? JSON.parse(data) : {};
+    }
+    /**
+     * Returns whether the passed object is valid profile data (only contains string values under profile specific local storage IDs)
+     * @param {Object} data
+     * @returns {Boolean}
+     */
+    function _isValidProfileData(data) {
+        return !!data && (typeof data === "object") && !Array.isArray(data) && Object.keys(data).every(function (key) {
+            return _isProfileKey(key) && (typeof data[key] === "string");
+        });
+    }
+    // ------------------------------------------------------------------------------
+    // public functions
+    /**
+     * Loads the list of profiles from local storage. When run for the first time, creates a profile that takes over the existing
+     * progress and settings.
+     */
+    function loadFromLocalStorage() {
+        var data = localStorage[PROFILES_LOCAL_STORAGE_ID];
+        if (data) {
+            data = JSON.parse(data);
+            _profiles = data.profiles;
+            _activeProfileID = data.active;
+        }
+        if (!_getProfile(_activeProfileID)) {
+            _profiles.push({
+                id: _activeProfileID,
+                name: DEFAULT_PROFILE_NAME
+            });
+            _saveProfiles();
+        }
+    }
+    /**
+     * Returns the list of existing profiles
+     * @returns {Profiles~Profile[]}
+     */
+    function getProfiles() {
+        return _profiles.slice();
+    }
+    /**
+     * Returns the ID of the profile that is currently in use
+     * @returns {Number}
+     */
+    function getActiveProfileID() {
+        return _activeProfileID;
+    }
+    /**
+     * Returns the name of the profile that is currently in use
+     * @returns {String}
+     */
+    function getActiveProfileName() {
+        return _getProfile(_activeProfileID).name;
+    }
+    /**
+     * Creates a new profile with the passed name and data (without activating it)
+     * @param {String} name
+     * @param {Object.<String, String>} [data] The local storage values belonging to the profile. If not given, the profile will
+     * start with the default progress and settings.
+     * @returns {Number} The ID of the created profile
+     */
+    function createProfile(name, data) {
+        var id = _profiles.reduce(function (max, profile) {
+            return Math.max(max, profile.id);
+        }, -1) + 1;
+        _profiles.push({
+            id: id,
+            name: name
+        });
+        localStorage[_getDataID(id)] = JSON.stringify(data || {});
+        _saveProfiles();
+        return id;
+    }
+    /**
+     * Renames the profile with the passed ID
+     * @param {Number} id
+     * @param {String} name
+     */
+    function renameProfile(id, name) {
+        var profile = _getProfile(id);
+        if (profile) {
+            profile.name = name;
+            _saveProfiles();
+        }
+    }
+    /**
+     * Deletes the profile with the passed ID together with all its data. The active profile cannot be deleted.
+     * @param {Number} id
+     * @returns {Boolean} Whether the profile has been deleted
+     */
+    function deleteProfile(id) {
+        var profile = _getProfile(id);
+        if (!profile || (id === _activeProfileID)) {
+            return false;
+        }
+        _profiles.splice(_profiles.indexOf(profile), 1);
+        localStorage.removeItem(_getDataID(id));
+        _saveProfiles();
+        return true;
+    }
+    /**
+     * Makes the profile with the passed ID the active one, storing away the data of the previously active profile and moving the data
+     * of the new one under the regular local storage IDs. The game needs to be reloaded afterwards for the change to take effect.
+     * @param {Number} id
+     * @returns {Boolean} Whether the active profile has been changed
+     */
+    function activateProfile(id) {
+        var data;
+        if (!_getProfile(id) || (id === _activeProfileID)) {
+            return false;
+        }
+        data = _collectActiveData();
+        localStorage[_getDataID(_activeProfileID)] = JSON.stringify(data);
+        Object.keys(data).forEach(function (key) {
+            localStorage.removeItem(key);
+        });
+        data = _getProfileData(id);
+        Object.keys(data).forEach(function (key) {
+            localStorage[key] = data[key];
+        });
+        localStorage.removeItem(_getDataID(id));
+        _activeProfileID = id;
+        _saveProfiles();
+        return true;
+    }
+    /**
+     * Initiates the download of a file containing the name and data of the profile with the passed ID
+     * @param {Number} id
+     */
+    function exportProfile(id) {
+        var
+                profile = _getProfile(id),
+                blob = new Blob([JSON.stringify({
+                        name: profile.name,
+                        version: application.getVersion(),
+                        data: _getProfileData(id)
+                    })], {type: "application/json"}),
+                e = document.createEvent("MouseEvents"),
+                a = document.createElement("a");
+        a.download = profile.name + FILE_EXTENSION;
+        a.href = window.URL.createObjectURL(blob);
+        a.dataset.downloadurl = ["application/json", a.download, a.href].join(":");
+        e.initMouseEvent("click", true, false, window, 0, 0, 0, 0, 0, false, false, false, false, 0, null);
+        a.dispatchEvent(e);
+    }
+    /**
+     * Creates a new (inactive) profile from the contents of an exported profile file
+     * @param {Profiles~ExportedProfile} dataJSON
+     * @returns {Number} The ID of the created profile, or -1 if the passed data is not a valid profile
+     */
+    function importProfile(dataJSON) {
+        if (!dataJSON || (typeof dataJSON.name !== "string") || (dataJSON.name.length === 0) || !_isValidProfileData(dataJSON.data)) {
+            application.showError("The selected file is not a valid profile file!", application.ErrorSeverity.MINOR);
+            return -1;
+        }
+        return createProfile(dataJSON.name, dataJSON.data);
+    }
+    // -------------------------------------------------------------------------
+    // The public interface of the module
+    return {
+        loadFromLocalStorage: loadFromLocalStorage,
+        getProfiles: getProfiles,
+        getActiveProfileID: getActiveProfileID,
+        getActiveProfileName: getActiveProfileName,
+        createProfile: createProfile,
+        renameProfile: renameProfile,
+        deleteProfile: deleteProfile,
+        activateProfile: activateProfile,
+        exportProfile: exportProfile,
+        importProfile: importProfile
+    };
+});
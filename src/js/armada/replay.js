@@ -0,0 +1,401 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file Provides the data model for recording and playing back battle replays.
+ * A replay does not contain the state of the battle, only what is needed to reproduce it by running the same simulation again:
+ * the mission (reference or full data), the difficulty, the random seed the AI and formation random generators were reset with
+ * at the start of the battle and for each simulation step the elapsed time and the actions the piloted fighter executed
+ * (as gathered by the fighter controller).
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/**
+ * @typedef {Array} ReplayActionData
+ * A compact representation of an action triggered in a replay step:
+ * [0]: {String} The name of the action
+ * [1]: {Number|null} The intensity of the action (null for non-graded actions)
+ * [2]: {Number} 1 if the action was triggered by the mouse, 0 otherwise
+ */
+/**
+ * @typedef {Array} ReplayStepData
+ * A compact representation of one recorded simulation step:
+ * [0]: {Number} The time elapsed since the previous step, in milliseconds
+ * [1]: {ReplayActionData[][]|0} (optional) The grouped actions processed by the fighter controller in this step, or 0 if it did not
+ * control the piloted spacecraft in this step
+ * [2]: {Number} (optional) 1 if the time was stopped in this step
+ */
+
+/**
+ * @param application Used for displaying errors and getting the version of the game
+ */
+define([
+    "modules/application"
+], function (application) {
+    "use strict";
+    var
+            // ------------------------------------------------------------------------------
+            // constants
+            /**
+             * The version of the replay data format. Replays with a different format version cannot be played back.
+             * @type Number
+             */
+            FORMAT_VERSION = 1,
+            /**
+             * The extension of the exported replay files
+             * @type String
+             */
+            FILE_EXTENSION = ".replay.json",
+            /**
+             * The index of the elapsed time within the step data arrays
+             * @type Number
+             */
+            STEP_DT_INDEX = 0,
+            /**
+             * The index of the action groups within the step data arrays
+             * @type Number
+             */
+            STEP_ACTIONS_INDEX = 1,
+            /**
+             * The index of the time stopped flag within the step data arrays
+             * @type Number
+             */
+            STEP_TIME_STOPPED_INDEX = 2,
+            // ------------------------------------------------------------------------------
+            // private variables
+            /**
+             * The replay that has been recorded during the last played battle (or loaded from a file)
+             * @type Replay
+             */
+            _lastReplay = null;
+    // #########################################################################
+    /**
+     * @typedef {Object} Replay~Params
+     * @property {String} [missionSourceFilename] The name of the mission file (if the battle was loaded from a mission file)
+     * @property {Object} [missionData] The mission description JSON (if the battle was created from mission data directly)
+     * @property {String} difficulty The string ID of the difficulty level the battle was played on
+     * @property {Number} seed The random seed the AI and formation random generators were reset with
+     * @property {Boolean} autoTargeting Whether auto targeting was turned on for the fighter controller at the start of the battle
+     * @property {Mission~PilotedSpacecraft} [pilotedSpacecraft] The class and loadout the piloted spacecraft was overridden with (if any)
+     */
+    /**
+     * @class Stores the data needed to reproduce a battle by simulating it again.
+     * @param {Replay~Params} [params] If given, a new, empty replay is created with these parameters, that can be recorded.
+     */
+    function Replay(params) {
+        /**
+         * The version of the game this replay has been recorded with
+         * @type String
+         */
+        this._gameVersion = application.getVersion();
+        /**
+         * The name of the mission file (if the battle was loaded from a mission file)
+         * @type String
+         */
+        this._missionSourceFilename = null;
+        /**
+         * The mission description JSON (if the battle was created from mission data directly)
+         * @type Object
+         */
+        this._missionData = null;
+        /**
+         * The string ID of the difficulty level the battle was played on
+         * @type String
+         */
+        this._difficulty = null;
+        /**
+         * The random seed the AI and formation random generators were reset with
+         * @type Number
+         */
+        this._seed = 0;
+        /**
+         * Whether auto targeting was turned on for the fighter controller at the start of the battle
+         * @type Boolean
+         */
+        this._autoTargeting = true;
+        /**
+         * The class and loadout the piloted spacecraft was overridden with (e.g. in career mode), null if the one defined in the 
+         * mission was used
+         * @type Mission~PilotedSpacecraft
+         */
+        this._pilotedSpacecraft = null;
+        /**
+         * The list of recorded simulation steps
+         * @type ReplayStepData[]
+         */
+        this._steps = [];
+        /**
+         * The total simulated time (not counting the steps when the time was stopped), in milliseconds
+         * @type Number
+         */
+        this._duration = 0;
+        /**
+         * The action groups processed by the fighter controller since the last step was recorded (null if the fighter controller did
+         * not control the piloted spacecraft since then)
+         * @type ReplayActionData[][]
+         */
+        this._pendingActions = null;
+        if (params) {
+            this._missionSourceFilename = params.missionSourceFilename || null;
+            this._missionData = params.missionSourceFilename ? null : params.missionData;
+            this._difficulty = params.difficulty;
+            this._seed = params.seed;
+            this._autoTargeting = params.autoTargeting;
+            this._pilotedSpacecraft = params.pilotedSpacecraft || null;
+        }
+    }
+    /**
+     * Loads the replay data from the passed JSON object (as created by getData()).
+     * @param {Object} dataJSON
+     * @returns {Boolean} Whether the data was valid and has been loaded
+     */
+    Replay.prototype.loadFromJSON = function (dataJSON) {
+        var i;
+        if (!dataJSON || (typeof dataJSON !== "object") || (dataJSON.version !== FORMAT_VERSION) ||
+                (!dataJSON.missionSourceFilename && (!dataJSON.missionData || (typeof dataJSON.missionData !== "object"))) ||
+                (typeof dataJSON.difficulty !== "string") || (typeof dataJSON.seed !== "number") || !Array.isArray(dataJSON.steps) ||
+                (dataJSON.pilotedSpacecraft && ((typeof dataJSON.pilotedSpacecraft.class !== "string") || (typeof dataJSON.pilotedSpacecraft.loadout !== "string")))) {
+            return false;
+        }
+        for (i = 0; i < dataJSON.steps.length; i++) {
+            if (!Array.isArray(dataJSON.steps[i]) || (typeof dataJSON.steps[i][STEP_DT_INDEX] !== "number")) {
+                return false;
+            }
+        }
+        this._gameVersion = dataJSON.gameVersion;
+        this._missionSourceFilename = dataJSON.missionSourceFilename || null;
+        this._missionData = dataJSON.missionData || null;
+        this._difficulty = dataJSON.difficulty;
+        this._seed = dataJSON.seed;
+        this._autoTargeting = (dataJSON.autoTargeting !== false);
+        this._pilotedSpacecraft = dataJSON.pilotedSpacecraft || null;
+        this._steps = dataJSON.steps;
+        this._duration = 0;
+        for (i = 0; i < this._steps.length; i++) {
+            if (!this._steps[i][STEP_TIME_STOPPED_INDEX]) {
+                this._duration += this._steps[i][STEP_DT_INDEX];
+            }
+        }
+        if (this._gameVersion !== application.getVersion()) {
+            application.log_DEBUG("Replay has been recorded with version '" + this._gameVersion + "' of the game, its playback might not reproduce the original battle.");
+        }
+        return true;
+    };
+    /**
+     * Returns the data of the replay in a JSON object that can be saved and later loaded using loadFromJSON()
+     * @returns {Object}
+     */
+    Replay.prototype.getData = function () {
+        return {
+            version: FORMAT_VERSION,
+            gameVersion: this._gameVersion,
+            missionSourceFilename: this._missionSourceFilename || undefined,
+            missionData: this._missionData || undefined,
+            difficulty: this._difficulty,
+            seed: this._seed,
+            autoTargeting: this._autoTargeting,
+            pilotedSpacecraft: this._pilotedSpacecraft || undefined,
+            steps: this._steps
+        };
+    };
+    /**
+     * @returns {String}
+     */
+    Replay.prototype.getMissionSourceFilename = function () {
+        return this._missionSourceFilename;
+    };
+    /**
+     * @returns {Object}
+     */
+    Replay.prototype.getMissionData = function () {
+        return this._missionData;
+    };
+    /**
+     * @returns {String}
+     */
+    Replay.prototype.getDifficulty = function () {
+        return this._difficulty;
+    };
+    /**
+     * @returns {Number}
+     */
+    Replay.prototype.getSeed = function () {
+        return this._seed;
+    };
+    /**
+     * @returns {Boolean}
+     */
+    Replay.prototype.getAutoTargeting = function () {
+        return this._autoTargeting;
+    };
+    /**
+     * @returns {Mission~PilotedSpacecraft}
+     */
+    Replay.prototype.getPilotedSpacecraft = function () {
+        return this._pilotedSpacecraft;
+    };
+    /**
+     * Returns the total simulated time recorded in the replay, in milliseconds.
+     * @returns {Number}
+     */
+    Replay.prototype.getDuration = function () {
+        return this._duration;
+    };
+    /**
+     * @returns {Number}
+     */
+    Replay.prototype.getStepCount = function () {
+        return this._steps.length;
+    };
+    /**
+     * Returns the time elapsed in the step with the passed index, in milliseconds
+     * @param {Number} index
+     * @returns {Number}
+     */
+    Replay.prototype.getStepDT = function (index) {
+        return this._steps[index][STEP_DT_INDEX];
+    };
+    /**
+     * Returns whether the time was stopped during the step with the passed index
+     * @param {Number} index
+     * @returns {Boolean}
+     */
+    Replay.prototype.isTimeStoppedInStep = function (index) {
+        return !!this._steps[index][STEP_TIME_STOPPED_INDEX];
+    };
+    /**
+     * Returns the action groups the fighter controller processed in the step with the passed index, in the same format as the
+     * controllers receive them (see Controller.executeActions) or null, if the fighter controller did not control the piloted
+     * spacecraft in that step.
+     * @param {Number} index
+     * @param {InputInterpreter} mouseInputInterpreter The interpreter to set as the source of actions triggered by the mouse
+     * @returns {Object[][]|null}
+     */
+    Replay.prototype.getStepActions = function (index, mouseInputInterpreter) {
+        var groups = this._steps[index][STEP_ACTIONS_INDEX];
+        if (!groups) {
+            return null;
+        }
+        return groups.map(function (group) {
+            return group.map(function (action) {
+                return {
+                    name: action[0],
+                    intensity: (action[1] !== null) ? action[1] : undefined,
+                    source: action[2] ? mouseInputInterpreter : null
+                };
+            });
+        });
+    };
+    /**
+     * Stores the actions that the fighter controller processes in the current step, so that they will be saved with the step
+     * when recordStep() is called.
+     * @param {Object[][]} triggeredActions The grouped actions, as passed to Controller.executeActions (only those actions should be
+     * included which the fighter controller can handle)
+     * @param {InputInterpreter} mouseInputInterpreter Actions from this source will be marked as triggered by the mouse
+     */
+    Replay.prototype.recordActions = function (triggeredActions, mouseInputInterpreter) {
+        var i, j, group;
+        this._pendingActions = this._pendingActions || [];
+        for (i = 0; i < triggeredActions.length; i++) {
+            group = [];
+            for (j = 0; j < triggeredActions[i].length; j++) {
+                group.push([
+                    triggeredActions[i][j].name,
+                    (triggeredActions[i][j].intensity !== undefined) ? triggeredActions[i][j].intensity : null,
+                    (triggeredActions[i][j].source === mouseInputInterpreter) ? 1 : 0
+                ]);
+            }
+            if (group.length > 0) {
+                this._pendingActions.push(group);
+            }
+        }
+    };
+    /**
+     * Adds a new simulation step to the end of the replay, with the actions recorded since the last step.
+     * @param {Number} dt The time elapsed since the last step, in milliseconds
+     * @param {Boolean} timeStopped Whether the time is stopped in this step
+     */
+    Replay.prototype.recordStep = function (dt, timeStopped) {
+        var step = [dt];
+        if (this._pendingActions || timeStopped) {
+            step.push(this._pendingActions || 0);
+        }
+        if (timeStopped) {
+            step.push(1);
+        } else {
+            this._duration += dt;
+        }
+        this._steps.push(step);
+        this._pendingActions = null;
+    };
+    /**
+     * Returns a suggested file name (without extension) for exporting this replay
+     * @returns {String}
+     */
+    Replay.prototype.getFilename = function () {
+        var name = this._missionSourceFilename ?
+                this._missionSourceFilename.split("/").pop().split(".")[0] :
+                ((this._missionData && this._missionData.title) || "custom");
+        return name.replace(/[^\w\-]+/g, "_") + "-" + new Date().toISOString().replace(/[:.]/g, "-");
+    };
+    // -------------------------------------------------------------------------
+    // Public functions
+    /**
+     * Creates and returns a new, empty replay to be recorded
+     * @param {Replay~Params} params
+     * @returns {Replay}
+     */
+    function createReplay(params) {
+        return new Replay(params);
+    }
+    /**
+     * Creates a replay from the passed data (as saved to a replay file)
+     * @param {Object} dataJSON
+     * @returns {Replay|null} Null if the passed data is not valid replay data
+     */
+    function loadReplayFromJSON(dataJSON) {
+        var result = new Replay();
+        if (!result.loadFromJSON(dataJSON)) {
+            application.showError("Invalid replay data!", application.ErrorSeverity.MINOR);
+            return null;
+        }
+        return result;
+    }
+    /**
+     * Triggers the download of a file containing the data of the passed replay
+     * @param {Replay} replay
+     */
+    function exportReplay(replay) {
+        var
+                blob = new Blob([JSON.stringify(replay.getData())], {type: "application/json"}),
+                e = document.createEvent("MouseEvents"),
+                a = document.createElement("a");
+        a.download = replay.getFilename() + FILE_EXTENSION;
+        a.href = window.URL.createObjectURL(blob);
+        a.dataset.downloadurl = ["application/json", a.download, a.href].join(":");
+        e.initMouseEvent("click", true, false, window, 0, 0, 0, 0, 0, false, false, false, false, 0, null);
+        a.dispatchEvent(e);
+    }
+    /**
+     * Returns the last recorded (or loaded) replay
+     * @returns {Replay}
+     */
+    function getLastReplay() {
+        return _lastReplay;
+    }
+    /**
+     * Sets the last recorded (or loaded) replay
+     * @param {Replay} value
+     */
+    function setLastReplay(value) {
+        _lastReplay = value;
+    }
+    // -------------------------------------------------------------------------
+    // The public interface of the module
+    return {
+        createReplay: createReplay,
+        loadReplayFromJSON: loadReplayFromJSON,
+        exportReplay: exportReplay,
+        getLastReplay: getLastReplay,
+        setLastReplay: setLastReplay
+    };
+});
@@ -33,6 +33,10 @@
  * @param equipment Used to access flight mode constants
  * @param spacecraft Used for multiplayer data messaging and state setup
  * @param ai Used for performing the AI control operations in the battle simulation loop.
+ * @param formations Used for resetting the random seed of formations when starting a battle.
+ * @param replay Used for recording and playing back battle replays.
+ * @param career Used for rewarding the player for career missions.
+ * @param survival Used for recording the results of survival battles.
  */
 define([
     "utils/utils",
@@ -62,6 +66,10 @@ define([
     "armada/logic/equipment",
     "armada/logic/spacecraft",
     "armada/logic/ai",
+    "armada/logic/formations",
+    "armada/replay",
+    "armada/logic/career",
+    "armada/logic/survival",
     "utils/polyfill"
 ], function (
         utils, vec, mat,
@@ -69,7 +77,7 @@ define([
         renderableObjects, sceneGraph,
         analytics,
         strings, armadaScreens, graphics, audio, networking, classes, config, control,
-        SpacecraftEvents, missions, missionEvents, missionHub, equipment, spacecraft, ai) {
+        SpacecraftEvents, missions, missionEvents, missionHub, equipment, spacecraft, ai, formations, replay, career, survival) {
     "use strict";
     var
             // ------------------------------------------------------------------------------
@@ -93,7 +101,10 @@ define([
                 MISSILE_INDICATOR: 12,
                 OBJECTIVES: 13,
                 ESCORTS: 14,
-                SCORE: 15
+                SCORE: 15,
+                POWER: 16,
+                BOOSTER: 17,
+                RADAR: 18
             },
             HUDSectionState = {
                 VISIBLE: 0,
@@ -110,13 +121,16 @@ define([
             /** @type String */
             STATS_PARAGRAPH_ID = "stats",
             TOUCH_CONTROL_SHEET_ID = "touchControlSheet",
+            SPECTATOR_SCOREBOARD_ID = "spectatorScoreboard",
+            SPECTATOR_SCOREBOARD_LIST_ID = "spectatorScoreboardList",
+            SCOREBOARD_NUMBER_CELL_CLASS = "number",
+            SCOREBOARD_LEFT_ROW_CLASS = "left",
             LOADING_BOX_ID = "loadingBox",
             INFO_BOX_ID = "infoBox",
             BATTLE_CANVAS_ID = "battleCanvas",
             /** @type Number */
             LOOP_CANCELED = -1,
             LOOP_REQUESTANIMFRAME = -2,
-            HOST_UPDATE_INTERVAL = 50,
             LOADING_BUILDING_SCENE_PROGRESS = 10,
             LOADING_RESOURCES_START_PROGRESS = 20,
             LOADING_RESOURCE_PROGRESS = 60,
@@ -181,11 +195,12 @@ define([
             TARGET_INFO_CLASS = "class",
             TARGET_INFO_TEAM = "team",
             TARGET_INFO_FIREPOWER = "firepower",
+            TARGET_INFO_SUBSYSTEMS = "subsystems",
             TARGET_INFO_DISTANCE = "distance",
             TARGET_INFO_VELOCITY = "velocity",
             /** From top to bottom in the info panel
              * @type Array */
-            TARGET_INFO_SECTIONS = [TARGET_INFO_NAME, TARGET_INFO_CLASS, TARGET_INFO_TEAM, TARGET_INFO_FIREPOWER, TARGET_INFO_DISTANCE, TARGET_INFO_VELOCITY],
+            TARGET_INFO_SECTIONS = [TARGET_INFO_NAME, TARGET_INFO_CLASS, TARGET_INFO_TEAM, TARGET_INFO_FIREPOWER, TARGET_INFO_SUBSYSTEMS, TARGET_INFO_DISTANCE, TARGET_INFO_VELOCITY],
             /** This governs what suppements are target view items added with @type Object */
             TARGET_VIEW_SUPPLEMENTS = {weapons: true},
             POINTER_LOCK_DELAY = 1000,
@@ -307,6 +322,22 @@ define([
              * @type Boolean
              */
             _multi,
+            /**
+             * The class and loadout to use for the piloted spacecraft instead of the ones given in the mission (when flying with
+             * a spacecraft of the career of the player), or null to use the ones from the mission.
+             * @type Mission~PilotedSpacecraft
+             */
+            _pilotedSpacecraft,
+            /**
+             * Whether the current battle is played as part of the career of the player (and so they are rewarded for it)
+             * @type Boolean
+             */
+            _career,
+            /**
+             * Whether the current battle is a survival battle (the result of which is recorded in the survival high score tables)
+             * @type Boolean
+             */
+            _survival,
             /**
              * The translated gameplay tip text displayed in the loading box.
              * @type String
@@ -356,6 +387,44 @@ define([
              * @type Number
              */
             _timeSincePlayerLeft,
+            /**
+             * The replay being recorded of the current battle (if it is recorded)
+             * @type Replay
+             */
+            _recordedReplay,
+            /**
+             * The replay being played back (if we are watching a replay instead of playing a battle)
+             * @type Replay
+             */
+            _replay,
+            /**
+             * The index of the next step to be executed from the replay being played back
+             * @type Number
+             */
+            _replayStepIndex,
+            /**
+             * The amount of real time that has passed during the playback of the replay but has not been simulated yet (as it is less
+             * than the time elapsed in the next recorded step), in milliseconds
+             * @type Number
+             */
+            _replayTimeLeft,
+            /**
+             * The state of auto targeting of the (recorded) fighter controller during the playback of the replay
+             * @type Boolean
+             */
+            _replayAutoTargeting,
+            /**
+             * When the playback of the replay starts, it is fast forwarded to this point in simulation time (used for seeking), in
+             * milliseconds
+             * @type Number
+             */
+            _replaySeekTime,
+            /**
+             * The elapsed time (in whole seconds) and paused state that are currently displayed in the header during replay playback,
+             * as a string
+             * @type String
+             */
+            _replayHeaderState,
             /**
              * A reference to the followed spacecraft (if any, as last displayed on the HUD)
              * @type Spacecraft
@@ -449,6 +518,11 @@ define([
              * @type Number
              */
             _shipIndicatorHighlightTime,
+            /**
+             * The index of the currently selected range step of the radar (among the zoom steps set in the HUD settings)
+             * @type Number
+             */
+            _radarZoomStep,
             /**
              * A reference to the camera configuration that was active at the time an automatic configuration was set instead (i.e. during
              * jump sequences, to allow going back to the original configuration)
@@ -645,6 +719,12 @@ define([
              * @type Number
              */
             _disconnectThreshold,
+            /**
+             * Cached setting of the amount of simulation time to jump when seeking forward / backward during replay playback, in
+             * milliseconds
+             * @type Number
+             */
+            _replaySeekStep,
             // ................................................................................................
             // elements of the HUD and their stored state
             /**
@@ -836,6 +916,113 @@ define([
              * @type CanvasText[]
              */
             _wingmenStatusSquadTexts,
+            /**
+             * Displays the order the wingmen of the followed spacecraft are executing on the wingmen status panel
+             * @type CanvasText
+             */
+            _wingmenStatusOrderText,
+            // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+            // wingmen order menu
+            /**
+             * A rectangle displayed as the background of the menu listing the orders the player can give to their wingmen
+             * @type HUDElement
+             */
+            _wingmenOrdersBackground,
+            /**
+             * Houses the texts of the wingmen order menu.
+             * @type TextLayer
+             */
+            _wingmenOrdersTextLayer,
+            /**
+             * Displays the header text (i.e. "Orders to wingmen:") on the wingmen order menu.
+             * @type CanvasText
+             */
+            _wingmenOrdersHeaderText,
+            /**
+             * Displays the orders that can be given on the wingmen order menu.
+             * @type CanvasText[]
+             */
+            _wingmenOrdersTexts,
+            // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+            // power distribution gauge
+            /**
+             * A rectangle displayed as the background of the gauge showing how the reactor output of the followed spacecraft is
+             * distributed among its systems
+             * @type HUDElement
+             */
+            _powerBackground,
+            /**
+             * Houses the texts of the power distribution gauge.
+             * @type TextLayer
+             */
+            _powerTextLayer,
+            /**
+             * Displays the header text (i.e. "Power:") on the power distribution gauge.
+             * @type CanvasText
+             */
+            _powerHeaderText,
+            /**
+             * Displays the names of the systems on the power distribution gauge.
+             * @type CanvasText[]
+             */
+            _powerTexts,
+            /**
+             * The bars showing the ratio of the reactor output allocated to each system on the power distribution gauge, along with
+             * their layouts.
+             * @type Array
+             */
+            _powerBars,
+            // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+            // booster and countermeasures gauge
+            /**
+             * A rectangle displayed as the background of the gauge showing the booster fuel and countermeasures left on the followed
+             * spacecraft
+             * @type HUDElement
+             */
+            _boosterBackground,
+            /**
+             * Houses the texts of the booster and countermeasures gauge.
+             * @type TextLayer
+             */
+            _boosterTextLayer,
+            /**
+             * Displays the header text (i.e. "Booster:") on the booster and countermeasures gauge.
+             * @type CanvasText
+             */
+            _boosterHeaderText,
+            /**
+             * Displays the number of countermeasures left on the booster and countermeasures gauge.
+             * @type CanvasText
+             */
+            _countermeasuresText,
+            /**
+             * The bar showing the ratio of fuel left in the booster.
+             * @type HUDElement
+             */
+            _boosterBar,
+            // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+            // radar
+            /**
+             * The ellipse representing the plane of the followed spacecraft on the radar, with the spacecraft at its center.
+             * @type HUDElement
+             */
+            _radar,
+            /**
+             * The blips marking the sensed spacecrafts and missiles on the radar along with the stalks connecting them to its plane.
+             * Created dynamically as needed.
+             * @type Array
+             */
+            _radarBlips,
+            /**
+             * Houses the range text of the radar.
+             * @type TextLayer
+             */
+            _radarTextLayer,
+            /**
+             * Displays the current range of the radar.
+             * @type CanvasText
+             */
+            _radarRangeText,
             // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
             // speed and drift indicators
             /**
@@ -1082,6 +1269,31 @@ define([
              * @type ClipSpaceLayout
              */
             _wingmenStatusBackgroundLayout,
+            /**
+             * Stores a reference to the layout used for the wingmen order menu background HUD element for quicker access.
+             * @type ClipSpaceLayout
+             */
+            _wingmenOrdersBackgroundLayout,
+            /**
+             * Stores a reference to the layout used for the power distribution gauge background HUD element for quicker access.
+             * @type ClipSpaceLayout
+             */
+            _powerBackgroundLayout,
+            /**
+             * Stores a reference to the layout used for the booster and countermeasures gauge background HUD element for quicker access.
+             * @type ClipSpaceLayout
+             */
+            _boosterBackgroundLayout,
+            /**
+             * Stores a reference to the layout used for the booster fuel bar HUD element for quicker access.
+             * @type ClipSpaceLayout
+             */
+            _boosterBarLayout,
+            /**
+             * Stores a reference to the layout used for the radar HUD element for quicker access.
+             * @type ClipSpaceLayout
+             */
+            _radarLayout,
             /**
              * Stores a reference to the layout used for the target hull integrity bar HUD element for quicker access.
              * @type ClipSpaceLayout
@@ -1271,7 +1483,74 @@ define([
              * An array storing the current state of each of the HUD sections
              * @type Number[]
              */
-            _hudSectionStates;
+            _hudSectionStates,
+            // ~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~~
+            // HUD layout customization
+            /**
+             * @typedef {Object} Battle~HUDSectionLayout The customization the player applied to a HUD section
+             * @property {Number[2]} offset The section is moved by this vector, in clip space
+             * @property {Number} scale The section is scaled by this factor (around the anchor point of its main layout)
+             * @property {Number[4]} tint The RGBA tint to shift the colors of the section towards (see utils.getTintedColor())
+             * @property {Boolean} visible If false, the section is not displayed at all
+             */
+            /**
+             * The customizations of the HUD sections (indexed by HUDSection) in the active layout profile, or the one being edited in the
+             * layout editor.
+             * @type Battle~HUDSectionLayout[]
+             */
+            _hudLayout,
+            /**
+             * The RGBA tints of the HUD sections (indexed by HUDSection). The same arrays are referenced by the HUD elements and text
+             * layers of the sections, so they are updated in place when the layout changes.
+             * @type Number[4][]
+             */
+            _hudSectionTints = [],
+            /**
+             * The text layers that belong to HUD sections, each with the section and the base layout descriptor (before applying the
+             * customization) of the layer
+             * @type Array
+             */
+            _hudSectionTextLayers = [],
+            /**
+             * @typedef {Object} Battle~HUDLayoutEditorState
+             * @property {Number} section The HUDSection currently selected for editing
+             * @property {Number} profile The index of the layout profile being edited
+             * @property {Object.<Number, Battle~HUDSectionLayout[]>} layouts The edited layouts of the profiles visited in the editor
+             * @property {ClipSpaceLayout} frameLayout The layout of the frame marking the selected section (null if the section cannot be
+             * moved)
+             * @property {Boolean} hudWasVisible Whether the HUD was visible when the editor was opened (it is shown while editing)
+             * @property {Number[2]} [dragPosition] The last position of the mouse cursor while dragging a section, in pixels
+             * @property {Function} keyDownHandler
+             * @property {Function} mouseDownHandler
+             * @property {Function} mouseMoveHandler
+             * @property {Function} mouseUpHandler
+             * @property {Function} wheelHandler
+             */
+            /**
+             * The state of the HUD layout editor while it is open, null otherwise
+             * @type Battle~HUDLayoutEditorState
+             */
+            _hudLayoutEditor = null,
+            /**
+             * Marks the HUD section selected in the layout editor
+             * @type HUDElement
+             */
+            _hudLayoutEditorFrame,
+            /**
+             * Houses the texts displayed in the layout editor
+             * @type TextLayer
+             */
+            _hudLayoutEditorTextLayer,
+            /**
+             * Displays the selected section and profile in the layout editor
+             * @type CanvasText
+             */
+            _hudLayoutEditorHeaderText,
+            /**
+             * Displays the available controls in the layout editor
+             * @type CanvasText
+             */
+            _hudLayoutEditorHelpText;
     // -------------------------------------------------------------------------
     // Freezing enums
     Object.freeze(HUDSection);
@@ -1286,17 +1565,143 @@ define([
         _squads = _spacecraft.getTeam() ? _spacecraft.getTeam().getSquads() : [];
         _wingmenStatusCraftLayouts = []; // drop the previous array so new layouts are generated for potentially new squads
     }
+    /**
+     * Returns the order (enum WingmenOrder defined in ai.js) the wingmen of the passed spacecraft are executing (based on the first
+     * wingman that has one), or null if they are not executing any order.
+     * @param {Spacecraft} craft
+     * @returns {String}
+     */
+    function _getWingmenOrder(craft) {
+        var i, j, wingman;
+        for (i = 0; i < _squads.length; i++) {
+            if (_squads[i].name === craft.getSquad()) {
+                for (j = 0; j < _squads[i].crafts.length; j++) {
+                    wingman = _squads[i].crafts[j];
+                    if ((wingman !== craft) && wingman.isAlive() && !wingman.isAway() && wingman.getActiveOrder()) {
+                        return wingman.getActiveOrder();
+                    }
+                }
+                return null;
+            }
+        }
+        return null;
+    }
+    /**
+     * Executes the next step of the replay being played back: the recorded actions of the piloted spacecraft, the AI control and the
+     * simulation of the mission.
+     * @returns {Number} The simulation time elapsed in the step (0 if the time was stopped during the step), in milliseconds
+     */
+    function _executeReplayStep() {
+        var
+                dt = _replay.getStepDT(_replayStepIndex),
+                timeStopped = _replay.isTimeStoppedInStep(_replayStepIndex),
+                actions = _replay.getStepActions(_replayStepIndex, control.getInputInterpreter(control.MOUSE_NAME)),
+                craft = _mission.getPilotedSpacecraft();
+        if (actions && craft && craft.isAlive()) {
+            _replayAutoTargeting = control.getController(control.FIGHTER_CONTROLLER_NAME).executeReplayedActions(craft, actions, _replayAutoTargeting, dt);
+        }
+        ai.control(dt);
+        _replayStepIndex++;
+        if (timeStopped) {
+            return 0;
+        }
+        _mission.tick(dt, _battleScene, false);
+        _elapsedTime += dt;
+        return dt;
+    }
+    /**
+     * Executes the steps of the replay being played back until the passed simulation time is reached (or the replay ends), without
+     * waiting for real time to pass.
+     * @param {Number} time The simulation time to reach, in milliseconds
+     */
+    function _fastForwardReplay(time) {
+        while ((_replayStepIndex < _replay.getStepCount()) && (_elapsedTime < time)) {
+            _executeReplayStep();
+        }
+        _replayTimeLeft = 0;
+        // the real time spent fast forwarding should not be played back
+        _prevDate = performance.now();
+    }
+    /**
+     * Updates the header of the battle screen to show the state of the replay playback, if it changed since the last update
+     */
+    function _updateReplayHeader() {
+        var state = Math.floor(_elapsedTime / 1000) + (_isTimeStopped ? "p" : "");
+        if (state !== _replayHeaderState) {
+            _replayHeaderState = state;
+            _battleScreen.setHeaderContent(strings.get(_isTimeStopped ? strings.BATTLE.REPLAY_PAUSED_HEADER : strings.BATTLE.REPLAY_HEADER), {
+                time: utils.formatTimeToMinutes(_elapsedTime),
+                duration: utils.formatTimeToMinutes(_replay.getDuration())
+            });
+        }
+    }
+    /**
+     * Executes one control step and the simulation steps of the replay being played back corresponding to the real time elapsed
+     * since the last call.
+     */
+    function _replayLoopFunction() {
+        var followedCraft, curDate, dt;
+        if (_simulationLoop !== LOOP_CANCELED) {
+            curDate = performance.now();
+            dt = curDate - _prevDate;
+            control.control(dt);
+            followedCraft = _mission.getFollowedSpacecraftForScene(_battleScene);
+            if (!_isTimeStopped) {
+                _replayTimeLeft += dt;
+                while ((_replayStepIndex < _replay.getStepCount()) &&
+                        (_replay.isTimeStoppedInStep(_replayStepIndex) || (_replay.getStepDT(_replayStepIndex) <= _replayTimeLeft))) {
+                    _replayTimeLeft -= _executeReplayStep();
+                }
+                if (_replayStepIndex >= _replay.getStepCount()) {
+                    _replayTimeLeft = 0;
+                }
+            }
+            // handling the loss of the spacecraft that is followed by the camera
+            if (followedCraft && (!followedCraft.isAlive() || followedCraft.isAway())) {
+                if (!_battleScene.getCamera().followNextNode()) {
+                    control.switchToSpectatorMode(true, true);
+                    _replayHeaderState = null;
+                }
+            }
+            _updateReplayHeader();
+            _prevDate = curDate;
+        }
+    }
+    /**
+     * As a multiplayer guest, sets the state of the spacecrafts not piloted by the player by interpolating between the game updates
+     * received from the host, and records the predicted state of the piloted spacecraft (correcting its prediction error)
+     * @param {DOMHighResTimeStamp} time The time of the current simulation step
+     * @param {Number} dt The time elapsed since the previous simulation step, in milliseconds
+     */
+    function _updateMultiGuestSpacecrafts(time, dt) {
+        var
+                i, spacecrafts = _mission.getSpacecrafts(),
+                pilotedCraft = _mission.getPilotedSpacecraft(),
+                renderTime = time - networking.getInterpolationDelay();
+        for (i = 0; i < spacecrafts.length; i++) {
+            if (spacecrafts[i] === pilotedCraft) {
+                spacecrafts[i].updateMultiPrediction(time, dt);
+            } else {
+                spacecrafts[i].interpolateMultiSnapshots(renderTime);
+            }
+        }
+    }
     /**
      * Executes one simulation (and control) step for the battle.
      */
     function _simulationLoopFunction() {
         var followedCraft, curDate, dt, i, players;
+        if (_replay) {
+            _replayLoopFunction();
+            return;
+        }
         if (_simulationLoop !== LOOP_CANCELED) {
             curDate = performance.now();
             dt = curDate - _prevDate;
             _timeSinceHostUpdate += dt;
             control.control(dt);
-            if (_multi && !networking.isHost()) {
+            // spectators only receive the updates of the host, and have no controls to send
+            if (_multi && !networking.isHost() && !networking.isSpectator()) {
                 networking.sendGuestUpdate(_mission.getPilotedSpacecraft());
             }
             ai.control(dt);
@@ -1305,13 +1710,14 @@ define([
                 _mission.tick(dt, _battleScene, _multi);
                 if (_multi) {
                     if (networking.isHost()) {
-                        if (_timeSinceHostUpdate >= HOST_UPDATE_INTERVAL) {
+                        if (_timeSinceHostUpdate >= networking.HOST_UPDATE_INTERVAL) {
                             _timeSinceHostUpdate = 0;
                             networking.sendHostUpdate(_mission.getSpacecrafts());
                         }
                         players = networking.getPlayers();
                         for (i = 1; i < players.length; i++) {
-                            if (!players[i].left) {
+                            // dropped players are waited for by the server until they rejoin or their grace period ends
+                            if (!players[i].left && !players[i].dropped) {
                                 _timeSinceGuestUpdates[i] += dt;
                                 if (_timeSinceGuestUpdates[i] > _disconnectThreshold) {
                                     networking.guestTimeout(players[i].name);
@@ -1319,6 +1725,7 @@ define([
                             }
                         }
                     } else {
+                        _updateMultiGuestSpacecrafts(curDate, dt);
                         if (_timeSinceHostUpdate > _disconnectThreshold) {
                             _multi = false;
                             game.getScreen(armadaScreens.MULTI_SCORE_SCREEN_NAME).updateData();
@@ -1368,12 +1775,15 @@ define([
                     }
                 }
             }
+            if (_recordedReplay) {
+                _recordedReplay.recordStep(dt, _isTimeStopped);
+            }
             if (followedCraft) {
                 // handling the loss of the spacecraft that is followed by the camera
                 if (!followedCraft.isAlive() || followedCraft.isAway()) {
                     if (control.isInPilotMode()) {
                         control.switchToSpectatorMode(true);
-                    } else if (_demoMode) {
+                    } else if (_demoMode || (_multi && networking.isSpectator())) {
                         // first, try to switch to a new spacecraft, if there are none, switch to free camera
                         if (!_battleScene.getCamera().followNextNode()) {
                             control.switchToSpectatorMode(true, true);
@@ -1405,6 +1815,8 @@ define([
             _mission.destroy();
         }
         _mission = null;
+        _recordedReplay = null;
+        control.getController(control.FIGHTER_CONTROLLER_NAME).setRecordedReplay(null);
         if (_battleScene) {
             _battleScene.clear(true);
         }
@@ -1469,6 +1881,39 @@ define([
             stopTime();
         }
     }
+    /**
+     * Pauses / resumes the playback of the replay, if one is being played back
+     */
+    function toggleReplayPause() {
+        if (_replay) {
+            toggleTime();
+        }
+    }
+    /**
+     * Jumps forward or backward in the replay being played back (if any) by the amount set in the configuration. Seeking forward
+     * simulates the battle without displaying it until the target time is reached, while seeking backward restarts the playback
+     * and fast forwards it to the target time.
+     * @param {Boolean} forward
+     */
+    function seekReplay(forward) {
+        if (_replay) {
+            if (forward) {
+                _fastForwardReplay(_elapsedTime + _replaySeekStep);
+            } else {
+                _battleScreen.startNewBattle({
+                    restart: true,
+                    replayTime: Math.max(0, _elapsedTime - _replaySeekStep)
+                });
+            }
+        }
+    }
+    /**
+     * Returns whether a replay is being played back (as opposed to playing a battle)
+     * @returns {Boolean}
+     */
+    function isPlayingReplay() {
+        return !!_replay;
+    }
     /**
      * Hides all elements of the HUD. (rendering the battle screen after this will not show the HUD)
      */
@@ -1487,6 +1932,12 @@ define([
     function toggleHUDVisibility() {
         _isHUDVisible = !_isHUDVisible;
     }
+    /**
+     * Switches the radar to its next range step (after the shortest range, back to the full range of the sensors)
+     */
+    function cycleRadarZoom() {
+        _radarZoomStep = (_radarZoomStep + 1) % config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR_ZOOM_STEPS).length;
+    }
     /**
      * Updates all HUD elements for the case when the graphics settings have been changed (i.e. clears cached values depending on graphics 
      * settings)
@@ -1748,6 +2199,21 @@ define([
          * @type Number[4]
          */
         this._clipColor = clipColor || [0, 0, 0, 0];
+        /**
+         * If set, the colors of the element are shifted towards this RGBA tint (see utils.getTintedColor())
+         * @type Number[4]
+         */
+        this._tint = null;
+        /**
+         * The color actually used for rendering inside the clip zone if a tint is set
+         * @type Number[4]
+         */
+        this._tintedColor = [0, 0, 0, 0];
+        /**
+         * The color actually used for rendering outside the clip zone if a tint is set
+         * @type Number[4]
+         */
+        this._tintedClipColor = [0, 0, 0, 0];
         /**
          * The coordinates for the top-left and bottom-right corners of the section of the texture image to use for texture mapping (or 
          * other corners if flipped horizontally or vertically) When not set, the whole image is used.
@@ -1797,10 +2263,10 @@ define([
                     this._position,
                     this._scale,
                     this._scaleMode,
-                    this._color,
+                    this._getRenderColor(),
                     Math.degrees(this._angle),
                     this._clipCoordinates,
-                    this._clipColor);
+                    this._getRenderClipColor());
         } else {
             this._visualModel.init(
                     this._class.getModel(),
@@ -1809,12 +2275,26 @@ define([
                     this._position,
                     this._scale,
                     this._scaleMode,
-                    this._color,
+                    this._getRenderColor(),
                     Math.degrees(this._angle),
                     this._clipCoordinates,
-                    this._clipColor);
+                    this._getRenderClipColor());
         }
     };
+    /**
+     * Returns the RGBA color to be used for rendering the element inside its clip zone (considering the tint)
+     * @returns {Number[4]}
+     */
+    HUDElement.prototype._getRenderColor = function () {
+        return (this._tint && this._color) ? utils.getTintedColor(this._color, this._tint, this._tintedColor) : this._color;
+    };
+    /**
+     * Returns the RGBA color to be used for rendering the element outside its clip zone (considering the tint)
+     * @returns {Number[4]}
+     */
+    HUDElement.prototype._getRenderClipColor = function () {
+        return (this._tint && this._clipColor) ? utils.getTintedColor(this._clipColor, this._tint, this._tintedClipColor) : this._clipColor;
+    };
     /**
      * Returns the current scale factor used (on the X and Y axes) for the element.
      * @returns {Number[2]}
@@ -1918,9 +2398,26 @@ define([
     HUDElement.prototype.setColor = function (value) {
         this._color = value;
         if (this._visualModel) {
-            this._visualModel.setColor(value);
+            this._visualModel.setColor(this._getRenderColor());
         }
     };
+    /**
+     * Sets a new RGBA tint to shift the colors of this element towards (null removes the tint). The passed array is referenced, so after
+     * changing its components, call this method again to apply the change.
+     * @param {Number[4]} value
+     */
+    HUDElement.prototype.setTint = function (value) {
+        this._tint = value;
+        this.setColor(this._color);
+        this.setClipColor(this._clipColor);
+    };
+    /**
+     * Returns the RGBA tint currently set for this element (null if none)
+     * @returns {Number[4]}
+     */
+    HUDElement.prototype.getTint = function () {
+        return this._tint;
+    };
     /**
      * Sets new minimum and maximum X coordinates for the clip zone of the element.
      * @param {Number} minimum
@@ -1960,7 +2457,7 @@ define([
     HUDElement.prototype.setClipColor = function (value) {
         this._clipColor = value;
         if (this._visualModel) {
-            this._visualModel.setClipColor(value);
+            this._visualModel.setClipColor(this._getRenderClipColor());
         }
     };
     /**
@@ -1969,49 +2466,454 @@ define([
      * with the same texture coordinates, before the loading)
      * @param {Number[2][2]} value
      */
-    HUDElement.prototype.setTextureCoordinates = function (value) {
-        this._textureCoordinates = value;
-        if (this._visualModel) {
-            this._visualModel.setModel(graphics.getModel(this._getModelName()).getEgomModel());
+    HUDElement.prototype.setTextureCoordinates = function (value) {
+        this._textureCoordinates = value;
+        if (this._visualModel) {
+            this._visualModel.setModel(graphics.getModel(this._getModelName()).getEgomModel());
+        }
+    };
+    /**
+     * Set a new scaling mode to be used for the visual representation of this element
+     * @param {String} value (enum ScaleMode)
+     */
+    HUDElement.prototype.setScaleMode = function (value) {
+        this._scaleMode = value;
+        if (this._visualModel) {
+            this._visualModel.setScaleMode(value);
+        }
+    };
+    /**
+     * Sets new absolute (viewport) coordinates for the position and size of the element applying the rules
+     * of the passed clip space layout to a viewport of the given size.
+     * @param {ClipSpaceLayout} layout
+     * @param {Number} viewportWidth
+     * @param {Number} viewportHeight
+     */
+    HUDElement.prototype.applyLayout = function (layout, viewportWidth, viewportHeight) {
+        this.setPosition(layout.getPosition(viewportWidth, viewportHeight));
+        this.setSize(layout.getSize(viewportWidth, viewportHeight));
+    };
+    /**
+     * Updates the properties of the class of this element for the case when the graphics settings have been changed. (e.g. clearing the
+     * cached shader value, since a new shader might have become active)
+     */
+    HUDElement.prototype.handleGraphicsSettingsChanged = function () {
+        this._class.handleGraphicsSettingsChanged();
+    };
+    // ------------------------------------------------------------------------------
+    // private functions
+    /**
+     * Returns the descriptor of the layout the passed HUD section is positioned by: the section is scaled around the anchor point of this
+     * layout and the layout editor marks the area of this layout when the section is selected. Returns null for the sections which are
+     * displayed at the positions of objects in the 3D scene and so cannot be moved or scaled.
+     * @param {Number} section (enum HUDSection)
+     * @returns {LayoutDescriptor}
+     */
+    function _getHUDSectionBaseLayoutDescriptor(section) {
+        switch (section) {
+            case HUDSection.TARGET_INFO:
+                return config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_INFO_BACKGROUND).layout;
+            case HUDSection.HULL_BAR:
+                return config.getHUDSetting(config.BATTLE_SETTINGS.HUD.HULL_INTEGRITY_BAR).layout;
+            case HUDSection.SHIELD_BAR:
+                return config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIELD_BAR).layout;
+            case HUDSection.SPEED_BAR:
+                return config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SPEED_BAR).layout;
+            case HUDSection.FLIGHT_MODE:
+                return config.getHUDSetting(config.BATTLE_SETTINGS.HUD.FLIGHT_MODE_INDICATOR_BACKGROUND).layout;
+            case HUDSection.WINGMEN_INFO:
+                return config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_STATUS_BACKGROUND).layout;
+            case HUDSection.MISSILE_INFO:
+                return config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INFO_BACKGROUND).layout;
+            case HUDSection.MISSILE_INDICATOR:
+                return config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INDICATOR).layout;
+            case HUDSection.OBJECTIVES:
+                return config.getHUDSetting(config.BATTLE_SETTINGS.HUD.OBJECTIVES_BACKGROUND).layout;
+            case HUDSection.ESCORTS:
+                return config.getHUDSetting(config.BATTLE_SETTINGS.HUD.ESCORTS_BACKGROUND).layout;
+            case HUDSection.SCORE:
+                return config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TOP_LEFT_TEXT_LAYER_LAYOUT);
+            case HUDSection.POWER:
+                return config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_BACKGROUND).layout;
+            case HUDSection.BOOSTER:
+                return config.getHUDSetting(config.BATTLE_SETTINGS.HUD.BOOSTER_BACKGROUND).layout;
+            case HUDSection.RADAR:
+                return config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR).layout;
+            default:
+                return null;
+        }
+    }
+    /**
+     * Returns a copy of the passed layout descriptor, moved and scaled according to the customization of the passed HUD section in the
+     * current HUD layout.
+     * @param {LayoutDescriptor} layoutDescriptor
+     * @param {Number} section (enum HUDSection)
+     * @returns {LayoutDescriptor}
+     */
+    function _getCustomHUDLayoutDescriptor(layoutDescriptor, section) {
+        var result, baseDescriptor, sectionLayout, pivot, i,
+                transform = function (anchors, dimension, size) {
+                    for (i = 0; i < anchors.length; i++) {
+                        if (baseDescriptor[anchors[i]] !== undefined) {
+                            pivot = baseDescriptor[anchors[i]];
+                            break;
+                        }
+                    }
+                    for (i = 0; i < anchors.length; i++) {
+                        if (result[anchors[i]] !== undefined) {
+                            result[anchors[i]] = pivot + (result[anchors[i]] - pivot) * sectionLayout.scale + sectionLayout.offset[dimension];
+                        }
+                    }
+                    if (result[size] !== undefined) {
+                        result[size] *= sectionLayout.scale;
+                    }
+                };
+        result = utils.deepCopy(layoutDescriptor);
+        baseDescriptor = _getHUDSectionBaseLayoutDescriptor(section);
+        sectionLayout = _hudLayout[section];
+        if (baseDescriptor) {
+            transform(["left", "centerX", "right"], 0, "width");
+            transform(["top", "centerY", "bottom"], 1, "height");
+        }
+        return result;
+    }
+    /**
+     * Creates a layout from the passed descriptor, moved and scaled according to the customization of the passed HUD section.
+     * @param {LayoutDescriptor} layoutDescriptor
+     * @param {Number} section (enum HUDSection)
+     * @returns {ClipSpaceLayout}
+     */
+    function _createHUDLayout(layoutDescriptor, section) {
+        return new screens.ClipSpaceLayout(_getCustomHUDLayoutDescriptor(layoutDescriptor, section));
+    }
+    /**
+     * Returns the layout of the bar displaying the hull integrity or shield of the escorted ship at the passed index
+     * @param {Number} index
+     * @param {String} barType hull / shield
+     * @returns {ClipSpaceLayout}
+     */
+    function _createEscortBarLayout(index, barType) {
+        var layoutDescriptor = utils.deepCopy(_escortsIntegrityBarsSettings.layouts[barType]);
+        layoutDescriptor.top += index * config.getHUDSetting(config.BATTLE_SETTINGS.HUD.ESCORTS_TEXT_OFFSET) * config.getHUDSetting(config.BATTLE_SETTINGS.HUD.ESCORTS_BACKGROUND).layout.height * 0.5;
+        return _createHUDLayout(layoutDescriptor, HUDSection.ESCORTS);
+    }
+    /**
+     * Returns the layout of the bar displaying the power allocated to the subsystem at the passed index
+     * @param {Number} index
+     * @returns {ClipSpaceLayout}
+     */
+    function _createPowerBarLayout(index) {
+        var layoutDescriptor = utils.deepCopy(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_BARS).layout);
+        layoutDescriptor.top += index * config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_TEXT_OFFSET) * config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_BACKGROUND).layout.height * 0.5;
+        return _createHUDLayout(layoutDescriptor, HUDSection.POWER);
+    }
+    /**
+     * Creates a text layer for a HUD section, which will be moved, scaled and tinted according to the customization of the section
+     * @param {LayoutDescriptor} layoutDescriptor The layout of the text layer without customization
+     * @param {Number} section (enum HUDSection)
+     * @returns {TextLayer}
+     */
+    function _createHUDSectionTextLayer(layoutDescriptor, section) {
+        var result = new screens.TextLayer(_getCustomHUDLayoutDescriptor(layoutDescriptor, section));
+        result.setTint(_hudSectionTints[section]);
+        _hudSectionTextLayers.push({
+            layer: result,
+            section: section,
+            layoutDescriptor: layoutDescriptor
+        });
+        return result;
+    }
+    /**
+     * (Re)creates the layouts of all the HUD elements and text layers belonging to HUD sections according to the current HUD layout.
+     */
+    function _updateHUDLayouts() {
+        var i;
+        _targetViewLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_VIEW_LAYOUT), HUDSection.TARGET_INFO);
+        _targetInfoBackgroundLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_INFO_BACKGROUND).layout, HUDSection.TARGET_INFO);
+        _wingmenStatusBackgroundLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_STATUS_BACKGROUND).layout, HUDSection.WINGMEN_INFO);
+        _wingmenOrdersBackgroundLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_ORDERS_BACKGROUND).layout, HUDSection.WINGMEN_INFO);
+        _powerBackgroundLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_BACKGROUND).layout, HUDSection.POWER);
+        _boosterBackgroundLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.BOOSTER_BACKGROUND).layout, HUDSection.BOOSTER);
+        _boosterBarLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.BOOSTER_BAR).layout, HUDSection.BOOSTER);
+        _radarLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR).layout, HUDSection.RADAR);
+        _targetHullIntegrityBarLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_HULL_INTEGRITY_BAR).layout, HUDSection.TARGET_INFO);
+        _targetShieldBarLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_SHIELD_BAR).layout, HUDSection.TARGET_INFO);
+        _speedBarLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SPEED_BAR).layout, HUDSection.SPEED_BAR);
+        _missileIndicatorLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INDICATOR).layout, HUDSection.MISSILE_INDICATOR);
+        _hullIntegrityBarLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.HULL_INTEGRITY_BAR).layout, HUDSection.HULL_BAR);
+        _shieldBarLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIELD_BAR).layout, HUDSection.SHIELD_BAR);
+        _flightModeIndicatorBackgroundLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.FLIGHT_MODE_INDICATOR_BACKGROUND).layout, HUDSection.FLIGHT_MODE);
+        _missileInfoBackgroundLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INFO_BACKGROUND).layout, HUDSection.MISSILE_INFO);
+        _objectivesBackgroundLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.OBJECTIVES_BACKGROUND).layout, HUDSection.OBJECTIVES);
+        _escortsBackgroundLayout = _createHUDLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.ESCORTS_BACKGROUND).layout, HUDSection.ESCORTS);
+        if (_escortBars) {
+            for (i = 0; i < _escortBars.length; i++) {
+                _escortBars[i].hullLayout = _createEscortBarLayout(i, "hull");
+                _escortBars[i].shieldLayout = _createEscortBarLayout(i, "shield");
+            }
+        }
+        if (_powerBars) {
+            for (i = 0; i < _powerBars.length; i++) {
+                _powerBars[i].layout = _createPowerBarLayout(i);
+            }
+        }
+        if (_wingmenStatusCraftLayouts) {
+            _wingmenStatusCraftLayouts = []; // the layouts are regenerated (with the new customization) when the panel is next updated
+        }
+        for (i = 0; i < _hudSectionTextLayers.length; i++) {
+            _hudSectionTextLayers[i].layer.setLayout(_getCustomHUDLayoutDescriptor(_hudSectionTextLayers[i].layoutDescriptor, _hudSectionTextLayers[i].section));
+        }
+    }
+    /**
+     * Returns the customization of a HUD section that leaves it as defined in the settings
+     * @returns {Battle~HUDSectionLayout}
+     */
+    function _getDefaultHUDSectionLayout() {
+        return {
+            offset: [0, 0],
+            scale: 1,
+            tint: [1, 1, 1, 0],
+            visible: true
+        };
+    }
+    /**
+     * Returns the camelCase name of the passed HUD section (the key it is stored with in local storage and the suffix of its string ID)
+     * @param {Number} section (enum HUDSection)
+     * @returns {String}
+     */
+    function _getHUDSectionName(section) {
+        var keys = Object.keys(HUDSection), i;
+        for (i = 0; i < keys.length; i++) {
+            if (HUDSection[keys[i]] === section) {
+                return utils.camelCase(keys[i]);
+            }
+        }
+        return null;
+    }
+    /**
+     * Creates a HUD layout from its stored form (an object with the customized properties of the sections, by their names), with the
+     * default values for the properties which are missing or invalid
+     * @param {Object} data
+     * @returns {Battle~HUDSectionLayout[]}
+     */
+    function _parseHUDLayout(data) {
+        var result = [], section, sectionData, sectionLayout;
+        for (section = 0; section < Object.keys(HUDSection).length; section++) {
+            sectionLayout = _getDefaultHUDSectionLayout();
+            sectionData = data[_getHUDSectionName(section)];
+            if (sectionData) {
+                if (Array.isArray(sectionData.offset) && (sectionData.offset.length === 2)) {
+                    sectionLayout.offset = sectionData.offset.slice();
+                }
+                if (typeof sectionData.scale === "number") {
+                    sectionLayout.scale = Math.min(Math.max(sectionData.scale,
+                            config.getHUDSetting(config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_MIN_SCALE)),
+                            config.getHUDSetting(config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_MAX_SCALE));
+                }
+                if (Array.isArray(sectionData.tint) && (sectionData.tint.length === 4)) {
+                    sectionLayout.tint = sectionData.tint.slice();
+                }
+                if (typeof sectionData.visible === "boolean") {
+                    sectionLayout.visible = sectionData.visible;
+                }
+            }
+            result.push(sectionLayout);
+        }
+        return result;
+    }
+    /**
+     * Returns the form of the passed HUD layout in which it can be stored (see _parseHUDLayout()), only including the properties that
+     * differ from the defaults
+     * @param {Battle~HUDSectionLayout[]} layout
+     * @returns {Object}
+     */
+    function _serializeHUDLayout(layout) {
+        var result = {}, section, sectionData, defaultLayout = _getDefaultHUDSectionLayout();
+        for (section = 0; section < layout.length; section++) {
+            sectionData = {};
+            if ((layout[section].offset[0] !== 0) || (layout[section].offset[1] !== 0)) {
+                sectionData.offset = layout[section].offset;
+            }
+            if (layout[section].scale !== defaultLayout.scale) {
+                sectionData.scale = layout[section].scale;
+            }
+            if (layout[section].tint[3] > 0) {
+                sectionData.tint = layout[section].tint;
+            }
+            if (!layout[section].visible) {
+                sectionData.visible = false;
+            }
+            if (Object.keys(sectionData).length > 0) {
+                result[_getHUDSectionName(section)] = sectionData;
+            }
+        }
+        return result;
+    }
+    /**
+     * Applies the current HUD layout to all HUD elements and text layers
+     */
+    function _applyHUDLayout() {
+        var i, j;
+        for (i = 0; i < _hudLayout.length; i++) {
+            _hudSectionTints[i] = _hudSectionTints[i] || [0, 0, 0, 0];
+            for (j = 0; j < 4; j++) {
+                _hudSectionTints[i][j] = _hudLayout[i].tint[j];
+            }
+        }
+        for (i = 0; i < _hudElements.length; i++) {
+            _hudElements[i].setTint(_hudElements[i].getTint());
+        }
+        for (i = 0; i < _hudSectionTextLayers.length; i++) {
+            _hudSectionTextLayers[i].layer.setTint(_hudSectionTints[_hudSectionTextLayers[i].section]);
+        }
+        _updateHUDLayouts();
+    }
+    /**
+     * Loads the HUD layout of the active layout profile from local storage and applies it
+     */
+    function _loadHUDLayout() {
+        _hudLayout = _parseHUDLayout(config.getHUDLayout(config.getHUDLayoutProfile()));
+        _applyHUDLayout();
+    }
+    /**
+     * Applies the changes made in the HUD layout editor and updates the layout of the frame marking the selected section
+     */
+    function _updateHUDLayoutEditor() {
+        var baseLayoutDescriptor = _getHUDSectionBaseLayoutDescriptor(_hudLayoutEditor.section);
+        _applyHUDLayout();
+        _hudLayoutEditor.frameLayout = baseLayoutDescriptor ? _createHUDLayout(baseLayoutDescriptor, _hudLayoutEditor.section) : null;
+    }
+    /**
+     * Selects the passed HUD section for editing in the HUD layout editor
+     * @param {Number} section (enum HUDSection)
+     */
+    function _selectHUDLayoutEditorSection(section) {
+        var count = Object.keys(HUDSection).length;
+        _hudLayoutEditor.section = (section + count) % count;
+        _updateHUDLayoutEditor();
+    }
+    /**
+     * Returns the HUD section which can be moved and is displayed at the passed position (the smallest one, if there are several), or
+     * -1 if there is no such section
+     * @param {Number} x The X coordinate of the position, in pixels
+     * @param {Number} y The Y coordinate of the position, in pixels
+     * @param {Number} viewportWidth
+     * @param {Number} viewportHeight
+     * @returns {Number} (enum HUDSection)
+     */
+    function _getHUDSectionAt(x, y, viewportWidth, viewportHeight) {
+        var result = -1, section, baseLayoutDescriptor, layout, left, top, width, height, minArea = Infinity;
+        for (section = 0; section < _hudLayout.length; section++) {
+            baseLayoutDescriptor = _getHUDSectionBaseLayoutDescriptor(section);
+            if (baseLayoutDescriptor) {
+                layout = _createHUDLayout(baseLayoutDescriptor, section);
+                left = layout.getLeft(viewportWidth, viewportHeight);
+                top = layout.getTop(viewportWidth, viewportHeight);
+                width = layout.getWidth(viewportWidth, viewportHeight);
+                height = layout.getHeight(viewportWidth, viewportHeight);
+                if ((x >= left) && (x <= left + width) && (y >= top) && (y <= top + height) && (width * height < minArea)) {
+                    result = section;
+                    minArea = width * height;
+                }
+            }
+        }
+        return result;
+    }
+    /**
+     * Moves the HUD section selected in the layout editor by the passed vector
+     * @param {Number} x The X coordinate of the vector, in clip space
+     * @param {Number} y The Y coordinate of the vector, in clip space
+     */
+    function _moveHUDLayoutEditorSection(x, y) {
+        var offset = _hudLayout[_hudLayoutEditor.section].offset;
+        if (!_hudLayoutEditor.frameLayout) {
+            return;
+        }
+        offset[0] = Math.min(Math.max(offset[0] + x, -2), 2);
+        offset[1] = Math.min(Math.max(offset[1] + y, -2), 2);
+        _updateHUDLayoutEditor();
+    }
+    /**
+     * Changes the scale of the HUD section selected in the layout editor by the passed amount of steps
+     * @param {Number} steps
+     */
+    function _scaleHUDLayoutEditorSection(steps) {
+        var sectionLayout = _hudLayout[_hudLayoutEditor.section];
+        if (!_hudLayoutEditor.frameLayout) {
+            return;
         }
-    };
+        sectionLayout.scale = Math.min(Math.max(
+                Math.round((sectionLayout.scale + steps * config.getHUDSetting(config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_SCALE_STEP)) * 100) / 100,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_MIN_SCALE)),
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_MAX_SCALE));
+        _updateHUDLayoutEditor();
+    }
     /**
-     * Set a new scaling mode to be used for the visual representation of this element
-     * @param {String} value (enum ScaleMode)
+     * Sets the next one of the available tints for the HUD section selected in the layout editor
      */
-    HUDElement.prototype.setScaleMode = function (value) {
-        this._scaleMode = value;
-        if (this._visualModel) {
-            this._visualModel.setScaleMode(value);
+    function _cycleHUDLayoutEditorSectionTint() {
+        var tints = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_TINTS), sectionLayout = _hudLayout[_hudLayoutEditor.section], i;
+        for (i = 0; i < tints.length; i++) {
+            if (utils.arraysEqual(tints[i], sectionLayout.tint)) {
+                break;
+            }
         }
-    };
+        // if the current tint is not among the available ones, i equals tints.length and we start from the first one
+        sectionLayout.tint = tints[(i + 1) % tints.length].slice();
+        _updateHUDLayoutEditor();
+    }
     /**
-     * Sets new absolute (viewport) coordinates for the position and size of the element applying the rules
-     * of the passed clip space layout to a viewport of the given size.
-     * @param {ClipSpaceLayout} layout
-     * @param {Number} viewportWidth
-     * @param {Number} viewportHeight
+     * Switches the HUD layout editor to the passed layout profile, keeping the (unsaved) changes made to the previous one
+     * @param {Number} profile
      */
-    HUDElement.prototype.applyLayout = function (layout, viewportWidth, viewportHeight) {
-        this.setPosition(layout.getPosition(viewportWidth, viewportHeight));
-        this.setSize(layout.getSize(viewportWidth, viewportHeight));
-    };
+    function _switchHUDLayoutEditorProfile(profile) {
+        var count = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.LAYOUT_PROFILE_COUNT);
+        _hudLayoutEditor.profile = (profile + count) % count;
+        _hudLayout = _hudLayoutEditor.layouts[_hudLayoutEditor.profile] || _parseHUDLayout(config.getHUDLayout(_hudLayoutEditor.profile));
+        _hudLayoutEditor.layouts[_hudLayoutEditor.profile] = _hudLayout;
+        _updateHUDLayoutEditor();
+    }
     /**
-     * Updates the properties of the class of this element for the case when the graphics settings have been changed. (e.g. clearing the
-     * cached shader value, since a new shader might have become active)
+     * Updates the frame marking the section selected in the HUD layout editor and the texts of the editor (or hides them if the editor is
+     * not open)
+     * @param {Number} viewportWidth
+     * @param {Number} viewportHeight
      */
-    HUDElement.prototype.handleGraphicsSettingsChanged = function () {
-        this._class.handleGraphicsSettingsChanged();
-    };
-    // ------------------------------------------------------------------------------
-    // private functions
+    function _updateHUDLayoutEditorDisplay(viewportWidth, viewportHeight) {
+        var sectionLayout;
+        if (_hudLayoutEditor) {
+            sectionLayout = _hudLayout[_hudLayoutEditor.section];
+            if (_hudLayoutEditor.frameLayout) {
+                _hudLayoutEditorFrame.applyLayout(_hudLayoutEditor.frameLayout, viewportWidth, viewportHeight);
+                _hudLayoutEditorFrame.setScaleMode(_hudLayoutEditor.frameLayout.getScaleMode());
+                _hudLayoutEditorFrame.setColor(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_FRAME).colors[sectionLayout.visible ? "selected" : "hidden"]);
+                _hudLayoutEditorFrame.show();
+            } else {
+                _hudLayoutEditorFrame.hide();
+            }
+            _hudLayoutEditorHeaderText.setText(strings.get(strings.BATTLE.HUD_LAYOUT_EDITOR_HEADER), {
+                profile: _hudLayoutEditor.profile + 1,
+                profileCount: config.getHUDSetting(config.BATTLE_SETTINGS.HUD.LAYOUT_PROFILE_COUNT),
+                section: strings.get(strings.HUD_SECTION.PREFIX, _getHUDSectionName(_hudLayoutEditor.section)),
+                hidden: sectionLayout.visible ? "" : strings.get(strings.BATTLE.HUD_LAYOUT_EDITOR_HIDDEN)
+            });
+            _hudLayoutEditorTextLayer.show();
+        } else {
+            _hudLayoutEditorFrame.hide();
+            _hudLayoutEditorTextLayer.hide();
+        }
+    }
     /**
      * Adds the passed HUD element to the stores persistent HUD element list and also returns it for convenience.
      * @param {HUDElement} hudElement
+     * @param {Number} [section] (enum HUDSection) If given, the element will be tinted according to the customized layout of this section
      * @returns {HUDElement}
      */
-    function _addHUDElement(hudElement) {
+    function _addHUDElement(hudElement, section) {
         _hudElements.push(hudElement);
+        if (section !== undefined) {
+            hudElement.setTint(_hudSectionTints[section]);
+        }
         return hudElement;
     }
     /**
@@ -2027,7 +2929,7 @@ define([
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIP_INDICATOR).scaleMode,
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIP_INDICATOR).colors.hostile,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIP_INDICATOR).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIP_INDICATOR).mapping), HUDSection.SHIP_INDICATORS);
     }
     /**
      * Creates and returns a new HUD element that can be used as a ship status indicator.
@@ -2043,7 +2945,7 @@ define([
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIP_STATUS_INDICATOR).scaleMode,
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIP_STATUS_INDICATOR).colors.friendly,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIP_STATUS_INDICATOR).mappings[mapping]));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIP_STATUS_INDICATOR).mappings[mapping]), HUDSection.SHIP_INDICATORS);
     }
     /**
      * Creates and returns a new HUD element that can be used as a ship arrow.
@@ -2058,7 +2960,7 @@ define([
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIP_ARROW).scaleMode,
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIP_ARROW).colors.hostile,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIP_ARROW).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIP_ARROW).mapping), HUDSection.SHIP_INDICATORS);
     }
     /**
      * Creates and returns a new HUD element that can be used as a missile lock indicator.
@@ -2088,7 +2990,7 @@ define([
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WEAPON_IMPACT_INDICATOR).scaleMode,
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WEAPON_IMPACT_INDICATOR).colors.normal,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WEAPON_IMPACT_INDICATOR).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WEAPON_IMPACT_INDICATOR).mapping), HUDSection.WEAPON_IMPACT_INDICATORS);
     }
     /**
      * Creates and returns a layout suitable for an individual spacecraft within the wingmen status indicator,
@@ -2111,7 +3013,7 @@ define([
         layoutDescriptor.top -= layoutDescriptor.height * (0.5 - 0.5 * (craftPosition[1] + craftSize[1]));
         layoutDescriptor.width *= craftSize[0];
         layoutDescriptor.height *= craftSize[1];
-        return new screens.ClipSpaceLayout(layoutDescriptor);
+        return _createHUDLayout(layoutDescriptor, HUDSection.WINGMEN_INFO);
     }
     /**
      * Creates a HUD element suitable as an individual spacecraft indicator within the wingmen status panel
@@ -2134,7 +3036,29 @@ define([
                 undefined,
                 (craftType && mappings[craftType]) || mappings.general);
         if (!forResourcesOnly) {
-            _addHUDElement(result);
+            _addHUDElement(result, HUDSection.WINGMEN_INFO);
+        }
+        return result;
+    }
+    /**
+     * Creates and returns a new HUD element that can be used as a blip or a stalk on the radar.
+     * @param {String} [mapping] The string ID of the area of the texture to be used for the blip. If not given, a stalk is created.
+     * @param {Boolean} [forResourcesOnly=false] If true, the created element is not added to the list of persistently stored HUD elements
+     * @returns {HUDElement}
+     */
+    function _createRadarElement(mapping, forResourcesOnly) {
+        var result, blipSettings = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR_BLIP);
+        result = new HUDElement(
+                UI_2D_MIX_VIEWPORT_SHADER_NAME,
+                mapping ? blipSettings.texture : config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR_STALK).texture,
+                [0, 0],
+                [0, 0],
+                _radarLayout.getScaleMode(),
+                blipSettings.colors.neutral,
+                undefined,
+                mapping ? blipSettings.mappings[mapping] : config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR_STALK).mapping);
+        if (!forResourcesOnly) {
+            _addHUDElement(result, HUDSection.RADAR);
         }
         return result;
     }
@@ -2193,7 +3117,7 @@ define([
      * @param {Mission} mission The current mission, used to select the available sound samples for the mission's messages to be loaded
      */
     function _addHUDToScene(mission) {
-        var i, j, n, layout, mappings, indicator, layoutDescriptor, element, voices, missionVoiceMessages;
+        var i, j, n, layout, mappings, indicator, element, voices, missionVoiceMessages, powerSystems;
         // keep the ons with the same shader together for faster rendering
         // ---------------------------------------------------------
         // UI 2D SHADER
@@ -2215,7 +3139,7 @@ define([
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.DRIFT_ARROW).scaleMode,
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.DRIFT_ARROW).colors.maxSpeed,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.DRIFT_ARROW).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.DRIFT_ARROW).mapping), HUDSection.DRIFT_ARROW);
         _driftArrow.addToScene(_battleScene);
         if (!_shipArrows) {
             _shipArrows = [_createShipArrow()];
@@ -2258,7 +3182,7 @@ define([
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.AIM_ASSIST_INDICATOR).scaleMode,
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.AIM_ASSIST_INDICATOR).colors.hostile,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.AIM_ASSIST_INDICATOR).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.AIM_ASSIST_INDICATOR).mapping), HUDSection.AIM_ASSIST_INDICATOR);
         _aimAssistIndicator.addToScene(_battleScene);
         if (!_weaponImpactIndicators) {
             _weaponImpactIndicators = [_createWeaponImpactIndicator()];
@@ -2276,7 +3200,7 @@ define([
                 _targetInfoBackgroundLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_INFO_BACKGROUND).color,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_INFO_BACKGROUND).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_INFO_BACKGROUND).mapping), HUDSection.TARGET_INFO);
         _targetInfoBackground.addToScene(_battleScene);
         _wingmenStatusBackground = _wingmenStatusBackground || _addHUDElement(new HUDElement(
                 UI_2D_MIX_VIEWPORT_SHADER_NAME,
@@ -2286,8 +3210,54 @@ define([
                 _wingmenStatusBackgroundLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_STATUS_BACKGROUND).color,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_STATUS_BACKGROUND).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_STATUS_BACKGROUND).mapping), HUDSection.WINGMEN_INFO);
         _wingmenStatusBackground.addToScene(_battleScene);
+        _wingmenOrdersBackground = _wingmenOrdersBackground || _addHUDElement(new HUDElement(
+                UI_2D_MIX_VIEWPORT_SHADER_NAME,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_ORDERS_BACKGROUND).texture,
+                _wingmenOrdersBackgroundLayout.getClipSpacePosition(),
+                _wingmenOrdersBackgroundLayout.getClipSpaceSize(),
+                _wingmenOrdersBackgroundLayout.getScaleMode(),
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_ORDERS_BACKGROUND).color,
+                undefined,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_ORDERS_BACKGROUND).mapping), HUDSection.WINGMEN_INFO);
+        _wingmenOrdersBackground.addToScene(_battleScene);
+        _powerBackground = _powerBackground || _addHUDElement(new HUDElement(
+                UI_2D_MIX_VIEWPORT_SHADER_NAME,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_BACKGROUND).texture,
+                _powerBackgroundLayout.getClipSpacePosition(),
+                _powerBackgroundLayout.getClipSpaceSize(),
+                _powerBackgroundLayout.getScaleMode(),
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_BACKGROUND).color,
+                undefined,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_BACKGROUND).mapping), HUDSection.POWER);
+        _powerBackground.addToScene(_battleScene);
+        _boosterBackground = _boosterBackground || _addHUDElement(new HUDElement(
+                UI_2D_MIX_VIEWPORT_SHADER_NAME,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.BOOSTER_BACKGROUND).texture,
+                _boosterBackgroundLayout.getClipSpacePosition(),
+                _boosterBackgroundLayout.getClipSpaceSize(),
+                _boosterBackgroundLayout.getScaleMode(),
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.BOOSTER_BACKGROUND).color,
+                undefined,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.BOOSTER_BACKGROUND).mapping), HUDSection.BOOSTER);
+        _boosterBackground.addToScene(_battleScene);
+        _radar = _radar || _addHUDElement(new HUDElement(
+                UI_2D_MIX_VIEWPORT_SHADER_NAME,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR).texture,
+                _radarLayout.getClipSpacePosition(),
+                _radarLayout.getClipSpaceSize(),
+                _radarLayout.getScaleMode(),
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR).color,
+                undefined,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR).mapping), HUDSection.RADAR);
+        _radar.addToScene(_battleScene);
+        // radar blips are created dynamically, but the ones created for a previous battle need to be added to the new scene
+        _radarBlips = _radarBlips || [];
+        for (i = 0; i < _radarBlips.length; i++) {
+            _radarBlips[i].stalk.addToScene(_battleScene);
+            _radarBlips[i].blip.addToScene(_battleScene);
+        }
         _flightModeIndicatorBackground = _flightModeIndicatorBackground || _addHUDElement(new HUDElement(
                 UI_2D_MIX_VIEWPORT_SHADER_NAME,
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.FLIGHT_MODE_INDICATOR_BACKGROUND).texture,
@@ -2296,7 +3266,7 @@ define([
                 _flightModeIndicatorBackgroundLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.FLIGHT_MODE_INDICATOR_BACKGROUND).color,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.FLIGHT_MODE_INDICATOR_BACKGROUND).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.FLIGHT_MODE_INDICATOR_BACKGROUND).mapping), HUDSection.FLIGHT_MODE);
         _flightModeIndicatorBackground.addToScene(_battleScene);
         _missileInfoBackground = _missileInfoBackground || _addHUDElement(new HUDElement(
                 UI_2D_MIX_VIEWPORT_SHADER_NAME,
@@ -2306,7 +3276,7 @@ define([
                 _missileInfoBackgroundLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INFO_BACKGROUND).color,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INFO_BACKGROUND).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INFO_BACKGROUND).mapping), HUDSection.MISSILE_INFO);
         _missileInfoBackground.addToScene(_battleScene);
         _objectivesBackground = _objectivesBackground || _addHUDElement(new HUDElement(
                 UI_2D_MIX_VIEWPORT_SHADER_NAME,
@@ -2316,7 +3286,7 @@ define([
                 _objectivesBackgroundLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.OBJECTIVES_BACKGROUND).color,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.OBJECTIVES_BACKGROUND).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.OBJECTIVES_BACKGROUND).mapping), HUDSection.OBJECTIVES);
         _objectivesBackground.addToScene(_battleScene);
         _escortsBackground = _escortsBackground || _addHUDElement(new HUDElement(
                 UI_2D_MIX_VIEWPORT_SHADER_NAME,
@@ -2326,7 +3296,7 @@ define([
                 _escortsBackgroundLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.ESCORTS_BACKGROUND).color,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.ESCORTS_BACKGROUND).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.ESCORTS_BACKGROUND).mapping), HUDSection.ESCORTS);
         _escortsBackground.addToScene(_battleScene);
         _messageBackground = _messageBackground || _addHUDElement(new HUDElement(
                 UI_2D_MIX_VIEWPORT_SHADER_NAME,
@@ -2338,6 +3308,16 @@ define([
                 undefined,
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MESSAGE_BACKGROUND).mapping));
         _messageBackground.addToScene(_battleScene);
+        _hudLayoutEditorFrame = _hudLayoutEditorFrame || _addHUDElement(new HUDElement(
+                UI_2D_MIX_VIEWPORT_SHADER_NAME,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_FRAME).texture,
+                [0, 0],
+                [0, 0],
+                utils.ScaleMode.MINIMUM,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_FRAME).colors.selected,
+                undefined,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_FRAME).mapping));
+        _hudLayoutEditorFrame.addToScene(_battleScene);
         // these are created dynamically so initialize the arrays 
         if (!_wingmenStatusCraftIndicators) {
             _wingmenStatusCraftLayouts = [];
@@ -2361,7 +3341,7 @@ define([
                 _targetHullIntegrityBarLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_HULL_INTEGRITY_BAR).colors.filled,
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_HULL_INTEGRITY_BAR).colors.empty,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_HULL_INTEGRITY_BAR).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_HULL_INTEGRITY_BAR).mapping), HUDSection.TARGET_INFO);
         _targetHullIntegrityBar.addToScene(_battleScene);
         _targetShieldBar = _targetShieldBar || _addHUDElement(new HUDElement(
                 UI_2D_CLIP_VIEWPORT_SHADER_NAME,
@@ -2371,7 +3351,7 @@ define([
                 _targetShieldBarLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_SHIELD_BAR).colors.filled,
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_SHIELD_BAR).colors.empty,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_SHIELD_BAR).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_SHIELD_BAR).mapping), HUDSection.TARGET_INFO);
         _targetShieldBar.addToScene(_battleScene);
         _speedBar = _speedBar || _addHUDElement(new HUDElement(
                 UI_2D_CLIP_VIEWPORT_SHADER_NAME,
@@ -2381,7 +3361,7 @@ define([
                 _speedBarLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SPEED_BAR).colors.combatFilled,
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SPEED_BAR).colors.combatEmpty,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SPEED_BAR).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SPEED_BAR).mapping), HUDSection.SPEED_BAR);
         _speedBar.addToScene(_battleScene);
         _speedTargetIndicator = _speedTargetIndicator || _addHUDElement(new HUDElement(
                 UI_2D_CLIP_VIEWPORT_SHADER_NAME,
@@ -2391,7 +3371,7 @@ define([
                 _speedBarLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SPEED_TARGET_INDICATOR).color,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SPEED_TARGET_INDICATOR).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SPEED_TARGET_INDICATOR).mapping), HUDSection.SPEED_BAR);
         _speedTargetIndicator.addToScene(_battleScene);
         _missileIndicator = _missileIndicator || _addHUDElement(new HUDElement(
                 UI_2D_CLIP_VIEWPORT_SHADER_NAME,
@@ -2401,7 +3381,7 @@ define([
                 _missileIndicatorLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INDICATOR).colors.loading,
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INDICATOR).colors.loading,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INDICATOR).mappings.single));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INDICATOR).mappings.single), HUDSection.MISSILE_INDICATOR);
         _missileIndicator.addToScene(_battleScene);
         // just to make sure model with salvo texture coordinates is added to context:
         element = new HUDElement(
@@ -2422,7 +3402,7 @@ define([
                 _hullIntegrityBarLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.HULL_INTEGRITY_BAR).colors.filled,
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.HULL_INTEGRITY_BAR).colors.empty,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.HULL_INTEGRITY_BAR).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.HULL_INTEGRITY_BAR).mapping), HUDSection.HULL_BAR);
         _hullIntegrityBar.addToScene(_battleScene);
         _shieldBar = _shieldBar || _addHUDElement(new HUDElement(
                 UI_2D_CLIP_VIEWPORT_SHADER_NAME,
@@ -2432,7 +3412,7 @@ define([
                 _shieldBarLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIELD_BAR).colors.filled,
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIELD_BAR).colors.empty,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIELD_BAR).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIELD_BAR).mapping), HUDSection.SHIELD_BAR);
         _shieldBar.addToScene(_battleScene);
         _targetHullIntegrityQuickViewBar = _targetHullIntegrityQuickViewBar || _addHUDElement(new HUDElement(
                 UI_2D_CLIP_VIEWPORT_SHADER_NAME,
@@ -2442,7 +3422,7 @@ define([
                 _targetHullIntegrityQuickViewBarLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_HULL_INTEGRITY_QUICK_VIEW_BAR).colors.hostileFilled,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_HULL_INTEGRITY_QUICK_VIEW_BAR).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_HULL_INTEGRITY_QUICK_VIEW_BAR).mapping), HUDSection.TARGET_INDICATOR);
         _targetHullIntegrityQuickViewBar.addToScene(_battleScene);
         _targetShieldQuickViewBar = _targetShieldQuickViewBar || _addHUDElement(new HUDElement(
                 UI_2D_CLIP_VIEWPORT_SHADER_NAME,
@@ -2452,16 +3432,14 @@ define([
                 _targetShieldQuickViewBarLayout.getScaleMode(),
                 config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_SHIELD_QUICK_VIEW_BAR).colors.filled,
                 undefined,
-                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_SHIELD_QUICK_VIEW_BAR).mapping));
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_SHIELD_QUICK_VIEW_BAR).mapping), HUDSection.TARGET_INDICATOR);
         _targetShieldQuickViewBar.addToScene(_battleScene);
         n = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MAX_ESCORTS_DISPLAYED);
         if (!_escortBars) {
             _escortBars = [];
             for (i = 0; i < n; i++) {
                 _escortBars.push({});
-                layoutDescriptor = utils.deepCopy(_escortsIntegrityBarsSettings.layouts.hull);
-                layoutDescriptor.top += i * config.getHUDSetting(config.BATTLE_SETTINGS.HUD.ESCORTS_TEXT_OFFSET) * _escortsBackgroundLayout.getClipSpaceHeight() * 0.5;
-                _escortBars[i].hullLayout = new screens.ClipSpaceLayout(layoutDescriptor);
+                _escortBars[i].hullLayout = _createEscortBarLayout(i, "hull");
                 _escortBars[i].hull = _addHUDElement(new HUDElement(
                         UI_2D_CLIP_VIEWPORT_SHADER_NAME,
                         _escortsIntegrityBarsSettings.texture,
@@ -2470,10 +3448,8 @@ define([
                         _escortBars[i].hullLayout.getScaleMode(),
                         _escortsIntegrityBarsSettings.colors.fullHull,
                         _escortsIntegrityBarsSettings.colors.destroyed,
-                        _escortsIntegrityBarsSettings.mapping));
-                layoutDescriptor = utils.deepCopy(_escortsIntegrityBarsSettings.layouts.shield);
-                layoutDescriptor.top += i * config.getHUDSetting(config.BATTLE_SETTINGS.HUD.ESCORTS_TEXT_OFFSET) * _escortsBackgroundLayout.getClipSpaceHeight() * 0.5;
-                _escortBars[i].shieldLayout = new screens.ClipSpaceLayout(layoutDescriptor);
+                        _escortsIntegrityBarsSettings.mapping), HUDSection.ESCORTS);
+                _escortBars[i].shieldLayout = _createEscortBarLayout(i, "shield");
                 _escortBars[i].shield = _addHUDElement(new HUDElement(
                         UI_2D_CLIP_VIEWPORT_SHADER_NAME,
                         _escortsIntegrityBarsSettings.texture,
@@ -2482,13 +3458,43 @@ define([
                         _escortBars[i].shieldLayout.getScaleMode(),
                         _escortsIntegrityBarsSettings.colors.shield,
                         _escortsIntegrityBarsSettings.colors.lostShield,
-                        _escortsIntegrityBarsSettings.mapping));
+                        _escortsIntegrityBarsSettings.mapping), HUDSection.ESCORTS);
             }
         }
         for (i = 0; i < n; i++) {
             _escortBars[i].hull.addToScene(_battleScene);
             _escortBars[i].shield.addToScene(_battleScene);
         }
+        if (!_powerBars) {
+            _powerBars = [];
+            powerSystems = utils.getEnumValues(classes.PowerSystem);
+            for (i = 0; i < powerSystems.length; i++) {
+                _powerBars.push({system: powerSystems[i]});
+                _powerBars[i].layout = _createPowerBarLayout(i);
+                _powerBars[i].bar = _addHUDElement(new HUDElement(
+                        UI_2D_CLIP_VIEWPORT_SHADER_NAME,
+                        config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_BARS).texture,
+                        _powerBars[i].layout.getClipSpacePosition(),
+                        _powerBars[i].layout.getClipSpaceSize(),
+                        _powerBars[i].layout.getScaleMode(),
+                        config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_BARS).colors[powerSystems[i]],
+                        config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_BARS).colors.empty,
+                        config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_BARS).mapping), HUDSection.POWER);
+            }
+        }
+        for (i = 0; i < _powerBars.length; i++) {
+            _powerBars[i].bar.addToScene(_battleScene);
+        }
+        _boosterBar = _boosterBar || _addHUDElement(new HUDElement(
+                UI_2D_CLIP_VIEWPORT_SHADER_NAME,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.BOOSTER_BAR).texture,
+                _boosterBarLayout.getClipSpacePosition(),
+                _boosterBarLayout.getClipSpaceSize(),
+                _boosterBarLayout.getScaleMode(),
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.BOOSTER_BAR).colors.filled,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.BOOSTER_BAR).colors.empty,
+                config.getHUDSetting(config.BATTLE_SETTINGS.HUD.BOOSTER_BAR).mapping), HUDSection.BOOSTER);
+        _boosterBar.addToScene(_battleScene);
         // ---------------------------------------------------------
         // UI 2D SHADER
         // these need to render on top of the backgrounds
@@ -2519,6 +3525,12 @@ define([
             indicator = _createWingmanCraftIndicator(layout, mappings[i], true);
             indicator.addResourcesToScene(_battleScene);
         }
+        // mark radar blip and stalk resources for loading
+        mappings = Object.keys(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR_BLIP).mappings);
+        for (i = 0; i < mappings.length; i++) {
+            _createRadarElement(mappings[i], true).addResourcesToScene(_battleScene);
+        }
+        _createRadarElement(undefined, true).addResourcesToScene(_battleScene);
         // mark HUD sound effects for loading
         resources.getSoundEffect(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_SWITCH_SOUND).name);
         resources.getSoundEffect(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_SWITCH_DENIED_SOUND).name);
@@ -2572,6 +3584,120 @@ define([
     function _escortShouldBeIndicated(craft) {
         return  (craft !== _spacecraft);
     }
+    /**
+     * Hides the radar and all its blips and stalks.
+     */
+    function _hideRadar() {
+        var i;
+        _radar.hide();
+        for (i = 0; i < _radarBlips.length; i++) {
+            _radarBlips[i].blip.hide();
+            _radarBlips[i].stalk.hide();
+        }
+        _radarTextLayer.hide();
+    }
+    /**
+     * Updates the radar to display the spacecrafts and missiles within its current range around the passed spacecraft. The objects are
+     * displayed relative to the plane of the spacecraft: their position projected onto the plane determines where they appear within the
+     * ellipse and their height above / below it determines the length of the stalk connecting them to it.
+     * @param {Spacecraft} craft The followed spacecraft
+     * @param {Number} viewportWidth
+     * @param {Number} viewportHeight
+     */
+    function _updateRadar(craft, viewportWidth, viewportHeight) {
+        var
+                i, range, rangeSquared, center, size, scale, positionMatrix, orientationMatrix, ships, count = 0,
+                blipSettings = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR_BLIP),
+                stalkWidth = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR_STALK_WIDTH),
+                stalkAlphaFactor = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR_STALK_ALPHA_FACTOR),
+                heightFactor = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR_HEIGHT_FACTOR),
+                zoomSteps = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR_ZOOM_STEPS),
+                getColor = function (spacecraft) {
+                    var team;
+                    if (!spacecraft) {
+                        return blipSettings.colors.neutral;
+                    }
+                    team = spacecraft.getTeam();
+                    return (team && team.getColor()) || (spacecraft.isHostile(craft) ? blipSettings.colors.hostile : blipSettings.colors.friendly);
+                },
+                addBlip = function (objectPositionMatrix, mapping, blipSize, color) {
+                    var dx, dy, dz, x, y, z, planeY, blipY, entry;
+                    dx = objectPositionMatrix[12] - positionMatrix[12];
+                    dy = objectPositionMatrix[13] - positionMatrix[13];
+                    dz = objectPositionMatrix[14] - positionMatrix[14];
+                    if (dx * dx + dy * dy + dz * dz > rangeSquared) {
+                        return;
+                    }
+                    // coordinates relative to the right, forward and up axes of the followed spacecraft, -1 to 1 within the radar range
+                    x = (dx * orientationMatrix[0] + dy * orientationMatrix[1] + dz * orientationMatrix[2]) / range;
+                    y = (dx * orientationMatrix[4] + dy * orientationMatrix[5] + dz * orientationMatrix[6]) / range;
+                    z = (dx * orientationMatrix[8] + dy * orientationMatrix[9] + dz * orientationMatrix[10]) / range;
+                    if (_radarBlips.length <= count) {
+                        // the stalk is created first so that it is rendered below the blip
+                        _radarBlips.push({
+                            stalk: _createRadarElement(),
+                            blip: _createRadarElement(mapping),
+                            mapping: mapping,
+                            stalkColor: [0, 0, 0, 0]
+                        });
+                        _radarBlips[count].stalk.addToScene(_battleScene);
+                        _radarBlips[count].blip.addToScene(_battleScene);
+                    }
+                    entry = _radarBlips[count];
+                    count++;
+                    if (entry.mapping !== mapping) {
+                        entry.blip.setTextureCoordinates(blipSettings.mappings[mapping]);
+                        entry.mapping = mapping;
+                    }
+                    // the viewport Y coordinates grow downwards
+                    planeY = center[1] - y * size[1] * 0.5;
+                    blipY = planeY - z * size[0] * 0.5 * heightFactor;
+                    entry.blip.setPosition([center[0] + x * size[0] * 0.5, blipY]);
+                    entry.blip.setSize([blipSize[0] * scale, blipSize[1] * scale]);
+                    entry.blip.setColor(color);
+                    entry.blip.show();
+                    entry.stalk.setPosition([center[0] + x * size[0] * 0.5, (planeY + blipY) * 0.5]);
+                    entry.stalk.setSize([stalkWidth * scale, Math.abs(blipY - planeY)]);
+                    entry.stalkColor[0] = color[0];
+                    entry.stalkColor[1] = color[1];
+                    entry.stalkColor[2] = color[2];
+                    entry.stalkColor[3] = color[3] * stalkAlphaFactor;
+                    entry.stalk.setColor(entry.stalkColor);
+                    entry.stalk.show();
+                },
+                addMissileBlip = function (missile) {
+                    addBlip(missile.getPhysicalModel().getPositionMatrix(), "missile", blipSettings.sizes.missile, getColor(missile.getOrigin()));
+                };
+        range = craft.getSensorRange() * zoomSteps[_radarZoomStep % zoomSteps.length];
+        rangeSquared = range * range;
+        positionMatrix = craft.getPhysicalPositionMatrix();
+        orientationMatrix = craft.getPhysicalOrientationMatrix();
+        _radar.applyLayout(_radarLayout, viewportWidth, viewportHeight);
+        _radar.show();
+        center = _radarLayout.getPosition(viewportWidth, viewportHeight);
+        size = _radarLayout.getSize(viewportWidth, viewportHeight);
+        // the sizes of blips are given in the units of the (not customized) radar layout, so they are scaled together with the radar
+        scale = size[0] / config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR).layout.width;
+        ships = _mission.getSpacecrafts();
+        for (i = 0; i < ships.length; i++) {
+            if (_spacecraftShouldBeIndicated(ships[i])) {
+                if (_targets.indexOf(ships[i]) >= 0) {
+                    addBlip(ships[i].getPhysicalPositionMatrix(), "destroy", blipSettings.sizes.objective, getColor(ships[i]));
+                } else if (_escorts.indexOf(ships[i]) >= 0) {
+                    addBlip(ships[i].getPhysicalPositionMatrix(), "protect", blipSettings.sizes.objective, getColor(ships[i]));
+                } else {
+                    addBlip(ships[i].getPhysicalPositionMatrix(), "spacecraft", blipSettings.sizes.spacecraft, getColor(ships[i]));
+                }
+            }
+        }
+        _mission.executeForMissiles(addMissileBlip);
+        for (i = count; i < _radarBlips.length; i++) {
+            _radarBlips[i].blip.hide();
+            _radarBlips[i].stalk.hide();
+        }
+        _radarRangeText.setText(strings.get(strings.BATTLE.HUD_RADAR_RANGE), {range: utils.getLengthString(range)});
+        _radarTextLayer.show();
+    }
     /**
      * 
      * @param {Number} distance
@@ -2580,6 +3706,36 @@ define([
     function _getDistanceString(distance) {
         return (distance > 1000) ? (distance / 1000).toPrecision(3) + "k" : Math.round(distance).toString();
     }
+    /**
+     * Returns the string describing the state of the subsystems of the passed spacecraft for the target info panel: the name and integrity
+     * of the most damaged subsystem and the number of other damaged subsystems
+     * @param {Spacecraft} craft
+     * @returns {String}
+     */
+    function _getSubsystemsStatusString(craft) {
+        var i, subsystems = craft.getSubsystems(), mostDamaged = null, damagedCount = 0, result;
+        if (subsystems.length === 0) {
+            return strings.get(strings.BATTLE.HUD_SUBSYSTEMS_NONE);
+        }
+        for (i = 0; i < subsystems.length; i++) {
+            if (subsystems[i].getIntegrity() < 1) {
+                damagedCount++;
+                if (!mostDamaged || (subsystems[i].getIntegrity() < mostDamaged.getIntegrity())) {
+                    mostDamaged = subsystems[i];
+                }
+            }
+        }
+        if (!mostDamaged) {
+            return strings.get(strings.BATTLE.HUD_SUBSYSTEMS_INTACT);
+        }
+        result = mostDamaged.getDisplayName() + " " + Math.round(mostDamaged.getIntegrity() * 100) + "%";
+        if (damagedCount > 1) {
+            result += " " + utils.formatString(strings.get(strings.BATTLE.HUD_SUBSYSTEMS_MORE_DAMAGED), {
+                count: damagedCount - 1
+            });
+        }
+        return result;
+    }
     /**
      * Returns an interpolated color to be used to represent hull integrities
      * @param {Number} hullIntegrity The hull integrity to represent (0.0-1.0)
@@ -2616,8 +3772,9 @@ define([
      * @returns {Boolean}
      */
     function _hudSectionIsVisible(hudSection) {
-        return (_hudSectionStates[hudSection] === HUDSectionState.VISIBLE) ||
-                ((_hudSectionStates[hudSection] === HUDSectionState.HIGHLIGHTED) && _hudHighlightVisible);
+        return _hudLayout[hudSection].visible && (
+                (_hudSectionStates[hudSection] === HUDSectionState.VISIBLE) ||
+                ((_hudSectionStates[hudSection] === HUDSectionState.HIGHLIGHTED) && _hudHighlightVisible));
     }
     // ##############################################################################
     /**
@@ -2663,6 +3820,14 @@ define([
          * @type SimpleComponent
          */
         this._touchControlSheet = this.registerSimpleComponent(TOUCH_CONTROL_SHEET_ID);
+        /**
+         * @type SimpleComponent
+         */
+        this._spectatorScoreboard = this.registerSimpleComponent(SPECTATOR_SCOREBOARD_ID);
+        /**
+         * @type SimpleComponent
+         */
+        this._spectatorScoreboardList = this.registerSimpleComponent(SPECTATOR_SCOREBOARD_LIST_ID);
         /**
          * @type LoadingBox
          */
@@ -2725,6 +3890,7 @@ define([
             }
             this.pauseBattle(true);
             _clearData();
+            this._spectatorScoreboard.hide();
             shadows = graphics.isShadowMappingEnabled();
             graphics.setShadowMapping();
             if (shadows !== graphics.isShadowMappingEnabled()) {
@@ -2787,6 +3953,7 @@ define([
         };
         window.addEventListener("resize", _handleResize);
         this._touchControlSheet.hide();
+        this._spectatorScoreboard.hide();
         this._touchControlSheet.getElement().onclick = function () {
             this._touchControlSheet.hide();
             this._doStartBattle();
@@ -2799,14 +3966,100 @@ define([
     BattleScreen.prototype._updateComponents = function () {
         screens.HTMLScreenWithCanvases.prototype._updateComponents.call(this);
     };
+    /**
+     * Updates the live kill / death table shown to multiplayer spectators with
+     * the current player stats from the networking module
+     */
+    BattleScreen.prototype._updateSpectatorScoreboard = function () {
+        var players = networking.getPilotingPlayers().slice().sort(function (a, b) {
+            return (b.stats.kills - a.stats.kills) || (a.stats.deaths - b.stats.deaths);
+        });
+        this._spectatorScoreboardList.setContent("");
+        players.forEach(function (player) {
+            var tr, td;
+            tr = document.createElement("tr");
+            tr.className = player.left ? SCOREBOARD_LEFT_ROW_CLASS : "";
+            td = document.createElement("td");
+            td.textContent = player.name;
+            tr.appendChild(td);
+            td = document.createElement("td");
+            td.textContent = player.stats.kills;
+            td.className = SCOREBOARD_NUMBER_CELL_CLASS;
+            tr.appendChild(td);
+            td = document.createElement("td");
+            td.textContent = player.stats.deaths;
+            td.className = SCOREBOARD_NUMBER_CELL_CLASS;
+            tr.appendChild(td);
+            this._spectatorScoreboardList.getElement().appendChild(tr);
+        }.bind(this));
+    };
+    /**
+     * Tries to reconnect to the multiplayer server and rejoin the current game
+     * after the connection has been lost during the battle, retrying until
+     * the rejoin timeout elapses. Once rejoined, the battle is loaded again and
+     * its current state is sent by the host.
+     */
+    BattleScreen.prototype._rejoinGame = function () {
+        var
+                deadline = performance.now() + config.getSetting(config.MULTI_SETTINGS.REJOIN_TIMEOUT),
+                giveUp = function () {
+                    networking.onDisconnect(null);
+                    networking.onError(null);
+                    this._loadingBox.hide();
+                    this.showMessage(strings.get(strings.MULTI_BATTLE.REJOIN_FAILED), function () {
+                        game.setScreen(armadaScreens.MULTI_GAMES_SCREEN_NAME);
+                    });
+                }.bind(this),
+                attempt = function () {
+                    networking.connect();
+                    networking.rejoinGame(function () {
+                        networking.onError(null);
+                        this.startNewBattle({
+                            missionData: networking.getMissionData(),
+                            difficulty: networking.getGameSettings().difficulty,
+                            demoMode: false,
+                            multi: true
+                        });
+                    }.bind(this));
+                }.bind(this);
+        _multi = false;
+        this.pauseBattle(true);
+        this._loadingBox.show();
+        this._updateLoadingStatus(strings.get(strings.MULTI_BATTLE.REJOINING), 0);
+        networking.onDisconnect(function () {
+            if (performance.now() < deadline) {
+                setTimeout(attempt, config.getSetting(config.MULTI_SETTINGS.REJOIN_RETRY_INTERVAL));
+            } else {
+                giveUp();
+            }
+        });
+        networking.onError(giveUp);
+        // the closed connection is only cleaned up after the disconnect callback returns
+        setTimeout(attempt, 0);
+    };
     /**
      * Start the time and switch to player / spectator camera. Called when the
      * "ready message" is closed or at the start of battle if it is disabled.
      */
     BattleScreen.prototype._doStartBattle = function () {
+        var craft;
         this.resumeBattle();
         resumeTime();
-        if (!_demoMode) {
+        if (_replay) {
+            if (_replayStepIndex === 0) {
+                control.switchToSpectatorMode(false, true);
+                if (_replaySeekTime > 0) {
+                    _fastForwardReplay(_replaySeekTime);
+                    _replaySeekTime = 0;
+                }
+                craft = _mission.getPilotedSpacecraft();
+                if (!craft || !craft.isAlive() || craft.isAway() ||
+                        !_battleScene.getCamera().followNode(craft.getVisualModel(), true, 0, undefined, config.getDefaultCameraConfigurationName(craft))) {
+                    _battleScene.getCamera().followNextNode();
+                }
+            }
+            _replayHeaderState = null;
+        } else if (!_demoMode) {
             control.switchToPilotMode(_mission.getPilotedSpacecraft(), true);
         } else {
             control.switchToSpectatorMode(false, true);
@@ -2895,6 +4148,164 @@ define([
             this.requestPointerLock(true);
         }
     };
+    /**
+     * Opens the HUD layout editor (call while the battle is paused), in which the player can move, scale, recolor and hide the sections
+     * of the HUD with a live preview on the paused battle, and save the result into one of the layout profiles.
+     */
+    BattleScreen.prototype.startHUDLayoutEditor = function () {
+        var canvas = this.getScreenCanvas(BATTLE_CANVAS_ID).getCanvasElement(),
+                getMoveStep = function (event) {
+                    return config.getHUDSetting(event.shiftKey ?
+                            config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_FINE_MOVE_STEP :
+                            config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_MOVE_STEP);
+                },
+                getCanvasPosition = function (event) {
+                    var rect = canvas.getBoundingClientRect();
+                    return [
+                        (event.clientX - rect.left) * canvas.width / rect.width,
+                        (event.clientY - rect.top) * canvas.height / rect.height];
+                },
+                scaleUp = function (event) {
+                    event.preventDefault();
+                    _scaleHUDLayoutEditorSection(1);
+                },
+                scaleDown = function (event) {
+                    event.preventDefault();
+                    _scaleHUDLayoutEditorSection(-1);
+                };
+        if (_hudLayoutEditor) {
+            return;
+        }
+        _hudLayoutEditor = {
+            section: HUDSection.TARGET_INFO,
+            profile: config.getHUDLayoutProfile(),
+            layouts: {},
+            hudWasVisible: _isHUDVisible,
+            dragPosition: null
+        };
+        _hudLayoutEditor.layouts[_hudLayoutEditor.profile] = _hudLayout;
+        _hudLayoutEditor.keyDownHandler = this._getKeyDownHandler({
+            "tab": function (event) {
+                event.preventDefault();
+                _selectHUDLayoutEditorSection(_hudLayoutEditor.section + (event.shiftKey ? -1 : 1));
+            },
+            "left": function (event) {
+                event.preventDefault();
+                _moveHUDLayoutEditorSection(-getMoveStep(event), 0);
+            },
+            "right": function (event) {
+                event.preventDefault();
+                _moveHUDLayoutEditorSection(getMoveStep(event), 0);
+            },
+            "up": function (event) {
+                event.preventDefault();
+                _moveHUDLayoutEditorSection(0, getMoveStep(event));
+            },
+            "down": function (event) {
+                event.preventDefault();
+                _moveHUDLayoutEditorSection(0, -getMoveStep(event));
+            },
+            "=": scaleUp,
+            "numpad +": scaleUp,
+            "-": scaleDown,
+            "numpad -": scaleDown,
+            "C": function () {
+                _cycleHUDLayoutEditorSectionTint();
+            },
+            "V": function () {
+                _hudLayout[_hudLayoutEditor.section].visible = !_hudLayout[_hudLayoutEditor.section].visible;
+                _updateHUDLayoutEditor();
+            },
+            "R": function () {
+                _hudLayout[_hudLayoutEditor.section] = _getDefaultHUDSectionLayout();
+                _updateHUDLayoutEditor();
+            },
+            "backspace": function (event) {
+                event.preventDefault();
+                _hudLayout = _parseHUDLayout({});
+                _hudLayoutEditor.layouts[_hudLayoutEditor.profile] = _hudLayout;
+                _updateHUDLayoutEditor();
+            },
+            "page up": function (event) {
+                event.preventDefault();
+                _switchHUDLayoutEditorProfile(_hudLayoutEditor.profile - 1);
+            },
+            "page down": function (event) {
+                event.preventDefault();
+                _switchHUDLayoutEditorProfile(_hudLayoutEditor.profile + 1);
+            },
+            "enter": function () {
+                this._closeHUDLayoutEditor(true);
+            },
+            "escape": function () {
+                this._closeHUDLayoutEditor(false);
+            }
+        });
+        _hudLayoutEditor.mouseDownHandler = function (event) {
+            var position = getCanvasPosition(event), section = _getHUDSectionAt(position[0], position[1], canvas.width, canvas.height);
+            if (section >= 0) {
+                _selectHUDLayoutEditorSection(section);
+                _hudLayoutEditor.dragPosition = position;
+            }
+        };
+        _hudLayoutEditor.mouseMoveHandler = function (event) {
+            var position, scale;
+            if (_hudLayoutEditor.dragPosition) {
+                position = getCanvasPosition(event);
+                // the layouts of the HUD sections scale with the smaller dimension of the viewport
+                scale = 2 / Math.min(canvas.width, canvas.height);
+                _moveHUDLayoutEditorSection(
+                        (position[0] - _hudLayoutEditor.dragPosition[0]) * scale,
+                        (_hudLayoutEditor.dragPosition[1] - position[1]) * scale);
+                _hudLayoutEditor.dragPosition = position;
+            }
+        };
+        _hudLayoutEditor.mouseUpHandler = function () {
+            _hudLayoutEditor.dragPosition = null;
+        };
+        _hudLayoutEditor.wheelHandler = function (event) {
+            if (event.deltaY !== 0) {
+                _scaleHUDLayoutEditorSection((event.deltaY < 0) ? 1 : -1);
+            }
+        };
+        document.addEventListener("keydown", _hudLayoutEditor.keyDownHandler);
+        document.addEventListener("mousedown", _hudLayoutEditor.mouseDownHandler);
+        document.addEventListener("mousemove", _hudLayoutEditor.mouseMoveHandler);
+        document.addEventListener("mouseup", _hudLayoutEditor.mouseUpHandler);
+        document.addEventListener("wheel", _hudLayoutEditor.wheelHandler);
+        showHUD();
+        _updateHUDLayoutEditor();
+        this.startRenderLoop(1000 / config.getSetting(config.BATTLE_SETTINGS.RENDER_FPS));
+    };
+    /**
+     * Closes the HUD layout editor and returns to the in-game menu.
+     * @param {Boolean} save If true, the edited layouts are saved and the profile last shown in the editor becomes the active one,
+     * otherwise all changes are discarded
+     */
+    BattleScreen.prototype._closeHUDLayoutEditor = function (save) {
+        var profiles, i;
+        document.removeEventListener("keydown", _hudLayoutEditor.keyDownHandler);
+        document.removeEventListener("mousedown", _hudLayoutEditor.mouseDownHandler);
+        document.removeEventListener("mousemove", _hudLayoutEditor.mouseMoveHandler);
+        document.removeEventListener("mouseup", _hudLayoutEditor.mouseUpHandler);
+        document.removeEventListener("wheel", _hudLayoutEditor.wheelHandler);
+        if (save) {
+            profiles = Object.keys(_hudLayoutEditor.layouts);
+            for (i = 0; i < profiles.length; i++) {
+                config.setHUDLayout(parseInt(profiles[i], 10), _serializeHUDLayout(_hudLayoutEditor.layouts[profiles[i]]));
+            }
+            config.setHUDLayoutProfile(_hudLayoutEditor.profile);
+        }
+        if (!_hudLayoutEditor.hudWasVisible) {
+            hideHUD();
+        }
+        _hudLayoutEditor = null;
+        _loadHUDLayout();
+        this.stopRenderLoop();
+        // render the scene once more so that the editor frame and texts disappear
+        this.render();
+        game.setScreen(armadaScreens.INGAME_MENU_SCREEN_NAME, true, armadaScreens.SUPERIMPOSE_BACKGROUND_COLOR);
+    };
     /**
      * Uses the loading box to show the status to the user.
      * @param {String} newStatus The status to show on the loading box. If
@@ -3010,11 +4421,33 @@ define([
                             config.getHUDSetting(config.BATTLE_SETTINGS.HUD.ESCORTS_TEXT).fontSize,
                             _escortsBackgroundLayout.getScaleMode(),
                             config.getHUDSetting(config.BATTLE_SETTINGS.HUD.ESCORTS_TEXT).colors.alive);
+                },
+                getWingmenOrderText = function (index) {
+                    var position = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_ORDERS_TEXT).position;
+                    position = [position[0], position[1] + index * config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_ORDERS_TEXT_OFFSET)];
+                    return new screens.CanvasText(
+                            position,
+                            "",
+                            config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_ORDERS_TEXT).fontName,
+                            config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_ORDERS_TEXT).fontSize,
+                            _wingmenOrdersBackgroundLayout.getScaleMode(),
+                            config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_ORDERS_TEXT).colors.default);
+                },
+                getPowerText = function (index) {
+                    var position = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_TEXT).position;
+                    position = [position[0], position[1] + index * config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_TEXT_OFFSET)];
+                    return new screens.CanvasText(
+                            position,
+                            "",
+                            config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_TEXT).fontName,
+                            config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_TEXT).fontSize,
+                            _powerBackgroundLayout.getScaleMode(),
+                            config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_TEXT).color);
                 };
         // ..............................................................................
         // target distance
         if (!_distanceTextLayer) {
-            _distanceTextLayer = new screens.TextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.DISTANCE_TEXT_LAYER_LAYOUT));
+            _distanceTextLayer = _createHUDSectionTextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.DISTANCE_TEXT_LAYER_LAYOUT), HUDSection.TARGET_INDICATOR);
             screenCanvas.addTextLayer(_distanceTextLayer);
         }
         if (!_distanceText) {
@@ -3032,7 +4465,7 @@ define([
         // ..............................................................................
         // target info
         if (!_targetInfoTextLayer) {
-            _targetInfoTextLayer = new screens.TextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_INFO_TEXT_LAYER_LAYOUT));
+            _targetInfoTextLayer = _createHUDSectionTextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_INFO_TEXT_LAYER_LAYOUT), HUDSection.TARGET_INFO);
             screenCanvas.addTextLayer(_targetInfoTextLayer);
         }
         if (!_targetInfoTexts) {
@@ -3045,7 +4478,7 @@ define([
         // ..............................................................................
         // wingmen status
         if (!_wingmenStatusTextLayer) {
-            _wingmenStatusTextLayer = new screens.TextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_STATUS_BACKGROUND).layout);
+            _wingmenStatusTextLayer = _createHUDSectionTextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_STATUS_BACKGROUND).layout, HUDSection.WINGMEN_INFO);
             screenCanvas.addTextLayer(_wingmenStatusTextLayer);
         }
         _wingmenStatusHeaderText = _wingmenStatusHeaderText || initText(
@@ -3056,10 +4489,80 @@ define([
         if (!_wingmenStatusSquadTexts) {
             _wingmenStatusSquadTexts = [];
         }
+        _wingmenStatusOrderText = _wingmenStatusOrderText || initText(
+                config.BATTLE_SETTINGS.HUD.WINGMEN_STATUS_ORDER_TEXT,
+                _wingmenStatusBackgroundLayout,
+                _wingmenStatusTextLayer,
+                "right");
+        // ..............................................................................
+        // wingmen order menu
+        if (!_wingmenOrdersTextLayer) {
+            _wingmenOrdersTextLayer = _createHUDSectionTextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_ORDERS_BACKGROUND).layout, HUDSection.WINGMEN_INFO);
+            screenCanvas.addTextLayer(_wingmenOrdersTextLayer);
+        }
+        _wingmenOrdersHeaderText = _wingmenOrdersHeaderText || initText(
+                config.BATTLE_SETTINGS.HUD.WINGMEN_ORDERS_HEADER_TEXT,
+                _wingmenOrdersBackgroundLayout,
+                _wingmenOrdersTextLayer);
+        _wingmenOrdersHeaderText.setText(strings.get(strings.BATTLE.HUD_WINGMEN_ORDERS_HEADER));
+        if (!_wingmenOrdersTexts) {
+            _wingmenOrdersTexts = [];
+            n = control.getController(control.FIGHTER_CONTROLLER_NAME).getWingmenOrders().length;
+            for (i = 0; i < n; i++) {
+                _wingmenOrdersTexts.push(getWingmenOrderText(i));
+                _wingmenOrdersTextLayer.addText(_wingmenOrdersTexts[i]);
+            }
+        }
+        // ..............................................................................
+        // power distribution gauge
+        if (!_powerTextLayer) {
+            _powerTextLayer = _createHUDSectionTextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.POWER_BACKGROUND).layout, HUDSection.POWER);
+            screenCanvas.addTextLayer(_powerTextLayer);
+        }
+        _powerHeaderText = _powerHeaderText || initText(
+                config.BATTLE_SETTINGS.HUD.POWER_HEADER_TEXT,
+                _powerBackgroundLayout,
+                _powerTextLayer);
+        _powerHeaderText.setText(strings.get(strings.BATTLE.HUD_POWER_HEADER));
+        if (!_powerTexts) {
+            _powerTexts = [];
+            for (i = 0; i < _powerBars.length; i++) {
+                _powerTexts.push(getPowerText(i));
+                _powerTextLayer.addText(_powerTexts[i]);
+            }
+        }
+        for (i = 0; i < _powerTexts.length; i++) {
+            _powerTexts[i].setText(strings.get(strings.POWER_SYSTEM.PREFIX, _powerBars[i].system));
+        }
+        // ..............................................................................
+        // booster and countermeasures gauge
+        if (!_boosterTextLayer) {
+            _boosterTextLayer = _createHUDSectionTextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.BOOSTER_BACKGROUND).layout, HUDSection.BOOSTER);
+            screenCanvas.addTextLayer(_boosterTextLayer);
+        }
+        _boosterHeaderText = _boosterHeaderText || initText(
+                config.BATTLE_SETTINGS.HUD.BOOSTER_HEADER_TEXT,
+                _boosterBackgroundLayout,
+                _boosterTextLayer);
+        _boosterHeaderText.setText(strings.get(strings.BATTLE.HUD_BOOSTER_HEADER));
+        _countermeasuresText = _countermeasuresText || initText(
+                config.BATTLE_SETTINGS.HUD.COUNTERMEASURES_TEXT,
+                _boosterBackgroundLayout,
+                _boosterTextLayer);
+        // ..............................................................................
+        // radar
+        if (!_radarTextLayer) {
+            _radarTextLayer = _createHUDSectionTextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.RADAR).layout, HUDSection.RADAR);
+            screenCanvas.addTextLayer(_radarTextLayer);
+        }
+        _radarRangeText = _radarRangeText || initText(
+                config.BATTLE_SETTINGS.HUD.RADAR_RANGE_TEXT,
+                _radarLayout,
+                _radarTextLayer);
         // ..............................................................................
         // speed bar
         if (!_speedTextLayer) {
-            _speedTextLayer = new screens.TextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SPEED_TEXT_LAYER_LAYOUT));
+            _speedTextLayer = _createHUDSectionTextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SPEED_TEXT_LAYER_LAYOUT), HUDSection.SPEED_BAR);
             screenCanvas.addTextLayer(_speedTextLayer);
         }
         if (!_maxSpeedText) {
@@ -3073,7 +4576,7 @@ define([
         // ..............................................................................
         // missile indicator text
         if (!_missileIndicatorTextLayer) {
-            _missileIndicatorTextLayer = new screens.TextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INDICATOR_TEXT_LAYOUT));
+            _missileIndicatorTextLayer = _createHUDSectionTextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INDICATOR_TEXT_LAYOUT), HUDSection.MISSILE_INDICATOR);
             screenCanvas.addTextLayer(_missileIndicatorTextLayer);
         }
         if (!_missileIndicatorText) {
@@ -3090,7 +4593,7 @@ define([
         // ..............................................................................
         // flight mode
         if (!_flightModeIndicatorTextLayer) {
-            _flightModeIndicatorTextLayer = new screens.TextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.FLIGHT_MODE_INDICATOR_BACKGROUND).layout);
+            _flightModeIndicatorTextLayer = _createHUDSectionTextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.FLIGHT_MODE_INDICATOR_BACKGROUND).layout, HUDSection.FLIGHT_MODE);
             screenCanvas.addTextLayer(_flightModeIndicatorTextLayer);
         }
         _flightModeHeaderText = _flightModeHeaderText || initText(
@@ -3111,7 +4614,7 @@ define([
         // ..............................................................................
         // missile info
         if (!_missileInfoTextLayer) {
-            _missileInfoTextLayer = new screens.TextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INFO_BACKGROUND).layout);
+            _missileInfoTextLayer = _createHUDSectionTextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INFO_BACKGROUND).layout, HUDSection.MISSILE_INFO);
             screenCanvas.addTextLayer(_missileInfoTextLayer);
         }
         _missileInfoHeaderText = _missileInfoHeaderText || initText(
@@ -3167,7 +4670,7 @@ define([
         // ..............................................................................
         // top left
         if (!_topLeftTextLayer) {
-            _topLeftTextLayer = new screens.TextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TOP_LEFT_TEXT_LAYER_LAYOUT));
+            _topLeftTextLayer = _createHUDSectionTextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TOP_LEFT_TEXT_LAYER_LAYOUT), HUDSection.SCORE);
             screenCanvas.addTextLayer(_topLeftTextLayer);
         }
         _scoreText = _scoreText || initText(
@@ -3178,7 +4681,7 @@ define([
         // ..............................................................................
         // objectives
         if (!_objectivesTextLayer) {
-            _objectivesTextLayer = new screens.TextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.OBJECTIVES_BACKGROUND).layout);
+            _objectivesTextLayer = _createHUDSectionTextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.OBJECTIVES_BACKGROUND).layout, HUDSection.OBJECTIVES);
             screenCanvas.addTextLayer(_objectivesTextLayer);
         }
         _objectivesHeaderText = _objectivesHeaderText || initText(
@@ -3197,7 +4700,7 @@ define([
         // ..............................................................................
         // escorted ships
         if (!_escortsTextLayer) {
-            _escortsTextLayer = new screens.TextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.ESCORTS_BACKGROUND).layout);
+            _escortsTextLayer = _createHUDSectionTextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.ESCORTS_BACKGROUND).layout, HUDSection.ESCORTS);
             screenCanvas.addTextLayer(_escortsTextLayer);
         }
         _escortsHeaderText = _escortsHeaderText || initText(
@@ -3213,6 +4716,24 @@ define([
                 _escortsTextLayer.addText(_escortsTexts[i]);
             }
         }
+        // ..............................................................................
+        // HUD layout editor
+        if (!_hudLayoutEditorTextLayer) {
+            _hudLayoutEditorTextLayer = new screens.TextLayer(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_TEXT_LAYER_LAYOUT));
+            screenCanvas.addTextLayer(_hudLayoutEditorTextLayer);
+            _hudLayoutEditorTextLayer.hide();
+        }
+        _hudLayoutEditorHeaderText = _hudLayoutEditorHeaderText || initText(
+                config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_HEADER_TEXT,
+                _hudLayoutEditorTextLayer.getLayout(),
+                _hudLayoutEditorTextLayer,
+                "center");
+        _hudLayoutEditorHelpText = _hudLayoutEditorHelpText || initText(
+                config.BATTLE_SETTINGS.HUD.LAYOUT_EDITOR_HELP_TEXT,
+                _hudLayoutEditorTextLayer.getLayout(),
+                _hudLayoutEditorTextLayer,
+                "center");
+        _hudLayoutEditorHelpText.setText(strings.get(strings.BATTLE.HUD_LAYOUT_EDITOR_HELP));
     };
     /**
      * Toggles the visibility of the development related information (e.g. version info header and FPS count) on the screen.
@@ -3367,7 +4888,7 @@ define([
                 distance, aspect, i, j, count, scale, futureDistance, animationProgress, animation2Progress, aimAssistAppearAnimationProgress, targetSwitchAnimationProgress, shipWidth,
                 hullIntegrity, shieldIntegrity,
                 acceleration, speed, absSpeed, maxSpeed, stepFactor, stepBuffer, speedRatio, speedTarget, driftSpeed, driftArrowMaxSpeed, arrowPositionRadius,
-                armor, craftCount, height, statusCount, angle, lockRatio,
+                armor, craftCount, height, statusCount, angle, lockRatio, orderIndex, reactorOutput,
                 /** @type Weapon[] */
                 weapons,
                 /** @type Number[2] */
@@ -3391,7 +4912,7 @@ define([
                 /** @type String */
                 text,
                 /** @type String[] */
-                objectivesState, statusIndicators,
+                objectivesState, statusIndicators, orders,
                 /** @type HUDElement */
                 indicator,
                 /** @type Spacecraft[] */
@@ -4123,6 +5644,8 @@ define([
                     _targetInfoTexts[TARGET_INFO_FIREPOWER].setColor(targetInfoTextColor);
                     armor = target.getTarget() && target.getTarget().getClass().getArmor();
                     _targetInfoTexts[TARGET_INFO_FIREPOWER].setText(strings.get(strings.BATTLE.HUD_FIREPOWER) + ": " + (armor ? (target.getFirepower(armor).toFixed(1) + " / ") : "") + target.getFirepower().toFixed(1));
+                    _targetInfoTexts[TARGET_INFO_SUBSYSTEMS].setColor(targetInfoTextColor);
+                    _targetInfoTexts[TARGET_INFO_SUBSYSTEMS].setText(strings.get(strings.BATTLE.HUD_SUBSYSTEMS) + ": " + _getSubsystemsStatusString(target));
                     _targetInfoTexts[TARGET_INFO_DISTANCE].setColor(targetInfoTextColor);
                     _targetInfoTexts[TARGET_INFO_DISTANCE].setText(strings.get(strings.BATTLE.HUD_DISTANCE) + ": " + utils.getLengthString(distance));
                     _targetInfoTexts[TARGET_INFO_VELOCITY].setColor(targetInfoTextColor);
@@ -4307,6 +5830,16 @@ define([
                 if (!playerFound && _wingmenStatusPlayerIndicator) {
                     _wingmenStatusPlayerIndicator.hide();
                 }
+                // the order the wingmen of the followed spacecraft are executing
+                text = _getWingmenOrder(craft);
+                if (text) {
+                    _wingmenStatusOrderText.setText(utils.formatString(strings.get(strings.BATTLE.HUD_WINGMEN_ORDER), {
+                        order: strings.get(strings.WINGMEN_ORDER.PREFIX, text, text)
+                    }));
+                    _wingmenStatusOrderText.show();
+                } else {
+                    _wingmenStatusOrderText.hide();
+                }
             } else {
                 // if there are no squads in the team of the followed spacecraft, just hide the whole panel
                 _wingmenStatusBackground.hide();
@@ -4320,6 +5853,81 @@ define([
                 }
             }
             // .....................................................................................................
+            // wingmen order menu
+            orderIndex = control.isInPilotMode() ? control.getController(control.FIGHTER_CONTROLLER_NAME).getHighlightedWingmenOrderIndex() : -1;
+            if ((orderIndex >= 0) && _hudSectionIsVisible(HUDSection.WINGMEN_INFO)) {
+                _wingmenOrdersBackground.applyLayout(_wingmenOrdersBackgroundLayout, canvas.width, canvas.height);
+                _wingmenOrdersBackground.show();
+                orders = control.getController(control.FIGHTER_CONTROLLER_NAME).getWingmenOrders();
+                colors = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_ORDERS_TEXT).colors;
+                for (i = 0; i < _wingmenOrdersTexts.length; i++) {
+                    _wingmenOrdersTexts[i].setText(strings.get(strings.WINGMEN_ORDER.PREFIX, orders[i], orders[i]));
+                    _wingmenOrdersTexts[i].setColor((i === orderIndex) ? colors.highlighted : colors.default);
+                }
+                _wingmenOrdersTextLayer.show();
+            } else {
+                _wingmenOrdersBackground.hide();
+                _wingmenOrdersTextLayer.hide();
+            }
+            // .....................................................................................................
+            // power distribution gauge
+            reactorOutput = craft.getReactorOutput();
+            if ((reactorOutput > 0) && _hudSectionIsVisible(HUDSection.POWER)) {
+                _powerBackground.applyLayout(_powerBackgroundLayout, canvas.width, canvas.height);
+                _powerBackground.show();
+                for (i = 0; i < _powerBars.length; i++) {
+                    _powerBars[i].bar.clipX(0, craft.getPowerLevel(_powerBars[i].system) / reactorOutput);
+                    _powerBars[i].bar.applyLayout(_powerBars[i].layout, canvas.width, canvas.height);
+                    _powerBars[i].bar.show();
+                }
+                _powerTextLayer.show();
+            } else {
+                _powerBackground.hide();
+                _powerTextLayer.hide();
+                for (i = 0; i < _powerBars.length; i++) {
+                    _powerBars[i].bar.hide();
+                }
+            }
+            // .....................................................................................................
+            // booster and countermeasures gauge
+            if ((craft.hasBooster() || craft.hasCountermeasures()) && _hudSectionIsVisible(HUDSection.BOOSTER)) {
+                _boosterBackground.applyLayout(_boosterBackgroundLayout, canvas.width, canvas.height);
+                _boosterBackground.show();
+                if (craft.hasBooster()) {
+                    _boosterBar.clipX(0, craft.getBoosterFuelRatio());
+                    _boosterBar.setColor(craft.isBoosting() ?
+                            config.getHUDSetting(config.BATTLE_SETTINGS.HUD.BOOSTER_BAR).colors.engaged :
+                            config.getHUDSetting(config.BATTLE_SETTINGS.HUD.BOOSTER_BAR).colors.filled);
+                    _boosterBar.applyLayout(_boosterBarLayout, canvas.width, canvas.height);
+                    _boosterBar.show();
+                    _boosterHeaderText.show();
+                } else {
+                    _boosterBar.hide();
+                    _boosterHeaderText.hide();
+                }
+                if (craft.hasCountermeasures()) {
+                    _countermeasuresText.setText(strings.get(strings.BATTLE.HUD_COUNTERMEASURES), {count: craft.getCountermeasureCount()});
+                    _countermeasuresText.setColor((craft.getCountermeasureCount() > 0) ?
+                            config.getHUDSetting(config.BATTLE_SETTINGS.HUD.COUNTERMEASURES_TEXT).colors.default :
+                            config.getHUDSetting(config.BATTLE_SETTINGS.HUD.COUNTERMEASURES_TEXT).colors.empty);
+                    _countermeasuresText.show();
+                } else {
+                    _countermeasuresText.hide();
+                }
+                _boosterTextLayer.show();
+            } else {
+                _boosterBackground.hide();
+                _boosterBar.hide();
+                _boosterTextLayer.hide();
+            }
+            // .....................................................................................................
+            // radar
+            if ((craft.getSensorRange() > 0) && _hudSectionIsVisible(HUDSection.RADAR)) {
+                _updateRadar(craft, canvas.width, canvas.height);
+            } else {
+                _hideRadar();
+            }
+            // .....................................................................................................
             // ship indicators and arrows
             ships = _mission.getSpacecrafts().filter(_spacecraftShouldBeIndicated);
             highlightedShips = craft.getTargetingSpacecrafts().filter(_spacecraftShouldBeIndicated);
@@ -4622,7 +6230,12 @@ define([
             _messageTypeSound.stopPlaying(HUD_MESSAGE_APPEAR_SOUND_STOP_RAMP_DURATION);
             _distanceTextLayer.hide();
             _wingmenStatusTextLayer.hide();
+            _wingmenOrdersTextLayer.hide();
+            _powerTextLayer.hide();
+            _boosterTextLayer.hide();
+            _radarTextLayer.hide();
         }
+        _updateHUDLayoutEditorDisplay(canvas.width, canvas.height);
         _shipIndicatorHighlightTime = (_shipIndicatorHighlightTime + dt) % _shipIndicatorHighlightAnimationInterval;
         if (!missileLockIndicatorsUpdated) {
             _missileLockIndicatorAngle = Math.radians(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_LOCK_INDICATOR_ANGLE));
@@ -4648,7 +6261,9 @@ define([
                 /**@type Spacecraft*/ craft,
                 /**@type Number*/ hitRatio,
                 /**@type Object*/ perfStats,
-                /**@type MissionDescriptor */ missionDescriptor;
+                /**@type MissionDescriptor */ missionDescriptor,
+                /**@type Career~MissionResult */ careerResult = null,
+                /**@type Number */ survivalWave, survivalRank = -1;
         if (_multi) {
             game.setScreen(armadaScreens.MULTI_SCORE_SCREEN_NAME);
             networking.leaveGame();
@@ -4673,6 +6288,13 @@ define([
         } else if (victory && _mission.getId()) {
             missionHub.sendEvent("score", [_mission.getId()], {difficulty: _difficulty, score: perfStats.score});
         }
+        if (_career && _missionSourceFilename && craft && (_mission.getState() !== missionEvents.MissionState.NONE)) {
+            careerResult = career.handleMissionEnd(_mission.getName(), victory, perfStats, craft.getKills());
+        }
+        if (_survival && craft) {
+            survivalWave = survival.getWaveReached(_mission);
+            survivalRank = survival.submitResult(_missionData.environment, craft.getClass().getName(), survivalWave, perfStats.score);
+        }
         game.getScreen(armadaScreens.DEBRIEFING_SCREEN_NAME).setData({
             missionState: _mission.getState(),
             objectives: _mission.getObjectives(),
@@ -4695,7 +6317,12 @@ define([
             hullIntegrityBonus: perfStats.hullIntegrityBonus,
             teamSurvival: perfStats.teamSurvival,
             teamSurvivalBonus: perfStats.teamSurvivalBonus,
-            nextMissionName: victory ? _mission.getNextMissionName() : null
+            nextMissionName: victory ? _mission.getNextMissionName() : null,
+            careerReward: careerResult ? careerResult.reward : undefined,
+            careerCredits: careerResult ? careerResult.credits : undefined,
+            survivalWave: survivalWave,
+            survivalScore: _survival ? perfStats.score : undefined,
+            survivalRank: survivalRank
         });
         game.setScreen(armadaScreens.DEBRIEFING_SCREEN_NAME);
     }
@@ -4743,7 +6370,7 @@ define([
         }
         // displaying the victory or defeat message
         if ((_simulationLoop !== LOOP_CANCELED)) {
-            if (!_demoMode) {
+            if (!_demoMode && !_replay) {
                 craft = _mission.getPilotedSpacecraft();
                 if (craft && craft.isAlive() && craft.isAway()) {
                     if (_timeSincePlayerLeft > config.getSetting(config.BATTLE_SETTINGS.QUIT_DELAY_AFTER_JUMP_OUT)) {
@@ -4835,11 +6462,11 @@ define([
                     }
                 }
                 if (_multi && networking.isHost()) {
-                    if (_mission && _mission.noHostilesPresent()) {
+                    if (_mission && networking.isMatchOver(_mission)) {
                         _timeSinceMultiMatchEnded += dt;
                         if (_timeSinceMultiMatchEnded >= config.getSetting(config.BATTLE_SETTINGS.MULTI_MATCH_QUIT_DELAY)) {
-                            game.setScreen(armadaScreens.MULTI_SCORE_SCREEN_NAME);
-                            networking.concludeMatch();
+                            // the score screen is shown by the match concluded callback
+                            networking.concludeMatch(networking.determineWinnerTeam(_mission));
                         }
                     }
                 }
@@ -4858,7 +6485,7 @@ define([
      * @param {Mission} mission
      */
     BattleScreen.prototype._startBattle = function (mission) {
-        var missionDescriptor, custom, anticipationMusicNames, anticipationMusic, anticipationMusicIndex, combatMusicNames, combatMusic, combatMusicIndex, i, canvas, shadows;
+        var missionDescriptor, custom, anticipationMusicNames, anticipationMusic, anticipationMusicIndex, combatMusicNames, combatMusic, combatMusicIndex, i, canvas, shadows, seed;
         canvas = this.getScreenCanvas(BATTLE_CANVAS_ID).getCanvasElement();
         _mission = mission;
         _targets = _mission.getTargetSpacecrafts();
@@ -4868,7 +6495,7 @@ define([
             custom = missionDescriptor.isCustom();
             // for missions that are already won or lost at the very beginning (no enemies / controlled craft), we do not display the
             // victory / defeat message
-            if (!_demoMode) {
+            if (!_demoMode && !_replay) {
                 if ((!_mission.getPilotedSpacecraft() || (_mission.getState() === missionEvents.MissionState.NONE))) {
                     missionDescriptor.increasePlaythroughCount(true);
                 }
@@ -4881,7 +6508,7 @@ define([
             }
         } else {
             custom = true;
-            if (mission.getId()) {
+            if (mission.getId() && !_replay) {
                 _analyticsState = null;
                 missionHub.sendEvent("start", [mission.getId()]);
             }
@@ -4894,6 +6521,27 @@ define([
         if (_multi) {
             equipment.setFriendlyFire(networking.getGameSettings().friendlyFire);
             ai.resetRandomSeeds();
+        } else if (!_demoMode) {
+            // the random seeds are stored in the replay so that the same random values are generated when it is played back
+            seed = _replay ? _replay.getSeed() : Math.random();
+            ai.resetRandomSeeds(seed);
+            formations.resetRandomSeed(seed);
+            if (_replay) {
+                _replayStepIndex = 0;
+                _replayTimeLeft = 0;
+                _replayAutoTargeting = _replay.getAutoTargeting();
+            } else {
+                _recordedReplay = replay.createReplay({
+                    missionSourceFilename: _missionSourceFilename,
+                    missionData: _missionData,
+                    difficulty: _difficulty,
+                    pilotedSpacecraft: _pilotedSpacecraft,
+                    seed: seed,
+                    autoTargeting: control.getController(control.FIGHTER_CONTROLLER_NAME).isAutoTargetingOn()
+                });
+                replay.setLastReplay(_recordedReplay);
+                control.getController(control.FIGHTER_CONTROLLER_NAME).setRecordedReplay(_recordedReplay);
+            }
         }
         shadows = graphics.isShadowMappingEnabled();
         if (_mission.hasShadows()) {
@@ -4965,6 +6613,7 @@ define([
         }
         _hudHighlightTime = 0;
         _shipIndicatorHighlightTime = 0;
+        _radarZoomStep = 0;
         this._addUITexts();
         _messageQueues = _messageQueues || {};
         this.clearHUDMessageQueues();
@@ -5047,7 +6696,7 @@ define([
                         _mission.getTitle() || (_missionSourceFilename && utils.getFilenameWithoutExtension(_missionSourceFilename)) || _mission.getName() :
                         strings.get(strings.MISSION.PREFIX, utils.getFilenameWithoutExtension(_missionSourceFilename) + strings.MISSION.NAME_SUFFIX.name));
                 _battleCursor = document.body.style.cursor;
-                if (!_multi && config.getBattleSetting(config.BATTLE_SETTINGS.SHOW_READY_MESSAGE)) {
+                if (!_multi && !_replay && config.getBattleSetting(config.BATTLE_SETTINGS.SHOW_READY_MESSAGE)) {
                     if (utils.areTouchEventsSupported()) {
                         this._touchControlSheet.show();
                     } else {
@@ -5140,12 +6789,30 @@ define([
                                 _timeSinceGuestUpdates.push(0);
                             }
                         }
-                        control.switchToPilotMode(_mission.getPilotedSpacecraft(), true);
+                        if (networking.isSpectator()) {
+                            // spectators can cycle through the views of all the spacecrafts, while following the
+                            // kills and deaths of the players
+                            control.switchToSpectatorMode(false, true);
+                            _battleScene.getCamera().followNextNode();
+                            this._updateSpectatorScoreboard();
+                            this._spectatorScoreboard.show();
+                            networking.onPlayerStats(this._updateSpectatorScoreboard.bind(this));
+                        } else {
+                            control.switchToPilotMode(_mission.getPilotedSpacecraft(), true);
+                        }
                         networking.onGameUpdate(!networking.isHost() ?
                                 function (data) {
-                                    var i, spacecrafts = _mission.getSpacecrafts();
+                                    var
+                                            i, spacecrafts = _mission.getSpacecrafts(),
+                                            pilotedCraft = _mission.getPilotedSpacecraft(),
+                                            now = performance.now();
                                     for (i = 0; i < spacecrafts.length; i++) {
-                                        spacecrafts[i].applyMultiHostData(data, i * spacecraft.MULTI_HOST_DATA_LENGTH);
+                                        // the piloted spacecraft is predicted locally, the rest are interpolated between the updates
+                                        if (spacecrafts[i] === pilotedCraft) {
+                                            spacecrafts[i].reconcileMultiHostData(data, i * spacecraft.MULTI_HOST_DATA_LENGTH, now, networking.getHostPing());
+                                        } else {
+                                            spacecrafts[i].addMultiSnapshot(data, i * spacecraft.MULTI_HOST_DATA_LENGTH, now);
+                                        }
                                     }
                                     _timeSinceHostUpdate = 0;
                                 } :
@@ -5155,6 +6822,10 @@ define([
                                 });
                     }.bind(this));
                     networking.onDisconnect(function () {
+                        if (_multi && (game.getScreen() === _battleScreen) && networking.canRejoinGame()) {
+                            this._rejoinGame();
+                            return;
+                        }
                         _multi = false;
                         if (game.getScreen() !== _battleScreen) {
                             return;
@@ -5180,6 +6851,9 @@ define([
                                 player: player.name
                             })
                         });
+                        if (networking.isSpectator()) {
+                            this._updateSpectatorScoreboard();
+                        }
                         if (networking.isHost()) {
                             spacecraft = mission.getSpacecraft(player.name);
                             if (spacecraft && spacecraft.isAlive()) {
@@ -5194,6 +6868,40 @@ define([
                             });
                         }
                     }.bind(this));
+                    networking.onPlayerDrop(function (player) {
+                        var craft;
+                        _battleScreen.queueHUDMessage({
+                            text: utils.formatString(strings.get(strings.MULTI_BATTLE.PLAYER_DROPPED_MESSAGE), {
+                                player: player.name
+                            })
+                        });
+                        if (networking.isHost()) {
+                            // the spacecraft of the dropped player stops until they rejoin
+                            craft = mission.getSpacecraft(player.name);
+                            if (craft) {
+                                craft.resetMultiGuestControls();
+                            }
+                        }
+                    });
+                    networking.onPlayerReconnect(function (player) {
+                        _battleScreen.queueHUDMessage({
+                            text: utils.formatString(strings.get(strings.MULTI_BATTLE.PLAYER_RECONNECTED_MESSAGE), {
+                                player: player.name
+                            })
+                        });
+                        if (networking.isHost()) {
+                            if (_timeSinceGuestUpdates) {
+                                _timeSinceGuestUpdates[networking.getPlayers().indexOf(player)] = 0;
+                            }
+                            networking.sendResync(player.name, mission.getSpacecrafts());
+                        }
+                    });
+                    networking.onResync(function (states) {
+                        var i, spacecrafts = mission.getSpacecrafts();
+                        for (i = 0; (i < spacecrafts.length) && (i < states.length); i++) {
+                            spacecrafts[i].applyMultiResyncData(states[i]);
+                        }
+                    });
                     networking.onMatchConcluded(function () {
                         game.setScreen(armadaScreens.MULTI_SCORE_SCREEN_NAME);
                     });
@@ -5219,7 +6927,7 @@ define([
                     }
                     _battleScene.setShouldAnimate(false);
                 }
-                if (!_multi && !config.getBattleSetting(config.BATTLE_SETTINGS.SHOW_READY_MESSAGE)) {
+                if (!_multi && (_replay || !config.getBattleSetting(config.BATTLE_SETTINGS.SHOW_READY_MESSAGE))) {
                     this._doStartBattle();
                 }
             }.bind(this));
@@ -5236,6 +6944,14 @@ define([
      * @property {Boolean} [demoMode] If true, AIs are added to all spacecrafts and the piloted spacecraft is not set, when loading the mission.
      * @property {Boolean} [restart] Whether to restart the same battle that has been loaded last time
      * @property {Boolean} [multi] Whether the game is multiplayer
+     * @property {Mission~PilotedSpacecraft} [pilotedSpacecraft] If given, the piloted spacecraft of the mission will have this class
+     * and loadout instead of the ones given in the mission data
+     * @property {Boolean} [career] Whether the battle is played as part of the career of the player
+     * @property {Boolean} [survival] Whether the battle is a survival battle (with mission data generated by the survival module)
+     * @property {Replay} [replay] If given, this replay will be played back instead of starting a battle to play (the mission and 
+     * difficulty are taken from the replay)
+     * @property {Number} [replayTime] When playing back a replay, it will be fast forwarded to this point in simulation time after
+     * loading, in milliseconds
      */
     /**
      * If a mission description file is given: loads the specified mission description file and sets a callback to create a new game-logic model 
@@ -5250,6 +6966,23 @@ define([
         params = params || {};
         if (params.restart) {
             this.pauseBattle();
+        } else {
+            _replay = params.replay || null;
+        }
+        _replaySeekTime = params.replayTime || 0;
+        if (_replay && !params.restart) {
+            params.missionSourceFilename = _replay.getMissionSourceFilename() || undefined;
+            params.missionData = _replay.getMissionSourceFilename() ? undefined : _replay.getMissionData();
+            params.difficulty = _replay.getDifficulty();
+            params.demoMode = false;
+            params.pilotedSpacecraft = _replay.getPilotedSpacecraft();
+            params.career = false;
+            params.survival = false;
+        }
+        if (!params.restart) {
+            _pilotedSpacecraft = params.pilotedSpacecraft || null;
+            _career = !!params.career && !params.demoMode;
+            _survival = !!params.survival && !params.demoMode;
         }
         if (params.missionData !== undefined) {
             _missionSourceFilename = null;
@@ -5275,9 +7008,9 @@ define([
                 canvas.height / 2);
         this._updateLoadingStatus(strings.get(strings.BATTLE.LOADING_BOX_LOADING_MISSION), 0);
         if (_missionSourceFilename) {
-            missions.requestMission(_missionSourceFilename, _difficulty, _demoMode, this._startBattle.bind(this));
+            missions.requestMission(_missionSourceFilename, _difficulty, _demoMode, this._startBattle.bind(this), _pilotedSpacecraft);
         } else {
-            this._startBattle(missions.createMission(_missionData, _difficulty, _demoMode));
+            this._startBattle(missions.createMission(_missionData, _difficulty, _demoMode, _pilotedSpacecraft));
         }
     };
     /**
@@ -5329,19 +7062,6 @@ define([
         _centerCrosshairScaleMode = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.CENTER_CROSSHAIR).scaleMode;
         _speedTargetIndicatorSize = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SPEED_TARGET_INDICATOR).size;
         _distanceTextBoxLayoutDescriptor = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.DISTANCE_TEXT).layout;
-        _targetViewLayout = new screens.ClipSpaceLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_VIEW_LAYOUT));
-        _targetInfoBackgroundLayout = new screens.ClipSpaceLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_INFO_BACKGROUND).layout);
-        _wingmenStatusBackgroundLayout = new screens.ClipSpaceLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.WINGMEN_STATUS_BACKGROUND).layout);
-        _targetHullIntegrityBarLayout = new screens.ClipSpaceLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_HULL_INTEGRITY_BAR).layout);
-        _targetShieldBarLayout = new screens.ClipSpaceLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_SHIELD_BAR).layout);
-        _speedBarLayout = new screens.ClipSpaceLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SPEED_BAR).layout);
-        _missileIndicatorLayout = new screens.ClipSpaceLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INDICATOR).layout);
-        _hullIntegrityBarLayout = new screens.ClipSpaceLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.HULL_INTEGRITY_BAR).layout);
-        _shieldBarLayout = new screens.ClipSpaceLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.SHIELD_BAR).layout);
-        _flightModeIndicatorBackgroundLayout = new screens.ClipSpaceLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.FLIGHT_MODE_INDICATOR_BACKGROUND).layout);
-        _missileInfoBackgroundLayout = new screens.ClipSpaceLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MISSILE_INFO_BACKGROUND).layout);
-        _objectivesBackgroundLayout = new screens.ClipSpaceLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.OBJECTIVES_BACKGROUND).layout);
-        _escortsBackgroundLayout = new screens.ClipSpaceLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.ESCORTS_BACKGROUND).layout);
         _messageBackgroundLayout = new screens.ClipSpaceLayout(config.getHUDSetting(config.BATTLE_SETTINGS.HUD.MESSAGE_BACKGROUND).layout);
         _hudTargetSwitchAnimationDuration = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.TARGET_SWITCH_ANIMATION_DURATION);
         _hudAimAssistAppearAnimationDuration = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.AIM_ASSIST_APPEAR_ANIMATION_DURATION);
@@ -5375,10 +7095,13 @@ define([
             skipResources: true
         };
         _hudHighlightInterval = config.getHUDSetting(config.BATTLE_SETTINGS.HUD.HIGHLIGHT_INTERVAL);
+        _loadHUDLayout();
         // music
         _combatThemeDurationAfterFire = config.getSetting(config.BATTLE_SETTINGS.COMBAT_THEME_DURATION_AFTER_FIRE) * 1000;
         // multi
         _disconnectThreshold = config.getSetting(config.MULTI_SETTINGS.DISCONNECT_THRESHOLD);
+        // replay
+        _replaySeekStep = config.getSetting(config.BATTLE_SETTINGS.REPLAY_SEEK_STEP);
     });
     // initializing anaglyph text rendering if needed
     graphics.executeWhenReady(function () {
@@ -5394,15 +7117,20 @@ define([
             _battleScreen = new BattleScreen();
             _battle.pauseBattle = _battleScreen.pauseBattle.bind(_battleScreen);
             _battle.resumeBattle = _battleScreen.resumeBattle.bind(_battleScreen);
+            _battle.editHUDLayout = _battleScreen.startHUDLayoutEditor.bind(_battleScreen);
         }
         return _battleScreen;
     };
     _battle.stopTime = stopTime;
     _battle.resumeTime = resumeTime;
     _battle.toggleTime = toggleTime;
+    _battle.toggleReplayPause = toggleReplayPause;
+    _battle.seekReplay = seekReplay;
+    _battle.isPlayingReplay = isPlayingReplay;
     _battle.showHUD = showHUD;
     _battle.hideHUD = hideHUD;
     _battle.toggleHUDVisibility = toggleHUDVisibility;
+    _battle.cycleRadarZoom = cycleRadarZoom;
     _battle.HUDSection = HUDSection;
     _battle.HUDSectionState = HUDSectionState;
     return _battle;
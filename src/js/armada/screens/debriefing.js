@@ -14,6 +14,7 @@
  * @param audio Used for setting music theme
  * @param armadaScreens Used for navigation
  * @param missionEvents Used to access MissionState enum
+ * @param replay Used to save / play back the replay of the finished mission
  */
 define([
     "utils/utils",
@@ -23,8 +24,9 @@ define([
     "armada/strings",
     "armada/audio",
     "armada/screens/shared",
-    "armada/logic/missions/events"
-], function (utils, game, screens, config, strings, audio, armadaScreens, missionEvents) {
+    "armada/logic/missions/events",
+    "armada/replay"
+], function (utils, game, screens, config, strings, audio, armadaScreens, missionEvents, replay) {
     "use strict";
     var
             // ------------------------------------------------------------------------------
@@ -38,6 +40,8 @@ define([
             SCORE_SPAN_ID = "score",
             NEW_RECORD_ID = "newRecord",
             DESCRIPTION_PARAGRAPH_ID = "description",
+            CAREER_REWARD_PARAGRAPH_ID = "careerReward",
+            SURVIVAL_RESULT_PARAGRAPH_ID = "survivalResult",
             OBJECTIVES_TABLE_ID = "objectivesTable",
             COMPLETED_OBJECTIVE_CLASS_NAME = "completedObjective",
             FAILED_OBJECTIVE_CLASS_NAME = "failedObjective",
@@ -59,6 +63,8 @@ define([
             TEAM_SURVIVAL_BONUS_CELL_ID = "teamSurvivalBonusCell",
             // bottom buttons
             RESTART_BUTTON_ID = "restartButton",
+            SAVE_REPLAY_BUTTON_ID = "saveReplayButton",
+            WATCH_REPLAY_BUTTON_ID = "watchReplayButton",
             NEXT_BUTTON_ID = "nextButton",
             // ------------------------------------------------------------------------------
             // private variables
@@ -95,6 +101,11 @@ define([
                 armadaScreens.BUTTON_EVENT_HANDLERS);
         /** @type String */
         this._nextMissionName = null;
+        /**
+         * The name of the screen the back button leads to
+         * @type String
+         */
+        this._backScreenName = armadaScreens.MISSIONS_SCREEN_NAME;
         /** @type SimpleComponent */
         this._backButton = this.registerSimpleComponent(BACK_BUTTON_ID);
         /** @type SimpleComponent */
@@ -110,6 +121,10 @@ define([
         /** @type SimpleComponent */
         this._descriptionParagraph = this.registerSimpleComponent(DESCRIPTION_PARAGRAPH_ID);
         /** @type SimpleComponent */
+        this._careerRewardParagraph = this.registerSimpleComponent(CAREER_REWARD_PARAGRAPH_ID);
+        /** @type SimpleComponent */
+        this._survivalResultParagraph = this.registerSimpleComponent(SURVIVAL_RESULT_PARAGRAPH_ID);
+        /** @type SimpleComponent */
         this._objectivesTable = this.registerSimpleComponent(OBJECTIVES_TABLE_ID);
         /** @type SimpleComponent */
         this._scoreBreakdownContainer = this.registerSimpleComponent(SCORE_BREAKDOWN_CONTAINER_ID);
@@ -140,6 +155,10 @@ define([
         /** @type SimpleComponent */
         this._restartButton = this.registerSimpleComponent(RESTART_BUTTON_ID);
         /** @type SimpleComponent */
+        this._saveReplayButton = this.registerSimpleComponent(SAVE_REPLAY_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._watchReplayButton = this.registerSimpleComponent(WATCH_REPLAY_BUTTON_ID);
+        /** @type SimpleComponent */
         this._nextButton = this.registerSimpleComponent(NEXT_BUTTON_ID);
     }
     DebriefingScreen.prototype = new screens.HTMLScreen();
@@ -150,7 +169,7 @@ define([
     DebriefingScreen.prototype._initializeComponents = function () {
         screens.HTMLScreen.prototype._initializeComponents.call(this);
         this._backButton.getElement().onclick = function () {
-            game.closeOrNavigateTo(armadaScreens.MISSIONS_SCREEN_NAME);
+            game.closeOrNavigateTo(this._backScreenName);
             return false;
         }.bind(this);
         this._restartButton.getElement().onclick = function () {
@@ -160,6 +179,17 @@ define([
             });
             return false;
         }.bind(this);
+        this._saveReplayButton.getElement().onclick = function () {
+            replay.exportReplay(replay.getLastReplay());
+            return false;
+        }.bind(this);
+        this._watchReplayButton.getElement().onclick = function () {
+            game.closeOrNavigateTo(armadaScreens.BATTLE_SCREEN_NAME);
+            game.getScreen().startNewBattle({
+                replay: replay.getLastReplay()
+            });
+            return false;
+        }.bind(this);
         this._nextButton.getElement().onclick = function () {
             game.closeOrNavigateTo(armadaScreens.MISSIONS_SCREEN_NAME);
             game.getScreen().selectMission(this._nextMissionName);
@@ -195,6 +225,12 @@ define([
      * @property {Number} hullIntegrityBonus
      * @property {Number} teamSurvivalBonus
      * @property {String} [nextMissionName]
+     * @property {Number} [careerReward] The credits the player earned with the mission (only for career missions)
+     * @property {Number} [careerCredits] The credits the player has after the mission (only for career missions)
+     * @property {Number} [survivalWave] The number of the wave the player reached (only for survival battles)
+     * @property {Number} [survivalScore] The score the player achieved (only for survival battles)
+     * @property {Number} [survivalRank] The index of the result within the survival high score table (-1 if it did not make it into
+     * the table)
      */
     /**
      * Sets the contents of the screen's HTML element to show the passed data (score, statistics...) of the mission
@@ -245,6 +281,23 @@ define([
                 description = strings.get(strings.DEBRIEFING.DESCRIPTION_LEFT_EARLY);
         }
         this._descriptionParagraph.setContent(description);
+        this._careerRewardParagraph.setVisible(data.careerReward !== undefined);
+        if (this._careerRewardParagraph.isVisible()) {
+            this._careerRewardParagraph.setContent(strings.get(strings.DEBRIEFING.CAREER_REWARD), {
+                reward: data.careerReward,
+                credits: data.careerCredits
+            });
+        }
+        this._survivalResultParagraph.setVisible(data.survivalWave !== undefined);
+        if (this._survivalResultParagraph.isVisible()) {
+            this._survivalResultParagraph.setContent(strings.get(strings.DEBRIEFING.SURVIVAL_RESULT) +
+                    ((data.survivalRank >= 0) ? " " + strings.get(strings.DEBRIEFING.SURVIVAL_HIGH_SCORE) : ""), {
+                wave: data.survivalWave,
+                score: data.survivalScore,
+                rank: data.survivalRank + 1
+            });
+        }
+        this._backScreenName = (data.survivalWave !== undefined) ? armadaScreens.SURVIVAL_SCREEN_NAME : armadaScreens.MISSIONS_SCREEN_NAME;
         description = "";
         for (i = 0; i < data.objectives.length; i++) {
             completed = (data.missionState === missionEvents.MissionState.COMPLETED) || data.objectivesCompleted[i];
@@ -274,6 +327,13 @@ define([
         } else {
             this._nextButton.hide();
         }
+        if (replay.getLastReplay()) {
+            this._saveReplayButton.show();
+            this._watchReplayButton.show();
+        } else {
+            this._saveReplayButton.hide();
+            this._watchReplayButton.hide();
+        }
     };
     // -------------------------------------------------------------------------
     // The public interface of the module
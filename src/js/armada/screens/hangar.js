@@ -0,0 +1,563 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file This module manages and provides the Hangar screen of the Interstellar Armada game, where the player can manage their career:
+ * buy spacecrafts and loadouts with the credits earned in missions and choose which spacecraft to fly.
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/**
+ * @param utils Used for string formatting
+ * @param game Used for navigation
+ * @param screens The hangar screen is a subclass of HTMLScreen
+ * @param components A ListComponent is used to select spacecrafts, a Selector to select loadouts
+ * @param strings Used for translation support
+ * @param audio Used for music management
+ * @param armadaScreens Used for navigation
+ * @param classes Used to access the display names of spacecraft classes
+ * @param spacecraft Used for creating the spacecraft the selected class and loadout to show information about it
+ * @param career Used to access and modify the career of the player
+ */
+define([
+    "utils/utils",
+    "modules/game",
+    "modules/screens",
+    "modules/components",
+    "armada/strings",
+    "armada/audio",
+    "armada/screens/shared",
+    "armada/logic/classes",
+    "armada/logic/spacecraft",
+    "armada/logic/career"
+], function (utils, game, screens, components, strings, audio, armadaScreens, classes, spacecraft, career) {
+    "use strict";
+    var
+            // ------------------------------------------------------------------------------
+            // constants
+            SPACECRAFT_LIST_CONTAINER_CLASS = "spacecraftListContainer",
+            SPACECRAFT_LIST_CONTAINER_ID = "spacecraftListContainer",
+            OWNED_CLASS = "owned",
+            BACK_BUTTON_ID = "backButton",
+            NEW_CAREER_BUTTON_ID = "newCareerButton",
+            MISSIONS_BUTTON_ID = "missionsButton",
+            PILOT_NAME_INPUT_ID = "pilotNameInput",
+            CREDITS_ID = "credits",
+            PILOT_STATISTICS_ID = "pilotStatistics",
+            SPACECRAFT_TITLE_ID = "spacecraftTitle",
+            SPACECRAFT_STATUS_ID = "spacecraftStatus",
+            SPACECRAFT_WEAPONS_ID = "spacecraftWeapons",
+            SPACECRAFT_MISSILES_ID = "spacecraftMissiles",
+            SPACECRAFT_SHIELD_ID = "spacecraftShield",
+            SPACECRAFT_PROPULSION_ID = "spacecraftPropulsion",
+            LOADOUT_CONTAINER_ID = "loadoutContainer",
+            LOADOUT_SELECTOR_ID = "loadoutSelector",
+            BUY_SPACECRAFT_BUTTON_ID = "buySpacecraftButton",
+            BUY_LOADOUT_BUTTON_ID = "buyLoadoutButton",
+            FLY_BUTTON_ID = "flyButton",
+            INFO_BOX_ID = "infoBox",
+            LIST_COMPONENT_NAME = "list",
+            MAX_PILOT_NAME_LENGTH = 18,
+            // ------------------------------------------------------------------------------
+            // private variables
+            /**
+             * Used to represent the selected spacecraft (with the selected loadout) to show information about it
+             * @type Spacecraft
+             */
+            _spacecraft;
+    // ------------------------------------------------------------------------------
+    // private functions
+    /**
+     * Returns the translated display name of the loadout with the passed name
+     * @param {String} loadout
+     * @returns {String}
+     */
+    function _mapLoadoutName(loadout) {
+        return strings.get(strings.HANGAR.LOADOUT_PREFIX, loadout, loadout);
+    }
+    // #########################################################################
+    /**
+     * @class Provides the behaviour for the Hangar screen
+     * @extends HTMLScreen
+     */
+    function HangarScreen() {
+        screens.HTMLScreen.call(this,
+                armadaScreens.HANGAR_SCREEN_NAME,
+                armadaScreens.HANGAR_SCREEN_SOURCE,
+                {
+                    cssFilename: armadaScreens.HANGAR_SCREEN_CSS,
+                    backgroundClassName: armadaScreens.SCREEN_BACKGROUND_CLASS_NAME,
+                    containerClassName: armadaScreens.SCREEN_CONTAINER_CLASS_NAME
+                },
+                {
+                    show: function () {
+                        audio.resetMasterVolume();
+                        audio.resetMusicVolume();
+                        audio.playMusic(armadaScreens.MENU_THEME);
+                    }
+                },
+                this._getKeyCommands(),
+                armadaScreens.BUTTON_EVENT_HANDLERS);
+        /** @type SimpleComponent */
+        this._backButton = this.registerSimpleComponent(BACK_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._newCareerButton = this.registerSimpleComponent(NEW_CAREER_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._missionsButton = this.registerSimpleComponent(MISSIONS_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._pilotNameInput = this.registerSimpleComponent(PILOT_NAME_INPUT_ID);
+        /** @type SimpleComponent */
+        this._credits = this.registerSimpleComponent(CREDITS_ID);
+        /** @type SimpleComponent */
+        this._pilotStatistics = this.registerSimpleComponent(PILOT_STATISTICS_ID);
+        /** @type SimpleComponent */
+        this._spacecraftTitle = this.registerSimpleComponent(SPACECRAFT_TITLE_ID);
+        /** @type SimpleComponent */
+        this._spacecraftStatus = this.registerSimpleComponent(SPACECRAFT_STATUS_ID);
+        /** @type SimpleComponent */
+        this._spacecraftWeapons = this.registerSimpleComponent(SPACECRAFT_WEAPONS_ID);
+        /** @type SimpleComponent */
+        this._spacecraftMissiles = this.registerSimpleComponent(SPACECRAFT_MISSILES_ID);
+        /** @type SimpleComponent */
+        this._spacecraftShield = this.registerSimpleComponent(SPACECRAFT_SHIELD_ID);
+        /** @type SimpleComponent */
+        this._spacecraftPropulsion = this.registerSimpleComponent(SPACECRAFT_PROPULSION_ID);
+        /** @type SimpleComponent */
+        this._buySpacecraftButton = this.registerSimpleComponent(BUY_SPACECRAFT_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._buyLoadoutButton = this.registerSimpleComponent(BUY_LOADOUT_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._flyButton = this.registerSimpleComponent(FLY_BUTTON_ID);
+        /**
+         * The component housing the list of spacecrafts that can be bought
+         * @type ListComponent
+         */
+        this._listComponent = this.registerExternalComponent(
+                new components.ListComponent(
+                        LIST_COMPONENT_NAME,
+                        armadaScreens.LIST_COMPONENT_SOURCE,
+                        {
+                            cssFilename: armadaScreens.LIST_COMPONENT_CSS,
+                            listClassName: armadaScreens.LIST_CLASS_NAME,
+                            listContainerClassName: SPACECRAFT_LIST_CONTAINER_CLASS,
+                            elementClassName: armadaScreens.LIST_ELEMENT_CLASS_NAME,
+                            elementContainerClassName: armadaScreens.LIST_ELEMENT_CONTAINER_CLASS_NAME,
+                            captionClassName: armadaScreens.CAPTION_CLASS_NAME,
+                            subcaptionClassName: armadaScreens.SUBCAPTION_CLASS_NAME,
+                            disabledElementClassName: components.DISABLED_CLASS_NAME,
+                            selectedElementClassName: components.SELECTED_CLASS_NAME,
+                            highlightedElementClassName: components.HIGHLIGHTED_CLASS_NAME
+                        },
+                        [],
+                        true,
+                        {
+                            elementhighlight: function () {
+                                armadaScreens.playButtonSelectSound(true);
+                            },
+                            elementselect: function (index, enabled) {
+                                armadaScreens.playButtonClickSound(enabled);
+                                this._selectSpacecraft(index);
+                            }.bind(this)
+                        }),
+                SPACECRAFT_LIST_CONTAINER_ID);
+        /**
+         * @type Selector
+         */
+        this._loadoutSelector = this.registerExternalComponent(
+                new components.Selector(
+                        LOADOUT_SELECTOR_ID,
+                        armadaScreens.SELECTOR_SOURCE,
+                        {
+                            cssFilename: armadaScreens.SELECTOR_CSS,
+                            selectorClassName: "smallSelector",
+                            propertyContainerClassName: "smallSelectorPropertyContainer"
+                        },
+                        {id: strings.HANGAR.LOADOUT_LABEL.name},
+                        [""]),
+                LOADOUT_CONTAINER_ID);
+        /**
+         * @type InfoBox
+         */
+        this._infoBox = this.registerExternalComponent(new components.InfoBox(
+                INFO_BOX_ID,
+                armadaScreens.INFO_BOX_SOURCE,
+                {cssFilename: armadaScreens.INFO_BOX_CSS},
+                strings.INFO_BOX.HEADER.name,
+                strings.INFO_BOX.OK_BUTTON.name,
+                {
+                    buttonselect: armadaScreens.playButtonSelectSound,
+                    buttonclick: armadaScreens.playButtonClickSound
+                }));
+    }
+    HangarScreen.prototype = new screens.HTMLScreen();
+    HangarScreen.prototype.constructor = HangarScreen;
+    /**
+     * Adds the screen key commands (up-down-space-esc) to the given key commands object and returns the result.
+     * @param {Object.<String, Function>} [keyCommands] If not given, an object with just the screen key commands will be returned.
+     */
+    HangarScreen.prototype._getKeyCommands = function (keyCommands) {
+        keyCommands = keyCommands || {};
+        keyCommands.up = keyCommands.up || function (event) {
+            if (document.activeElement !== this._pilotNameInput.getElement()) {
+                this._listComponent.highlightPrevious();
+                event.preventDefault();
+            }
+        }.bind(this);
+        keyCommands.down = keyCommands.down || function (event) {
+            if (document.activeElement !== this._pilotNameInput.getElement()) {
+                this._listComponent.highlightNext();
+                event.preventDefault();
+            }
+        }.bind(this);
+        keyCommands.space = keyCommands.space || function (event) {
+            if (document.activeElement !== this._pilotNameInput.getElement()) {
+                this._listComponent.selectHighlighted();
+                event.preventDefault();
+            }
+        }.bind(this);
+        keyCommands.escape = function () {
+            game.closeOrNavigateTo(armadaScreens.SINGLE_PLAYER_SCREEN_NAME);
+        }.bind(this);
+        return keyCommands;
+    };
+    /**
+     * Returns the catalogue entry of the spacecraft currently selected in the list
+     * @returns {Career~CatalogueEntry}
+     */
+    HangarScreen.prototype._getSelectedEntry = function () {
+        var index = this._listComponent.getSelectedIndex();
+        return (index >= 0) ? career.getCatalogue()[index] : null;
+    };
+    /**
+     * Returns the name of the loadout currently selected for the selected spacecraft
+     * @returns {String}
+     */
+    HangarScreen.prototype._getSelectedLoadout = function () {
+        return this._getSelectedEntry().loadouts[this._loadoutSelector.getSelectedIndex()];
+    };
+    /**
+     * Shows the given message to the user in an information box.
+     * @param {String} message
+     */
+    HangarScreen.prototype._showMessage = function (message) {
+        this._infoBox.updateMessage(message);
+        this._infoBox.onButtonClick(function () {
+            armadaScreens.playButtonClickSound();
+        });
+        this._infoBox.show();
+    };
+    /**
+     * Creates the list elements for the spacecrafts that can be bought
+     * @returns {ListComponent~ListElement[]}
+     */
+    HangarScreen.prototype._getListElements = function () {
+        return career.getCatalogue().map(function (entry) {
+            return {
+                caption: classes.getSpacecraftClass(entry.class).getDisplayName(),
+                subcaptionID: strings.HANGAR.OWNED.name
+            };
+        });
+    };
+    /**
+     * Updates the displayed pilot profile (name, credits and statistics)
+     */
+    HangarScreen.prototype._updateProfile = function () {
+        this._pilotNameInput.getElement().value = career.getPilotName();
+        this._credits.setContent(strings.get(strings.HANGAR.CREDITS), {
+            credits: career.getCredits()
+        });
+        this._pilotStatistics.setContent(strings.get(strings.HANGAR.STATISTICS), career.getStatistics());
+    };
+    /**
+     * Updates the subcaptions in the spacecraft list to show whether the spacecrafts are owned / flown or their price
+     */
+    HangarScreen.prototype._updateSubcaptions = function () {
+        var i = 0, catalogue = career.getCatalogue(), active = career.getActiveSpacecraft();
+        this._listComponent.executeForListElements(function (listElement) {
+            var subcaption, owned;
+            if (i < catalogue.length) {
+                subcaption = listElement.querySelector("." + armadaScreens.SUBCAPTION_CLASS_NAME);
+                owned = career.ownsSpacecraft(catalogue[i].class);
+                subcaption.innerHTML = owned ?
+                        strings.get((active.class === catalogue[i].class) ? strings.HANGAR.ACTIVE : strings.HANGAR.OWNED) :
+                        utils.formatString(strings.get(strings.HANGAR.PRICE), {
+                            price: career.getSpacecraftPrice(catalogue[i].class)
+                        });
+                if (owned) {
+                    subcaption.classList.add(OWNED_CLASS);
+                } else {
+                    subcaption.classList.remove(OWNED_CLASS);
+                }
+            }
+            i++;
+        });
+    };
+    /**
+     * Sets the content of the passed component showing a piece of equipment information, and hides it if it is not relevant.
+     * @param {SimpleComponent} component
+     * @param {Boolean} visible
+     * @param {Object} stringDefinition
+     * @param {Function} getReplacements Only called if the component is visible
+     */
+    HangarScreen.prototype._setEquipmentInfo = function (component, visible, stringDefinition, getReplacements) {
+        if (visible) {
+            component.setContent(strings.get(stringDefinition), getReplacements());
+            component.show();
+        } else {
+            component.setContent("");
+            component.hide();
+        }
+    };
+    /**
+     * Updates the information shown about the selected spacecraft with the selected loadout, including whether it can be bought / flown
+     */
+    HangarScreen.prototype._updateSpacecraftInfo = function () {
+        var entry = this._getSelectedEntry(), loadout, owned, price, active;
+        if (_spacecraft) {
+            _spacecraft.destroy();
+            _spacecraft = null;
+        }
+        if (!entry) {
+            this._spacecraftTitle.setContent(strings.get(strings.HANGAR.NO_SELECTED_NAME));
+            this._spacecraftStatus.setContent(strings.get(strings.HANGAR.NO_SELECTED_DESCRIPTION));
+            this._spacecraftWeapons.hide();
+            this._spacecraftMissiles.hide();
+            this._spacecraftShield.hide();
+            this._spacecraftPropulsion.hide();
+            this._buySpacecraftButton.hide();
+            this._buyLoadoutButton.hide();
+            this._flyButton.hide();
+            this._loadoutSelector.hide();
+            return;
+        }
+        loadout = this._getSelectedLoadout();
+        _spacecraft = new spacecraft.Spacecraft();
+        _spacecraft.loadFromJSON({
+            class: entry.class,
+            loadout: loadout
+        });
+        this._spacecraftTitle.setContent(_spacecraft.getClass().getDisplayName());
+        this._setEquipmentInfo(this._spacecraftWeapons, _spacecraft.hasWeapons(), strings.MISSIONS.SPACECRAFT_WEAPONS, function () {
+            return {
+                weapons: _spacecraft.getWeaponsDisplayText() || "-",
+                firepower: _spacecraft.getFirepower().toFixed(1),
+                range: _spacecraft.getWeaponRangesDisplayText() + " m"
+            };
+        });
+        this._setEquipmentInfo(this._spacecraftMissiles, _spacecraft.hasMissiles(), strings.MISSIONS.SPACECRAFT_MISSILES, function () {
+            return {
+                missiles: _spacecraft.getMissilesDisplayText() || "-",
+                firepower: _spacecraft.getMissileFirepower(),
+                range: _spacecraft.getMissileRangesDisplayText() + " m"
+            };
+        });
+        this._setEquipmentInfo(this._spacecraftShield, _spacecraft.hasShield(), strings.MISSIONS.SPACECRAFT_SHIELD, function () {
+            return {
+                shield: _spacecraft.getShieldDisplayName(),
+                shieldCapacity: _spacecraft.getShieldCapacity(),
+                shieldRechargeRate: _spacecraft.getShieldRechargeRate() + " / s"
+            };
+        });
+        this._setEquipmentInfo(this._spacecraftPropulsion, !!_spacecraft.getPropulsion(), strings.MISSIONS.SPACECRAFT_PROPULSION, function () {
+            return {
+                propulsion: _spacecraft.getPropulsionDisplayName(),
+                speed: Math.round(_spacecraft.getMaxCombatSpeed()) + " m/s",
+                turnRate: Math.round(_spacecraft.getMaxCombatTurnRate()) + " °/s"
+            };
+        });
+        this._loadoutSelector.show();
+        if (!career.ownsSpacecraft(entry.class)) {
+            price = career.getSpacecraftPrice(entry.class);
+            this._spacecraftStatus.setContent(strings.get(strings.HANGAR.SPACECRAFT_PRICE), {
+                price: price,
+                loadout: _mapLoadoutName(entry.loadouts[0])
+            });
+            this._buySpacecraftButton.show();
+            if (price <= career.getCredits()) {
+                this._buySpacecraftButton.enable();
+            } else {
+                this._buySpacecraftButton.disable();
+            }
+            this._buyLoadoutButton.hide();
+            this._flyButton.hide();
+        } else {
+            this._buySpacecraftButton.hide();
+            owned = career.ownsLoadout(entry.class, loadout);
+            active = career.getActiveSpacecraft();
+            if (owned) {
+                this._spacecraftStatus.setContent(strings.get(((active.class === entry.class) && (active.loadout === loadout)) ?
+                        strings.HANGAR.ACTIVE_LOADOUT :
+                        strings.HANGAR.LOADOUT_OWNED));
+                this._buyLoadoutButton.hide();
+                this._flyButton.show();
+                if ((active.class === entry.class) && (active.loadout === loadout)) {
+                    this._flyButton.disable();
+                } else {
+                    this._flyButton.enable();
+                }
+            } else {
+                price = career.getLoadoutPrice(entry.class, loadout);
+                this._spacecraftStatus.setContent(strings.get(strings.HANGAR.LOADOUT_PRICE), {
+                    price: price
+                });
+                this._buyLoadoutButton.show();
+                if (price <= career.getCredits()) {
+                    this._buyLoadoutButton.enable();
+                } else {
+                    this._buyLoadoutButton.disable();
+                }
+                this._flyButton.hide();
+            }
+        }
+    };
+    /**
+     * Selects the spacecraft with the passed index from the catalogue and displays information about it
+     * @param {Number} index
+     */
+    HangarScreen.prototype._selectSpacecraft = function (index) {
+        var entry = career.getCatalogue()[index], loadoutIndex = 0, active;
+        if (entry) {
+            active = career.getActiveSpacecraft();
+            if (active.class === entry.class) {
+                loadoutIndex = entry.loadouts.indexOf(active.loadout);
+            }
+            this._loadoutSelector.setValueList(entry.loadouts.map(_mapLoadoutName));
+            // the index of the selector is set without triggering the change handler, as the information is updated below anyway
+            this._loadoutSelector.onChange = null;
+            this._loadoutSelector.selectValueWithIndex(Math.max(0, loadoutIndex));
+            this._loadoutSelector.onChange = this._updateSpacecraftInfo.bind(this);
+        }
+        this._updateSpacecraftInfo();
+    };
+    /**
+     * Updates all the displayed career information
+     */
+    HangarScreen.prototype._update = function () {
+        this._updateProfile();
+        this._updateSubcaptions();
+        this._updateSpacecraftInfo();
+    };
+    /**
+     * @override
+     */
+    HangarScreen.prototype._initializeComponents = function () {
+        screens.HTMLScreen.prototype._initializeComponents.call(this);
+        this._backButton.getElement().onclick = function () {
+            game.closeOrNavigateTo(armadaScreens.SINGLE_PLAYER_SCREEN_NAME);
+            return false;
+        }.bind(this);
+        this._missionsButton.getElement().onclick = function () {
+            game.getScreen(armadaScreens.MISSIONS_SCREEN_NAME).setup({
+                custom: false,
+                loadCustom: false,
+                community: false,
+                career: true
+            });
+            game.setScreen(armadaScreens.MISSIONS_SCREEN_NAME);
+            return false;
+        }.bind(this);
+        this._newCareerButton.getElement().onclick = function () {
+            armadaScreens.openDialog({
+                header: strings.get(strings.HANGAR.NEW_CAREER_HEADER),
+                message: strings.get(strings.HANGAR.NEW_CAREER_MESSAGE),
+                buttons: [{
+                        caption: strings.get(strings.SCREEN.CANCEL),
+                        action: function () {
+                            game.closeSuperimposedScreen();
+                        }
+                    }, {
+                        caption: strings.get(strings.HANGAR.NEW_CAREER_CONFIRM),
+                        action: function () {
+                            game.closeSuperimposedScreen();
+                            career.start(career.getPilotName());
+                            this._update();
+                        }.bind(this)
+                    }]
+            });
+            return false;
+        }.bind(this);
+        this._pilotNameInput.getElement().maxLength = MAX_PILOT_NAME_LENGTH;
+        this._pilotNameInput.getElement().onkeyup = function () {
+            if (this._pilotNameInput.getElement().value.length > 0) {
+                career.setPilotName(this._pilotNameInput.getElement().value);
+            }
+            return false;
+        }.bind(this);
+        this._buySpacecraftButton.getElement().onclick = function () {
+            var entry = this._getSelectedEntry();
+            if (entry) {
+                if (career.buySpacecraft(entry.class)) {
+                    this._selectSpacecraft(this._listComponent.getSelectedIndex());
+                    this._updateProfile();
+                    this._updateSubcaptions();
+                } else {
+                    this._showMessage(strings.get(strings.HANGAR.NOT_ENOUGH_CREDITS));
+                }
+            }
+            return false;
+        }.bind(this);
+        this._buyLoadoutButton.getElement().onclick = function () {
+            var entry = this._getSelectedEntry();
+            if (entry) {
+                if (career.buyLoadout(entry.class, this._getSelectedLoadout())) {
+                    this._update();
+                } else {
+                    this._showMessage(strings.get(strings.HANGAR.NOT_ENOUGH_CREDITS));
+                }
+            }
+            return false;
+        }.bind(this);
+        this._flyButton.getElement().onclick = function () {
+            var entry = this._getSelectedEntry();
+            if (entry) {
+                career.setActiveSpacecraft(entry.class, this._getSelectedLoadout());
+                this._update();
+            }
+            return false;
+        }.bind(this);
+    };
+    /**
+     * @override
+     */
+    HangarScreen.prototype._updateComponents = function () {
+        screens.HTMLScreen.prototype._updateComponents.call(this);
+        if (career.isStarted()) {
+            this._update();
+        }
+    };
+    /**
+     * @override
+     * @param {Boolean} active
+     */
+    HangarScreen.prototype.setActive = function (active) {
+        var catalogue, i;
+        screens.HTMLScreen.prototype.setActive.call(this, active);
+        if (active) {
+            if (!career.isStarted()) {
+                career.start(strings.get(strings.HANGAR.DEFAULT_PILOT_NAME));
+            }
+            this._listComponent.setListElements(this._getListElements());
+            this._listComponent.reset();
+            // preselecting the spacecraft the player currently flies
+            catalogue = career.getCatalogue();
+            for (i = 0; i < catalogue.length; i++) {
+                if (catalogue[i].class === career.getActiveSpacecraft().class) {
+                    this._listComponent.selectIndex(i, true);
+                    this._selectSpacecraft(i);
+                    break;
+                }
+            }
+            if (i === catalogue.length) {
+                this._selectSpacecraft(-1);
+            }
+            this._updateProfile();
+            this._updateSubcaptions();
+        }
+    };
+    // -------------------------------------------------------------------------
+    // The public interface of the module
+    return {
+        getHangarScreen: function () {
+            return new HangarScreen();
+        }
+    };
+});
@@ -94,6 +94,12 @@ define([
                         audio.resume();
                         game.setScreen(armadaScreens.DATABASE_SCREEN_NAME);
                     }
+                }, {
+                    id: strings.MAIN_MENU.PROFILES.name,
+                    action: function () {
+                        audio.resume();
+                        game.setScreen(armadaScreens.PROFILES_SCREEN_NAME);
+                    }
                 }, {
                     id: strings.MAIN_MENU.SETTINGS.name,
                     action: function () {
@@ -217,6 +223,21 @@ define([
                                 });
                                 game.setScreen(armadaScreens.MISSIONS_SCREEN_NAME);
                             }
+                        }, {
+                            id: strings.SINGLE_PLAYER_MENU.CAREER.name,
+                            action: function () {
+                                game.setScreen(armadaScreens.HANGAR_SCREEN_NAME);
+                            }
+                        }, {
+                            id: strings.SINGLE_PLAYER_MENU.SKIRMISH.name,
+                            action: function () {
+                                game.setScreen(armadaScreens.SKIRMISH_SCREEN_NAME);
+                            }
+                        }, {
+                            id: strings.SINGLE_PLAYER_MENU.SURVIVAL.name,
+                            action: function () {
+                                game.setScreen(armadaScreens.SURVIVAL_SCREEN_NAME);
+                            }
                         }, {
                             id: strings.SINGLE_PLAYER_MENU.MY_MISSIONS.name,
                             action: function () {
@@ -332,6 +353,15 @@ define([
                             action: function () {
                                 game.setScreen(armadaScreens.GAMEPLAY_SETTINGS_SCREEN_NAME, true, armadaScreens.SUPERIMPOSE_BACKGROUND_COLOR);
                             }
+                        }, {
+                            id: strings.INGAME_MENU.HUD_LAYOUT.name,
+                            isVisible: function () {
+                                return !networking.isInGame() && !battle.isPlayingReplay();
+                            },
+                            action: function () {
+                                game.closeSuperimposedScreen();
+                                battle.editHUDLayout();
+                            }
                         }, {
                             id: strings.INGAME_MENU.RESTART.name,
                             isVisible: function () {
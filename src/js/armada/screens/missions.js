@@ -18,6 +18,8 @@
  * @param spacecraft Used for creating the spacecraft representing the player craft in missions for previewing its data
  * @param missions Used for accessing information about missions
  * @param missionHub Used for accessing information about community missions from the Mission Hub
+ * @param replay Used for loading replays from files
+ * @param career Used for accessing the spacecraft flown by the player in career mode
  */
 define([
     "utils/utils",
@@ -31,14 +33,18 @@ define([
     "armada/screens/shared",
     "armada/logic/spacecraft",
     "armada/logic/missions",
-    "armada/logic/mission-hub"
-], function (utils, game, screens, components, analytics, strings, audio, config, armadaScreens, spacecraft, missions, missionHub) {
+    "armada/logic/mission-hub",
+    "armada/replay",
+    "armada/logic/career"
+], function (utils, game, screens, components, analytics, strings, audio, config, armadaScreens, spacecraft, missions, missionHub, replay, career) {
     "use strict";
     var
             // ------------------------------------------------------------------------------
             // constants
             MISSION_LIST_CONTAINER_CLASS = "missionListContainer",
             COMPLETED_CLASS = "completed",
+            CAMPAIGN_CHAPTER_CLASS = "campaignChapter",
+            CAMPAIGN_BRANCH_CLASS = "campaignBranch",
             TITLE_ID = "title",
             BACK_BUTTON_ID = "backButton",
             DEMO_BUTTON_ID = "demoButton",
@@ -52,6 +58,8 @@ define([
             SUBMIT_BUTTON_ID = "submitButton",
             SUBMIT_FILE_BUTTON_ID = "submitFileButton",
             FILE_INPUT_ID = "fileInput",
+            REPLAY_BUTTON_ID = "replayButton",
+            REPLAY_FILE_INPUT_ID = "replayFileInput",
             SUBMIT_MISSION_HELP_BUTTON_ID = "helpButton",
             SUBMIT_MISSION_POPUP_BACKGROUND_ID = "submitMissionPopupBackground",
             SUBMIT_MISSION_SENDER_NAME_INPUT_ID = "submitMissionSenderName",
@@ -184,6 +192,11 @@ define([
          * @type Boolean
          */
         this._community = false;
+        /**
+         * Whether the missions are flown as part of the career of the player (with the spacecraft chosen in the hangar)
+         * @type Boolean
+         */
+        this._career = false;
         /**
          * The text content of the mission file selected by the player to be submitted to the Mission Hub
          * @type String
@@ -194,6 +207,17 @@ define([
          * @type Object
          */
         this._missionProvider = missions;
+        /**
+         * The names of the missions corresponding to the elements of the mission list, in the same order (null for elements that do
+         * not represent a mission, such as the headers of campaign chapters)
+         * @type String[]
+         */
+        this._listMissionNames = [];
+        /**
+         * Whether the missions are currently listed organized into the chapters of the campaign
+         * @type Boolean
+         */
+        this._campaignList = false;
         /**
          * Whether the help dialog for mission submission has already been displayed at least once
          * @type Boolean
@@ -237,6 +261,10 @@ define([
         /** @type SimpleComponent */
         this._fileButton = this.registerSimpleComponent(FILE_BUTTON_ID);
         /** @type SimpleComponent */
+        this._replayFileInput = this.registerSimpleComponent(REPLAY_FILE_INPUT_ID);
+        /** @type SimpleComponent */
+        this._replayButton = this.registerSimpleComponent(REPLAY_BUTTON_ID);
+        /** @type SimpleComponent */
         this._submitButton = this.registerSimpleComponent(SUBMIT_BUTTON_ID);
         /** @type SimpleComponent */
         this._demoButton = this.registerSimpleComponent(DEMO_BUTTON_ID);
@@ -296,7 +324,10 @@ define([
                             },
                             elementselect: function (index, enabled) {
                                 armadaScreens.playButtonClickSound(enabled);
-                                this._selectMission(index);
+                                // locked campaign missions and chapter headers cannot be selected
+                                if (enabled || (index < 0)) {
+                                    this._selectMission(index);
+                                }
                             }.bind(this)
                         }),
                 this._listContainerID);
@@ -372,6 +403,7 @@ define([
      * @property {Boolean} custom
      * @property {Boolean} loadCustom
      * @property {Boolean} community 
+     * @property {Boolean} [career]
      */
     /**
      * Call before displaying the page to set up what missions to show
@@ -381,15 +413,87 @@ define([
         this._custom = config.custom;
         this._loadCustom = config.loadCustom;
         this._community = config.community;
+        this._career = !!config.career;
         this._missionProvider = config.community ? missionHub : missions;
         this._listComponent.setListElements(this._getListElements());
     };
+    /**
+     * Returns whether the official missions are listed as the campaign (as opposed to being listed for career mode)
+     * @returns {Boolean}
+     */
+    MissionsScreen.prototype._isCampaign = function () {
+        return !this._custom && !this._community && !this._career;
+    };
+    /**
+     * Creates and returns the list element representing the official mission with the passed name
+     * @param {String} missionName
+     * @param {Boolean} [enabled=true]
+     * @returns {ListComponent~ListElement}
+     */
+    MissionsScreen.prototype._getMissionListElement = function (missionName, enabled) {
+        return {
+            captionID: strings.MISSION.PREFIX.name + utils.getFilenameWithoutExtension(missionName) + strings.MISSION.NAME_SUFFIX.name,
+            subcaptionID: strings.MISSIONS.NOT_COMPLETED.name,
+            enabled: enabled
+        };
+    };
+    /**
+     * Creates and returns the list elements showing the official missions organized into the chapters of the campaign, with the missions
+     * the player has not unlocked yet disabled. Missions that are not part of the campaign are listed at the end.
+     * Also updates the list of mission names corresponding to the list elements.
+     * @param {String[]} missionNames The names of all the missions that can be listed
+     * @returns {ListComponent~ListElement[]} 
+     */
+    MissionsScreen.prototype._getCampaignListElements = function (missionNames) {
+        var result = [], chapters = missions.getCampaignChapters(), listedNames = [], otherNames, i;
+        this._listMissionNames = [];
+        for (i = 0; i < chapters.length; i++) {
+            result.push({
+                captionID: strings.CAMPAIGN_CHAPTER.PREFIX.name + chapters[i].getName(),
+                subcaptionID: strings.MISSIONS.CHAPTER_LOCKED.name,
+                enabled: false
+            });
+            this._listMissionNames.push(null);
+            chapters[i].getMissions().forEach(function (campaignMission) {
+                var missionName = campaignMission.getName(), state;
+                if (missionNames.indexOf(missionName) >= 0) {
+                    state = missions.getCampaignMissionState(missionName);
+                    result.push(this._getMissionListElement(missionName,
+                            (state === missions.CampaignState.UNLOCKED) || (state === missions.CampaignState.COMPLETED)));
+                    this._listMissionNames.push(missionName);
+                    listedNames.push(missionName);
+                }
+            }, this);
+        }
+        otherNames = missionNames.filter(function (missionName) {
+            return listedNames.indexOf(missionName) < 0;
+        });
+        if (otherNames.length > 0) {
+            result.push({
+                captionID: strings.MISSIONS.OTHER_MISSIONS_CHAPTER.name,
+                subcaption: "",
+                enabled: false
+            });
+            this._listMissionNames.push(null);
+            for (i = 0; i < otherNames.length; i++) {
+                result.push(this._getMissionListElement(otherNames[i]));
+                this._listMissionNames.push(otherNames[i]);
+            }
+        }
+        return result;
+    };
     /**
      * Creates and returns the objects that can be passed for the constructor to create the list elements based on mission data
+     * Also updates the list of mission names corresponding to the list elements.
      * @returns {ListComponent~ListElement[]} 
      */
     MissionsScreen.prototype._getListElements = function () {
         var result = [], missionNames = this._missionProvider.getMissionNames(this._custom), i, missionTitles;
+        this._campaignList = this._isCampaign() && (missions.getCampaignChapters().length > 0);
+        if (this._campaignList) {
+            return this._getCampaignListElements(missionNames);
+        }
+        this._listMissionNames = missionNames.slice();
         if (this._custom && !this._community) {
             missionTitles = [];
             for (i = 0; i < missionNames.length; i++) {
@@ -397,11 +501,10 @@ define([
             }
         }
         for (i = 0; i < missionNames.length; i++) {
-            result.push({
-                captionID: (this._community || this._custom) ? undefined : strings.MISSION.PREFIX.name + utils.getFilenameWithoutExtension(missionNames[i]) + strings.MISSION.NAME_SUFFIX.name,
-                caption: this._community ? missionNames[i] : this._custom ? missionTitles[i] || utils.getFilenameWithoutExtension(missionNames[i]) : undefined,
+            result.push((this._community || this._custom) ? {
+                caption: this._community ? missionNames[i] : missionTitles[i] || utils.getFilenameWithoutExtension(missionNames[i]),
                 subcaptionID: strings.MISSIONS.NOT_COMPLETED.name
-            });
+            } : this._getMissionListElement(missionNames[i]));
         }
         if (this._loadCustom) {
             result.push({
@@ -439,8 +542,8 @@ define([
      */
     MissionsScreen.prototype._selectMission = function (index) {
         var missionFilename, missionName, pilotedCraftDescriptor;
-        if ((index >= 0) && (index < this._missionProvider.getMissionNames(this._custom).length)) {
-            missionFilename = this._missionProvider.getMissionNames(this._custom)[index];
+        if ((index >= 0) && this._listMissionNames[index]) {
+            missionFilename = this._listMissionNames[index];
             missionName = utils.getFilenameWithoutExtension(missionFilename);
             this._missionTitle.setTextContent(strings.get({name: strings.MISSION.PREFIX.name + missionName + strings.MISSION.NAME_SUFFIX.name}, undefined, missionName));
             this._missionDescription.setTextContent(strings.get(strings.MISSIONS.LOADING_DESCRIPTION));
@@ -471,6 +574,12 @@ define([
                     }
                     pilotedCraftDescriptor = missionDescriptor.getPilotedSpacecraftDescriptor();
                     if (pilotedCraftDescriptor) {
+                        if (this._career) {
+                            pilotedCraftDescriptor = utils.deepCopy(pilotedCraftDescriptor);
+                            pilotedCraftDescriptor.class = career.getActiveSpacecraft().class;
+                            pilotedCraftDescriptor.loadout = career.getActiveSpacecraft().loadout;
+                            delete pilotedCraftDescriptor.equipment;
+                        }
                         _spacecraft = new spacecraft.Spacecraft();
                         _spacecraft.loadFromJSON(pilotedCraftDescriptor);
                     }
@@ -649,22 +758,25 @@ define([
      * Updates the subcaption for all missions in the displayed list with the current best score for the mission
      */
     MissionsScreen.prototype._updateScores = function () {
-        var missionDescriptors, i;
-        missionDescriptors = this._missionProvider.getMissionDescriptors(this._custom);
+        var missionDescriptors = {}, i;
+        this._missionProvider.getMissionDescriptors(this._custom).forEach(function (missionDescriptor) {
+            missionDescriptors[missionDescriptor.getName()] = missionDescriptor;
+        });
         i = 0;
         this._listComponent.executeForListElements(function (listElement) {
-            var score, performance, winCount, subcaption;
-            if (i < missionDescriptors.length) {
+            var score, performance, winCount, subcaption, missionDescriptor;
+            missionDescriptor = this._listMissionNames[i] && missionDescriptors[this._listMissionNames[i]];
+            if (missionDescriptor) {
                 subcaption = listElement.querySelector("." + armadaScreens.SUBCAPTION_CLASS_NAME);
-                if (missionDescriptors[i].isCustom()) {
+                if (missionDescriptor.isCustom()) {
                     subcaption.innerHTML = utils.formatString(strings.get(this._community ? strings.MISSIONS.COMMUNITY_MISSION_SUBCAPTION : strings.MISSIONS.CUSTOM_MISSION_SUBCAPTION), {
-                        author: missionDescriptors[i].getAuthor()
+                        author: missionDescriptor.getAuthor()
                     });
                     winCount = 0;
                 } else {
-                    score = missionDescriptors[i].getBestScore();
-                    performance = missionDescriptors[i].getBestPerformance();
-                    winCount = missionDescriptors[i].getWinCount();
+                    score = missionDescriptor.getBestScore();
+                    performance = missionDescriptor.getBestPerformance();
+                    winCount = missionDescriptor.getWinCount();
                     subcaption.innerHTML = utils.formatString(
                             ((winCount > 0) ?
                                     ((score === undefined) ?
@@ -685,6 +797,51 @@ define([
             }
             i++;
         }.bind(this));
+        if (this._campaignList) {
+            this._updateCampaignStates();
+        }
+    };
+    /**
+     * Updates the list elements representing the campaign chapters and missions to show their progression states (locked, branch not
+     * taken...) and their place in the campaign tree
+     */
+    MissionsScreen.prototype._updateCampaignStates = function () {
+        var chapters = missions.getCampaignChapters(), chapterIndex = -1, i = 0, faction = missions.getCampaignFaction();
+        this._listComponent.executeForListElements(function (listElement) {
+            var subcaption = listElement.querySelector("." + armadaScreens.SUBCAPTION_CLASS_NAME), missionName = this._listMissionNames[i], state, campaignMission;
+            if (!missionName) {
+                // chapter header
+                chapterIndex++;
+                listElement.classList.add(CAMPAIGN_CHAPTER_CLASS);
+                if (chapterIndex < chapters.length) {
+                    state = missions.getCampaignChapterState(chapters[chapterIndex]);
+                    subcaption.innerHTML = strings.get((state === missions.CampaignState.LOCKED) ?
+                            strings.MISSIONS.CHAPTER_LOCKED :
+                            (state === missions.CampaignState.UNAVAILABLE) ?
+                            strings.MISSIONS.BRANCH_NOT_TAKEN :
+                            (state === missions.CampaignState.COMPLETED) ?
+                            strings.MISSIONS.CHAPTER_COMPLETED :
+                            strings.MISSIONS.CHAPTER_UNLOCKED);
+                    if (chapters[chapterIndex].getFaction() && !faction && (state !== missions.CampaignState.LOCKED)) {
+                        subcaption.innerHTML = utils.formatString(strings.get(strings.MISSIONS.FACTION_BRANCH), {
+                            faction: strings.get(strings.FACTION.PREFIX, chapters[chapterIndex].getFaction())
+                        });
+                    }
+                }
+            } else if (chapterIndex < chapters.length) {
+                campaignMission = chapters[chapterIndex].getMission(missionName);
+                state = missions.getCampaignMissionState(missionName);
+                if ((state === missions.CampaignState.LOCKED) || (state === missions.CampaignState.UNAVAILABLE)) {
+                    subcaption.innerHTML = strings.get((state === missions.CampaignState.LOCKED) ?
+                            strings.MISSIONS.MISSION_LOCKED :
+                            strings.MISSIONS.BRANCH_NOT_TAKEN);
+                }
+                if (campaignMission && campaignMission.isBranch()) {
+                    listElement.classList.add(CAMPAIGN_BRANCH_CLASS);
+                }
+            }
+            i++;
+        }.bind(this));
     };
     /**
      * @override
@@ -695,7 +852,12 @@ define([
         if (active) {
             this._title.setContent(strings.get(this._community ?
                     strings.MISSIONS.COMMUNITY_MISSIONS_TITLE :
-                    this._loadCustom ? strings.MISSIONS.MY_MISSIONS_TITLE : strings.MISSIONS.CAMPAIGN_TITLE));
+                    this._loadCustom ? strings.MISSIONS.MY_MISSIONS_TITLE :
+                    this._career ? strings.MISSIONS.CAREER_TITLE : strings.MISSIONS.CAMPAIGN_TITLE));
+            if (this._isCampaign()) {
+                // the unlocked missions might have changed since the list was created
+                this._listComponent.setListElements(this._getListElements());
+            }
             this._updateScores();
             this._listComponent.reset();
             this._selectMission(-1);
@@ -707,15 +869,17 @@ define([
      */
     MissionsScreen.prototype._launchMission = function (demoMode) {
         var missionIndex = this._listComponent.getSelectedIndex(),
-                missionName = this._missionProvider.getMissionNames(this._custom)[missionIndex];
-        if (missionIndex >= 0) {
+                missionName = this._listMissionNames[missionIndex];
+        if ((missionIndex >= 0) && missionName) {
             audio.playMusic(null);
             game.setScreen(armadaScreens.BATTLE_SCREEN_NAME);
             game.getScreen().startNewBattle({
                 missionSourceFilename: this._community ? undefined : missionName,
                 missionData: this._community ? missionHub.getMissionDescriptor(missionName).getData() : undefined,
                 difficulty: missions.getDifficultyNames()[this._difficultySelector.getSelectedIndex()],
-                demoMode: demoMode});
+                demoMode: demoMode,
+                pilotedSpacecraft: this._career ? career.getActiveSpacecraft() : undefined,
+                career: this._career});
         }
     };
     /**
@@ -878,7 +1042,7 @@ define([
     MissionsScreen.prototype._initializeComponents = function () {
         screens.HTMLScreen.prototype._initializeComponents.call(this);
         this._backButton.getElement().onclick = function () {
-            game.closeOrNavigateTo(armadaScreens.SINGLE_PLAYER_SCREEN_NAME);
+            game.closeOrNavigateTo(this._career ? armadaScreens.HANGAR_SCREEN_NAME : armadaScreens.SINGLE_PLAYER_SCREEN_NAME);
             return false;
         }.bind(this);
         this._difficultySelector.onChange = function () {
@@ -924,7 +1088,8 @@ define([
                                 game.showError("A mission with this filename already exists!", game.ErrorSeverity.MINOR);
                             } else {
                                 missions.createMissionDescriptor(data);
-                                this._listComponent.setCaption(missions.getMissionNames(this._custom).length - 1, data.title || utils.getFilenameWithoutExtension(data.name));
+                                this._listMissionNames.push(data.name);
+                                this._listComponent.setCaption(this._listMissionNames.length - 1, data.title || utils.getFilenameWithoutExtension(data.name));
                                 this.selectMission(data.name);
                                 this._listComponent.addListElement({
                                     captionID: strings.MISSIONS.CUSTOM_MISSION_CAPTION.name,
@@ -953,6 +1118,36 @@ define([
             this._fileInput.getElement().click();
             return false;
         }.bind(this);
+        this._replayFileInput.getElement().onchange = function () {
+            var file = this._replayFileInput.getElement().files[0];
+            if (file) {
+                file.text().then(function (text) {
+                    var data, loadedReplay;
+                    this._replayFileInput.getElement().value = null;
+                    try {
+                        data = JSON.parse(text);
+                    } catch (error) {
+                        game.showError("The selected file is not a valid replay file!", game.ErrorSeverity.MINOR);
+                        return;
+                    }
+                    loadedReplay = replay.loadReplayFromJSON(data);
+                    if (loadedReplay) {
+                        replay.setLastReplay(loadedReplay);
+                        audio.playMusic(null);
+                        game.setScreen(armadaScreens.BATTLE_SCREEN_NAME);
+                        game.getScreen().startNewBattle({
+                            replay: loadedReplay
+                        });
+                    }
+                }.bind(this)).catch(function () {
+                    game.showError("The selected file doesn't seem to be a valid replay file!", game.ErrorSeverity.MINOR);
+                });
+            }
+        }.bind(this);
+        this._replayButton.getElement().onclick = function () {
+            this._replayFileInput.getElement().click();
+            return false;
+        }.bind(this);
         this._submitButton.getElement().onclick = function () {
             this._updateSubmitMissionButton();
             this._submitMissionPopupBackground.show();
@@ -1030,6 +1225,7 @@ define([
             this._manageSubmissionsPopupBackground.hide();
         }.bind(this);
         this._fileInput.hide();
+        this._replayFileInput.hide();
         this._submitMissionPopupBackground.hide();
         this._manageSubmissionsPopupBackground.hide();
         this._loadingBox.makeIndeterminate();
@@ -1072,9 +1268,12 @@ define([
      * @param {String} missionName Same as the mission file name
      */
     MissionsScreen.prototype.selectMission = function (missionName) {
-        var index = this._missionProvider.getMissionNames(this._custom).indexOf(missionName);
+        var index = this._listMissionNames.indexOf(missionName);
         this._listComponent.selectIndex(index, true);
-        this._selectMission(index);
+        // locked campaign missions cannot be selected
+        if (this._listComponent.getSelectedIndex() === index) {
+            this._selectMission(index);
+        }
     };
     // -------------------------------------------------------------------------
     // The public interface of the module
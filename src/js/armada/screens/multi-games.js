@@ -14,7 +14,7 @@
  * @param config Used to get multiplayer settings configuration
  * @param audio Used for music management
  * @param networking Used for communicating with the game server to query the
- * list of multiplayer games and host or join them
+ * list of multiplayer games and host, join or spectate them
  * @param strings Used for translation
  * @param armadaScreens Used for navigation
  * @param classes Used to get spacecraft class names
@@ -352,6 +352,12 @@ define([
                     case networking.ERROR_CODE_GAME_ALREADY_STARTED:
                         message = strings.MULTI_GAMES.GAME_ALREADY_STARTED_ERROR;
                         break;
+                    case networking.ERROR_CODE_GAME_NOT_STARTED:
+                        message = strings.MULTI_GAMES.GAME_NOT_STARTED_ERROR;
+                        break;
+                    case networking.ERROR_CODE_CANNOT_RECONNECT:
+                        message = strings.MULTI_GAMES.CANNOT_RECONNECT_ERROR;
+                        break;
                     case networking.ERROR_CODE_PLAYER_NAME_ALREADY_EXISTS:
                         message = strings.MULTI_GAMES.PLAYER_NAME_ALREADY_EXISTS_ERROR;
                         callback = function () {
@@ -495,6 +501,38 @@ define([
                         analytics.sendEvent("multijoin");
                         game.closeOrNavigateTo(armadaScreens.MULTI_LOBBY_SCREEN_NAME);
                     });
+                },
+                getSpectateButtonId = function (index) {
+                    return "spectate-game-" + index;
+                },
+                spectateButtonAction = function (index) {
+                    networking.spectateGame({
+                        gameName: games[index].name
+                    }, function () {
+                        analytics.sendEvent("multispectate");
+                        game.setScreen(armadaScreens.BATTLE_SCREEN_NAME);
+                        game.getScreen().startNewBattle({
+                            missionData: networking.getMissionData(),
+                            difficulty: networking.getGameSettings().difficulty,
+                            demoMode: false,
+                            multi: true
+                        });
+                    });
+                },
+                getRejoinButtonId = function (index) {
+                    return "rejoin-game-" + index;
+                },
+                rejoinButtonAction = function () {
+                    networking.rejoinGame(function () {
+                        analytics.sendEvent("multirejoin");
+                        game.setScreen(armadaScreens.BATTLE_SCREEN_NAME);
+                        game.getScreen().startNewBattle({
+                            missionData: networking.getMissionData(),
+                            difficulty: networking.getGameSettings().difficulty,
+                            demoMode: false,
+                            multi: true
+                        });
+                    });
                 };
         this._onlinePlayersValue.setContent(data.players);
         this._onlineGamesCount.setContent(games.length);
@@ -532,6 +570,17 @@ define([
                     button.id = getJoinButtonId(index);
                     button.textContent = strings.get(strings.MULTI_GAMES.JOIN_BUTTON);
                     td.appendChild(button);
+                } else if (game.started && (game.name === networking.getRejoinGameName())) {
+                    // the player lost connection to this game, but can still return to it
+                    button = document.createElement("button");
+                    button.id = getRejoinButtonId(index);
+                    button.textContent = strings.get(strings.MULTI_GAMES.REJOIN_BUTTON);
+                    td.appendChild(button);
+                } else if (game.started && !game.own) {
+                    button = document.createElement("button");
+                    button.id = getSpectateButtonId(index);
+                    button.textContent = strings.get(strings.MULTI_GAMES.SPECTATE_BUTTON);
+                    td.appendChild(button);
                 }
                 tr.appendChild(td);
                 this._gamesList.getElement().appendChild(tr);
@@ -541,6 +590,14 @@ define([
                 if (button) {
                     button.onclick = joinButtonAction.bind(this, i);
                 }
+                button = document.getElementById(getSpectateButtonId(i));
+                if (button) {
+                    button.onclick = spectateButtonAction.bind(this, i);
+                }
+                button = document.getElementById(getRejoinButtonId(i));
+                if (button) {
+                    button.onclick = rejoinButtonAction.bind(this);
+                }
             }
             this._gamesTable.show();
             this._noAvailableGamesLabel.hide();
@@ -18,7 +18,7 @@
  * @param strings Used for translation
  * @param armadaScreens Used for navigation
  * @param missionsScreen Used for getting translated difficulty names
- * @param classes Used to get the name of the spacecraft classes to display
+ * @param classes Used to get the name of the spacecraft classes (including the capital ships) to display
  * @param environments Used to load the list of environments to select from
  * @param missions Used to get the list of difficulty ids
  */
@@ -68,10 +68,17 @@ define([
             DIFFICULTY_CONTAINER_ID = "difficultyContainer",
             ENEMIES_PER_WAVE_VALUE_ID = "enemiesPerWaveValue",
             ENEMIES_PER_WAVE_CONTAINER_ID = "enemiesPerWaveContainer",
+            TEAM_SIZES_VALUE_ID = "teamSizesValue",
+            TEAM_SIZES_CONTAINER_ID = "teamSizesContainer",
+            CAPITAL_SHIP_VALUE_ID = "capitalShipValue",
+            CAPITAL_SHIP_CONTAINER_ID = "capitalShipContainer",
             LOCATION_SELECTOR_ID = "locationSelector",
             LOADOUT_SELECTOR_ID = "loadoutSelector",
             DIFFICULTY_SELECTOR_ID = "difficultySelector",
             ENEMIES_PER_WAVE_SELECTOR_ID = "enemiesPerWaveSelector",
+            FIRST_TEAM_SIZE_SELECTOR_ID = "firstTeamSizeSelector",
+            SECOND_TEAM_SIZE_SELECTOR_ID = "secondTeamSizeSelector",
+            CAPITAL_SHIP_SELECTOR_ID = "capitalShipSelector",
             PLAYER_COLORS = [
                 [0.8, 0.2, 0.2],
                 [0.2, 0.2, 0.8],
@@ -81,11 +88,18 @@ define([
                 [0.1, 0.1, 0.1],
                 [0.9, 0.9, 0.9]
             ],
-            ENEMIES_PER_WAVE_OPTIONS = [3, 5, 7, 9];
+            /**
+             * The color shown for players who have not chosen a team yet in team game modes
+             * @type Number[3]
+             */
+            NO_TEAM_COLOR = [0.5, 0.5, 0.5],
+            ENEMIES_PER_WAVE_OPTIONS = [3, 5, 7, 9],
+            TEAM_SIZE_OPTIONS = [1, 2, 3, 4];
     // ------------------------------------------------------------------------------
     // private functions
     function _canChangePlayerColor() {
-        return networking.isHost() || (networking.getGameMode() === networking.GameMode.FFA);
+        // in team game modes, changing the color means switching teams
+        return networking.isHost() || (networking.getGameMode() === networking.GameMode.FFA) || networking.isTeamMode();
     }
     function _mapLocationName(environment) {
         return environments.getEnvironment(environment).getDisplayName();
@@ -99,10 +113,21 @@ define([
     function _getLoadoutValues() {
         return config.getSetting(config.MULTI_SETTINGS.LOADOUTS).map(_mapLoadoutName);
     }
+    function _mapCapitalShipName(className) {
+        return classes.getSpacecraftClass(className).getDisplayName();
+    }
+    function _getCapitalShipValues() {
+        return config.getSetting(config.MULTI_SETTINGS.CAPITAL_SHIPS).map(function (capitalShip) {
+            return _mapCapitalShipName(capitalShip.class);
+        });
+    }
     function _getCSSColor(color) {
         return "rgb(" + Math.round(color[0] * 255) + "," + Math.round(color[1] * 255) + "," + Math.round(color[2] * 255) + ")";
     }
     function _getPlayerColor(player) {
+        if (networking.isTeamMode()) {
+            return _getCSSColor((player.settings.team !== undefined) ? networking.getTeamColor(player.settings.team) : NO_TEAM_COLOR);
+        }
         return _getCSSColor((networking.getGameMode() === networking.GameMode.FFA) ? player.settings.color : networking.getPlayers()[0].settings.color);
     }
     function _colorsEqual(a, b) {
@@ -132,6 +157,24 @@ define([
             return PLAYER_COLORS[(index + 1) % PLAYER_COLORS.length];
         }
     }
+    /**
+     * Returns the index of the team the local player can switch to in team game modes (the other team, or if the player has not chosen
+     * a team yet, the one with less players), or -1 if the team(s) to switch to are full
+     * @returns {Number}
+     */
+    function _getNextAvailableTeam() {
+        var team = networking.getPlayerSettings().team, teamSizes = networking.getGameSettings().teamSizes, counts, index;
+        counts = [networking.getTeamPlayers(0).length, networking.getTeamPlayers(1).length];
+        if (team !== undefined) {
+            index = 1 - team;
+            return (counts[index] < teamSizes[index]) ? index : -1;
+        }
+        index = (counts[1] < counts[0]) ? 1 : 0;
+        if (counts[index] < teamSizes[index]) {
+            return index;
+        }
+        return (counts[1 - index] < teamSizes[1 - index]) ? (1 - index) : -1;
+    }
     function _getNextAvailableSpacecraft(spacecraft) {
         var
                 spacecrafts = networking.getGameSettings().spacecrafts,
@@ -197,6 +240,14 @@ define([
         this._enemiesPerWaveValue = this.registerSimpleComponent(ENEMIES_PER_WAVE_VALUE_ID);
         /** @type SimpleComponent */
         this._enemiesPerWaveContainer = this.registerSimpleComponent(ENEMIES_PER_WAVE_CONTAINER_ID);
+        /** @type SimpleComponent */
+        this._teamSizesValue = this.registerSimpleComponent(TEAM_SIZES_VALUE_ID);
+        /** @type SimpleComponent */
+        this._teamSizesContainer = this.registerSimpleComponent(TEAM_SIZES_CONTAINER_ID);
+        /** @type SimpleComponent */
+        this._capitalShipValue = this.registerSimpleComponent(CAPITAL_SHIP_VALUE_ID);
+        /** @type SimpleComponent */
+        this._capitalShipContainer = this.registerSimpleComponent(CAPITAL_SHIP_CONTAINER_ID);
         /** @type Number */
         this._pingInterval = -1;
         /** @type Selector*/
@@ -207,6 +258,12 @@ define([
         this._difficultySelector = null;
         /** @type Selector*/
         this._enemiesPerWaveSelector = null;
+        /** @type Selector*/
+        this._firstTeamSizeSelector = null;
+        /** @type Selector*/
+        this._secondTeamSizeSelector = null;
+        /** @type Selector*/
+        this._capitalShipSelector = null;
         /**
          * @type InfoBox
          */
@@ -271,6 +328,44 @@ define([
                             {id: strings.MULTI_LOBBY.ENEMIES_PER_WAVE_LABEL.name},
                             ENEMIES_PER_WAVE_OPTIONS),
                     HOST_SETTINGS_ID);
+            this._firstTeamSizeSelector = this.registerExternalComponent(
+                    new components.Selector(
+                            FIRST_TEAM_SIZE_SELECTOR_ID,
+                            armadaScreens.SELECTOR_SOURCE,
+                            {
+                                cssFilename: armadaScreens.SELECTOR_CSS,
+                                selectorClassName: "smallSelector",
+                                propertyContainerClassName: "smallSelectorPropertyContainer"
+                            },
+                            {id: strings.MULTI_LOBBY.FIRST_TEAM_SIZE_LABEL.name},
+                            TEAM_SIZE_OPTIONS),
+                    HOST_SETTINGS_ID);
+            this._secondTeamSizeSelector = this.registerExternalComponent(
+                    new components.Selector(
+                            SECOND_TEAM_SIZE_SELECTOR_ID,
+                            armadaScreens.SELECTOR_SOURCE,
+                            {
+                                cssFilename: armadaScreens.SELECTOR_CSS,
+                                selectorClassName: "smallSelector",
+                                propertyContainerClassName: "smallSelectorPropertyContainer"
+                            },
+                            {id: strings.MULTI_LOBBY.SECOND_TEAM_SIZE_LABEL.name},
+                            TEAM_SIZE_OPTIONS),
+                    HOST_SETTINGS_ID);
+            classes.executeWhenReady(function () {
+                this._capitalShipSelector = this.registerExternalComponent(
+                        new components.Selector(
+                                CAPITAL_SHIP_SELECTOR_ID,
+                                armadaScreens.SELECTOR_SOURCE,
+                                {
+                                    cssFilename: armadaScreens.SELECTOR_CSS,
+                                    selectorClassName: "smallSelector",
+                                    propertyContainerClassName: "smallSelectorPropertyContainer"
+                                },
+                                {id: strings.MULTI_LOBBY.CAPITAL_SHIP_LABEL.name},
+                                _getCapitalShipValues()),
+                        HOST_SETTINGS_ID);
+            }.bind(this));
         }.bind(this));
 
     }
@@ -327,13 +422,14 @@ define([
      * @param {Boolean} active
      */
     MultiLobbyScreen.prototype.setActive = function (active) {
-        var coop;
+        var coop, teamMode, objective;
         screens.HTMLScreen.prototype.setActive.call(this, active);
         if (active) {
             this._gameTitle.setTextContent(strings.get(strings.MULTI_LOBBY.GAME_TITLE), {
                 name: networking.getGameName(),
                 mode: strings.get(strings.MULTI_GAME_MODE.PREFIX, networking.getGameMode())
             });
+            this._joinTeam();
             this._updatePlayersList();
             networking.onDisconnect(function () {
                 this._cancelInterval();
@@ -343,6 +439,8 @@ define([
             }.bind(this));
             networking.onGameSettingsChanged(function () {
                 this._updateGameSettings();
+                // the team sizes might have changed
+                this._updatePlayersList();
             }.bind(this));
             networking.onPlayerJoin(function (playerName) {
                 this._updatePlayersList();
@@ -415,22 +513,48 @@ define([
                         name: networking.getGameName()
                     }) :
                     strings.get(strings.MULTI_LOBBY.JOINED_MESSAGE));
+            if (networking.isDedicatedHost()) {
+                this._logMessage(strings.get(strings.MULTI_LOBBY.DEDICATED_HOST_MESSAGE));
+            }
             this._chatMessage.getElement().value = "";
             this._chatMessage.getElement().placeholder = strings.get(strings.MULTI_LOBBY.CHAT_MESSAGE_PLACEHOLDER);
             this._chatSend.disable();
             this._pingInterval = setInterval(networking.ping, 3000);
             this._updateGameSettings();
             coop = networking.getGameMode() === networking.GameMode.COOP;
-            this._difficultyContainer.setVisible(coop);
-            this._difficultySelector.setVisible(coop);
+            teamMode = networking.isTeamMode();
+            objective = networking.getGameMode() === networking.GameMode.OBJECTIVE;
+            // difficulty affects the AI controlled spacecrafts, including the capital ship in objective games
+            this._difficultyContainer.setVisible(coop || objective);
+            this._difficultySelector.setVisible(coop || objective);
             this._enemiesPerWaveContainer.setVisible(coop);
             this._enemiesPerWaveSelector.setVisible(coop);
+            this._teamSizesContainer.setVisible(teamMode);
+            this._firstTeamSizeSelector.setVisible(teamMode);
+            this._secondTeamSizeSelector.setVisible(teamMode);
+            this._capitalShipContainer.setVisible(objective);
+            this._capitalShipSelector.setVisible(objective);
             this._hostSettings.setVisible(networking.isHost());
             this._guestSettings.setVisible(!networking.isHost());
         } else {
             this._cancelInterval();
         }
     };
+    /**
+     * In team game modes, automatically puts the local player into a team (the one with less players) if it has not chosen one yet
+     * (the dedicated host does not join any team, as it does not have a spacecraft)
+     */
+    MultiLobbyScreen.prototype._joinTeam = function () {
+        var team;
+        if (networking.isTeamMode() && (networking.getPlayerSettings().team === undefined) && !(networking.isHost() && networking.isDedicatedHost())) {
+            team = _getNextAvailableTeam();
+            if (team >= 0) {
+                networking.updatePlayerSettings({
+                    team: team
+                });
+            }
+        }
+    };
     /**
      * Send the text message entered in the message input field to the other
      * players and clear the input field
@@ -511,6 +635,17 @@ define([
                 enemiesPerWave: this._enemiesPerWaveSelector.getSelectedValue()
             });
         }.bind(this);
+        this._firstTeamSizeSelector.onChange = this._secondTeamSizeSelector.onChange = function () {
+            networking.updateGameSettings({
+                teamSizes: [+this._firstTeamSizeSelector.getSelectedValue(), +this._secondTeamSizeSelector.getSelectedValue()]
+            });
+            this._updatePlayersList();
+        }.bind(this);
+        this._capitalShipSelector.onChange = function () {
+            networking.updateGameSettings({
+                capitalShip: config.getSetting(config.MULTI_SETTINGS.CAPITAL_SHIPS)[this._capitalShipSelector.getSelectedIndex()].class
+            });
+        }.bind(this);
     };
     /**
      * @override
@@ -520,6 +655,7 @@ define([
         this._locationSelector.setValueList(_getLocationValues());
         this._loadoutSelector.setValueList(_getLoadoutValues());
         this._difficultySelector.setValueList(missionsScreen.getDifficultyValues());
+        this._capitalShipSelector.setValueList(_getCapitalShipValues());
     };
     /**
      * Update the player list display with the current player information
@@ -528,10 +664,21 @@ define([
         var i, button, players = networking.getPlayers(),
                 colorSelectorId = "player-color-selector",
                 colorSelectorAction = function () {
-                    var color = _getNextAvailableColor(networking.getPlayerSettings().color);
-                    networking.updatePlayerSettings({
-                        color: color
-                    });
+                    var color, team;
+                    if (networking.isTeamMode()) {
+                        team = _getNextAvailableTeam();
+                        if (team < 0) {
+                            return;
+                        }
+                        networking.updatePlayerSettings({
+                            team: team
+                        });
+                    } else {
+                        color = _getNextAvailableColor(networking.getPlayerSettings().color);
+                        networking.updatePlayerSettings({
+                            color: color
+                        });
+                    }
                     this._updatePlayersList();
                 },
                 spacecraftSelector,
@@ -558,7 +705,7 @@ define([
             td.textContent = player.name;
             tr.appendChild(td);
             tr.innerHTML += '<td><div ' + ((player.me && _canChangePlayerColor()) ? 'id="' + colorSelectorId + '"' : '') + ' class="colorIndicator' + ((player.me && !player.ready && _canChangePlayerColor()) ? ' colorSelector' : '') + '" style="background-color: ' + _getPlayerColor(player) + '"></div></td>' +
-                    '<td>' + ((player.me && !player.ready) ? '<button id="' + spacecraftSelectorId + '" class="' + SPACECRAFT_SELECTOR_BUTTON_CLASS + '">' : '') + classes.getSpacecraftClass(player.settings.spacecraft).getDisplayName() + ((player.me && !player.ready) ? '</button>' : '') + '</td>' +
+                    '<td>' + (((index === 0) && networking.isDedicatedHost()) ? '' : ((player.me && !player.ready) ? '<button id="' + spacecraftSelectorId + '" class="' + SPACECRAFT_SELECTOR_BUTTON_CLASS + '">' : '') + classes.getSpacecraftClass(player.settings.spacecraft).getDisplayName() + ((player.me && !player.ready) ? '</button>' : '')) + '</td>' +
                     '<td>' + (player.me ? "" : strings.get(player.peer ? strings.MULTI_LOBBY.CONNECTION_DIRECT : strings.MULTI_LOBBY.CONNECTION_SERVER)) + '</td>' +
                     '<td>' + (player.me ? "" : (player.ping ? Math.round(player.ping) + " ms" : "?")) + '</td>' +
                     '<td>' + (strings.get(((index === 0) || player.ready) ? strings.MULTI_LOBBY.READY_YES : strings.MULTI_LOBBY.READY_NO)) + '</td>' +
@@ -578,7 +725,7 @@ define([
                 button = document.getElementById(getKickButtonId(i));
                 button.onclick = kickButtonAction.bind(this, i);
             }
-            if (networking.allPlayersReady()) {
+            if (networking.canStartGame()) {
                 this._startButton.enable();
             } else {
                 this._startButton.disable();
@@ -590,18 +737,24 @@ define([
      * game settings
      */
     MultiLobbyScreen.prototype._updateGameSettings = function () {
-        var settings = networking.getGameSettings(), location, loadout, difficulty;
+        var settings = networking.getGameSettings(), location, loadout, difficulty, capitalShip;
         location = _mapLocationName(settings.environment);
         loadout = _mapLoadoutName(settings.loadout);
         difficulty = missionsScreen.mapDifficultyName(settings.difficulty);
+        capitalShip = _mapCapitalShipName(settings.capitalShip);
         this._locationValue.setTextContent(location);
         this._loadoutValue.setTextContent(loadout);
         this._difficultyValue.setTextContent(difficulty);
         this._enemiesPerWaveValue.setTextContent(settings.enemiesPerWave);
+        this._teamSizesValue.setTextContent(settings.teamSizes[0] + " / " + settings.teamSizes[1]);
+        this._capitalShipValue.setTextContent(capitalShip);
         this._locationSelector.selectValue(location);
         this._loadoutSelector.selectValue(loadout);
         this._difficultySelector.selectValue(difficulty);
         this._enemiesPerWaveSelector.selectValue(settings.enemiesPerWave);
+        this._firstTeamSizeSelector.selectValue(settings.teamSizes[0]);
+        this._secondTeamSizeSelector.selectValue(settings.teamSizes[1]);
+        this._capitalShipSelector.selectValue(capitalShip);
     };
     // -------------------------------------------------------------------------
     // The public interface of the module
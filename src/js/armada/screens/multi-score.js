@@ -12,7 +12,7 @@
  * @param config Used for accessing music fading config
  * @param strings Used for translation support
  * @param audio Used for setting music theme
- * @param networking Used to get player statistics
+ * @param networking Used to get player statistics and team results
  * @param armadaScreens Used for navigation
  */
 define([
@@ -32,8 +32,13 @@ define([
             BACK_BUTTON_ID = "backButton",
             TITLE_ID = "title",
             PLAYERS_LIST_ID = "playersList",
+            TEAM_SCORES_ID = "teamScores",
+            TEAMS_LIST_ID = "teamsList",
+            TEAM_COLUMN_ID = "teamColumn",
             RANK_CELL_CLASS = "playerRank",
             NUMBER_CELL_CLASS = "number",
+            TEAM_CELL_CLASS = "team",
+            WINNER_ROW_CLASS = "winner",
             // ------------------------------------------------------------------------------
             // private functions
             /**
@@ -42,6 +47,33 @@ define([
              */
             _getPlayerScore = function (player) {
                 return player.stats.kills * 1000 - player.stats.deaths;
+            },
+            /**
+             * @param {Number} teamIndex
+             * @returns {String}
+             */
+            _getTeamName = function (teamIndex) {
+                return strings.get(strings.MULTI_TEAM.PREFIX, networking.getGameMode() + "." + teamIndex);
+            },
+            /**
+             * @param {Number} teamIndex
+             * @returns {String}
+             */
+            _getTeamCSSColor = function (teamIndex) {
+                var color = networking.getTeamColor(teamIndex);
+                return "rgb(" + Math.round(color[0] * 255) + "," + Math.round(color[1] * 255) + "," + Math.round(color[2] * 255) + ")";
+            },
+            /**
+             * Creates a table cell showing the name of the team with the passed index in its color
+             * @param {Number} teamIndex
+             * @returns {HTMLTableCellElement}
+             */
+            _createTeamCell = function (teamIndex) {
+                var td = document.createElement("td");
+                td.textContent = _getTeamName(teamIndex);
+                td.className = TEAM_CELL_CLASS;
+                td.style.color = _getTeamCSSColor(teamIndex);
+                return td;
             };
     // ##############################################################################
     /**
@@ -80,6 +112,12 @@ define([
         this._title = this.registerSimpleComponent(TITLE_ID);
         /** @type SimpleComponent */
         this._playersList = this.registerSimpleComponent(PLAYERS_LIST_ID);
+        /** @type SimpleComponent */
+        this._teamScores = this.registerSimpleComponent(TEAM_SCORES_ID);
+        /** @type SimpleComponent */
+        this._teamsList = this.registerSimpleComponent(TEAMS_LIST_ID);
+        /** @type SimpleComponent */
+        this._teamColumn = this.registerSimpleComponent(TEAM_COLUMN_ID);
     }
     MultiScoreScreen.prototype = new screens.HTMLScreen();
     MultiScoreScreen.prototype.constructor = MultiScoreScreen;
@@ -93,15 +131,64 @@ define([
             return false;
         }.bind(this);
     };
+    /**
+     * Update the team results table with the current data from the networking module (for team game modes)
+     */
+    MultiScoreScreen.prototype._updateTeams = function () {
+        var winnerTeam = networking.getWinnerTeam(), teams = [0, 1].map(function (teamIndex) {
+            return {
+                index: teamIndex,
+                players: networking.getTeamPlayers(teamIndex)
+            };
+        });
+        teams.forEach(function (team) {
+            team.kills = team.players.reduce(function (sum, player) {
+                return sum + player.stats.kills;
+            }, 0);
+            team.deaths = team.players.reduce(function (sum, player) {
+                return sum + player.stats.deaths;
+            }, 0);
+        });
+        teams.sort(function (a, b) {
+            return ((b.index === winnerTeam) - (a.index === winnerTeam)) || (b.kills - a.kills);
+        });
+        this._teamsList.setContent("");
+        teams.forEach(function (team) {
+            var tr, td;
+            tr = document.createElement("tr");
+            tr.className = (team.index === winnerTeam) ? WINNER_ROW_CLASS : "";
+            tr.appendChild(_createTeamCell(team.index));
+            td = document.createElement("td");
+            td.textContent = team.kills;
+            td.className = NUMBER_CELL_CLASS;
+            tr.appendChild(td);
+            td = document.createElement("td");
+            td.textContent = team.deaths;
+            td.className = NUMBER_CELL_CLASS;
+            tr.appendChild(td);
+            td = document.createElement("td");
+            td.textContent = strings.get((winnerTeam < 0) ?
+                    strings.MULTI_SCORE.DRAW :
+                    ((team.index === winnerTeam) ? strings.MULTI_SCORE.VICTORY : strings.MULTI_SCORE.DEFEAT));
+            tr.appendChild(td);
+            this._teamsList.getElement().appendChild(tr);
+        }.bind(this));
+    };
     /**
      * Update the screen with the current data from the networking module
      */
     MultiScoreScreen.prototype.updateData = function () {
-        var rank, lastScore, players;
+        var rank, lastScore, players, teamMode;
         if (!networking.isInGame()) {
             return;
         }
-        players = networking.getPlayers().slice().sort(function (a, b) {
+        teamMode = networking.isTeamMode();
+        this._teamScores.setVisible(teamMode);
+        this._teamColumn.setVisible(teamMode);
+        if (teamMode) {
+            this._updateTeams();
+        }
+        players = networking.getPilotingPlayers().slice().sort(function (a, b) {
             return _getPlayerScore(b) - _getPlayerScore(a);
         });
         this._title.setTextContent(utils.formatString(strings.get(strings.MULTI_SCORE.TITLE), {
@@ -122,6 +209,9 @@ define([
             td = document.createElement("td");
             td.textContent = player.name;
             tr.appendChild(td);
+            if (teamMode) {
+                tr.appendChild(_createTeamCell(player.settings.team));
+            }
             td = document.createElement("td");
             td.textContent = player.stats.kills;
             td.className = NUMBER_CELL_CLASS;
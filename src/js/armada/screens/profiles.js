@@ -0,0 +1,354 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file This module manages and provides the Pilot profiles screen of the Interstellar Armada game, where the player can create,
+ * rename, switch between, delete, export and import the local profiles holding their progress and settings.
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/**
+ * @param utils Used for string formatting
+ * @param game Used for navigation and displaying errors
+ * @param screens The profiles screen is a subclass of HTMLScreen
+ * @param components A ListComponent is used to select profiles
+ * @param strings Used for translation support
+ * @param audio Used for music management
+ * @param armadaScreens Used for navigation
+ * @param profiles Used to access and modify the profiles
+ */
+define([
+    "utils/utils",
+    "modules/game",
+    "modules/screens",
+    "modules/components",
+    "armada/strings",
+    "armada/audio",
+    "armada/screens/shared",
+    "armada/profiles"
+], function (utils, game, screens, components, strings, audio, armadaScreens, profiles) {
+    "use strict";
+    var
+            // ------------------------------------------------------------------------------
+            // constants
+            PROFILE_LIST_CONTAINER_CLASS = "profileListContainer",
+            PROFILE_LIST_CONTAINER_ID = "profileListContainer",
+            ACTIVE_CLASS = "active",
+            BACK_BUTTON_ID = "backButton",
+            NEW_PROFILE_BUTTON_ID = "newProfileButton",
+            IMPORT_BUTTON_ID = "importButton",
+            PROFILE_NAME_INPUT_ID = "profileNameInput",
+            PROFILE_STATUS_ID = "profileStatus",
+            ACTIVATE_BUTTON_ID = "activateButton",
+            EXPORT_BUTTON_ID = "exportButton",
+            DELETE_BUTTON_ID = "deleteButton",
+            FILE_INPUT_ID = "fileInput",
+            LIST_COMPONENT_NAME = "list",
+            MAX_PROFILE_NAME_LENGTH = 18;
+    // #########################################################################
+    /**
+     * @class Provides the behaviour for the Pilot profiles screen
+     * @extends HTMLScreen
+     */
+    function ProfilesScreen() {
+        screens.HTMLScreen.call(this,
+                armadaScreens.PROFILES_SCREEN_NAME,
+                armadaScreens.PROFILES_SCREEN_SOURCE,
+                {
+                    cssFilename: armadaScreens.PROFILES_SCREEN_CSS,
+                    backgroundClassName: armadaScreens.SCREEN_BACKGROUND_CLASS_NAME,
+                    containerClassName: armadaScreens.SCREEN_CONTAINER_CLASS_NAME
+                },
+                {
+                    show: function () {
+                        audio.resetMasterVolume();
+                        audio.resetMusicVolume();
+                        audio.playMusic(armadaScreens.MENU_THEME);
+                    }
+                },
+                this._getKeyCommands(),
+                armadaScreens.BUTTON_EVENT_HANDLERS);
+        /** @type SimpleComponent */
+        this._backButton = this.registerSimpleComponent(BACK_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._newProfileButton = this.registerSimpleComponent(NEW_PROFILE_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._importButton = this.registerSimpleComponent(IMPORT_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._profileNameInput = this.registerSimpleComponent(PROFILE_NAME_INPUT_ID);
+        /** @type SimpleComponent */
+        this._profileStatus = this.registerSimpleComponent(PROFILE_STATUS_ID);
+        /** @type SimpleComponent */
+        this._activateButton = this.registerSimpleComponent(ACTIVATE_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._exportButton = this.registerSimpleComponent(EXPORT_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._deleteButton = this.registerSimpleComponent(DELETE_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._fileInput = this.registerSimpleComponent(FILE_INPUT_ID);
+        /**
+         * The component housing the list of profiles
+         * @type ListComponent
+         */
+        this._listComponent = this.registerExternalComponent(
+                new components.ListComponent(
+                        LIST_COMPONENT_NAME,
+                        armadaScreens.LIST_COMPONENT_SOURCE,
+                        {
+                            cssFilename: armadaScreens.LIST_COMPONENT_CSS,
+                            listClassName: armadaScreens.LIST_CLASS_NAME,
+                            listContainerClassName: PROFILE_LIST_CONTAINER_CLASS,
+                            elementClassName: armadaScreens.LIST_ELEMENT_CLASS_NAME,
+                            elementContainerClassName: armadaScreens.LIST_ELEMENT_CONTAINER_CLASS_NAME,
+                            captionClassName: armadaScreens.CAPTION_CLASS_NAME,
+                            subcaptionClassName: armadaScreens.SUBCAPTION_CLASS_NAME,
+                            disabledElementClassName: components.DISABLED_CLASS_NAME,
+                            selectedElementClassName: components.SELECTED_CLASS_NAME,
+                            highlightedElementClassName: components.HIGHLIGHTED_CLASS_NAME
+                        },
+                        [],
+                        true,
+                        {
+                            elementhighlight: function () {
+                                armadaScreens.playButtonSelectSound(true);
+                            },
+                            elementselect: function (index, enabled) {
+                                armadaScreens.playButtonClickSound(enabled);
+                                this._updateProfileInfo();
+                            }.bind(this)
+                        }),
+                PROFILE_LIST_CONTAINER_ID);
+    }
+    ProfilesScreen.prototype = new screens.HTMLScreen();
+    ProfilesScreen.prototype.constructor = ProfilesScreen;
+    /**
+     * Adds the screen key commands (up-down-space-esc) to the given key commands object and returns the result.
+     * @param {Object.<String, Function>} [keyCommands] If not given, an object with just the screen key commands will be returned.
+     */
+    ProfilesScreen.prototype._getKeyCommands = function (keyCommands) {
+        keyCommands = keyCommands || {};
+        keyCommands.up = keyCommands.up || function (event) {
+            if (document.activeElement !== this._profileNameInput.getElement()) {
+                this._listComponent.highlightPrevious();
+                event.preventDefault();
+            }
+        }.bind(this);
+        keyCommands.down = keyCommands.down || function (event) {
+            if (document.activeElement !== this._profileNameInput.getElement()) {
+                this._listComponent.highlightNext();
+                event.preventDefault();
+            }
+        }.bind(this);
+        keyCommands.space = keyCommands.space || function (event) {
+            if (document.activeElement !== this._profileNameInput.getElement()) {
+                this._listComponent.selectHighlighted();
+                event.preventDefault();
+            }
+        }.bind(this);
+        keyCommands.escape = function () {
+            game.closeOrNavigateTo(armadaScreens.MAIN_MENU_SCREEN_NAME);
+        }.bind(this);
+        return keyCommands;
+    };
+    /**
+     * Returns the profile currently selected in the list
+     * @returns {Profiles~Profile}
+     */
+    ProfilesScreen.prototype._getSelectedProfile = function () {
+        var index = this._listComponent.getSelectedIndex();
+        return (index >= 0) ? profiles.getProfiles()[index] : null;
+    };
+    /**
+     * Recreates the list of profiles and selects the profile with the passed ID in it
+     * @param {Number} selectedID
+     */
+    ProfilesScreen.prototype._updateList = function (selectedID) {
+        var profileList = profiles.getProfiles(), i, activeID = profiles.getActiveProfileID();
+        this._listComponent.setListElements(profileList.map(function (profile) {
+            return {
+                caption: profile.name,
+                subcaptionID: strings.PROFILES.ACTIVE.name
+            };
+        }));
+        this._listComponent.reset();
+        i = 0;
+        this._listComponent.executeForListElements(function (listElement) {
+            var subcaption = listElement.querySelector("." + armadaScreens.SUBCAPTION_CLASS_NAME);
+            if (i < profileList.length) {
+                if (profileList[i].id === activeID) {
+                    subcaption.classList.add(ACTIVE_CLASS);
+                } else {
+                    subcaption.innerHTML = "";
+                }
+            }
+            i++;
+        });
+        for (i = 0; i < profileList.length; i++) {
+            if (profileList[i].id === selectedID) {
+                this._listComponent.selectIndex(i, true);
+                break;
+            }
+        }
+        this._updateProfileInfo();
+    };
+    /**
+     * Updates the information and the available actions shown for the selected profile
+     */
+    ProfilesScreen.prototype._updateProfileInfo = function () {
+        var profile = this._getSelectedProfile(), active;
+        if (!profile) {
+            this._profileNameInput.getElement().value = "";
+            this._profileNameInput.getElement().disabled = true;
+            this._profileStatus.setContent(strings.get(strings.PROFILES.NO_SELECTED_DESCRIPTION));
+            this._activateButton.hide();
+            this._exportButton.hide();
+            this._deleteButton.hide();
+            return;
+        }
+        active = (profile.id === profiles.getActiveProfileID());
+        this._profileNameInput.getElement().value = profile.name;
+        this._profileNameInput.getElement().disabled = false;
+        this._profileStatus.setContent(strings.get(active ? strings.PROFILES.ACTIVE_DESCRIPTION : strings.PROFILES.INACTIVE_DESCRIPTION));
+        this._activateButton.setVisible(!active);
+        this._exportButton.show();
+        this._deleteButton.setVisible(!active);
+    };
+    /**
+     * Switches to the selected profile (after confirmation), reloading the game so that its settings take effect
+     */
+    ProfilesScreen.prototype._activateSelectedProfile = function () {
+        var profile = this._getSelectedProfile();
+        if (profile) {
+            armadaScreens.openDialog({
+                header: strings.get(strings.PROFILES.ACTIVATE_HEADER),
+                message: strings.get(strings.PROFILES.ACTIVATE_MESSAGE),
+                buttons: [{
+                        caption: strings.get(strings.SCREEN.CANCEL),
+                        action: function () {
+                            game.closeSuperimposedScreen();
+                        }
+                    }, {
+                        caption: strings.get(strings.PROFILES.ACTIVATE_CONFIRM),
+                        action: function () {
+                            game.closeSuperimposedScreen();
+                            if (profiles.activateProfile(profile.id)) {
+                                window.location.reload();
+                            }
+                        }
+                    }]
+            });
+        }
+    };
+    /**
+     * Deletes the selected profile (after confirmation)
+     */
+    ProfilesScreen.prototype._deleteSelectedProfile = function () {
+        var profile = this._getSelectedProfile();
+        if (profile) {
+            armadaScreens.openDialog({
+                header: strings.get(strings.PROFILES.DELETE_HEADER),
+                message: utils.formatString(strings.get(strings.PROFILES.DELETE_MESSAGE), {name: profile.name}),
+                buttons: [{
+                        caption: strings.get(strings.SCREEN.CANCEL),
+                        action: function () {
+                            game.closeSuperimposedScreen();
+                        }
+                    }, {
+                        caption: strings.get(strings.PROFILES.DELETE_CONFIRM),
+                        action: function () {
+                            game.closeSuperimposedScreen();
+                            profiles.deleteProfile(profile.id);
+                            this._updateList(profiles.getActiveProfileID());
+                        }.bind(this)
+                    }]
+            });
+        }
+    };
+    /**
+     * @override
+     */
+    ProfilesScreen.prototype._initializeComponents = function () {
+        screens.HTMLScreen.prototype._initializeComponents.call(this);
+        this._backButton.getElement().onclick = function () {
+            game.closeOrNavigateTo(armadaScreens.MAIN_MENU_SCREEN_NAME);
+            return false;
+        }.bind(this);
+        this._newProfileButton.getElement().onclick = function () {
+            this._updateList(profiles.createProfile(strings.get(strings.PROFILES.DEFAULT_PROFILE_NAME)));
+            return false;
+        }.bind(this);
+        this._importButton.getElement().onclick = function () {
+            this._fileInput.getElement().click();
+            return false;
+        }.bind(this);
+        this._fileInput.getElement().onchange = function () {
+            var file = this._fileInput.getElement().files[0];
+            if (file) {
+                file.text().then(function (text) {
+                    var data, id;
+                    this._fileInput.getElement().value = null;
+                    try {
+                        data = JSON.parse(text);
+                    } catch (error) {
+                        game.showError("The selected file is not a valid profile file!", game.ErrorSeverity.MINOR);
+                        return;
+                    }
+                    id = profiles.importProfile(data);
+                    if (id >= 0) {
+                        this._updateList(id);
+                    }
+                }.bind(this)).catch(function () {
+                    game.showError("The selected file doesn't seem to be a valid profile file!", game.ErrorSeverity.MINOR);
+                });
+            }
+        }.bind(this);
+        this._profileNameInput.getElement().maxLength = MAX_PROFILE_NAME_LENGTH;
+        this._profileNameInput.getElement().onkeyup = function () {
+            var profile = this._getSelectedProfile(), name = this._profileNameInput.getElement().value;
+            if (profile && (name.length > 0)) {
+                profiles.renameProfile(profile.id, name);
+                this._listComponent.setCaption(this._listComponent.getSelectedIndex(), name);
+            }
+            return false;
+        }.bind(this);
+        this._activateButton.getElement().onclick = function () {
+            this._activateSelectedProfile();
+            return false;
+        }.bind(this);
+        this._exportButton.getElement().onclick = function () {
+            var profile = this._getSelectedProfile();
+            if (profile) {
+                profiles.exportProfile(profile.id);
+            }
+            return false;
+        }.bind(this);
+        this._deleteButton.getElement().onclick = function () {
+            this._deleteSelectedProfile();
+            return false;
+        }.bind(this);
+        this._fileInput.hide();
+    };
+    /**
+     * @override
+     */
+    ProfilesScreen.prototype._updateComponents = function () {
+        screens.HTMLScreen.prototype._updateComponents.call(this);
+        this._updateList(profiles.getActiveProfileID());
+    };
+    /**
+     * @override
+     * @param {Boolean} active
+     */
+    ProfilesScreen.prototype.setActive = function (active) {
+        screens.HTMLScreen.prototype.setActive.call(this, active);
+        if (active) {
+            this._updateList(profiles.getActiveProfileID());
+        }
+    };
+    // -------------------------------------------------------------------------
+    // The public interface of the module
+    return {
+        getProfilesScreen: function () {
+            return new ProfilesScreen();
+        }
+    };
+});
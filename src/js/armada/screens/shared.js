@@ -71,6 +71,18 @@ define([
                 MISSIONS_SCREEN_SOURCE: "missions.html",
                 MISSIONS_SCREEN_CSS: "missions.css",
                 MISSIONS_LIST_CONTAINER_ID: "missionListContainer",
+                HANGAR_SCREEN_NAME: "hangar",
+                HANGAR_SCREEN_SOURCE: "hangar.html",
+                HANGAR_SCREEN_CSS: "hangar.css",
+                SKIRMISH_SCREEN_NAME: "skirmish",
+                SKIRMISH_SCREEN_SOURCE: "skirmish.html",
+                SKIRMISH_SCREEN_CSS: "skirmish.css",
+                SURVIVAL_SCREEN_NAME: "survival",
+                SURVIVAL_SCREEN_SOURCE: "survival.html",
+                SURVIVAL_SCREEN_CSS: "survival.css",
+                PROFILES_SCREEN_NAME: "profiles",
+                PROFILES_SCREEN_SOURCE: "profiles.html",
+                PROFILES_SCREEN_CSS: "profiles.css",
                 MULTI_GAMES_SCREEN_NAME: "multiGames",
                 MULTI_GAMES_SCREEN_SOURCE: "multi-games.html",
                 MULTI_GAMES_SCREEN_CSS: "multi-games.css",
@@ -0,0 +1,317 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file This module manages and provides the Skirmish screen of the Interstellar Armada game, where the player can set up a generated
+ * battle (location, fleets, objective and difficulty) and play it directly or save it as a mission file.
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/**
+ * @param utils Used for string formatting
+ * @param game Used for navigation
+ * @param screens The skirmish screen is a subclass of HTMLScreen
+ * @param components Selectors are used to set up the skirmish
+ * @param strings Used for translation support
+ * @param audio Used for music management
+ * @param armadaScreens Used for navigation
+ * @param missionsScreen Used to get the difficulty level captions
+ * @param classes Used to access the display names of spacecraft classes
+ * @param environments Used to access the available environments
+ * @param missions Used to access the difficulty levels
+ * @param skirmish Used to generate the mission data
+ */
+define([
+    "utils/utils",
+    "modules/game",
+    "modules/screens",
+    "modules/components",
+    "armada/strings",
+    "armada/audio",
+    "armada/screens/shared",
+    "armada/screens/missions",
+    "armada/logic/classes",
+    "armada/logic/environments",
+    "armada/logic/missions",
+    "armada/logic/skirmish"
+], function (utils, game, screens, components, strings, audio, armadaScreens, missionsScreen, classes, environments, missions, skirmish) {
+    "use strict";
+    var
+            // ------------------------------------------------------------------------------
+            // constants
+            BACK_BUTTON_ID = "backButton",
+            SAVE_BUTTON_ID = "saveButton",
+            LAUNCH_BUTTON_ID = "launchButton",
+            NOTE_ID = "skirmishNote",
+            BATTLE_SETTINGS_ID = "battleSettings",
+            FLEETS_SETTINGS_ID = "fleetsSettings",
+            LOCATION_SELECTOR_ID = "locationSelector",
+            OBJECTIVE_SELECTOR_ID = "objectiveSelector",
+            DIFFICULTY_SELECTOR_ID = "difficultySelector",
+            WAVES_SELECTOR_ID = "wavesSelector",
+            PILOTED_CLASS_SELECTOR_ID = "pilotedClassSelector",
+            WINGMEN_SELECTOR_ID = "wingmenSelector",
+            FRIENDLY_SHIP_SELECTOR_ID = "friendlyShipSelector",
+            ENEMY_CLASS_SELECTOR_ID = "enemyClassSelector",
+            ENEMIES_PER_WAVE_SELECTOR_ID = "enemiesPerWaveSelector",
+            ENEMY_SHIP_SELECTOR_ID = "enemyShipSelector",
+            FILE_PREFIX = "skirmish-",
+            FILE_EXTENSION = ".json",
+            DEFAULT_WINGMEN = 2,
+            DEFAULT_ENEMIES_PER_WAVE = 3,
+            DEFAULT_WAVES = 3;
+    // ------------------------------------------------------------------------------
+    // private functions
+    function _mapLocationName(environment) {
+        return environments.getEnvironment(environment).getDisplayName();
+    }
+    function _mapObjectiveName(objective) {
+        return strings.get(strings.SKIRMISH.OBJECTIVE_PREFIX, objective, objective);
+    }
+    function _mapClassName(spacecraftClass) {
+        return classes.getSpacecraftClass(spacecraftClass).getDisplayName();
+    }
+    /**
+     * Returns the list of numbers between min and max (inclusive) as strings, to be used as selector values
+     * @param {Number} min
+     * @param {Number} max
+     * @returns {String[]}
+     */
+    function _getNumberValues(min, max) {
+        var i, result = [];
+        for (i = min; i <= max; i++) {
+            result.push(i.toString());
+        }
+        return result;
+    }
+    /**
+     * Returns the selector values for choosing one of the passed ship classes or no ship at all (as the first option)
+     * @param {String[]} shipClasses
+     * @returns {String[]}
+     */
+    function _getShipValues(shipClasses) {
+        return [strings.get(strings.SKIRMISH.NO_SHIP)].concat(shipClasses.map(_mapClassName));
+    }
+    // #########################################################################
+    /**
+     * @class Provides the behaviour for the Skirmish screen
+     * @extends HTMLScreen
+     */
+    function SkirmishScreen() {
+        screens.HTMLScreen.call(this,
+                armadaScreens.SKIRMISH_SCREEN_NAME,
+                armadaScreens.SKIRMISH_SCREEN_SOURCE,
+                {
+                    cssFilename: armadaScreens.SKIRMISH_SCREEN_CSS,
+                    backgroundClassName: armadaScreens.SCREEN_BACKGROUND_CLASS_NAME,
+                    containerClassName: armadaScreens.SCREEN_CONTAINER_CLASS_NAME
+                },
+                {
+                    show: function () {
+                        audio.resetMasterVolume();
+                        audio.resetMusicVolume();
+                        audio.playMusic(armadaScreens.MENU_THEME);
+                    }
+                },
+                {
+                    "escape": function () {
+                        game.closeOrNavigateTo(armadaScreens.SINGLE_PLAYER_SCREEN_NAME);
+                    }
+                },
+                armadaScreens.BUTTON_EVENT_HANDLERS);
+        /** @type SimpleComponent */
+        this._backButton = this.registerSimpleComponent(BACK_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._saveButton = this.registerSimpleComponent(SAVE_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._launchButton = this.registerSimpleComponent(LAUNCH_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._note = this.registerSimpleComponent(NOTE_ID);
+        /** @type Selector */
+        this._locationSelector = this._registerSelector(LOCATION_SELECTOR_ID, strings.SKIRMISH.LOCATION_LABEL, BATTLE_SETTINGS_ID);
+        /** @type Selector */
+        this._objectiveSelector = this._registerSelector(OBJECTIVE_SELECTOR_ID, strings.SKIRMISH.OBJECTIVE_LABEL, BATTLE_SETTINGS_ID);
+        /** @type Selector */
+        this._difficultySelector = this._registerSelector(DIFFICULTY_SELECTOR_ID, strings.SKIRMISH.DIFFICULTY_LABEL, BATTLE_SETTINGS_ID);
+        /** @type Selector */
+        this._wavesSelector = this._registerSelector(WAVES_SELECTOR_ID, strings.SKIRMISH.WAVES_LABEL, BATTLE_SETTINGS_ID);
+        /** @type Selector */
+        this._pilotedClassSelector = this._registerSelector(PILOTED_CLASS_SELECTOR_ID, strings.SKIRMISH.PILOTED_CLASS_LABEL, FLEETS_SETTINGS_ID);
+        /** @type Selector */
+        this._wingmenSelector = this._registerSelector(WINGMEN_SELECTOR_ID, strings.SKIRMISH.WINGMEN_LABEL, FLEETS_SETTINGS_ID);
+        /** @type Selector */
+        this._friendlyShipSelector = this._registerSelector(FRIENDLY_SHIP_SELECTOR_ID, strings.SKIRMISH.FRIENDLY_SHIP_LABEL, FLEETS_SETTINGS_ID);
+        /** @type Selector */
+        this._enemyClassSelector = this._registerSelector(ENEMY_CLASS_SELECTOR_ID, strings.SKIRMISH.ENEMY_CLASS_LABEL, FLEETS_SETTINGS_ID);
+        /** @type Selector */
+        this._enemiesPerWaveSelector = this._registerSelector(ENEMIES_PER_WAVE_SELECTOR_ID, strings.SKIRMISH.ENEMIES_PER_WAVE_LABEL, FLEETS_SETTINGS_ID);
+        /** @type Selector */
+        this._enemyShipSelector = this._registerSelector(ENEMY_SHIP_SELECTOR_ID, strings.SKIRMISH.ENEMY_SHIP_LABEL, FLEETS_SETTINGS_ID);
+        /**
+         * The names of the fighter classes offered in the selectors
+         * @type String[]
+         */
+        this._fighterClasses = [];
+        /**
+         * The names of the ship classes offered in the selectors (after the "none" option)
+         * @type String[]
+         */
+        this._shipClasses = [];
+        /**
+         * Whether the number selectors have been set up with their default values (done when the screen is first shown)
+         * @type Boolean
+         */
+        this._defaultsSelected = false;
+    }
+    SkirmishScreen.prototype = new screens.HTMLScreen();
+    SkirmishScreen.prototype.constructor = SkirmishScreen;
+    /**
+     * @param {String} name
+     * @param {Object} labelStringDefinition
+     * @param {String} parentID
+     * @returns {Selector}
+     */
+    SkirmishScreen.prototype._registerSelector = function (name, labelStringDefinition, parentID) {
+        return this.registerExternalComponent(
+                new components.Selector(
+                        name,
+                        armadaScreens.SELECTOR_SOURCE,
+                        {cssFilename: armadaScreens.SELECTOR_CSS},
+                        {id: labelStringDefinition.name},
+                        [""]),
+                parentID);
+    };
+    /**
+     * Returns the ship class chosen with the passed selector (null if no ship was chosen)
+     * @param {Selector} selector
+     * @returns {String}
+     */
+    SkirmishScreen.prototype._getSelectedShip = function (selector) {
+        return (selector.getSelectedIndex() > 0) ? this._shipClasses[selector.getSelectedIndex() - 1] : null;
+    };
+    /**
+     * Generates the mission data for the currently set up skirmish
+     * @returns {Object}
+     */
+    SkirmishScreen.prototype._generateMissionData = function () {
+        var
+                environment = environments.getEnvironmentNames()[this._locationSelector.getSelectedIndex()],
+                objective = Object.values(skirmish.ObjectiveType)[this._objectiveSelector.getSelectedIndex()];
+        return skirmish.generateMissionData({
+            title: utils.formatString(strings.get(strings.SKIRMISH.MISSION_TITLE), {
+                location: _mapLocationName(environment),
+                objective: _mapObjectiveName(objective)
+            }),
+            environment: environment,
+            pilotedClass: this._fighterClasses[this._pilotedClassSelector.getSelectedIndex()],
+            wingmen: +this._wingmenSelector.getSelectedValue(),
+            friendlyShip: this._getSelectedShip(this._friendlyShipSelector),
+            enemyClass: this._fighterClasses[this._enemyClassSelector.getSelectedIndex()],
+            enemiesPerWave: +this._enemiesPerWaveSelector.getSelectedValue(),
+            waves: +this._wavesSelector.getSelectedValue(),
+            enemyShip: this._getSelectedShip(this._enemyShipSelector),
+            objective: objective
+        });
+    };
+    /**
+     * Initiates the download of the mission file of the currently set up skirmish
+     */
+    SkirmishScreen.prototype._saveMission = function () {
+        var
+                data = this._generateMissionData(),
+                blob = new Blob([JSON.stringify(data, null, 4)], {type: "application/json"}),
+                e = document.createEvent("MouseEvents"),
+                a = document.createElement("a");
+        a.download = FILE_PREFIX + data.environment + "-" + Object.values(skirmish.ObjectiveType)[this._objectiveSelector.getSelectedIndex()] +
+                FILE_EXTENSION;
+        a.href = window.URL.createObjectURL(blob);
+        a.dataset.downloadurl = ["application/json", a.download, a.href].join(":");
+        e.initMouseEvent("click", true, false, window, 0, 0, 0, 0, 0, false, false, false, false, 0, null);
+        a.dispatchEvent(e);
+    };
+    /**
+     * Starts the battle of the currently set up skirmish
+     */
+    SkirmishScreen.prototype._launchMission = function () {
+        var data = this._generateMissionData();
+        audio.playMusic(null);
+        game.setScreen(armadaScreens.BATTLE_SCREEN_NAME);
+        game.getScreen().startNewBattle({
+            missionData: data,
+            difficulty: missions.getDifficultyNames()[this._difficultySelector.getSelectedIndex()]
+        });
+    };
+    /**
+     * Updates the value lists of the selectors which depend on the loaded game data and the current language
+     */
+    SkirmishScreen.prototype._updateValueLists = function () {
+        this._fighterClasses = skirmish.getFighterClassNames();
+        this._shipClasses = skirmish.getShipClassNames();
+        this._locationSelector.setValueList(environments.getEnvironmentNames().map(_mapLocationName));
+        this._objectiveSelector.setValueList(Object.values(skirmish.ObjectiveType).map(_mapObjectiveName));
+        this._difficultySelector.setValueList(missionsScreen.getDifficultyValues());
+        this._pilotedClassSelector.setValueList(this._fighterClasses.map(_mapClassName));
+        this._enemyClassSelector.setValueList(this._fighterClasses.map(_mapClassName));
+        this._friendlyShipSelector.setValueList(_getShipValues(this._shipClasses));
+        this._enemyShipSelector.setValueList(_getShipValues(this._shipClasses));
+    };
+    /**
+     * @override
+     */
+    SkirmishScreen.prototype._initializeComponents = function () {
+        screens.HTMLScreen.prototype._initializeComponents.call(this);
+        this._backButton.getElement().onclick = function () {
+            game.closeOrNavigateTo(armadaScreens.SINGLE_PLAYER_SCREEN_NAME);
+            return false;
+        }.bind(this);
+        this._saveButton.getElement().onclick = function () {
+            this._saveMission();
+            return false;
+        }.bind(this);
+        this._launchButton.getElement().onclick = function () {
+            this._launchMission();
+            return false;
+        }.bind(this);
+    };
+    /**
+     * @override
+     */
+    SkirmishScreen.prototype._updateComponents = function () {
+        screens.HTMLScreen.prototype._updateComponents.call(this);
+        this._note.setContent(strings.get(strings.SKIRMISH.NOTE), {
+            editor: '<a target="_blank" rel="noopener" href="editor.html#missions/import">Interstellar Armada editor</a>'
+        });
+    };
+    /**
+     * @override
+     * @param {Boolean} active
+     */
+    SkirmishScreen.prototype.setActive = function (active) {
+        screens.HTMLScreen.prototype.setActive.call(this, active);
+        if (active) {
+            if (!this._defaultsSelected) {
+                this._wingmenSelector.setValueList(_getNumberValues(0, skirmish.MAX_WINGMEN));
+                this._wingmenSelector.selectValueWithIndex(DEFAULT_WINGMEN);
+                this._enemiesPerWaveSelector.setValueList(_getNumberValues(1, skirmish.MAX_ENEMIES_PER_WAVE));
+                this._enemiesPerWaveSelector.selectValueWithIndex(DEFAULT_ENEMIES_PER_WAVE - 1);
+                this._wavesSelector.setValueList(_getNumberValues(1, skirmish.MAX_WAVES));
+                this._wavesSelector.selectValueWithIndex(DEFAULT_WAVES - 1);
+                this._defaultsSelected = true;
+            }
+            this._updateValueLists();
+            this._locationSelector.refreshValue();
+            this._objectiveSelector.refreshValue();
+            this._pilotedClassSelector.refreshValue();
+            this._enemyClassSelector.refreshValue();
+            this._friendlyShipSelector.refreshValue();
+            this._enemyShipSelector.refreshValue();
+            this._difficultySelector.selectValueWithIndex(missions.getDifficultyNames().indexOf(missions.getDifficulty()));
+        }
+    };
+    // -------------------------------------------------------------------------
+    // The public interface of the module
+    return {
+        getSkirmishScreen: function () {
+            return new SkirmishScreen();
+        }
+    };
+});
@@ -0,0 +1,231 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file This module manages and provides the Survival screen of the Interstellar Armada game, where the player can choose the location
+ * and spacecraft for a survival battle, see the best results achieved with them and start the battle.
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/**
+ * @param utils Used for string formatting
+ * @param game Used for navigation
+ * @param screens The survival screen is a subclass of HTMLScreen
+ * @param components Selectors are used to set up the battle
+ * @param strings Used for translation support
+ * @param audio Used for music management
+ * @param armadaScreens Used for navigation
+ * @param classes Used to access the display names of spacecraft classes
+ * @param environments Used to access the available environments
+ * @param missions Used to access the current difficulty level
+ * @param survival Used to generate the mission data and access the high scores
+ */
+define([
+    "utils/utils",
+    "modules/game",
+    "modules/screens",
+    "modules/components",
+    "armada/strings",
+    "armada/audio",
+    "armada/screens/shared",
+    "armada/logic/classes",
+    "armada/logic/environments",
+    "armada/logic/missions",
+    "armada/logic/survival"
+], function (utils, game, screens, components, strings, audio, armadaScreens, classes, environments, missions, survival) {
+    "use strict";
+    var
+            // ------------------------------------------------------------------------------
+            // constants
+            BACK_BUTTON_ID = "backButton",
+            LAUNCH_BUTTON_ID = "launchButton",
+            SETTINGS_ID = "survivalSettings",
+            HIGH_SCORES_LIST_ID = "highScoresList",
+            LOCATION_SELECTOR_ID = "locationSelector",
+            PILOTED_CLASS_SELECTOR_ID = "pilotedClassSelector",
+            RANK_CELL_CLASS = "rank",
+            NUMBER_CELL_CLASS = "number",
+            NO_HIGH_SCORES_CELL_CLASS = "noHighScores",
+            COLUMN_COUNT = 4,
+            DATE_FORMAT_OPTIONS = {
+                day: "numeric",
+                month: "long",
+                year: "numeric"
+            };
+    // ------------------------------------------------------------------------------
+    // private functions
+    function _mapLocationName(environment) {
+        return environments.getEnvironment(environment).getDisplayName();
+    }
+    function _mapClassName(spacecraftClass) {
+        return classes.getSpacecraftClass(spacecraftClass).getDisplayName();
+    }
+    /**
+     * Creates and returns a table cell with the passed content and class
+     * @param {String} content
+     * @param {String} [className]
+     * @returns {HTMLTableCellElement}
+     */
+    function _createCell(content, className) {
+        var td = document.createElement("td");
+        td.textContent = content;
+        if (className) {
+            td.className = className;
+        }
+        return td;
+    }
+    // #########################################################################
+    /**
+     * @class Provides the behaviour for the Survival screen
+     * @extends HTMLScreen
+     */
+    function SurvivalScreen() {
+        screens.HTMLScreen.call(this,
+                armadaScreens.SURVIVAL_SCREEN_NAME,
+                armadaScreens.SURVIVAL_SCREEN_SOURCE,
+                {
+                    cssFilename: armadaScreens.SURVIVAL_SCREEN_CSS,
+                    backgroundClassName: armadaScreens.SCREEN_BACKGROUND_CLASS_NAME,
+                    containerClassName: armadaScreens.SCREEN_CONTAINER_CLASS_NAME
+                },
+                {
+                    show: function () {
+                        audio.resetMasterVolume();
+                        audio.resetMusicVolume();
+                        audio.playMusic(armadaScreens.MENU_THEME);
+                    }
+                },
+                {
+                    "escape": function () {
+                        game.closeOrNavigateTo(armadaScreens.SINGLE_PLAYER_SCREEN_NAME);
+                    }
+                },
+                armadaScreens.BUTTON_EVENT_HANDLERS);
+        /** @type SimpleComponent */
+        this._backButton = this.registerSimpleComponent(BACK_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._launchButton = this.registerSimpleComponent(LAUNCH_BUTTON_ID);
+        /** @type SimpleComponent */
+        this._highScoresList = this.registerSimpleComponent(HIGH_SCORES_LIST_ID);
+        /** @type Selector */
+        this._locationSelector = this._registerSelector(LOCATION_SELECTOR_ID, strings.SURVIVAL.LOCATION_LABEL);
+        /** @type Selector */
+        this._pilotedClassSelector = this._registerSelector(PILOTED_CLASS_SELECTOR_ID, strings.SURVIVAL.PILOTED_CLASS_LABEL);
+        /**
+         * The names of the spacecraft classes offered in the piloted class selector
+         * @type String[]
+         */
+        this._pilotedClasses = [];
+    }
+    SurvivalScreen.prototype = new screens.HTMLScreen();
+    SurvivalScreen.prototype.constructor = SurvivalScreen;
+    /**
+     * @param {String} name
+     * @param {Object} labelStringDefinition
+     * @returns {Selector}
+     */
+    SurvivalScreen.prototype._registerSelector = function (name, labelStringDefinition) {
+        return this.registerExternalComponent(
+                new components.Selector(
+                        name,
+                        armadaScreens.SELECTOR_SOURCE,
+                        {cssFilename: armadaScreens.SELECTOR_CSS},
+                        {id: labelStringDefinition.name},
+                        [""]),
+                SETTINGS_ID);
+    };
+    /**
+     * Returns the name of the currently selected environment
+     * @returns {String}
+     */
+    SurvivalScreen.prototype._getSelectedEnvironment = function () {
+        return environments.getEnvironmentNames()[this._locationSelector.getSelectedIndex()];
+    };
+    /**
+     * Returns the name of the currently selected spacecraft class
+     * @returns {String}
+     */
+    SurvivalScreen.prototype._getSelectedClass = function () {
+        return this._pilotedClasses[this._pilotedClassSelector.getSelectedIndex()];
+    };
+    /**
+     * Fills the high score table with the best results achieved with the currently selected environment and spacecraft class
+     */
+    SurvivalScreen.prototype._updateHighScores = function () {
+        var highScores = survival.getHighScores(this._getSelectedEnvironment(), this._getSelectedClass()), tr, td;
+        this._highScoresList.setContent("");
+        if (highScores.length === 0) {
+            tr = document.createElement("tr");
+            td = _createCell(strings.get(strings.SURVIVAL.NO_HIGH_SCORES), NO_HIGH_SCORES_CELL_CLASS);
+            td.colSpan = COLUMN_COUNT;
+            tr.appendChild(td);
+            this._highScoresList.getElement().appendChild(tr);
+            return;
+        }
+        highScores.forEach(function (highScore, index) {
+            tr = document.createElement("tr");
+            tr.appendChild(_createCell((index + 1).toString(), RANK_CELL_CLASS));
+            tr.appendChild(_createCell(highScore.wave.toString(), NUMBER_CELL_CLASS));
+            tr.appendChild(_createCell(highScore.score.toString(), NUMBER_CELL_CLASS));
+            tr.appendChild(_createCell(new Date(highScore.date).toLocaleDateString(strings.getLocale(), DATE_FORMAT_OPTIONS)));
+            this._highScoresList.getElement().appendChild(tr);
+        }.bind(this));
+    };
+    /**
+     * Starts a survival battle with the currently selected environment and spacecraft class
+     */
+    SurvivalScreen.prototype._launchMission = function () {
+        var environment = this._getSelectedEnvironment();
+        audio.playMusic(null);
+        game.setScreen(armadaScreens.BATTLE_SCREEN_NAME);
+        game.getScreen().startNewBattle({
+            missionData: survival.generateMissionData({
+                title: utils.formatString(strings.get(strings.SURVIVAL.MISSION_TITLE), {
+                    location: _mapLocationName(environment)
+                }),
+                environment: environment,
+                pilotedClass: this._getSelectedClass(),
+                waveMessage: strings.get(strings.SURVIVAL.WAVE_MESSAGE)
+            }),
+            difficulty: missions.getDifficulty(),
+            survival: true
+        });
+    };
+    /**
+     * @override
+     */
+    SurvivalScreen.prototype._initializeComponents = function () {
+        screens.HTMLScreen.prototype._initializeComponents.call(this);
+        this._backButton.getElement().onclick = function () {
+            game.closeOrNavigateTo(armadaScreens.SINGLE_PLAYER_SCREEN_NAME);
+            return false;
+        }.bind(this);
+        this._launchButton.getElement().onclick = function () {
+            this._launchMission();
+            return false;
+        }.bind(this);
+        this._locationSelector.onChange = this._updateHighScores.bind(this);
+        this._pilotedClassSelector.onChange = this._updateHighScores.bind(this);
+    };
+    /**
+     * @override
+     * @param {Boolean} active
+     */
+    SurvivalScreen.prototype.setActive = function (active) {
+        screens.HTMLScreen.prototype.setActive.call(this, active);
+        if (active) {
+            this._pilotedClasses = survival.getPilotedClassNames();
+            this._locationSelector.setValueList(environments.getEnvironmentNames().map(_mapLocationName));
+            this._pilotedClassSelector.setValueList(this._pilotedClasses.map(_mapClassName));
+            this._locationSelector.refreshValue();
+            this._pilotedClassSelector.refreshValue();
+            this._updateHighScores();
+        }
+    };
+    // -------------------------------------------------------------------------
+    // The public interface of the module
+    return {
+        getSurvivalScreen: function () {
+            return new SurvivalScreen();
+        }
+    };
+});
@@ -0,0 +1,237 @@
+/**
+ * Copyright 2026 Krisztián Nagy
+ * @file Provides functionality to run mission battles without displaying them (in headless mode, e.g. from Node.js), with all the
+ * spacecrafts (including the one that would be piloted by the player) controlled by the AI, and to report their outcome.
+ * The application needs to be set to headless mode before loading this module.
+ * @author Krisztián Nagy [nkrisztian89@gmail.com]
+ * @licence GNU GPLv3 <http://www.gnu.org/licenses/>
+ */
+
+/**
+ * @param utils Used for converting mission state names
+ * @param application Used for loading the configuration files and logging
+ * @param resources Used to load the resources (models) needed for the simulation
+ * @param config Used to load the game configuration and settings and access the simulation settings
+ * @param graphics Used to load the graphics configuration (needed to load the models)
+ * @param environments Used to load the environments
+ * @param missions Used to load and create the missions
+ * @param missionEvents Used to access the mission state enum
+ * @param formations Used to reset the random seed of formations before the simulation
+ * @param ai Used to control the spacecrafts during the simulation
+ */
+define([
+    "utils/utils",
+    "modules/application",
+    "modules/media-resources",
+    "armada/configuration",
+    "armada/graphics",
+    "armada/logic/environments",
+    "armada/logic/missions",
+    "armada/logic/missions/events",
+    "armada/logic/formations",
+    "armada/logic/ai"
+], function (utils, application, resources, config, graphics, environments, missions, missionEvents, formations, ai) {
+    "use strict";
+    var
+            // ------------------------------------------------------------------------------
+            // constants
+            /**
+             * The ID of the folder containing the game configuration file
+             * @type String
+             */
+            CONFIG_FOLDER = "config",
+            /**
+             * The name of the game configuration file
+             * @type String
+             */
+            CONFIG_FILENAME = "config.json",
+            /**
+             * The default time limit for simulations, in seconds of simulated time
+             * @type Number
+             */
+            DEFAULT_TIME_LIMIT = 1200,
+            /**
+             * The name under which spacecrafts not belonging to any team are counted in the reports
+             * @type String
+             */
+            NO_TEAM_NAME = "none",
+            // ------------------------------------------------------------------------------
+            // private variables
+            /**
+             * The game configuration JSON, once the configuration, settings, environments and missions have been loaded
+             * @type Object
+             */
+            _configJSON = null;
+    // ------------------------------------------------------------------------------
+    // private functions
+    /**
+     * Returns the name of the team of the passed spacecraft to be used in the reports
+     * @param {Spacecraft} spacecraft
+     * @returns {String}
+     */
+    function _getTeamName(spacecraft) {
+        var team = spacecraft.getTeam();
+        return team ? team.getName() : NO_TEAM_NAME;
+    }
+    /**
+     * Returns the name of the team that won the battle of the passed (finished) mission - the team of the spacecrafts that are still
+     * present if there are no hostiles left among them, or null, if there is no such team
+     * @param {Mission} mission
+     * @returns {String|null}
+     */
+    function _getWinnerTeamName(mission) {
+        var i, spacecrafts = mission.getSpacecrafts();
+        if (mission.noHostilesPresent()) {
+            for (i = 0; i < spacecrafts.length; i++) {
+                if (spacecrafts[i].isAlive() && !spacecrafts[i].isAway()) {
+                    return _getTeamName(spacecrafts[i]);
+                }
+            }
+        }
+        return null;
+    }
+    // ------------------------------------------------------------------------------
+    // public functions
+    /**
+     * Loads the game configuration, settings, environments and missions needed to run simulations, and executes the passed callback
+     * when done. (only loads them once, executes the callback right away if they have already been loaded)
+     * @param {Function} callback Called with the game configuration JSON (the parsed contents of config.json)
+     */
+    function requestLoad(callback) {
+        if (_configJSON) {
+            callback(_configJSON);
+            return;
+        }
+        application.requestTextFile(CONFIG_FOLDER, CONFIG_FILENAME, function (configText) {
+            var configJSON = JSON.parse(configText);
+            application.setFolders(configJSON.folders);
+            application.setLogVerbosity(configJSON.logVerbosity);
+            application.setVersion(configJSON.version);
+            config.loadConfigurationFromJSON(configJSON.dataFiles.logic);
+            graphics.loadConfigurationFromJSON(configJSON.graphics);
+            missions.loadConfigurationFromJSON(configJSON.logic);
+            resources.requestConfigLoad(configJSON.dataFiles.media.resources, function () {
+                application.log("Simulation configuration loaded.", 1);
+            });
+            application.requestTextFile(configJSON.configFiles.settings.folder, configJSON.configFiles.settings.filename, function (settingsText) {
+                // graphics and audio settings are not loaded, as there is no display or audio output to apply them to
+                config.loadSettingsFromJSON(JSON.parse(settingsText).logic);
+                config.executeWhenReady(function () {
+                    environments.requestLoad();
+                    environments.executeWhenReady(function () {
+                        missions.requestLoad(false);
+                        missions.executeWhenReady(function () {
+                            _configJSON = configJSON;
+                            // the mission context needs to finish processing the loaded missions before new ones can be requested
+                            setTimeout(callback.bind(null, configJSON), 0);
+                        });
+                    });
+                });
+            });
+        });
+    }
+    /**
+     * @typedef {Object} Simulation~Params
+     * @property {String} [difficulty] The string ID of the difficulty level to use (default: the first one)
+     * @property {Boolean} [demoMode=false] If true, the mission is loaded in demo mode, without a piloted spacecraft (and objectives),
+     * otherwise the spacecraft that would be piloted by the player is controlled by the AI
+     * @property {Number} [seed] The seed to reset the random generators of the AI and formations with (default: random)
+     * @property {Number} [timeLimit] The simulation is stopped after this much simulated time has passed, in seconds, even if the
+     * mission has not finished
+     */
+    /**
+     * @typedef {Object} Simulation~TeamReport
+     * @property {Number} initialCount The number of spacecrafts in the team at the start of the mission
+     * @property {Number} remaining The number of spacecrafts in the team still alive at the end of the simulation
+     * @property {Number} kills The number of hostile spacecrafts destroyed by the team
+     */
+    /**
+     * @typedef {Object} Simulation~Report
+     * @property {String} mission The name of the mission
+     * @property {String} difficulty
+     * @property {Boolean} demoMode
+     * @property {Number} seed
+     * @property {Boolean} finished Whether the mission finished before the time limit was reached
+     * @property {String} state The state of the mission at the end of the simulation (camelCase name from MissionState)
+     * @property {Boolean|null} victory Whether the objectives of the piloted spacecraft have been completed (null in demo mode)
+     * @property {String|null} winner The name of the team that is left without hostiles in the battle, if any
+     * @property {Number} time The simulated time until the end of the simulation, in seconds
+     * @property {Number} steps The number of simulation steps executed
+     * @property {Object.<String, Simulation~TeamReport>} teams Statistics for each team, by team name
+     * @property {Object|null} performance The performance statistics of the piloted spacecraft (null in demo mode)
+     */
+    /**
+     * Loads the mission with the passed name, simulates the battle in it until it is finished (or the time limit is reached) and
+     * passes a report about its outcome to the callback. The simulation is run synchronously, using the same time step as the game
+     * uses for its simulation loop. requestLoad() needs to be finished before calling this.
+     * @param {String} missionName The name of the mission (the name of its file)
+     * @param {Simulation~Params} [params]
+     * @param {Function} callback Called with the Simulation~Report object, or with null, if the mission does not exist
+     */
+    function runMission(missionName, params, callback) {
+        params = params || {};
+        missions.requestMission(missionName, params.difficulty || missions.getDifficultyNames()[0], !!params.demoMode, function (mission) {
+            var spacecrafts, pilotedCraft, seed, dt, timeLimit;
+            if (!mission) {
+                application.showError("Cannot simulate mission '" + missionName + "', as it does not exist!");
+                callback(null);
+                return;
+            }
+            // keeping references to all spacecrafts, as destroyed ones get removed from the mission during the simulation
+            spacecrafts = mission.getSpacecrafts().slice();
+            pilotedCraft = mission.getPilotedSpacecraft();
+            if (pilotedCraft) {
+                ai.addAI(config.getSetting(pilotedCraft.isFighter() ?
+                        config.BATTLE_SETTINGS.DEMO_FIGHTER_AI_TYPE :
+                        config.BATTLE_SETTINGS.DEMO_SHIP_AI_TYPE), pilotedCraft, mission);
+            }
+            seed = (params.seed !== undefined) ? params.seed : Math.random();
+            ai.resetRandomSeeds(seed);
+            formations.resetRandomSeed(seed);
+            dt = 1000 / config.getSetting(config.BATTLE_SETTINGS.SIMULATION_STEPS_PER_SECOND);
+            timeLimit = 1000 * (params.timeLimit || DEFAULT_TIME_LIMIT);
+            mission.prepareForSimulation();
+            resources.requestResourceLoad();
+            resources.executeWhenReady(function () {
+                var time = 0, steps = 0, teams = {}, i, teamName, report;
+                while (!mission.isFinished() && (time < timeLimit)) {
+                    ai.control(dt);
+                    mission.tick(dt, null, false);
+                    time += dt;
+                    steps++;
+                }
+                for (i = 0; i < spacecrafts.length; i++) {
+                    teamName = _getTeamName(spacecrafts[i]);
+                    teams[teamName] = teams[teamName] || {initialCount: 0, remaining: 0, kills: 0};
+                    teams[teamName].initialCount++;
+                    teams[teamName].remaining += spacecrafts[i].isAlive() ? 1 : 0;
+                    teams[teamName].kills += spacecrafts[i].getKills();
+                }
+                report = {
+                    mission: missionName,
+                    difficulty: mission.getDifficultyLevel().getName(),
+                    demoMode: !pilotedCraft,
+                    seed: seed,
+                    finished: mission.isFinished(),
+                    state: utils.camelCase(utils.getKeyOfValue(missionEvents.MissionState, mission.getState())),
+                    victory: pilotedCraft ? (mission.getState() === missionEvents.MissionState.COMPLETED) : null,
+                    winner: _getWinnerTeamName(mission),
+                    time: Math.round(time) / 1000,
+                    steps: steps,
+                    teams: teams,
+                    performance: pilotedCraft ? mission.getPerformanceStatistics() : null
+                };
+                ai.clearAIs();
+                mission.destroy();
+                // not calling back from within the on-ready queue of the resources, so that a new simulation can be started from the callback
+                setTimeout(callback.bind(null, report), 0);
+            });
+        });
+    }
+    // -------------------------------------------------------------------------
+    // The public interface of the module
+    return {
+        requestLoad: requestLoad,
+        runMission: runMission
+    };
+});
@@ -46,30 +46,43 @@ define([
         SINGLE_PLAYER: {name: "mainMenu.singlePlayer"},
         MULTIPLAYER: {name: "mainMenu.multiplayer"},
         DATABASE: {name: "mainMenu.database"},
+        PROFILES: {name: "mainMenu.profiles"},
         SETTINGS: {name: "mainMenu.settings"},
         ABOUT: {name: "mainMenu.about"},
         QUIT: {name: "mainMenu.quit"}
     };
     strings.SINGLE_PLAYER_MENU = {
         CAMPAIGN: {name: "singlePlayer.campaign"},
+        CAREER: {name: "singlePlayer.career"},
+        SKIRMISH: {name: "singlePlayer.skirmish"},
+        SURVIVAL: {name: "singlePlayer.survival"},
         MY_MISSIONS: {name: "singlePlayer.myMissions"},
         COMMUNITY_MISSIONS: {name: "singlePlayer.communityMissions"}
     };
     strings.MISSIONS = {
         BACK: {name: "missions.backButton"},
         CAMPAIGN_TITLE: {name: "missions.campaignTitle"},
+        CAREER_TITLE: {name: "missions.careerTitle"},
         MY_MISSIONS_TITLE: {name: "missions.myMissionsTitle"},
         COMMUNITY_MISSIONS_TITLE: {name: "missions.communityMissionsTitle"},
         DIFFICULTY: {name: "missions.difficulty"},
         LAUNCH_BUTTON: {name: "missions.launchButton"},
         DEMO_BUTTON: {name: "missions.demoButton"},
         FILE_BUTTON: {name: "missions.fileButton"},
+        REPLAY_BUTTON: {name: "missions.replayButton"},
         CUSTOM_MISSION_CAPTION: {name: "missions.customMissionCaption"},
         CUSTOM_MISSION_SUBCAPTION: {name: "missions.customMissionSubcaption"},
         COMMUNITY_MISSION_SUBCAPTION: {name: "missions.communityMissionSubcaption"},
         NOT_COMPLETED: {name: "missions.notCompleted"},
         BEST_SCORE: {name: "missions.bestScore"},
         SANDBOX_COMPLETED: {name: "missions.sandboxCompleted"},
+        CHAPTER_LOCKED: {name: "missions.chapterLocked"},
+        CHAPTER_UNLOCKED: {name: "missions.chapterUnlocked"},
+        CHAPTER_COMPLETED: {name: "missions.chapterCompleted"},
+        MISSION_LOCKED: {name: "missions.missionLocked"},
+        BRANCH_NOT_TAKEN: {name: "missions.branchNotTaken"},
+        FACTION_BRANCH: {name: "missions.factionBranch"},
+        OTHER_MISSIONS_CHAPTER: {name: "missions.otherMissionsChapter"},
         NO_SELECTED_NAME: {name: "missions.noSelectedName"},
         NO_SELECTED_DESCRIPTION: {name: "missions.noSelectedDescription"},
         CUSTOM_DESCRIPTION: {name: "missions.customDescription"},
@@ -107,6 +120,93 @@ define([
         SUBMISSION_STATS_WON: {name: "missions.submissionStats.won"},
         SUBMISSION_STATS_LOST: {name: "missions.submissionStats.lost"}
     };
+    strings.HANGAR = {
+        TITLE: {name: "hangar.title"},
+        BACK: {name: "hangar.backButton"},
+        NEW_CAREER_BUTTON: {name: "hangar.newCareerButton"},
+        MISSIONS_BUTTON: {name: "hangar.missionsButton"},
+        PILOT_NAME_LABEL: {name: "hangar.pilotNameLabel"},
+        BUY_SPACECRAFT_BUTTON: {name: "hangar.buySpacecraftButton"},
+        BUY_LOADOUT_BUTTON: {name: "hangar.buyLoadoutButton"},
+        FLY_BUTTON: {name: "hangar.flyButton"},
+        DEFAULT_PILOT_NAME: {name: "hangar.defaultPilotName"},
+        CREDITS: {name: "hangar.credits"},
+        STATISTICS: {name: "hangar.statistics"},
+        LOADOUT_LABEL: {name: "hangar.loadoutLabel"},
+        LOADOUT_PREFIX: {name: "hangar.loadout.", optional: true},
+        OWNED: {name: "hangar.owned"},
+        ACTIVE: {name: "hangar.active"},
+        PRICE: {name: "hangar.price"},
+        SPACECRAFT_PRICE: {name: "hangar.spacecraftPrice"},
+        LOADOUT_PRICE: {name: "hangar.loadoutPrice"},
+        LOADOUT_OWNED: {name: "hangar.loadoutOwned"},
+        ACTIVE_LOADOUT: {name: "hangar.activeLoadout"},
+        NO_SELECTED_NAME: {name: "hangar.noSelectedName"},
+        NO_SELECTED_DESCRIPTION: {name: "hangar.noSelectedDescription"},
+        NOT_ENOUGH_CREDITS: {name: "hangar.notEnoughCredits"},
+        NEW_CAREER_HEADER: {name: "hangar.newCareerHeader"},
+        NEW_CAREER_MESSAGE: {name: "hangar.newCareerMessage"},
+        NEW_CAREER_CONFIRM: {name: "hangar.newCareerConfirm"}
+    };
+    strings.SKIRMISH = {
+        TITLE: {name: "skirmish.title"},
+        BACK: {name: "skirmish.backButton"},
+        SAVE_BUTTON: {name: "skirmish.saveButton"},
+        LAUNCH_BUTTON: {name: "skirmish.launchButton"},
+        BATTLE_TITLE: {name: "skirmish.battleTitle"},
+        FLEETS_TITLE: {name: "skirmish.fleetsTitle"},
+        LOCATION_LABEL: {name: "skirmish.locationLabel"},
+        OBJECTIVE_LABEL: {name: "skirmish.objectiveLabel"},
+        DIFFICULTY_LABEL: {name: "skirmish.difficultyLabel"},
+        WAVES_LABEL: {name: "skirmish.wavesLabel"},
+        PILOTED_CLASS_LABEL: {name: "skirmish.pilotedClassLabel"},
+        WINGMEN_LABEL: {name: "skirmish.wingmenLabel"},
+        FRIENDLY_SHIP_LABEL: {name: "skirmish.friendlyShipLabel"},
+        ENEMY_CLASS_LABEL: {name: "skirmish.enemyClassLabel"},
+        ENEMIES_PER_WAVE_LABEL: {name: "skirmish.enemiesPerWaveLabel"},
+        ENEMY_SHIP_LABEL: {name: "skirmish.enemyShipLabel"},
+        NO_SHIP: {name: "skirmish.noShip"},
+        OBJECTIVE_PREFIX: {name: "skirmish.objective.", optional: true},
+        MISSION_TITLE: {name: "skirmish.missionTitle"},
+        NOTE: {name: "skirmish.note"}
+    };
+    strings.SURVIVAL = {
+        TITLE: {name: "survival.title"},
+        BACK: {name: "survival.backButton"},
+        LAUNCH_BUTTON: {name: "survival.launchButton"},
+        DESCRIPTION: {name: "survival.description"},
+        LOCATION_LABEL: {name: "survival.locationLabel"},
+        PILOTED_CLASS_LABEL: {name: "survival.pilotedClassLabel"},
+        HIGH_SCORES_TITLE: {name: "survival.highScoresTitle"},
+        RANK_COLUMN: {name: "survival.rankColumn"},
+        WAVE_COLUMN: {name: "survival.waveColumn"},
+        SCORE_COLUMN: {name: "survival.scoreColumn"},
+        DATE_COLUMN: {name: "survival.dateColumn"},
+        NO_HIGH_SCORES: {name: "survival.noHighScores"},
+        MISSION_TITLE: {name: "survival.missionTitle"},
+        WAVE_MESSAGE: {name: "survival.waveMessage"}
+    };
+    strings.PROFILES = {
+        TITLE: {name: "profiles.title"},
+        BACK: {name: "profiles.backButton"},
+        NEW_PROFILE_BUTTON: {name: "profiles.newProfileButton"},
+        IMPORT_BUTTON: {name: "profiles.importButton"},
+        PROFILE_NAME_LABEL: {name: "profiles.profileNameLabel"},
+        ACTIVATE_BUTTON: {name: "profiles.activateButton"},
+        EXPORT_BUTTON: {name: "profiles.exportButton"},
+        DELETE_BUTTON: {name: "profiles.deleteButton"},
+        DEFAULT_PROFILE_NAME: {name: "profiles.defaultProfileName"},
+        ACTIVE: {name: "profiles.active"},
+        ACTIVE_DESCRIPTION: {name: "profiles.activeDescription"},
+        INACTIVE_DESCRIPTION: {name: "profiles.inactiveDescription"},
+        NO_SELECTED_DESCRIPTION: {name: "profiles.noSelectedDescription"},
+        ACTIVATE_HEADER: {name: "profiles.activateHeader"},
+        ACTIVATE_MESSAGE: {name: "profiles.activateMessage"},
+        ACTIVATE_CONFIRM: {name: "profiles.activateConfirm"},
+        DELETE_HEADER: {name: "profiles.deleteHeader"},
+        DELETE_MESSAGE: {name: "profiles.deleteMessage"},
+        DELETE_CONFIRM: {name: "profiles.deleteConfirm"}
+    };
     strings.SERVER_REGION = {
         PREFIX: {name: "serverRegion.", optional: true},
         UNKNOWN: {name: "serverRegion.unknown"},
@@ -116,12 +216,17 @@ define([
     strings.MULTI_GAME_MODE = {
         PREFIX: {name: "multiGames.gameMode.", optional: true}
     };
+    strings.MULTI_TEAM = {
+        PREFIX: {name: "multiGames.team.", optional: true}
+    };
     strings.MULTI_GAMES = {
         BACK: {name: "multiGames.backButton"},
         TITLE: {name: "multiGames.title"},
         STARTED_YES: {name: "multiGames.started.yes"},
         STARTED_NO: {name: "multiGames.started.no"},
         JOIN_BUTTON: {name: "multiGames.joinButton"},
+        SPECTATE_BUTTON: {name: "multiGames.spectateButton"},
+        REJOIN_BUTTON: {name: "multiGames.rejoinButton"},
         GAME_MODE: {name: "multiGames.mode"},
         MAX_PLAYERS: {name: "multiGames.maxPlayers"},
         DISCONNECT_MESSAGE: {name: "multiGames.disconnectMessage"},
@@ -129,6 +234,8 @@ define([
         GAME_NOT_FOUND_ERROR: {name: "multiGames.gameNotFoundError"},
         GAME_IS_FULL_ERROR: {name: "multiGames.gameIsFullError"},
         GAME_ALREADY_STARTED_ERROR: {name: "multiGames.gameAlreadyStartedError"},
+        GAME_NOT_STARTED_ERROR: {name: "multiGames.gameNotStartedError"},
+        CANNOT_RECONNECT_ERROR: {name: "multiGames.cannotReconnectError"},
         PLAYER_NAME_ALREADY_EXISTS_ERROR: {name: "multiGames.playerNameAlreadyExistsError"},
         GAME_NAME_ALREADY_EXISTS_ERROR: {name: "multiGames.gameNameAlreadyExistsError"},
         INVALID_GAME_SETTINGS_ERROR: {name: "multiGames.invalidGameSettingsError"},
@@ -151,10 +258,14 @@ define([
         LOADOUT_PREFIX: {name: "multiLobby.loadout.", optional: true},
         DIFFICULTY_LABEL: {name: "multiLobby.difficultyLabel"},
         ENEMIES_PER_WAVE_LABEL: {name: "multiLobby.enemiesPerWaveLabel"},
+        FIRST_TEAM_SIZE_LABEL: {name: "multiLobby.firstTeamSizeLabel"},
+        SECOND_TEAM_SIZE_LABEL: {name: "multiLobby.secondTeamSizeLabel"},
+        CAPITAL_SHIP_LABEL: {name: "multiLobby.capitalShipLabel"},
         HOST_LEFT_MESSAGE: {name: "multiLobby.hostLeftMessage"},
         KICKED_MESSAGE: {name: "multiLobby.kickedMessage"},
         GAME_CREATED_MESSAGE: {name: "multiLobby.gameCreatedMessage"},
         JOINED_MESSAGE: {name: "multiLobby.joinedMessage"},
+        DEDICATED_HOST_MESSAGE: {name: "multiLobby.dedicatedHostMessage"},
         READY_MESSAGE: {name: "multiLobby.readyMessage"},
         PLAYER_JOINED_MESSAGE: {name: "multiLobby.playerJoinedMessage"},
         PLAYER_LEFT_MESSAGE: {name: "multiLobby.playerLeftMessage"},
@@ -204,6 +315,7 @@ define([
         RESTART_HEADER: {name: "ingameMenu.restartDialog.header"},
         RESTART_MESSAGE: {name: "ingameMenu.restartDialog.message"},
         RESTART_RESTART: {name: "ingameMenu.restartDialog.restartButton"},
+        HUD_LAYOUT: {name: "ingameMenu.hudLayout"},
         QUIT: {name: "ingameMenu.quit"},
         QUIT_HEADER: {name: "ingameMenu.quitDialog.header"},
         QUIT_MESSAGE: {name: "ingameMenu.quitDialog.message"},
@@ -235,26 +347,47 @@ define([
         DESCRIPTION_SUFFIX: {name: ".description", optional: true},
         MESSAGES_SUFFIX: {name: ".messages.", optional: true}
     };
+    strings.CAMPAIGN_CHAPTER = {
+        PREFIX: {name: "campaignChapter.", optional: true}
+    };
     strings.FACTION = {
         PREFIX: {name: "faction.", optional: true}
     };
     strings.SQUAD = {
         PREFIX: {name: "squad.", optional: true}
     };
+    strings.SUBSYSTEM = {
+        PREFIX: {name: "subsystem.", optional: true}
+    };
     strings.BATTLE = {
         DEVELOPMENT_VERSION_NOTICE: {name: "battle.developmentVersionNotice"},
         SPECTATOR_MODE: {name: "battle.spectatorMode"},
+        REPLAY_HEADER: {name: "battle.replayHeader"},
+        REPLAY_PAUSED_HEADER: {name: "battle.replayPausedHeader"},
         SCORE: {name: "battle.score"},
         HUD_FIREPOWER: {name: "battle.hud.firepower"},
+        HUD_SUBSYSTEMS: {name: "battle.hud.subsystems"},
+        HUD_SUBSYSTEMS_NONE: {name: "battle.hud.subsystemsNone"},
+        HUD_SUBSYSTEMS_INTACT: {name: "battle.hud.subsystemsIntact"},
+        HUD_SUBSYSTEMS_MORE_DAMAGED: {name: "battle.hud.subsystemsMoreDamaged"},
         HUD_DISTANCE: {name: "battle.hud.distance"},
         HUD_VELOCITY: {name: "battle.hud.velocity"},
         HUD_SPACECRAFT_NAME_UNKNOWN: {name: "battle.hud.spacecraftNameUnknown"},
         HUD_TEAM_UNKNOWN: {name: "battle.hud.teamUnknown"},
         HUD_WINGMEN_HEADER: {name: "battle.hud.wingmenHeader"},
+        HUD_WINGMEN_ORDER: {name: "battle.hud.wingmenOrder"},
+        HUD_WINGMEN_ORDERS_HEADER: {name: "battle.hud.wingmenOrdersHeader"},
+        HUD_POWER_HEADER: {name: "battle.hud.powerHeader"},
+        HUD_BOOSTER_HEADER: {name: "battle.hud.boosterHeader"},
+        HUD_COUNTERMEASURES: {name: "battle.hud.countermeasures"},
+        HUD_RADAR_RANGE: {name: "battle.hud.radarRange"},
         HUD_FLIGHT_MODE: {name: "battle.hud.flightMode"},
         HUD_MISSILES: {name: "battle.hud.missiles"},
         HUD_OBJECTIVES: {name: "battle.hud.objectives"},
         HUD_ESCORTED_SHIPS_HEADER: {name: "battle.hud.escortedShipsHeader"},
+        HUD_LAYOUT_EDITOR_HEADER: {name: "battle.hudLayoutEditor.header"},
+        HUD_LAYOUT_EDITOR_HIDDEN: {name: "battle.hudLayoutEditor.hidden"},
+        HUD_LAYOUT_EDITOR_HELP: {name: "battle.hudLayoutEditor.help"},
         OBJECTIVE_SUBJECTS_SPACECRAFTS: {name: "battle.objectiveSubjects.spacecrafts"},
         OBJECTIVE_SUBJECTS_SQUADS: {name: "battle.objectiveSubjects.squads"},
         OBJECTIVE_SUBJECTS_TEAMS: {name: "battle.objectiveSubjects.teams"},
@@ -282,7 +415,11 @@ define([
         ALL_PLAYERS_LEFT_MESSAGE: {name: "battle.multi.allPlayersLeftMessage"},
         SLOW_CONNECTION: {name: "battle.multi.slowConnection"},
         CONNECTION_LOST: {name: "battle.multi.connectionLost"},
-        CONNECTION_TIMEOUT: {name: "battle.multi.connectionTimeout"}
+        CONNECTION_TIMEOUT: {name: "battle.multi.connectionTimeout"},
+        PLAYER_DROPPED_MESSAGE: {name: "battle.multi.playerDroppedMessage"},
+        PLAYER_RECONNECTED_MESSAGE: {name: "battle.multi.playerReconnectedMessage"},
+        REJOINING: {name: "battle.multi.rejoining"},
+        REJOIN_FAILED: {name: "battle.multi.rejoinFailed"}
     };
     strings.PERFORMANCE_LEVEL = {
         PREFIX: {name: "performanceLevel.", optional: true}
@@ -294,6 +431,9 @@ define([
         GENERIC_TITLE: {name: "debriefing.genericTitle"},
         SCORE: {name: "debriefing.score"},
         NEW_RECORD: {name: "debriefing.newRecord"},
+        CAREER_REWARD: {name: "debriefing.careerReward"},
+        SURVIVAL_RESULT: {name: "debriefing.survivalResult"},
+        SURVIVAL_HIGH_SCORE: {name: "debriefing.survivalHighScore"},
         DESCRIPTION_VICTORY: {name: "debriefing.description.victory"},
         DESCRIPTION_NEXT_PERFORMANCE: {name: "debriefing.description.nextPerformance"},
         DESCRIPTION_FAIL: {name: "debriefing.description.fail"},
@@ -315,10 +455,15 @@ define([
         HULL_INTEGRITY_BONUS_LABEL_CELL: {name: "debriefing.hullIntegrityBonusLabelCell"},
         TEAM_SURVIVAL_BONUS_LABEL_CELL: {name: "debriefing.teamSurvivalBonusLabelCell"},
         SCORE_BREAKDOWN_HEADER: {name: "debriefing.scoreBreakdownHeader"},
-        RESTART_BUTTON: {name: "debriefing.restartButton"}
+        RESTART_BUTTON: {name: "debriefing.restartButton"},
+        SAVE_REPLAY_BUTTON: {name: "debriefing.saveReplayButton"},
+        WATCH_REPLAY_BUTTON: {name: "debriefing.watchReplayButton"}
     };
     strings.MULTI_SCORE = {
-        TITLE: {name: "multiScore.title"}
+        TITLE: {name: "multiScore.title"},
+        VICTORY: {name: "multiScore.result.victory"},
+        DEFEAT: {name: "multiScore.result.defeat"},
+        DRAW: {name: "multiScore.result.draw"}
     };
     strings.DATABASE = {
         BACK: {name: "database.backButton"},
@@ -509,6 +654,16 @@ define([
         NAME_SUFFIX: {name: ".name", optional: true},
         DESCRIPTION_SUFFIX: {name: ".description", optional: true}
     };
+    strings.BOOSTER_CLASS = {
+        PREFIX: {name: "boosterClass.", optional: true},
+        NAME_SUFFIX: {name: ".name", optional: true},
+        DESCRIPTION_SUFFIX: {name: ".description", optional: true}
+    };
+    strings.COUNTERMEASURE_CLASS = {
+        PREFIX: {name: "countermeasureClass.", optional: true},
+        NAME_SUFFIX: {name: ".name", optional: true},
+        DESCRIPTION_SUFFIX: {name: ".description", optional: true}
+    };
     strings.MISSILE_SIZE = {
         PREFIX: {name: "missileSize.", optional: true}
     };
@@ -518,6 +673,15 @@ define([
     strings.FLIGHT_MODE = {
         PREFIX: {name: "flightMode.", optional: true}
     };
+    strings.WINGMEN_ORDER = {
+        PREFIX: {name: "wingmenOrder.", optional: true}
+    };
+    strings.POWER_SYSTEM = {
+        PREFIX: {name: "powerSystem.", optional: true}
+    };
+    strings.HUD_SECTION = {
+        PREFIX: {name: "hudSection.", optional: true}
+    };
     strings.TIP = {
         PREFIX: {name: "tip.", optional: true}
     };
@@ -535,6 +535,27 @@ define([
                 baseType: BaseType.ENUM,
                 classReference: "shieldClasses"
             },
+            /**
+             * @type Editor~TypeDescriptor
+             */
+            BOOSTER_CLASS_REFERENCE = {
+                baseType: BaseType.ENUM,
+                classReference: "boosterClasses"
+            },
+            /**
+             * @type Editor~TypeDescriptor
+             */
+            COUNTERMEASURE_CLASS_REFERENCE = {
+                baseType: BaseType.ENUM,
+                classReference: "countermeasureClasses"
+            },
+            /**
+             * @type Editor~TypeDescriptor
+             */
+            AI_PROFILE_REFERENCE = {
+                baseType: BaseType.ENUM,
+                classReference: "aiProfiles"
+            },
             /**
              * @type Editor~TypeDescriptor
              */
@@ -1499,6 +1520,12 @@ define([
                     defaultValue: 0,
                     isValid: _missileIsHoming
                 },
+                COUNTERMEASURE_RESISTANCE: {
+                    name: "countermeasureResistance",
+                    type: RATIO,
+                    defaultValue: 0,
+                    isValid: _missileIsHoming
+                },
                 LOCKING_ANGLE: {
                     name: "lockingAngle",
                     type: POSITIVE_DEGREES_180,
@@ -1958,6 +1985,87 @@ define([
                     defaultValue: 0
                 }
             },
+            /**
+             * The descriptor object for booster classes, describing their properties
+             * @type Editor~ItemDescriptor
+             */
+            BOOSTER_CLASS = {
+                NAME: {
+                    name: "name",
+                    type: BaseType.STRING
+                },
+                FULL_NAME: {
+                    name: "fullName",
+                    type: BaseType.STRING,
+                    getDerivedDefault: _getName,
+                    updateOnValidate: true
+                },
+                FUEL: {
+                    name: "fuel",
+                    type: POSITIVE_NUMBER
+                },
+                RECHARGE_RATE: {
+                    name: "rechargeRate",
+                    type: NON_NEGATIVE_NUMBER,
+                    defaultValue: 0
+                },
+                SPEED_FACTOR: {
+                    name: "speedFactor",
+                    type: POSITIVE_SCALE
+                },
+                THRUST_FACTOR: {
+                    name: "thrustFactor",
+                    type: POSITIVE_SCALE
+                },
+                START_SOUND: {
+                    name: "startSound",
+                    type: SOUND_DESCRIPTOR,
+                    optional: true
+                },
+                SCORE_VALUE: {
+                    name: "scoreValue",
+                    type: NON_NEGATIVE_INTEGER,
+                    defaultValue: 0
+                }
+            },
+            /**
+             * The descriptor object for countermeasure classes, describing their properties
+             * @type Editor~ItemDescriptor
+             */
+            COUNTERMEASURE_CLASS = {
+                NAME: {
+                    name: "name",
+                    type: BaseType.STRING
+                },
+                FULL_NAME: {
+                    name: "fullName",
+                    type: BaseType.STRING,
+                    getDerivedDefault: _getName,
+                    updateOnValidate: true
+                },
+                CAPACITY: {
+                    name: "capacity",
+                    type: POSITIVE_INTEGER
+                },
+                COOLDOWN: {
+                    name: "cooldown",
+                    type: POSITIVE_MILLISECONDS
+                },
+                EFFECTIVENESS: {
+                    name: "effectiveness",
+                    type: RATIO,
+                    defaultValue: 1
+                },
+                EXPLOSION: {
+                    name: "explosion",
+                    type: EXPLOSION_CLASS_REFERENCE
+                },
+                SCORE_VALUE: {
+                    name: "scoreValue",
+                    type: NON_NEGATIVE_INTEGER,
+                    defaultValue: 0
+                }
+            },
             /**
              * @type Editor~TypeDescriptor
              */
@@ -2459,6 +2567,44 @@ define([
                     }
                 }
             },
+            /**
+             * @type Editor~TypeDescriptor
+             */
+            BOOSTER = {
+                baseType: BaseType.OBJECT,
+                name: "Booster",
+                getPreviewText: function (instance) {
+                    return instance.class;
+                },
+                properties: {
+                    CLASS: {
+                        name: "class",
+                        type: BOOSTER_CLASS_REFERENCE
+                    }
+                }
+            },
+            /**
+             * @type Editor~TypeDescriptor
+             */
+            COUNTERMEASURES = {
+                baseType: BaseType.OBJECT,
+                name: "Countermeasures",
+                getPreviewText: function (instance) {
+                    return instance.class;
+                },
+                properties: {
+                    CLASS: {
+                        name: "class",
+                        type: COUNTERMEASURE_CLASS_REFERENCE
+                    },
+                    AMOUNT: {
+                        name: "amount",
+                        type: POSITIVE_INTEGER,
+                        optional: true,
+                        defaultText: "full capacity"
+                    }
+                }
+            },
             /**
              * @type Editor~TypeDescriptor
              */
@@ -2537,6 +2683,18 @@ define([
                         type: SHIELD,
                         optional: true,
                         defaultText: "none"
+                    },
+                    BOOSTER: {
+                        name: "booster",
+                        type: BOOSTER,
+                        optional: true,
+                        defaultText: "none"
+                    },
+                    COUNTERMEASURES: {
+                        name: "countermeasures",
+                        type: COUNTERMEASURES,
+                        optional: true,
+                        defaultText: "none"
                     }
                 }
             },
@@ -2561,6 +2719,49 @@ define([
                     }
                 }
             },
+            /**
+             * @type Editor~TypeDescriptor
+             */
+            SUBSYSTEM_TYPE = {
+                baseType: BaseType.ENUM,
+                values: classes.SubsystemType
+            },
+            _isWeaponsSubsystem = function (data) {
+                return data.type === classes.SubsystemType.WEAPONS;
+            },
+            /**
+             * @type Editor~TypeDescriptor
+             */
+            SUBSYSTEM = {
+                baseType: BaseType.OBJECT,
+                name: "Subsystem",
+                getName: function (data) {
+                    return data.type + " (" + data.hitpoints + ")";
+                },
+                properties: {
+                    TYPE: {
+                        name: "type",
+                        type: SUBSYSTEM_TYPE,
+                        newValue: classes.SubsystemType.PROPULSION
+                    },
+                    HITPOINTS: {
+                        name: "hitpoints",
+                        type: POSITIVE_INTEGER,
+                        newValue: 100
+                    },
+                    WEAPON_SLOTS: {
+                        name: "weaponSlots",
+                        type: _createTypedArrayType(NON_NEGATIVE_INTEGER, {min: 1}),
+                        optional: true,
+                        defaultText: "all",
+                        isValid: _isWeaponsSubsystem
+                    },
+                    BODIES: {
+                        name: "bodies",
+                        type: _createTypedArrayType(BODY, {min: 1})
+                    }
+                }
+            },
             _isSpotLight = function (data) {
                 return !!data.spotDirection;
             },
@@ -2708,6 +2909,11 @@ define([
                     type: NON_NEGATIVE_NUMBER,
                     defaultValue: 0
                 },
+                REACTOR_OUTPUT: {
+                    name: "reactorOutput",
+                    type: NON_NEGATIVE_INTEGER,
+                    defaultValue: 0
+                },
                 TURN_STYLE: {
                     name: "turnStyle",
                     type: SPACECRAFT_TURN_STYLE,
@@ -2832,6 +3038,12 @@ define([
                     optional: true,
                     defaultText: "none"
                 },
+                SUBSYSTEMS: {
+                    name: "subsystems",
+                    type: _createTypedArrayType(SUBSYSTEM, {min: 1}),
+                    optional: true,
+                    defaultText: "none"
+                },
                 LIGHTS: {
                     name: "lights",
                     type: _createTypedArrayType(SPACECRAFT_LIGHT, {min: 1}),
@@ -2850,6 +3062,69 @@ define([
                     defaultValue: 0
                 }
             },
+            /**
+             * @type Editor~TypeDescriptor
+             */
+            AI_EVASION_STYLE = {
+                baseType: BaseType.ENUM,
+                values: classes.AIEvasionStyle
+            },
+            /**
+             * @type Editor~TypeDescriptor
+             */
+            AI_MISSILE_USAGE = {
+                baseType: BaseType.ENUM,
+                values: classes.AIMissileUsage
+            },
+            /**
+             * The descriptor object for AI profiles, describing their properties
+             * @type Editor~ItemDescriptor
+             */
+            AI_PROFILE = {
+                NAME: {
+                    name: "name",
+                    type: BaseType.STRING
+                },
+                AGGRESSION: {
+                    name: "aggression",
+                    type: NON_NEGATIVE_NUMBER,
+                    defaultValue: 1,
+                    description: "Fighters with higher aggression close in on their targets and initiate charge attacks sooner (after fewer misses / hits taken). At 0, they never do."
+                },
+                ENGAGEMENT_DISTANCE_FACTOR: {
+                    name: "engagementDistanceFactor",
+                    type: NON_NEGATIVE_NUMBER,
+                    defaultValue: 0,
+                    defaultText: "AI default",
+                    description: "The preferred distance to attack targets from, relative to the range of the weapons of the spacecraft."
+                },
+                EVASION: {
+                    name: "evasion",
+                    type: AI_EVASION_STYLE,
+                    defaultValue: classes.AIEvasionStyle.ANTICIPATE,
+                    description: "none: never performs evasive maneuvers\nwhenHit: performs evasive maneuvers when getting hit\nanticipate: also performs evasive maneuvers when seeing its target fire at it"
+                },
+                MISSILE_USAGE: {
+                    name: "missileUsage",
+                    type: AI_MISSILE_USAGE,
+                    defaultValue: classes.AIMissileUsage.NORMAL,
+                    description: "none: never launches missiles\nnormal: launches missiles until the ones already on the way would destroy the target\nunrestricted: keeps launching missiles as long as it has a lock"
+                },
+                TARGET_PRIORITIES: {
+                    name: "targetPriorities",
+                    type: _createTypedAssociativeArrayType(POSITIVE_NUMBER),
+                    optional: true,
+                    defaultText: "none",
+                    description: "Weights for spacecraft types (by name) when choosing targets: targets of types with higher weights are preferred (the default weight is 1)"
+                },
+                RETREAT_HULL_INTEGRITY: {
+                    name: "retreatHullIntegrity",
+                    type: RATIO,
+                    defaultValue: 0,
+                    defaultText: "never",
+                    description: "The AI retreats (jumps out, or if it cannot, flies away) when getting hit and the hull integrity drops below this ratio"
+                }
+            },
             /**
              * @type Editor~TypeDescriptor
              */
@@ -3259,15 +3534,75 @@ define([
                     return [];
                 }
             },
+            _variableHasNoFlag = function (data) {
+                return data.flag === undefined;
+            },
+            _variableHasNoValue = function (data) {
+                return data.value === undefined;
+            },
+            /**
+             * @type Editor~TypeDescriptor
+             */
+            MISSION_VARIABLE = {
+                baseType: BaseType.OBJECT,
+                name: "Variable",
+                getPreviewText: function (instance) {
+                    return instance.name + " = " + ((instance.flag !== undefined) ? instance.flag : (instance.value || 0));
+                },
+                properties: {
+                    NAME: {
+                        name: "name",
+                        type: BaseType.STRING
+                    },
+                    VALUE: {
+                        name: "value",
+                        type: BaseType.NUMBER,
+                        optional: true,
+                        isValid: _variableHasNoFlag,
+                        defaultText: "0",
+                        description: "The initial value of a number variable"
+                    },
+                    FLAG: {
+                        name: "flag",
+                        type: BaseType.BOOLEAN,
+                        optional: true,
+                        isValid: _variableHasNoValue,
+                        defaultText: "number variable",
+                        description: "The initial value of a boolean variable (set it to make the variable a boolean)"
+                    }
+                }
+            },
+            /**
+             * @type Editor~TypeDescriptor
+             */
+            VARIABLE_REFERENCE = {
+                baseType: BaseType.ENUM,
+                name: "Variable",
+                getValues: function (parent, topParent) {
+                    if (topParent.variables) {
+                        return topParent.variables.filter(function (variable) {
+                            return !!variable.name;
+                        }).map(function (variable) {
+                            return variable.name;
+                        });
+                    }
+                    return [];
+                }
+            },
             _hasWhichParam = function (data, parent) {
                 return !!parent && (
                         (parent.type === ConditionType.DESTROYED) ||
                         (parent.type === ConditionType.HULL_INTEGRITY) ||
                         (parent.type === ConditionType.SHIELD_INTEGRITY) ||
+                        (parent.type === ConditionType.SUBSYSTEM_INTEGRITY) ||
                         (parent.type === ConditionType.DISTANCE) ||
                         (parent.type === ConditionType.AWAY) ||
                         (parent.type === ConditionType.ON_TEAM) ||
-                        (parent.type === ConditionType.IS_TARGETED));
+                        (parent.type === ConditionType.IS_TARGETED) ||
+                        (parent.type === ConditionType.SPEED) ||
+                        (parent.type === ConditionType.FLIGHT_MODE) ||
+                        (parent.type === ConditionType.MISSILE_COUNT) ||
+                        (parent.type === ConditionType.IN_VIEW));
             },
             _parentIsCountCondition = function (data, parent) {
                 return !!parent && (parent.type === ConditionType.COUNT);
@@ -3276,7 +3611,10 @@ define([
                 return !!parent && (parent.type === ConditionType.TIME);
             },
             _parentIsIntegrityCondition = function (data, parent) {
-                return !!parent && ((parent.type === ConditionType.HULL_INTEGRITY) || (parent.type === ConditionType.SHIELD_INTEGRITY));
+                return !!parent && ((parent.type === ConditionType.HULL_INTEGRITY) || (parent.type === ConditionType.SHIELD_INTEGRITY) || (parent.type === ConditionType.SUBSYSTEM_INTEGRITY));
+            },
+            _parentIsSubsystemIntegrityCondition = function (data, parent) {
+                return !!parent && (parent.type === ConditionType.SUBSYSTEM_INTEGRITY);
             },
             _parentIsDistanceCondition = function (data, parent) {
                 return !!parent && (parent.type === ConditionType.DISTANCE);
@@ -3299,6 +3637,33 @@ define([
             _parentIsMissionStateCondition = function (data, parent) {
                 return !!parent && (parent.type === ConditionType.MISSION_STATE);
             },
+            _parentIsSpeedCondition = function (data, parent) {
+                return !!parent && (parent.type === ConditionType.SPEED);
+            },
+            _hasTargetParam = function (data, parent) {
+                return _parentIsDistanceCondition(data, parent) || _parentIsSpeedCondition(data, parent);
+            },
+            _parentIsFlightModeCondition = function (data, parent) {
+                return !!parent && (parent.type === ConditionType.FLIGHT_MODE);
+            },
+            _parentIsMissileCountCondition = function (data, parent) {
+                return !!parent && (parent.type === ConditionType.MISSILE_COUNT);
+            },
+            _parentIsInViewCondition = function (data, parent) {
+                return !!parent && (parent.type === ConditionType.IN_VIEW);
+            },
+            _hasMaxDistanceParam = function (data, parent) {
+                return _parentIsDistanceCondition(data, parent) || _parentIsInViewCondition(data, parent);
+            },
+            _parentIsVariableCondition = function (data, parent) {
+                return !!parent && (parent.type === ConditionType.VARIABLE);
+            },
+            _isNumberVariableCondition = function (data, parent) {
+                return _parentIsVariableCondition(data, parent) && (data.flag === undefined);
+            },
+            _isBooleanVariableCondition = function (data, parent) {
+                return _parentIsVariableCondition(data, parent) && (data.value === undefined) && (data.minValue === undefined) && (data.maxValue === undefined);
+            },
             _isRepeatTime = function (data, parent) {
                 return _parentIsTimeCondition(data, parent) && (data.when === conditions.TimeConditionWhen.REPEAT);
             },
@@ -3310,6 +3675,14 @@ define([
                 name: "MissionStates",
                 values: missionEvents.MissionState
             },
+            /**
+             * @type Editor~TypeDescriptor
+             */
+            FLIGHT_MODE_SET = {
+                baseType: BaseType.SET,
+                name: "FlightModes",
+                values: equipment.FlightMode
+            },
             /**
              * A merge of all the different possible condition parameters
              * @type Editor~TypeDescriptor
@@ -3319,12 +3692,14 @@ define([
                 name: "ConditionParams",
                 getPreviewText: function (instance, parent) {
                     var result = "";
-                    // HullIntegrityCondition and ShieldIntegrityCondition params:
+                    // HullIntegrityCondition, ShieldIntegrityCondition and SubsystemIntegrityCondition params:
                     if (instance.minIntegrity !== undefined || instance.maxIntegrity !== undefined) {
                         if (instance.minIntegrity !== undefined) {
                             result += instance.minIntegrity + "% < ";
                         }
-                        result += (parent && (parent.type === ConditionType.SHIELD_INTEGRITY)) ? "shield of " : "hull of ";
+                        result += (parent && (parent.type === ConditionType.SHIELD_INTEGRITY)) ? "shield of " :
+                                (parent && (parent.type === ConditionType.SUBSYSTEM_INTEGRITY)) ? (instance.subsystem || "subsystem") + " of " :
+                                "hull of ";
                         if (parent && parent.subjects) {
                             result += SUBJECT_GROUP.getPreviewText(parent.subjects, parent);
                         } else {
@@ -3339,6 +3714,54 @@ define([
                         }
                         return result;
                     }
+                    // SpeedCondition params:
+                    if (instance.minSpeed !== undefined || instance.maxSpeed !== undefined) {
+                        if (instance.minSpeed !== undefined) {
+                            result += instance.minSpeed + " m/s < ";
+                        }
+                        result += instance.target ? "velocity toward " + instance.target : "speed";
+                        if (instance.maxSpeed !== undefined) {
+                            result += " < " + instance.maxSpeed + " m/s";
+                        }
+                        return result;
+                    }
+                    // MissileCountCondition params:
+                    if (instance.minMissiles !== undefined || instance.maxMissiles !== undefined) {
+                        if (instance.minMissiles !== undefined) {
+                            result += instance.minMissiles + " <= ";
+                        }
+                        result += (instance.missileClass || "missile") + " count";
+                        if (instance.maxMissiles !== undefined) {
+                            result += " <= " + instance.maxMissiles;
+                        }
+                        return result;
+                    }
+                    // InViewCondition params:
+                    if (instance.angle !== undefined) {
+                        return (instance.which ? instance.which + " " : "") + "within " + instance.angle + "° of " + (instance.viewer || "player") +
+                                ((instance.maxDistance !== undefined) ? ", " + utils.getLengthString(instance.maxDistance) : "");
+                    }
+                    // VariableCondition params:
+                    if (instance.variable !== undefined) {
+                        if (instance.flag !== undefined) {
+                            return instance.variable + " is " + instance.flag;
+                        }
+                        if (instance.value !== undefined) {
+                            return instance.variable + " = " + instance.value;
+                        }
+                        if (instance.minValue !== undefined) {
+                            result += instance.minValue + " <= ";
+                        }
+                        result += instance.variable;
+                        if (instance.maxValue !== undefined) {
+                            result += " <= " + instance.maxValue;
+                        }
+                        return result;
+                    }
+                    // FlightModeCondition params:
+                    if (instance.flightModes !== undefined) {
+                        return (instance.which ? instance.which + " " : "") + "in " + (instance.flightModes.join(" or ") || "unknown") + " mode";
+                    }
                     // DistanceCondition params:
                     if (instance.minDistance !== undefined || instance.maxDistance !== undefined) {
                         if (instance.minDistance !== undefined) {
@@ -3446,7 +3869,7 @@ define([
                         isValid: _isRepeatTime,
                         defaultValue: 0
                     },
-                    // HullIntegrityCondition and ShieldIntegrityCondition params:
+                    // HullIntegrityCondition, ShieldIntegrityCondition and SubsystemIntegrityCondition params:
                     MIN_INTEGRITY: {
                         name: "minIntegrity",
                         type: NON_NEGATIVE_INT_PERCENT,
@@ -3461,11 +3884,18 @@ define([
                         isValid: _parentIsIntegrityCondition,
                         defaultText: "100%"
                     },
-                    // DistanceCondition params:
+                    // SubsystemIntegrityCondition params:
+                    SUBSYSTEM: {
+                        name: "subsystem",
+                        type: SUBSYSTEM_TYPE,
+                        isRequired: _parentIsSubsystemIntegrityCondition,
+                        isValid: _parentIsSubsystemIntegrityCondition
+                    },
+                    // DistanceCondition and SpeedCondition params:
                     TARGET: {
                         name: "target",
                         type: SPACECRAFT_REFERENCE,
-                        isValid: _parentIsDistanceCondition,
+                        isValid: _hasTargetParam,
                         isRequired: _parentIsDistanceCondition
                     },
                     MIN_DISTANCE: {
@@ -3479,7 +3909,7 @@ define([
                         name: "maxDistance",
                         type: POSITIVE_DISTANCE,
                         optional: true,
-                        isValid: _parentIsDistanceCondition,
+                        isValid: _hasMaxDistanceParam,
                         defaultText: "infinity"
                     },
                     // HitCondition params:
@@ -3519,6 +3949,99 @@ define([
                         type: MISSION_STATE_SET,
                         isValid: _parentIsMissionStateCondition,
                         isRequired: _parentIsMissionStateCondition
+                    },
+                    // SpeedCondition params:
+                    MIN_SPEED: {
+                        name: "minSpeed",
+                        type: METERS_PER_SECOND,
+                        optional: true,
+                        isValid: _parentIsSpeedCondition,
+                        defaultText: "none"
+                    },
+                    MAX_SPEED: {
+                        name: "maxSpeed",
+                        type: METERS_PER_SECOND,
+                        optional: true,
+                        isValid: _parentIsSpeedCondition,
+                        defaultText: "none"
+                    },
+                    // FlightModeCondition params:
+                    FLIGHT_MODES: {
+                        name: "flightModes",
+                        type: FLIGHT_MODE_SET,
+                        isValid: _parentIsFlightModeCondition,
+                        isRequired: _parentIsFlightModeCondition
+                    },
+                    // MissileCountCondition params:
+                    MIN_MISSILES: {
+                        name: "minMissiles",
+                        type: NON_NEGATIVE_INTEGER,
+                        optional: true,
+                        isValid: _parentIsMissileCountCondition,
+                        defaultText: "0"
+                    },
+                    MAX_MISSILES: {
+                        name: "maxMissiles",
+                        type: NON_NEGATIVE_INTEGER,
+                        optional: true,
+                        isValid: _parentIsMissileCountCondition,
+                        defaultText: "infinity"
+                    },
+                    MISSILE_CLASS: {
+                        name: "missileClass",
+                        type: MISSILE_CLASS_REFERENCE,
+                        optional: true,
+                        isValid: _parentIsMissileCountCondition,
+                        defaultText: "any"
+                    },
+                    // InViewCondition params:
+                    ANGLE: {
+                        name: "angle",
+                        type: POSITIVE_DEGREES_180,
+                        isValid: _parentIsInViewCondition,
+                        isRequired: _parentIsInViewCondition
+                    },
+                    VIEWER: {
+                        name: "viewer",
+                        type: SPACECRAFT_REFERENCE,
+                        optional: true,
+                        isValid: _parentIsInViewCondition,
+                        defaultText: "piloted spacecraft"
+                    },
+                    // VariableCondition params:
+                    VARIABLE: {
+                        name: "variable",
+                        type: VARIABLE_REFERENCE,
+                        isValid: _parentIsVariableCondition,
+                        isRequired: _parentIsVariableCondition
+                    },
+                    VALUE: {
+                        name: "value",
+                        type: BaseType.NUMBER,
+                        optional: true,
+                        isValid: _isNumberVariableCondition,
+                        defaultText: "any"
+                    },
+                    MIN_VALUE: {
+                        name: "minValue",
+                        type: BaseType.NUMBER,
+                        optional: true,
+                        isValid: _isNumberVariableCondition,
+                        defaultText: "none"
+                    },
+                    MAX_VALUE: {
+                        name: "maxValue",
+                        type: BaseType.NUMBER,
+                        optional: true,
+                        isValid: _isNumberVariableCondition,
+                        defaultText: "none"
+                    },
+                    FLAG: {
+                        name: "flag",
+                        type: BaseType.BOOLEAN,
+                        optional: true,
+                        isValid: _isBooleanVariableCondition,
+                        defaultText: "true (for boolean variables)"
                     }
                 }
             },
@@ -3527,13 +4050,18 @@ define([
                         (data.type === ConditionType.COUNT) ||
                         (data.type === ConditionType.HULL_INTEGRITY) ||
                         (data.type === ConditionType.SHIELD_INTEGRITY) ||
+                        (data.type === ConditionType.SUBSYSTEM_INTEGRITY) ||
                         (data.type === ConditionType.DISTANCE) ||
                         (data.type === ConditionType.HIT) ||
                         (data.type === ConditionType.COLLISION) ||
                         (data.type === ConditionType.AWAY) ||
                         (data.type === ConditionType.ON_TEAM) ||
                         (data.type === ConditionType.GETS_TARGETED) ||
-                        (data.type === ConditionType.IS_TARGETED);
+                        (data.type === ConditionType.IS_TARGETED) ||
+                        (data.type === ConditionType.SPEED) ||
+                        (data.type === ConditionType.FLIGHT_MODE) ||
+                        (data.type === ConditionType.MISSILE_COUNT) ||
+                        (data.type === ConditionType.IN_VIEW);
             },
             _conditionCanHaveParams = function (data) {
                 return ((data.type === ConditionType.DESTROYED) && data.subjects && new conditions.SubjectGroup(data.subjects).isMulti()) ||
@@ -3541,6 +4069,7 @@ define([
                         (data.type === ConditionType.TIME) ||
                         (data.type === ConditionType.HULL_INTEGRITY) ||
                         (data.type === ConditionType.SHIELD_INTEGRITY) ||
+                        (data.type === ConditionType.SUBSYSTEM_INTEGRITY) ||
                         (data.type === ConditionType.DISTANCE) ||
                         (data.type === ConditionType.HIT) ||
                         (data.type === ConditionType.COLLISION) ||
@@ -3548,16 +4077,27 @@ define([
                         (data.type === ConditionType.ON_TEAM) ||
                         (data.type === ConditionType.MISSION_STATE) ||
                         (data.type === ConditionType.GETS_TARGETED) ||
-                        (data.type === ConditionType.IS_TARGETED);
+                        (data.type === ConditionType.IS_TARGETED) ||
+                        (data.type === ConditionType.SPEED) ||
+                        (data.type === ConditionType.FLIGHT_MODE) ||
+                        (data.type === ConditionType.MISSILE_COUNT) ||
+                        (data.type === ConditionType.IN_VIEW) ||
+                        (data.type === ConditionType.VARIABLE);
             },
             _conditionMustHaveParams = function (data) {
                 return (data.type === ConditionType.COUNT) ||
                         (data.type === ConditionType.TIME) ||
                         (data.type === ConditionType.HULL_INTEGRITY) ||
                         (data.type === ConditionType.SHIELD_INTEGRITY) ||
+                        (data.type === ConditionType.SUBSYSTEM_INTEGRITY) ||
                         (data.type === ConditionType.DISTANCE) ||
                         (data.type === ConditionType.ON_TEAM) ||
-                        (data.type === ConditionType.MISSION_STATE);
+                        (data.type === ConditionType.MISSION_STATE) ||
+                        (data.type === ConditionType.SPEED) ||
+                        (data.type === ConditionType.FLIGHT_MODE) ||
+                        (data.type === ConditionType.MISSILE_COUNT) ||
+                        (data.type === ConditionType.IN_VIEW) ||
+                        (data.type === ConditionType.VARIABLE);
             },
             _getConditionParamDefault = function (data) {
                 switch (data.type) {
@@ -3596,6 +4136,9 @@ define([
                             case ConditionType.SHIELD_INTEGRITY:
                                 return (instance.params && ((instance.params.minIntegrity !== undefined) || (instance.params.maxIntegrity !== undefined))) ?
                                         CONDITION_PARAMS.getPreviewText(instance.params, instance) : "incomplete shield condition";
+                            case ConditionType.SUBSYSTEM_INTEGRITY:
+                                return (instance.params && instance.params.subsystem && ((instance.params.minIntegrity !== undefined) || (instance.params.maxIntegrity !== undefined))) ?
+                                        CONDITION_PARAMS.getPreviewText(instance.params, instance) : "incomplete subsystem condition";
                             case ConditionType.DISTANCE:
                                 return (instance.params && ((instance.params.minDistance !== undefined) || (instance.params.maxDistance !== undefined))) ?
                                         SUBJECT_GROUP.getPreviewText(instance.subjects || utils.EMPTY_OBJECT, instance) + ": " + CONDITION_PARAMS.getPreviewText(instance.params, instance) :
@@ -3616,6 +4159,8 @@ define([
                                 return SUBJECT_GROUP.getPreviewText(instance.subjects || utils.EMPTY_OBJECT, instance) + " gets targeted" + ((instance.params && instance.params.by) ? " " + CONDITION_PARAMS.getPreviewText(instance.params, instance) : "");
                             case ConditionType.IS_TARGETED:
                                 return SUBJECT_GROUP.getPreviewText(instance.subjects || utils.EMPTY_OBJECT, instance) + " is targeted" + ((instance.params && instance.params.by) ? " by " + SUBJECT_GROUP.getPreviewText(instance.params.by) : "");
+                            case ConditionType.VARIABLE:
+                                return (instance.params && instance.params.variable) ? CONDITION_PARAMS.getPreviewText(instance.params, instance) : "incomplete variable condition";
                         }
                         return instance.type;
                     }
@@ -3996,6 +4541,60 @@ define([
                     }
                 }
             },
+            /**
+             * @type Editor~TypeDescriptor
+             */
+            FORM_UP_COMMAND_PARAMS = {
+                baseType: BaseType.OBJECT,
+                name: "FormUpCommandParams",
+                getPreviewText: function (instance) {
+                    return (instance.formation ? FORMATION.getPreviewText(instance.formation) : "") + (instance.leader ? " around " + instance.leader : "");
+                },
+                properties: {
+                    LEADER: {
+                        name: "leader",
+                        type: SPACECRAFT_REFERENCE,
+                        optional: true,
+                        defaultText: "first subject",
+                        description: "The spacecraft to fly in formation with. If not given, the rest of the subjects will fly in formation with the first one."
+                    },
+                    FORMATION: {
+                        name: "formation",
+                        type: FORMATION,
+                        description: "The formation to take up around the leader, which has the first position in it."
+                    }
+                }
+            },
+            /**
+             * @type Editor~TypeDescriptor
+             */
+            PATROL_COMMAND_PARAMS = {
+                baseType: BaseType.OBJECT,
+                name: "PatrolCommandParams",
+                getPreviewText: function (instance) {
+                    return (instance.waypoints ? instance.waypoints.length : 0) + " waypoints" + (instance.loop ? " (loop)" : "");
+                },
+                properties: {
+                    WAYPOINTS: {
+                        name: "waypoints",
+                        type: _createTypedArrayType(BaseType.VECTOR3, {min: 1}),
+                        description: "The positions the subjects fly through, in order. They are not universal positions, but approximately relative to the camera."
+                    },
+                    LOOP: {
+                        name: "loop",
+                        type: BaseType.BOOLEAN,
+                        defaultValue: false,
+                        description: "If set, the subjects start over from the first waypoint after reaching the last one, otherwise they return to their default behavior."
+                    },
+                    FORMATION: {
+                        name: "formation",
+                        type: FORMATION,
+                        optional: true,
+                        defaultText: "none",
+                        description: "If given, only the first subject flies through the waypoints and the rest fly in this formation with it."
+                    }
+                }
+            },
             /**
              * @type Editor~TypeDescriptor
              */
@@ -4049,9 +4648,30 @@ define([
             _isReachDistanceCommandActionParams = function (data, parent) {
                 return _parentIsCommandAction(data, parent) && (data.command === ai.SpacecraftCommand.REACH_DISTANCE);
             },
+            _isFormUpCommandActionParams = function (data, parent) {
+                return _parentIsCommandAction(data, parent) && (data.command === ai.SpacecraftCommand.FORM_UP);
+            },
+            _isPatrolCommandActionParams = function (data, parent) {
+                return _parentIsCommandAction(data, parent) && (data.command === ai.SpacecraftCommand.PATROL);
+            },
             _parentIsHUDAction = function (data, parent) {
                 return !!parent && (parent.type === ActionType.HUD);
             },
+            _parentIsVariableAction = function (data, parent) {
+                return !!parent && ((parent.type === ActionType.SET_VARIABLE) || (parent.type === ActionType.INCREMENT));
+            },
+            _isSetNumberVariableActionParams = function (data, parent) {
+                return !!parent && (parent.type === ActionType.SET_VARIABLE) && (data.flag === undefined);
+            },
+            _isSetBooleanVariableActionParams = function (data, parent) {
+                return !!parent && (parent.type === ActionType.SET_VARIABLE) && (data.value === undefined);
+            },
+            _parentIsIncrementAction = function (data, parent) {
+                return !!parent && (parent.type === ActionType.INCREMENT);
+            },
+            _parentIsSpawnAction = function (data, parent) {
+                return !!parent && (parent.type === ActionType.SPAWN);
+            },
             _missionHasMessages = function (data, parent, itemName) {
                 var prefix = strings.MISSION.PREFIX.name + utils.getFilenameWithoutExtension(itemName) + strings.MISSION.MESSAGES_SUFFIX.name;
                 return !!parent && (parent.type === ActionType.MESSAGE) && (strings.getKeys(prefix).length > 0);
@@ -4119,6 +4739,12 @@ define([
                                 return "approach " + instance.reachDistance.target + " to " + instance.reachDistance.maxDistance + " m";
                             }
                         }
+                        if (instance.formUp) {
+                            return instance.command + " " + FORM_UP_COMMAND_PARAMS.getPreviewText(instance.formUp);
+                        }
+                        if (instance.patrol) {
+                            return instance.command + " " + PATROL_COMMAND_PARAMS.getPreviewText(instance.patrol);
+                        }
                         return instance.command;
                     }
                     // SetPropertiesAction params:
@@ -4129,6 +4755,20 @@ define([
                     if (instance.state !== undefined) {
                         return "HUD: " + (instance.section ? instance.section + " " : "") + instance.state;
                     }
+                    // SetVariableAction params:
+                    if ((instance.variable !== undefined) && ((instance.value !== undefined) || (instance.flag !== undefined))) {
+                        return instance.variable + " = " + ((instance.flag !== undefined) ? instance.flag : instance.value);
+                    }
+                    // IncrementAction params:
+                    if (instance.variable !== undefined) {
+                        return instance.variable + " += " + ((instance.amount !== undefined) ? instance.amount : 1);
+                    }
+                    // SpawnAction params:
+                    if (instance.spacecrafts !== undefined) {
+                        return "spawn " + instance.spacecrafts.map(function (craft) {
+                            return craft.name || craft.squad || craft.class;
+                        }).join(", ");
+                    }
                     return "none";
                 },
                 properties: {
@@ -4140,7 +4780,8 @@ define([
                         isRequired: _requiresMessage,
                         isValid: _parentIsMessageAction,
                         getDerivedDefault: _getMessageText,
-                        updateOnValidate: true
+                        updateOnValidate: true,
+                        description: "References to mission variables in the form {variableName} are replaced by their current values when the message is displayed."
                     },
                     TEXT_ID: {
                         name: "textID",
@@ -4223,6 +4864,18 @@ define([
                         optional: true,
                         isValid: _isReachDistanceCommandActionParams
                     },
+                    FORM_UP: {
+                        name: "formUp",
+                        type: FORM_UP_COMMAND_PARAMS,
+                        optional: true,
+                        isValid: _isFormUpCommandActionParams
+                    },
+                    PATROL: {
+                        name: "patrol",
+                        type: PATROL_COMMAND_PARAMS,
+                        optional: true,
+                        isValid: _isPatrolCommandActionParams
+                    },
                     // SetPropertiesAction params:
                     HULL: {
                         name: "hull",
@@ -4264,6 +4917,42 @@ define([
                         type: HUD_SECTION_STATE,
                         isRequired: _parentIsHUDAction,
                         isValid: _parentIsHUDAction
+                    },
+                    // SetVariableAction and IncrementAction params:
+                    VARIABLE: {
+                        name: "variable",
+                        type: VARIABLE_REFERENCE,
+                        isRequired: _parentIsVariableAction,
+                        isValid: _parentIsVariableAction
+                    },
+                    VALUE: {
+                        name: "value",
+                        type: BaseType.NUMBER,
+                        optional: true,
+                        isValid: _isSetNumberVariableActionParams,
+                        description: "The value to set a number variable to"
+                    },
+                    FLAG: {
+                        name: "flag",
+                        type: BaseType.BOOLEAN,
+                        optional: true,
+                        isValid: _isSetBooleanVariableActionParams,
+                        description: "The value to set a boolean variable to"
+                    },
+                    AMOUNT: {
+                        name: "amount",
+                        type: BaseType.NUMBER,
+                        optional: true,
+                        isValid: _parentIsIncrementAction,
+                        defaultValue: 1
+                    },
+                    // SpawnAction params:
+                    SPACECRAFTS: {
+                        name: "spacecrafts",
+                        type: null, // set at initialization, as the spacecraft type is defined later
+                        isRequired: _parentIsSpawnAction,
+                        isValid: _parentIsSpawnAction,
+                        description: "The spacecrafts (or squads) to spawn. Each execution of the action spawns the next one from the list, and after the end of the list is reached, the last one is spawned again every time."
                     }
                 }
             },
@@ -4277,7 +4966,10 @@ define([
                     ActionType.SET_PROPERTIES,
                     ActionType.REPAIR,
                     ActionType.DAMAGE,
-                    ActionType.HUD
+                    ActionType.HUD,
+                    ActionType.SET_VARIABLE,
+                    ActionType.INCREMENT,
+                    ActionType.SPAWN
                 ].indexOf(data.type) >= 0;
             },
             /**
@@ -4306,6 +4998,9 @@ define([
                                 }
                                 break;
                             case ActionType.HUD:
+                            case ActionType.SET_VARIABLE:
+                            case ActionType.INCREMENT:
+                            case ActionType.SPAWN:
                                 if (instance.params) {
                                     result = result + ACTION_PARAMS.getPreviewText(instance.params, instance);
                                 }
@@ -4596,6 +5291,9 @@ define([
             _craftIsNotPilotedSingle = function (data) {
                 return !data.piloted;
             },
+            _craftHasAI = function (data) {
+                return !data.piloted && !!data.ai;
+            },
             _craftCanHavePositions = function (data) {
                 return _craftIsMulti(data) && !data.position && !data.formation;
             },
@@ -4656,6 +5354,14 @@ define([
                         isValid: _craftIsNotPilotedSingle,
                         description: "The type of AI that should control this station.\nfighter: attacks the target head on, does charge attacks and evasive maneuvers if it gets hit\nship: approaches to weapon range and then turns according to the attack vector of the spacecraft class to attack the target with rotating weapons\nstation: does not move or turn, just attacks with its rotating weapons\nsentry: does not move, but turns according to its attack vector and attacks if the target comes within range"
                     },
+                    AI_PROFILE: {
+                        name: "aiProfile",
+                        type: AI_PROFILE_REFERENCE,
+                        optional: true,
+                        defaultText: "default",
+                        isValid: _craftHasAI,
+                        description: "The profile customizing the behaviour of the AI (aggression, evasion, missile usage, target priorities, retreating)"
+                    },
                     POSITION: {
                         name: "position",
                         type: BaseType.VECTOR3,
@@ -4811,6 +5517,11 @@ define([
                     }),
                     optional: true
                 },
+                VARIABLES: {
+                    name: "variables",
+                    type: _createTypedArrayType(MISSION_VARIABLE),
+                    optional: true
+                },
                 EVENTS: {
                     name: "events",
                     type: _createTypedArrayType(MISSION_EVENT),
@@ -5181,6 +5892,7 @@ define([
     missions.executeWhenReady(function () {
         TIPS_SET.values = missions.getTipIDs();
     });
+    ACTION_PARAMS.properties.SPACECRAFTS.type = _createTypedArrayType(SPACECRAFT, {min: 1});
     // ------------------------------------------------------------------------------
     // The public interface of the module
     return {
@@ -5211,6 +5923,9 @@ define([
             "sensorsClasses": SENSORS_CLASS,
             "jumpEngineClasses": JUMP_ENGINE_CLASS,
             "shieldClasses": SHIELD_CLASS,
+            "boosterClasses": BOOSTER_CLASS,
+            "countermeasureClasses": COUNTERMEASURE_CLASS,
+            "aiProfiles": AI_PROFILE,
             "spacecraftTypes": SPACECRAFT_TYPE,
             "spacecraftClasses": SPACECRAFT_CLASS,
             "environments": ENVIRONMENT,
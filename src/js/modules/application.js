@@ -94,6 +94,11 @@ define(function () {
              * @type Boolean
              */
             _usesElectron = false,
+            /**
+             * Whether the application is running in headless mode (without a display or audio output, e.g. in Node.js)
+             * @type Boolean
+             */
+            _headless = false,
             /**
              * The string identifying the version of the program that was run the last time.
              * @type String
@@ -321,6 +326,21 @@ define(function () {
         usesElectron: function () {
             return _usesElectron;
         },
+        /**
+         * Returns whether the application is running in headless mode (without a display or audio output, e.g. in Node.js)
+         * @returns {Boolean}
+         */
+        isHeadless: function () {
+            return _headless;
+        },
+        /**
+         * Sets whether the application is running in headless mode. Needs to be set before loading the modules that create graphics
+         * or audio contexts.
+         * @param {Boolean} value
+         */
+        setHeadless: function (value) {
+            _headless = value;
+        },
         /**
          * Sets whether the application is packaged using Electron (https://electron.atom.io/).
          * @param {Boolean} value
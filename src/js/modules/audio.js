@@ -785,23 +785,26 @@ define([
     }
     // -------------------------------------------------------------------------
     // Initizalization
-    _context = new AudioContext();
-    _masterGain = _context.createGain();
-    _masterGain.connect(_context.destination);
-    _compressor = _context.createDynamicsCompressor();
-    _compressor.connect(_masterGain);
-    _effectGain = _context.createGain();
-    _effectGain.connect(_compressor);
-    _musicGain = _context.createGain();
-    _musicGain.connect(_compressor);
-    _voiceGain = _context.createGain();
-    _voiceGain.connect(_compressor);
-    _uiGain = _context.createGain();
-    _uiGain.connect(_masterGain);
-    _clip = new SoundClip();
-    _source = new SoundSource(0, 0, 0);
-    if (!_context.createPanner().positionX) {
-        application.showError("3D audio is not properly supported by your browser!", application.ErrorSeverity.SEVERE, "This game requires 3D positional audio to work properly. Please upgrade to a browser that supports it to play!");
+    // without a display (e.g. when running simulations in Node.js), there is no audio output either
+    if (!application.isHeadless()) {
+        _context = new AudioContext();
+        _masterGain = _context.createGain();
+        _masterGain.connect(_context.destination);
+        _compressor = _context.createDynamicsCompressor();
+        _compressor.connect(_masterGain);
+        _effectGain = _context.createGain();
+        _effectGain.connect(_compressor);
+        _musicGain = _context.createGain();
+        _musicGain.connect(_compressor);
+        _voiceGain = _context.createGain();
+        _voiceGain.connect(_compressor);
+        _uiGain = _context.createGain();
+        _uiGain.connect(_masterGain);
+        _clip = new SoundClip();
+        _source = new SoundSource(0, 0, 0);
+        if (!_context.createPanner().positionX) {
+            application.showError("3D audio is not properly supported by your browser!", application.ErrorSeverity.SEVERE, "This game requires 3D positional audio to work properly. Please upgrade to a browser that supports it to play!");
+        }
     }
     // -------------------------------------------------------------------------
     // Public interface
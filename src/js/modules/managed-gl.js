@@ -2354,6 +2354,10 @@ define([
      */
     ManagedGLContext.prototype._createContext = function (supressAntialiasingError) {
         var gl_, contextParameters;
+        // no WebGL is available without a display, the context stays empty
+        if (application.isHeadless()) {
+            return;
+        }
         application.log_DEBUG("Initializing WebGL context...", 1);
         // -------------------------------------------------------------------------------------------------------
         // creating the WebGLRenderingContext
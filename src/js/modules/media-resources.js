@@ -1486,6 +1486,7 @@ define([
         SoundCategory: audio.SoundCategory, // propagated because a category can be chosen when creating sound clips for sound effects
         requestConfigLoad: requestConfigLoad,
         requestResourceLoad: _resourceManager.requestResourceLoad.bind(_resourceManager),
+        allResourcesAreLoaded: _resourceManager.allResourcesAreLoaded.bind(_resourceManager),
         getTexture: _resourceManager.getTexture.bind(_resourceManager),
         getCubemap: _resourceManager.getCubemap.bind(_resourceManager),
         getShader: _resourceManager.getShader.bind(_resourceManager),
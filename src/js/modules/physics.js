@@ -410,6 +410,23 @@ define([
         }
         return null;
     };
+    /**
+     * Checks whether a given point is inside the box of this body.
+     * @param {Number[4]} relativePositionVector A 4D vector describing the position of the point in model space.
+     * @param {Number} offset The boundaries of the box of the body are offset (the size increased) by this much (in model space)
+     * @returns {Boolean}
+     */
+    Body.prototype.containsPoint = function (relativePositionVector, offset) {
+        // transforming the coordinates from model-space (physical object space) to body-space, same as for hit checks
+        if (this._rotated) {
+            relativePositionVector = vec.prodVec4Mat4Aux(relativePositionVector, this._modelMatrixInverse);
+        } else {
+            relativePositionVector = vec.diff3Aux(relativePositionVector, this._positionVector);
+        }
+        return (Math.abs(relativePositionVector[0]) <= this._halfWidth + offset) &&
+                (Math.abs(relativePositionVector[1]) <= this._halfHeight + offset) &&
+                (Math.abs(relativePositionVector[2]) <= this._halfDepth + offset);
+    };
     // #########################################################################
     /**
      * @typedef {Object} PhysicalObject~CollisionData
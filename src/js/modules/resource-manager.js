@@ -571,13 +571,15 @@ define([
      * @param {String} filename
      * @param {String} fileType
      * @param {Object.<String, Function>} resourceTypes
-     * @param {Function} callback
+     * @param {Function} callback Called with the parsed content of the configuration file, so that other (not resource related) data
+     * stored in it can be processed as well
      */
     ResourceManager.prototype.requestConfigLoad = function (filename, fileType, resourceTypes, callback) {
         application.requestTextFile(fileType, filename, function (responseText) {
-            this._loadConfigFromJSON(JSON.parse(responseText), resourceTypes);
+            var configJSON = JSON.parse(responseText);
+            this._loadConfigFromJSON(configJSON, resourceTypes);
             if (callback) {
-                callback();
+                callback(configJSON);
             }
         }.bind(this));
     };
@@ -1148,6 +1148,11 @@ define([
          * @type Number[4]
          */
         this._color = null;
+        /**
+         * If set, all colors of the text are shifted towards this RGBA tint when rendering (see utils.getTintedColor())
+         * @type Number[4]
+         */
+        this._tint = null;
         /**
          * The horizontal alignment mode for the text
          * @type String
@@ -1530,7 +1535,7 @@ define([
             for (i = 0; (i < this._sections.length) && (this._sections[i].startIndex <= maxRenderIndex); i++) {
                 // multi-color support
                 if (this._sections[i].color) {
-                    newColor = utils.getCSSColor(_getColor(this._sections[i].color));
+                    newColor = this._getCSSColor(this._sections[i].color);
                 } else {
                     newColor = this._cssColor;
                 }
@@ -1595,7 +1600,25 @@ define([
      */
     CanvasText.prototype.setColor = function (color) {
         this._color = color;
-        this._cssColor = utils.getCSSColor(_getColor(color));
+        this._cssColor = this._getCSSColor(color);
+    };
+    /**
+     * Returns the CSS string to use for rendering with the passed RGBA color, considering the set tint and anaglyph rendering settings
+     * @param {Number[4]} color
+     * @returns {String}
+     */
+    CanvasText.prototype._getCSSColor = function (color) {
+        return utils.getCSSColor(_getColor(this._tint ? utils.getTintedColor(color, this._tint) : color));
+    };
+    /**
+     * Sets a new RGBA tint to shift the colors of this text towards (or removes the tint if null is passed)
+     * @param {Number[4]} tint
+     */
+    CanvasText.prototype.setTint = function (tint) {
+        this._tint = tint;
+        if (this._color) {
+            this.setColor(this._color);
+        }
     };
     /**
      * Whether the text is rendered whenever calling render()
@@ -1658,6 +1681,11 @@ define([
          * @type CanvasText[]
          */
         this._texts = [];
+        /**
+         * The RGBA tint set for all texts on this layer (if any)
+         * @type Number[4]
+         */
+        this._tint = null;
         /**
          * Whether the texts on this layer should be rendered when the layer is rendered.
          * @type Boolean
@@ -1698,8 +1726,22 @@ define([
      * @param {CanvasText} value
      */
     TextLayer.prototype.addText = function (value) {
+        if (this._tint) {
+            value.setTint(this._tint);
+        }
         this._texts.push(value);
     };
+    /**
+     * Sets a new RGBA tint for all the texts on this layer (including the ones added later)
+     * @param {Number[4]} tint
+     */
+    TextLayer.prototype.setTint = function (tint) {
+        var i;
+        this._tint = tint;
+        for (i = 0; i < this._texts.length; i++) {
+            this._texts[i].setTint(tint);
+        }
+    };
     /**
      * If currently visible, rendered all (visible) texts to this layer.
      */
@@ -1784,6 +1826,21 @@ define([
     TextLayer.prototype.getLayout = function () {
         return this._clipSpaceLayout;
     };
+    /**
+     * Sets new layout settings for this text layer, repositioning and resizing it right away if it has already been laid out
+     * @param {LayoutDescriptor} layoutDescriptor
+     */
+    TextLayer.prototype.setLayout = function (layoutDescriptor) {
+        var i;
+        this._clipSpaceLayout = new ClipSpaceLayout(layoutDescriptor);
+        if (this._viewportWidth >= 0) {
+            this.clearContext();
+            this.updateLayout();
+            for (i = 0; i < this._texts.length; i++) {
+                this._texts[i].invalidate();
+            }
+        }
+    };
     // #########################################################################
     /**
      * @class An enhanced canvas element (a wrapper around a regular HTML canvas), 
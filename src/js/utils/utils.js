@@ -663,6 +663,23 @@ define(function () {
         color[3] *= filter[3];
         return color;
     };
+    /**
+     * Returns the given RGBA color shifted towards the hue of the given RGBA tint, keeping its brightness (strongest component) and
+     * alpha. The alpha component of the tint determines the strength of the effect (0: unchanged, 1: only the hue of the tint remains)
+     * @param {Number[4]} color
+     * @param {Number[4]} tint
+     * @param {Number[4]} [result] If given, the tinted color is written into this array instead of a new one
+     * @returns {Number[4]}
+     */
+    exports.getTintedColor = function (color, tint, result) {
+        var brightness = Math.max(color[0], color[1], color[2]), colorRatio = 1 - tint[3];
+        result = result || [0, 0, 0, 0];
+        result[0] = color[0] * colorRatio + tint[0] * brightness * tint[3];
+        result[1] = color[1] * colorRatio + tint[1] * brightness * tint[3];
+        result[2] = color[2] * colorRatio + tint[2] * brightness * tint[3];
+        result[3] = color[3];
+        return result;
+    };
     /**
      * Applies the given gamma correction to the given color, and returns the modified color.
      * @param {Number[3]} color